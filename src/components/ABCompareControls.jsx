@@ -0,0 +1,137 @@
+import React from 'react';
+import { EyeOff, RefreshCw } from 'lucide-react';
+
+const THEMES = {
+    light: {
+        text: 'text-gray-700',
+        muted: 'text-gray-500',
+        button: 'bg-white text-gray-700 border border-gray-300 hover:bg-gray-100',
+        active: 'bg-gray-800 text-white border border-gray-800',
+        accent: 'accent-gray-700',
+    },
+    dark: {
+        text: 'text-cyan-200',
+        muted: 'text-cyan-300/70',
+        button: 'bg-indigo-900/60 text-cyan-100 border border-cyan-500/30 hover:bg-indigo-800/60',
+        active: 'bg-cyan-500 text-white border border-cyan-500',
+        accent: 'accent-cyan-400',
+    },
+};
+
+const SIDE_LABELS = { A: 'A · Bypass', B: 'B · Effect', X: 'X · ?' };
+
+const formatLufs = (lufs) => (lufs === null ? '–' : `${lufs.toFixed(1)} LUFS`);
+
+/**
+ * A/B switch for an effect with loudness matching and a blind ABX test.
+ * Pairs with the useABCompare hook (src/hooks/useABCompare.js).
+ * @param {object} props
+ * @param {object} props.abCompare The useABCompare() result.
+ * @param {boolean} [props.disabled] Disables the controls.
+ * @param {'light'|'dark'} [props.theme] Colors for light (explorer) or dark (studio) pages.
+ */
+const ABCompareControls = ({ abCompare, disabled = false, theme = 'light' }) => {
+    const {
+        selectedSide, selectSide,
+        isMatching, setIsMatching,
+        loudness, remeasure,
+        isBlind, toggleBlind,
+        revealedXSide, xGuess, guessX, nextTrial, score,
+    } = abCompare;
+    const colors = THEMES[theme];
+    const sides = isBlind ? ['A', 'B', 'X'] : ['A', 'B'];
+
+    const pill = (isActive) => `px-3 py-1.5 rounded-full text-sm font-medium transition-colors duration-200 ${
+        isActive ? colors.active : colors.button
+    } ${disabled ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'}`;
+
+    return (
+        <div className="space-y-2">
+            <div className="flex flex-wrap items-center gap-2">
+                <span className={`text-sm font-semibold ${colors.text}`}>Compare</span>
+                {sides.map(side => (
+                    <button
+                        key={side}
+                        type="button"
+                        onClick={() => selectSide(side)}
+                        disabled={disabled}
+                        className={pill(selectedSide === side)}
+                        aria-pressed={selectedSide === side}
+                    >
+                        {SIDE_LABELS[side]}
+                    </button>
+                ))}
+
+                <label className={`flex items-center gap-1.5 text-sm ${colors.text}`}>
+                    <input
+                        type="checkbox"
+                        checked={isMatching}
+                        onChange={(e) => setIsMatching(e.target.checked)}
+                        disabled={disabled}
+                        className={colors.accent}
+                    />
+                    Match loudness
+                </label>
+
+                <button
+                    type="button"
+                    onClick={toggleBlind}
+                    disabled={disabled}
+                    className={`flex items-center gap-1.5 ${pill(isBlind)}`}
+                    aria-pressed={isBlind}
+                >
+                    <EyeOff size={14} />
+                    Blind test
+                </button>
+            </div>
+
+            {isBlind ? (
+                <div className={`flex flex-wrap items-center gap-2 text-sm ${colors.text}`}>
+                    <span>Which side is X?</span>
+                    {['A', 'B'].map(side => (
+                        <button
+                            key={side}
+                            type="button"
+                            onClick={() => guessX(side)}
+                            disabled={disabled || Boolean(xGuess)}
+                            className={pill(xGuess === side)}
+                        >
+                            X is {side}
+                        </button>
+                    ))}
+                    {revealedXSide && (
+                        <>
+                            <span className={xGuess === revealedXSide ? 'text-green-600 font-semibold' : 'text-red-500 font-semibold'}>
+                                {xGuess === revealedXSide ? 'Correct' : 'Wrong'}: X was {revealedXSide}.
+                            </span>
+                            <button type="button" onClick={nextTrial} disabled={disabled} className={pill(false)}>
+                                Next trial
+                            </button>
+                        </>
+                    )}
+                    <span className={colors.muted}>Score: {score.correct} / {score.total}</span>
+                </div>
+            ) : (
+                <div className={`flex flex-wrap items-center gap-3 text-sm ${colors.muted}`}>
+                    <span>Bypass {formatLufs(loudness.dryLufs)}</span>
+                    <span>Effect {formatLufs(loudness.wetLufs)}</span>
+                    {isMatching && loudness.dryLufs !== null && (
+                        <span>Bypass matched by {loudness.matchGainDb > 0 ? '+' : ''}{loudness.matchGainDb.toFixed(1)} dB</span>
+                    )}
+                    <button
+                        type="button"
+                        onClick={remeasure}
+                        disabled={disabled}
+                        className="flex items-center gap-1 underline-offset-2 hover:underline"
+                        title="Forget the measured loudness and measure again"
+                    >
+                        <RefreshCw size={12} />
+                        Re-measure
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ABCompareControls;
@@ -1,7 +1,17 @@
-import React, { useState, useEffect, useRef, useCallback, createContext, useContext } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useContext } from 'react';
 import * as Tone from 'tone';
+import { AudioContext } from '../contexts/AudioContext';
+import { registerNode } from '../utils/audioEngine';
+import { createUrlSchema, urlParam } from '../utils/urlState';
+import useUrlState from '../hooks/useUrlState';
+import useParamHistory from '../hooks/useParamHistory';
+import useUserPresets from '../hooks/useUserPresets';
+import useMidiInput from '../hooks/useMidiInput';
+import { applyPitchBend, applyModWheel } from '../utils/midiInput';
 import { Play, Pause, Waves, Ruler } from 'lucide-react'; // Icons for play/pause, waveform, and ruler for envelope
 import SEOHead from './SEOHead';
+import PresetPanel from './PresetPanel';
+import MidiInputControls from './MidiInputControls';
 
 // Define the tool object for SEO structured data
 const adsrEnvelopeTool = {
@@ -19,74 +29,22 @@ const adsrEnvelopeTool = {
 };
 
 
-// --- AUDIO CONTEXT ---
-// This context manages the global Tone.js audio state.
-export const AudioContext = createContext(null);
-
-const AudioContextProvider = ({ children }) => {
-    const [isAudioGloballyReady, setIsAudioGloballyReady] = useState(false);
-
-    // Function to start Tone.js audio context
-    const startGlobalAudio = useCallback(async () => {
-        // Only attempt to start if not already running
-        if (Tone.context.state === 'running') {
-            setIsAudioGloballyReady(true);
-            console.log('AudioContext: Tone.js context already running.');
-            return;
-        }
-
-        try {
-            console.log('AudioContext: Attempting to start global Tone.js context...');
-            await Tone.start();
-
-            // Double-check state after starting
-            if (Tone.context.state === 'running') {
-                setIsAudioGloballyReady(true);
-                console.log('AudioContext: Tone.js context started successfully');
-            } else {
-                console.warn('AudioContext: Tone.js context did not start properly (state is ' + Tone.context.state + ')');
-                setIsAudioGloballyReady(false);
-            }
-        } catch (error) {
-            console.error("AudioContext: Error starting Tone.js context:", error);
-            setIsAudioGloballyReady(false);
-        }
-    }, []);
-
-    // Effect to observe Tone.js context state changes
-    useEffect(() => {
-        const handleToneContextChange = () => {
-            const newState = Tone.context.state === 'running';
-            if (newState !== isAudioGloballyReady) {
-                console.log(`AudioContext: Tone.context state changed to '${Tone.context.state}'. isAudioGloballyReady set to ${newState}.`);
-                setIsAudioGloballyReady(newState);
-            }
-        };
-
-        // Add listener for state changes
-        Tone.context.on('statechange', handleToneContextChange);
-        handleToneContextChange(); // Initial check on mount
-
-        return () => {
-            // Clean up listener on unmount
-            console.log('AudioContext: Cleaning up Tone.context statechange listener.');
-            Tone.context.off('statechange', handleToneContextChange);
-        };
-    }, [isAudioGloballyReady]); // Added isAudioGloballyReady to dependencies to prevent stale closure issues with handleToneContextChange
-
-    return (
-        <AudioContext.Provider value={{ isAudioGloballyReady, startGlobalAudio }}>
-            {children}
-        </AudioContext.Provider>
-    );
-};
-// --- END AUDIO CONTEXT ---
-
+// Envelope settings kept in the URL, so a link reopens them
+const URL_SCHEMA = createUrlSchema({
+    params: {
+        attack: urlParam.number({ min: 0.01, max: 2 }),
+        decay: urlParam.number({ min: 0.01, max: 2 }),
+        sustain: urlParam.number({ min: 0, max: 1 }),
+        release: urlParam.number({ min: 0.01, max: 5 }),
+    },
+});
 
 // --- useADSREnvelopeSynth Hook ---
 const useADSREnvelopeSynth = () => {
     const { isAudioGloballyReady, startGlobalAudio } = useContext(AudioContext);
     const synthRef = useRef(null); // Will hold the Tone.Synth
+    const vibratoRef = useRef(null); // Tone.Vibrato after the synth, for the mod wheel
+    const heldNotesRef = useRef([]); // Notes held on a MIDI keyboard, latest last
     const isSynthInitializedRef = useRef(false); // New ref to track if synth is initialized
 
     const [isPlaying, setIsPlaying] = useState(false); // Indicates if the note is currently sustaining or releasing
@@ -95,6 +53,16 @@ const useADSREnvelopeSynth = () => {
     const [sustain, setSustain] = useState(0.5); // Sustain level (0-1)
     const [release, setRelease] = useState(0.5); // Release time in seconds
 
+    const toolParams = { attack, decay, sustain, release };
+    const toolParamSetters = {
+        attack: setAttack, decay: setDecay, sustain: setSustain, release: setRelease,
+    };
+    useUrlState(URL_SCHEMA, toolParams, toolParamSetters);
+    useParamHistory(toolParams, toolParamSetters);
+    const userPresets = useUserPresets({
+        tool: 'adsr-envelope-tool', schema: URL_SCHEMA, params: toolParams, applyParams: toolParamSetters,
+    });
+
     const [isAudioReady, setIsAudioReady] = useState(false); // True when context is running AND synth initialized
     const [isLoading, setIsLoading] = useState(true); // Initially loading until synth is set up
 
@@ -109,6 +77,11 @@ const useADSREnvelopeSynth = () => {
             synthRef.current.dispose();
             synthRef.current = null;
         }
+        if (vibratoRef.current) {
+            vibratoRef.current.dispose();
+            vibratoRef.current = null;
+        }
+        heldNotesRef.current = [];
 
         // Clear any active timer when disposing
         if (playbackIntervalId.current) {
@@ -139,8 +112,11 @@ const useADSREnvelopeSynth = () => {
             try {
                 disposeAudioNodes(); // Ensure a clean slate
 
+                const vibrato = registerNode(new Tone.Vibrato({ frequency: 5.5, depth: 0 })).toDestination();
+                vibratoRef.current = vibrato;
+
                 // Create Tone.Synth directly
-                const synth = new Tone.Synth({
+                const synth = registerNode(new Tone.Synth({
                     oscillator: { type: 'sine' }, // Use a sine wave as the source
                     envelope: {
                         attack: attack, // Initial values (these will be updated by a separate effect)
@@ -148,7 +124,7 @@ const useADSREnvelopeSynth = () => {
                         sustain: sustain,
                         release: release,
                     }
-                }).toDestination(); // Connect synth directly to output
+                })).connect(vibrato); // Connect synth to output through the vibrato
 
                 synthRef.current = synth;
                 isSynthInitializedRef.current = true; // Mark synth as initialized
@@ -324,7 +300,32 @@ const useADSREnvelopeSynth = () => {
         }
     }, []);
 
+    // MIDI keyboard: each key plays the envelope for as long as it's held, and
+    // releasing it returns to the key still held
+    const midi = useMidiInput({
+        onNoteOn: (note, velocity) => {
+            if (Tone.context.state !== 'running') startGlobalAudio();
+            if (!synthRef.current) return;
+            heldNotesRef.current = [...heldNotesRef.current.filter(held => held !== note), note];
+            synthRef.current.triggerAttack(note, Tone.now(), velocity);
+        },
+        onNoteOff: (note) => {
+            heldNotesRef.current = heldNotesRef.current.filter(held => held !== note);
+            if (!synthRef.current) return;
+            const heldNote = heldNotesRef.current[heldNotesRef.current.length - 1];
+            if (heldNote) {
+                synthRef.current.setNote(heldNote);
+            } else {
+                synthRef.current.triggerRelease(Tone.now());
+            }
+        },
+        onPitchBend: (amount) => synthRef.current && applyPitchBend(synthRef.current, amount),
+        onModWheel: (amount) => vibratoRef.current && applyModWheel(vibratoRef.current, amount),
+    });
+
     return {
+        userPresets,
+        midi,
         isPlaying,
         triggerNote,
         stopNote, // Expose the stopNote function
@@ -373,6 +374,8 @@ const ADSREnvelopeToolContent = () => {
         release, setRelease,
         totalPlaybackDuration,
         currentPlaybackTime,
+        userPresets,
+        midi,
     } = useADSREnvelopeSynth();
 
     const progressBarWidth = totalPlaybackDuration > 0
@@ -487,6 +490,16 @@ const ADSREnvelopeToolContent = () => {
                         </div>
                     )}
 
+                    {/* User Presets */}
+                    <div className="w-full px-2">
+                        <PresetPanel presets={userPresets} />
+                    </div>
+
+                    {/* MIDI Input */}
+                    <div className="w-full px-2 flex justify-center">
+                        <MidiInputControls midi={midi} />
+                    </div>
+
                     {/* ADSR Parameter Sliders */}
                     <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4 md:gap-6 w-full mt-4 md:mt-8">
                         <ParameterSlider
@@ -551,14 +564,12 @@ class ErrorBoundary extends React.Component {
     }
 }
 
-// Default export wrapping the main content with AudioContextProvider and ErrorBoundary
+// Default export wrapping the main content with ErrorBoundary
 const ADSREnvelopeTool = () => {
     return (
-        <AudioContextProvider>
-            <ErrorBoundary>
-                <ADSREnvelopeToolContent />
-            </ErrorBoundary>
-        </AudioContextProvider>
+        <ErrorBoundary>
+            <ADSREnvelopeToolContent />
+        </ErrorBoundary>
     );
 }
 
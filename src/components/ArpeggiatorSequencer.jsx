@@ -1,7 +1,20 @@
-import React, { useState, useEffect, useRef, useCallback, createContext, useContext } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useContext } from 'react';
 import * as Tone from 'tone';
+import { AudioContext } from '../contexts/AudioContext';
+import { registerNode } from '../utils/audioEngine';
+import { createUrlSchema, urlParam } from '../utils/urlState';
+import useUrlState from '../hooks/useUrlState';
+import useParamHistory from '../hooks/useParamHistory';
+import useUserPresets from '../hooks/useUserPresets';
+import useMidiInput from '../hooks/useMidiInput';
+import { applyPitchBend, applyModWheel } from '../utils/midiInput';
+import { encodeMidiFile, createMidiBlob, noteValueToTicks } from '../utils/midiFile';
+import { downloadBlob } from '../utils/downloadUtils';
 import { Play, Pause, FastForward, Repeat, Music4, ArrowUp, ArrowDown, Shuffle } from 'lucide-react'; // Icons for controls and patterns
 import SEOHead from './SEOHead';    
+import PresetPanel from './PresetPanel';
+import MidiInputControls from './MidiInputControls';
+import MidiExportControls from './MidiExportControls';
 
 // Define the tool object for SEO structured data
 const arpeggiatorTool = {
@@ -18,73 +31,29 @@ const arpeggiatorTool = {
     ]
 };
 
-// --- AUDIO CONTEXT ---
-// This context manages the global Tone.js audio state, ensuring only one audio context.
-export const AudioContext = createContext(null);
-
-const AudioContextProvider = ({ children }) => {
-    const [isAudioGloballyReady, setIsAudioGloballyReady] = useState(false);
-
-    // Function to start Tone.js audio context. This needs a user interaction.
-    const startGlobalAudio = useCallback(async () => {
-        if (Tone.context.state === 'running') {
-            setIsAudioGloballyReady(true);
-            console.log('AudioContext: Tone.js context already running.');
-            return;
-        }
-
-        try {
-            console.log('AudioContext: Attempting to start global Tone.js context...');
-            await Tone.start(); // This will resume the audio context
-
-            if (Tone.context.state === 'running') {
-                setIsAudioGloballyReady(true);
-                console.log('AudioContext: Tone.js context started successfully');
-            } else {
-                console.warn('AudioContext: Tone.js context did not start properly (state is ' + Tone.context.state + ')');
-                setIsAudioGloballyReady(false);
-            }
-        } catch (error) {
-            console.error("AudioContext: Error starting Tone.js context:", error);
-            setIsAudioGloballyReady(false);
-        }
-    }, []);
-
-    // Effect to observe Tone.js context state changes
-    useEffect(() => {
-        const handleToneContextChange = () => {
-            const newState = Tone.context.state === 'running';
-            if (newState !== isAudioGloballyReady) { // Prevent unnecessary state updates
-                console.log(`AudioContext: Tone.context state changed to '${Tone.context.state}'. isAudioGloballyReady set to ${newState}.`);
-                setIsAudioGloballyReady(newState);
-            }
-        };
-
-        // Add listener for state changes
-        Tone.context.on('statechange', handleToneContextChange);
-        handleToneContextChange(); // Initial check on mount
-
-        return () => {
-            // Clean up listener on unmount
-            console.log('AudioContext: Cleaning up Tone.context statechange listener.');
-            Tone.context.off('statechange', handleToneContextChange);
-        };
-    }, [isAudioGloballyReady]);
-
-    return (
-        <AudioContext.Provider value={{ isAudioGloballyReady, startGlobalAudio }}>
-            {children}
-        </AudioContext.Provider>
-    );
-};
-// --- END AUDIO CONTEXT ---
-
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+// Note names such as 'C#4': pitch class and octave
+const NOTE_PATTERN = /^([A-G]#?)(-?\d+)$/;
+
+// Arpeggio settings kept in the URL, so a link reopens them
+const URL_SCHEMA = createUrlSchema({
+    params: {
+        notes: urlParam.list(urlParam.oneOf(NOTE_NAMES), { maxLength: NOTE_NAMES.length }),
+        pattern: urlParam.oneOf(['up', 'down', 'upDown', 'random']),
+        octave: urlParam.integer({ min: 2, max: 6 }),
+        range: urlParam.integer({ min: 1, max: 3 }),
+        subdivision: urlParam.oneOf(['4n', '8n', '16n', '32n']),
+        bpm: urlParam.integer({ min: 60, max: 240 }),
+    },
+});
 
 // --- useArpeggiatorSequencer Hook ---
 // This custom hook manages the Tone.js synth, loop, and arpeggiation logic.
 const useArpeggiatorSequencer = () => {
     const { isAudioGloballyReady, startGlobalAudio } = useContext(AudioContext);
     const synthRef = useRef(null); // The Tone.Synth to play notes
+    const vibratoRef = useRef(null); // Tone.Vibrato after the synth, for the mod wheel
+    const heldNotesRef = useRef(new Set()); // Notes held on a MIDI keyboard
     const loopRef = useRef(null); // The Tone.Loop for sequencing
     const isSynthInitializedRef = useRef(false); // Flag to indicate if synth/loop are successfully initialized
 
@@ -93,12 +62,24 @@ const useArpeggiatorSequencer = () => {
     const [stepSubdivision, setStepSubdivision] = useState("8n"); // e.g., "8n" for 8th notes, "16n" for 16th notes
 
     // Arpeggio settings
-    const allNotes = useRef(['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B']);
+    const allNotes = useRef(NOTE_NAMES);
     const [selectedNotes, setSelectedNotes] = useState(['C', 'E', 'G']); // Default to C Major triad
     const [baseOctave, setBaseOctave] = useState(4); // Starting octave for the first note
     const [octaveRange, setOctaveRange] = useState(2); // Number of octaves to span (e.g., 1 for single octave, 2 for two octaves)
     const [arpeggioPattern, setArpeggioPattern] = useState('up'); // 'up', 'down', 'upDown', 'random'
 
+    const toolParams = {
+        notes: selectedNotes, pattern: arpeggioPattern, octave: baseOctave, range: octaveRange, subdivision: stepSubdivision, bpm,
+    };
+    const toolParamSetters = {
+        notes: setSelectedNotes, pattern: setArpeggioPattern, octave: setBaseOctave, range: setOctaveRange, subdivision: setStepSubdivision, bpm: setBpm,
+    };
+    useUrlState(URL_SCHEMA, toolParams, toolParamSetters);
+    useParamHistory(toolParams, toolParamSetters);
+    const userPresets = useUserPresets({
+        tool: 'arpeggiator-sequencer', schema: URL_SCHEMA, params: toolParams, applyParams: toolParamSetters,
+    });
+
     const [currentStep, setCurrentStep] = useState(-1); // Index of the currently playing step for UI
     const activeArpeggioNotesRef = useRef([]); // Stores the dynamically generated notes for the current arpeggio
     const currentStepRef = useRef(0); // Internal ref for Tone.Loop's current step index
@@ -170,6 +151,7 @@ const useArpeggiatorSequencer = () => {
 
         let localSynth = null;
         let localLoop = null;
+        let localVibrato = null;
 
         try {
             // Dispose any existing instances first if this effect re-runs (e.g., due to hot reload in dev).
@@ -187,7 +169,10 @@ const useArpeggiatorSequencer = () => {
             setIsPlaying(false); // Reset playing state
             currentStepRef.current = 0; // Reset internal step counter
 
-            localSynth = new Tone.Synth({
+            localVibrato = registerNode(new Tone.Vibrato({ frequency: 5.5, depth: 0 })).toDestination();
+            vibratoRef.current = localVibrato;
+
+            localSynth = registerNode(new Tone.Synth({
                 oscillator: { type: 'sine' },
                 envelope: {
                     attack: 0.05,
@@ -195,11 +180,11 @@ const useArpeggiatorSequencer = () => {
                     sustain: 0.3,
                     release: 0.5,
                 }
-            }).toDestination();
+            })).connect(localVibrato);
             synthRef.current = localSynth; // Store in ref
 
             // Create the loop. The callback uses the ref for stepSubdivision.
-            localLoop = new Tone.Loop(time => {
+            localLoop = registerNode(new Tone.Loop(time => {
                 // Defensive checks within the loop callback
                 if (Tone.context.state !== 'running' || !synthRef.current || !activeArpeggioNotesRef.current || activeArpeggioNotesRef.current.length === 0) {
                     Tone.Draw.schedule(() => {
@@ -219,7 +204,7 @@ const useArpeggiatorSequencer = () => {
                 }, time);
 
                 currentStepRef.current = (currentStepRef.current + 1) % activeArpeggioNotesRef.current.length;
-            }, stepSubdivisionRef.current); // Initial interval uses ref as well
+            }, stepSubdivisionRef.current)); // Initial interval uses ref as well
             loopRef.current = localLoop; // Store in ref
 
             // Initial BPM setting
@@ -252,8 +237,12 @@ const useArpeggiatorSequencer = () => {
             if (synthRef.current) { // Use ref for cleanup directly if it exists
                 synthRef.current.dispose();
             }
+            if (localVibrato) {
+                localVibrato.dispose();
+            }
             // Reset refs to null on cleanup
             synthRef.current = null;
+            vibratoRef.current = null;
             loopRef.current = null;
             setIsPlaying(false);
             setCurrentStep(-1);
@@ -358,8 +347,53 @@ const useArpeggiatorSequencer = () => {
         }
     }, [isPlaying, startGlobalAudio, generateArpeggioNotes, isLoading, isSynthInitializedRef.current]);
 
+    // MIDI keyboard: the keys held together become the arpeggio's notes, starting
+    // in the octave of the lowest key. The chord stays after the keys are released.
+    const midi = useMidiInput({
+        onNoteOn: (note) => {
+            if (!NOTE_PATTERN.test(note)) return;
+            heldNotesRef.current.add(note);
+            const held = [...heldNotesRef.current].map(name => {
+                const [, pitchClass, octave] = NOTE_PATTERN.exec(name);
+                return { pitchClass, octave: Number(octave), number: Number(octave) * 12 + NOTE_NAMES.indexOf(pitchClass) };
+            });
+            const lowest = held.reduce((low, current) => (current.number < low.number ? current : low));
+            setSelectedNotes(NOTE_NAMES.filter(name => held.some(h => h.pitchClass === name)));
+            setBaseOctave(Math.min(6, Math.max(2, lowest.octave)));
+        },
+        onNoteOff: (note) => {
+            heldNotesRef.current.delete(note);
+        },
+        onPitchBend: (amount) => synthRef.current && applyPitchBend(synthRef.current, amount),
+        onModWheel: (amount) => vibratoRef.current && applyModWheel(vibratoRef.current, amount),
+    });
+
+    /**
+     * Downloads one cycle of the arpeggio as a MIDI file: the order being played,
+     * or a fresh one while stopped.
+     * @param {0|1} format Standard MIDI File format.
+     */
+    const exportMidi = useCallback((format) => {
+        const notes = isPlaying && activeArpeggioNotesRef.current.length > 0
+            ? activeArpeggioNotesRef.current
+            : generateArpeggioNotes();
+        const stepTicks = noteValueToTicks(stepSubdivision);
+        const bytes = encodeMidiFile({
+            title: 'Arpeggiator Sequencer',
+            bpm,
+            tracks: [{
+                name: 'Arpeggio',
+                notes: notes.map((note, step) => ({ note, tick: step * stepTicks, duration: stepTicks, velocity: 0.8 })),
+            }],
+        }, { format });
+        downloadBlob(createMidiBlob(bytes), `arpeggio-${arpeggioPattern}-${bpm}bpm.mid`);
+    }, [isPlaying, generateArpeggioNotes, stepSubdivision, bpm, arpeggioPattern]);
+
 
     return {
+        userPresets,
+        midi,
+        exportMidi,
         isPlaying,
         playSequencer,
         stopSequencer,
@@ -413,6 +447,9 @@ const ArpeggiatorSequencerContent = () => {
         arpeggioPattern, setArpeggioPattern,
         currentStep,
         totalArpeggioNotesCount,
+        userPresets,
+        midi,
+        exportMidi,
     } = useArpeggiatorSequencer();
 
     const getExplanation = (param) => {
@@ -536,6 +573,21 @@ const ArpeggiatorSequencerContent = () => {
                         </button>
                     </div>
 
+                    {/* User Presets */}
+                    <div className="w-full px-2">
+                        <PresetPanel presets={userPresets} />
+                    </div>
+
+                    {/* MIDI Input */}
+                    <div className="w-full px-2 flex justify-center">
+                        <MidiInputControls midi={midi} />
+                    </div>
+
+                    {/* MIDI Export */}
+                    <div className="w-full px-2">
+                        <MidiExportControls onExport={exportMidi} disabled={selectedNotes.length === 0} />
+                    </div>
+
                     {/* Current Step Indicator */}
                     {isAudioReady && totalArpeggioNotesCount > 0 && (
                         <div className="w-full">
@@ -726,11 +778,9 @@ class ErrorBoundary extends React.Component {
 // Default export
 const ArpeggiatorSequencer = () => {
     return (
-        <AudioContextProvider>
-            <ErrorBoundary>
-                <ArpeggiatorSequencerContent />
-            </ErrorBoundary>
-        </AudioContextProvider>
+        <ErrorBoundary>
+            <ArpeggiatorSequencerContent />
+        </ErrorBoundary>
     );
 }
 
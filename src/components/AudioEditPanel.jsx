@@ -0,0 +1,176 @@
+import React from 'react';
+import { Scissors, ArrowUp, ArrowDown, Trash2, X } from 'lucide-react';
+import { EDIT_TYPES, EDIT_LABELS, FADE_CURVES, NORMALIZE_DEFAULT_TARGETS, describeEdit } from '../utils/audioEdits';
+
+// Edits offered as "add" buttons (trim is added from the waveform selection)
+const ADDABLE_EDITS = [EDIT_TYPES.FADE_IN, EDIT_TYPES.FADE_OUT, EDIT_TYPES.NORMALIZE, EDIT_TYPES.GAIN, EDIT_TYPES.REVERSE];
+
+const THEMES = {
+    light: {
+        text: 'text-gray-700',
+        muted: 'text-gray-500',
+        row: 'bg-white border border-gray-200',
+        input: 'bg-white border border-gray-300 text-gray-800',
+        button: 'bg-white text-gray-700 border border-gray-300 hover:bg-gray-100',
+        accent: 'accent-indigo-500',
+        error: 'text-red-600',
+    },
+    dark: {
+        text: 'text-cyan-200',
+        muted: 'text-cyan-300/70',
+        row: 'bg-black/20 border border-cyan-500/20',
+        input: 'bg-indigo-950/60 border border-cyan-500/30 text-cyan-100',
+        button: 'bg-indigo-900/60 text-cyan-100 border border-cyan-500/30 hover:bg-indigo-800/60',
+        accent: 'accent-cyan-400',
+        error: 'text-red-300',
+    },
+};
+
+const toNumber = (value, fallback) => {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : fallback;
+};
+
+/**
+ * Non-destructive edit list of a studio: trim, fades, normalize, reverse and
+ * gain, applied in order to the loaded file. The waveform shows the result and
+ * exports are rendered from it. Pairs with the useAudioEdits hook
+ * (src/hooks/useAudioEdits.js) and the studio's useRegionPlayback() result,
+ * whose selection becomes a trim.
+ * @param {object} props
+ * @param {object} props.audioEdits The useAudioEdits() result.
+ * @param {object} props.playback The useRegionPlayback() result.
+ * @param {boolean} [props.disabled] Disables all controls.
+ * @param {'light'|'dark'} [props.theme] Colors for light (explorer) or dark (studio) pages.
+ */
+const AudioEditPanel = ({ audioEdits, playback, disabled = false, theme = 'light' }) => {
+    const { sourceBuffer, edits, addEdit, updateEdit, removeEdit, moveEdit, clearEdits, editError } = audioEdits;
+    const { region, setRegion } = playback;
+    const colors = THEMES[theme];
+
+    if (!sourceBuffer) return null;
+
+    const button = `px-3 py-1 rounded-full text-sm transition-colors duration-200 ${colors.button} disabled:opacity-50 disabled:cursor-not-allowed`;
+    const iconButton = `p-1.5 rounded-full transition-colors duration-200 ${colors.button} disabled:opacity-50 disabled:cursor-not-allowed`;
+    const input = `px-2 py-0.5 rounded text-sm ${colors.input}`;
+
+    // The selection is on the edited audio, so the trim goes after the existing edits
+    const trimToSelection = () => {
+        addEdit(EDIT_TYPES.TRIM, { start: region.start, end: region.end });
+        setRegion(null);
+    };
+
+    const renderControls = (edit) => {
+        switch (edit.type) {
+            case EDIT_TYPES.TRIM:
+                return (
+                    <>
+                        <label className="flex items-center gap-1">
+                            From
+                            <input type="number" min={0} step={0.01} value={edit.start} disabled={disabled} className={`w-20 ${input}`}
+                                onChange={(e) => updateEdit(edit.id, { start: Math.max(0, toNumber(e.target.value, edit.start)) })} />
+                        </label>
+                        <label className="flex items-center gap-1">
+                            to
+                            <input type="number" min={0} step={0.01} value={edit.end} disabled={disabled} className={`w-20 ${input}`}
+                                onChange={(e) => updateEdit(edit.id, { end: Math.max(0, toNumber(e.target.value, edit.end)) })} />
+                            s
+                        </label>
+                    </>
+                );
+            case EDIT_TYPES.FADE_IN:
+            case EDIT_TYPES.FADE_OUT:
+                return (
+                    <>
+                        <label className="flex items-center gap-1">
+                            <input type="number" min={0} step={0.1} value={edit.duration} disabled={disabled} className={`w-16 ${input}`}
+                                onChange={(e) => updateEdit(edit.id, { duration: Math.max(0, toNumber(e.target.value, edit.duration)) })} />
+                            s
+                        </label>
+                        <select value={edit.curve} disabled={disabled} className={input} aria-label="Fade curve"
+                            onChange={(e) => updateEdit(edit.id, { curve: e.target.value })}>
+                            {Object.entries(FADE_CURVES).map(([key, { label }]) => (
+                                <option key={key} value={key}>{label}</option>
+                            ))}
+                        </select>
+                    </>
+                );
+            case EDIT_TYPES.NORMALIZE:
+                return (
+                    <>
+                        <select value={edit.mode} disabled={disabled} className={input} aria-label="Normalize to"
+                            onChange={(e) => updateEdit(edit.id, { mode: e.target.value, target: NORMALIZE_DEFAULT_TARGETS[e.target.value] })}>
+                            <option value="peak">Peak</option>
+                            <option value="loudness">Loudness</option>
+                        </select>
+                        <label className="flex items-center gap-1">
+                            <input type="number" max={0} step={0.5} value={edit.target} disabled={disabled} className={`w-16 ${input}`}
+                                onChange={(e) => updateEdit(edit.id, { target: Math.min(0, toNumber(e.target.value, edit.target)) })} />
+                            {edit.mode === 'peak' ? 'dBFS' : 'LUFS'}
+                        </label>
+                    </>
+                );
+            case EDIT_TYPES.GAIN:
+                return (
+                    <label className="flex items-center gap-2">
+                        <input type="range" min={-24} max={24} step={0.5} value={edit.db} disabled={disabled} className={colors.accent}
+                            onChange={(e) => updateEdit(edit.id, { db: parseFloat(e.target.value) })} aria-label="Gain" />
+                        <span className="font-mono w-16">{edit.db > 0 ? '+' : ''}{edit.db.toFixed(1)} dB</span>
+                    </label>
+                );
+            default:
+                return null;
+        }
+    };
+
+    return (
+        <div className={`space-y-2 text-sm ${colors.text}`}>
+            <div className="flex flex-wrap items-center gap-2">
+                <span className="font-semibold mr-1">Edits</span>
+                <button type="button" onClick={trimToSelection} disabled={disabled || !region} className={`${button} flex items-center gap-1`}
+                    title={region ? 'Keep only the selected region' : 'Select a region on the waveform first'}>
+                    <Scissors size={14} /> Trim to selection
+                </button>
+                {ADDABLE_EDITS.map(type => (
+                    <button key={type} type="button" onClick={() => addEdit(type)} disabled={disabled} className={button}>
+                        + {EDIT_LABELS[type]}
+                    </button>
+                ))}
+                {edits.length > 0 && (
+                    <button type="button" onClick={clearEdits} disabled={disabled} className={`${button} flex items-center gap-1`} title="Remove all edits">
+                        <X size={14} /> Clear
+                    </button>
+                )}
+            </div>
+
+            {edits.length === 0 ? (
+                <p className={colors.muted}>No edits: the original file is played and exported.</p>
+            ) : (
+                <ol className="space-y-1">
+                    {edits.map((edit, index) => (
+                        <li key={edit.id} className={`flex flex-wrap items-center gap-2 rounded-lg px-2 py-1 ${colors.row}`}>
+                            <span className={`font-mono ${colors.muted}`}>{index + 1}.</span>
+                            <span className="min-w-[8rem]" title={describeEdit(edit)}>{EDIT_LABELS[edit.type]}</span>
+                            {renderControls(edit)}
+                            <div className="flex items-center gap-1 ml-auto">
+                                <button type="button" onClick={() => moveEdit(edit.id, -1)} disabled={disabled || index === 0} className={iconButton} title="Apply earlier">
+                                    <ArrowUp size={14} />
+                                </button>
+                                <button type="button" onClick={() => moveEdit(edit.id, 1)} disabled={disabled || index === edits.length - 1} className={iconButton} title="Apply later">
+                                    <ArrowDown size={14} />
+                                </button>
+                                <button type="button" onClick={() => removeEdit(edit.id)} disabled={disabled} className={iconButton} title="Remove edit">
+                                    <Trash2 size={14} />
+                                </button>
+                            </div>
+                        </li>
+                    ))}
+                </ol>
+            )}
+
+            {editError && <p className={colors.error}>{editError}</p>}
+        </div>
+    );
+};
+
+export default AudioEditPanel;
@@ -1,7 +1,31 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useContext, useMemo } from 'react';
+import * as Tone from 'tone';
 import * as THREE from 'three';
-import { Upload, Play, Pause, Power, Loader2, Volume2, Download, Settings } from 'lucide-react';
+import { AudioContext } from '../contexts/AudioContext';
+import { registerNode, unregisterNode } from '../utils/audioEngine';
+import { exportAudioBuffer, DEFAULT_EXPORT_SETTINGS } from '../utils/audioExport';
+import { downloadBlob } from '../utils/downloadUtils';
+import useExportJob from '../hooks/useExportJob';
+import useRegionPlayback from '../hooks/useRegionPlayback';
+import useAudioEdits from '../hooks/useAudioEdits';
+import useStudioProject from '../hooks/useStudioProject';
+import useUrlState from '../hooks/useUrlState';
+import useParamHistory from '../hooks/useParamHistory';
+import useUserPresets from '../hooks/useUserPresets';
+import { createUrlSchema, urlParam } from '../utils/urlState';
+import { startLoopingBufferSource } from '../utils/audioRegion';
+import { applyEdits } from '../utils/audioEdits';
+import { renderOffline, getRenderDuration } from '../utils/offlineRenderer';
+import { LoudnessMeter } from '../utils/loudnessMeter';
+import { Upload, Play, Pause, Power, Loader2, Volume2, Download, Settings, X } from 'lucide-react';
 import SEOHead from './SEOHead';
+import ExportOptions from './ExportOptions';
+import LoudnessMeterPanel from './LoudnessMeterPanel';
+import LoudnessReport from './LoudnessReport';
+import WaveformOverview from './WaveformOverview';
+import AudioEditPanel from './AudioEditPanel';
+import ProjectPanel from './ProjectPanel';
+import PresetPanel from './PresetPanel';
 
 // Define the tool object for SEO structured data
 const bassBoosterStudioTool = {
@@ -18,10 +42,23 @@ const bassBoosterStudioTool = {
     ]
 };
 
+// Parameters kept in the URL (the keys of the project parameters), so a link reopens them
+const URL_SCHEMA = createUrlSchema({
+    params: {
+        isFilterActive: urlParam.boolean(),
+        frequency: urlParam.number({ min: 40, max: 200 }),
+        boost: urlParam.number({ min: 0, max: 24 }),
+        subBoost: urlParam.number({ min: 0, max: 20 }),
+        masterVolume: urlParam.number({ min: 0, max: 1.5 }),
+    },
+});
+
 // --- Enhanced Custom Hook for Advanced Bass Boosting Logic ---
 // --- Enhanced Custom Hook for Advanced Bass Boosting Logic ---
 const useBassBooster = () => {
-    // Refs for Web Audio API nodes
+    const { startGlobalAudio } = useContext(AudioContext);
+
+    // Refs for Web Audio API nodes (created on the shared engine's raw context)
     const audioContextRef = useRef(null);
     const sourceNodeRef = useRef(null);
     const audioBufferRef = useRef(null);
@@ -35,13 +72,16 @@ const useBassBooster = () => {
     const masterGainNodeRef = useRef(null);
     const wetGainNodeRef = useRef(null);
     const dryGainNodeRef = useRef(null);
+    // Loudness meter on the output; kept across playbacks so integrated loudness accumulates
+    const loudnessMeterRef = useRef(null);
     
     // State management
     const [isReady, setIsReady] = useState(false);
     const [isPlaying, setIsPlaying] = useState(false);
     const [isLoading, setIsLoading] = useState(false);
-    const [isRendering, setIsRendering] = useState(false);
+    const { isExporting: isRendering, exportProgress: renderProgress, runExport, cancelExport: cancelRender } = useExportJob();
     const [error, setError] = useState(null);
+    const [fileName, setFileName] = useState('');
     
     // Audio parameter state
     const [isFilterActive, setIsFilterActive] = useState(true);
@@ -49,6 +89,22 @@ const useBassBooster = () => {
     const [boost, setBoost] = useState(15);
     const [subBoost, setSubBoost] = useState(8);
     const [masterVolume, setMasterVolume] = useState(0.75);
+    const [exportSettings, setExportSettings] = useState(DEFAULT_EXPORT_SETTINGS); // Download format, quality and sample rate
+    const [exportReport, setExportReport] = useState(null); // Loudness of the last exported file
+
+    // Disconnects the live processing graph and clears all node references
+    const disconnectGraph = useCallback(() => {
+        [
+            analyserNodeRef, primaryBassFilterRef, secondaryBassFilterRef, subBassFilterRef,
+            compressorNodeRef, masterGainNodeRef, wetGainNodeRef, dryGainNodeRef
+        ].forEach(nodeRef => {
+            if (nodeRef.current) {
+                nodeRef.current.disconnect();
+                unregisterNode(nodeRef.current);
+                nodeRef.current = null;
+            }
+        });
+    }, []);
 
     // Cleanup function to stop audio and disconnect nodes
     const cleanupAudio = useCallback(() => {
@@ -56,30 +112,25 @@ const useBassBooster = () => {
             try {
                 sourceNodeRef.current.stop();
                 sourceNodeRef.current.disconnect();
+                unregisterNode(sourceNodeRef.current);
             } catch (e) {
                 // Source may already be stopped
             }
             sourceNodeRef.current = null;
         }
         
-        // Clear all node references
-        analyserNodeRef.current = null;
-        primaryBassFilterRef.current = null;
-        secondaryBassFilterRef.current = null;
-        subBassFilterRef.current = null;
-        compressorNodeRef.current = null;
-        masterGainNodeRef.current = null;
-        wetGainNodeRef.current = null;
-        dryGainNodeRef.current = null;
-        
-        if (audioContextRef.current && audioContextRef.current.state !== 'closed') {
-            audioContextRef.current.close();
-            audioContextRef.current = null;
+        disconnectGraph();
+        if (loudnessMeterRef.current) {
+            loudnessMeterRef.current.dispose();
+            loudnessMeterRef.current = null;
         }
-        
+
+        // The context belongs to the shared audio engine, so it is released, never closed
+        audioContextRef.current = null;
+
         setIsPlaying(false);
         setIsReady(false);
-    }, []);
+    }, [disconnectGraph]);
 
     // Audio cleanup on unmount and page unload
     useEffect(() => {
@@ -131,8 +182,11 @@ const useBassBooster = () => {
         const masterGain = context.createGain();
         masterGain.gain.value = masterVolume;
 
+        // Bypass crossfades between the processed (wet) and untouched (dry) signal
         const wetGain = context.createGain();
+        wetGain.gain.value = isFilterActive ? 1 : 0;
         const dryGain = context.createGain();
+        dryGain.gain.value = isFilterActive ? 0 : 1;
 
         // Connect main audio graph
         source.connect(analyser);
@@ -149,10 +203,21 @@ const useBassBooster = () => {
         analyser.connect(dryGain);
         dryGain.connect(masterGain);
 
-        masterGain.connect(context.destination);
+        // Live playback goes through the shared master bus; offline renders go straight to their destination
+        if (context === audioContextRef.current) {
+            Tone.connect(masterGain, Tone.getDestination());
+            if (!loudnessMeterRef.current) {
+                loudnessMeterRef.current = registerNode(new LoudnessMeter());
+            }
+            Tone.connect(masterGain, loudnessMeterRef.current);
+        } else {
+            masterGain.connect(context.destination);
+        }
 
         // Store references for live playback
-        if (context instanceof AudioContext) {
+        if (context === audioContextRef.current) {
+            [analyser, primaryBassFilter, secondaryBassFilter, subBassFilter, compressor, masterGain, wetGain, dryGain]
+                .forEach(node => registerNode(node));
             primaryBassFilterRef.current = primaryBassFilter;
             secondaryBassFilterRef.current = secondaryBassFilter;
             subBassFilterRef.current = subBassFilter;
@@ -162,13 +227,49 @@ const useBassBooster = () => {
             wetGainNodeRef.current = wetGain;
             dryGainNodeRef.current = dryGain;
         }
-        
-        return { wetGain, dryGain };
 
-    }, [frequency, boost, subBoost, masterVolume]);
+    }, [frequency, boost, subBoost, masterVolume, isFilterActive]);
+
+    // Stops and releases the current buffer source, if any
+    const stopSource = useCallback(() => {
+        if (sourceNodeRef.current) {
+            try {
+                sourceNodeRef.current.stop();
+                sourceNodeRef.current.disconnect();
+                unregisterNode(sourceNodeRef.current);
+            } catch {
+                // Source may already be stopped
+            }
+            sourceNodeRef.current = null;
+        }
+    }, []);
+
+    // Play position, seeking and the looped/exported region of the file. Buffer sources
+    // play only once, so every start builds a new source and graph.
+    const playback = useRegionPlayback({
+        startSource: (offset, bounds, buffer) => {
+            stopSource();
+            disconnectGraph();
+            const source = registerNode(audioContextRef.current.createBufferSource());
+            source.buffer = buffer;
+            sourceNodeRef.current = source;
+            setupAudioGraph(audioContextRef.current, source);
+            return startLoopingBufferSource(source, offset, bounds);
+        },
+        stopSource,
+    });
+    const { play: startPlayback, stop: stopPlayback, loadBuffer, replaceBuffer, getExportBuffer } = playback;
+
+    // Non-destructive edits of the file; playback and the waveform follow the edited audio
+    const audioEdits = useAudioEdits();
+    const { setSourceBuffer, edits, editedBuffer } = audioEdits;
+    useEffect(() => {
+        if (editedBuffer) replaceBuffer(editedBuffer);
+    }, [editedBuffer, replaceBuffer]);
 
     const loadAudioFile = useCallback(async (file) => {
-        if (!file) return;
+        if (!file) return false;
+        setFileName(file.name);
         setIsLoading(true);
         setError(null);
         
@@ -178,6 +279,7 @@ const useBassBooster = () => {
                 try {
                     sourceNodeRef.current.stop();
                     sourceNodeRef.current.disconnect();
+                    unregisterNode(sourceNodeRef.current);
                 } catch (e) {
                     // Source may already be stopped
                 }
@@ -187,14 +289,9 @@ const useBassBooster = () => {
         setIsReady(false);
 
         try {
-            // Close existing context if it exists
-            if (audioContextRef.current && audioContextRef.current.state !== 'closed') {
-                await audioContextRef.current.close();
-            }
-            
-            // Create new context
-            audioContextRef.current = new (window.AudioContext || window.webkitAudioContext)();
-            await audioContextRef.current.resume();
+            // Use the shared audio engine's context instead of a private one
+            await startGlobalAudio();
+            audioContextRef.current = Tone.getContext().rawContext;
 
             const arrayBuffer = await file.arrayBuffer();
             
@@ -203,7 +300,10 @@ const useBassBooster = () => {
             }
 
             audioBufferRef.current = await audioContextRef.current.decodeAudioData(arrayBuffer);
+            loadBuffer(audioBufferRef.current);
+            setSourceBuffer(audioBufferRef.current);
             setIsReady(true);
+            return true;
         } catch (e) {
             console.error("Error decoding audio data:", e);
             let friendlyError = "Couldn't process this audio file. Please try a different file (MP3, WAV, FLAC are best).";
@@ -213,154 +313,68 @@ const useBassBooster = () => {
                 friendlyError = e.message;
             }
             setError(friendlyError);
+            return false;
         } finally {
             setIsLoading(false);
         }
-    }, [isPlaying]);
+    }, [isPlaying, startGlobalAudio, loadBuffer, setSourceBuffer]);
 
     const togglePlayback = useCallback(async () => {
         if (!isReady || isLoading) return;
         
-        if (!audioContextRef.current || audioContextRef.current.state === 'closed') {
+        if (!audioContextRef.current) {
             setError("Audio context is not available. Please reload the audio file.");
             return;
         }
         
-        await audioContextRef.current.resume();
+        await startGlobalAudio();
 
         if (isPlaying) {
-            if (sourceNodeRef.current) {
-                try {
-                    sourceNodeRef.current.stop();
-                    sourceNodeRef.current.disconnect();
-                } catch (e) {
-                    // Source may already be stopped
-                }
-                sourceNodeRef.current = null;
-            }
+            stopPlayback();
             setIsPlaying(false);
         } else {
-            sourceNodeRef.current = audioContextRef.current.createBufferSource();
-            sourceNodeRef.current.buffer = audioBufferRef.current;
-            sourceNodeRef.current.loop = true;
-
-            const { wetGain, dryGain } = setupAudioGraph(audioContextRef.current, sourceNodeRef.current);
-            
-            if (isFilterActive) {
-                wetGain.gain.value = 1;
-                dryGain.gain.value = 0;
-            } else {
-                wetGain.gain.value = 0;
-                dryGain.gain.value = 1;
-            }
-
-            sourceNodeRef.current.start();
-            sourceNodeRef.current.onended = () => {
-                setIsPlaying(false);
-                sourceNodeRef.current = null;
-            };
+            startPlayback();
             setIsPlaying(true);
         }
-    }, [isReady, isLoading, isPlaying, setupAudioGraph, isFilterActive]);
+    }, [isReady, isLoading, isPlaying, startGlobalAudio, startPlayback, stopPlayback]);
     
     const downloadProcessedAudio = useCallback(async () => {
         if (!audioBufferRef.current || isRendering) return;
-        setIsRendering(true);
         setError(null);
 
         try {
-            const offlineContext = new OfflineAudioContext(
-                audioBufferRef.current.numberOfChannels,
-                audioBufferRef.current.length,
-                audioBufferRef.current.sampleRate
-            );
-
-            const offlineSource = offlineContext.createBufferSource();
-            offlineSource.buffer = audioBufferRef.current;
-
-            const { wetGain, dryGain } = setupAudioGraph(offlineContext, offlineSource);
-
-            if (isFilterActive) {
-                wetGain.gain.value = 1;
-                dryGain.gain.value = 0;
-            } else {
-                wetGain.gain.value = 1;
-                dryGain.gain.value = 1;
-            }
-            
-            offlineSource.start();
-            const renderedBuffer = await offlineContext.startRendering();
-            
-            const wavBlob = bufferToWave(renderedBuffer);
-            
-            const url = URL.createObjectURL(wavBlob);
-            const a = document.createElement('a');
-            a.style.display = 'none';
-            a.href = url;
-            a.download = `bass-enhanced-track.wav`;
-            document.body.appendChild(a);
-            a.click();
-            window.URL.revokeObjectURL(url);
-            a.remove();
-
+            await runExport(async ({ signal, onRenderProgress, onEncodeProgress }) => {
+                const audioBuffer = getExportBuffer(applyEdits(audioBufferRef.current, edits));
+
+                // Render through the same graph as playback
+                const renderedBuffer = await renderOffline((context) => {
+                    const offlineSource = context.rawContext.createBufferSource();
+                    offlineSource.buffer = audioBuffer;
+                    setupAudioGraph(context.rawContext, offlineSource);
+                    offlineSource.start();
+                }, {
+                    duration: getRenderDuration(audioBuffer),
+                    channels: audioBuffer.numberOfChannels,
+                    sampleRate: audioBuffer.sampleRate,
+                    onProgress: onRenderProgress,
+                    signal,
+                });
+
+                const { blob, extension, loudness, notice } = await exportAudioBuffer(renderedBuffer, {
+                    ...exportSettings,
+                    onProgress: onEncodeProgress,
+                    signal,
+                    metadata: { title: 'Bass Enhanced Track', software: 'LyriLab Bass Booster Studio' },
+                });
+                const fileName = `bass-enhanced-track.${extension}`;
+                downloadBlob(blob, fileName);
+                setExportReport({ loudness, fileName, notice });
+            });
         } catch(e) {
             console.error("Error rendering audio:", e);
             setError("Failed to render audio for download.");
-        } finally {
-            setIsRendering(false);
-        }
-    }, [audioBufferRef, isRendering, setupAudioGraph, isFilterActive]);
-
-    function bufferToWave(abuffer) {
-        let numOfChan = abuffer.numberOfChannels,
-            length = abuffer.length * numOfChan * 2 + 44,
-            buffer = new ArrayBuffer(length),
-            view = new DataView(buffer),
-            channels = [], i, sample,
-            offset = 0,
-            pos = 0;
-
-        setUint32(0x46464952);
-        setUint32(length - 8);
-        setUint32(0x45564157);
-
-        setUint32(0x20746d66);
-        setUint32(16);
-        setUint16(1);
-        setUint16(numOfChan);
-        setUint32(abuffer.sampleRate);
-        setUint32(abuffer.sampleRate * 2 * numOfChan);
-        setUint16(numOfChan * 2);
-        setUint16(16);
-
-        setUint32(0x61746164);
-        setUint32(length - pos - 4);
-
-        for(i = 0; i < abuffer.numberOfChannels; i++)
-            channels.push(abuffer.getChannelData(i));
-
-        while(pos < length) {
-            for(i = 0; i < numOfChan; i++) {
-                sample = Math.max(-1, Math.min(1, channels[i][offset]));
-                sample = (0.5 + sample < 0 ? sample * 32768 : sample * 32767) | 0;
-                view.setInt16(pos, sample, true);
-                pos += 2;
-            }
-            offset++
         }
-
-        function setUint16(data) {
-            view.setUint16(pos, data, true);
-            pos += 2;
-        }
-
-        function setUint32(data) {
-            view.setUint32(pos, data, true);
-            pos += 4;
-        }
-
-        return new Blob([buffer], {type: "audio/wav"});
-    }
+    }, [audioBufferRef, isRendering, runExport, setupAudioGraph, exportSettings, getExportBuffer, edits]);
 
     // Update filter parameters in real-time
     useEffect(() => {
@@ -404,9 +418,47 @@ const useBassBooster = () => {
         return new Uint8Array(256).fill(0);
     }, [isPlaying]);
 
+    const getLoudnessMeter = useCallback(() => loudnessMeterRef.current, []);
+
+    // Parameter values saved in the project (see useStudioProject)
+    const projectParams = useMemo(() => ({
+        isFilterActive,
+        frequency,
+        boost,
+        subBoost,
+        masterVolume,
+    }), [isFilterActive, frequency, boost, subBoost, masterVolume]);
+
+    const applyProjectParams = useCallback((params) => {
+        if (typeof params.isFilterActive === 'boolean') setIsFilterActive(params.isFilterActive);
+        if (params.frequency > 0) setFrequency(params.frequency);
+        if (params.boost >= 0) setBoost(params.boost);
+        if (params.subBoost >= 0) setSubBoost(params.subBoost);
+        if (params.masterVolume >= 0) setMasterVolume(params.masterVolume);
+    }, []);
+
+    // Keeps the bass settings in the URL; a link's settings win over the last project's
+    const { hasUrlState } = useUrlState(URL_SCHEMA, projectParams, applyProjectParams);
+    useParamHistory(projectParams, applyProjectParams);
+    const userPresets = useUserPresets({
+        tool: 'bass-booster-studio', schema: URL_SCHEMA, params: projectParams, applyParams: applyProjectParams,
+    });
+
+    // Saves the file, parameters and edits as a project and restores it on the next visit
+    const project = useStudioProject({
+        studio: 'bass-booster-studio',
+        params: projectParams,
+        applyParams: applyProjectParams,
+        audioEdits,
+        loadFile: loadAudioFile,
+        restoreParams: !hasUrlState,
+    });
+
     return {
-        loadAudioFile, togglePlayback, getFrequencyData, downloadProcessedAudio,
-        isReady, isPlaying, isLoading, isRendering, error,
+        userPresets,
+        loadAudioFile, togglePlayback, getFrequencyData, downloadProcessedAudio, exportSettings, setExportSettings,
+        isReady, isPlaying, isLoading, isRendering, renderProgress, cancelRender, error, fileName,
+        getLoudnessMeter, exportReport, playback, audioEdits, project,
         isFilterActive, setIsFilterActive,
         frequency, setFrequency,
         boost, setBoost,
@@ -567,17 +619,18 @@ const BassVisualizer = ({ getFrequencyData, boost, subBoost, isPlaying }) => {
 // --- Main Studio Component ---
 export default function BassBoosterStudio() {
     const {
-        loadAudioFile, togglePlayback, getFrequencyData, downloadProcessedAudio,
-        isReady, isPlaying, isLoading, isRendering, error,
+        togglePlayback, getFrequencyData, downloadProcessedAudio, exportSettings, setExportSettings,
+        isReady, isPlaying, isLoading, isRendering, renderProgress, cancelRender, error, fileName,
+        getLoudnessMeter, exportReport, playback, audioEdits, project,
         isFilterActive, setIsFilterActive,
         frequency, setFrequency,
         boost, setBoost,
         subBoost, setSubBoost,
         masterVolume, setMasterVolume,
+        userPresets,
     } = useBassBooster();
 
     const fileInputRef = useRef(null);
-    const [fileName, setFileName] = useState('');
     const [showAdvanced, setShowAdvanced] = useState(false);
 
     const presets = {
@@ -598,8 +651,7 @@ export default function BassBoosterStudio() {
     const handleFileChange = (e) => {
         const file = e.target.files[0];
         if (file) {
-            setFileName(file.name);
-            loadAudioFile(file);
+            project.openFile(file);
         }
     };
 
@@ -636,6 +688,9 @@ export default function BassBoosterStudio() {
                                 <span className="text-sm text-gray-500 mt-1">MP3, WAV, FLAC, OGG supported</span>
                             </button>
                             <input type="file" ref={fileInputRef} onChange={handleFileChange} accept="audio/*" className="hidden" />
+                            <div className="mt-6 text-left bg-gradient-to-r from-cyan-900/20 to-blue-900/20 p-6 rounded-xl border border-cyan-500/20">
+                                <ProjectPanel project={project} theme="dark" />
+                            </div>
                         </div>
                     )}
 
@@ -707,6 +762,21 @@ export default function BassBoosterStudio() {
                                     {isRendering ? <Loader2 size={20} className="animate-spin"/> : <Download size={20} />}
                                 </button>
 
+                                {isRendering && (
+                                    <>
+                                        <span className="text-sm text-cyan-300 tabular-nums">{renderProgress}%</span>
+                                        <button 
+                                            onClick={cancelRender} 
+                                            title="Cancel Download" 
+                                            className="p-3 bg-gray-700 rounded-full hover:bg-red-600 transition-colors"
+                                        >
+                                            <X size={20} />
+                                        </button>
+                                    </>
+                                )}
+
+                                <ExportOptions settings={exportSettings} onChange={setExportSettings} disabled={isRendering} />
+
                                 <button 
                                     onClick={() => setShowAdvanced(p => !p)} 
                                     title="Advanced Settings" 
@@ -716,6 +786,32 @@ export default function BassBoosterStudio() {
                                 </button>
                             </div>
 
+                            {/* Projects */}
+                            <div className="bg-gradient-to-r from-cyan-900/20 to-blue-900/20 p-6 rounded-xl border border-cyan-500/20">
+                                <ProjectPanel project={project} disabled={isLoading || isRendering} theme="dark" />
+                            </div>
+
+                            {/* User Presets */}
+                            <div className="bg-gradient-to-r from-cyan-900/20 to-blue-900/20 p-6 rounded-xl border border-cyan-500/20">
+                                <PresetPanel presets={userPresets} disabled={isLoading || isRendering} theme="dark" />
+                            </div>
+
+                            {/* Waveform */}
+                            <div className="bg-gradient-to-r from-cyan-900/20 to-blue-900/20 p-6 rounded-xl border border-cyan-500/20">
+                                <WaveformOverview playback={playback} disabled={isLoading} theme="dark" />
+                            </div>
+
+                            {/* Edits */}
+                            <div className="bg-gradient-to-r from-cyan-900/20 to-blue-900/20 p-6 rounded-xl border border-cyan-500/20">
+                                <AudioEditPanel audioEdits={audioEdits} playback={playback} disabled={isLoading} theme="dark" />
+                            </div>
+
+                            {/* Loudness */}
+                            <div className="bg-gradient-to-r from-cyan-900/20 to-blue-900/20 p-6 rounded-xl border border-cyan-500/20 space-y-3">
+                                <LoudnessMeterPanel getMeter={getLoudnessMeter} theme="dark" />
+                                <LoudnessReport loudness={exportReport?.loudness} fileName={exportReport?.fileName} notice={exportReport?.notice} theme="dark" />
+                            </div>
+
                             {/* Bass Enhancement Section */}
                             <div className="bg-gradient-to-r from-cyan-900/20 to-blue-900/20 p-6 rounded-xl border border-cyan-500/20">
                                 <h3 className="text-lg font-semibold text-cyan-300 mb-4 flex items-center gap-2">
@@ -1,121 +1,16 @@
 import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
-import * as Tone from 'tone';
+import { PIANO_VOICES } from '../utils/pianoVoices';
+import { createUrlSchema, urlParam } from '../utils/urlState';
+import usePianoSynth from '../hooks/usePianoSynth';
+import useUrlState from '../hooks/useUrlState';
+import useParamHistory from '../hooks/useParamHistory';
+import useMidiInput from '../hooks/useMidiInput';
 import { Volume2, VolumeX, Music, Play } from 'lucide-react';
 import SEOHead from './SEOHead';
+import MidiInputControls from './MidiInputControls';
+import PianoVoiceSelect from './PianoVoiceSelect';
 
 
-// --- usePianoSynth Hook ---
-const usePianoSynth = (initialVolume = 0.7, initialMuteState = false) => {
-    const synthRef = useRef(null);
-    const [isSynthMuted, setIsSynthMuted] = useState(initialMuteState);
-    const [synthVolume, setSynthVolume] = useState(initialVolume);
-    const [isAudioReady, setIsAudioReady] = useState(false);
-
-
-    const initializeAudio = useCallback(async () => {
-        try {
-            // Check Tone.context state before starting
-            if (Tone.context.state !== 'running') {
-                await Tone.start();
-                console.log('Tone.js audio context started.');
-            }
-
-            // Initialize synth only once
-            if (!synthRef.current) {
-                synthRef.current = new Tone.PolySynth(Tone.Synth, {
-                    oscillator: {
-                        partials: [1, 0, 2, 0, 3] // Classic piano-like partials
-                    },
-                    envelope: {
-                        attack: 0.006,
-                        decay: 4,
-                        sustain: 0.04,
-                        release: 1.2,
-                        attackCurve: "exponential"
-                    }
-                }).toDestination(); // Direct to speakers
-
-                // Apply initial volume and mute state
-                synthRef.current.volume.value = isSynthMuted ? -Infinity : Tone.gainToDb(synthVolume);
-                console.log("Tone.js PolySynth created and ready.");
-            }
-
-            setIsAudioReady(true);
-            return true;
-        } catch (error) {
-            console.error('Failed to initialize audio:', error);
-            setIsAudioReady(false);
-            return false;
-        }
-    }, [isSynthMuted, synthVolume]); // Re-create if these initial props change (rare for init)
-
-    // Effect to update synth volume when state changes
-    useEffect(() => {
-        if (synthRef.current) {
-            // Use Tone.js's rampTo for smooth volume changes
-            synthRef.current.volume.rampTo(isSynthMuted ? -Infinity : Tone.gainToDb(synthVolume), 0.1);
-        }
-    }, [synthVolume, isSynthMuted]);
-
-    // Cleanup: Dispose synth on component unmount
-    useEffect(() => {
-        return () => {
-            if (synthRef.current) {
-                synthRef.current.dispose();
-                synthRef.current = null; // Clear ref
-                console.log("Tone.js synth disposed.");
-            }
-        };
-    }, []); // Empty dependency array means this runs once on mount and unmount
-
-    const playNote = useCallback(async (note) => {
-        const audioInitialized = await initializeAudio();
-        if (!audioInitialized || !synthRef.current || isSynthMuted) {
-            console.warn("Cannot play note - audio not ready or muted.");
-            return;
-        }
-
-        try {
-            synthRef.current.triggerAttack(note, Tone.now()); // Play immediately with precise timing
-        } catch (error) {
-            console.error('Error playing note:', error);
-        }
-    }, [isSynthMuted, initializeAudio]); // Only re-create if these change
-
-    const stopNote = useCallback((note) => {
-        if (synthRef.current) {
-            try {
-                synthRef.current.triggerRelease(note, Tone.now()); // Release immediately with precise timing
-            } catch (error) {
-                console.error('Error stopping note:', error);
-            }
-        }
-    }, []); // No dependencies, always the same logic
-
-    const releaseAllNotes = useCallback(() => {
-        if (synthRef.current) {
-            synthRef.current.releaseAll();
-            console.log("All notes released.");
-        }
-    }, []); // No dependencies, always the same logic
-
-    const toggleMute = useCallback(() => {
-        setIsSynthMuted(prev => !prev);
-    }, []); // No dependencies, always the same logic
-
-    return {
-        playNote,
-        stopNote,
-        releaseAllNotes,
-        isAudioReady,
-        isSynthMuted,
-        toggleMute,
-        synthVolume,
-        setSynthVolume,
-        initializeAudio
-    };
-};
-
 // Define the tool object for SEO structured data 
     const chordExplorerTool = {
         id: 'chord-explorer',
@@ -147,6 +42,15 @@ const CHORDS = [
     { name: 'C Major 9th', notes: ['C4', 'E4', 'G4', 'B4', 'D5'], intervals: ['1', '3', '5', '7', '9'] },
 ];
 
+// Chord and volume kept in the URL, so a link reopens them
+const URL_SCHEMA = createUrlSchema({
+    params: {
+        chord: urlParam.oneOf(CHORDS.map(chord => chord.name)),
+        voice: urlParam.oneOf(Object.keys(PIANO_VOICES)),
+        volume: urlParam.number({ min: 0, max: 1, precision: 2 }),
+    },
+});
+
 const enharmonicMap = {
     'Db': 'C#',
     'Eb': 'D#',
@@ -333,45 +237,82 @@ const ChordHighlightApp = () => {
         playNote,
         stopNote,
         releaseAllNotes,
+        setPitchBend,
+        setModWheel,
+        setSustain,
+        playChord,
+        voice,
+        setVoice,
+        isLoadingSamples,
         isAudioReady,
         isSynthMuted,
         toggleMute,
         synthVolume,
-        setSynthVolume,
-        initializeAudio
+        setSynthVolume
     } = usePianoSynth(0.7, false);
 
+    const toolParams = { chord: selectedChord.name, voice, volume: synthVolume };
+    const toolParamSetters = {
+        chord: (name) => setSelectedChord(CHORDS.find(chord => chord.name === name)),
+        voice: setVoice,
+        volume: setSynthVolume,
+    };
+    useUrlState(URL_SCHEMA, toolParams, toolParamSetters);
+    useParamHistory(toolParams, toolParamSetters);
+
+    // Notes held on a MIDI keyboard, shown on the piano along with the chord
+    const [midiNotes, setMidiNotes] = useState(new Set());
+    const midi = useMidiInput({
+        onNoteOn: (note, velocity) => {
+            playNote(note, velocity);
+            setMidiNotes(prev => new Set(prev).add(note));
+        },
+        onNoteOff: (note) => {
+            stopNote(note);
+            setMidiNotes(prev => {
+                const next = new Set(prev);
+                next.delete(note);
+                return next;
+            });
+        },
+        onPitchBend: setPitchBend,
+        onModWheel: setModWheel,
+    });
+    const shownNotes = useMemo(() => new Set([...highlightedNotes, ...midiNotes]), [highlightedNotes, midiNotes]);
+    const { isSustainDown } = midi;
+
+    useEffect(() => {
+        setSustain(isSustainDown);
+    }, [isSustainDown, setSustain, voice]);
+
     useEffect(() => {
         const timer = setTimeout(() => setIsLoading(false), 1000);
         return () => clearTimeout(timer);
     }, []);
 
-    const playChordAudio = useCallback(async (chord) => {
-        const audioInitialized = await initializeAudio();
-        if (!audioInitialized) {
-            console.error('Audio initialization failed, cannot play chord.');
-            return;
-        }
+    // How many chords were played, and the timer clearing the last one's highlight
+    const lastChordRef = useRef({ count: 0, highlightTimer: null });
+    useEffect(() => {
+        const lastChord = lastChordRef.current;
+        return () => clearTimeout(lastChord.highlightTimer);
+    }, []);
 
+    const playChordAudio = useCallback(async (chord) => {
+        const lastChord = lastChordRef.current;
+        const count = ++lastChord.count;
+        clearTimeout(lastChord.highlightTimer);
         releaseAllNotes();
 
-        if (isAudioReady && !isSynthMuted) {
-            const notesToPlay = chord.notes.map(getStandardPianoNote);
-            setHighlightedNotes(new Set(notesToPlay));
-
-            notesToPlay.forEach(note => {
-                playNote(note);
-                setTimeout(() => stopNote(note), 1500);
-            });
+        const notesToPlay = chord.notes.map(getStandardPianoNote);
+        setHighlightedNotes(new Set(notesToPlay));
+        // Shown a little longer than it sounds, or briefly if audio isn't running
+        const isPlayed = await playChord(notesToPlay, { duration: 1.5 });
+        if (count !== lastChord.count) return; // Another chord took over
 
-            setTimeout(() => {
-                setHighlightedNotes(new Set());
-            }, 2000);
-        } else {
-            setHighlightedNotes(new Set(chord.notes.map(getStandardPianoNote)));
-            setTimeout(() => setHighlightedNotes(new Set()), 1000);
-        }
-    }, [initializeAudio, releaseAllNotes, isAudioReady, isSynthMuted, playNote, stopNote]);
+        lastChord.highlightTimer = setTimeout(() => {
+            setHighlightedNotes(new Set());
+        }, isPlayed ? 500 : 1000);
+    }, [releaseAllNotes, playChord]);
 
     useEffect(() => {
         if (selectedChord) {
@@ -379,10 +320,6 @@ const ChordHighlightApp = () => {
         }
     }, [selectedChord, playChordAudio]);
 
-    useEffect(() => {
-        initializeAudio();
-    }, [initializeAudio]);
-
     if (isLoading) {
         return (
             <div className="min-h-screen flex items-center justify-center"
@@ -435,7 +372,7 @@ const ChordHighlightApp = () => {
                 </div>
 
                 {/* Volume Controls */}
-                <div className="flex justify-center mb-6 z-10">
+                <div className="flex flex-wrap justify-center gap-4 mb-6 z-10">
                     <div className="flex items-center gap-3 bg-white/90 backdrop-blur-sm rounded-xl px-6 py-3 shadow-lg border border-indigo-200">
                         <button
                             onClick={toggleMute}
@@ -462,6 +399,12 @@ const ChordHighlightApp = () => {
                         />
                         <span className="text-sm text-indigo-700 w-8 font-medium">{Math.round(synthVolume * 100)}</span>
                     </div>
+                    <div className="flex items-center bg-white/90 backdrop-blur-sm rounded-xl px-6 py-3 shadow-lg border border-indigo-200">
+                        <PianoVoiceSelect voice={voice} onChange={setVoice} isLoading={isLoadingSamples} />
+                    </div>
+                    <div className="flex items-center bg-white/90 backdrop-blur-sm rounded-xl px-6 py-3 shadow-lg border border-indigo-200">
+                        <MidiInputControls midi={midi} />
+                    </div>
                 </div>
 
                 {/* Chord Selection */}
@@ -507,7 +450,7 @@ const ChordHighlightApp = () => {
                             <div className="bg-gradient-to-b from-gray-900 to-black p-3 sm:p-6 rounded-2xl shadow-inner border-2 border-gray-800">
                                 <div className="bg-black p-2 sm:p-4 rounded-xl relative">
                                     <PianoKeys
-                                        highlightedNotes={highlightedNotes}
+                                        highlightedNotes={shownNotes}
                                         playNote={playNote}
                                         stopNote={stopNote}
                                         isAudioReady={isAudioReady}
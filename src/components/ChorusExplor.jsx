@@ -1,7 +1,20 @@
-import React, { useState, useEffect, useRef, useCallback, createContext, useContext } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useContext } from 'react';
 import * as Tone from 'tone';
+import { AudioContext } from '../contexts/AudioContext';
+import { registerNode } from '../utils/audioEngine';
+import { ExplorerSource } from '../utils/explorerSources';
+import useExplorerSource from '../hooks/useExplorerSource';
+import { ABComparator } from '../utils/abCompare';
+import useABCompare from '../hooks/useABCompare';
+import { createUrlSchema, urlParam } from '../utils/urlState';
+import useUrlState from '../hooks/useUrlState';
+import useParamHistory from '../hooks/useParamHistory';
+import useUserPresets from '../hooks/useUserPresets';
 import { Play, Pause, Waves } from 'lucide-react';
 import SEOHead from './SEOHead';
+import SourceSelector from './SourceSelector';
+import ABCompareControls from './ABCompareControls';
+import PresetPanel from './PresetPanel';
 
 
 // Define the tool object for SEO structured data
@@ -19,60 +32,29 @@ const chorusExplorerTool = {
     ]
 };
 
-// Define the path to your C4 piano sample.
-const C4_PIANO_MP3_PATH = '/piano_samples/C4.mp3';
+// Source the explorer starts with; the user can switch it with the source selector.
+const DEFAULT_SOURCE = { type: 'demo', id: 'piano' };
 
-// --- AUDIO CONTEXT ---
-export const AudioContext = createContext(null);
 
-const AudioContextProvider = ({ children }) => {
-    const [isAudioGloballyReady, setIsAudioGloballyReady] = useState(false);
-
-    const startGlobalAudio = useCallback(async () => {
-        if (Tone.context.state !== 'running') {
-            try {
-                console.log('AudioContext: Attempting to start global Tone.js context...');
-                await Tone.start();
-                setIsAudioGloballyReady(true);
-                console.log('AudioContext: Tone.js context started and is running.');
-            } catch (error) {
-                console.error("AudioContext: Error starting Tone.js context:", error);
-                setIsAudioGloballyReady(false);
-            }
-        } else {
-            setIsAudioGloballyReady(true);
-            console.log('AudioContext: Tone.js context already running.');
-        }
-    }, []);
-
-    useEffect(() => {
-        const handleToneContextChange = () => {
-            if (Tone.context.state === 'running') {
-                setIsAudioGloballyReady(true);
-            } else {
-                setIsAudioGloballyReady(false);
-            }
-        };
-
-        Tone.context.on('statechange', handleToneContextChange);
-        handleToneContextChange();
-
-        return () => {
-            Tone.context.off('statechange', handleToneContextChange);
-        };
-    }, []);
-
-    return (
-        <AudioContext.Provider value={{ isAudioGloballyReady, startGlobalAudio }}>
-            {children}
-        </AudioContext.Provider>
-    );
-};
+// Chorus settings kept in the URL, so a link reopens them
+const URL_SCHEMA = createUrlSchema({
+    params: {
+        frequency: urlParam.number({ min: 0.1, max: 10 }),
+        depth: urlParam.number({ min: 0, max: 1 }),
+        feedback: urlParam.number({ min: 0, max: 0.95 }),
+        wet: urlParam.number({ min: 0, max: 1 }),
+    },
+});
 
 // --- useChorusSynth Hook ---
 const useChorusSynth = () => {
     const { isAudioGloballyReady, startGlobalAudio } = useContext(AudioContext);
-    const playerRef = useRef(null);
+    const sourceRef = useRef(null);
+    const { selectedSource, selectSource, selectFile, isLoadingSource, sourceError, loadSelectedSource, liveInput } = useExplorerSource(sourceRef, DEFAULT_SOURCE);
+    const comparatorRef = useRef(null); // A/B switch between the bypass and processed signals
+    const getComparator = useCallback(() => comparatorRef.current, []);
+    const abCompare = useABCompare(getComparator);
+    const { syncComparator } = abCompare;
     const chorusRef = useRef(null);
     const waveformAnalyserRef = useRef(null);
     const hasInitializedRef = useRef(false);
@@ -86,8 +68,21 @@ const useChorusSynth = () => {
     const [chorusFeedback, setChorusFeedback] = useState(0.1);
     const [chorusWet, setChorusWet] = useState(0.5);
 
+    const toolParams = { frequency: chorusFreq, depth: chorusDepth, feedback: chorusFeedback, wet: chorusWet };
+    const toolParamSetters = { frequency: setChorusFreq, depth: setChorusDepth, feedback: setChorusFeedback, wet: setChorusWet };
+    useUrlState(URL_SCHEMA, toolParams, toolParamSetters);
+    useParamHistory(toolParams, toolParamSetters);
+    const userPresets = useUserPresets({
+        tool: 'chorus-explorer', schema: URL_SCHEMA, params: toolParams, applyParams: toolParamSetters,
+    });
+
+    // Latest parameters, so the nodes start with them without initAudioNodes depending on them
+    const paramsRef = useRef(null);
+    paramsRef.current = { chorusDepth, chorusFeedback, chorusFreq, chorusWet };
+
     // FIXED: Separate initialization from parameter updates
     const initAudioNodes = useCallback(async () => {
+        const { chorusDepth, chorusFeedback, chorusFreq, chorusWet } = paramsRef.current;
         if (hasInitializedRef.current) {
             console.log('useChorusSynth: initAudioNodes: already initialized, skipping init.');
             return;
@@ -95,20 +90,20 @@ const useChorusSynth = () => {
 
         console.log(`useChorusSynth: initAudioNodes called. isAudioGloballyReady: ${isAudioGloballyReady}`);
 
-        if (isAudioGloballyReady && !playerRef.current) {
-            console.log('useChorusSynth: Proceeding with initialization of audio nodes and loading MP3...');
+        if (isAudioGloballyReady && !sourceRef.current) {
+            console.log('useChorusSynth: Proceeding with initialization of audio nodes and loading the audio source...');
             try {
-                const player = new Tone.Player({
-                    url: C4_PIANO_MP3_PATH,
-                    loop: true,
-                    autostart: false,
-                    volume: -10
-                });
-                await player.load(C4_PIANO_MP3_PATH);
-                console.log('useChorusSynth: Piano sample loaded successfully.');
+                // Create the switchable source (demo loop, user file or generator)
+                const source = registerNode(new ExplorerSource({ volume: -10 }));
+                await loadSelectedSource(source);
+                console.log('useChorusSynth: Audio source loaded successfully.');
+
+                // A/B comparison: the bypass path taps the source ahead of the effect
+                const comparator = registerNode(new ABComparator()).toDestination();
+                source.connect(comparator.dry);
 
                 // Initialize Chorus effect with initial values
-                const chorus = new Tone.Chorus({
+                const chorus = registerNode(new Tone.Chorus({
                     frequency: chorusFreq,
                     delayTime: 3.5,
                     depth: chorusDepth,
@@ -116,17 +111,19 @@ const useChorusSynth = () => {
                     spread: 180,
                     feedback: chorusFeedback,
                     wet: chorusWet,
-                });
+                }));
 
-                const waveformAnalyser = new Tone.Analyser("waveform", 1024);
+                const waveformAnalyser = registerNode(new Tone.Analyser("waveform", 1024));
 
                 chorus.bypass = false;
 
                 // Chain the effects
-                player.chain(chorus, waveformAnalyser, Tone.Destination);
+                source.chain(chorus, waveformAnalyser, comparator);
 
                 // Store references
-                playerRef.current = player;
+                sourceRef.current = source;
+                comparatorRef.current = comparator;
+                syncComparator();
                 chorusRef.current = chorus;
                 waveformAnalyserRef.current = waveformAnalyser;
 
@@ -135,27 +132,31 @@ const useChorusSynth = () => {
                 console.log('useChorusSynth: Audio nodes initialized and connected.');
 
             } catch (error) {
-                console.error("useChorusSynth: Error initializing audio nodes or loading MP3:", error);
+                console.error("useChorusSynth: Error initializing audio nodes or loading the audio source:", error);
                 setIsAudioReady(false);
                 hasInitializedRef.current = false;
             }
         } else {
             console.log("useChorusSynth: initAudioNodes skipped. Not globally ready or player already exists.");
         }
-    }, [isAudioGloballyReady]); // FIXED: Removed chorus parameters from dependencies
+    }, [isAudioGloballyReady, loadSelectedSource, syncComparator]); // FIXED: Removed chorus parameters from dependencies
 
     const disposeAudioNodes = useCallback(() => {
-        console.log(`useChorusSynth: disposeAudioNodes called. playerRef.current: ${playerRef.current}`);
-        if (playerRef.current) {
+        console.log(`useChorusSynth: disposeAudioNodes called. sourceRef.current: ${sourceRef.current}`);
+        if (sourceRef.current) {
             console.log('useChorusSynth: Disposing audio nodes...');
-            if (playerRef.current.state === 'started') {
-                playerRef.current.stop();
+            if (sourceRef.current.state === 'started') {
+                sourceRef.current.stop();
             }
-            playerRef.current.dispose();
+            sourceRef.current.dispose();
             if (chorusRef.current) chorusRef.current.dispose();
             if (waveformAnalyserRef.current) waveformAnalyserRef.current.dispose();
 
-            playerRef.current = null;
+            sourceRef.current = null;
+            if (comparatorRef.current) {
+                comparatorRef.current.dispose();
+                comparatorRef.current = null;
+            }
             chorusRef.current = null;
             waveformAnalyserRef.current = null;
 
@@ -207,14 +208,14 @@ const useChorusSynth = () => {
             await initAudioNodes();
         }
 
-        if (playerRef.current && isAudioReady) {
+        if (sourceRef.current && isAudioReady) {
             try {
                 if (isPlaying) {
-                    playerRef.current.stop();
+                    sourceRef.current.stop();
                     setIsPlaying(false);
                     console.log('togglePlay: Audio stopped.');
                 } else {
-                    playerRef.current.start();
+                    sourceRef.current.start();
                     setIsPlaying(true);
                     console.log('togglePlay: Audio started.');
                 }
@@ -234,6 +235,8 @@ const useChorusSynth = () => {
     }, []);
 
     return {
+        userPresets,
+        selectedSource, selectSource, selectFile, isLoadingSource, sourceError, liveInput, abCompare,
         isPlaying,
         togglePlay,
         isAudioReady,
@@ -363,6 +366,7 @@ const ParameterSlider = ({ label, value, setter, min, max, step, explanation, un
 // --- ChorusExplorerContent Component ---
 const ChorusExplorerContent = () => {
     const {
+        selectedSource, selectSource, selectFile, isLoadingSource, sourceError, liveInput, abCompare,
         isPlaying, togglePlay,
         isAudioReady,
         chorusFreq, setChorusFreq,
@@ -370,6 +374,7 @@ const ChorusExplorerContent = () => {
         chorusFeedback, setChorusFeedback,
         chorusWet, setChorusWet,
         getWaveformData,
+        userPresets,
     } = useChorusSynth();
 
     const visualizerWidth = 700;
@@ -416,7 +421,7 @@ const ChorusExplorerContent = () => {
                     </div>
                     {!isAudioReady && (
                         <p className="text-indigo-700 text-sm mt-4 animate-pulse">
-                            Click "Play Piano Loop" to activate audio and begin.
+                            Click "Play Audio Loop" to activate audio and begin.
                         </p>
                     )}
                 </div>
@@ -435,9 +440,21 @@ const ChorusExplorerContent = () => {
                         `}
                     >
                         {isPlaying ? <Pause size={24} /> : <Play size={24} />}
-                        {isPlaying ? "Stop Piano Loop" : "Play Piano Loop"}
+                        {isPlaying ? "Stop Audio Loop" : "Play Audio Loop"}
                     </button>
 
+                    {/* Audio Source */}
+                    <SourceSelector
+                        selectedSource={selectedSource}
+                        onSelect={selectSource}
+                        onFile={selectFile}
+                        isLoading={isLoadingSource}
+                        error={sourceError}
+                        liveInput={liveInput}
+                    />
+                    <ABCompareControls abCompare={abCompare} disabled={!isAudioReady} />
+                    <PresetPanel presets={userPresets} />
+
                     {/* Waveform Visualizer */}
                     <div className="w-full flex justify-center mt-8">
                         {isAudioReady && getWaveformData ? (
@@ -521,11 +538,9 @@ class ErrorBoundary extends React.Component {
 
 const ChorusExplorer = () => {
     return (
-        <AudioContextProvider>
-            <ErrorBoundary>
-                <ChorusExplorerContent />
-            </ErrorBoundary>
-        </AudioContextProvider>
+        <ErrorBoundary>
+            <ChorusExplorerContent />
+        </ErrorBoundary>
     );
 }
 
@@ -1,6 +1,9 @@
 import React, { useState, useEffect } from 'react';
 import { ChevronRight, ChevronLeft, Play, Pause, RotateCcw, Volume2, BookOpen, Zap, Music } from 'lucide-react';
 import SEOHead from './SEOHead';
+import { createUrlSchema, urlParam } from '../utils/urlState';
+import useUrlState from '../hooks/useUrlState';
+import useParamHistory from '../hooks/useParamHistory';
 
 // Define the tool object for SEO structured data
 const circleOfFifthsTool = {
@@ -17,6 +20,14 @@ const circleOfFifthsTool = {
     ]
 };
 
+// Selected key (by its major name) and view kept in the URL, so a link reopens them
+const URL_SCHEMA = createUrlSchema({
+    params: {
+        key: urlParam.string({ maxLength: 8 }),
+        advanced: urlParam.boolean(),
+    },
+});
+
 const CircleOfFifths = () => {
     const [selectedKey, setSelectedKey] = useState(null);
     const [isAnimating, setIsAnimating] = useState(false);
@@ -123,6 +134,17 @@ const CircleOfFifths = () => {
         },
     ];
 
+    const toolParams = { key: selectedKey ? selectedKey.major : undefined, advanced: showAdvanced };
+    const toolParamSetters = {
+        key: (major) => {
+            const keyData = circleData.find(data => data.major === major);
+            if (keyData) setSelectedKey(keyData);
+        },
+        advanced: setShowAdvanced,
+    };
+    useUrlState(URL_SCHEMA, toolParams, toolParamSetters);
+    useParamHistory(toolParams, toolParamSetters);
+
     const numSegments = circleData.length;
     const radius = 150;
     const innerRadius = 110;
@@ -1,7 +1,20 @@
-import React, { useState, useEffect, useRef, useCallback, createContext, useContext } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useContext } from 'react';
 import * as Tone from 'tone';
+import { AudioContext } from '../contexts/AudioContext';
+import { registerNode } from '../utils/audioEngine';
+import { ExplorerSource } from '../utils/explorerSources';
+import useExplorerSource from '../hooks/useExplorerSource';
+import { ABComparator } from '../utils/abCompare';
+import useABCompare from '../hooks/useABCompare';
+import { createUrlSchema, urlParam } from '../utils/urlState';
+import useUrlState from '../hooks/useUrlState';
+import useParamHistory from '../hooks/useParamHistory';
+import useUserPresets from '../hooks/useUserPresets';
 import { Play, Pause, SlidersHorizontal, BarChart2 } from 'lucide-react';
 import SEOHead from './SEOHead';
+import SourceSelector from './SourceSelector';
+import ABCompareControls from './ABCompareControls';
+import PresetPanel from './PresetPanel';
 
 // Define the tool object for SEO structured data
 const compressionExplorerTool = {
@@ -18,65 +31,29 @@ const compressionExplorerTool = {
     ]
 };
 
-// Define the path to your white noise MP3 file for compression testing
-const WHITE_NOISE_MP3_PATH = '/white-noise/white-noise.mp3';
-
-// --- INLINED AUDIO CONTEXT ---
-// This context will manage the global Tone.js audio state.
-export const AudioContext = createContext(null);
-
-const AudioContextProvider = ({ children }) => {
-    const [isAudioGloballyReady, setIsAudioGloballyReady] = useState(false);
-
-    // Function to start Tone.js audio context
-    const startGlobalAudio = useCallback(async () => {
-        if (Tone.context.state !== 'running') {
-            try {
-                console.log('AudioContext: Attempting to start global Tone.js context...');
-                await Tone.start();
-                setIsAudioGloballyReady(true);
-                console.log('AudioContext: Tone.js context started and is running.');
-            } catch (error) {
-                console.error("AudioContext: Error starting Tone.js context:", error);
-                setIsAudioGloballyReady(false);
-            }
-        } else {
-            setIsAudioGloballyReady(true);
-            console.log('AudioContext: Tone.js context already running.');
-        }
-    }, []);
-
-    // Effect to observe Tone.js context state changes
-    useEffect(() => {
-        const handleToneContextChange = () => {
-            if (Tone.context.state === 'running') {
-                setIsAudioGloballyReady(true);
-            } else {
-                setIsAudioGloballyReady(false);
-            }
-        };
-
-        Tone.context.on('statechange', handleToneContextChange);
-        handleToneContextChange(); // Initial check on mount
-
-        return () => {
-            Tone.context.off('statechange', handleToneContextChange);
-        };
-    }, []);
-
-    return (
-        <AudioContext.Provider value={{ isAudioGloballyReady, startGlobalAudio }}>
-            {children}
-        </AudioContext.Provider>
-    );
-};
-// --- END INLINED AUDIO CONTEXT ---
+// Source the explorer starts with; the user can switch it with the source selector.
+const DEFAULT_SOURCE = { type: 'demo', id: 'noise' };
 
+// Compressor settings kept in the URL, so a link reopens them
+const URL_SCHEMA = createUrlSchema({
+    params: {
+        threshold: urlParam.number({ min: -60, max: 0 }),
+        ratio: urlParam.number({ min: 1, max: 20 }),
+        knee: urlParam.number({ min: 0, max: 40 }),
+        attack: urlParam.number({ min: 0.001, max: 1 }),
+        release: urlParam.number({ min: 0.01, max: 1 }),
+    },
+});
 
 // --- useCompressorSynth Hook ---
 const useCompressorSynth = () => {
     const { isAudioGloballyReady, startGlobalAudio } = useContext(AudioContext);
-    const playerRef = useRef(null);
+    const sourceRef = useRef(null);
+    const { selectedSource, selectSource, selectFile, isLoadingSource, sourceError, loadSelectedSource, liveInput } = useExplorerSource(sourceRef, DEFAULT_SOURCE);
+    const comparatorRef = useRef(null); // A/B switch between the bypass and processed signals
+    const getComparator = useCallback(() => comparatorRef.current, []);
+    const abCompare = useABCompare(getComparator);
+    const { syncComparator } = abCompare;
     const compressorRef = useRef(null);
     const analyserRef = useRef(null); // Added analyserRef for waveform data
     const hasInitializedRef = useRef(false);
@@ -91,8 +68,23 @@ const useCompressorSynth = () => {
     const [isAudioReady, setIsAudioReady] = useState(false);
     const [gainReduction, setGainReduction] = useState(0); // Real-time gain reduction in dB
 
+    const toolParams = { threshold, ratio, knee, attack, release };
+    const toolParamSetters = {
+        threshold: setThreshold, ratio: setRatio, knee: setKnee, attack: setAttack, release: setRelease,
+    };
+    useUrlState(URL_SCHEMA, toolParams, toolParamSetters);
+    useParamHistory(toolParams, toolParamSetters);
+    const userPresets = useUserPresets({
+        tool: 'compression-explorer', schema: URL_SCHEMA, params: toolParams, applyParams: toolParamSetters,
+    });
+
+    // Latest parameters, so the nodes start with them without initAudioNodes depending on them
+    const paramsRef = useRef(null);
+    paramsRef.current = { attack, knee, ratio, release, threshold };
+
     // Function to create and connect Tone.js nodes
     const initAudioNodes = useCallback(async () => {
+        const { attack, knee, ratio, release, threshold } = paramsRef.current;
         if (hasInitializedRef.current) {
             console.log('useCompressorSynth: initAudioNodes: already initialized, skipping init.');
             return;
@@ -100,38 +92,39 @@ const useCompressorSynth = () => {
 
         console.log(`useCompressorSynth: initAudioNodes called. isAudioGloballyReady: ${isAudioGloballyReady}`);
 
-        if (isAudioGloballyReady && !playerRef.current) {
-            console.log('useCompressorSynth: Proceeding with initialization of audio nodes and loading MP3...');
+        if (isAudioGloballyReady && !sourceRef.current) {
+            console.log('useCompressorSynth: Proceeding with initialization of audio nodes and loading the audio source...');
             try {
-                // Create Tone.Player for the white noise
-                const player = new Tone.Player({
-                    url: WHITE_NOISE_MP3_PATH,
-                    loop: true,
-                    autostart: false,
-                    volume: -10 // Slightly reduced volume
-                });
-                await player.load(WHITE_NOISE_MP3_PATH);
-                console.log('useCompressorSynth: White noise loaded successfully.');
+                // Create the switchable source (demo loop, user file or generator)
+                const source = registerNode(new ExplorerSource({ volume: -10 })); // Slightly reduced volume
+                await loadSelectedSource(source);
+                console.log('useCompressorSynth: Audio source loaded successfully.');
+
+                // A/B comparison: the bypass path taps the source ahead of the effect
+                const comparator = registerNode(new ABComparator()).toDestination();
+                source.connect(comparator.dry);
 
                 // Create Tone.Compressor
-                const compressor = new Tone.Compressor({
+                const compressor = registerNode(new Tone.Compressor({
                     threshold: threshold,
                     ratio: ratio,
                     knee: knee,
                     attack: attack,
                     release: release,
-                });
+                }));
 
                 // Create Tone.Analyser for waveform visualization
-                const analyser = new Tone.Analyser("waveform", 1024); // "waveform" type for time-domain data
+                const analyser = registerNode(new Tone.Analyser("waveform", 1024)); // "waveform" type for time-domain data
 
                 // Connect the nodes: Player -> Compressor -> Analyser -> Destination
-                player.connect(compressor);
+                source.connect(compressor);
                 compressor.connect(analyser); // Connect compressor output to analyser
-                compressor.toDestination(); // Send the compressed audio to the output
+                compressor.connect(comparator); // Send the compressed audio to the output through the A/B switch
 
                 // Store references
-                playerRef.current = player;
+                sourceRef.current = source;
+                comparatorRef.current = comparator;
+                syncComparator();
                 compressorRef.current = compressor;
                 analyserRef.current = analyser; // Store analyser reference
 
@@ -140,26 +133,30 @@ const useCompressorSynth = () => {
                 console.log('useCompressorSynth: Audio nodes initialized and connected.');
 
             } catch (error) {
-                console.error("useCompressorSynth: Error initializing audio nodes or loading MP3:", error);
+                console.error("useCompressorSynth: Error initializing audio nodes or loading the audio source:", error);
                 setIsAudioReady(false);
                 hasInitializedRef.current = false;
             }
         } else {
             console.log("useCompressorSynth: initAudioNodes skipped. Not globally ready or player already exists.");
         }
-    }, [isAudioGloballyReady]); // Removed threshold, ratio, knee, attack, release from dependencies to prevent re-initialization
+    }, [isAudioGloballyReady, loadSelectedSource, syncComparator]); // Removed threshold, ratio, knee, attack, release from dependencies to prevent re-initialization
 
     // Function to dispose Tone.js nodes
     const disposeAudioNodes = useCallback(() => {
-        console.log(`useCompressorSynth: disposeAudioNodes called. playerRef.current: ${playerRef.current}`);
-        if (playerRef.current) {
+        console.log(`useCompressorSynth: disposeAudioNodes called. sourceRef.current: ${sourceRef.current}`);
+        if (sourceRef.current) {
             console.log('useCompressorSynth: Disposing audio nodes...');
-            playerRef.current.stop();
-            playerRef.current.dispose();
+            sourceRef.current.stop();
+            sourceRef.current.dispose();
             if (compressorRef.current) compressorRef.current.dispose();
             if (analyserRef.current) analyserRef.current.dispose(); // Dispose analyser
 
-            playerRef.current = null;
+            sourceRef.current = null;
+            if (comparatorRef.current) {
+                comparatorRef.current.dispose();
+                comparatorRef.current = null;
+            }
             compressorRef.current = null;
             analyserRef.current = null; // Nullify analyser reference
 
@@ -235,13 +232,13 @@ const useCompressorSynth = () => {
             await initAudioNodes();
         }
 
-        if (playerRef.current && isAudioReady) {
+        if (sourceRef.current && isAudioReady) {
             if (isPlaying) {
-                playerRef.current.stop();
+                sourceRef.current.stop();
                 setIsPlaying(false);
                 console.log('togglePlay: Audio stopped.');
             } else {
-                playerRef.current.start();
+                sourceRef.current.start();
                 setIsPlaying(true);
                 console.log('togglePlay: Audio started.');
             }
@@ -259,6 +256,8 @@ const useCompressorSynth = () => {
     }, []);
 
     return {
+        userPresets,
+        selectedSource, selectSource, selectFile, isLoadingSource, sourceError, liveInput, abCompare,
         isPlaying,
         togglePlay,
         threshold,
@@ -472,6 +471,7 @@ const GainReductionVisualizer = ({ threshold, ratio, knee, gainReduction, wavefo
 // --- CompressionExplorer Component (Main Component) ---
 const CompressionExplorerContent = () => {
     const {
+        selectedSource, selectSource, selectFile, isLoadingSource, sourceError, liveInput, abCompare,
         isPlaying, togglePlay,
         threshold, setThreshold,
         ratio, setRatio,
@@ -482,6 +482,7 @@ const CompressionExplorerContent = () => {
         gainReduction,
         compressorParams,
         getWaveformData,
+        userPresets,
     } = useCompressorSynth();
 
     const visualizerWidth = 700;
@@ -557,6 +558,18 @@ const CompressionExplorerContent = () => {
                         {isPlaying ? "Stop Audio Loop" : "Play Audio Loop"}
                     </button>
 
+                    {/* Audio Source */}
+                    <SourceSelector
+                        selectedSource={selectedSource}
+                        onSelect={selectSource}
+                        onFile={selectFile}
+                        isLoading={isLoadingSource}
+                        error={sourceError}
+                        liveInput={liveInput}
+                    />
+                    <ABCompareControls abCompare={abCompare} disabled={!isAudioReady} />
+                    <PresetPanel presets={userPresets} />
+
                     {/* Gain Reduction Visualizer */}
                     <div className="w-full flex justify-center">
                         {isAudioReady && compressorParams && getWaveformData ? (
@@ -666,12 +679,10 @@ const CompressionExplorerContent = () => {
     );
 };
 
-// This is the default export, wrapping CompressionExplorerContent with its own AudioContextProvider
+// This is the default export; audio comes from the global AudioProvider
 const CompressionExplorer = () => {
     return (
-        <AudioContextProvider>
-            <CompressionExplorerContent />
-        </AudioContextProvider>
+        <CompressionExplorerContent />
     );
 }
 
@@ -1,7 +1,14 @@
-import React, { useState, useEffect, useRef, useCallback, createContext, useContext } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useContext } from 'react';
 import * as Tone from 'tone';
+import { AudioContext } from '../contexts/AudioContext';
+import { registerNode } from '../utils/audioEngine';
+import { createUrlSchema, urlParam } from '../utils/urlState';
+import useUrlState from '../hooks/useUrlState';
+import useParamHistory from '../hooks/useParamHistory';
+import useUserPresets from '../hooks/useUserPresets';
 import { Play, Pause, Circle, Square, Triangle, Activity, Waves, Music3, Minus, Plus } from 'lucide-react'; // Icons for play/pause, waveform types, general waves, and music/intervals
 import SEOHead from './SEOHead';
+import PresetPanel from './PresetPanel';
 
 // Define the tool object for SEO structured data
 const consonanceDissonanceTool = {
@@ -19,68 +26,24 @@ const consonanceDissonanceTool = {
 };
 
 
-// --- AUDIO CONTEXT ---
-// This context manages the global Tone.js audio state, ensuring only one audio context.
-export const AudioContext = createContext(null);
-
-const AudioContextProvider = ({ children }) => {
-    const [isAudioGloballyReady, setIsAudioGloballyReady] = useState(false);
-
-    // Function to start Tone.js audio context. This needs a user interaction.
-    const startGlobalAudio = useCallback(async () => {
-        if (Tone.context.state === 'running') {
-            setIsAudioGloballyReady(true);
-            console.log('AudioContext: Tone.js context already running.');
-            return;
-        }
-
-        try {
-            console.log('AudioContext: Attempting to start global Tone.js context...');
-            // Tone.start() handles resuming a suspended context or initializing a new one.
-            await Tone.start();
-
-            if (Tone.context.state === 'running') {
-                setIsAudioGloballyReady(true);
-                console.log('AudioContext: Tone.js context started successfully');
-            } else {
-                console.warn('AudioContext: Tone.js context did not start properly (state is ' + Tone.context.state + ')');
-                setIsAudioGloballyReady(false);
-            }
-        } catch (error) {
-            console.error("AudioContext: Error starting Tone.js context:", error);
-            setIsAudioGloballyReady(false);
-        }
-    }, []);
-
-    // Effect to observe Tone.js context state changes
-    useEffect(() => {
-        const handleToneContextChange = () => {
-            const newState = Tone.context.state === 'running';
-            if (newState !== isAudioGloballyReady) {
-                console.log(`AudioContext: Tone.context state changed to '${Tone.context.state}'. isAudioGloballyReady set to ${newState}.`);
-                setIsAudioGloballyReady(newState);
-            }
-        };
-
-        // Add listener for state changes
-        Tone.context.on('statechange', handleToneContextChange);
-        handleToneContextChange(); // Initial check on mount
-
-        return () => {
-            // Clean up listener on unmount
-            console.log('AudioContext: Cleaning up Tone.context statechange listener.');
-            Tone.context.off('statechange', handleToneContextChange);
-        };
-    }, [isAudioGloballyReady]);
-
-    return (
-        <AudioContext.Provider value={{ isAudioGloballyReady, startGlobalAudio }}>
-            {children}
-        </AudioContext.Provider>
-    );
-};
-// --- END AUDIO CONTEXT ---
-
+// Oscillator waveforms offered by the tool
+const WAVEFORM_TYPES = ['sine', 'square', 'sawtooth', 'triangle'];
+
+// Oscillator and interval settings kept in the URL, so a link reopens them
+const URL_SCHEMA = createUrlSchema({
+    params: {
+        mainOscType: urlParam.oneOf(WAVEFORM_TYPES),
+        mainOscFrequency: urlParam.number({ min: 100, max: 800 }),
+        mainOscVolume: urlParam.number({ min: -40, max: -5 }),
+        intervalOscType: urlParam.oneOf(WAVEFORM_TYPES),
+        interval: urlParam.oneOf([
+            'unison', 'minor_second', 'major_second', 'minor_third', 'major_third', 'perfect_fourth',
+            'tritone', 'perfect_fifth', 'minor_sixth', 'major_sixth', 'octave',
+        ]),
+        intervalOscVolume: urlParam.number({ min: -40, max: -5 }),
+        master: urlParam.number({ min: -40, max: 0 }),
+    },
+});
 
 // --- useConsonanceDissonanceSynth Hook ---
 // This custom hook manages two Tone.js oscillators, their mixing, and interval logic.
@@ -109,6 +72,22 @@ const useConsonanceDissonanceSynth = () => {
     // Master Volume
     const [masterVolume, setMasterVolume] = useState(-5); // Master volume in dB
 
+    const toolParams = {
+        mainOscType, mainOscFrequency, mainOscVolume,
+        intervalOscType, interval: selectedInterval, intervalOscVolume,
+        master: masterVolume,
+    };
+    const toolParamSetters = {
+        mainOscType: setMainOscType, mainOscFrequency: setMainOscFrequency, mainOscVolume: setMainOscVolume,
+        intervalOscType: setIntervalOscType, interval: setSelectedInterval, intervalOscVolume: setIntervalOscVolume,
+        master: setMasterVolume,
+    };
+    useUrlState(URL_SCHEMA, toolParams, toolParamSetters);
+    useParamHistory(toolParams, toolParamSetters);
+    const userPresets = useUserPresets({
+        tool: 'consonance-dissonance', schema: URL_SCHEMA, params: toolParams, applyParams: toolParamSetters,
+    });
+
     const [isAudioReady, setIsAudioReady] = useState(false); // True when context is running AND synth initialized
     const [isLoading, setIsLoading] = useState(true); // Indicates if audio setup is in progress, initially true
 
@@ -172,19 +151,19 @@ const useConsonanceDissonanceSynth = () => {
                 disposeAudioNodes(); // Ensure a clean slate
 
                 // Create main oscillator
-                const mainOsc = new Tone.Oscillator({ type: mainOscType, frequency: mainOscFrequency }); // Do not start here
+                const mainOsc = registerNode(new Tone.Oscillator({ type: mainOscType, frequency: mainOscFrequency })); // Do not start here
                 // Create interval oscillator
-                const intervalOsc = new Tone.Oscillator({ type: intervalOscType, frequency: getIntervalFrequency() }); // Do not start here
+                const intervalOsc = registerNode(new Tone.Oscillator({ type: intervalOscType, frequency: getIntervalFrequency() })); // Do not start here
 
                 // Create gain nodes for individual volume control
-                const mainGain = new Tone.Gain(Tone.dbToGain(mainOscVolume));
-                const intervalGain = new Tone.Gain(Tone.dbToGain(intervalOscVolume));
+                const mainGain = registerNode(new Tone.Gain(Tone.dbToGain(mainOscVolume)));
+                const intervalGain = registerNode(new Tone.Gain(Tone.dbToGain(intervalOscVolume)));
 
                 // Create a master gain node for overall volume
-                const masterGain = new Tone.Gain(Tone.dbToGain(masterVolume));
+                const masterGain = registerNode(new Tone.Gain(Tone.dbToGain(masterVolume)));
 
                 // Create a Waveform analyzer for the combined output
-                const waveform = new Tone.Waveform(4096); // High resolution for smoother visualization
+                const waveform = registerNode(new Tone.Waveform(4096)); // High resolution for smoother visualization
 
                 // Connect the signal flow: Osc -> Individual Gain -> Master Gain -> Analyzer -> Destination
                 mainOsc.connect(mainGain);
@@ -325,6 +304,7 @@ const useConsonanceDissonanceSynth = () => {
     }, [isPlaying]);
 
     return {
+        userPresets,
         isPlaying,
         playNote,
         stopNote,
@@ -525,6 +505,7 @@ const ConsonanceDissonanceContent = () => {
         masterVolume, setMasterVolume,
         waveformAnalyzer,
         intervalInfo,
+        userPresets,
     } = useConsonanceDissonanceSynth();
 
     const getExplanation = (param) => {
@@ -629,6 +610,11 @@ const ConsonanceDissonanceContent = () => {
                         </button>
                     </div>
 
+                    {/* User Presets */}
+                    <div className="w-full px-2">
+                        <PresetPanel presets={userPresets} />
+                    </div>
+
                     {/* Waveform Visualizer */}
                     <div className="w-full px-2">
                         <WaveformVisualizer
@@ -794,14 +780,12 @@ class ErrorBoundary extends React.Component {
     }
 }
 
-// Default export wrapping the main content with AudioContextProvider and ErrorBoundary
+// Default export wrapping the main content with ErrorBoundary
 const ConsonanceDissonance = () => {
     return (
-        <AudioContextProvider>
-            <ErrorBoundary>
-                <ConsonanceDissonanceContent />
-            </ErrorBoundary>
-        </AudioContextProvider>
+        <ErrorBoundary>
+            <ConsonanceDissonanceContent />
+        </ErrorBoundary>
     );
 }
 
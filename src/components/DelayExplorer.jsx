@@ -1,7 +1,20 @@
-import React, { useState, useEffect, useRef, useCallback, createContext, useContext } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useContext } from 'react';
 import * as Tone from 'tone';
+import { AudioContext } from '../contexts/AudioContext';
+import { registerNode } from '../utils/audioEngine';
+import { ExplorerSource } from '../utils/explorerSources';
+import useExplorerSource from '../hooks/useExplorerSource';
+import { ABComparator } from '../utils/abCompare';
+import useABCompare from '../hooks/useABCompare';
+import { createUrlSchema, urlParam } from '../utils/urlState';
+import useUrlState from '../hooks/useUrlState';
+import useParamHistory from '../hooks/useParamHistory';
+import useUserPresets from '../hooks/useUserPresets';
 import { Play, Pause, Clock } from 'lucide-react'; // Using Clock icon for Delay
 import SEOHead from './SEOHead';
+import SourceSelector from './SourceSelector';
+import ABCompareControls from './ABCompareControls';
+import PresetPanel from './PresetPanel';
 
 // Define the tool object for SEO structured data
 const delayExplorerTool = {
@@ -18,65 +31,28 @@ const delayExplorerTool = {
     ]
 };
 
-// Define the path to your C4 piano sample.
-const C4_PIANO_MP3_PATH = '/piano_samples/C4.mp3';
+// Source the explorer starts with; the user can switch it with the source selector.
+const DEFAULT_SOURCE = { type: 'demo', id: 'piano' };
 
-// --- INLINED AUDIO CONTEXT ---
-// This context manages the global Tone.js audio state.
-export const AudioContext = createContext(null);
-
-const AudioContextProvider = ({ children }) => {
-    const [isAudioGloballyReady, setIsAudioGloballyReady] = useState(false);
-
-    // Function to start Tone.js audio context
-    const startGlobalAudio = useCallback(async () => {
-        if (Tone.context.state !== 'running') {
-            try {
-                console.log('AudioContext: Attempting to start global Tone.js context...');
-                await Tone.start();
-                setIsAudioGloballyReady(true);
-                console.log('AudioContext: Tone.js context started and is running.');
-            } catch (error) {
-                console.error("AudioContext: Error starting Tone.js context:", error);
-                setIsAudioGloballyReady(false);
-            }
-        } else {
-            setIsAudioGloballyReady(true);
-            console.log('AudioContext: Tone.js context already running.');
-        }
-    }, []);
-
-    // Effect to observe Tone.js context state changes
-    useEffect(() => {
-        const handleToneContextChange = () => {
-            if (Tone.context.state === 'running') {
-                setIsAudioGloballyReady(true);
-            } else {
-                setIsAudioGloballyReady(false);
-            }
-        };
-
-        Tone.context.on('statechange', handleToneContextChange);
-        handleToneContextChange(); // Initial check on mount
-
-        return () => {
-            Tone.context.off('statechange', handleToneContextChange);
-        };
-    }, []);
-
-    return (
-        <AudioContext.Provider value={{ isAudioGloballyReady, startGlobalAudio }}>
-            {children}
-        </AudioContext.Provider>
-    );
-};
-// --- END INLINED AUDIO CONTEXT ---
 
+// Delay settings kept in the URL, so a link reopens them
+const URL_SCHEMA = createUrlSchema({
+    params: {
+        delayTime: urlParam.number({ min: 0.01, max: 1 }),
+        feedback: urlParam.number({ min: 0, max: 0.95 }),
+        wet: urlParam.number({ min: 0, max: 1 }),
+    },
+});
 
 // --- useDelaySynth Hook ---
 const useDelaySynth = () => {
     const { isAudioGloballyReady, startGlobalAudio } = useContext(AudioContext);
-    const playerRef = useRef(null);
+    const sourceRef = useRef(null);
+    const { selectedSource, selectSource, selectFile, isLoadingSource, sourceError, loadSelectedSource, liveInput } = useExplorerSource(sourceRef, DEFAULT_SOURCE);
+    const comparatorRef = useRef(null); // A/B switch between the bypass and processed signals
+    const getComparator = useCallback(() => comparatorRef.current, []);
+    const abCompare = useABCompare(getComparator);
+    const { syncComparator } = abCompare;
     const delayRef = useRef(null); // Reference to Tone.FeedbackDelay
     const hasInitializedRef = useRef(false);
 
@@ -85,10 +61,23 @@ const useDelaySynth = () => {
     const [feedback, setFeedback] = useState(0.5); // 0 to 1
     const [wet, setWet] = useState(0.5); // 0 to 1 (wet/dry mix)
 
+    const toolParams = { delayTime, feedback, wet };
+    const toolParamSetters = { delayTime: setDelayTime, feedback: setFeedback, wet: setWet };
+    useUrlState(URL_SCHEMA, toolParams, toolParamSetters);
+    useParamHistory(toolParams, toolParamSetters);
+    const userPresets = useUserPresets({
+        tool: 'delay-explorer', schema: URL_SCHEMA, params: toolParams, applyParams: toolParamSetters,
+    });
+
     const [isAudioReady, setIsAudioReady] = useState(false);
 
+    // Latest parameters, so the nodes start with them without initAudioNodes depending on them
+    const paramsRef = useRef(null);
+    paramsRef.current = { delayTime, feedback, wet };
+
     // Function to create and connect Tone.js nodes for Delay processing
     const initAudioNodes = useCallback(async () => {
+        const { delayTime, feedback, wet } = paramsRef.current;
         // Prevent re-initialization if already done
         if (hasInitializedRef.current) {
             console.log('useDelaySynth: initAudioNodes: already initialized, skipping init.');
@@ -98,31 +87,32 @@ const useDelaySynth = () => {
         console.log(`useDelaySynth: initAudioNodes called. isAudioGloballyReady: ${isAudioGloballyReady}`);
 
         // Only proceed if global audio context is ready and player hasn't been created yet
-        if (isAudioGloballyReady && !playerRef.current) {
-            console.log('useDelaySynth: Proceeding with initialization of audio nodes and loading MP3...');
+        if (isAudioGloballyReady && !sourceRef.current) {
+            console.log('useDelaySynth: Proceeding with initialization of audio nodes and loading the audio source...');
             try {
-                // Create Tone.Player for the audio source (now C4 piano)
-                const player = new Tone.Player({
-                    url: C4_PIANO_MP3_PATH, // Changed to C4 piano sample
-                    loop: true, // Loop the sample for continuous delay effect
-                    autostart: false,
-                    volume: -5 // Increased volume for piano sample from -15 to -5 dB
-                });
-                await player.load(C4_PIANO_MP3_PATH); // Ensure the new path is used for loading
-                console.log('useDelaySynth: C4 piano sample loaded successfully.');
+                // Create the switchable source (demo loop, user file or generator)
+                const source = registerNode(new ExplorerSource({ volume: -5 })); // Increased volume from -15 to -5 dB
+                await loadSelectedSource(source);
+                console.log('useDelaySynth: Audio source loaded successfully.');
+
+                // A/B comparison: the bypass path taps the source ahead of the effect
+                const comparator = registerNode(new ABComparator()).toDestination();
+                source.connect(comparator.dry);
 
                 // Create Tone.FeedbackDelay
-                const delay = new Tone.FeedbackDelay({
+                const delay = registerNode(new Tone.FeedbackDelay({
                     delayTime: delayTime,
                     feedback: feedback,
                     wet: wet,
-                }).toDestination(); // Connect directly to output
+                })).connect(comparator); // Connect to the output through the A/B switch
 
                 // Connect the player to the delay effect
-                player.connect(delay);
+                source.connect(delay);
 
                 // Store references
-                playerRef.current = player;
+                sourceRef.current = source;
+                comparatorRef.current = comparator;
+                syncComparator();
                 delayRef.current = delay;
 
                 setIsAudioReady(true);
@@ -130,29 +120,33 @@ const useDelaySynth = () => {
                 console.log('useDelaySynth: Audio nodes initialized and connected.');
 
             } catch (error) {
-                console.error("useDelaySynth: Error initializing audio nodes or loading MP3:", error);
+                console.error("useDelaySynth: Error initializing audio nodes or loading the audio source:", error);
                 setIsAudioReady(false);
                 hasInitializedRef.current = false;
             }
         } else {
             console.log("useDelaySynth: initAudioNodes skipped. Not globally ready or player already exists.");
         }
-    }, [isAudioGloballyReady]); // Only global readiness as dependency for initial setup
+    }, [isAudioGloballyReady, loadSelectedSource, syncComparator]); // Only global readiness (and the stable source loader) for initial setup
 
     // Function to dispose Tone.js nodes
     const disposeAudioNodes = useCallback(() => {
-        console.log(`useDelaySynth: disposeAudioNodes called. playerRef.current: ${playerRef.current}`);
-        if (playerRef.current) {
+        console.log(`useDelaySynth: disposeAudioNodes called. sourceRef.current: ${sourceRef.current}`);
+        if (sourceRef.current) {
             console.log('useDelaySynth: Disposing audio nodes...');
             // Only stop the player if it's currently started to avoid errors
-            if (playerRef.current.state === 'started') {
-                playerRef.current.stop();
+            if (sourceRef.current.state === 'started') {
+                sourceRef.current.stop();
             }
-            playerRef.current.dispose(); // Dispose the player
+            sourceRef.current.dispose(); // Dispose the player
             if (delayRef.current) delayRef.current.dispose(); // Dispose the delay node
 
             // Nullify references
-            playerRef.current = null;
+            sourceRef.current = null;
+            if (comparatorRef.current) {
+                comparatorRef.current.dispose();
+                comparatorRef.current = null;
+            }
             delayRef.current = null;
 
             setIsPlaying(false);
@@ -216,14 +210,14 @@ const useDelaySynth = () => {
         }
 
         // Step 3: Now, with confidence that the audio system is ready, toggle playback.
-        if (playerRef.current && hasInitializedRef.current && isAudioReady) {
+        if (sourceRef.current && hasInitializedRef.current && isAudioReady) {
             try { // Added try-catch for robustness during playback start/stop
                 if (isPlaying) {
-                    playerRef.current.stop(); // Stop playback
+                    sourceRef.current.stop(); // Stop playback
                     setIsPlaying(false);
                     console.log('togglePlay: Audio stopped.');
                 } else {
-                    playerRef.current.start(); // Start playback
+                    sourceRef.current.start(); // Start playback
                     setIsPlaying(true);
                     console.log('togglePlay: Audio started.');
                 }
@@ -238,6 +232,8 @@ const useDelaySynth = () => {
     }, [isPlaying, isAudioGloballyReady, isAudioReady, startGlobalAudio, initAudioNodes]);
 
     return {
+        userPresets,
+        selectedSource, selectSource, selectFile, isLoadingSource, sourceError, liveInput, abCompare,
         isPlaying,
         togglePlay,
         delayTime,
@@ -255,11 +251,13 @@ const useDelaySynth = () => {
 // --- DelayExplorer Component (Main App Component) ---
 const DelayExplorerContent = () => {
     const {
+        selectedSource, selectSource, selectFile, isLoadingSource, sourceError, liveInput, abCompare,
         isPlaying, togglePlay,
         delayTime, setDelayTime,
         feedback, setFeedback,
         wet, setWet,
         isAudioReady,
+        userPresets,
     } = useDelaySynth();
 
     const getExplanation = (param) => {
@@ -329,6 +327,18 @@ const DelayExplorerContent = () => {
                         {isPlaying ? "Stop Audio Loop" : "Play Audio Loop"}
                     </button>
 
+                    {/* Audio Source */}
+                    <SourceSelector
+                        selectedSource={selectedSource}
+                        onSelect={selectSource}
+                        onFile={selectFile}
+                        isLoading={isLoadingSource}
+                        error={sourceError}
+                        liveInput={liveInput}
+                    />
+                    <ABCompareControls abCompare={abCompare} disabled={!isAudioReady} />
+                    <PresetPanel presets={userPresets} />
+
                     {/* Delay Parameter Sliders */}
                     <div className="grid grid-cols-1 md:grid-cols-3 gap-6 w-full mt-8">
                         {/* Delay Time Slider */}
@@ -419,11 +429,9 @@ class ErrorBoundary extends React.Component {
 
 const DelayExplorer = () => {
     return (
-        <AudioContextProvider>
-            <ErrorBoundary>
-                <DelayExplorerContent />
-            </ErrorBoundary>
-        </AudioContextProvider>
+        <ErrorBoundary>
+            <DelayExplorerContent />
+        </ErrorBoundary>
     );
 }
 
@@ -0,0 +1,236 @@
+import React, { useRef, useState } from 'react';
+import { Save, Trash2, Download, Upload, FilePlus, RotateCcw } from 'lucide-react';
+import { CHOKE_GROUPS, MAX_PAD_DECAY, PAD_SETTING_RANGES } from '../utils/drumKits';
+
+const formatDrumName = (drumKey) => drumKey.replace(/_/g, ' ').toUpperCase();
+
+const formatPan = (pan) => {
+    if (Math.abs(pan) < 0.005) return 'C';
+    return `${Math.round(Math.abs(pan) * 100)}${pan < 0 ? 'L' : 'R'}`;
+};
+
+// One of the numeric pad settings
+const PadSlider = ({ label, value, display, onChange, step, range, isDisabled }) => (
+    <label className="flex flex-col gap-1 text-sm text-gray-800">
+        <span className="flex justify-between font-medium">
+            <span>{label}</span>
+            <span className="font-mono">{display}</span>
+        </span>
+        <input
+            type="range"
+            min={range.min}
+            max={range.max}
+            step={step}
+            value={value}
+            onChange={(e) => onChange(parseFloat(e.target.value))}
+            className="w-full h-2 rounded-lg appearance-none cursor-pointer accent-green-600 bg-green-100"
+            disabled={isDisabled}
+        />
+    </label>
+);
+
+/**
+ * The drum machine's sample kit: naming, saving, opening, deleting, importing
+ * and exporting kits, and the sample and settings of the selected pad.
+ * Pairs with the useDrumKit hook (src/hooks/useDrumKit.js).
+ * @param {object} props
+ * @param {object} props.drumKit The useDrumKit() result.
+ * @param {string[]} props.drumKeys The pads.
+ * @param {string} props.selectedPad The pad being edited.
+ * @param {(drumKey: string) => void} props.onSelectPad
+ * @param {boolean} [props.disabled] Disables editing.
+ */
+const DrumKitPanel = ({ drumKit, drumKeys, selectedPad, onSelectPad, disabled = false }) => {
+    const {
+        isAvailable, kit, savedKits, isKitBusy, kitError,
+        setPadSample, setPadSettings, resetPad, renameKit,
+        saveKit, openKit, deleteKit, exportKit, importKit,
+    } = drumKit;
+    const [isConfirmingDelete, setIsConfirmingDelete] = useState(false);
+    const sampleInputRef = useRef(null);
+    const importInputRef = useRef(null);
+
+    const pad = kit.pads[selectedPad];
+    const { settings } = pad;
+    const isBusy = disabled || isKitBusy;
+    const button = 'flex items-center gap-1 px-3 py-1.5 rounded-lg text-sm font-medium bg-green-100 text-green-800 hover:bg-green-200 transition-colors disabled:opacity-50 disabled:cursor-not-allowed';
+
+    const handleSampleFile = (e) => {
+        setPadSample(selectedPad, e.target.files[0]);
+        e.target.value = '';
+    };
+
+    const handleImport = (e) => {
+        importKit(e.target.files[0]);
+        e.target.value = '';
+    };
+
+    const updateSettings = (changes) => setPadSettings(selectedPad, changes);
+
+    return (
+        <div className="w-full max-w-3xl flex flex-col gap-4">
+            {/* Kit name, saved kits and bundles */}
+            <div className="flex flex-wrap items-center justify-center gap-2">
+                <input
+                    type="text"
+                    value={kit.name}
+                    onChange={(e) => renameKit(e.target.value)}
+                    className="px-3 py-1.5 rounded-lg border border-green-300 text-gray-800 text-sm w-44"
+                    aria-label="Kit name"
+                />
+                {isAvailable && (
+                    <>
+                        <button type="button" onClick={saveKit} disabled={isBusy || !kit.name.trim()} className={button}>
+                            <Save size={14} /> Save
+                        </button>
+                        <select
+                            value={kit.id ?? ''}
+                            onChange={(e) => {
+                                openKit(e.target.value || null);
+                                setIsConfirmingDelete(false);
+                            }}
+                            disabled={isBusy}
+                            className="px-2 py-1.5 rounded-lg border border-green-300 text-gray-800 text-sm"
+                            aria-label="Saved kits"
+                        >
+                            <option value="">{kit.id ? 'Built-in kit' : 'Unsaved kit'}</option>
+                            {savedKits.map(saved => (
+                                <option key={saved.id} value={saved.id}>{saved.name}</option>
+                            ))}
+                        </select>
+                        <button type="button" onClick={() => openKit(null)} disabled={isBusy} className={button} title="Start from the built-in samples">
+                            <FilePlus size={14} /> New
+                        </button>
+                        {kit.id && (isConfirmingDelete ? (
+                            <button
+                                type="button"
+                                onClick={() => {
+                                    deleteKit();
+                                    setIsConfirmingDelete(false);
+                                }}
+                                disabled={isBusy}
+                                className={`${button} text-red-600`}
+                            >
+                                Delete?
+                            </button>
+                        ) : (
+                            <button type="button" onClick={() => setIsConfirmingDelete(true)} disabled={isBusy} className={button} title="Delete kit">
+                                <Trash2 size={14} />
+                            </button>
+                        ))}
+                    </>
+                )}
+                <button type="button" onClick={exportKit} disabled={isBusy} className={button} title="Download the kit and its samples as a zip">
+                    <Download size={14} /> Export
+                </button>
+                <button type="button" onClick={() => importInputRef.current?.click()} disabled={isBusy} className={button} title="Open a kit zip">
+                    <Upload size={14} /> Import
+                </button>
+                <input ref={importInputRef} type="file" accept=".zip,application/zip" onChange={handleImport} className="hidden" />
+            </div>
+            {!isAvailable && (
+                <p className="text-center text-sm text-gray-500">Kits can't be saved in this browser (storage is unavailable); export them instead.</p>
+            )}
+
+            {/* Selected pad */}
+            <div className="rounded-xl border border-green-200 bg-green-50/60 p-3 sm:p-4 flex flex-col gap-3">
+                <div className="flex flex-wrap items-center gap-2">
+                    <select
+                        value={selectedPad}
+                        onChange={(e) => onSelectPad(e.target.value)}
+                        className="px-2 py-1.5 rounded-lg border border-green-300 text-gray-800 text-sm font-bold"
+                        aria-label="Pad"
+                    >
+                        {drumKeys.map(drumKey => (
+                            <option key={drumKey} value={drumKey}>{formatDrumName(drumKey)}</option>
+                        ))}
+                    </select>
+                    <span className="flex-1 min-w-0 truncate text-sm text-gray-700" title={pad.sampleName ?? undefined}>
+                        {pad.sampleName ?? 'Built-in sample'}
+                    </span>
+                    <button type="button" onClick={() => sampleInputRef.current?.click()} disabled={disabled} className={button}>
+                        <Upload size={14} /> Sample
+                    </button>
+                    <input ref={sampleInputRef} type="file" accept="audio/*" onChange={handleSampleFile} className="hidden" />
+                    {pad.sample && (
+                        <button type="button" onClick={() => resetPad(selectedPad)} disabled={disabled} className={button} title="Back to the built-in sample">
+                            <RotateCcw size={14} /> Built-in
+                        </button>
+                    )}
+                </div>
+
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                    <PadSlider
+                        label="Tune"
+                        value={settings.tune}
+                        display={`${settings.tune > 0 ? '+' : ''}${settings.tune} st`}
+                        onChange={(tune) => updateSettings({ tune })}
+                        step={1}
+                        range={PAD_SETTING_RANGES.tune}
+                        isDisabled={disabled}
+                    />
+                    <PadSlider
+                        label="Decay"
+                        value={settings.decay}
+                        display={settings.decay >= MAX_PAD_DECAY ? 'Full' : `${settings.decay.toFixed(2)} s`}
+                        onChange={(decay) => updateSettings({ decay })}
+                        step={0.05}
+                        range={PAD_SETTING_RANGES.decay}
+                        isDisabled={disabled}
+                    />
+                    <PadSlider
+                        label="Start"
+                        value={settings.start}
+                        display={`${Math.round(settings.start * 100)}%`}
+                        onChange={(start) => updateSettings({ start })}
+                        step={0.01}
+                        range={PAD_SETTING_RANGES.start}
+                        isDisabled={disabled}
+                    />
+                    <PadSlider
+                        label="Pan"
+                        value={settings.pan}
+                        display={formatPan(settings.pan)}
+                        onChange={(pan) => updateSettings({ pan })}
+                        step={0.05}
+                        range={PAD_SETTING_RANGES.pan}
+                        isDisabled={disabled}
+                    />
+                </div>
+
+                <div className="flex flex-wrap items-center gap-4 text-sm text-gray-800">
+                    <label className="flex items-center gap-2">
+                        <input
+                            type="checkbox"
+                            checked={settings.reverse}
+                            onChange={(e) => updateSettings({ reverse: e.target.checked })}
+                            disabled={disabled}
+                            className="accent-green-600"
+                        />
+                        Reverse
+                    </label>
+                    <label className="flex items-center gap-2">
+                        Choke group
+                        <select
+                            value={settings.chokeGroup}
+                            onChange={(e) => updateSettings({ chokeGroup: Number(e.target.value) })}
+                            disabled={disabled}
+                            className="px-2 py-1 rounded-lg border border-green-300 text-gray-800"
+                        >
+                            {CHOKE_GROUPS.map(group => (
+                                <option key={group} value={group}>{group === 0 ? 'None' : group}</option>
+                            ))}
+                        </select>
+                    </label>
+                    <span className="text-gray-500 italic">Pads in a choke group cut each other off, like closed and open hi-hats.</span>
+                </div>
+            </div>
+
+            <p className="text-center text-sm text-gray-600 italic">Drop an audio file onto a pad to use it as that pad's sample.</p>
+            {isKitBusy && <p className="text-center text-sm text-green-700 animate-pulse">Working on the kit…</p>}
+            {kitError && <p className="text-center text-sm text-red-600">{kitError}</p>}
+        </div>
+    );
+};
+
+export default DrumKitPanel;
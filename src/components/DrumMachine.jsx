@@ -1,90 +1,29 @@
-import React, { useState, useEffect, useRef, useCallback, createContext, useContext } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useContext } from 'react';
 import * as Tone from 'tone';
-import { Drumstick, Volume2, Plus, Minus } from 'lucide-react'; // Icons for drumstick, volume, and controls
+import { AudioContext } from '../contexts/AudioContext';
+import { registerNode } from '../utils/audioEngine';
+import { createUrlSchema, urlParam } from '../utils/urlState';
+import { BUILT_IN_SAMPLES } from '../utils/drumKits';
+import { createDrumKitPlayer, loadPadSample } from '../utils/drumKitPlayer';
+import {
+    DRUM_BANKS,
+    TRACK_LENGTHS,
+    createEmptyPattern,
+    loadDrumBanks,
+    saveDrumBanks,
+    updateDrumStep,
+    setDrumTrackLength,
+    getStepHits,
+} from '../utils/drumPattern';
+import useUrlState from '../hooks/useUrlState';
+import useParamHistory from '../hooks/useParamHistory';
+import useDrumKit from '../hooks/useDrumKit';
+import { encodeMidiFile, createMidiBlob, noteValueToTicks, GM_DRUM_NOTES } from '../utils/midiFile';
+import { downloadBlob } from '../utils/downloadUtils';
+import { Drumstick, Volume2, Plus, Minus, Play, Square, Trash2 } from 'lucide-react'; // Icons for drumstick, volume, and controls
 import SEOHead from './SEOHead';
-
-// --- AUDIO CONTEXT ---
-// This context manages the global Tone.js audio state, ensuring only one audio context.
-export const AudioContext = createContext(null);
-
-const AudioContextProvider = ({ children }) => {
-    const [isAudioGloballyReady, setIsAudioGloballyReady] = useState(false);
-    const [error, setError] = useState(null); // Added error state for audio context initialization
-
-    // Function to start Tone.js audio context. This needs a user interaction.
-    const startGlobalAudio = useCallback(async () => {
-        if (Tone.context.state === 'running') {
-            setIsAudioGloballyReady(true);
-            console.log('AudioContext: Tone.js context already running.');
-            return;
-        }
-
-        try {
-            console.log('AudioContext: Attempting to start global Tone.js context...');
-            await Tone.start(); // This will resume the audio context
-
-            if (Tone.context.state === 'running') {
-                setIsAudioGloballyReady(true);
-                setError(null); // Clear error if successful
-                console.log('AudioContext: Tone.js context started successfully');
-            } else {
-                console.warn('AudioContext: Tone.js context did not start properly (state is ' + Tone.context.state + ')');
-                setIsAudioGloballyReady(false);
-                setError("Failed to start audio. Browser context might be suspended.");
-            }
-        } catch (error) {
-            console.error("AudioContext: Error starting Tone.js context:", error);
-            setError("Failed to initialize audio. Please check your browser permissions.");
-            setIsAudioGloballyReady(false);
-        }
-    }, []);
-
-    // Effect to observe Tone.js context state changes and add/remove click listener
-    useEffect(() => {
-        const handleToneContextChange = () => {
-            const newState = Tone.context.state === 'running';
-            if (newState !== isAudioGloballyReady) { // Prevent unnecessary state updates
-                console.log(`AudioContext: Tone.context state changed to '${Tone.context.state}'. isAudioGloballyReady set to ${newState}.`);
-                setIsAudioGloballyReady(newState);
-                if (newState) { // If audio is running, clear any suspended error
-                    setError(null);
-                } else { // If audio is not running, and there's no other error, indicate suspension
-                    if (!error) setError("Audio context suspended. Click to activate.");
-                }
-            }
-        };
-
-        // Add listener for state changes
-        Tone.context.on('statechange', handleToneContextChange);
-        handleToneContextChange(); // Initial check on mount
-
-        // Add a document-wide click listener to try and start audio if suspended
-        const clickToActivateHandler = () => {
-            if (Tone.context.state !== 'running') {
-                startGlobalAudio();
-            }
-        };
-
-        // Attach listener only if audio is not running initially and no other error is present
-        if (Tone.context.state !== 'running' && !error) {
-            document.addEventListener('click', clickToActivateHandler, { once: true });
-        }
-        
-        return () => {
-            // Clean up listener on unmount
-            Tone.context.off('statechange', handleToneContextChange);
-            document.removeEventListener('click', clickToActivateHandler); // Ensure cleanup
-        };
-    }, [error, startGlobalAudio, isAudioGloballyReady]); // Depend on error and startGlobalAudio to re-evaluate
-
-    return (
-        <AudioContext.Provider value={{ isAudioGloballyReady, startGlobalAudio, error }}>
-            {children}
-        </AudioContext.Provider>
-    );
-};
-// --- END AUDIO CONTEXT ---
-
+import DrumKitPanel from './DrumKitPanel';
+import MidiExportControls from './MidiExportControls';
 
     // 3. Drum Machine
     const drumMachineTool = {
@@ -103,105 +42,126 @@ const AudioContextProvider = ({ children }) => {
 
 
 
+// Kit volume, tempo, swing and pattern bank kept in the URL, so a link reopens them
+// (the patterns themselves are saved in the browser, see src/utils/drumPattern.js)
+const URL_SCHEMA = createUrlSchema({
+    params: {
+        volume: urlParam.number({ min: -40, max: 0 }),
+        bpm: urlParam.integer({ min: 60, max: 200 }),
+        swing: urlParam.number({ min: 0, max: 1 }),
+        bank: urlParam.oneOf(DRUM_BANKS),
+    },
+});
+
+// The pads, one per built-in sample
+const DRUM_KEYS = Object.keys(BUILT_IN_SAMPLES);
+
 // --- useDrumMachine Hook ---
 const useDrumMachine = () => {
     const { isAudioGloballyReady, startGlobalAudio, error: audioContextError } = useContext(AudioContext);
-    const samplerRef = useRef(null); // The Tone.Sampler instance
+    const kitPlayerRef = useRef(null); // Plays the kit's samples (see src/utils/drumKitPlayer.js)
+    const loadedSamplesRef = useRef(new Map()); // Drum key → the sample (Blob, or null for built-in) loaded or loading on its pad
     const [masterVolume, setMasterVolume] = useState(-10); // Master volume in dB
 
-    const [isAudioReady, setIsAudioReady] = useState(false); // Overall audio system readiness (samples loaded & sampler initialized)
-    const [isLoading, setIsLoading] = useState(false); // Indicates if audio setup is in progress
-    const [isSamplesLoaded, setIsSamplesLoaded] = useState(false); // Indicates if samples are loaded
+    const [isAudioReady, setIsAudioReady] = useState(false); // Overall audio system readiness (samples loaded & kit player initialized)
+    const [pendingSampleCount, setPendingSampleCount] = useState(0); // Pad samples being fetched and decoded
     const [loadError, setLoadError] = useState(null); // Specific error for sample loading
-
-    // Define mapping from descriptive drum key to a specific musical note for Tone.js Sampler
-    const drumKeyToNoteMap = useRef({
-        'kick': 'C1',
-        'snare': 'D1',
-        'hihat': 'E1',
-        'clap': 'F1',
-        'rimshot': 'G1',
-        'open_hihat': 'A1',
-        'ride': 'B1',
-        'crash': 'C2', // Using C2 for crash, just an arbitrary choice
-    });
-
-    // Create the urls object that Tone.Sampler expects: { "note": "full/path/to/filename.mp3" }
-    // Constructing paths relative to the root for consistency.
-    const getSamplerUrls = useCallback(() => {
-        const urls = {};
-        for (const drumKey in drumKeyToNoteMap.current) {
-            const note = drumKeyToNoteMap.current[drumKey];
-            const fileExtension = drumKey === 'open_hihat' ? 'wav' : 'mp3';
-            // Explicitly constructing the path relative to the root (starting with /)
-            urls[note] = `/drum_samples/${drumKey}.${fileExtension}`; 
-        }
-        return urls;
+    const isLoading = pendingSampleCount > 0; // Indicates if audio setup is in progress
+    const isSamplesLoaded = !isLoading && !loadError; // Indicates if samples are loaded
+
+    // The user's sample kit: the sample each pad plays, and how
+    const drumKit = useDrumKit(DRUM_KEYS);
+    const { kit, rejectPadSample } = drumKit;
+
+    // Step sequencer: eight banks of patterns, played on Tone.Transport in 16th notes
+    const [banks, setBanks] = useState(() => loadDrumBanks(DRUM_KEYS));
+    const [bank, setBank] = useState(DRUM_BANKS[0]); // Bank being played and edited
+    const [bpm, setBpm] = useState(110);
+    const [swing, setSwing] = useState(0); // 0 (straight) to 1, applied to the off-beat 16th notes
+    const [isPlaying, setIsPlaying] = useState(false);
+    const [currentTick, setCurrentTick] = useState(-1); // 16th notes since playback started, for the playheads
+    const [triggeredDrums, setTriggeredDrums] = useState(() => new Set()); // Drums the current step played, to light their pads
+    const pattern = banks[bank];
+    const patternRef = useRef(pattern); // Read by the transport callback, so edits are heard right away
+    const repeatIdRef = useRef(null); // The Tone.Transport event clocking the steps
+
+    const toolParams = { volume: masterVolume, bpm, swing, bank };
+    const toolParamSetters = { volume: setMasterVolume, bpm: setBpm, swing: setSwing, bank: setBank };
+    useUrlState(URL_SCHEMA, toolParams, toolParamSetters);
+
+    // Undo also covers the current bank's pattern (step toggles, velocity and
+    // probability edits, clearing); a snapshot's pattern goes back into its own bank
+    const historyParams = { ...toolParams, pattern };
+    const applyHistoryParams = useCallback((params) => {
+        setMasterVolume(params.volume);
+        setBpm(params.bpm);
+        setSwing(params.swing);
+        setBank(params.bank);
+        setBanks(prev => ({ ...prev, [params.bank]: params.pattern }));
     }, []);
+    useParamHistory(historyParams, applyHistoryParams);
 
-
-    // Function to dispose the sampler
-    const disposeSampler = useCallback(() => {
-        if (samplerRef.current) {
-            samplerRef.current.dispose();
-            samplerRef.current = null;
-            setIsSamplesLoaded(false);
-            console.log('useDrumMachine: Sampler disposed.');
-        }
-    }, []);
-
-    // Effect for initializing and loading the sampler
+    // Effect for creating the kit player, a Tone.Player per pad
     useEffect(() => {
-        console.log('useDrumMachine: Setting up Tone.js Sampler...');
-        setIsLoading(true);
-        setIsSamplesLoaded(false); // Reset sample loaded status
-        setLoadError(null); // Clear previous load errors
-
-        let localSampler = null;
+        console.log('useDrumMachine: Setting up the drum kit player...');
+        let localKitPlayer = null;
         try {
-            disposeSampler(); // Ensure any existing sampler is disposed
-            
-            localSampler = new Tone.Sampler({
-                urls: getSamplerUrls(), // Providing paths constructed with '/' at the beginning
-                onload: () => {
-                    console.log('useDrumMachine: Drum samples loaded successfully!');
-                    setIsSamplesLoaded(true);
-                    setIsLoading(false);
-                },
-                onerror: (error) => {
-                    console.error('useDrumMachine: Error loading drum samples:', error);
-                    setLoadError(`Failed to load drum samples: ${error.message || error}. Ensure '/drum_samples/' folder exists with the correct files.`);
-                    setIsLoading(false);
-                    setIsSamplesLoaded(false);
-                },
-            }).toDestination(); // Connect directly to output
-
-            samplerRef.current = localSampler; // Store in ref
-            console.log('useDrumMachine: Tone.js Sampler instance created.');
-
+            localKitPlayer = registerNode(createDrumKitPlayer()).toDestination(); // Connect directly to output
+            kitPlayerRef.current = localKitPlayer; // Store in ref
+            console.log('useDrumMachine: Drum kit player created.');
         } catch (error) {
-            console.error("useDrumMachine: Error during Tone.js Sampler setup:", error);
+            console.error("useDrumMachine: Error during drum kit player setup:", error);
             setLoadError('Failed to initialize audio engine. Check console for details.');
-            setIsLoading(false);
-            setIsSamplesLoaded(false);
-            samplerRef.current = null; // Ensure ref is null on error
+            kitPlayerRef.current = null; // Ensure ref is null on error
         }
 
         // Cleanup function for this effect
         return () => {
-            console.log('useDrumMachine Cleanup: Disposing sampler on unmount.');
-            if (localSampler) {
-                localSampler.dispose();
+            console.log('useDrumMachine Cleanup: Disposing the kit player on unmount.');
+            if (localKitPlayer) {
+                localKitPlayer.dispose();
             }
-            samplerRef.current = null; // Ensure ref is cleared
-            setIsSamplesLoaded(false);
+            kitPlayerRef.current = null; // Ensure ref is cleared
+            loadedSamplesRef.current = new Map();
         };
-    }, [disposeSampler, getSamplerUrls]); // isAudioGloballyReady is removed as a dependency here.
+    }, []);
+
+    // Effect for passing the kit's pad settings to the player, and loading the
+    // samples of pads that got a new one
+    useEffect(() => {
+        const kitPlayer = kitPlayerRef.current;
+        if (!kitPlayer) return;
+
+        DRUM_KEYS.forEach(drumKey => {
+            const { sample, settings } = kit.pads[drumKey];
+            kitPlayer.setPadSettings(drumKey, settings);
+            const loadedSamples = loadedSamplesRef.current;
+            if (loadedSamples.has(drumKey) && loadedSamples.get(drumKey) === sample) return;
+
+            loadedSamples.set(drumKey, sample);
+            setPendingSampleCount(count => count + 1);
+            loadPadSample(drumKey, sample)
+                .then(buffer => {
+                    // Skip samples replaced, or a player disposed, while loading
+                    if (kitPlayer.disposed || loadedSamples.get(drumKey) !== sample) return;
+                    kitPlayer.setPadSample(drumKey, buffer);
+                })
+                .catch(error => {
+                    console.error(`useDrumMachine: Error loading the ${drumKey} sample:`, error);
+                    if (sample) {
+                        rejectPadSample(drumKey, sample, error);
+                    } else {
+                        setLoadError(`Failed to load drum samples: ${error.message || error}. Ensure '/drum_samples/' folder exists with the correct files.`);
+                    }
+                })
+                .finally(() => setPendingSampleCount(count => count - 1));
+        });
+    }, [kit, rejectPadSample]);
 
     // Effect to update master volume
     useEffect(() => {
-        if (samplerRef.current && samplerRef.current.output) { // Access the output gain node
-            samplerRef.current.volume.value = masterVolume;
+        if (kitPlayerRef.current) {
+            kitPlayerRef.current.volume.value = masterVolume;
             console.log(`Master volume updated to: ${masterVolume} dB`);
         }
     }, [masterVolume]);
@@ -210,9 +170,9 @@ const useDrumMachine = () => {
     useEffect(() => {
         // `isAudioReady` should mean the app's audio components are ready to *respond* to input,
         // even if the global browser AudioContext is still suspended.
-        setIsAudioReady(isSamplesLoaded && samplerRef.current !== null && !isLoading && !loadError);
-        console.log(`useDrumMachine: isSamplesLoaded: ${isSamplesLoaded}, samplerRef.current exists: ${samplerRef.current !== null}, isLoading: ${isLoading}, loadError: ${!!loadError} => isAudioReady: ${isAudioReady}`);
-    }, [isSamplesLoaded, samplerRef.current, isLoading, loadError, isAudioReady]);
+        setIsAudioReady(isSamplesLoaded && kitPlayerRef.current !== null && !isLoading && !loadError);
+        console.log(`useDrumMachine: isSamplesLoaded: ${isSamplesLoaded}, kitPlayerRef.current exists: ${kitPlayerRef.current !== null}, isLoading: ${isLoading}, loadError: ${!!loadError} => isAudioReady: ${isAudioReady}`);
+    }, [isSamplesLoaded, isLoading, loadError, isAudioReady]);
 
 
     // Function to play a drum sound
@@ -227,36 +187,168 @@ const useDrumMachine = () => {
             }
         }
 
-        // Step 2: Now that the audio context *should* be running, check if sampler and samples are ready.
-        if (!samplerRef.current || !isSamplesLoaded || isLoading || loadError) {
-            console.warn('Sampler not initialized, samples not loaded, or still loading/error. Cannot play drum.');
+        // Step 2: Now that the audio context *should* be running, check if the kit player and samples are ready.
+        if (!kitPlayerRef.current || !isSamplesLoaded || isLoading || loadError) {
+            console.warn('Kit player not initialized, samples not loaded, or still loading/error. Cannot play drum.');
             return;
         }
 
         // Step 3: Play the drum sound
-        const note = drumKeyToNoteMap.current[drumKey];
-
-        if (note) { 
-            try {
-                samplerRef.current.triggerAttack(note, Tone.now()); // Trigger using the note name at current Tone time
-                console.log(`Playing drum: ${drumKey} (Note: ${note})`);
-            } catch (e) {
-                console.error(`Error triggering drum sound ${drumKey} (Note: ${note}):`, e);
+        try {
+            if (kitPlayerRef.current.trigger(drumKey, Tone.now())) {
+                console.log(`Playing drum: ${drumKey}`);
+            } else {
+                console.warn(`Drum pad '${drumKey}' has no sample loaded.`);
             }
-        } else {
-            console.warn(`Drum sample '${drumKey}' (Note: ${note}) not mapped.`);
+        } catch (e) {
+            console.error(`Error triggering drum sound ${drumKey}:`, e);
         }
     }, [startGlobalAudio, isSamplesLoaded, isLoading, loadError]); // Added isLoading, loadError to deps
 
 
+    useEffect(() => {
+        patternRef.current = pattern;
+    }, [pattern]);
+
+    useEffect(() => {
+        saveDrumBanks(banks);
+    }, [banks]);
+
+    useEffect(() => {
+        Tone.Transport.bpm.value = bpm;
+    }, [bpm]);
+
+    // Swing is global to the transport, so it's put back to straight 8ths
+    // (Tone's defaults) for the other tools when leaving
+    useEffect(() => {
+        Tone.Transport.swing = swing;
+        Tone.Transport.swingSubdivision = '16n';
+        return () => {
+            Tone.Transport.swing = 0;
+            Tone.Transport.swingSubdivision = '8n';
+        };
+    }, [swing]);
+
+    // Stops the transport and clears the step clock
+    const stopSequencer = useCallback(() => {
+        Tone.Transport.stop();
+        if (repeatIdRef.current !== null) {
+            Tone.Transport.clear(repeatIdRef.current);
+            repeatIdRef.current = null;
+        }
+        Tone.Draw.cancel(); // Drop pending playhead updates
+        setIsPlaying(false);
+        setCurrentTick(-1);
+        setTriggeredDrums(new Set());
+    }, []);
+
+    // Plays the current bank from its first step, looping every track on its own length
+    const startSequencer = useCallback(async () => {
+        if (Tone.context.state !== 'running') {
+            await startGlobalAudio();
+            if (Tone.context.state !== 'running') {
+                console.warn('Audio context could not be started after interaction. Cannot start the sequencer.');
+                return;
+            }
+        }
+        if (!kitPlayerRef.current || !isSamplesLoaded) {
+            console.warn('Samples not loaded yet. Cannot start the sequencer.');
+            return;
+        }
+
+        stopSequencer();
+        Tone.Transport.loop = false; // Tracks wrap on their own lengths instead
+        let tick = 0;
+        repeatIdRef.current = Tone.Transport.scheduleRepeat((time) => {
+            const stepTick = tick++;
+            const hits = getStepHits(patternRef.current, stepTick);
+            hits.forEach(({ drumKey, velocity }) => {
+                kitPlayerRef.current?.trigger(drumKey, time, velocity);
+            });
+            // Move the playheads and light the pads as the step sounds
+            Tone.Draw.schedule(() => {
+                setCurrentTick(stepTick);
+                setTriggeredDrums(new Set(hits.map(({ drumKey }) => drumKey)));
+            }, time);
+        }, '16n', 0);
+        Tone.Transport.start('+0.05');
+        setIsPlaying(true);
+    }, [startGlobalAudio, isSamplesLoaded, stopSequencer]);
+
+    // Stop the transport when leaving the tool
+    useEffect(() => () => stopSequencer(), [stopSequencer]);
+
+    // Edits of the current bank's pattern
+    const updatePattern = useCallback((update) => {
+        setBanks(prev => ({ ...prev, [bank]: update(prev[bank]) }));
+    }, [bank]);
+
+    const toggleStep = useCallback((drumKey, index) => {
+        updatePattern(current => updateDrumStep(current, drumKey, index, { isOn: !current[drumKey].steps[index].isOn }));
+    }, [updatePattern]);
+
+    const setStepValues = useCallback((drumKey, index, changes) => {
+        updatePattern(current => updateDrumStep(current, drumKey, index, changes));
+    }, [updatePattern]);
+
+    const setTrackLength = useCallback((drumKey, length) => {
+        updatePattern(current => setDrumTrackLength(current, drumKey, length));
+    }, [updatePattern]);
+
+    const clearPattern = useCallback(() => {
+        updatePattern(() => createEmptyPattern(DRUM_KEYS));
+    }, [updatePattern]);
+
+    // Writes the current bank as a MIDI file, a drum track per pad, each
+    // repeated on its own length up to the longest track length
+    const exportMidi = useCallback((format) => {
+        const stepTicks = noteValueToTicks('16n');
+        const stepCount = TRACK_LENGTHS[TRACK_LENGTHS.length - 1];
+        const bytes = encodeMidiFile({
+            title: `Drum Machine - Bank ${bank}`,
+            bpm,
+            tracks: DRUM_KEYS.map(drumKey => {
+                const track = pattern[drumKey];
+                return {
+                    name: drumKey.replace(/_/g, ' '),
+                    isDrum: true,
+                    notes: Array.from({ length: stepCount }, (_, step) => ({ step, ...track.steps[step % track.length] }))
+                        .filter(({ isOn }) => isOn)
+                        .map(({ step, velocity }) => ({ note: GM_DRUM_NOTES[drumKey], tick: step * stepTicks, duration: stepTicks / 2, velocity })),
+                };
+            }),
+        }, { format });
+        downloadBlob(createMidiBlob(bytes), `drum-machine-bank-${bank}.mid`);
+    }, [bank, bpm, pattern]);
+
     return {
         playDrum,
         masterVolume,
         setMasterVolume,
+        sequencer: {
+            pattern,
+            bank,
+            setBank,
+            bpm,
+            setBpm,
+            swing,
+            setSwing,
+            isPlaying,
+            currentTick,
+            startSequencer,
+            stopSequencer,
+            toggleStep,
+            setStepValues,
+            setTrackLength,
+            clearPattern,
+            exportMidi,
+        },
+        triggeredDrums,
         isAudioReady, // This now indicates if the drum machine is functionally ready (samples loaded, not loading/error)
         isLoading,
         isSamplesLoaded,
-        drumKeys: Object.keys(drumKeyToNoteMap.current), // Expose descriptive drum keys for UI buttons
+        drumKeys: DRUM_KEYS, // Expose descriptive drum keys for UI buttons
+        drumKit,
         error: audioContextError || loadError // Combine errors from AudioContext and Sampler loading
     };
 };
@@ -283,26 +375,231 @@ const ParameterSlider = ({ label, value, setter, min, max, step, explanation, un
 // --- End ParameterSlider Component ---
 
 
+// --- StepSequencer Component ---
+const StepSequencer = ({ sequencer, drumKeys, isDisabled }) => {
+    const {
+        pattern, bank, setBank,
+        bpm, setBpm, swing, setSwing,
+        isPlaying, currentTick,
+        startSequencer, stopSequencer,
+        toggleStep, setStepValues, setTrackLength, clearPattern,
+        exportMidi,
+    } = sequencer;
+
+    // Step shown in the step editor: the last one turned on, or right-clicked
+    const [selectedStep, setSelectedStep] = useState(null);
+    const selected = selectedStep && pattern[selectedStep.drumKey].steps[selectedStep.index];
+
+    const handleStepClick = (drumKey, index) => {
+        const isTurningOn = !pattern[drumKey].steps[index].isOn;
+        toggleStep(drumKey, index);
+        setSelectedStep(isTurningOn ? { drumKey, index } : null);
+    };
+
+    const handleStepContextMenu = (e, drumKey, index) => {
+        e.preventDefault();
+        if (pattern[drumKey].steps[index].isOn) setSelectedStep({ drumKey, index });
+    };
+
+    const formatDrumName = (drumKey) => drumKey.replace(/_/g, ' ').toUpperCase();
+
+    return (
+        <div className="w-full max-w-3xl flex flex-col gap-4">
+            {/* Transport and banks */}
+            <div className="flex flex-wrap items-center justify-center gap-3">
+                <button
+                    onClick={isPlaying ? stopSequencer : startSequencer}
+                    disabled={isDisabled}
+                    className={`flex items-center gap-2 px-5 py-2 rounded-xl font-bold text-white shadow-lg transition-colors disabled:bg-gray-400 ${isPlaying ? 'bg-red-500 hover:bg-red-600' : 'bg-green-600 hover:bg-green-700'}`}
+                >
+                    {isPlaying ? <Square size={18} /> : <Play size={18} />}
+                    {isPlaying ? 'Stop' : 'Play'}
+                </button>
+                <div className="flex gap-1" role="group" aria-label="Pattern bank">
+                    {DRUM_BANKS.map(bankName => (
+                        <button
+                            key={bankName}
+                            onClick={() => {
+                                setBank(bankName);
+                                setSelectedStep(null);
+                            }}
+                            aria-pressed={bank === bankName}
+                            className={`w-8 h-8 rounded-lg font-bold text-sm transition-colors ${bank === bankName ? 'bg-green-700 text-white' : 'bg-green-100 text-green-800 hover:bg-green-200'}`}
+                        >
+                            {bankName}
+                        </button>
+                    ))}
+                </div>
+                <button
+                    onClick={() => {
+                        clearPattern();
+                        setSelectedStep(null);
+                    }}
+                    className="flex items-center gap-1 px-3 py-2 rounded-lg text-sm font-medium text-green-800 bg-green-100 hover:bg-green-200"
+                    title={`Clear bank ${bank}`}
+                >
+                    <Trash2 size={16} /> Clear
+                </button>
+            </div>
+
+            {/* Step grid: one row per drum, 16 steps to a line */}
+            <div className="flex flex-col gap-2">
+                {drumKeys.map(drumKey => {
+                    const track = pattern[drumKey];
+                    const playingIndex = currentTick >= 0 ? currentTick % track.length : -1;
+                    return (
+                        <div key={drumKey} className="flex items-center gap-2">
+                            <div className="w-24 shrink-0 flex items-center justify-between gap-1">
+                                <span className="text-xs font-bold text-green-900 truncate">{formatDrumName(drumKey)}</span>
+                                <button
+                                    onClick={() => setTrackLength(drumKey, TRACK_LENGTHS.find(length => length !== track.length))}
+                                    className="text-[0.65rem] font-semibold px-1.5 py-0.5 rounded bg-green-100 text-green-800 hover:bg-green-200"
+                                    title="Steps in this track"
+                                >
+                                    {track.length}
+                                </button>
+                            </div>
+                            <div className="grid grid-cols-16 gap-0.5 flex-1">
+                                {track.steps.slice(0, track.length).map((step, index) => {
+                                    const isSelected = selectedStep?.drumKey === drumKey && selectedStep.index === index;
+                                    return (
+                                        <button
+                                            key={index}
+                                            onClick={() => handleStepClick(drumKey, index)}
+                                            onContextMenu={(e) => handleStepContextMenu(e, drumKey, index)}
+                                            aria-label={`${formatDrumName(drumKey)} step ${index + 1}`}
+                                            aria-pressed={step.isOn}
+                                            className={`relative h-6 sm:h-7 rounded-sm transition-colors
+                                                ${step.isOn ? 'bg-green-600' : Math.floor(index / 4) % 2 === 0 ? 'bg-green-100' : 'bg-green-50'}
+                                                ${index === playingIndex ? 'ring-2 ring-yellow-400' : ''}
+                                                ${isSelected ? 'outline-2 outline-green-900' : ''}`}
+                                            style={step.isOn ? { opacity: 0.35 + 0.65 * step.velocity } : undefined}
+                                        >
+                                            {step.isOn && step.probability < 1 && (
+                                                <span className="absolute inset-0 flex items-center justify-center text-[0.55rem] font-bold text-white">
+                                                    {Math.round(step.probability * 100)}
+                                                </span>
+                                            )}
+                                        </button>
+                                    );
+                                })}
+                            </div>
+                        </div>
+                    );
+                })}
+            </div>
+            <p className="text-xs text-gray-600 text-center italic">
+                Click a step to turn it on or off; right-click a step to edit its velocity and probability.
+            </p>
+
+            {/* Step editor */}
+            {selected && (
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 p-3 rounded-xl bg-green-50 border border-green-200">
+                    <p className="sm:col-span-2 text-center text-sm font-bold text-green-900">
+                        {formatDrumName(selectedStep.drumKey)} · step {selectedStep.index + 1}
+                    </p>
+                    <ParameterSlider
+                        label="Velocity"
+                        value={Math.round(selected.velocity * 100)}
+                        setter={(value) => setStepValues(selectedStep.drumKey, selectedStep.index, { velocity: value / 100 })}
+                        min="5"
+                        max="100"
+                        step="5"
+                        unit="%"
+                        explanation="How hard the step hits"
+                        colorClass="accent-green-700 bg-green-200"
+                    />
+                    <ParameterSlider
+                        label="Probability"
+                        value={Math.round(selected.probability * 100)}
+                        setter={(value) => setStepValues(selectedStep.drumKey, selectedStep.index, { probability: value / 100 })}
+                        min="5"
+                        max="100"
+                        step="5"
+                        unit="%"
+                        explanation="Chance the step plays each time round"
+                        colorClass="accent-green-700 bg-green-200"
+                    />
+                </div>
+            )}
+
+            {/* Tempo and swing */}
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <ParameterSlider
+                    label="Tempo"
+                    value={bpm}
+                    setter={setBpm}
+                    min="60"
+                    max="200"
+                    step="1"
+                    unit=" BPM"
+                    explanation="Speed of the pattern"
+                    colorClass="accent-green-700 bg-green-200"
+                />
+                <ParameterSlider
+                    label="Swing"
+                    value={Math.round(swing * 100)}
+                    setter={(value) => setSwing(value / 100)}
+                    min="0"
+                    max="100"
+                    step="1"
+                    unit="%"
+                    explanation="Delays every other 16th note for a shuffled feel"
+                    colorClass="accent-green-700 bg-green-200"
+                />
+            </div>
+
+            <MidiExportControls
+                onExport={exportMidi}
+                disabled={!drumKeys.some(drumKey => pattern[drumKey].steps.slice(0, pattern[drumKey].length).some(step => step.isOn))}
+            />
+        </div>
+    );
+};
+// --- End StepSequencer Component ---
+
+
 // --- DrumMachineContent (Main UI Logic) ---
 const DrumMachineContent = () => {
 
     const {
         playDrum,
         masterVolume, setMasterVolume,
+        sequencer,
+        triggeredDrums,
         isAudioReady, isLoading,
         drumKeys,
+        drumKit,
         error, // Combined error from hook
     } = useDrumMachine();
 
     const [activePad, setActivePad] = useState(null);
+    const [selectedPad, setSelectedPad] = useState(drumKeys[0]); // Pad shown in the kit editor
+    const [dropTargetPad, setDropTargetPad] = useState(null); // Pad a file is dragged over
 
     // This function will now be called only once per click/tap
     const handleDrumPadInteraction = (drumKey) => { // Renamed for clarity
         playDrum(drumKey);
         setActivePad(drumKey);
+        setSelectedPad(drumKey);
         setTimeout(() => setActivePad(null), 100);
     };
 
+    // Dropping an audio file onto a pad makes it the pad's sample
+    const handlePadDragOver = (e, drumKey) => {
+        if (!e.dataTransfer.types.includes('Files')) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+        setDropTargetPad(drumKey);
+    };
+
+    const handlePadDrop = (e, drumKey) => {
+        e.preventDefault();
+        setDropTargetPad(null);
+        drumKit.setPadSample(drumKey, e.dataTransfer.files[0]);
+        setSelectedPad(drumKey);
+    };
+
     return (
         <>
             {/* SEO Head - Add this at the very beginning */}
@@ -371,42 +668,75 @@ const DrumMachineContent = () => {
                     {/* Drum Pads Grid - Mobile First Design */}
                     <div className="grid grid-cols-2 sm:grid-cols-2 lg:grid-cols-4 gap-3 sm:gap-4 md:gap-6 w-full max-w-3xl">
                         {drumKeys.map(drumKey => (
-                            <button
+                            // Wrapped, as disabled buttons don't take drops
+                            <div
                                 key={drumKey}
-                                onClick={() => handleDrumPadInteraction(drumKey)} 
-                                className={`
-                                    relative overflow-hidden
-                                    py-8 sm:py-10 md:py-12 lg:py-16
-                                    rounded-xl sm:rounded-2xl 
-                                    text-sm sm:text-base md:text-lg lg:text-xl 
-                                    font-bold 
-                                    transition-all duration-150 ease-out transform
-                                    touch-manipulation select-none
-                                    min-h-[80px] sm:min-h-[100px] md:min-h-[120px]
-                                    ${activePad === drumKey 
-                                        ? 'scale-95 shadow-inner bg-green-700 text-white ring-4 ring-green-400' 
-                                        : 'shadow-lg hover:shadow-xl'}
-                                    ${!isLoading && !error 
-                                        ? 'bg-green-500 hover:bg-green-600 active:scale-95 text-white hover:scale-105' 
-                                        : 'bg-gray-400 cursor-not-allowed text-gray-700'}
-                                `}
-                                disabled={isLoading || !!error}
-                                style={{
-                                    WebkitTapHighlightColor: 'transparent',
-                                    touchAction: 'manipulation'
-                                }}
+                                onDragOver={(e) => handlePadDragOver(e, drumKey)}
+                                onDragLeave={() => setDropTargetPad(null)}
+                                onDrop={(e) => handlePadDrop(e, drumKey)}
+                                className={`rounded-xl sm:rounded-2xl ${dropTargetPad === drumKey ? 'ring-4 ring-yellow-400' : ''}`}
                             >
-                                {/* Ripple effect background */}
-                                <div className="absolute inset-0 bg-gradient-to-br from-white/20 to-transparent rounded-xl sm:rounded-2xl"></div>
+                                <button
+                                    onClick={() => handleDrumPadInteraction(drumKey)} 
+                                    className={`
+                                        relative overflow-hidden w-full
+                                        py-8 sm:py-10 md:py-12 lg:py-16
+                                        rounded-xl sm:rounded-2xl 
+                                        text-sm sm:text-base md:text-lg lg:text-xl 
+                                        font-bold 
+                                        transition-all duration-150 ease-out transform
+                                        touch-manipulation select-none
+                                        min-h-[80px] sm:min-h-[100px] md:min-h-[120px]
+                                        ${activePad === drumKey || triggeredDrums.has(drumKey)
+                                            ? 'scale-95 shadow-inner bg-green-700 text-white ring-4 ring-green-400' 
+                                            : selectedPad === drumKey ? 'shadow-lg ring-2 ring-green-800' : 'shadow-lg hover:shadow-xl'}
+                                        ${!isLoading && !error 
+                                            ? 'bg-green-500 hover:bg-green-600 active:scale-95 text-white hover:scale-105' 
+                                            : 'bg-gray-400 cursor-not-allowed text-gray-700'}
+                                    `}
+                                    disabled={isLoading || !!error}
+                                    style={{
+                                        WebkitTapHighlightColor: 'transparent',
+                                        touchAction: 'manipulation'
+                                    }}
+                                >
+                                    {/* Ripple effect background */}
+                                    <div className="absolute inset-0 bg-gradient-to-br from-white/20 to-transparent rounded-xl sm:rounded-2xl"></div>
                                 
-                                {/* Button text */}
-                                <span className="relative z-10 leading-tight">
-                                    {drumKey.replace(/_/g, ' ').toUpperCase()}
-                                </span>
-                            </button>
+                                    {/* Button text */}
+                                    <span className="relative z-10 leading-tight">
+                                        {drumKey.replace(/_/g, ' ').toUpperCase()}
+                                    </span>
+                                    {drumKit.kit.pads[drumKey].sampleName && (
+                                        <span className="relative z-10 block px-2 mt-1 truncate text-xs font-normal opacity-90">
+                                            {drumKit.kit.pads[drumKey].sampleName}
+                                        </span>
+                                    )}
+                                </button>
+                            </div>
                         ))}
                     </div>
 
+                    {/* Sample Kit */}
+                    <div className="w-full flex justify-center pt-4 sm:pt-6 border-t border-green-200">
+                        <DrumKitPanel
+                            drumKit={drumKit}
+                            drumKeys={drumKeys}
+                            selectedPad={selectedPad}
+                            onSelectPad={setSelectedPad}
+                            disabled={!!error}
+                        />
+                    </div>
+
+                    {/* Step Sequencer */}
+                    <div className="w-full flex justify-center pt-4 sm:pt-6 border-t border-green-200">
+                        <StepSequencer
+                            sequencer={sequencer}
+                            drumKeys={drumKeys}
+                            isDisabled={isLoading || !!error}
+                        />
+                    </div>
+
                     {/* Master Volume Slider */}
                     <div className="w-full max-w-2xl mt-4 sm:mt-6 pt-4 sm:pt-6 border-t border-green-200 px-2">
                         <ParameterSlider
@@ -461,14 +791,12 @@ class ErrorBoundary extends React.Component {
     }
 }
 
-// Default export wrapping the main content with AudioContextProvider and ErrorBoundary
+// Default export wrapping the main content with ErrorBoundary
 const DrumMachine = () => {
     return (
-        <AudioContextProvider>
-            <ErrorBoundary>
-                <DrumMachineContent />
-            </ErrorBoundary>
-        </AudioContextProvider>
+        <ErrorBoundary>
+            <DrumMachineContent />
+        </ErrorBoundary>
     );
 }
 
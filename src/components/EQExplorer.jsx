@@ -1,7 +1,20 @@
-import React, { useState, useEffect, useRef, useCallback, createContext, useContext, useMemo } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useContext, useMemo } from 'react';
 import * as Tone from 'tone';
+import { AudioContext } from '../contexts/AudioContext';
+import { registerNode } from '../utils/audioEngine';
+import { ExplorerSource } from '../utils/explorerSources';
+import useExplorerSource from '../hooks/useExplorerSource';
+import { ABComparator } from '../utils/abCompare';
+import useABCompare from '../hooks/useABCompare';
+import { createUrlSchema, urlParam } from '../utils/urlState';
+import useUrlState from '../hooks/useUrlState';
+import useParamHistory from '../hooks/useParamHistory';
+import useUserPresets from '../hooks/useUserPresets';
 import { Play, Pause, SlidersHorizontal } from 'lucide-react'; // Using SlidersHorizontal as a general EQ icon
 import SEOHead from './SEOHead';
+import SourceSelector from './SourceSelector';
+import ABCompareControls from './ABCompareControls';
+import PresetPanel from './PresetPanel';
 
 // Define the tool object for SEO structured data
 const eqExplorerTool = {
@@ -18,69 +31,33 @@ const eqExplorerTool = {
     ]
 };
 
-// Define the path to your white noise MP3 file for EQ testing
-const WHITE_NOISE_MP3_PATH = '/white-noise/white-noise.mp3';
-
-// --- INLINED AUDIO CONTEXT ---
-// This context will manage the global Tone.js audio state.
-export const AudioContext = createContext(null);
-
-const AudioContextProvider = ({ children }) => {
-    const [isAudioGloballyReady, setIsAudioGloballyReady] = useState(false);
-
-    // Function to start Tone.js audio context
-    const startGlobalAudio = useCallback(async () => {
-        if (Tone.context.state !== 'running') {
-            try {
-                console.log('AudioContext: Attempting to start global Tone.js context...');
-                await Tone.start();
-                setIsAudioGloballyReady(true);
-                console.log('AudioContext: Tone.js context started and is running.');
-            } catch (error) {
-                console.error("AudioContext: Error starting Tone.js context:", error);
-                setIsAudioGloballyReady(false);
-            }
-        } else {
-            setIsAudioGloballyReady(true);
-            console.log('AudioContext: Tone.js context already running.');
-        }
-    }, []);
-
-    // Effect to observe Tone.js context state changes
-    useEffect(() => {
-        const handleToneContextChange = () => {
-            if (Tone.context.state === 'running') {
-                setIsAudioGloballyReady(true);
-            } else {
-                setIsAudioGloballyReady(false);
-            }
-        };
-
-        Tone.context.on('statechange', handleToneContextChange);
-        handleToneContextChange(); // Initial check on mount
-
-        return () => {
-            Tone.context.off('statechange', handleToneContextChange);
-        };
-    }, []);
-
-    return (
-        <AudioContext.Provider value={{ isAudioGloballyReady, startGlobalAudio }}>
-            {children}
-        </AudioContext.Provider>
-    );
-};
-// --- END INLINED AUDIO CONTEXT ---
-
+// Source the explorer starts with; the user can switch it with the source selector.
+const DEFAULT_SOURCE = { type: 'demo', id: 'noise' };
 
 // --- useEQSynth Hook ---
 const EQ_FILTER_TYPES = [
     'lowpass', 'highpass', 'bandpass', 'notch', 'peaking', 'lowshelf', 'highshelf'
 ];
 
+
+// Filter settings kept in the URL, so a link reopens them
+const URL_SCHEMA = createUrlSchema({
+    params: {
+        type: urlParam.oneOf(EQ_FILTER_TYPES),
+        frequency: urlParam.number({ min: 20, max: 20000, precision: 1 }),
+        q: urlParam.number({ min: 0.1, max: 10 }),
+        gain: urlParam.number({ min: -20, max: 20 }),
+    },
+});
+
 const useEQSynth = () => {
     const { isAudioGloballyReady, startGlobalAudio } = useContext(AudioContext);
-    const playerRef = useRef(null);
+    const sourceRef = useRef(null);
+    const { selectedSource, selectSource, selectFile, isLoadingSource, sourceError, loadSelectedSource, liveInput } = useExplorerSource(sourceRef, DEFAULT_SOURCE);
+    const comparatorRef = useRef(null); // A/B switch between the bypass and processed signals
+    const getComparator = useCallback(() => comparatorRef.current, []);
+    const abCompare = useABCompare(getComparator);
+    const { syncComparator } = abCompare;
     const filterRef = useRef(null);
     const analyserRef = useRef(null);
     const hasInitializedRef = useRef(false);
@@ -91,45 +68,61 @@ const useEQSynth = () => {
     const [Q, setQ] = useState(1);
     const [gain, setGain] = useState(0);
 
+    const toolParams = { type: filterType, frequency, q: Q, gain };
+    const toolParamSetters = {
+        type: setFilterType, frequency: setFrequency, q: setQ, gain: setGain,
+    };
+    useUrlState(URL_SCHEMA, toolParams, toolParamSetters);
+    useParamHistory(toolParams, toolParamSetters);
+    const userPresets = useUserPresets({
+        tool: 'eq-explorer', schema: URL_SCHEMA, params: toolParams, applyParams: toolParamSetters,
+    });
+
     const [isAudioReady, setIsAudioReady] = useState(false);
 
+    // Latest parameters, so the nodes start with them without initAudioNodes depending on them
+    const paramsRef = useRef(null);
+    paramsRef.current = { Q, filterType, frequency, gain };
+
     const initAudioNodes = useCallback(async () => {
+        const { Q, filterType, frequency, gain } = paramsRef.current;
         if (hasInitializedRef.current) {
             console.log('useEQSynth: initAudioNodes: already initialized, skipping init.');
             return;
         }
 
-        console.log(`useEQSynth: initAudioNodes called. playerRef.current: ${playerRef.current}, isAudioGloballyReady: ${isAudioGloballyReady}`);
+        console.log(`useEQSynth: initAudioNodes called. sourceRef.current: ${sourceRef.current}, isAudioGloballyReady: ${isAudioGloballyReady}`);
 
-        if (isAudioGloballyReady && !playerRef.current) {
-            console.log('useEQSynth: Proceeding with initialization of audio nodes and loading MP3...');
+        if (isAudioGloballyReady && !sourceRef.current) {
+            console.log('useEQSynth: Proceeding with initialization of audio nodes and loading the audio source...');
             try {
-                const player = new Tone.Player({
-                    url: WHITE_NOISE_MP3_PATH,
-                    loop: true,
-                    autostart: false
-                });
-                player.volume.value = -15; // Reduce initial volume of white noise
+                // Create the switchable source (demo loop, user file or generator)
+                const source = registerNode(new ExplorerSource({ volume: -15 }));
+                await loadSelectedSource(source);
+                console.log('useEQSynth: Audio source loaded successfully.');
 
-                await player.load(WHITE_NOISE_MP3_PATH);
-                console.log('useEQSynth: MP3 loaded successfully.');
+                // A/B comparison: the bypass path taps the source ahead of the effect
+                const comparator = registerNode(new ABComparator()).toDestination();
+                source.connect(comparator.dry);
 
                 // Initialize filter with current parameters
-                const filter = new Tone.Filter(frequency, filterType);
+                const filter = registerNode(new Tone.Filter(frequency, filterType));
                 filter.Q.value = Q;
                 filter.rolloff = -24; // Common rolloff value
                 filter.gain.value = gain;
 
                 // Analyser for FFT data
-                const analyser = new Tone.Analyser("fft", 2048); // Increased FFT size for better resolution
+                const analyser = registerNode(new Tone.Analyser("fft", 2048)); // Increased FFT size for better resolution
 
                 // Connect the audio chain
-                player.connect(filter);
+                source.connect(filter);
                 filter.connect(analyser);
-                filter.toDestination();
+                filter.connect(comparator);
 
                 // Store refs
-                playerRef.current = player;
+                sourceRef.current = source;
+                comparatorRef.current = comparator;
+                syncComparator();
                 filterRef.current = filter;
                 analyserRef.current = analyser;
 
@@ -138,25 +131,29 @@ const useEQSynth = () => {
                 console.log('useEQSynth: Audio nodes initialized and connected. isAudioReady set to true.');
 
             } catch (error) {
-                console.error("useEQSynth: Error initializing EQ audio nodes or loading MP3:", error);
+                console.error("useEQSynth: Error initializing EQ audio nodes or loading the audio source:", error);
                 setIsAudioReady(false);
                 hasInitializedRef.current = false; // Reset if initialization fails
             }
         } else {
             console.log("useEQSynth: initAudioNodes skipped. Not globally ready or player already exists (or already initialized).");
         }
-    }, [isAudioGloballyReady]); // Dependencies for initial setup are intentionally limited
+    }, [isAudioGloballyReady, loadSelectedSource, syncComparator]); // Dependencies for initial setup are intentionally limited
 
     const disposeAudioNodes = useCallback(() => {
-        console.log(`useEQSynth: disposeAudioNodes called. playerRef.current: ${playerRef.current}`);
-        if (playerRef.current) {
+        console.log(`useEQSynth: disposeAudioNodes called. sourceRef.current: ${sourceRef.current}`);
+        if (sourceRef.current) {
             console.log('useEQSynth: Disposing audio nodes...');
-            playerRef.current.stop();
-            playerRef.current.dispose();
+            sourceRef.current.stop();
+            sourceRef.current.dispose();
             if (filterRef.current) filterRef.current.dispose();
             if (analyserRef.current) analyserRef.current.dispose();
 
-            playerRef.current = null;
+            sourceRef.current = null;
+            if (comparatorRef.current) {
+                comparatorRef.current.dispose();
+                comparatorRef.current = null;
+            }
             filterRef.current = null;
             analyserRef.current = null;
             setIsPlaying(false);
@@ -192,9 +189,9 @@ const useEQSynth = () => {
         }
     }, [filterType, frequency, Q, gain, isAudioReady]);
 
-    // Toggles playback of white noise
+    // Toggles playback of the source
     const togglePlay = useCallback(async () => {
-        console.log('togglePlay called. isPlaying:', isPlaying, 'isAudioGloballyReady:', isAudioGloballyReady, 'isAudioReady:', isAudioReady, 'playerRef.current:', playerRef.current);
+        console.log('togglePlay called. isPlaying:', isPlaying, 'isAudioGloballyReady:', isAudioGloballyReady, 'isAudioReady:', isAudioReady, 'sourceRef.current:', sourceRef.current);
 
         // Step 1: Ensure global AudioContext is running
         if (!isAudioGloballyReady) {
@@ -215,31 +212,31 @@ const useEQSynth = () => {
         await new Promise(resolve => setTimeout(resolve, 10));
 
         // Step 3: Now, after ensuring global and local audio systems are ready, toggle playback.
-        if (playerRef.current && isAudioReady) {
+        if (sourceRef.current && isAudioReady) {
             if (isPlaying) {
-                playerRef.current.stop();
+                sourceRef.current.stop();
                 setIsPlaying(false);
-                console.log('togglePlay: White noise stopped.');
+                console.log('togglePlay: Source stopped.');
             } else {
-                playerRef.current.start();
+                sourceRef.current.start();
                 setIsPlaying(true);
-                console.log('togglePlay: White noise started.');
+                console.log('togglePlay: Source started.');
             }
         } else {
-            console.warn('togglePlay: Cannot toggle playback. Audio system not fully ready. Player ref:', playerRef.current, 'AudioReady state:', isAudioReady, 'Global Audio Ready:', isAudioGloballyReady);
+            console.warn('togglePlay: Cannot toggle playback. Audio system not fully ready. Player ref:', sourceRef.current, 'AudioReady state:', isAudioReady, 'Global Audio Ready:', isAudioGloballyReady);
             // Fallback for edge cases where init might be delayed
             if (isAudioGloballyReady && !hasInitializedRef.current) {
                 console.log('togglePlay: Fallback initAudioNodes call.');
                 await initAudioNodes();
                 await new Promise(resolve => setTimeout(resolve, 10));
-                if (playerRef.current && isAudioReady) {
-                    playerRef.current.start();
+                if (sourceRef.current && isAudioReady) {
+                    sourceRef.current.start();
                     setIsPlaying(true);
-                    console.log('togglePlay: White noise started after fallback init.');
+                    console.log('togglePlay: Source started after fallback init.');
                 }
             }
         }
-    }, [isPlaying, isAudioGloballyReady, isAudioReady, startGlobalAudio, initAudioNodes, playerRef, hasInitializedRef]);
+    }, [isPlaying, isAudioGloballyReady, isAudioReady, startGlobalAudio, initAudioNodes, sourceRef, hasInitializedRef]);
 
     // Function to get frequency data for visualization
     const getFrequencyData = useCallback(() => {
@@ -280,6 +277,8 @@ const useEQSynth = () => {
     }, [filterRef]); // Dependency on filterRef ensures the ref is available
 
     return {
+        userPresets,
+        selectedSource, selectSource, selectFile, isLoadingSource, sourceError, liveInput, abCompare,
         isPlaying,
         togglePlay,
         filterType,
@@ -452,6 +451,7 @@ const FrequencyVisualizer = ({ analyser, filterCurve, width = 800, height = 300
 // --- EQExplorer Component (Main Component) ---
 const EQExplorerContent = () => {
     const {
+        selectedSource, selectSource, selectFile, isLoadingSource, sourceError, liveInput, abCompare,
         isPlaying, togglePlay,
         filterType, setFilterType,
         frequency, setFrequency,
@@ -461,6 +461,7 @@ const EQExplorerContent = () => {
         getFrequencyData,
         getFilterCurve,
         EQ_FILTER_TYPES,
+        userPresets,
     } = useEQSynth();
 
     const visualizerWidth = 700;
@@ -529,7 +530,7 @@ const EQExplorerContent = () => {
                     </div>
                     {!isAudioReady && (
                         <p className="text-purple-700 text-sm mt-4 animate-pulse">
-                            Click "Play White Noise" to activate audio and begin.
+                            Click "Play Audio Loop" to activate audio and begin.
                         </p>
                     )}
                 </div>
@@ -548,9 +549,21 @@ const EQExplorerContent = () => {
                         `}
                     >
                         {isPlaying ? <Pause size={24} /> : <Play size={24} />}
-                        {isPlaying ? "Stop White Noise" : "Play White Noise"}
+                        {isPlaying ? "Stop Audio Loop" : "Play Audio Loop"}
                     </button>
 
+                    {/* Audio Source */}
+                    <SourceSelector
+                        selectedSource={selectedSource}
+                        onSelect={selectSource}
+                        onFile={selectFile}
+                        isLoading={isLoadingSource}
+                        error={sourceError}
+                        liveInput={liveInput}
+                    />
+                    <ABCompareControls abCompare={abCompare} disabled={!isAudioReady} />
+                    <PresetPanel presets={userPresets} />
+
                     {/* EQ Type Selector */}
                     <div className="w-full">
                         <label htmlFor="filter-type" className="block text-indigo-800 text-lg font-medium mb-2">
@@ -653,9 +666,7 @@ const EQExplorerContent = () => {
 // This is the default export for the standalone EQ Explorer
 const EQExplorer = () => {
     return (
-        <AudioContextProvider>
-            <EQExplorerContent />
-        </AudioContextProvider>
+        <EQExplorerContent />
     );
 }
 
@@ -1,7 +1,37 @@
-import React, { useState, useEffect, useRef, useCallback, createContext, useContext, useMemo } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useContext, useMemo } from 'react';
 import * as Tone from 'tone';
-import { Play, Pause, SlidersHorizontal, Upload, Download, Music, ChevronDown, RotateCcw, Waves } from 'lucide-react';
+import { AudioContext } from '../contexts/AudioContext';
+import { registerNode } from '../utils/audioEngine';
+import { ImpulseReverb, generateReverbImpulse, DEFAULT_IMPULSE_PRE_DELAY } from '../utils/impulseReverb';
+import { renderOffline, getRenderDuration } from '../utils/offlineRenderer';
+import { exportAudioBuffer, DEFAULT_EXPORT_SETTINGS } from '../utils/audioExport';
+import { downloadBlob, getBaseFileName } from '../utils/downloadUtils';
+import useExportJob from '../hooks/useExportJob';
+import useABCompare from '../hooks/useABCompare';
+import useRegionPlayback from '../hooks/useRegionPlayback';
+import useAudioEdits from '../hooks/useAudioEdits';
+import useStudioProject from '../hooks/useStudioProject';
+import useUrlState from '../hooks/useUrlState';
+import useParamHistory from '../hooks/useParamHistory';
+import useUserPresets from '../hooks/useUserPresets';
+import { createUrlSchema, urlParam } from '../utils/urlState';
+import { startLoopingPlayer } from '../utils/audioRegion';
+import { applyEdits } from '../utils/audioEdits';
+import { ABComparator } from '../utils/abCompare';
+import { LoudnessMeter } from '../utils/loudnessMeter';
+import useLiveInput from '../hooks/useLiveInput';
+import { LiveInput } from '../utils/liveInput';
+import { Play, Pause, SlidersHorizontal, Upload, Download, Music, ChevronDown, RotateCcw, Waves, X, Mic, MicOff } from 'lucide-react';
 import SEOHead from './SEOHead';
+import ExportOptions from './ExportOptions';
+import ABCompareControls from './ABCompareControls';
+import WaveformOverview from './WaveformOverview';
+import AudioEditPanel from './AudioEditPanel';
+import ProjectPanel from './ProjectPanel';
+import PresetPanel from './PresetPanel';
+import LoudnessMeterPanel from './LoudnessMeterPanel';
+import LoudnessReport from './LoudnessReport';
+import LiveInputControls from './LiveInputControls';
 
 
 
@@ -22,52 +52,6 @@ const eqStudioTool = {
 
 
 
-// Audio Context Provider
-export const AudioContext = createContext(null);
-
-const AudioContextProvider = ({ children }) => {
-    const [isAudioGloballyReady, setIsAudioGloballyReady] = useState(false);
-
-    const startGlobalAudio = useCallback(async () => {
-        if (Tone.context.state !== 'running') {
-            try {
-                console.log('Starting Tone.js context...');
-                await Tone.start();
-                setIsAudioGloballyReady(true);
-                console.log('Tone.js context started successfully.');
-            } catch (error) {
-                console.error("Error starting Tone.js context:", error);
-                setIsAudioGloballyReady(false);
-            }
-        } else {
-            setIsAudioGloballyReady(true);
-        }
-    }, []);
-
-    useEffect(() => {
-        const handleToneContextChange = () => {
-            setIsAudioGloballyReady(Tone.context.state === 'running');
-        };
-
-        if (Tone.context.on) {
-            Tone.context.on('statechange', handleToneContextChange);
-        }
-        handleToneContextChange();
-
-        return () => {
-            if (Tone.context.off) {
-                Tone.context.off('statechange', handleToneContextChange);
-            }
-        };
-    }, []);
-
-    return (
-        <AudioContext.Provider value={{ isAudioGloballyReady, startGlobalAudio }}>
-            {children}
-        </AudioContext.Provider>
-    );
-};
-
 // EQ band frequencies (10 bands)
 const EQ_BAND_FREQUENCIES = [
     32, 64, 125, 250, 500, 1000, 2000, 4000, 8000, 16000
@@ -88,58 +72,30 @@ const EQ_PRESETS = {
     'Custom': [0, 0, 0, 0, 0, 0, 0, 0, 0, 0] // For when user adjusts manually
 };
 
-
-// Helper function to convert AudioBuffer to WAV Blob
-const audioBufferToWav = (buffer) => {
-    const numOfChan = buffer.numberOfChannels;
-    const length = buffer.length * numOfChan * 2 + 44;
-    const bufferArray = new ArrayBuffer(length);
-    const view = new DataView(bufferArray);
-    
-    // Helper functions to write data to view
-    let pos = 0; // Initialize pos here
-    const setUint16 = (data) => {
-        view.setUint16(pos, data, true);
-        pos += 2;
-    };
-    
-    const setUint32 = (data) => {
-        view.setUint32(pos, data, true);
-        pos += 4;
-    };
-    
-    // Write WAV header
-    const writeString = (str) => {
-        for (let i = 0; i < str.length; i++) {
-            view.setUint8(pos++, str.charCodeAt(i));
-        }
-    };
-    
-    writeString('RIFF');             // ChunkID
-    setUint32(length - 8);           // ChunkSize
-    writeString('WAVE');             // Format
-    writeString('fmt ');             // Subchunk1ID
-    setUint32(16);                   // Subchunk1Size
-    setUint16(1);                    // AudioFormat (PCM)
-    setUint16(numOfChan);            // NumChannels
-    setUint32(buffer.sampleRate);    // SampleRate
-    setUint32(buffer.sampleRate * 2 * numOfChan); // ByteRate
-    setUint16(numOfChan * 2);        // BlockAlign
-    setUint16(16);                   // BitsPerSample
-    writeString('data');             // Subchunk2ID
-    setUint32(buffer.length * numOfChan * 2); // Subchunk2Size
-    
-    // Write interleaved audio data
-    for (let i = 0; i < buffer.length; i++) {
-        for (let chan = 0; chan < numOfChan; chan++) {
-            const sample = Math.max(-1, Math.min(1, buffer.getChannelData(chan)[i]));
-            const int16 = sample < 0 ? sample * 32768 : sample * 32767;
-            view.setInt16(pos, int16, true);
-            pos += 2;
-        }
-    }
-    
-    return new Blob([view], { type: 'audio/wav' });
+// Parameters kept in the URL (the keys of the project parameters), so a link reopens them
+const URL_SCHEMA = createUrlSchema({
+    params: {
+        gains: urlParam.list(urlParam.number({ min: -15, max: 15, precision: 1 }), {
+            minLength: EQ_BAND_FREQUENCIES.length,
+            maxLength: EQ_BAND_FREQUENCIES.length,
+        }),
+        selectedPreset: urlParam.oneOf(Object.keys(EQ_PRESETS)),
+        isReverbActive: urlParam.boolean(),
+        reverbDecay: urlParam.number({ min: 0.1, max: 10 }),
+    },
+});
+
+// EQ filters -> reverb chain, built the same way for playback and for the offline download render
+const buildEQChain = ({ gains, impulse, reverbWet }) => {
+    const filters = EQ_BAND_FREQUENCIES.map((freq, index) => {
+        const filter = new Tone.Filter(freq, 'peaking');
+        filter.Q.value = 1;
+        filter.gain.value = gains[index];
+        return filter;
+    });
+    const reverb = new ImpulseReverb({ impulse, wet: reverbWet });
+    Tone.connectSeries(...filters, reverb);
+    return { input: filters[0], output: reverb, filters, reverb };
 };
 
 // Custom hook for EQ functionality
@@ -149,19 +105,50 @@ const useEQSynth = () => {
     const filtersRef = useRef([]);
     const analyserRef = useRef(null);
     const reverbRef = useRef(null); // New ref for Reverb
+    const impulseRef = useRef(null); // Current reverb impulse response, shared by playback and export
     const currentAudioBufferRef = useRef(null);
     const originalFileRef = useRef(null);
+    const liveInputRef = useRef(null); // Live microphone/line input, created on first use
+    const comparatorRef = useRef(null); // A/B switch between the dry and equalized signals
+    const loudnessMeterRef = useRef(null); // BS.1770 meter on what is heard
 
     const [isPlaying, setIsPlaying] = useState(false);
     const [isAudioReady, setIsAudioReady] = useState(false);
     const [isLoadingAudio, setIsLoadingAudio] = useState(false);
     const [audioLoadError, setAudioLoadError] = useState(null);
-    const [isDownloading, setIsDownloading] = useState(false);
+    const { isExporting: isDownloading, exportProgress: downloadProgress, runExport, cancelExport: cancelDownload } = useExportJob();
     const [audioFileName, setAudioFileName] = useState('');
     const [hasAudioFile, setHasAudioFile] = useState(false);
     const [selectedPreset, setSelectedPreset] = useState('Flat');
     const [isReverbActive, setIsReverbActive] = useState(false); // State for reverb
     const [reverbDecay, setReverbDecay] = useState(1.5); // State for reverb decay
+    const [exportSettings, setExportSettings] = useState(DEFAULT_EXPORT_SETTINGS); // Download format, quality and sample rate
+    const [exportReport, setExportReport] = useState(null); // Loudness of the last exported file
+    const [isLiveInputOn, setIsLiveInputOn] = useState(false);
+
+    const getLiveInput = useCallback(() => liveInputRef.current, []);
+    const liveInput = useLiveInput(getLiveInput);
+    const { openInput, closeInput } = liveInput;
+
+    const getComparator = useCallback(() => comparatorRef.current, []);
+
+    // Play position, seeking and the looped/exported region of the file
+    const playback = useRegionPlayback({
+        startSource: (offset, bounds, buffer) => startLoopingPlayer(playerRef.current, offset, bounds, buffer),
+        stopSource: () => playerRef.current?.stop(),
+    });
+    const { play: startPlayback, stop: stopPlayback, loadBuffer, replaceBuffer, getExportBuffer } = playback;
+
+    // Non-destructive edits of the file; playback and the waveform follow the edited audio
+    const audioEdits = useAudioEdits();
+    const { setSourceBuffer, edits, editedBuffer } = audioEdits;
+    useEffect(() => {
+        if (editedBuffer) replaceBuffer(editedBuffer);
+    }, [editedBuffer, replaceBuffer]);
+
+    const getLoudnessMeter = useCallback(() => loudnessMeterRef.current, []);
+    const abCompare = useABCompare(getComparator);
+    const { syncComparator } = abCompare;
 
     const [bands, setBands] = useState(
         EQ_BAND_FREQUENCIES.map(freq => ({
@@ -169,6 +156,9 @@ const useEQSynth = () => {
             gain: 0
         }))
     );
+    // Latest band gains, so a newly loaded file keeps the current EQ (e.g. one opened from a link)
+    const bandsRef = useRef(bands);
+    bandsRef.current = bands;
 
     const initAudioNodes = useCallback(async (audioBuffer) => {
         try {
@@ -194,11 +184,19 @@ const useEQSynth = () => {
                 reverbRef.current.dispose();
                 reverbRef.current = null;
             }
+            if (comparatorRef.current) {
+                comparatorRef.current.dispose();
+                comparatorRef.current = null;
+            }
+            if (loudnessMeterRef.current) {
+                loudnessMeterRef.current.dispose();
+                loudnessMeterRef.current = null;
+            }
 
             console.log('Initializing audio nodes...');
 
             // Create new player
-            const player = new Tone.Player({
+            const player = registerNode(new Tone.Player({
                 url: audioBuffer,
                 loop: true,
                 autostart: false,
@@ -207,44 +205,42 @@ const useEQSynth = () => {
                     setIsAudioReady(true);
                     setIsLoadingAudio(false);
                 }
-            });
+            }));
 
-            // Create EQ filters
-            const newFilters = EQ_BAND_FREQUENCIES.map(freq => {
-                const filter = new Tone.Filter(freq, 'peaking');
-                filter.Q.value = 1;
-                filter.gain.value = 0;
-                return filter;
+            // Create EQ filters and the reverb behind them
+            const { filters: newFilters, reverb } = buildEQChain({
+                gains: bandsRef.current.map(band => band.gain),
+                impulse: impulseRef.current,
+                reverbWet: isReverbActive ? 1 : 0 // Set initial wet based on state
             });
+            newFilters.forEach(filter => registerNode(filter));
             filtersRef.current = newFilters;
-
-            // Create Reverb node
-            reverbRef.current = new Tone.Reverb({
-                decay: reverbDecay,
-                wet: isReverbActive ? 1 : 0 // Set initial wet based on state
-            }).toDestination();
-
-            // Apply initial 'Flat' preset
-            applyPreset('Flat', newFilters);
+            reverbRef.current = registerNode(reverb);
 
 
             // Create analyser
-            const analyser = new Tone.Analyser("fft", 512);
+            const analyser = registerNode(new Tone.Analyser("fft", 512));
 
-            // Connect audio chain: Player -> EQ Filters -> (Reverb if active) -> Analyser -> Destination
-            player.connect(filtersRef.current[0]);
-            for (let i = 0; i < filtersRef.current.length - 1; i++) {
-                filtersRef.current[i].connect(filtersRef.current[i + 1]);
-            }
+            // A/B switch between the dry player (bypass) and the EQ output
+            const comparator = registerNode(new ABComparator());
+            const loudnessMeter = registerNode(new LoudnessMeter());
 
-            // Connect last filter to reverb, and reverb to analyser, then analyser to destination
-            // The analyser will always see the final output including reverb
-            filtersRef.current[filtersRef.current.length - 1].connect(reverbRef.current);
-            reverbRef.current.connect(analyser);
+            // Connect audio chain: Player -> EQ Filters -> (Reverb if active) -> A/B switch -> Analyser -> Destination
+            // The analyser and loudness meter will always see what is heard, including reverb
+            player.fan(filtersRef.current[0], comparator.dry);
+            reverbRef.current.connect(comparator);
+            comparator.fan(analyser, loudnessMeter);
             analyser.connect(Tone.Destination);
+            // Keep the live input feeding the new chain
+            if (liveInputRef.current) {
+                liveInputRef.current.disconnect().fan(filtersRef.current[0], comparator.dry);
+            }
 
             playerRef.current = player;
             analyserRef.current = analyser;
+            comparatorRef.current = comparator;
+            loudnessMeterRef.current = loudnessMeter;
+            syncComparator();
 
             console.log('Audio nodes initialized successfully.');
 
@@ -254,7 +250,7 @@ const useEQSynth = () => {
             setIsAudioReady(false);
             setIsLoadingAudio(false);
         }
-    }, [reverbDecay, isReverbActive]); // Depend on reverb states for re-initialization
+    }, [isReverbActive, syncComparator]); // Depend on reverb state for re-initialization
 
     const disposeAudioNodes = useCallback(() => {
         if (playerRef.current) {
@@ -274,7 +270,20 @@ const useEQSynth = () => {
             reverbRef.current.dispose();
             reverbRef.current = null;
         }
+        if (liveInputRef.current) {
+            liveInputRef.current.dispose();
+            liveInputRef.current = null;
+        }
+        if (comparatorRef.current) {
+            comparatorRef.current.dispose();
+            comparatorRef.current = null;
+        }
+        if (loudnessMeterRef.current) {
+            loudnessMeterRef.current.dispose();
+            loudnessMeterRef.current = null;
+        }
         setIsPlaying(false);
+        setIsLiveInputOn(false);
         setIsAudioReady(false);
         setIsLoadingAudio(false);
         setAudioLoadError(null);
@@ -336,18 +345,48 @@ const useEQSynth = () => {
 
         if (playerRef.current && isAudioReady && !isLoadingAudio) {
             if (isPlaying) {
-                playerRef.current.stop();
+                stopPlayback();
                 setIsPlaying(false);
             } else {
-                playerRef.current.start();
+                startPlayback();
                 setIsPlaying(true);
             }
         }
-    }, [isPlaying, isAudioGloballyReady, isAudioReady, isLoadingAudio, startGlobalAudio]);
+    }, [isPlaying, isAudioGloballyReady, isAudioReady, isLoadingAudio, startGlobalAudio, startPlayback, stopPlayback]);
+
+    // Runs the live microphone/line input through the EQ instead of the file, or stops it
+    const toggleLiveInput = useCallback(async () => {
+        if (!isAudioGloballyReady) {
+            await startGlobalAudio();
+        }
+
+        if (isLiveInputOn) {
+            liveInputRef.current.stop();
+            closeInput();
+            setIsLiveInputOn(false);
+            return;
+        }
+
+        if (!filtersRef.current[0]) return;
+        if (!liveInputRef.current) {
+            liveInputRef.current = registerNode(new LiveInput()).fan(filtersRef.current[0], comparatorRef.current.dry);
+        }
+        if (await openInput()) {
+            if (playerRef.current && isPlaying) {
+                stopPlayback();
+                setIsPlaying(false);
+            }
+            liveInputRef.current.start();
+            setIsLiveInputOn(true);
+        }
+    }, [isLiveInputOn, isPlaying, isAudioGloballyReady, startGlobalAudio, openInput, closeInput, stopPlayback]);
+
+    // Switches the live input to another device
+    const selectInputDevice = useCallback((deviceId) => openInput({ deviceId }), [openInput]);
 
     // Handles file upload and initializes audio nodes
     const handleFileUpload = useCallback(async (file) => {
-        if (!file) return;
+        if (!file) return false;
 
         console.log('File selected:', file.name);
         setAudioFileName(file.name);
@@ -364,6 +403,8 @@ const useEQSynth = () => {
             const arrayBuffer = await file.arrayBuffer();
             const audioBuffer = await Tone.context.decodeAudioData(arrayBuffer);
             currentAudioBufferRef.current = audioBuffer; // Store the decoded audio buffer
+            loadBuffer(audioBuffer);
+            setSourceBuffer(audioBuffer);
 
             const audioBlobUrl = URL.createObjectURL(file); // Create a URL for the audio file
             await initAudioNodes(audioBlobUrl); // Initialize Tone.js with the new audio
@@ -376,6 +417,7 @@ const useEQSynth = () => {
             setTimeout(() => {
                 URL.revokeObjectURL(audioBlobUrl);
             }, 1000);
+            return true;
 
         } catch (error) {
             console.error('Error handling file upload:', error);
@@ -383,15 +425,16 @@ const useEQSynth = () => {
             setIsAudioReady(false);
             setIsLoadingAudio(false);
             setAudioFileName('');
+            return false;
         }
-    }, [isAudioGloballyReady, startGlobalAudio, initAudioNodes]);
+    }, [isAudioGloballyReady, startGlobalAudio, initAudioNodes, loadBuffer, setSourceBuffer]);
 
     // Toggle reverb on/off
     const toggleReverb = useCallback(() => {
         if (reverbRef.current) {
             const newReverbState = !isReverbActive;
             setIsReverbActive(newReverbState);
-            reverbRef.current.set({ wet: newReverbState ? 1 : 0 });
+            reverbRef.current.wet.value = newReverbState ? 1 : 0;
             console.log(`Reverb ${newReverbState ? 'activated' : 'deactivated'}.`);
         }
     }, [isReverbActive]);
@@ -399,111 +442,116 @@ const useEQSynth = () => {
     // Set reverb decay time
     const setReverbDecayValue = useCallback((newDecay) => {
         setReverbDecay(newDecay);
-        if (reverbRef.current) {
-            reverbRef.current.set({ decay: newDecay });
+    }, []);
+
+    // Regenerate the reverb impulse response when the decay changes
+    useEffect(() => {
+        let isCurrent = true;
+        generateReverbImpulse({ decay: reverbDecay }).then(impulse => {
+            if (!isCurrent) return;
+            impulseRef.current = impulse;
+            if (reverbRef.current) {
+                reverbRef.current.impulse = impulse;
+            }
+        });
+        return () => {
+            isCurrent = false;
+        };
+    }, [reverbDecay]);
+
+    // Parameter values saved in the project (see useStudioProject)
+    const projectParams = useMemo(() => ({
+        gains: bands.map(band => band.gain),
+        selectedPreset,
+        isReverbActive,
+        reverbDecay,
+    }), [bands, selectedPreset, isReverbActive, reverbDecay]);
+
+    const applyProjectParams = useCallback((params) => {
+        if (Array.isArray(params.gains)) {
+            setBands(EQ_BAND_FREQUENCIES.map((frequency, index) => {
+                const gain = params.gains[index] ?? 0;
+                if (filtersRef.current[index]) {
+                    filtersRef.current[index].gain.value = gain;
+                }
+                return { frequency, gain };
+            }));
         }
+        if (params.selectedPreset) setSelectedPreset(params.selectedPreset);
+        if (typeof params.isReverbActive === 'boolean') {
+            setIsReverbActive(params.isReverbActive);
+            if (reverbRef.current) reverbRef.current.wet.value = params.isReverbActive ? 1 : 0;
+        }
+        if (params.reverbDecay > 0) setReverbDecay(params.reverbDecay);
     }, []);
 
+    // Keeps the EQ settings in the URL; a link's settings win over the last project's
+    const { hasUrlState } = useUrlState(URL_SCHEMA, projectParams, applyProjectParams);
+    useParamHistory(projectParams, applyProjectParams);
+    const userPresets = useUserPresets({
+        tool: 'eq-studio', schema: URL_SCHEMA, params: projectParams, applyParams: applyProjectParams,
+    });
+
+    // Saves the file, parameters and edits as a project and restores it on the next visit
+    const project = useStudioProject({
+        studio: 'eq-studio',
+        params: projectParams,
+        applyParams: applyProjectParams,
+        audioEdits,
+        loadFile: handleFileUpload,
+        restoreParams: !hasUrlState,
+    });
+
     // Downloads the manipulated audio (offline rendering)
     const downloadManipulatedAudio = useCallback(async () => {
     if (!currentAudioBufferRef.current || isDownloading) return;
 
-    setIsDownloading(true);
     setAudioLoadError(null);
 
     try {
-        console.log('Starting offline rendering...');
-        
-        // Create a temporary offline context
-        const offlineContext = new OfflineAudioContext(
-            currentAudioBufferRef.current.numberOfChannels,
-            currentAudioBufferRef.current.length, // Use exact length of original audio
-            currentAudioBufferRef.current.sampleRate
-        );
+        await runExport(async ({ signal, onRenderProgress, onEncodeProgress }) => {
+            console.log('Starting offline rendering...');
+
+            const originalBuffer = getExportBuffer(applyEdits(currentAudioBufferRef.current, edits));
+            const chainParams = {
+                gains: bands.map(band => band.gain),
+                impulse: impulseRef.current,
+                reverbWet: isReverbActive ? 1 : 0,
+            };
 
-        // Create source node
-        const source = offlineContext.createBufferSource();
-        source.buffer = currentAudioBufferRef.current;
-
-        // Create all EQ filters using Web Audio API
-        const filters = EQ_BAND_FREQUENCIES.map((freq, index) => {
-            const filter = offlineContext.createBiquadFilter();
-            filter.type = 'peaking';
-            filter.frequency.value = freq;
-            filter.Q.value = 1;
-            filter.gain.value = bands[index].gain;
-            return filter;
+            // Render through the same chain as playback, with room for the reverb tail when it is on
+            const renderedBuffer = await renderOffline(() => {
+                const player = new Tone.Player(originalBuffer);
+                const { input, output } = buildEQChain(chainParams);
+                player.connect(input);
+                output.toDestination();
+                player.start(0);
+            }, {
+                duration: getRenderDuration(originalBuffer, {
+                    tail: isReverbActive ? DEFAULT_IMPULSE_PRE_DELAY + reverbDecay : 0,
+                }),
+                onProgress: onRenderProgress,
+                signal,
+            });
+            console.log('Offline rendering complete');
+
+            // Encode in the chosen format and download
+            const baseFileName = getBaseFileName(audioFileName);
+            const { blob, extension, loudness, notice } = await exportAudioBuffer(renderedBuffer, {
+                ...exportSettings,
+                onProgress: onEncodeProgress,
+                signal,
+                metadata: { title: baseFileName, software: 'LyriLab EQ Studio', preset: selectedPreset },
+            });
+            const fileName = `${baseFileName}-processed.${extension}`;
+            downloadBlob(blob, fileName);
+            setExportReport({ loudness, fileName, notice });
         });
-
-        // Create reverb node if active
-        let reverb = null;
-        if (isReverbActive) {
-            reverb = offlineContext.createConvolver();
-            // Create a simple impulse response for reverb
-            const decay = reverbDecay;
-            const sampleRate = offlineContext.sampleRate;
-            const length = sampleRate * decay;
-            const impulse = offlineContext.createBuffer(2, length, sampleRate);
-            const left = impulse.getChannelData(0);
-            const right = impulse.getChannelData(1);
-            
-            for (let i = 0; i < length; i++) {
-                const n = length - i;
-                left[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, decay);
-                right[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, decay);
-            }
-            
-            reverb.buffer = impulse;
-        }
-
-        // Connect the audio chain
-        let lastNode = source;
-        for (const filter of filters) {
-            lastNode.connect(filter);
-            lastNode = filter;
-        }
-
-        if (isReverbActive && reverb) {
-            lastNode.connect(reverb);
-            reverb.connect(offlineContext.destination);
-        } else {
-            lastNode.connect(offlineContext.destination);
-        }
-
-        // Start playback
-        source.start(0);
-
-        // Render the audio
-        const renderedBuffer = await offlineContext.startRendering();
-        console.log('Offline rendering complete');
-
-        // Convert to WAV and download
-        const wavBlob = audioBufferToWav(renderedBuffer);
-        const url = URL.createObjectURL(wavBlob);
-        const a = document.createElement('a');
-        a.style.display = 'none';
-        a.href = url;
-        
-        // Get the base name of the uploaded file without its extension
-        const baseFileName = audioFileName.split('.').slice(0, -1).join('.') || 'audio';
-        a.download = `${baseFileName}-processed.wav`;
-        
-        document.body.appendChild(a);
-        a.click();
-        
-        // Clean up
-        setTimeout(() => {
-            URL.revokeObjectURL(url);
-            document.body.removeChild(a);
-        }, 100);
-
     } catch (error) {
         console.error('Error during download:', error);
         setAudioLoadError(`Failed to download processed audio: ${error.message || error}`);
-    } finally {
-        setIsDownloading(false);
     }
-}, [currentAudioBufferRef, bands, audioFileName, isDownloading, isReverbActive, reverbDecay]);
+}, [currentAudioBufferRef, bands, audioFileName, isDownloading, runExport, isReverbActive, reverbDecay, exportSettings, selectedPreset, getExportBuffer, edits]);
 
 
     // Gets frequency data from the analyser for visualization
@@ -561,18 +609,26 @@ const useEQSynth = () => {
     }, [bands]); // Recalculate when bands state changes
 
     return {
+        userPresets,
         isPlaying, togglePlay,
         bands, setBandGain, resetEQ, applyPreset, selectedPreset,
         isAudioReady, isLoadingAudio, audioLoadError,
-        isDownloading, downloadManipulatedAudio,
+        isDownloading, downloadProgress, downloadManipulatedAudio, cancelDownload, exportSettings, setExportSettings,
         handleFileUpload, audioFileName, hasAudioFile,
+        isLiveInputOn, toggleLiveInput, liveInput, selectInputDevice,
+        abCompare,
+        getLoudnessMeter,
+        exportReport,
+        playback,
+        audioEdits,
+        project,
         getFrequencyData, getFilterCurve,
         isReverbActive, toggleReverb, reverbDecay, setReverbDecayValue // Added reverb states and controls
     };
 };
 
 // Upload Section Component
-const UploadSection = ({ onFileUpload, isLoading }) => {
+const UploadSection = ({ onFileUpload, isLoading, children }) => {
     const [dragActive, setDragActive] = useState(false);
     const fileInputRef = useRef(null);
 
@@ -667,6 +723,8 @@ const UploadSection = ({ onFileUpload, isLoading }) => {
                         disabled={isLoading}
                     />
                 </div>
+
+                {children && <div className="mt-8">{children}</div>}
             </div>
         </div>
     );
@@ -988,10 +1046,18 @@ const EQContent = () => {
         isPlaying, togglePlay,
         bands, setBandGain, resetEQ, applyPreset, selectedPreset,
         isAudioReady, isLoadingAudio, audioLoadError,
-        isDownloading, downloadManipulatedAudio,
-        handleFileUpload, audioFileName, hasAudioFile,
+        isDownloading, downloadProgress, downloadManipulatedAudio, cancelDownload, exportSettings, setExportSettings,
+        audioFileName, hasAudioFile,
+        isLiveInputOn, toggleLiveInput, liveInput, selectInputDevice,
+        abCompare,
+        getLoudnessMeter,
+        exportReport,
+        playback,
+        audioEdits,
+        project,
         getFrequencyData, getFilterCurve,
-        isReverbActive, toggleReverb, reverbDecay, setReverbDecayValue
+        isReverbActive, toggleReverb, reverbDecay, setReverbDecayValue,
+        userPresets,
     } = useEQSynth();
 
     // Memoize analyser data and filter curve data for performance
@@ -1007,7 +1073,11 @@ const EQContent = () => {
 
     // If no audio file is loaded, show the upload section
     if (!hasAudioFile) {
-        return <UploadSection onFileUpload={handleFileUpload} isLoading={isLoadingAudio} />;
+        return (
+            <UploadSection onFileUpload={project.openFile} isLoading={isLoadingAudio}>
+                <ProjectPanel project={project} disabled={isLoadingAudio} />
+            </UploadSection>
+        );
     }
 
     return (
@@ -1070,12 +1140,26 @@ const EQContent = () => {
                             <input
                                 type="file"
                                 accept="audio/*"
-                                onChange={(e) => handleFileUpload(e.target.files[0])}
+                                onChange={(e) => project.openFile(e.target.files[0])}
                                 className="hidden"
                                 disabled={isLoadingAudio}
                             />
                         </label>
 
+                        <button
+                            onClick={toggleLiveInput}
+                            disabled={!isAudioReady || isLoadingAudio}
+                            className={`px-4 py-2 md:px-6 md:py-3 rounded-full font-semibold flex items-center gap-1 md:gap-2 transition-all duration-200 text-sm md:text-base ${
+                                isLiveInputOn
+                                    ? 'bg-pink-500 hover:bg-pink-600 text-white'
+                                    : 'bg-teal-500 hover:bg-teal-600 text-white'
+                            } ${(!isAudioReady || isLoadingAudio) ? 'opacity-50 cursor-not-allowed' : ''}`}
+                        >
+                            {isLiveInputOn ? <MicOff size={16} className="md:hidden" /> : <Mic size={16} className="md:hidden" />}
+                            {isLiveInputOn ? <MicOff size={20} className="hidden md:block" /> : <Mic size={20} className="hidden md:block" />}
+                            <span className="hidden sm:inline">{isLiveInputOn ? 'Stop Input' : 'Live Input'}</span>
+                        </button>
+
                         <button
                             onClick={downloadManipulatedAudio}
                             disabled={!isAudioReady || isLoadingAudio || isDownloading}
@@ -1090,10 +1174,27 @@ const EQContent = () => {
                                 </>
                             )}
                             <span className="hidden sm:inline">
-                                {isDownloading ? 'Processing...' : 'Download'}
+                                {isDownloading ? `Processing ${downloadProgress}%` : 'Download'}
                             </span>
                         </button>
 
+                        {isDownloading && (
+                            <button
+                                onClick={cancelDownload}
+                                className="px-4 py-2 md:px-6 md:py-3 rounded-full font-semibold bg-red-500 hover:bg-red-600 text-white flex items-center gap-1 md:gap-2 transition-all duration-200 text-sm md:text-base"
+                            >
+                                <X size={16} className="md:hidden" />
+                                <X size={20} className="hidden md:block" />
+                                <span className="hidden sm:inline">Cancel</span>
+                            </button>
+                        )}
+
+                        <ExportOptions
+                            settings={exportSettings}
+                            onChange={setExportSettings}
+                            disabled={!isAudioReady || isLoadingAudio || isDownloading}
+                        />
+
                         <button
                             onClick={resetEQ}
                             disabled={!isAudioReady || isLoadingAudio || isDownloading}
@@ -1140,6 +1241,44 @@ const EQContent = () => {
                         </button>
                     </div>
 
+                    {/* Projects */}
+                    <div className="mb-4 md:mb-8 rounded-xl p-3 md:p-4 border border-indigo-200 bg-white/60">
+                        <ProjectPanel project={project} disabled={isLoadingAudio || isDownloading} />
+                    </div>
+
+                    {/* User Presets */}
+                    <div className="mb-4 md:mb-8 rounded-xl p-3 md:p-4 border border-indigo-200 bg-white/60">
+                        <PresetPanel presets={userPresets} disabled={isLoadingAudio || isDownloading} />
+                    </div>
+
+                    {/* Waveform */}
+                    <div className="mb-4 md:mb-8 rounded-xl p-3 md:p-4 border border-indigo-200 bg-white/60">
+                        <WaveformOverview playback={playback} disabled={!isAudioReady || isLoadingAudio} />
+                    </div>
+
+                    {/* Edits */}
+                    <div className="mb-4 md:mb-8 rounded-xl p-3 md:p-4 border border-indigo-200 bg-white/60">
+                        <AudioEditPanel audioEdits={audioEdits} playback={playback} disabled={!isAudioReady || isLoadingAudio} />
+                    </div>
+
+                    {/* A/B Comparison */}
+                    <div className="mb-4 md:mb-8 rounded-xl p-3 md:p-4 border border-indigo-200 bg-white/60">
+                        <ABCompareControls abCompare={abCompare} disabled={!isAudioReady || isLoadingAudio} />
+                    </div>
+
+                    {/* Loudness */}
+                    <div className="mb-4 md:mb-8 rounded-xl p-3 md:p-4 border border-indigo-200 bg-white/60 space-y-3">
+                        <LoudnessMeterPanel getMeter={getLoudnessMeter} disabled={!isAudioReady} />
+                        <LoudnessReport loudness={exportReport?.loudness} fileName={exportReport?.fileName} notice={exportReport?.notice} />
+                    </div>
+
+                    {/* Live Input */}
+                    {(isLiveInputOn || liveInput.inputError) && (
+                        <div className="mb-4 md:mb-8 rounded-xl p-3 md:p-4 border border-indigo-200 bg-white/60">
+                            <LiveInputControls liveInput={liveInput} onDeviceChange={selectInputDevice} />
+                        </div>
+                    )}
+
                     {/* Reverb Decay Slider */}
                     {isReverbActive && (
                         <div className="flex justify-center mb-4 md:mb-8">
@@ -1189,9 +1328,7 @@ const EQContent = () => {
 // Renamed App to EQApp to avoid potential naming conflicts
 const EQStudio = () => {
     return (
-        <AudioContextProvider>
-            <EQContent />
-        </AudioContextProvider>
+        <EQContent />
     );
 };
 
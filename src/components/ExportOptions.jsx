@@ -0,0 +1,109 @@
+import React from 'react';
+import { WAV_BIT_DEPTHS, EXPORT_SAMPLE_RATES } from '../utils/wavEncoder';
+import {
+    EXPORT_FORMATS,
+    EXPORT_FORMAT_INFO,
+    FORMAT_BIT_DEPTHS,
+    MP3_BITRATES,
+    MP3_MAX_SAMPLE_RATE,
+} from '../utils/audioExport';
+
+const BIT_DEPTH_LABELS = {
+    [WAV_BIT_DEPTHS.PCM_16]: '16-bit (dithered)',
+    [WAV_BIT_DEPTHS.PCM_24]: '24-bit',
+    [WAV_BIT_DEPTHS.FLOAT_32]: '32-bit float',
+};
+
+const formatSampleRate = (rate) => (rate === 'original' ? 'Original rate' : `${rate / 1000} kHz`);
+
+/**
+ * Compact export settings shown next to a studio's Download button: the file
+ * format, then the options that apply to it (bit depth or MP3 bitrate) and
+ * the sample rate.
+ * @param {object} props
+ * @param {object} props.settings Current settings (see DEFAULT_EXPORT_SETTINGS in src/utils/audioExport.js).
+ * @param {(settings: object) => void} props.onChange Receives the updated settings.
+ * @param {boolean} [props.disabled] Disables the controls (e.g. while rendering).
+ */
+const ExportOptions = ({ settings, onChange, disabled = false }) => {
+    const selectClass = `px-3 py-2 rounded-full bg-white/90 border border-gray-300 text-gray-700 text-xs md:text-sm font-medium cursor-pointer focus:outline-none focus:ring-2 focus:ring-indigo-400 ${disabled ? 'opacity-50 cursor-not-allowed' : ''}`;
+    const { format } = settings;
+    const bitDepths = FORMAT_BIT_DEPTHS[format];
+    const sampleRates = format === EXPORT_FORMATS.MP3
+        ? EXPORT_SAMPLE_RATES.filter(rate => rate === 'original' || rate <= MP3_MAX_SAMPLE_RATE)
+        : EXPORT_SAMPLE_RATES;
+
+    // Keep the bit depth and sample rate valid for the newly chosen format.
+    const handleFormatChange = (nextFormat) => {
+        const nextBitDepths = FORMAT_BIT_DEPTHS[nextFormat];
+        const next = { ...settings, format: nextFormat };
+        if (nextBitDepths && !nextBitDepths.includes(next.bitDepth)) {
+            next.bitDepth = nextBitDepths[nextBitDepths.length - 1];
+        }
+        if (nextFormat === EXPORT_FORMATS.MP3 && next.sampleRate !== 'original' && next.sampleRate > MP3_MAX_SAMPLE_RATE) {
+            next.sampleRate = MP3_MAX_SAMPLE_RATE;
+        }
+        onChange(next);
+    };
+
+    return (
+        <div className="flex flex-wrap items-center gap-2">
+            <select
+                value={format}
+                onChange={(e) => handleFormatChange(e.target.value)}
+                disabled={disabled}
+                className={selectClass}
+                aria-label="Export format"
+            >
+                {Object.values(EXPORT_FORMATS).map(value => (
+                    <option key={value} value={value}>{EXPORT_FORMAT_INFO[value].label}</option>
+                ))}
+            </select>
+
+            {bitDepths && (
+                <select
+                    value={settings.bitDepth}
+                    onChange={(e) => onChange({ ...settings, bitDepth: Number(e.target.value) })}
+                    disabled={disabled}
+                    className={selectClass}
+                    aria-label="Export bit depth"
+                >
+                    {bitDepths.map(bitDepth => (
+                        <option key={bitDepth} value={bitDepth}>{BIT_DEPTH_LABELS[bitDepth]}</option>
+                    ))}
+                </select>
+            )}
+
+            {format === EXPORT_FORMATS.MP3 && (
+                <select
+                    value={settings.mp3Bitrate}
+                    onChange={(e) => onChange({ ...settings, mp3Bitrate: Number(e.target.value) })}
+                    disabled={disabled}
+                    className={selectClass}
+                    aria-label="MP3 bitrate"
+                >
+                    {MP3_BITRATES.map(bitrate => (
+                        <option key={bitrate} value={bitrate}>{bitrate} kbps</option>
+                    ))}
+                </select>
+            )}
+
+            <select
+                value={settings.sampleRate}
+                onChange={(e) => {
+                    const { value } = e.target;
+                    onChange({ ...settings, sampleRate: value === 'original' ? value : Number(value) });
+                }}
+                disabled={disabled}
+                className={selectClass}
+                aria-label="Export sample rate"
+            >
+                {sampleRates.map(rate => (
+                    <option key={rate} value={rate}>{formatSampleRate(rate)}</option>
+                ))}
+            </select>
+        </div>
+    );
+};
+
+export default ExportOptions;
@@ -1,7 +1,14 @@
-import React, { useState, useEffect, useRef, useCallback, createContext, useContext } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useContext } from 'react';
 import * as Tone from 'tone';
+import { AudioContext } from '../contexts/AudioContext';
+import { registerNode } from '../utils/audioEngine';
+import { createUrlSchema, urlParam } from '../utils/urlState';
+import useUrlState from '../hooks/useUrlState';
+import useParamHistory from '../hooks/useParamHistory';
+import useUserPresets from '../hooks/useUserPresets';
 import { Play, Pause, Disc3 } from 'lucide-react'; // Disc3 icon for Granular effect
 import SEOHead from './SEOHead';
+import PresetPanel from './PresetPanel';
 
 // Define the tool object for SEO structured data
 const granularExplorerTool = {
@@ -21,57 +28,16 @@ const granularExplorerTool = {
 // Define the path to your C4 piano sample.
 const C4_PIANO_MP3_PATH = '/piano_samples/C4.mp3';
 
-// --- AUDIO CONTEXT ---
-// This context manages the global Tone.js audio state.
-export const AudioContext = createContext(null);
-
-const AudioContextProvider = ({ children }) => {
-    const [isAudioGloballyReady, setIsAudioGloballyReady] = useState(false);
-
-    // Function to start Tone.js audio context
-    const startGlobalAudio = useCallback(async () => {
-        if (Tone.context.state !== 'running') {
-            try {
-                console.log('AudioContext: Attempting to start global Tone.js context...');
-                await Tone.start();
-                setIsAudioGloballyReady(true);
-                console.log('AudioContext: Tone.js context started and is running.');
-            } catch (error) {
-                console.error("AudioContext: Error starting Tone.js context:", error);
-                setIsAudioGloballyReady(false);
-            }
-        } else {
-            setIsAudioGloballyReady(true);
-            console.log('AudioContext: Tone.js context already running.');
-        }
-    }, []);
-
-    // Effect to observe Tone.js context state changes
-    useEffect(() => {
-        const handleToneContextChange = () => {
-            if (Tone.context.state === 'running') {
-                setIsAudioGloballyReady(true);
-            } else {
-                setIsAudioGloballyReady(false);
-            }
-        };
-
-        Tone.context.on('statechange', handleToneContextChange);
-        handleToneContextChange(); // Initial check on mount
-
-        return () => {
-            Tone.context.off('statechange', handleToneContextChange);
-        };
-    }, []);
-
-    return (
-        <AudioContext.Provider value={{ isAudioGloballyReady, startGlobalAudio }}>
-            {children}
-        </AudioContext.Provider>
-    );
-};
-// --- END AUDIO CONTEXT ---
 
+// Grain settings kept in the URL, so a link reopens them
+const URL_SCHEMA = createUrlSchema({
+    params: {
+        grainSize: urlParam.number({ min: 0.01, max: 0.5 }),
+        overlap: urlParam.number({ min: 0, max: 1 }),
+        playbackRate: urlParam.number({ min: 0.25, max: 4 }),
+        detune: urlParam.number({ min: -1200, max: 1200 }),
+    },
+});
 
 // --- useGranularSynth Hook ---
 const useGranularSynth = () => {
@@ -90,6 +56,16 @@ const useGranularSynth = () => {
     const [playbackRate, setPlaybackRate] = useState(1.0); // 0.5 to 2.0 typically
     const [detune, setDetune] = useState(0); // cents, global detune for GrainPlayer
 
+    const toolParams = { grainSize, overlap, playbackRate, detune };
+    const toolParamSetters = {
+        grainSize: setGrainSize, overlap: setOverlap, playbackRate: setPlaybackRate, detune: setDetune,
+    };
+    useUrlState(URL_SCHEMA, toolParams, toolParamSetters);
+    useParamHistory(toolParams, toolParamSetters);
+    const userPresets = useUserPresets({
+        tool: 'granular-explorer', schema: URL_SCHEMA, params: toolParams, applyParams: toolParamSetters,
+    });
+
     // Function to create and connect Tone.js nodes for effects processing
     const initAudioNodes = useCallback(async () => {
         if (hasInitializedRef.current || isAudioLoadingRef.current) {
@@ -110,7 +86,7 @@ const useGranularSynth = () => {
                 }
 
                 // Tone.GrainPlayer takes a buffer or URL directly in its constructor
-                const grainPlayer = new Tone.GrainPlayer({
+                const grainPlayer = registerNode(new Tone.GrainPlayer({
                     url: C4_PIANO_MP3_PATH,
                     loop: true,
                     autostart: false,
@@ -119,14 +95,14 @@ const useGranularSynth = () => {
                     playbackRate: playbackRate,
                     detune: detune,
                     volume: -10
-                });
+                }));
 
                 // Await the 'loaded' promise to ensure the audio buffer is ready
                 await grainPlayer.loaded;
                 console.log('useGranularSynth: Piano sample loaded successfully into GrainPlayer.');
 
                 // Create Analyser for waveform visualization
-                const waveformAnalyser = new Tone.Analyser("waveform", 1024); // 1024 samples for waveform data
+                const waveformAnalyser = registerNode(new Tone.Analyser("waveform", 1024)); // 1024 samples for waveform data
 
                 // Chain the GrainPlayer to the Analyser and then to the Destination
                 grainPlayer.chain(waveformAnalyser, Tone.Destination);
@@ -261,6 +237,7 @@ const useGranularSynth = () => {
     }, []);
 
     return {
+        userPresets,
         isPlaying,
         togglePlay,
         isAudioReady,
@@ -410,6 +387,7 @@ const GranularExplorerContent = () => {
         playbackRate, setPlaybackRate,
         detune, setDetune,
         getWaveformData, // Get waveform data function
+        userPresets,
     } = useGranularSynth();
 
     const visualizerWidth = 700;
@@ -484,6 +462,11 @@ const GranularExplorerContent = () => {
                         {isPlaying ? "Stop Piano Loop" : "Play Piano Loop"}
                     </button>
 
+                    {/* User Presets */}
+                    <div className="w-full px-2">
+                        <PresetPanel presets={userPresets} />
+                    </div>
+
                     {/* Waveform Visualizer */}
                     <div className="w-full flex justify-center mt-8">
                         {isAudioReady && getWaveformData ? (
@@ -568,11 +551,9 @@ class ErrorBoundary extends React.Component {
 
 const GranularExplorer = () => {
     return (
-        <AudioContextProvider>
-            <ErrorBoundary>
-                <GranularExplorerContent />
-            </ErrorBoundary>
-        </AudioContextProvider>
+        <ErrorBoundary>
+            <GranularExplorerContent />
+        </ErrorBoundary>
     );
 }
 
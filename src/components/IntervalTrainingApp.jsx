@@ -1,7 +1,13 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import * as Tone from 'tone';
+import { PIANO_VOICES } from '../utils/pianoVoices';
+import { createUrlSchema, urlParam } from '../utils/urlState';
+import usePianoSynth from '../hooks/usePianoSynth';
+import useUrlState from '../hooks/useUrlState';
+import useParamHistory from '../hooks/useParamHistory';
 import { Music, Play, Piano, Volume2, VolumeX, Volume1 } from 'lucide-react';
 import SEOHead from './SEOHead';
+import PianoVoiceSelect from './PianoVoiceSelect';
 
 // Define the tool object for SEO structured data
 const intervalTrainingTool = {
@@ -18,168 +24,29 @@ const intervalTrainingTool = {
     ]
 };
 
-// --- usePianoSynth Hook ---
-const usePianoSynth = (initialVolume = 0.7, initialMuteState = false) => {
-    const synthRef = useRef(null);
-    const [isSynthMuted, setIsSynthMuted] = useState(initialMuteState);
-    const [synthVolume, setSynthVolume] = useState(initialVolume);
-    const [isPlaying, setIsPlaying] = useState(false);
-    const [isAudioReady, setIsAudioReady] = useState(false);
-    const activeNotesRef = useRef(new Set());
-    const initializationRef = useRef(false);
-
-    const initializeAudio = useCallback(async () => {
-        if (initializationRef.current) return true;
-        initializationRef.current = true;
-
-        try {
-            if (Tone.context.state !== 'running') {
-                await Tone.start();
-                await new Promise(resolve => setTimeout(resolve, 100));
-            }
-
-            if (synthRef.current) {
-                synthRef.current.dispose();
-                synthRef.current = null;
-            }
-
-            synthRef.current = new Tone.PolySynth(Tone.Synth, {
-                oscillator: {
-                    partials: [1, 0, 2, 0, 3]
-                },
-                envelope: {
-                    attack: 0.01,
-                    decay: 2,
-                    sustain: 0.1,
-                    release: 0.8,
-                    attackCurve: "exponential"
-                }
-            }).toDestination();
-
-            synthRef.current.volume.value = isSynthMuted ? -Infinity : Tone.gainToDb(synthVolume);
-            setIsAudioReady(true);
-            return true;
-        } catch (error) {
-            console.error('Audio initialization failed:', error);
-            setIsAudioReady(false);
-            initializationRef.current = false;
-            return false;
-        }
-    }, [isSynthMuted, synthVolume]);
-
-    useEffect(() => {
-        if (synthRef.current && initializationRef.current) {
-            try {
-                synthRef.current.volume.value = isSynthMuted ? -Infinity : Tone.gainToDb(synthVolume);
-            } catch (error) {
-                console.error('Error updating volume:', error);
-            }
-        }
-    }, [synthVolume, isSynthMuted]);
-
-    useEffect(() => {
-        return () => {
-            if (synthRef.current) {
-                try {
-                    activeNotesRef.current.forEach(note => {
-                        synthRef.current.triggerRelease(note);
-                    });
-                    activeNotesRef.current.clear();
-                    synthRef.current.dispose();
-                    synthRef.current = null;
-                } catch (error) {
-                    console.error('Error during cleanup:', error);
-                }
-            }
-            initializationRef.current = false;
-        };
-    }, []);
-
-    const playNote = useCallback(async (note) => {
-        try {
-            const audioInitialized = await initializeAudio();
-            if (!audioInitialized || !synthRef.current || isSynthMuted) {
-                return false;
-            }
-
-            if (typeof note !== 'string' || !note.match(/^[A-G][#b]?[0-9]$/)) {
-                console.error('Invalid note format:', note);
-                return false;
-            }
-
-            if (activeNotesRef.current.has(note)) {
-                synthRef.current.triggerRelease(note);
-                activeNotesRef.current.delete(note);
-            }
-
-            synthRef.current.triggerAttack(note);
-            activeNotesRef.current.add(note);
-            return true;
-        } catch (error) {
-            console.error('Error playing note:', error);
-            return false;
-        }
-    }, [isSynthMuted, initializeAudio]);
-
-    const stopNote = useCallback((note) => {
-        try {
-            if (synthRef.current && activeNotesRef.current.has(note)) {
-                synthRef.current.triggerRelease(note);
-                activeNotesRef.current.delete(note);
-                return true;
-            }
-        } catch (error) {
-            console.error('Error stopping note:', error);
-        }
-        return false;
-    }, []);
-
-    const stopAllNotes = useCallback(() => {
-        try {
-            if (synthRef.current) {
-                activeNotesRef.current.forEach(note => {
-                    synthRef.current.triggerRelease(note);
-                });
-                activeNotesRef.current.clear();
-            }
-        } catch (error) {
-            console.error('Error stopping all notes:', error);
-        }
-    }, []);
-
-    const toggleMute = useCallback(() => {
-        setIsSynthMuted(prev => !prev);
-    }, []);
-
-    return {
-        playNote,
-        stopNote,
-        stopAllNotes,
-        isAudioReady,
-        isSynthMuted,
-        toggleMute,
-        synthVolume,
-        setSynthVolume,
-        isPlaying,
-        setIsPlaying,
-        initializeAudio
-    };
-};
+// Selected interval (in semitones) and piano sound kept in the URL, so a link reopens them
+const URL_SCHEMA = createUrlSchema({
+    params: {
+        interval: urlParam.integer({ min: 0, max: 12 }),
+        voice: urlParam.oneOf(Object.keys(PIANO_VOICES)),
+    },
+});
 
 // --- useIntervalTrainer Hook ---
 const useIntervalTrainer = () => {
     const {
-        playNote,
-        stopNote,
-        stopAllNotes,
+        playSequence,
+        releaseAllNotes,
+        voice,
+        setVoice,
+        isLoadingSamples,
         isAudioReady,
         isSynthMuted,
         toggleMute,
-        isPlaying,
-        setIsPlaying,
         initializeAudio
     } = usePianoSynth();
 
+    const [isPlaying, setIsPlaying] = useState(false);
     const [currentIntervalNotes, setCurrentIntervalNotes] = useState([]);
     const [currentIntervalSemitones, setCurrentIntervalSemitones] = useState(0);
     const [randomIntervalName, setRandomIntervalName] = useState('');
@@ -282,7 +149,7 @@ const useIntervalTrainer = () => {
         }
 
         clearPlaybackTimeouts();
-        stopAllNotes();
+        releaseAllNotes();
 
         try {
             const audioReady = await initializeAudio();
@@ -317,51 +184,27 @@ const useIntervalTrainer = () => {
                 setRandomIntervalName('');
             }
 
-            // Play the first note
-            const firstNoteSuccess = await playNote(rootNote);
-            if (!firstNoteSuccess) {
-                throw new Error('Failed to play first note');
-            }
-
-            // Schedule the second note playback
-            const timeout1 = setTimeout(async () => {
-                try {
-                    stopNote(rootNote);
-                    const secondNoteSuccess = await playNote(secondNote);
-
-                    if (secondNoteSuccess) {
-                        const timeout2 = setTimeout(() => {
-                            stopNote(secondNote);
-                            setIsPlaying(false);
-
-                            const timeout3 = setTimeout(() => {
-                                setCurrentIntervalNotes([]);
-                            }, 500);
-                            playbackTimeoutsRef.current.push(timeout3);
-                        }, 1000);
-                        playbackTimeoutsRef.current.push(timeout2);
-                    } else {
-                        setIsPlaying(false);
-                        setCurrentIntervalNotes([]);
-                        console.error('Failed to play second note.');
-                    }
-                } catch (error) {
-                    console.error('Error during second note playback sequence:', error);
-                    setIsPlaying(false);
-                    setCurrentIntervalNotes([]);
-                }
-            }, 1000);
+            // The root note for a second, then the second note for a second
+            const isPlayed = await playSequence([
+                { notes: rootNote, time: 0, duration: 1 },
+                { notes: secondNote, time: 1, duration: 1 },
+            ]);
+            if (!isPlayed) return; // Stopped
 
-            playbackTimeoutsRef.current.push(timeout1);
+            setIsPlaying(false);
+            const timeout = setTimeout(() => {
+                setCurrentIntervalNotes([]);
+            }, 500);
+            playbackTimeoutsRef.current.push(timeout);
 
         } catch (error) {
             console.error('Error playing interval:', error);
             setIsPlaying(false);
             setCurrentIntervalNotes([]);
             clearPlaybackTimeouts();
-            stopAllNotes();
+            releaseAllNotes();
         }
-    }, [isPlaying, generateMusicallyValidInterval, playNote, stopNote, stopAllNotes, setIsPlaying, initializeAudio, clearPlaybackTimeouts]);
+    }, [isPlaying, generateMusicallyValidInterval, playSequence, releaseAllNotes, initializeAudio, clearPlaybackTimeouts]);
 
     const generateRandomInterval = useCallback(() => {
         if (isPlaying) {
@@ -402,12 +245,12 @@ const useIntervalTrainer = () => {
 
     const stopPlayback = useCallback(() => {
         clearPlaybackTimeouts();
-        stopAllNotes();
+        releaseAllNotes();
         setIsPlaying(false);
         setCurrentIntervalNotes([]);
         setRandomIntervalName('');
         setPlayedNotes([]);
-    }, [clearPlaybackTimeouts, stopAllNotes, setIsPlaying]);
+    }, [clearPlaybackTimeouts, releaseAllNotes]);
 
     return {
         isAudioReady,
@@ -421,6 +264,9 @@ const useIntervalTrainer = () => {
         playedNotes,
         isSynthMuted,
         toggleMute,
+        voice,
+        setVoice,
+        isLoadingSamples,
         isPlaying,
         stopPlayback
     };
@@ -587,10 +433,18 @@ const IntervalTrainingApp = () => {
         randomIntervalName,
         isSynthMuted,
         toggleMute,
+        voice,
+        setVoice,
+        isLoadingSamples,
         isPlaying,
         stopPlayback
     } = useIntervalTrainer();
 
+    const toolParams = { interval: selectedIntervalSemitones, voice };
+    const toolParamSetters = { interval: setSelectedIntervalSemitones, voice: setVoice };
+    useUrlState(URL_SCHEMA, toolParams, toolParamSetters);
+    useParamHistory(toolParams, toolParamSetters);
+
     const handleIntervalSelect = (event) => {
         const semitones = parseInt(event.target.value, 10);
         setSelectedIntervalSemitones(semitones);
@@ -672,6 +526,7 @@ const IntervalTrainingApp = () => {
                                 </button>
                             )}
                         </div>
+                        <PianoVoiceSelect voice={voice} onChange={setVoice} isLoading={isLoadingSamples} />
                     </section>
 
                     {/* Current Interval Display */}
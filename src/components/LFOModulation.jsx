@@ -1,7 +1,14 @@
-import React, { useState, useEffect, useRef, useCallback, createContext, useContext } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useContext } from 'react';
 import * as Tone from 'tone';
+import { AudioContext } from '../contexts/AudioContext';
+import { registerNode } from '../utils/audioEngine';
+import { createUrlSchema, urlParam } from '../utils/urlState';
+import useUrlState from '../hooks/useUrlState';
+import useParamHistory from '../hooks/useParamHistory';
+import useUserPresets from '../hooks/useUserPresets';
 import { Play, Pause, Circle, Square, Triangle, Activity, Volume2, Waves, Repeat } from 'lucide-react'; // Icons for play/pause, waveform types, volume, general waves, and LFO repeat
 import SEOHead from './SEOHead';
+import PresetPanel from './PresetPanel';
 
 // Define the tool object for SEO structured data
 const lfoModulationTool = {
@@ -18,67 +25,20 @@ const lfoModulationTool = {
     ]
 };
 
-// --- AUDIO CONTEXT ---
-// This context manages the global Tone.js audio state, ensuring only one audio context.
-export const AudioContext = createContext(null);
-
-const AudioContextProvider = ({ children }) => {
-    const [isAudioGloballyReady, setIsAudioGloballyReady] = useState(false);
-
-    // Function to start Tone.js audio context. This needs a user interaction.
-    const startGlobalAudio = useCallback(async () => {
-        if (Tone.context.state === 'running') {
-            setIsAudioGloballyReady(true);
-            console.log('AudioContext: Tone.js context already running.');
-            return;
-        }
-
-        try {
-            console.log('AudioContext: Attempting to start global Tone.js context...');
-            await Tone.start(); // This will resume the audio context
-
-            if (Tone.context.state === 'running') {
-                setIsAudioGloballyReady(true);
-                console.log('AudioContext: Tone.js context started successfully');
-            } else {
-                console.warn('AudioContext: Tone.js context did not start properly (state is ' + Tone.context.state + ')');
-                setIsAudioGloballyReady(false);
-            }
-        } catch (error) {
-            console.error("AudioContext: Error starting Tone.js context:", error);
-            setIsAudioGloballyReady(false);
-        }
-    }, []);
-
-    // Effect to observe Tone.js context state changes
-    useEffect(() => {
-        const handleToneContextChange = () => {
-            const newState = Tone.context.state === 'running';
-            if (newState !== isAudioGloballyReady) {
-                console.log(`AudioContext: Tone.context state changed to '${Tone.context.state}'. isAudioGloballyReady set to ${newState}.`);
-                setIsAudioGloballyReady(newState);
-            }
-        };
-
-        // Add listener for state changes
-        Tone.context.on('statechange', handleToneContextChange);
-        handleToneContextChange(); // Initial check on mount
-
-        return () => {
-            // Clean up listener on unmount
-            console.log('AudioContext: Cleaning up Tone.context statechange listener.');
-            Tone.context.off('statechange', handleToneContextChange);
-        };
-    }, [isAudioGloballyReady]); // Added isAudioGloballyReady to dependencies to prevent stale closure issues with handleToneContextChange
-
-    return (
-        <AudioContext.Provider value={{ isAudioGloballyReady, startGlobalAudio }}>
-            {children}
-        </AudioContext.Provider>
-    );
-};
-// --- END AUDIO CONTEXT ---
-
+// Oscillator and LFO waveforms offered by the tool
+const WAVEFORM_TYPES = ['sine', 'square', 'sawtooth', 'triangle'];
+
+// Oscillator and LFO settings kept in the URL, so a link reopens them
+const URL_SCHEMA = createUrlSchema({
+    params: {
+        mainOscType: urlParam.oneOf(WAVEFORM_TYPES),
+        mainOscFrequency: urlParam.number({ min: 100, max: 1000 }),
+        mainOscVolume: urlParam.number({ min: -40, max: -5 }),
+        lfoType: urlParam.oneOf(WAVEFORM_TYPES),
+        lfoFrequency: urlParam.number({ min: 0.1, max: 10 }),
+        lfoDepth: urlParam.number({ min: 0, max: 1 }),
+    },
+});
 
 // --- useLFOModulationSynth Hook ---
 // This custom hook encapsulates the Tone.js main oscillator, LFO, and modulation logic.
@@ -101,6 +61,21 @@ const useLFOModulationSynth = () => {
     const [lfoFrequency, setLfoFrequency] = useState(5); // LFO frequency in Hz (e.g., 5 Hz for a noticeable tremolo)
     const [lfoDepth, setLfoDepth] = useState(0.5); // Depth of the LFO modulation (0 to 1)
 
+    const toolParams = { mainOscType, mainOscFrequency, mainOscVolume, lfoType, lfoFrequency, lfoDepth };
+    const toolParamSetters = {
+        mainOscType: setMainOscType,
+        mainOscFrequency: setMainOscFrequency,
+        mainOscVolume: setMainOscVolume,
+        lfoType: setLfoType,
+        lfoFrequency: setLfoFrequency,
+        lfoDepth: setLfoDepth,
+    };
+    useUrlState(URL_SCHEMA, toolParams, toolParamSetters);
+    useParamHistory(toolParams, toolParamSetters);
+    const userPresets = useUserPresets({
+        tool: 'lfo-modulation', schema: URL_SCHEMA, params: toolParams, applyParams: toolParamSetters,
+    });
+
     const [isAudioReady, setIsAudioReady] = useState(false); // True when context is running AND synth initialized
     const [isLoading, setIsLoading] = useState(true); // Indicates if audio setup is in progress
 
@@ -137,22 +112,22 @@ const useLFOModulationSynth = () => {
                 disposeAudioNodes(); // Ensure a clean slate
 
                 // Create main oscillator
-                const mainOsc = new Tone.Oscillator({
+                const mainOsc = registerNode(new Tone.Oscillator({
                     type: mainOscType,
                     frequency: mainOscFrequency,
                     volume: mainOscVolume,
-                });
+                }));
 
                 // Create Tremolo effect (LFO for amplitude modulation)
-                const tremolo = new Tone.Tremolo({
+                const tremolo = registerNode(new Tone.Tremolo({
                     frequency: lfoFrequency,
                     depth: lfoDepth,
                     type: lfoType, // LFO waveform type
                     wet: 1, // Full wet signal for tremolo
-                }).start(); // LFO starts immediately but effect only applies when oscillator plays
+                })).start(); // LFO starts immediately but effect only applies when oscillator plays
 
                 // Create a Waveform analyzer for the combined output
-                const waveform = new Tone.Waveform(4096); // High resolution for smoother visualization
+                const waveform = registerNode(new Tone.Waveform(4096)); // High resolution for smoother visualization
 
                 // Connect the signal flow: Main Osc -> Tremolo -> Analyzer -> Destination
                 mainOsc.connect(tremolo);
@@ -275,6 +250,7 @@ const useLFOModulationSynth = () => {
     }, [isPlaying]);
 
     return {
+        userPresets,
         isPlaying,
         playNote,
         stopNote,
@@ -472,6 +448,7 @@ const LFOModulationContent = () => {
         mainOscType, setMainOscType, mainOscFrequency, setMainOscFrequency, mainOscVolume, setMainOscVolume,
         lfoType, setLfoType, lfoFrequency, setLfoFrequency, lfoDepth, setLfoDepth,
         waveformAnalyzer,
+        userPresets,
     } = useLFOModulationSynth();
 
     const getExplanation = (param) => {
@@ -573,6 +550,11 @@ const LFOModulationContent = () => {
                         </button>
                     </div>
 
+                    {/* User Presets */}
+                    <div className="w-full px-2">
+                        <PresetPanel presets={userPresets} />
+                    </div>
+
                     {/* Waveform Visualizer */}
                     <div className="w-full px-2">
                         <WaveformVisualizer
@@ -696,14 +678,12 @@ class ErrorBoundary extends React.Component {
     }
 }
 
-// Default export wrapping the main content with AudioContextProvider and ErrorBoundary
+// Default export wrapping the main content with ErrorBoundary
 const LFOModulation = () => {
     return (
-        <AudioContextProvider>
-            <ErrorBoundary>
-                <LFOModulationContent />
-            </ErrorBoundary>
-        </AudioContextProvider>
+        <ErrorBoundary>
+            <LFOModulationContent />
+        </ErrorBoundary>
     );
 }
 
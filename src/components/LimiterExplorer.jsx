@@ -1,7 +1,22 @@
-import React, { useState, useEffect, useRef, useCallback, createContext, useContext } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useContext } from 'react';
 import * as Tone from 'tone';
+import { AudioContext } from '../contexts/AudioContext';
+import { registerNode } from '../utils/audioEngine';
+import { ExplorerSource } from '../utils/explorerSources';
+import useExplorerSource from '../hooks/useExplorerSource';
+import { ABComparator } from '../utils/abCompare';
+import useABCompare from '../hooks/useABCompare';
+import { createUrlSchema, urlParam } from '../utils/urlState';
+import useUrlState from '../hooks/useUrlState';
+import useParamHistory from '../hooks/useParamHistory';
+import useUserPresets from '../hooks/useUserPresets';
+import { LoudnessMeter } from '../utils/loudnessMeter';
 import { Play, Pause, Gauge } from 'lucide-react'; // Using Gauge icon for Limiter
 import SEOHead from './SEOHead';
+import SourceSelector from './SourceSelector';
+import ABCompareControls from './ABCompareControls';
+import LoudnessMeterPanel from './LoudnessMeterPanel';
+import PresetPanel from './PresetPanel';
 
 
 // Define the tool object for SEO structured data
@@ -19,78 +34,55 @@ const limiterExplorerTool = {
     ]
 };
 
-// Define the path to your white noise MP3 file.
-const WHITE_NOISE_MP3_PATH = '/white-noise/white-noise.mp3';
+// Source the explorer starts with; the user can switch it with the source selector.
+const DEFAULT_SOURCE = { type: 'demo', id: 'noise' };
 
-// --- INLINED AUDIO CONTEXT ---
-// This context manages the global Tone.js audio state.
-export const AudioContext = createContext(null);
-
-const AudioContextProvider = ({ children }) => {
-    const [isAudioGloballyReady, setIsAudioGloballyReady] = useState(false);
-
-    // Function to start Tone.js audio context
-    const startGlobalAudio = useCallback(async () => {
-        if (Tone.context.state !== 'running') {
-            try {
-                console.log('AudioContext: Attempting to start global Tone.js context...');
-                await Tone.start();
-                setIsAudioGloballyReady(true);
-                console.log('AudioContext: Tone.js context started and is running.');
-            } catch (error) {
-                console.error("AudioContext: Error starting Tone.js context:", error);
-                setIsAudioGloballyReady(false);
-            }
-        } else {
-            setIsAudioGloballyReady(true);
-            console.log('AudioContext: Tone.js context already running.');
-        }
-    }, []);
-
-    // Effect to observe Tone.js context state changes
-    useEffect(() => {
-        const handleToneContextChange = () => {
-            if (Tone.context.state === 'running') {
-                setIsAudioGloballyReady(true);
-            } else {
-                setIsAudioGloballyReady(false);
-            }
-        };
-
-        Tone.context.on('statechange', handleToneContextChange);
-        handleToneContextChange(); // Initial check on mount
-
-        return () => {
-            Tone.context.off('statechange', handleToneContextChange);
-        };
-    }, []);
-
-    return (
-        <AudioContext.Provider value={{ isAudioGloballyReady, startGlobalAudio }}>
-            {children}
-        </AudioContext.Provider>
-    );
-};
-// --- END INLINED AUDIO CONTEXT ---
 
+// Limiter settings kept in the URL, so a link reopens them
+const URL_SCHEMA = createUrlSchema({
+    params: {
+        threshold: urlParam.number({ min: -40, max: 0 }),
+        release: urlParam.number({ min: 0.001, max: 0.5 }),
+    },
+});
 
 // --- useLimiterSynth Hook ---
 const useLimiterSynth = () => {
     const { isAudioGloballyReady, startGlobalAudio } = useContext(AudioContext);
-    const playerRef = useRef(null);
+    const sourceRef = useRef(null);
+    const { selectedSource, selectSource, selectFile, isLoadingSource, sourceError, loadSelectedSource, liveInput } = useExplorerSource(sourceRef, DEFAULT_SOURCE);
+    const comparatorRef = useRef(null); // A/B switch between the bypass and processed signals
+    const getComparator = useCallback(() => comparatorRef.current, []);
+    const abCompare = useABCompare(getComparator);
+    const { syncComparator } = abCompare;
     const limiterRef = useRef(null); // Reference to Tone.Limiter
     const analyserRef = useRef(null); // Added analyserRef for FFT data
+    const loudnessMeterRef = useRef(null); // Loudness and true peak of the limiter output
+    const getLoudnessMeter = useCallback(() => loudnessMeterRef.current, []);
     const hasInitializedRef = useRef(false);
 
     const [isPlaying, setIsPlaying] = useState(false);
     const [threshold, setThreshold] = useState(-6); // in dB, common starting point for limiting
     const [release, setRelease] = useState(0.05); // in seconds, fast release for limiting
+
+    const toolParams = { threshold, release };
+    const toolParamSetters = { threshold: setThreshold, release: setRelease };
+    useUrlState(URL_SCHEMA, toolParams, toolParamSetters);
+    useParamHistory(toolParams, toolParamSetters);
+    const userPresets = useUserPresets({
+        tool: 'limiter-explorer', schema: URL_SCHEMA, params: toolParams, applyParams: toolParamSetters,
+    });
     // Removed gainReduction state as it's no longer needed for the meter
 
     const [isAudioReady, setIsAudioReady] = useState(false);
 
+    // Latest parameters, so the nodes start with them without initAudioNodes depending on them
+    const paramsRef = useRef(null);
+    paramsRef.current = { release, threshold };
+
     // Function to create and connect Tone.js nodes for Limiter processing
     const initAudioNodes = useCallback(async () => {
+        const { release, threshold } = paramsRef.current;
         // Prevent re-initialization if already done
         if (hasInitializedRef.current) {
             console.log('useLimiterSynth: initAudioNodes: already initialized, skipping init.');
@@ -100,69 +92,81 @@ const useLimiterSynth = () => {
         console.log(`useLimiterSynth: initAudioNodes called. isAudioGloballyReady: ${isAudioGloballyReady}`);
 
         // Only proceed if global audio context is ready and player hasn't been created yet
-        if (isAudioGloballyReady && !playerRef.current) {
-            console.log('useLimiterSynth: Proceeding with initialization of audio nodes and loading MP3...');
+        if (isAudioGloballyReady && !sourceRef.current) {
+            console.log('useLimiterSynth: Proceeding with initialization of audio nodes and loading the audio source...');
             try {
-                // Create Tone.Player for the white noise
-                const player = new Tone.Player({
-                    url: WHITE_NOISE_MP3_PATH, // Corrected path variable
-                    loop: true, // Loop for continuous effect
-                    autostart: false,
-                    volume: -5 // Relatively loud to hit the limiter threshold easily
-                });
-                await player.load(WHITE_NOISE_MP3_PATH); // Corrected path variable
-                console.log('useLimiterSynth: White noise loaded successfully.');
+                // Create the switchable source (demo loop, user file or generator)
+                const source = registerNode(new ExplorerSource({ volume: -5 })); // Relatively loud to hit the limiter threshold easily
+                await loadSelectedSource(source);
+                console.log('useLimiterSynth: Audio source loaded successfully.');
+
+                // A/B comparison: the bypass path taps the source ahead of the effect
+                const comparator = registerNode(new ABComparator()).toDestination();
+                source.connect(comparator.dry);
 
                 // Create Tone.Limiter effect
-                const limiter = new Tone.Limiter({
+                const limiter = registerNode(new Tone.Limiter({
                     threshold: threshold,
                     release: release, // Limiter also has a release property
-                });
+                }));
 
                 // Create Tone.Analyser for FFT data (spectrum visualization)
-                const analyser = new Tone.Analyser("fft", 2048); // "fft" type for frequency-domain data, 2048 bins for good resolution
+                const analyser = registerNode(new Tone.Analyser("fft", 2048)); // "fft" type for frequency-domain data, 2048 bins for good resolution
+
+                // The true peak can overshoot the threshold between samples, which the meter shows
+                const loudnessMeter = registerNode(new LoudnessMeter());
 
                 // Connect the player to the limiter, and the limiter to the analyser and destination
-                player.connect(limiter);
+                source.connect(limiter);
                 limiter.connect(analyser); // Connect limiter output to analyser
-                limiter.toDestination(); // Send the limited audio to the output
+                limiter.connect(loudnessMeter); // And to the loudness meter
+                limiter.connect(comparator); // Send the limited audio to the output through the A/B switch
 
                 // Store references
-                playerRef.current = player;
+                sourceRef.current = source;
+                comparatorRef.current = comparator;
+                syncComparator();
                 limiterRef.current = limiter;
                 analyserRef.current = analyser; // Store analyser reference
+                loudnessMeterRef.current = loudnessMeter;
 
                 setIsAudioReady(true);
                 hasInitializedRef.current = true; // Mark as initialized after successful setup
                 console.log('useLimiterSynth: Audio nodes initialized and connected.');
 
             } catch (error) {
-                console.error("useLimiterSynth: Error initializing audio nodes or loading MP3:", error);
+                console.error("useLimiterSynth: Error initializing audio nodes or loading the audio source:", error);
                 setIsAudioReady(false);
                 hasInitializedRef.current = false;
             }
         } else {
             console.log("useLimiterSynth: initAudioNodes skipped. Not globally ready or player already exists.");
         }
-    }, [isAudioGloballyReady]); // Only global readiness as dependency for initial setup
+    }, [isAudioGloballyReady, loadSelectedSource, syncComparator]); // Only global readiness (and the stable source loader) for initial setup
 
     // Function to dispose Tone.js nodes
     const disposeAudioNodes = useCallback(() => {
-        console.log(`useLimiterSynth: disposeAudioNodes called. playerRef.current: ${playerRef.current}`);
-        if (playerRef.current) {
+        console.log(`useLimiterSynth: disposeAudioNodes called. sourceRef.current: ${sourceRef.current}`);
+        if (sourceRef.current) {
             console.log('useLimiterSynth: Disposing audio nodes...');
             // Only stop the player if it's currently started to avoid errors
-            if (playerRef.current.state === 'started') {
-                playerRef.current.stop();
+            if (sourceRef.current.state === 'started') {
+                sourceRef.current.stop();
             }
-            playerRef.current.dispose(); // Dispose the player
+            sourceRef.current.dispose(); // Dispose the player
             if (limiterRef.current) limiterRef.current.dispose(); // Dispose the limiter node
             if (analyserRef.current) analyserRef.current.dispose(); // Dispose the analyser node
+            if (loudnessMeterRef.current) loudnessMeterRef.current.dispose(); // Dispose the loudness meter
 
             // Nullify references
-            playerRef.current = null;
+            sourceRef.current = null;
+            if (comparatorRef.current) {
+                comparatorRef.current.dispose();
+                comparatorRef.current = null;
+            }
             limiterRef.current = null;
             analyserRef.current = null; // Nullify analyser reference
+            loudnessMeterRef.current = null;
 
             setIsPlaying(false);
             setIsAudioReady(false);
@@ -220,14 +224,14 @@ const useLimiterSynth = () => {
         }
 
         // Step 3: Now, with confidence that the audio system is ready, toggle playback.
-        if (playerRef.current && hasInitializedRef.current && isAudioReady) {
+        if (sourceRef.current && hasInitializedRef.current && isAudioReady) {
             try {
                 if (isPlaying) {
-                    playerRef.current.stop(); // Stop playback
+                    sourceRef.current.stop(); // Stop playback
                     setIsPlaying(false);
                     console.log('togglePlay: Audio stopped.');
                 } else {
-                    playerRef.current.start(); // Start playback
+                    sourceRef.current.start(); // Start playback
                     setIsPlaying(true);
                     console.log('togglePlay: Audio started.');
                 }
@@ -248,6 +252,8 @@ const useLimiterSynth = () => {
     }, []);
 
     return {
+        userPresets,
+        selectedSource, selectSource, selectFile, isLoadingSource, sourceError, liveInput, abCompare,
         isPlaying,
         togglePlay,
         threshold,
@@ -256,6 +262,7 @@ const useLimiterSynth = () => {
         setRelease,
         isAudioReady,
         getFrequencyData, // Expose frequency data getter
+        getLoudnessMeter,
         // Removed gainReduction from return
     };
 };
@@ -397,12 +404,15 @@ const FrequencyVisualizer = ({ analyser, width = 800, height = 200 }) => { // Ad
 // --- LimiterExplorerContent Component (Main App Component) ---
 const LimiterExplorerContent = () => {
     const {
+        selectedSource, selectSource, selectFile, isLoadingSource, sourceError, liveInput, abCompare,
         isPlaying, togglePlay,
         threshold, setThreshold,
         release, setRelease,
         isAudioReady,
         getFrequencyData,
+        getLoudnessMeter,
         // Removed gainReduction from destructuring
+        userPresets,
     } = useLimiterSynth();
 
     const visualizerWidth = 700;
@@ -451,7 +461,7 @@ const LimiterExplorerContent = () => {
                     </div>
                     {!isAudioReady && (
                         <p className="text-purple-700 text-sm mt-4 animate-pulse">
-                            Click "Play White Noise" to activate audio and begin.
+                            Click "Play Audio Loop" to activate audio and begin.
                         </p>
                     )}
                 </div>
@@ -470,9 +480,26 @@ const LimiterExplorerContent = () => {
                         `}
                     >
                         {isPlaying ? <Pause size={24} /> : <Play size={24} />}
-                        {isPlaying ? "Stop White Noise" : "Play White Noise"}
+                        {isPlaying ? "Stop Audio Loop" : "Play Audio Loop"}
                     </button>
 
+                    {/* Audio Source */}
+                    <SourceSelector
+                        selectedSource={selectedSource}
+                        onSelect={selectSource}
+                        onFile={selectFile}
+                        isLoading={isLoadingSource}
+                        error={sourceError}
+                        liveInput={liveInput}
+                    />
+                    <ABCompareControls abCompare={abCompare} disabled={!isAudioReady} />
+                    <PresetPanel presets={userPresets} />
+
+                    {/* Loudness of the limiter output */}
+                    <div className="w-full mt-6">
+                        <LoudnessMeterPanel getMeter={getLoudnessMeter} disabled={!isAudioReady} />
+                    </div>
+
                     {/* Visualizers Container */}
                     {/* Adjusted layout to only contain the Frequency Visualizer */}
                     <div className="flex justify-center w-full mt-8">
@@ -561,11 +588,9 @@ class ErrorBoundary extends React.Component {
 
 const LimiterExplorer = () => {
     return (
-        <AudioContextProvider>
-            <ErrorBoundary>
-                <LimiterExplorerContent />
-            </ErrorBoundary>
-        </AudioContextProvider>
+        <ErrorBoundary>
+            <LimiterExplorerContent />
+        </ErrorBoundary>
     );
 }
 
@@ -0,0 +1,154 @@
+import React, { useEffect, useRef } from 'react';
+import { Headphones, AlertTriangle } from 'lucide-react';
+import { METER_FLOOR_DB } from '../utils/audioEngine';
+import { INPUT_TRIM_MIN_DB, INPUT_TRIM_MAX_DB } from '../utils/liveInput';
+
+// Bottom of the input meter scale (dBFS)
+const METER_RANGE_DB = 60;
+
+// Maps a dBFS value onto 0..100% of the meter width.
+const levelToPercent = (db) => {
+    if (db <= METER_FLOOR_DB) return 0;
+    return Math.max(0, Math.min(100, ((db + METER_RANGE_DB) / METER_RANGE_DB) * 100));
+};
+
+const MUTE_MESSAGES = {
+    speakers: 'Monitoring is muted because your output may be speakers, which can cause feedback. The meter still shows your input.',
+    feedback: 'Monitoring was muted because the monitored signal stayed loud, which sounds like feedback. Lower the trim or use headphones.',
+};
+
+const THEMES = {
+    light: {
+        text: 'text-gray-700',
+        muted: 'text-gray-500',
+        select: 'bg-white border border-gray-300 text-gray-700',
+        meter: 'bg-gray-200',
+        notice: 'bg-amber-50 border border-amber-200 text-amber-800',
+        button: 'bg-gray-800 text-white hover:bg-gray-700',
+        accent: 'accent-gray-700',
+    },
+    dark: {
+        text: 'text-cyan-200',
+        muted: 'text-cyan-300/70',
+        select: 'bg-indigo-900/60 border border-cyan-500/30 text-cyan-100',
+        meter: 'bg-indigo-900/60',
+        notice: 'bg-amber-500/10 border border-amber-400/40 text-amber-200',
+        button: 'bg-cyan-600 text-white hover:bg-cyan-500',
+        accent: 'accent-cyan-400',
+    },
+};
+
+/**
+ * Input trim, input meter, device picker and feedback-protection notice for a
+ * live input. Pairs with the useLiveInput hook (src/hooks/useLiveInput.js).
+ * @param {object} props
+ * @param {object} props.liveInput The useLiveInput() result.
+ * @param {(deviceId: string) => void} props.onDeviceChange Switches to another input device.
+ * @param {boolean} [props.disabled] Disables the controls.
+ * @param {'light'|'dark'} [props.theme] Colors for light (explorer) or dark (studio) pages.
+ */
+const LiveInputControls = ({ liveInput, onDeviceChange, disabled = false, theme = 'light' }) => {
+    const {
+        isInputOpen, inputError,
+        inputTrim, setInputTrim,
+        inputDevices, inputDeviceId,
+        monitorMute, unmuteMonitor,
+        getInputLevel,
+    } = liveInput;
+    const colors = THEMES[theme];
+    const meterBarRef = useRef(null);
+
+    // Poll the input level and write straight to the DOM, like the output meter.
+    useEffect(() => {
+        if (!isInputOpen) return undefined;
+
+        let animationFrameId = null;
+        const draw = () => {
+            const db = getInputLevel();
+            if (meterBarRef.current) {
+                meterBarRef.current.style.width = `${levelToPercent(db)}%`;
+            }
+            animationFrameId = requestAnimationFrame(draw);
+        };
+        animationFrameId = requestAnimationFrame(draw);
+
+        return () => cancelAnimationFrame(animationFrameId);
+    }, [isInputOpen, getInputLevel]);
+
+    return (
+        <div className="space-y-3">
+            {isInputOpen && (
+                <div className="flex flex-wrap items-center gap-3">
+                    {inputDevices.length > 1 && (
+                        <select
+                            value={inputDeviceId ?? ''}
+                            onChange={(e) => onDeviceChange(e.target.value)}
+                            disabled={disabled}
+                            className={`px-3 py-1.5 rounded-full text-sm cursor-pointer max-w-xs ${colors.select}`}
+                            aria-label="Input device"
+                        >
+                            {inputDevices.map((device, index) => (
+                                <option key={device.deviceId} value={device.deviceId}>
+                                    {device.label || `Input ${index + 1}`}
+                                </option>
+                            ))}
+                        </select>
+                    )}
+
+                    <label className={`flex items-center gap-2 text-sm ${colors.text}`}>
+                        Trim
+                        <input
+                            type="range"
+                            min={INPUT_TRIM_MIN_DB}
+                            max={INPUT_TRIM_MAX_DB}
+                            step="0.5"
+                            value={inputTrim}
+                            onChange={(e) => setInputTrim(parseFloat(e.target.value))}
+                            disabled={disabled}
+                            className={`w-28 ${colors.accent}`}
+                            aria-label="Input trim"
+                        />
+                        <span className="font-mono w-16">{inputTrim > 0 ? '+' : ''}{inputTrim.toFixed(1)} dB</span>
+                    </label>
+
+                    <div className="flex items-center gap-2 flex-1 min-w-[8rem]" title="Input level">
+                        <span className={`text-sm ${colors.text}`}>Level</span>
+                        <div className={`relative h-2 flex-1 rounded-full overflow-hidden ${colors.meter}`}>
+                            <div
+                                ref={meterBarRef}
+                                className="absolute inset-y-0 left-0 bg-gradient-to-r from-green-500 via-yellow-400 to-red-500"
+                                style={{ width: '0%' }}
+                            />
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {isInputOpen && monitorMute && (
+                <div className={`flex flex-wrap items-center gap-3 rounded-lg px-3 py-2 text-sm ${colors.notice}`}>
+                    <AlertTriangle size={16} className="flex-shrink-0" />
+                    <span className="flex-1 min-w-[12rem]">{MUTE_MESSAGES[monitorMute]}</span>
+                    <button
+                        type="button"
+                        onClick={unmuteMonitor}
+                        disabled={disabled}
+                        className={`flex items-center gap-1.5 px-3 py-1.5 rounded-full font-medium ${colors.button}`}
+                    >
+                        <Headphones size={14} />
+                        I'm using headphones
+                    </button>
+                </div>
+            )}
+
+            {!isInputOpen && !inputError && (
+                <p className={`text-sm ${colors.muted}`}>
+                    Use headphones: with speakers, the microphone picks up its own output.
+                </p>
+            )}
+
+            {inputError && <p className="text-sm text-red-500">{inputError}</p>}
+        </div>
+    );
+};
+
+export default LiveInputControls;
@@ -0,0 +1,107 @@
+import React, { useEffect, useRef, useCallback } from 'react';
+import { RotateCcw } from 'lucide-react';
+
+// How often the meter takes a measurement (ms); BS.1770 updates every 100 ms
+const UPDATE_INTERVAL_MS = 100;
+// True peaks above this (dBTP) are flagged, the usual streaming ceiling
+const TRUE_PEAK_WARNING_DBTP = -1;
+
+const READOUTS = [
+    { key: 'momentary', label: 'Momentary', unit: 'LUFS', title: 'Loudness of the last 400 ms' },
+    { key: 'shortTerm', label: 'Short-term', unit: 'LUFS', title: 'Loudness of the last 3 s' },
+    { key: 'integrated', label: 'Integrated', unit: 'LUFS', title: 'Gated loudness since the last reset' },
+    { key: 'range', label: 'Range', unit: 'LU', title: 'Loudness range (LRA) since the last reset' },
+    { key: 'truePeak', label: 'True peak', unit: 'dBTP', title: 'Highest 4x oversampled peak since the last reset' },
+];
+
+const formatValue = (value) => (Number.isFinite(value) ? value.toFixed(1) : '–');
+
+const THEMES = {
+    light: {
+        text: 'text-gray-700',
+        muted: 'text-gray-500',
+        cell: 'bg-white border border-gray-200',
+        button: 'text-gray-600 hover:text-gray-900',
+    },
+    dark: {
+        text: 'text-cyan-100',
+        muted: 'text-cyan-300/70',
+        cell: 'bg-indigo-900/60 border border-cyan-500/30',
+        button: 'text-cyan-300 hover:text-cyan-100',
+    },
+};
+
+/**
+ * Live BS.1770 loudness readout (momentary, short-term and integrated LUFS,
+ * loudness range and true peak) for a LoudnessMeter node
+ * (src/utils/loudnessMeter.js). Drives the node's measurements itself and
+ * writes the numbers straight to the DOM, like the output meter, so metering
+ * never re-renders the page.
+ * @param {object} props
+ * @param {() => (LoudnessMeter|null)} props.getMeter Stable function returning the node, if any.
+ * @param {boolean} [props.disabled] Disables the reset button.
+ * @param {'light'|'dark'} [props.theme] Colors for light (explorer) or dark (studio) pages.
+ */
+const LoudnessMeterPanel = ({ getMeter, disabled = false, theme = 'light' }) => {
+    const colors = THEMES[theme];
+    const valueRefs = useRef({});
+
+    const showResult = useCallback((result) => {
+        READOUTS.forEach(({ key }) => {
+            const element = valueRefs.current[key];
+            if (!element) return;
+            element.textContent = result ? formatValue(result[key]) : '–';
+            if (key === 'truePeak') {
+                const isOver = Boolean(result) && result.truePeak > TRUE_PEAK_WARNING_DBTP;
+                element.classList.toggle('text-red-500', isOver);
+            }
+        });
+    }, []);
+
+    useEffect(() => {
+        const intervalId = setInterval(() => {
+            const meter = getMeter();
+            if (!meter) return;
+            showResult(meter.update());
+        }, UPDATE_INTERVAL_MS);
+
+        return () => clearInterval(intervalId);
+    }, [getMeter, showResult]);
+
+    const resetMeter = () => {
+        const meter = getMeter();
+        if (meter) meter.reset();
+        showResult(null);
+    };
+
+    return (
+        <div className="space-y-2">
+            <div className="flex items-center justify-between gap-2">
+                <span className={`text-sm font-semibold ${colors.text}`}>Loudness (ITU-R BS.1770)</span>
+                <button
+                    type="button"
+                    onClick={resetMeter}
+                    disabled={disabled}
+                    className={`flex items-center gap-1 text-sm ${colors.button} ${disabled ? 'opacity-50 cursor-not-allowed' : ''}`}
+                    title="Restart the integrated loudness, range and true peak"
+                >
+                    <RotateCcw size={12} />
+                    Reset
+                </button>
+            </div>
+            <div className="grid grid-cols-2 sm:grid-cols-5 gap-2">
+                {READOUTS.map(({ key, label, unit, title }) => (
+                    <div key={key} className={`rounded-lg px-3 py-2 ${colors.cell}`} title={title}>
+                        <div className={`text-xs ${colors.muted}`}>{label}</div>
+                        <div className={`font-mono text-lg ${colors.text}`}>
+                            <span ref={(element) => { valueRefs.current[key] = element; }}>–</span>
+                            <span className={`ml-1 text-xs ${colors.muted}`}>{unit}</span>
+                        </div>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default LoudnessMeterPanel;
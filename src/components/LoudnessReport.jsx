@@ -0,0 +1,53 @@
+import React from 'react';
+
+// True peaks above this (dBTP) are flagged, the usual streaming ceiling
+const TRUE_PEAK_WARNING_DBTP = -1;
+
+const formatValue = (value, unit) => (Number.isFinite(value) ? `${value.toFixed(1)} ${unit}` : '–');
+
+const THEMES = {
+    light: { text: 'text-gray-700', muted: 'text-gray-500' },
+    dark: { text: 'text-cyan-100', muted: 'text-cyan-300/70' },
+};
+
+/**
+ * Loudness of an exported file, as measured by the encoder worker
+ * (analyzeLoudness in src/utils/loudness.js).
+ * @param {object} props
+ * @param {object|null} props.loudness The analyzeLoudness() result; nothing is shown without one.
+ * @param {string} [props.fileName] Name of the exported file.
+ * @param {string|null} [props.notice] Note about the export, e.g. an MP3 bitrate that was lowered.
+ * @param {'light'|'dark'} [props.theme] Colors for light (explorer) or dark (studio) pages.
+ */
+const LoudnessReport = ({ loudness, fileName, notice = null, theme = 'light' }) => {
+    if (!loudness) return null;
+    const colors = THEMES[theme];
+    const items = [
+        ['Integrated', formatValue(loudness.integrated, 'LUFS')],
+        ['Range', formatValue(loudness.range, 'LU')],
+        ['True peak', formatValue(loudness.truePeak, 'dBTP')],
+        ['Max momentary', formatValue(loudness.momentaryMax, 'LUFS')],
+        ['Max short-term', formatValue(loudness.shortTermMax, 'LUFS')],
+    ];
+
+    return (
+        <div className={`text-sm ${colors.text}`}>
+            <div className={`mb-1 ${colors.muted}`}>
+                Exported file loudness{fileName ? ` · ${fileName}` : ''}
+            </div>
+            <div className="flex flex-wrap gap-x-4 gap-y-1 font-mono">
+                {items.map(([label, value]) => (
+                    <span
+                        key={label}
+                        className={label === 'True peak' && loudness.truePeak > TRUE_PEAK_WARNING_DBTP ? 'text-red-500' : ''}
+                    >
+                        <span className={`font-sans ${colors.muted}`}>{label}</span> {value}
+                    </span>
+                ))}
+            </div>
+            {notice && <div className={`mt-1 ${colors.muted}`}>{notice}</div>}
+        </div>
+    );
+};
+
+export default LoudnessReport;
@@ -1,7 +1,20 @@
-import React, { useState, useEffect, useRef, useCallback, createContext, useContext, useMemo } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useContext } from 'react';
 import * as Tone from 'tone';
+import { AudioContext } from '../contexts/AudioContext';
+import { registerNode } from '../utils/audioEngine';
+import { ExplorerSource } from '../utils/explorerSources';
+import useExplorerSource from '../hooks/useExplorerSource';
+import { ABComparator } from '../utils/abCompare';
+import useABCompare from '../hooks/useABCompare';
+import { createUrlSchema, urlParam } from '../utils/urlState';
+import useUrlState from '../hooks/useUrlState';
+import useParamHistory from '../hooks/useParamHistory';
+import useUserPresets from '../hooks/useUserPresets';
 import { Play, Pause, Split, Merge } from 'lucide-react'; // Icons for Mid-Side
 import SEOHead from './SEOHead';
+import SourceSelector from './SourceSelector';
+import ABCompareControls from './ABCompareControls';
+import PresetPanel from './PresetPanel';
 
 // Define the tool object for SEO structured data
 const midSideExplorerTool = {
@@ -19,67 +32,29 @@ const midSideExplorerTool = {
 };
 
 
-// Define the path to your white noise MP3 file.
+// Source the explorer starts with; the user can switch it with the source selector.
 // For a true mid-side effect, a stereo source is recommended.
-// This white noise is likely mono, meaning the 'Side' channel will be silent.
-const WHITE_NOISE_MP3_PATH = '/white-noise/white-noise.mp3';
+// The noise loop is mono, meaning the 'Side' channel will be silent.
+const DEFAULT_SOURCE = { type: 'demo', id: 'noise' };
 
-// --- INLINED AUDIO CONTEXT ---
-// This context manages the global Tone.js audio state.
-export const AudioContext = createContext(null);
-
-const AudioContextProvider = ({ children }) => {
-    const [isAudioGloballyReady, setIsAudioGloballyReady] = useState(false);
-
-    // Function to start Tone.js audio context
-    const startGlobalAudio = useCallback(async () => {
-        if (Tone.context.state !== 'running') {
-            try {
-                console.log('AudioContext: Attempting to start global Tone.js context...');
-                await Tone.start();
-                setIsAudioGloballyReady(true);
-                console.log('AudioContext: Tone.js context started and is running.');
-            } catch (error) {
-                console.error("AudioContext: Error starting Tone.js context:", error);
-                setIsAudioGloballyReady(false);
-            }
-        } else {
-            setIsAudioGloballyReady(true);
-            console.log('AudioContext: Tone.js context already running.');
-        }
-    }, []);
-
-    // Effect to observe Tone.js context state changes
-    useEffect(() => {
-        const handleToneContextChange = () => {
-            if (Tone.context.state === 'running') {
-                setIsAudioGloballyReady(true);
-            } else {
-                setIsAudioGloballyReady(false);
-            }
-        };
-
-        Tone.context.on('statechange', handleToneContextChange);
-        handleToneContextChange(); // Initial check on mount
-
-        return () => {
-            Tone.context.off('statechange', handleToneContextChange);
-        };
-    }, []);
-
-    return (
-        <AudioContext.Provider value={{ isAudioGloballyReady, startGlobalAudio }}>
-            {children}
-        </AudioContext.Provider>
-    );
-};
-// --- END INLINED AUDIO CONTEXT ---
 
+// Mid and side gains kept in the URL, so a link reopens them
+const URL_SCHEMA = createUrlSchema({
+    params: {
+        mid: urlParam.number({ min: -20, max: 10, precision: 1 }),
+        side: urlParam.number({ min: -20, max: 10, precision: 1 }),
+    },
+});
 
 // --- useMidSideSynth Hook ---
 const useMidSideSynth = () => {
     const { isAudioGloballyReady, startGlobalAudio } = useContext(AudioContext);
-    const playerRef = useRef(null);
+    const sourceRef = useRef(null);
+    const { selectedSource, selectSource, selectFile, isLoadingSource, sourceError, loadSelectedSource, liveInput } = useExplorerSource(sourceRef, DEFAULT_SOURCE);
+    const comparatorRef = useRef(null); // A/B switch between the bypass and processed signals
+    const getComparator = useCallback(() => comparatorRef.current, []);
+    const abCompare = useABCompare(getComparator);
+    const { syncComparator } = abCompare;
     const midSideSplitRef = useRef(null);
     const midGainRef = useRef(null);
     const sideGainRef = useRef(null);
@@ -90,10 +65,23 @@ const useMidSideSynth = () => {
     const [midGainDb, setMidGainDb] = useState(0); // in dB
     const [sideGainDb, setSideGainDb] = useState(0); // in dB
 
+    const toolParams = { mid: midGainDb, side: sideGainDb };
+    const toolParamSetters = { mid: setMidGainDb, side: setSideGainDb };
+    useUrlState(URL_SCHEMA, toolParams, toolParamSetters);
+    useParamHistory(toolParams, toolParamSetters);
+    const userPresets = useUserPresets({
+        tool: 'mid-side-explorer', schema: URL_SCHEMA, params: toolParams, applyParams: toolParamSetters,
+    });
+
     const [isAudioReady, setIsAudioReady] = useState(false);
 
+    // Latest parameters, so the nodes start with them without initAudioNodes depending on them
+    const paramsRef = useRef(null);
+    paramsRef.current = { midGainDb, sideGainDb };
+
     // Function to create and connect Tone.js nodes for Mid-Side processing
     const initAudioNodes = useCallback(async () => {
+        const { midGainDb, sideGainDb } = paramsRef.current;
         if (hasInitializedRef.current) {
             console.log('useMidSideSynth: initAudioNodes: already initialized, skipping init.');
             return;
@@ -101,35 +89,36 @@ const useMidSideSynth = () => {
 
         console.log(`useMidSideSynth: initAudioNodes called. isAudioGloballyReady: ${isAudioGloballyReady}`);
 
-        if (isAudioGloballyReady && !playerRef.current) {
-            console.log('useMidSideSynth: Proceeding with initialization of audio nodes and loading MP3...');
+        if (isAudioGloballyReady && !sourceRef.current) {
+            console.log('useMidSideSynth: Proceeding with initialization of audio nodes and loading the audio source...');
             try {
-                // Create Tone.Player for the audio source
-                const player = new Tone.Player({
-                    url: WHITE_NOISE_MP3_PATH,
-                    loop: true,
-                    autostart: false,
-                    volume: -15 // Slightly reduced volume
-                });
-                await player.load(WHITE_NOISE_MP3_PATH);
-                console.log('useMidSideSynth: Audio sample loaded successfully.');
+                // Create the switchable source (demo loop, user file or generator)
+                const source = registerNode(new ExplorerSource({ volume: -15 })); // Slightly reduced volume
+                await loadSelectedSource(source);
+                console.log('useMidSideSynth: Audio source loaded successfully.');
+
+                // A/B comparison: the bypass path taps the source ahead of the effect
+                const comparator = registerNode(new ABComparator()).toDestination();
+                source.connect(comparator.dry);
 
                 // Mid/Side Split and Merge
-                const midSideSplit = new Tone.MidSideSplit();
-                const midGain = new Tone.Gain(Tone.dbToGain(midGainDb));
-                const sideGain = new Tone.Gain(Tone.dbToGain(sideGainDb));
-                const midSideMerge = new Tone.MidSideMerge();
+                const midSideSplit = registerNode(new Tone.MidSideSplit());
+                const midGain = registerNode(new Tone.Gain(Tone.dbToGain(midGainDb)));
+                const sideGain = registerNode(new Tone.Gain(Tone.dbToGain(sideGainDb)));
+                const midSideMerge = registerNode(new Tone.MidSideMerge());
 
-                // Connect the chain: Player -> Split -> Gains -> Merge -> Destination
-                player.connect(midSideSplit);
+                // Connect the chain: Source -> Split -> Gains -> Merge -> A/B switch -> Destination
+                source.connect(midSideSplit);
                 midSideSplit.mid.connect(midGain);
                 midSideSplit.side.connect(sideGain);
                 midGain.connect(midSideMerge.mid);
                 sideGain.connect(midSideMerge.side);
-                midSideMerge.toDestination();
+                midSideMerge.connect(comparator);
 
                 // Store references
-                playerRef.current = player;
+                sourceRef.current = source;
+                comparatorRef.current = comparator;
+                syncComparator();
                 midSideSplitRef.current = midSideSplit;
                 midGainRef.current = midGain;
                 sideGainRef.current = sideGain;
@@ -140,28 +129,32 @@ const useMidSideSynth = () => {
                 console.log('useMidSideSynth: Audio nodes initialized and connected.');
 
             } catch (error) {
-                console.error("useMidSideSynth: Error initializing audio nodes or loading MP3:", error);
+                console.error("useMidSideSynth: Error initializing audio nodes or loading the audio source:", error);
                 setIsAudioReady(false);
                 hasInitializedRef.current = false;
             }
         } else {
             console.log("useMidSideSynth: initAudioNodes skipped. Not globally ready or player already exists.");
         }
-    }, [isAudioGloballyReady]); // Dependencies for initial setup are intentionally limited
+    }, [isAudioGloballyReady, loadSelectedSource, syncComparator]); // Dependencies for initial setup are intentionally limited
 
     // Function to dispose Tone.js nodes
     const disposeAudioNodes = useCallback(() => {
-        console.log(`useMidSideSynth: disposeAudioNodes called. playerRef.current: ${playerRef.current}`);
-        if (playerRef.current) {
+        console.log(`useMidSideSynth: disposeAudioNodes called. sourceRef.current: ${sourceRef.current}`);
+        if (sourceRef.current) {
             console.log('useMidSideSynth: Disposing audio nodes...');
-            playerRef.current.stop();
-            playerRef.current.dispose();
+            sourceRef.current.stop();
+            sourceRef.current.dispose();
             if (midSideSplitRef.current) midSideSplitRef.current.dispose();
             if (midGainRef.current) midGainRef.current.dispose();
             if (sideGainRef.current) sideGainRef.current.dispose();
             if (midSideMergeRef.current) midSideMergeRef.current.dispose();
 
-            playerRef.current = null;
+            sourceRef.current = null;
+            if (comparatorRef.current) {
+                comparatorRef.current.dispose();
+                comparatorRef.current = null;
+            }
             midSideSplitRef.current = null;
             midGainRef.current = null;
             sideGainRef.current = null;
@@ -215,13 +208,13 @@ const useMidSideSynth = () => {
         }
 
         // Now, proceed with playback toggle if everything is ready
-        if (playerRef.current && hasInitializedRef.current && isAudioReady) {
+        if (sourceRef.current && hasInitializedRef.current && isAudioReady) {
             if (isPlaying) {
-                playerRef.current.stop();
+                sourceRef.current.stop();
                 setIsPlaying(false);
                 console.log('togglePlay: Audio stopped.');
             } else {
-                playerRef.current.start();
+                sourceRef.current.start();
                 setIsPlaying(true);
                 console.log('togglePlay: Audio started.');
             }
@@ -231,6 +224,8 @@ const useMidSideSynth = () => {
     }, [isPlaying, isAudioGloballyReady, isAudioReady, startGlobalAudio, initAudioNodes]);
 
     return {
+        userPresets,
+        selectedSource, selectSource, selectFile, isLoadingSource, sourceError, liveInput, abCompare,
         isPlaying,
         togglePlay,
         midGainDb,
@@ -431,10 +426,12 @@ const MidSideXYController = ({ midGain, sideGain, setMidGain, setSideGain, width
 // --- MidSideExplorer Component (Main App Component) ---
 const MidSideExplorerContent = () => {
     const {
+        selectedSource, selectSource, selectFile, isLoadingSource, sourceError, liveInput, abCompare,
         isPlaying, togglePlay,
         midGainDb, setMidGainDb,
         sideGainDb, setSideGainDb,
         isAudioReady,
+        userPresets,
     } = useMidSideSynth();
 
     const controllerWidth = 400;
@@ -476,7 +473,7 @@ const MidSideExplorerContent = () => {
                         </p>
                     )}
                     <p className="text-teal-800 text-sm mt-2">
-                        Note: For a strong effect, use a stereo audio source. This explorer uses mono white noise, so side processing will have minimal effect.
+                        Note: For a strong effect, use a stereo audio source. Mono sources such as the noise and piano loops leave little for side processing to act on; try your own stereo file.
                     </p>
                 </div>
 
@@ -497,6 +494,18 @@ const MidSideExplorerContent = () => {
                         {isPlaying ? "Stop Audio" : "Play Audio"}
                     </button>
 
+                    {/* Audio Source */}
+                    <SourceSelector
+                        selectedSource={selectedSource}
+                        onSelect={selectSource}
+                        onFile={selectFile}
+                        isLoading={isLoadingSource}
+                        error={sourceError}
+                        liveInput={liveInput}
+                    />
+                    <ABCompareControls abCompare={abCompare} disabled={!isAudioReady} />
+                    <PresetPanel presets={userPresets} />
+
                     {/* Mid-Side X-Y Controller */}
                     <div className="flex flex-col items-center gap-4 w-full">
                         <MidSideXYController
@@ -522,9 +531,7 @@ const MidSideExplorerContent = () => {
 // This is the default export for the standalone Mid-Side Explorer
 const MidSideExplorer = () => {
     return (
-        <AudioContextProvider>
-            <MidSideExplorerContent />
-        </AudioContextProvider>
+        <MidSideExplorerContent />
     );
 }
 
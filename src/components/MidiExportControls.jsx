@@ -0,0 +1,67 @@
+import React, { useState } from 'react';
+import { Download } from 'lucide-react';
+
+const THEMES = {
+    light: {
+        select: 'bg-white border border-gray-300 text-gray-700',
+        button: 'bg-white text-gray-700 border border-gray-300 hover:bg-gray-100',
+        error: 'text-red-600',
+    },
+    dark: {
+        select: 'bg-indigo-900/60 border border-cyan-500/30 text-cyan-100',
+        button: 'bg-indigo-900/60 text-cyan-100 border border-cyan-500/30 hover:bg-indigo-800/60',
+        error: 'text-red-300',
+    },
+};
+
+/**
+ * "Export MIDI" button with the Standard MIDI File format to write.
+ * @param {object} props
+ * @param {(format: 0|1) => void} props.onExport Writes and downloads the file; errors it throws are shown.
+ * @param {boolean} [props.disabled] Disables the controls (e.g. when there's nothing to export).
+ * @param {'light'|'dark'} [props.theme] Colors for light or dark pages.
+ */
+const MidiExportControls = ({ onExport, disabled = false, theme = 'light' }) => {
+    const [format, setFormat] = useState(1);
+    const [exportError, setExportError] = useState(null);
+    const colors = THEMES[theme];
+
+    const handleExport = () => {
+        setExportError(null);
+        try {
+            onExport(format);
+        } catch (error) {
+            console.error('Error exporting MIDI:', error);
+            setExportError(`Could not export MIDI: ${error.message}`);
+        }
+    };
+
+    return (
+        <div className="space-y-1 text-sm">
+            <div className="flex flex-wrap items-center justify-center gap-2">
+                <select
+                    value={format}
+                    onChange={(e) => setFormat(Number(e.target.value))}
+                    disabled={disabled}
+                    className={`px-2 py-1 rounded ${colors.select} disabled:opacity-50`}
+                    aria-label="MIDI file type"
+                >
+                    <option value={1}>Multi-track (type 1)</option>
+                    <option value={0}>Single track (type 0)</option>
+                </select>
+                <button
+                    type="button"
+                    onClick={handleExport}
+                    disabled={disabled}
+                    className={`px-3 py-1 rounded-full flex items-center gap-1 transition-colors duration-200 ${colors.button} disabled:opacity-50 disabled:cursor-not-allowed`}
+                    title="Download the pattern as a Standard MIDI File"
+                >
+                    <Download size={14} /> Export MIDI
+                </button>
+            </div>
+            {exportError && <p className={`text-center ${colors.error}`}>{exportError}</p>}
+        </div>
+    );
+};
+
+export default MidiExportControls;
@@ -0,0 +1,76 @@
+import React from 'react';
+import { Piano, Unplug } from 'lucide-react';
+
+const THEMES = {
+    light: {
+        text: 'text-gray-700',
+        muted: 'text-gray-500',
+        select: 'bg-white border border-gray-300 text-gray-700',
+        button: 'bg-white text-gray-700 border border-gray-300 hover:bg-gray-100',
+        badge: 'bg-emerald-100 text-emerald-700',
+        error: 'text-red-600',
+    },
+    dark: {
+        text: 'text-cyan-200',
+        muted: 'text-cyan-300/70',
+        select: 'bg-indigo-900/60 border border-cyan-500/30 text-cyan-100',
+        button: 'bg-indigo-900/60 text-cyan-100 border border-cyan-500/30 hover:bg-indigo-800/60',
+        badge: 'bg-emerald-500/20 text-emerald-200',
+        error: 'text-red-300',
+    },
+};
+
+/**
+ * Connect button, device picker and sustain pedal indicator for MIDI input.
+ * Pairs with the useMidiInput hook (src/hooks/useMidiInput.js).
+ * @param {object} props
+ * @param {object} props.midi The useMidiInput() result.
+ * @param {'light'|'dark'} [props.theme] Colors for light or dark pages.
+ */
+const MidiInputControls = ({ midi, theme = 'light' }) => {
+    const { isSupported, status, midiError, devices, deviceId, isSustainDown, connect, disconnect, selectDevice } = midi;
+    const colors = THEMES[theme];
+    const button = `px-3 py-1 rounded-full text-sm flex items-center gap-1 transition-colors duration-200 ${colors.button} disabled:opacity-50 disabled:cursor-not-allowed`;
+
+    if (!isSupported) {
+        return <p className={`text-sm ${colors.muted}`}>MIDI keyboards need a browser with Web MIDI (e.g. Chrome or Edge).</p>;
+    }
+
+    return (
+        <div className={`space-y-1 text-sm ${colors.text}`}>
+            <div className="flex flex-wrap items-center gap-2">
+                <span className="font-semibold">MIDI</span>
+                {status === 'connected' ? (
+                    <>
+                        {devices.length === 0 ? (
+                            <span className={colors.muted}>No MIDI devices found. Plug one in to play.</span>
+                        ) : (
+                            <select
+                                value={deviceId ?? ''}
+                                onChange={(e) => selectDevice(e.target.value || null)}
+                                className={`px-2 py-1 rounded ${colors.select}`}
+                                aria-label="MIDI input device"
+                            >
+                                <option value="">All devices</option>
+                                {devices.map(device => (
+                                    <option key={device.id} value={device.id}>{device.name}</option>
+                                ))}
+                            </select>
+                        )}
+                        {isSustainDown && <span className={`px-2 py-0.5 rounded-full text-xs ${colors.badge}`}>Sustain</span>}
+                        <button type="button" onClick={disconnect} className={button} title="Stop listening to MIDI">
+                            <Unplug size={14} /> Disconnect
+                        </button>
+                    </>
+                ) : (
+                    <button type="button" onClick={connect} disabled={status === 'connecting'} className={button}>
+                        <Piano size={14} /> {status === 'connecting' ? 'Connecting…' : 'Connect MIDI keyboard'}
+                    </button>
+                )}
+            </div>
+            {midiError && <p className={colors.error}>{midiError}</p>}
+        </div>
+    );
+};
+
+export default MidiInputControls;
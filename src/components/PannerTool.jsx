@@ -1,7 +1,20 @@
-import React, { useState, useEffect, useRef, useCallback, createContext, useContext } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useContext } from 'react';
 import * as Tone from 'tone';
+import { AudioContext } from '../contexts/AudioContext';
+import { registerNode } from '../utils/audioEngine';
+import { ExplorerSource } from '../utils/explorerSources';
+import useExplorerSource from '../hooks/useExplorerSource';
+import { ABComparator } from '../utils/abCompare';
+import useABCompare from '../hooks/useABCompare';
+import { createUrlSchema, urlParam } from '../utils/urlState';
+import useUrlState from '../hooks/useUrlState';
+import useParamHistory from '../hooks/useParamHistory';
+import useUserPresets from '../hooks/useUserPresets';
 import { Play, Pause } from 'lucide-react';
 import SEOHead from './SEOHead';
+import SourceSelector from './SourceSelector';
+import ABCompareControls from './ABCompareControls';
+import PresetPanel from './PresetPanel';
 
 
 
@@ -20,68 +33,40 @@ const pannerTool = {
 };
 
 
-// Define the path to your white noise MP3 file
-const WHITE_NOISE_MPPA_PATH = '/white-noise/white-noise.mp3';
+// Source the explorer starts with; the user can switch it with the source selector.
+const DEFAULT_SOURCE = { type: 'demo', id: 'noise' };
 
-// --- INLINED AUDIO CONTEXT (to make this a single JSX file) ---
-export const AudioContext = createContext(null);
-
-const AudioContextProvider = ({ children }) => {
-    const [isAudioGloballyReady, setIsAudioGloballyReady] = useState(false);
-
-    const startGlobalAudio = useCallback(async () => {
-        if (Tone.context.state !== 'running') {
-            try {
-                console.log('AudioContext: Attempting to start global Tone.js context...');
-                await Tone.start();
-                setIsAudioGloballyReady(true);
-                console.log('AudioContext: Tone.js context started and is running.');
-            } catch (error) {
-                console.error("AudioContext: Error starting Tone.js context:", error);
-                setIsAudioGloballyReady(false);
-            }
-        } else {
-            setIsAudioGloballyReady(true);
-            console.log('AudioContext: Tone.js context already running.');
-        }
-    }, []);
-
-    useEffect(() => {
-        const handleToneContextChange = () => {
-            if (Tone.context.state === 'running') {
-                setIsAudioGloballyReady(true);
-            } else {
-                setIsAudioGloballyReady(false);
-            }
-        };
-
-        Tone.context.on('statechange', handleToneContextChange);
-        handleToneContextChange(); // Initial check
-
-        return () => {
-            Tone.context.off('statechange', handleToneContextChange);
-        };
-    }, []);
-
-    return (
-        <AudioContext.Provider value={{ isAudioGloballyReady, startGlobalAudio }}>
-            {children}
-        </AudioContext.Provider>
-    );
-};
-// --- END INLINED AUDIO CONTEXT ---
 
+// Pan position kept in the URL, so a link reopens it
+const URL_SCHEMA = createUrlSchema({
+    params: {
+        pan: urlParam.number({ min: -1, max: 1 }),
+    },
+});
 
 // Custom hook to manage the Tone.js Panner and Player
 const usePannerSynth = () => {
-    // This hook must be called inside a component that is a child of AudioContextProvider
+    // This hook consumes the global AudioProvider mounted in App.jsx
     const { isAudioGloballyReady, startGlobalAudio } = useContext(AudioContext);
-    const playerRef = useRef(null);
+    const sourceRef = useRef(null);
+    const { selectedSource, selectSource, selectFile, isLoadingSource, sourceError, loadSelectedSource, liveInput } = useExplorerSource(sourceRef, DEFAULT_SOURCE);
+    const comparatorRef = useRef(null); // A/B switch between the bypass and processed signals
+    const getComparator = useCallback(() => comparatorRef.current, []);
+    const abCompare = useABCompare(getComparator);
+    const { syncComparator } = abCompare;
     const pannerRef = useRef(null);
     const hasInitializedRef = useRef(false);
 
     const [isPlaying, setIsPlaying] = useState(false);
     const [pan, setPan] = useState(0); // -1 (left) to 1 (right)
+
+    const toolParams = { pan };
+    const toolParamSetters = { pan: setPan };
+    useUrlState(URL_SCHEMA, toolParams, toolParamSetters);
+    useParamHistory(toolParams, toolParamSetters);
+    const userPresets = useUserPresets({
+        tool: 'panner-tool', schema: URL_SCHEMA, params: toolParams, applyParams: toolParamSetters,
+    });
     const [isAudioReady, setIsAudioReady] = useState(false);
 
     const initAudioNodes = useCallback(async () => {
@@ -92,25 +77,27 @@ const usePannerSynth = () => {
 
         console.log(`usePannerSynth: initAudioNodes called. isAudioGloballyReady: ${isAudioGloballyReady}`);
 
-        if (isAudioGloballyReady && !playerRef.current) {
-            console.log('usePannerSynth: Proceeding with initialization of audio nodes and loading MP3...');
+        if (isAudioGloballyReady && !sourceRef.current) {
+            console.log('usePannerSynth: Proceeding with initialization of audio nodes and loading the audio source...');
             try {
-                const player = new Tone.Player({
-                    url: WHITE_NOISE_MPPA_PATH,
-                    loop: true,
-                    autostart: false,
-                    volume: -15 // Slightly reduced volume for white noise
-                });
-                await player.load(WHITE_NOISE_MPPA_PATH);
-                console.log('usePannerSynth: White noise loaded successfully.');
+                // Create the switchable source (demo loop, user file or generator)
+                const source = registerNode(new ExplorerSource({ volume: -15 })); // Slightly reduced volume for the noise loop
+                await loadSelectedSource(source);
+                console.log('usePannerSynth: Audio source loaded successfully.');
+
+                // A/B comparison: the bypass path taps the source ahead of the effect
+                const comparator = registerNode(new ABComparator()).toDestination();
+                source.connect(comparator.dry);
 
                 // Initialize Panner with a default value (e.g., 0 for center)
                 // The 'pan' state will then update this value in a separate effect.
-                const panner = new Tone.Panner(0).toDestination();
+                const panner = registerNode(new Tone.Panner(0)).connect(comparator);
 
-                player.connect(panner);
+                source.connect(panner);
 
-                playerRef.current = player;
+                sourceRef.current = source;
+                comparatorRef.current = comparator;
+                syncComparator();
                 pannerRef.current = panner;
 
                 setIsAudioReady(true);
@@ -118,24 +105,28 @@ const usePannerSynth = () => {
                 console.log('usePannerSynth: Audio nodes initialized and connected.');
 
             } catch (error) {
-                console.error("usePannerSynth: Error initializing audio nodes or loading MP3:", error);
+                console.error("usePannerSynth: Error initializing audio nodes or loading the audio source:", error);
                 setIsAudioReady(false);
                 hasInitializedRef.current = false;
             }
         } else {
             console.log("usePannerSynth: initAudioNodes skipped. Not globally ready or player already exists.");
         }
-    }, [isAudioGloballyReady]); // Removed 'pan' from dependencies to prevent re-initialization
+    }, [isAudioGloballyReady, loadSelectedSource, syncComparator]); // Removed 'pan' from dependencies to prevent re-initialization
 
     const disposeAudioNodes = useCallback(() => {
-        console.log(`usePannerSynth: disposeAudioNodes called. playerRef.current: ${playerRef.current}`);
-        if (playerRef.current) {
+        console.log(`usePannerSynth: disposeAudioNodes called. sourceRef.current: ${sourceRef.current}`);
+        if (sourceRef.current) {
             console.log('usePannerSynth: Disposing audio nodes...');
-            playerRef.current.stop();
-            playerRef.current.dispose();
+            sourceRef.current.stop();
+            sourceRef.current.dispose();
             if (pannerRef.current) pannerRef.current.dispose();
 
-            playerRef.current = null;
+            sourceRef.current = null;
+            if (comparatorRef.current) {
+                comparatorRef.current.dispose();
+                comparatorRef.current = null;
+            }
             pannerRef.current = null;
 
             setIsPlaying(false);
@@ -182,13 +173,13 @@ const usePannerSynth = () => {
             await new Promise(resolve => setTimeout(resolve, 10)); // Small delay for state propagation
         }
 
-        if (playerRef.current && isAudioReady) {
+        if (sourceRef.current && isAudioReady) {
             if (isPlaying) {
-                playerRef.current.stop();
+                sourceRef.current.stop();
                 setIsPlaying(false);
                 console.log('togglePlay: Audio stopped.');
             } else {
-                playerRef.current.start();
+                sourceRef.current.start();
                 setIsPlaying(true);
                 console.log('togglePlay: Audio started.');
             }
@@ -198,6 +189,8 @@ const usePannerSynth = () => {
     }, [isPlaying, isAudioGloballyReady, isAudioReady, startGlobalAudio, initAudioNodes]);
 
     return {
+        userPresets,
+        selectedSource, selectSource, selectFile, isLoadingSource, sourceError, liveInput, abCompare,
         isPlaying,
         togglePlay,
         pan,
@@ -209,11 +202,13 @@ const usePannerSynth = () => {
 // src/components/PannerTool.jsx (Main component)
 const PannerToolContent = () => { // Renamed to PannerToolContent
     const {
+        selectedSource, selectSource, selectFile, isLoadingSource, sourceError, liveInput, abCompare,
         isPlaying,
         togglePlay,
         pan,
         setPan,
         isAudioReady,
+        userPresets,
     } = usePannerSynth();
 
     const pannerAreaRef = useRef(null);
@@ -348,6 +343,18 @@ const PannerToolContent = () => { // Renamed to PannerToolContent
                             {isPlaying ? "Stop Audio Loop" : "Play Audio Loop"}
                         </button>
 
+                        {/* Audio Source */}
+                        <SourceSelector
+                            selectedSource={selectedSource}
+                            onSelect={selectSource}
+                            onFile={selectFile}
+                            isLoading={isLoadingSource}
+                            error={sourceError}
+                            liveInput={liveInput}
+                        />
+                        <ABCompareControls abCompare={abCompare} disabled={!isAudioReady} />
+                        <PresetPanel presets={userPresets} />
+
                         {/* Panning Area - the core interactive element */}
                         <div
                             ref={pannerAreaRef}
@@ -384,12 +391,10 @@ const PannerToolContent = () => { // Renamed to PannerToolContent
     );
 };
 
-// This is the default export, wrapping PannerToolContent with its own AudioContextProvider
+// This is the default export; audio comes from the global AudioProvider
 const PannerTool = () => {
     return (
-        <AudioContextProvider>
-            <PannerToolContent />
-        </AudioContextProvider>
+        <PannerToolContent />
     );
 }
 
@@ -0,0 +1,287 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import { Circle, Layers, Square, Play, Trash2, Download, X } from 'lucide-react';
+import { QUANTIZE_GRIDS, getTakeDuration } from '../utils/performanceTake';
+import { noteNameToMidi } from '../utils/midiFile';
+import MidiExportControls from './MidiExportControls';
+
+// Timeline scale and size
+const PIXELS_PER_SECOND = 60;
+const TIMELINE_HEIGHT = 120;
+// Pitch range shown at least, in semitones, so a few notes don't fill the height
+const MIN_PITCH_SPAN = 12;
+
+const GRID_LABELS = {
+    '4n': '1/4',
+    '8n': '1/8',
+    '8t': '1/8 triplet',
+    '16n': '1/16',
+    '16t': '1/16 triplet',
+    '32n': '1/32',
+};
+
+const STATUS_LABELS = {
+    countIn: 'Count-in…',
+    recording: 'Recording',
+};
+
+/**
+ * Recording panel for an instrument: a timeline of the take and the controls
+ * of usePerformanceRecorder (record, overdub, play, metronome, quantize and
+ * exports).
+ * @param {object} props
+ * @param {object} props.recorder What usePerformanceRecorder returns.
+ */
+const PerformanceRecorder = ({ recorder }) => {
+    const {
+        notes, recordingNotes, status, isPlaying, getPosition,
+        record, stop, play, clear,
+        bpm, setBpm, countInBars, setCountInBars, isMetronomeOn, setIsMetronomeOn,
+        quantizeGrid, setQuantizeGrid, quantizeStrength, setQuantizeStrength,
+        exportMidi, exportWav, isExporting, exportProgress, cancelExport, exportError,
+    } = recorder;
+    const scrollRef = useRef(null);
+    const contentRef = useRef(null);
+    const playheadRef = useRef(null);
+
+    const isIdle = status === 'idle';
+    const isRunning = !isIdle || isPlaying;
+    const hasTake = notes.length > 0;
+
+    // The take, plus the notes of an overdub pass while it's recorded
+    const shownNotes = useMemo(() => [
+        ...notes.map(note => ({ ...note, isNew: false })),
+        ...recordingNotes.map(note => ({ ...note, isNew: true })),
+    ], [notes, recordingNotes]);
+    const contentWidth = (getTakeDuration(shownNotes) + 2) * PIXELS_PER_SECOND;
+
+    const pitchRange = useMemo(() => {
+        const pitches = shownNotes.map(note => noteNameToMidi(note.name));
+        if (pitches.length === 0) return { low: 60 - MIN_PITCH_SPAN / 2, span: MIN_PITCH_SPAN };
+        const low = Math.min(...pitches);
+        const high = Math.max(...pitches);
+        const span = Math.max(MIN_PITCH_SPAN, high - low);
+        return { low: low - (span - (high - low)) / 2, span };
+    }, [shownNotes]);
+    const rowHeight = TIMELINE_HEIGHT / (pitchRange.span + 1);
+
+    // Bar lines of the timeline, in seconds
+    const barLines = useMemo(() => {
+        const barLength = (60 / bpm) * 4;
+        const lines = [];
+        for (let time = 0; time * PIXELS_PER_SECOND < contentWidth; time += barLength) lines.push(time);
+        return lines;
+    }, [bpm, contentWidth]);
+
+    // Effect hook to move the playhead (and follow it) while recording or playing
+    useEffect(() => {
+        if (!isRunning) {
+            if (playheadRef.current) playheadRef.current.style.display = 'none';
+            return undefined;
+        }
+        let frameId;
+        const draw = () => {
+            const x = Math.max(0, getPosition()) * PIXELS_PER_SECOND;
+            playheadRef.current.style.display = 'block';
+            playheadRef.current.style.transform = `translateX(${x}px)`;
+            contentRef.current.style.minWidth = `${x + PIXELS_PER_SECOND * 2}px`;
+            const scroller = scrollRef.current;
+            if (x > scroller.scrollLeft + scroller.clientWidth - PIXELS_PER_SECOND) {
+                scroller.scrollLeft = x - PIXELS_PER_SECOND;
+            }
+            frameId = requestAnimationFrame(draw);
+        };
+        frameId = requestAnimationFrame(draw);
+        return () => cancelAnimationFrame(frameId);
+    }, [isRunning, getPosition]);
+
+    const buttonClass = 'px-3 py-1.5 rounded-full flex items-center gap-1 text-sm font-medium transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed';
+
+    return (
+        <div className="bg-white/80 backdrop-blur-sm rounded-xl px-4 py-3 shadow-lg border border-indigo-200 space-y-3">
+            {/* Transport */}
+            <div className="flex flex-wrap items-center justify-center gap-2">
+                <button
+                    type="button"
+                    onClick={() => record(false)}
+                    disabled={!isIdle}
+                    className={`${buttonClass} bg-red-500 text-white hover:bg-red-600`}
+                    title="Record a new take (replaces the current one)"
+                >
+                    <Circle size={14} fill="currentColor" /> Record
+                </button>
+                <button
+                    type="button"
+                    onClick={() => record(true)}
+                    disabled={!isIdle || !hasTake}
+                    className={`${buttonClass} bg-orange-500 text-white hover:bg-orange-600`}
+                    title="Play the take and record more notes over it"
+                >
+                    <Layers size={14} /> Overdub
+                </button>
+                <button
+                    type="button"
+                    onClick={stop}
+                    disabled={!isRunning}
+                    className={`${buttonClass} bg-gray-700 text-white hover:bg-gray-800`}
+                >
+                    <Square size={14} fill="currentColor" /> Stop
+                </button>
+                <button
+                    type="button"
+                    onClick={play}
+                    disabled={!isIdle || isPlaying || !hasTake}
+                    className={`${buttonClass} bg-indigo-600 text-white hover:bg-indigo-700`}
+                >
+                    <Play size={14} fill="currentColor" /> Play
+                </button>
+                <button
+                    type="button"
+                    onClick={clear}
+                    disabled={!isIdle || !hasTake}
+                    className={`${buttonClass} bg-white text-indigo-700 border border-indigo-200 hover:bg-indigo-50`}
+                >
+                    <Trash2 size={14} /> Clear
+                </button>
+                {STATUS_LABELS[status] && (
+                    <span className={`text-sm font-semibold ${status === 'recording' ? 'text-red-600 animate-pulse' : 'text-indigo-700'}`}>
+                        {STATUS_LABELS[status]}
+                    </span>
+                )}
+            </div>
+
+            {/* Timeline */}
+            <div ref={scrollRef} className="overflow-x-auto rounded-lg bg-indigo-950 border border-indigo-300">
+                <div ref={contentRef} className="relative" style={{ width: contentWidth, minWidth: '100%', height: TIMELINE_HEIGHT }}>
+                    {barLines.map(time => (
+                        <div
+                            key={time}
+                            className="absolute top-0 bottom-0 border-l border-indigo-400/30"
+                            style={{ left: time * PIXELS_PER_SECOND }}
+                        />
+                    ))}
+                    {shownNotes.map((note, index) => (
+                        <div
+                            key={`${note.isNew ? 'new' : 'take'}-${index}`}
+                            className={`absolute rounded-sm ${note.isNew ? 'bg-orange-400' : 'bg-cyan-400'}`}
+                            style={{
+                                left: note.time * PIXELS_PER_SECOND,
+                                width: Math.max(2, note.duration * PIXELS_PER_SECOND),
+                                top: (pitchRange.low + pitchRange.span - noteNameToMidi(note.name)) * rowHeight,
+                                height: Math.max(2, rowHeight - 1),
+                                opacity: 0.4 + note.velocity * 0.6,
+                            }}
+                            title={note.name}
+                        />
+                    ))}
+                    <div ref={playheadRef} className="absolute top-0 bottom-0 w-0.5 bg-red-500" style={{ display: 'none' }} />
+                    {!hasTake && shownNotes.length === 0 && (
+                        <p className="absolute inset-0 flex items-center justify-center text-sm text-indigo-200">
+                            Press Record and play to capture a take
+                        </p>
+                    )}
+                </div>
+            </div>
+
+            {/* Settings */}
+            <div className="flex flex-wrap items-center justify-center gap-4 text-sm text-indigo-800">
+                <label className="flex items-center gap-2">
+                    BPM
+                    <input
+                        type="number"
+                        min="40"
+                        max="240"
+                        value={bpm}
+                        onChange={(e) => setBpm(Math.max(40, Math.min(240, Number(e.target.value) || 40)))}
+                        disabled={!isIdle}
+                        className="w-16 px-2 py-1 rounded border border-indigo-200 bg-white"
+                    />
+                </label>
+                <label className="flex items-center gap-2">
+                    Count-in
+                    <select
+                        value={countInBars}
+                        onChange={(e) => setCountInBars(Number(e.target.value))}
+                        disabled={!isIdle}
+                        className="px-2 py-1 rounded border border-indigo-200 bg-white"
+                    >
+                        <option value={0}>None</option>
+                        <option value={1}>1 bar</option>
+                        <option value={2}>2 bars</option>
+                    </select>
+                </label>
+                <label className="flex items-center gap-2 cursor-pointer">
+                    <input
+                        type="checkbox"
+                        checked={isMetronomeOn}
+                        onChange={(e) => setIsMetronomeOn(e.target.checked)}
+                        disabled={!isIdle}
+                        className="accent-indigo-600"
+                    />
+                    Metronome while recording
+                </label>
+                <label className="flex items-center gap-2">
+                    Quantize
+                    <select
+                        value={quantizeGrid}
+                        onChange={(e) => setQuantizeGrid(e.target.value)}
+                        disabled={!isIdle}
+                        className="px-2 py-1 rounded border border-indigo-200 bg-white"
+                    >
+                        <option value="off">Off</option>
+                        {QUANTIZE_GRIDS.map(grid => (
+                            <option key={grid} value={grid}>{GRID_LABELS[grid]}</option>
+                        ))}
+                    </select>
+                </label>
+                <label className="flex items-center gap-2">
+                    Strength
+                    <input
+                        type="range"
+                        min="0"
+                        max="1"
+                        step="0.05"
+                        value={quantizeStrength}
+                        onChange={(e) => setQuantizeStrength(parseFloat(e.target.value))}
+                        disabled={!isIdle || quantizeGrid === 'off'}
+                        className="w-24 accent-indigo-600"
+                    />
+                    <span className="w-10">{Math.round(quantizeStrength * 100)}%</span>
+                </label>
+            </div>
+
+            {/* Export */}
+            <div className="flex flex-wrap items-center justify-center gap-4">
+                <MidiExportControls onExport={exportMidi} disabled={!hasTake || !isIdle} />
+                {isExporting ? (
+                    <div className="flex items-center gap-2 text-sm text-indigo-800">
+                        <div className="w-32 h-2 bg-indigo-100 rounded-full overflow-hidden">
+                            <div className="h-full bg-indigo-600 transition-all" style={{ width: `${exportProgress}%` }} />
+                        </div>
+                        {exportProgress}%
+                        <button
+                            type="button"
+                            onClick={cancelExport}
+                            className="p-1 rounded-full text-indigo-700 hover:bg-indigo-100"
+                            title="Cancel the export"
+                        >
+                            <X size={14} />
+                        </button>
+                    </div>
+                ) : (
+                    <button
+                        type="button"
+                        onClick={exportWav}
+                        disabled={!hasTake || !isIdle}
+                        className={`${buttonClass} bg-white text-gray-700 border border-gray-300 hover:bg-gray-100`}
+                        title="Render the take on the piano and download it as a WAV file"
+                    >
+                        <Download size={14} /> Export WAV
+                    </button>
+                )}
+            </div>
+            {exportError && <p className="text-center text-sm text-red-600">{exportError}</p>}
+        </div>
+    );
+};
+
+export default PerformanceRecorder;
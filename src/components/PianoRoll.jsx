@@ -0,0 +1,372 @@
+// src/components/PianoRoll.jsx
+
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { Play, Pause, Square, Repeat, Upload, Music, Volume2, VolumeX } from 'lucide-react';
+import usePianoSynth from '../hooks/usePianoSynth';
+import useMidiFilePlayer from '../hooks/useMidiFilePlayer';
+import { createUrlSchema, urlParam } from '../utils/urlState';
+import useUrlState from '../hooks/useUrlState';
+import useParamHistory from '../hooks/useParamHistory';
+import { parseMidiFile, ticksToSeconds } from '../utils/midiFile';
+import { createPianoKeys, getPianoKeyLayout } from '../utils/pianoKeys';
+import PianoUI from './PianoUI';
+import SEOHead from './SEOHead';
+
+// Define the tool object for SEO structured data
+const pianoRollTool = {
+    id: 'piano-roll-basics',
+    name: 'Piano Roll',
+    description: 'Load a MIDI file and watch its notes fall onto a piano as it plays, with tempo control, looping and track muting.',
+    path: '/piano-roll-basics',
+    categories: [
+        'MIDI',
+        'Music Production',
+        'Piano Practice',
+        'Music Education',
+        'Sequencing'
+    ]
+};
+
+// Playback speed and looping kept in the URL, so a link reopens them
+const URL_SCHEMA = createUrlSchema({
+    params: {
+        tempo: urlParam.number({ min: 0.25, max: 2, precision: 2 }),
+        loop: urlParam.boolean(),
+    },
+});
+
+// VirtualPiano's keys (C3 to B5), widened by whole octaves for songs that go further
+const DEFAULT_LOWEST_NOTE = 48;
+const DEFAULT_HIGHEST_NOTE = 83;
+
+// Height of one second of music in the roll, in pixels
+const PIXELS_PER_SECOND = 120;
+
+// Note colors, one per track
+const TRACK_COLORS = ['bg-indigo-400', 'bg-emerald-400', 'bg-amber-400', 'bg-rose-400', 'bg-sky-400', 'bg-fuchsia-400', 'bg-lime-400', 'bg-orange-400'];
+
+const formatTime = (seconds) => `${Math.floor(seconds / 60)}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+
+/**
+ * Beat and bar lines of a song.
+ * @param {object} song A song from parseMidiFile.
+ * @returns {{ time: number, isBar: boolean }[]} Times in seconds.
+ */
+const getGridLines = (song) => {
+    const [numerator, denominator] = song.timeSignature;
+    const beatTicks = (song.ppq * 4) / denominator;
+    const lines = [];
+    for (let beat = 0; ; beat++) {
+        const time = ticksToSeconds(song.tempos, song.ppq, beat * beatTicks);
+        if (time > song.duration) break;
+        lines.push({ time, isBar: beat % numerator === 0 });
+    }
+    return lines;
+};
+
+const PianoRoll = () => {
+    const [song, setSong] = useState(null);
+    const [fileName, setFileName] = useState('');
+    const [loadError, setLoadError] = useState(null);
+    const [mutedTracks, setMutedTracks] = useState(() => new Set());
+    const [tempoScale, setTempoScale] = useState(1);
+    const [isLooping, setIsLooping] = useState(false);
+    const [pressedKeys, setPressedKeys] = useState(() => new Set());
+
+    const rollContentRef = useRef(null); // Moves the notes down as the song plays
+    const progressRef = useRef(null);
+    const timeRef = useRef(null);
+
+    const {
+        playNote,
+        stopNote,
+        isAudioReady,
+        isSynthMuted,
+        toggleMute,
+        synthVolume,
+        setSynthVolume
+    } = usePianoSynth(0.7, false);
+
+    const toolParams = { tempo: tempoScale, loop: isLooping };
+    const toolParamSetters = { tempo: setTempoScale, loop: setIsLooping };
+    useUrlState(URL_SCHEMA, toolParams, toolParamSetters);
+    useParamHistory(toolParams, toolParamSetters);
+
+    const { isPlaying, activeNotes, duration, getPosition, play, pause, stop, seek } = useMidiFilePlayer({
+        song,
+        mutedTracks,
+        tempoScale,
+        isLooping,
+        onNoteOn: playNote,
+        onNoteOff: stopNote,
+    });
+
+    // Keys covering every note of the song
+    const pianoKeys = useMemo(() => {
+        const numbers = song ? song.tracks.flatMap(track => track.notes.map(note => note.note)) : [];
+        const lowest = Math.min(DEFAULT_LOWEST_NOTE, ...numbers.map(number => number - (number % 12)));
+        const highest = Math.max(DEFAULT_HIGHEST_NOTE, ...numbers.map(number => number - (number % 12) + 11));
+        return createPianoKeys(lowest, highest);
+    }, [song]);
+    const keyLayout = useMemo(() => getPianoKeyLayout(pianoKeys), [pianoKeys]);
+    const gridLines = useMemo(() => (song ? getGridLines(song) : []), [song]);
+
+    // Keys lit by the song or pressed by the user
+    const litKeys = useMemo(() => new Set([...activeNotes, ...pressedKeys]), [activeNotes, pressedKeys]);
+
+    const handleKeyPress = useCallback((note) => {
+        setPressedKeys(prev => {
+            if (prev.has(note)) return prev;
+            playNote(note);
+            return new Set(prev).add(note);
+        });
+    }, [playNote]);
+
+    const handleKeyRelease = useCallback((note) => {
+        setPressedKeys(prev => {
+            if (!prev.has(note)) return prev;
+            stopNote(note);
+            const next = new Set(prev);
+            next.delete(note);
+            return next;
+        });
+    }, [stopNote]);
+
+    const handleFileChange = useCallback(async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = ''; // Allow loading the same file again
+        if (!file) return;
+        try {
+            const parsed = parseMidiFile(await file.arrayBuffer());
+            if (parsed.tracks.length === 0) {
+                throw new Error('it has no notes.');
+            }
+            setSong(parsed);
+            setFileName(file.name);
+            // Drum tracks would play as piano notes, so they start muted
+            setMutedTracks(new Set(parsed.tracks.flatMap((track, index) => (track.isDrum ? [index] : []))));
+            setLoadError(null);
+        } catch (error) {
+            console.error('Error loading MIDI file:', error);
+            setLoadError(`Could not read "${file.name}": ${error.message}`);
+        }
+    }, []);
+
+    const toggleTrack = useCallback((index) => {
+        setMutedTracks(prev => {
+            const next = new Set(prev);
+            if (next.has(index)) {
+                next.delete(index);
+            } else {
+                next.add(index);
+            }
+            return next;
+        });
+    }, []);
+
+    const handleProgressClick = useCallback((e) => {
+        if (!duration) return;
+        const rect = e.currentTarget.getBoundingClientRect();
+        seek(((e.clientX - rect.left) / rect.width) * duration);
+    }, [duration, seek]);
+
+    // Effect hook to scroll the roll and the progress display with the song, every frame
+    useEffect(() => {
+        let frameId;
+        const update = () => {
+            const position = getPosition();
+            if (rollContentRef.current) {
+                rollContentRef.current.style.transform = `translateY(${position * PIXELS_PER_SECOND}px)`;
+            }
+            if (progressRef.current) {
+                progressRef.current.style.width = `${duration > 0 ? (position / duration) * 100 : 0}%`;
+            }
+            if (timeRef.current) {
+                timeRef.current.textContent = `${formatTime(position)} / ${formatTime(duration)}`;
+            }
+            frameId = requestAnimationFrame(update);
+        };
+        frameId = requestAnimationFrame(update);
+        return () => cancelAnimationFrame(frameId);
+    }, [getPosition, duration]);
+
+    const buttonClass = 'flex items-center gap-2 px-4 py-2 rounded-full text-sm font-medium shadow transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed';
+
+    return (
+        <>
+            <SEOHead
+                pageId="piano-roll-basics"
+                tool={pianoRollTool}
+                customData={{}}
+            />
+
+            <div
+                className="min-h-screen relative flex flex-col font-inter overflow-hidden"
+                style={{
+                    background: 'linear-gradient(135deg, #e5d4ff 0%, #d6bfff 50%, #c8aaff 100%)',
+                }}
+            >
+                {/* Header Section */}
+                <div className="text-center py-4 md:py-8 px-4 shrink-0">
+                    <div className="flex items-center justify-center gap-3 mb-4">
+                        <Music className="text-indigo-600" size={24} />
+                        <h1 className="text-2xl md:text-4xl font-bold text-indigo-800">Piano Roll</h1>
+                    </div>
+                    <p className="text-indigo-700 text-sm md:text-base">Load a MIDI file and watch its notes fall onto the keys as it plays</p>
+                </div>
+
+                {/* File and Transport Controls */}
+                <div className="flex flex-wrap items-center justify-center gap-3 md:gap-4 mb-4 px-4 shrink-0">
+                    <label className={`${buttonClass} bg-indigo-600 text-white hover:bg-indigo-700 cursor-pointer`}>
+                        <Upload size={18} /> Load MIDI file
+                        <input type="file" accept=".mid,.midi,audio/midi,audio/x-midi" onChange={handleFileChange} className="hidden" />
+                    </label>
+                    <button
+                        type="button"
+                        onClick={isPlaying ? pause : play}
+                        disabled={!song}
+                        className={`${buttonClass} bg-white text-indigo-700 hover:bg-indigo-50`}
+                    >
+                        {isPlaying ? <><Pause size={18} /> Pause</> : <><Play size={18} /> Play</>}
+                    </button>
+                    <button
+                        type="button"
+                        onClick={stop}
+                        disabled={!song}
+                        className={`${buttonClass} bg-white text-indigo-700 hover:bg-indigo-50`}
+                    >
+                        <Square size={18} /> Stop
+                    </button>
+                    <button
+                        type="button"
+                        onClick={() => setIsLooping(prev => !prev)}
+                        className={`${buttonClass} ${isLooping ? 'bg-indigo-600 text-white hover:bg-indigo-700' : 'bg-white text-indigo-700 hover:bg-indigo-50'}`}
+                        aria-pressed={isLooping}
+                    >
+                        <Repeat size={18} /> Loop
+                    </button>
+
+                    <div className="flex items-center gap-3 bg-white/80 backdrop-blur-sm rounded-xl px-4 py-2 shadow-lg border border-indigo-200">
+                        <span className="text-sm text-indigo-700 font-medium">Tempo</span>
+                        <input
+                            type="range"
+                            min="0.25"
+                            max="2"
+                            step="0.05"
+                            value={tempoScale}
+                            onChange={(e) => setTempoScale(parseFloat(e.target.value))}
+                            className="w-24 md:w-32 accent-indigo-600 h-2 rounded-lg appearance-none cursor-pointer"
+                            aria-label="Tempo"
+                        />
+                        <span className="text-sm text-indigo-700 min-w-[6rem] font-medium">
+                            {Math.round(tempoScale * 100)}%{song ? ` (${Math.round(song.bpm * tempoScale)} BPM)` : ''}
+                        </span>
+                    </div>
+
+                    <div className="flex items-center gap-3 bg-white/80 backdrop-blur-sm rounded-xl px-4 py-2 shadow-lg border border-indigo-200">
+                        <button
+                            onClick={toggleMute}
+                            className="text-indigo-700 hover:text-indigo-900 transition-colors p-1 rounded-full hover:bg-indigo-100"
+                            disabled={!isAudioReady}
+                        >
+                            {isSynthMuted ? <VolumeX size={18} /> : <Volume2 size={18} />}
+                        </button>
+                        <input
+                            type="range"
+                            min="0"
+                            max="1"
+                            step="0.1"
+                            value={synthVolume}
+                            onChange={(e) => setSynthVolume(parseFloat(e.target.value))}
+                            className="w-20 md:w-28 accent-indigo-600 h-2 rounded-lg appearance-none cursor-pointer"
+                            disabled={!isAudioReady}
+                        />
+                    </div>
+                </div>
+
+                {loadError && <p className="text-center text-red-600 text-sm mb-4 px-4">{loadError}</p>}
+
+                {/* Tracks */}
+                {song && (
+                    <div className="flex flex-wrap items-center justify-center gap-2 mb-4 px-4 shrink-0">
+                        <span className="text-sm text-indigo-800 font-semibold">{fileName}</span>
+                        {song.tracks.map((track, index) => (
+                            <label
+                                key={index}
+                                className={`flex items-center gap-2 px-3 py-1 rounded-full text-xs md:text-sm bg-white/80 border border-indigo-200 cursor-pointer ${mutedTracks.has(index) ? 'opacity-50' : ''}`}
+                                title={mutedTracks.has(index) ? 'Muted' : 'Playing'}
+                            >
+                                <input type="checkbox" checked={!mutedTracks.has(index)} onChange={() => toggleTrack(index)} className="accent-indigo-600" />
+                                <span className={`w-3 h-3 rounded-sm ${TRACK_COLORS[index % TRACK_COLORS.length]}`}></span>
+                                <span className="text-indigo-800">{track.name}{track.isDrum ? ' (drums)' : ''}</span>
+                                <span className="text-indigo-500">{track.notes.length} notes</span>
+                            </label>
+                        ))}
+                    </div>
+                )}
+
+                {/* Progress, click to jump */}
+                <div className="flex items-center justify-center gap-3 mb-2 px-4 shrink-0">
+                    <div
+                        className="w-full max-w-3xl h-2 bg-white/60 rounded-full overflow-hidden cursor-pointer"
+                        onClick={handleProgressClick}
+                        role="presentation"
+                    >
+                        <div ref={progressRef} className="h-full bg-indigo-600 rounded-full" style={{ width: 0 }}></div>
+                    </div>
+                    <span ref={timeRef} className="text-xs md:text-sm text-indigo-700 font-medium tabular-nums w-24">0:00 / 0:00</span>
+                </div>
+
+                {/* Piano with the roll above its keys */}
+                <PianoUI
+                    pianoKeys={pianoKeys}
+                    pressedKeys={litKeys}
+                    handleKeyPress={handleKeyPress}
+                    handleKeyRelease={handleKeyRelease}
+                    isAudioReady={isAudioReady}
+                >
+                    <div className="relative h-64 md:h-80 mb-1 overflow-hidden rounded-t-md bg-gray-900">
+                        {!song && (
+                            <p className="absolute inset-0 flex items-center justify-center text-gray-400 text-sm px-4 text-center">
+                                Load a .mid file to see its notes here.
+                            </p>
+                        )}
+                        <div ref={rollContentRef} className="absolute inset-x-0 bottom-0 h-0">
+                            {gridLines.map((line, index) => (
+                                <div
+                                    key={index}
+                                    className={`absolute inset-x-0 border-t ${line.isBar ? 'border-white/25' : 'border-white/10'}`}
+                                    style={{ bottom: line.time * PIXELS_PER_SECOND }}
+                                ></div>
+                            ))}
+                            {song && song.tracks.map((track, trackIndex) => track.notes.map((note, noteIndex) => {
+                                const position = keyLayout[note.name];
+                                return (
+                                    <div
+                                        key={`${trackIndex}-${noteIndex}`}
+                                        className={`absolute rounded-sm ${TRACK_COLORS[trackIndex % TRACK_COLORS.length]} ${mutedTracks.has(trackIndex) ? 'opacity-20' : ''}`}
+                                        style={{
+                                            left: `${position.left}%`,
+                                            width: `${position.width}%`,
+                                            bottom: note.time * PIXELS_PER_SECOND,
+                                            height: Math.max(3, note.duration * PIXELS_PER_SECOND),
+                                        }}
+                                    ></div>
+                                );
+                            }))}
+                        </div>
+                    </div>
+                </PianoUI>
+
+                {/* Instructions */}
+                <div className="text-center py-4 md:py-8 px-4 shrink-0">
+                    <p className="text-xs text-indigo-600 mt-2">
+                        Notes fall onto the keys they play. Slow the tempo down to follow along, or mute tracks to play them yourself.
+                    </p>
+                </div>
+            </div>
+        </>
+    );
+};
+
+export default PianoRoll;
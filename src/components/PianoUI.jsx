@@ -1,61 +1,59 @@
 // src/components/PianoUI.jsx
-import React, { useCallback } from 'react';
+import React, { useCallback, useMemo } from 'react';
+import { getPianoKeyLayout } from '../utils/pianoKeys';
+import { getKeyboardMapping, labelPianoKeys, getPressPositionVelocity } from '../utils/computerKeyboard';
+
+// Above this many white keys only the Cs are named, so the names fit
+const MAX_NAMED_WHITE_KEYS = 21;
+
+/**
+ * Velocity of a mouse or touch press, from where on the key it landed.
+ * @param {Event} e Mouse or touch event on the key.
+ * @returns {number} 0-1.
+ */
+const getEventVelocity = (e) => {
+    const point = e.changedTouches?.[0] ?? e;
+    const rect = e.currentTarget.getBoundingClientRect();
+    return getPressPositionVelocity((point.clientY - rect.top) / rect.height);
+};
 
 /**
  * PianoUI Component
  * Renders the visual representation of the piano keyboard (white and black keys).
  * It receives key data, pressed key state, and handlers for key presses/releases as props.
+ * Children are drawn above the keys at the keyboard's width, so they line up with the
+ * keys (positions from getPianoKeyLayout in src/utils/pianoKeys.js), e.g. a piano roll.
+ * Presses pass a velocity from where the key was pressed (louder toward its front).
+ * With `keyboardLayout` and `baseOctave` the keys are labeled with the computer keys
+ * that play them (see src/utils/computerKeyboard.js); otherwise with their own `key`.
+ * With `onSustainToggle` a sustain pedal is drawn under the piano.
  */
-const PianoUI = ({ pianoKeys, pressedKeys, handleKeyPress, handleKeyRelease, isAudioReady, isLandscape = false }) => {
-    // Filter pianoKeys array to separate white and black keys for distinct rendering.
-    const whiteKeys = pianoKeys.filter(key => key.type === 'white');
-    const blackKeys = pianoKeys.filter(key => key.type === 'black');
-
-    /**
-     * Calculates the 'left' CSS position for a black key to ensure it correctly
-     * overlaps and is visually aligned with the white keys below it.
-     * @param {string} blackNote - The musical note of the black key (e.g., 'C#3').
-     * @returns {number} The percentage value for the CSS 'left' property.
-     */
-    const getBlackKeyPosition = useCallback((blackNote) => {
-        // Map each black note to the white key they visually "precede" or is positioned over.
-        const blackKeyWhiteKeyMap = {
-            'C#3': 'C3', 'D#3': 'D3', 'F#3': 'F3', 'G#3': 'G3', 'A#3': 'A3',
-            'C#4': 'C4', 'D#4': 'D4', 'F#4': 'F4', 'G#4': 'G4', 'A#4': 'A4',
-            'C#5': 'C5', 'D#5': 'D5', 'F#5': 'F5', 'G#5': 'G5', 'A#5': 'A5'
-        };
-
-        const correspondingWhiteKeyNote = blackKeyWhiteKeyMap[blackNote];
-        if (!correspondingWhiteKeyNote) return 0; // Fallback, though all black notes should have a mapping
+const PianoUI = ({
+    pianoKeys,
+    pressedKeys,
+    handleKeyPress,
+    handleKeyRelease,
+    isAudioReady,
+    isLandscape = false,
+    keyboardLayout,
+    baseOctave,
+    isSustainOn = false,
+    onSustainToggle,
+    children,
+}) => {
+    // Computer keys shown on the piano keys
+    const labeledKeys = useMemo(() => (keyboardLayout
+        ? labelPianoKeys(pianoKeys, getKeyboardMapping(keyboardLayout, baseOctave))
+        : pianoKeys), [pianoKeys, keyboardLayout, baseOctave]);
 
-        // Find the array index of the corresponding white key.
-        const whiteKeyIndex = whiteKeys.findIndex(wk => wk.note === correspondingWhiteKeyNote);
-        if (whiteKeyIndex === -1) return 0;
-
-        // Calculate the relative width of a single white key as a percentage of the total piano width.
-        // This is crucial for responsive positioning.
-        const whiteKeyWidthPercentage = 100 / whiteKeys.length;
-        // Determine the base left position by multiplying the white key's index by its width.
-        let baseLeft = whiteKeyIndex * whiteKeyWidthPercentage;
-
-        // Define specific offsets for each black key type to fine-tune its horizontal placement.
-        // These values are empirically tuned for optimal visual appearance.
-        const offsetMap = {
-            'C#': 0.65, // C# tends to be slightly to the right of the 'C' white key.
-            'D#': 0.85, // D# is further to the right of 'D'.
-            'F#': 0.65, // F# is slightly to the right of 'F'.
-            'G#': 0.75, // G# is more centered between 'G' and 'A'.
-            'A#': 0.85 // A# is further to the right of 'A'.
-        };
-
-        // Extract the root note (e.g., 'C#', 'D#') from the full note string (e.g., 'C#3').
-        const blackKeyRootNote = blackNote.replace(/[0-9]/g, '');
-        // Apply the specific offset from the map, or a default if not found (shouldn't happen with complete map).
-        const offset = offsetMap[blackKeyRootNote] || 0.75;
+    // Filter pianoKeys array to separate white and black keys for distinct rendering.
+    const whiteKeys = labeledKeys.filter(key => key.type === 'white');
+    const blackKeys = labeledKeys.filter(key => key.type === 'black');
+    const isCrowded = whiteKeys.length > MAX_NAMED_WHITE_KEYS;
 
-        // The final left position is the base position adjusted by the offset within a white key's width.
-        return baseLeft + (whiteKeyWidthPercentage * offset);
-    }, [whiteKeys]); // Dependency: relies on the `whiteKeys` array to correctly calculate positions.
+    // Horizontal position of every key (black keys sit over the white key
+    // before them), shared with views drawn in line with the keys
+    const keyLayout = useMemo(() => getPianoKeyLayout(pianoKeys), [pianoKeys]);
 
     // Updated event handlers for `onTouchStart` and `onTouchEnd`
     // The `e.preventDefault()` within touch events can cause a warning
@@ -81,7 +79,7 @@ const PianoUI = ({ pianoKeys, pressedKeys, handleKeyPress, handleKeyRelease, isA
         if (e.cancelable) { // Check if the event is cancelable before calling preventDefault
             e.preventDefault();
         }
-        handleKeyPress(note);
+        handleKeyPress(note, getEventVelocity(e));
     }, [handleKeyPress]);
 
     const handleTouchEnd = useCallback((e, note) => {
@@ -107,6 +105,8 @@ const PianoUI = ({ pianoKeys, pressedKeys, handleKeyPress, handleKeyRelease, isA
                     <div className={`bg-black shadow-inner flex flex-col justify-end
                         ${isLandscape ? 'p-1.5 rounded-md flex-1' : 'p-3 md:p-6 rounded-xl'}
                     `}>
+                        {/* Content drawn in line with the keys */}
+                        {children}
                         {/* Inner container for all piano keys */}
                         {/* min-w adjusted for landscape to ensure scrolling, h-full is key for vertical fill */}
                         <div className={`relative select-none overflow-hidden h-full
@@ -118,7 +118,7 @@ const PianoUI = ({ pianoKeys, pressedKeys, handleKeyPress, handleKeyRelease, isA
                                     <button
                                         key={key.note}
                                         // Mouse and Touch event handlers for playing notes
-                                        onMouseDown={() => handleKeyPress(key.note)}
+                                        onMouseDown={(e) => handleKeyPress(key.note, getEventVelocity(e))}
                                         onMouseUp={() => handleKeyRelease(key.note)}
                                         onMouseLeave={() => handleKeyRelease(key.note)} // Ensures note stops if mouse leaves while held
                                         onTouchStart={(e) => handleTouchStart(e, key.note)} // Use the new handler
@@ -136,13 +136,17 @@ const PianoUI = ({ pianoKeys, pressedKeys, handleKeyPress, handleKeyRelease, isA
                                         style={{ minWidth: `calc((100% - ${whiteKeys.length * 2}px) / ${whiteKeys.length})` }} // Dynamically calculate min-width based on gaps
                                     >
                                         {/* Display the musical note name (smaller text for mobile) */}
-                                        <span className={`${isLandscape ? 'text-[0.5rem] sm:text-[0.6rem]' : 'text-xs md:text-sm'} text-gray-600 font-bold`}>
-                                            {key.note}
-                                        </span>
+                                        {(!isCrowded || key.note.startsWith('C')) && (
+                                            <span className={`${isLandscape || isCrowded ? 'text-[0.5rem] sm:text-[0.6rem]' : 'text-xs md:text-sm'} text-gray-600 font-bold`}>
+                                                {key.note}
+                                            </span>
+                                        )}
                                         {/* Display the corresponding keyboard key (hidden on smaller screens to save space) */}
-                                        <span className={`text-[0.5rem] text-gray-400 mt-0.5 ${isLandscape ? 'hidden' : 'hidden sm:block'}`}>
-                                            {key.key.toUpperCase()}
-                                        </span>
+                                        {key.key && (
+                                            <span className={`text-[0.5rem] text-gray-400 mt-0.5 ${isLandscape ? 'hidden' : 'hidden sm:block'}`}>
+                                                {key.key.toUpperCase()}
+                                            </span>
+                                        )}
                                     </button>
                                 ))}
                             </div>
@@ -151,11 +155,11 @@ const PianoUI = ({ pianoKeys, pressedKeys, handleKeyPress, handleKeyRelease, isA
                             {/* h-1/2: black keys are half the height of white keys (approx) */}
                             <div className={`absolute top-0 left-0 right-0 ${isLandscape ? 'h-1/2' : 'h-18 md:h-24 lg:h-28 xl:h-32 2xl:h-36'}`}>
                                 {blackKeys.map((key) => {
-                                    const leftPosition = getBlackKeyPosition(key.note); // Dynamically calculate position
+                                    const leftPosition = keyLayout[key.note].center; // Centered over its place between the white keys
                                     return (
                                         <button
                                             key={key.note}
-                                            onMouseDown={() => handleKeyPress(key.note)}
+                                            onMouseDown={(e) => handleKeyPress(key.note, getEventVelocity(e))}
                                             onMouseUp={() => handleKeyRelease(key.note)}
                                             onMouseLeave={() => handleKeyRelease(key.note)}
                                             onTouchStart={(e) => handleTouchStart(e, key.note)} // Use the new handler
@@ -175,7 +179,7 @@ const PianoUI = ({ pianoKeys, pressedKeys, handleKeyPress, handleKeyRelease, isA
                                             }}
                                         >
                                             {/* Display the musical note name for black keys (hidden on smaller screens) */}
-                                            <span className={`text-[0.5rem] text-gray-300 font-bold ${isLandscape ? 'hidden' : 'hidden md:block'}`}>
+                                            <span className={`text-[0.5rem] text-gray-300 font-bold ${isLandscape || isCrowded ? 'hidden' : 'hidden md:block'}`}>
                                                 {key.note}
                                             </span>
                                         </button>
@@ -186,9 +190,25 @@ const PianoUI = ({ pianoKeys, pressedKeys, handleKeyPress, handleKeyRelease, isA
                     </div>
                 </div>
 
-                {/* Piano Legs (Decorative bottom elements) - Hidden in landscape to save space */}
-                <div className={`flex justify-between px-8 md:px-16 ${isLandscape ? 'hidden' : ''}`}>
+                {/* Piano Legs (Decorative bottom elements) and sustain pedal - Hidden in landscape to save space */}
+                <div className={`flex justify-between items-end px-8 md:px-16 ${isLandscape ? 'hidden' : ''}`}>
                     <div className="w-6 md:w-8 h-12 md:h-20 bg-gradient-to-b from-amber-800 to-amber-900 rounded-b-xl shadow-lg"></div>
+                    {onSustainToggle && (
+                        <button
+                            type="button"
+                            onClick={onSustainToggle}
+                            aria-pressed={isSustainOn}
+                            title="Sustain pedal (Space)"
+                            className={`mb-1 w-14 md:w-20 h-5 md:h-6 rounded-b-lg rounded-t-sm border border-yellow-700 shadow-md transition-all duration-100
+                                text-[0.55rem] md:text-[0.65rem] font-bold uppercase tracking-wide
+                                ${isSustainOn
+                                    ? 'bg-gradient-to-b from-yellow-600 to-yellow-800 text-yellow-100 translate-y-1 shadow-inner'
+                                    : 'bg-gradient-to-b from-yellow-300 to-yellow-500 text-yellow-900 hover:from-yellow-200'}
+                            `}
+                        >
+                            Sustain
+                        </button>
+                    )}
                     <div className="w-6 md:w-8 h-12 md:h-20 bg-gradient-to-b from-amber-800 to-amber-900 rounded-b-xl shadow-lg"></div>
                 </div>
             </div>
@@ -0,0 +1,57 @@
+import React from 'react';
+import { Loader2 } from 'lucide-react';
+import { PIANO_VOICES } from '../utils/pianoVoices';
+
+const THEMES = {
+    light: {
+        label: 'text-indigo-800',
+        select: 'bg-white border border-indigo-200 text-indigo-800',
+        loading: 'text-indigo-600',
+        note: 'text-indigo-500',
+    },
+    dark: {
+        label: 'text-cyan-100',
+        select: 'bg-indigo-900/60 border border-cyan-500/30 text-cyan-100',
+        loading: 'text-cyan-300',
+        note: 'text-cyan-300/70',
+    },
+};
+
+/**
+ * Picks the sound of a piano tool (see src/utils/pianoVoices.js), with the
+ * voice's note if it has one, showing when the sampled piano is fetching samples.
+ * @param {object} props
+ * @param {string} props.voice A key of PIANO_VOICES.
+ * @param {(voice: string) => void} props.onChange
+ * @param {boolean} [props.isLoading] Samples are loading.
+ * @param {'light'|'dark'} [props.theme] Colors for light or dark pages.
+ */
+const PianoVoiceSelect = ({ voice, onChange, isLoading = false, theme = 'light' }) => {
+    const colors = THEMES[theme];
+    const { note } = PIANO_VOICES[voice] ?? {};
+
+    return (
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+            <label className={`flex items-center gap-2 font-medium ${colors.label}`}>
+                Sound
+                <select
+                    value={voice}
+                    onChange={(e) => onChange(e.target.value)}
+                    className={`px-2 py-1 rounded ${colors.select}`}
+                >
+                    {Object.entries(PIANO_VOICES).map(([id, { label }]) => (
+                        <option key={id} value={id}>{label}</option>
+                    ))}
+                </select>
+            </label>
+            {isLoading && (
+                <span className={`flex items-center gap-1 ${colors.loading}`} role="status">
+                    <Loader2 size={14} className="animate-spin" /> Loading samples…
+                </span>
+            )}
+            {note && <span className={`text-xs ${colors.note}`}>{note}</span>}
+        </div>
+    );
+};
+
+export default PianoVoiceSelect;
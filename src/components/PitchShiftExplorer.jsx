@@ -1,7 +1,20 @@
-import React, { useState, useEffect, useRef, useCallback, createContext, useContext } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useContext } from 'react';
 import * as Tone from 'tone';
+import { AudioContext } from '../contexts/AudioContext';
+import { registerNode } from '../utils/audioEngine';
+import { ExplorerSource } from '../utils/explorerSources';
+import useExplorerSource from '../hooks/useExplorerSource';
+import { ABComparator } from '../utils/abCompare';
+import useABCompare from '../hooks/useABCompare';
+import { createUrlSchema, urlParam } from '../utils/urlState';
+import useUrlState from '../hooks/useUrlState';
+import useParamHistory from '../hooks/useParamHistory';
+import useUserPresets from '../hooks/useUserPresets';
 import { Play, Pause, ArrowUpDown } from 'lucide-react'; // Using ArrowUpDown icon for Pitch Shift
 import SEOHead from './SEOHead';
+import SourceSelector from './SourceSelector';
+import ABCompareControls from './ABCompareControls';
+import PresetPanel from './PresetPanel';
 
 
 // Define the tool object for SEO structured data
@@ -19,66 +32,28 @@ const pitchShiftExplorerTool = {
     ]
 };
 
-// Define the path to your C4 piano sample.
-// This is a good source to hear pitch changes clearly.
-const C4_PIANO_MP3_PATH = '/piano_samples/C4.mp3';
+// Source the explorer starts with; the user can switch it with the source selector.
+// The C4 piano loop is a good source to hear pitch changes clearly.
+const DEFAULT_SOURCE = { type: 'demo', id: 'piano' };
 
-// --- INLINED AUDIO CONTEXT ---
-// This context manages the global Tone.js audio state.
-export const AudioContext = createContext(null);
-
-const AudioContextProvider = ({ children }) => {
-    const [isAudioGloballyReady, setIsAudioGloballyReady] = useState(false);
-
-    // Function to start Tone.js audio context
-    const startGlobalAudio = useCallback(async () => {
-        if (Tone.context.state !== 'running') {
-            try {
-                console.log('AudioContext: Attempting to start global Tone.js context...');
-                await Tone.start();
-                setIsAudioGloballyReady(true);
-                console.log('AudioContext: Tone.js context started and is running.');
-            } catch (error) {
-                console.error("AudioContext: Error starting Tone.js context:", error);
-                setIsAudioGloballyReady(false);
-            }
-        } else {
-            setIsAudioGloballyReady(true);
-            console.log('AudioContext: Tone.js context already running.');
-        }
-    }, []);
-
-    // Effect to observe Tone.js context state changes
-    useEffect(() => {
-        const handleToneContextChange = () => {
-            if (Tone.context.state === 'running') {
-                setIsAudioGloballyReady(true);
-            } else {
-                setIsAudioGloballyReady(false);
-            }
-        };
-
-        Tone.context.on('statechange', handleToneContextChange);
-        handleToneContextChange(); // Initial check on mount
-
-        return () => {
-            Tone.context.off('statechange', handleToneContextChange);
-        };
-    }, []);
-
-    return (
-        <AudioContext.Provider value={{ isAudioGloballyReady, startGlobalAudio }}>
-            {children}
-        </AudioContext.Provider>
-    );
-};
-// --- END INLINED AUDIO CONTEXT ---
 
+// Pitch shift settings kept in the URL, so a link reopens them
+const URL_SCHEMA = createUrlSchema({
+    params: {
+        pitch: urlParam.number({ min: -12, max: 12 }),
+        windowSize: urlParam.number({ min: 0.01, max: 0.5 }),
+    },
+});
 
 // --- usePitchShiftSynth Hook ---
 const usePitchShiftSynth = () => {
     const { isAudioGloballyReady, startGlobalAudio } = useContext(AudioContext);
-    const playerRef = useRef(null);
+    const sourceRef = useRef(null);
+    const { selectedSource, selectSource, selectFile, isLoadingSource, sourceError, loadSelectedSource, liveInput } = useExplorerSource(sourceRef, DEFAULT_SOURCE);
+    const comparatorRef = useRef(null); // A/B switch between the bypass and processed signals
+    const getComparator = useCallback(() => comparatorRef.current, []);
+    const abCompare = useABCompare(getComparator);
+    const { syncComparator } = abCompare;
     const pitchShiftRef = useRef(null); // Reference to Tone.PitchShift
     const hasInitializedRef = useRef(false);
 
@@ -86,10 +61,23 @@ const usePitchShiftSynth = () => {
     const [pitch, setPitch] = useState(0); // in semitones, 0 means no shift
     const [windowSize, setWindowSize] = useState(0.1); // in seconds, controls quality/latency tradeoff
 
+    const toolParams = { pitch, windowSize };
+    const toolParamSetters = { pitch: setPitch, windowSize: setWindowSize };
+    useUrlState(URL_SCHEMA, toolParams, toolParamSetters);
+    useParamHistory(toolParams, toolParamSetters);
+    const userPresets = useUserPresets({
+        tool: 'pitch-shift-explorer', schema: URL_SCHEMA, params: toolParams, applyParams: toolParamSetters,
+    });
+
     const [isAudioReady, setIsAudioReady] = useState(false);
 
+    // Latest parameters, so the nodes start with them without initAudioNodes depending on them
+    const paramsRef = useRef(null);
+    paramsRef.current = { pitch, windowSize };
+
     // Function to create and connect Tone.js nodes for Pitch Shift processing
     const initAudioNodes = useCallback(async () => {
+        const { pitch, windowSize } = paramsRef.current;
         // Prevent re-initialization if already done
         if (hasInitializedRef.current) {
             console.log('usePitchShiftSynth: initAudioNodes: already initialized, skipping init.');
@@ -99,32 +87,33 @@ const usePitchShiftSynth = () => {
         console.log(`usePitchShiftSynth: initAudioNodes called. isAudioGloballyReady: ${isAudioGloballyReady}`);
 
         // Only proceed if global audio context is ready and player hasn't been created yet
-        if (isAudioGloballyReady && !playerRef.current) {
-            console.log('usePitchShiftSynth: Proceeding with initialization of audio nodes and loading MP3...');
+        if (isAudioGloballyReady && !sourceRef.current) {
+            console.log('usePitchShiftSynth: Proceeding with initialization of audio nodes and loading the audio source...');
             try {
-                // Create Tone.Player for the audio source (C4 piano)
-                const player = new Tone.Player({
-                    url: C4_PIANO_MP3_PATH, // Piano sample for pitch shift
-                    loop: true, // Loop the sample for continuous effect
-                    autostart: false,
-                    volume: -8 // Slightly reduced volume
-                });
-                await player.load(C4_PIANO_MP3_PATH); // Ensure the new path is used for loading
-                console.log('usePitchShiftSynth: C4 piano sample loaded successfully.');
+                // Create the switchable source (demo loop, user file or generator)
+                const source = registerNode(new ExplorerSource({ volume: -8 })); // Slightly reduced volume
+                await loadSelectedSource(source);
+                console.log('usePitchShiftSynth: Audio source loaded successfully.');
+
+                // A/B comparison: the bypass path taps the source ahead of the effect
+                const comparator = registerNode(new ABComparator()).toDestination();
+                source.connect(comparator.dry);
 
                 // Create Tone.PitchShift effect
-                const pitchShift = new Tone.PitchShift({
+                const pitchShift = registerNode(new Tone.PitchShift({
                     pitch: pitch,
                     windowSize: windowSize,
                     feedback: 0, // PitchShift can also have feedback, but keeping it off by default for simplicity
                     wet: 1, // Start fully wet to hear the effect immediately
-                }).toDestination(); // Connect directly to output
+                })).connect(comparator); // Connect to the output through the A/B switch
 
                 // Connect the player to the pitch shift effect
-                player.connect(pitchShift);
+                source.connect(pitchShift);
 
                 // Store references
-                playerRef.current = player;
+                sourceRef.current = source;
+                comparatorRef.current = comparator;
+                syncComparator();
                 pitchShiftRef.current = pitchShift;
 
                 setIsAudioReady(true);
@@ -132,29 +121,33 @@ const usePitchShiftSynth = () => {
                 console.log('usePitchShiftSynth: Audio nodes initialized and connected.');
 
             } catch (error) {
-                console.error("usePitchShiftSynth: Error initializing audio nodes or loading MP3:", error);
+                console.error("usePitchShiftSynth: Error initializing audio nodes or loading the audio source:", error);
                 setIsAudioReady(false);
                 hasInitializedRef.current = false;
             }
         } else {
             console.log("usePitchShiftSynth: initAudioNodes skipped. Not globally ready or player already exists.");
         }
-    }, [isAudioGloballyReady]); // Only global readiness as dependency for initial setup
+    }, [isAudioGloballyReady, loadSelectedSource, syncComparator]); // Only global readiness (and the stable source loader) for initial setup
 
     // Function to dispose Tone.js nodes
     const disposeAudioNodes = useCallback(() => {
-        console.log(`usePitchShiftSynth: disposeAudioNodes called. playerRef.current: ${playerRef.current}`);
-        if (playerRef.current) {
+        console.log(`usePitchShiftSynth: disposeAudioNodes called. sourceRef.current: ${sourceRef.current}`);
+        if (sourceRef.current) {
             console.log('usePitchShiftSynth: Disposing audio nodes...');
             // Only stop the player if it's currently started to avoid errors
-            if (playerRef.current.state === 'started') {
-                playerRef.current.stop();
+            if (sourceRef.current.state === 'started') {
+                sourceRef.current.stop();
             }
-            playerRef.current.dispose(); // Dispose the player
+            sourceRef.current.dispose(); // Dispose the player
             if (pitchShiftRef.current) pitchShiftRef.current.dispose(); // Dispose the pitch shift node
 
             // Nullify references
-            playerRef.current = null;
+            sourceRef.current = null;
+            if (comparatorRef.current) {
+                comparatorRef.current.dispose();
+                comparatorRef.current = null;
+            }
             pitchShiftRef.current = null;
 
             setIsPlaying(false);
@@ -211,14 +204,14 @@ const usePitchShiftSynth = () => {
         }
 
         // Step 3: Now, with confidence that the audio system is ready, toggle playback.
-        if (playerRef.current && hasInitializedRef.current && isAudioReady) {
+        if (sourceRef.current && hasInitializedRef.current && isAudioReady) {
             try {
                 if (isPlaying) {
-                    playerRef.current.stop(); // Stop playback
+                    sourceRef.current.stop(); // Stop playback
                     setIsPlaying(false);
                     console.log('togglePlay: Audio stopped.');
                 } else {
-                    playerRef.current.start(); // Start playback
+                    sourceRef.current.start(); // Start playback
                     setIsPlaying(true);
                     console.log('togglePlay: Audio started.');
                 }
@@ -231,6 +224,8 @@ const usePitchShiftSynth = () => {
     }, [isPlaying, isAudioGloballyReady, isAudioReady, startGlobalAudio, initAudioNodes]);
 
     return {
+        userPresets,
+        selectedSource, selectSource, selectFile, isLoadingSource, sourceError, liveInput, abCompare,
         isPlaying,
         togglePlay,
         pitch,
@@ -246,10 +241,12 @@ const usePitchShiftSynth = () => {
 // --- PitchShiftExplorerContent Component (Main App Component) ---
 const PitchShiftExplorerContent = () => {
     const {
+        selectedSource, selectSource, selectFile, isLoadingSource, sourceError, liveInput, abCompare,
         isPlaying, togglePlay,
         pitch, setPitch,
         windowSize, setWindowSize,
         isAudioReady,
+        userPresets,
     } = usePitchShiftSynth();
 
     const getExplanation = (param) => {
@@ -316,6 +313,18 @@ const PitchShiftExplorerContent = () => {
                         {isPlaying ? "Stop Audio Loop" : "Play Audio Loop"}
                     </button>
 
+                    {/* Audio Source */}
+                    <SourceSelector
+                        selectedSource={selectedSource}
+                        onSelect={selectSource}
+                        onFile={selectFile}
+                        isLoading={isLoadingSource}
+                        error={sourceError}
+                        liveInput={liveInput}
+                    />
+                    <ABCompareControls abCompare={abCompare} disabled={!isAudioReady} />
+                    <PresetPanel presets={userPresets} />
+
                     {/* Pitch Shift Parameter Sliders */}
                     <div className="grid grid-cols-1 md:grid-cols-2 gap-6 w-full mt-8">
                         {/* Pitch Slider */}
@@ -390,11 +399,9 @@ class ErrorBoundary extends React.Component {
 
 const PitchShiftExplorer = () => {
     return (
-        <AudioContextProvider>
-            <ErrorBoundary>
-                <PitchShiftExplorerContent />
-            </ErrorBoundary>
-        </AudioContextProvider>
+        <ErrorBoundary>
+            <PitchShiftExplorerContent />
+        </ErrorBoundary>
     );
 }
 
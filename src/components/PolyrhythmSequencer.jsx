@@ -1,7 +1,17 @@
-import React, { useState, useEffect, useRef, useCallback, createContext, useContext } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useContext } from 'react';
 import * as Tone from 'tone';
+import { AudioContext } from '../contexts/AudioContext';
+import { registerNode } from '../utils/audioEngine';
+import { createUrlSchema, urlParam } from '../utils/urlState';
+import useUrlState from '../hooks/useUrlState';
+import useParamHistory from '../hooks/useParamHistory';
+import useUserPresets from '../hooks/useUserPresets';
+import { encodeMidiFile, createMidiBlob, noteValueToTicks, GM_DRUM_NOTES } from '../utils/midiFile';
+import { downloadBlob } from '../utils/downloadUtils';
 import { Play, Pause, Music, Zap } from 'lucide-react'; // Music icon for sequencer, Zap for rhythm/beat
 import SEOHead from './SEOHead';
+import PresetPanel from './PresetPanel';
+import MidiExportControls from './MidiExportControls';
 
 // Define the tool object for SEO structured data
 const polyrhythmSequencerTool = {
@@ -23,57 +33,14 @@ const polyrhythmSequencerTool = {
 const KICK_MP3_PATH = '/drum_samples/kick.mp3'; // Placeholder
 const SNARE_MP3_PATH = '/drum_samples/snare.mp3'; // Placeholder
 
-// --- AUDIO CONTEXT ---
-// This context manages the global Tone.js audio state.
-export const AudioContext = createContext(null);
-
-const AudioContextProvider = ({ children }) => {
-    const [isAudioGloballyReady, setIsAudioGloballyReady] = useState(false);
-
-    // Function to start Tone.js audio context
-    const startGlobalAudio = useCallback(async () => {
-        if (Tone.context.state !== 'running') {
-            try {
-                console.log('AudioContext: Attempting to start global Tone.js context...');
-                await Tone.start();
-                setIsAudioGloballyReady(true);
-                console.log('AudioContext: Tone.js context started and is running.');
-            } catch (error) {
-                console.error("AudioContext: Error starting Tone.js context:", error);
-                setIsAudioGloballyReady(false);
-            }
-        } else {
-            setIsAudioGloballyReady(true);
-            console.log('AudioContext: Tone.js context already running.');
-        }
-    }, []);
-
-    // Effect to observe Tone.js context state changes
-    useEffect(() => {
-        const handleToneContextChange = () => {
-            if (Tone.context.state === 'running') {
-                setIsAudioGloballyReady(true);
-            } else {
-                setIsAudioGloballyReady(false);
-            }
-        };
-
-        Tone.context.on('statechange', handleToneContextChange);
-        handleToneContextChange(); // Initial check on mount
-
-        return () => {
-            Tone.context.off('statechange', handleToneContextChange);
-        };
-    }, []);
-
-    return (
-        <AudioContext.Provider value={{ isAudioGloballyReady, startGlobalAudio }}>
-            {children}
-        </AudioContext.Provider>
-    );
-};
-// --- END AUDIO CONTEXT ---
-
+// Tempo and both patterns kept in the URL, so a link reopens them; a pattern's length sets its step count
+const URL_SCHEMA = createUrlSchema({
+    params: {
+        bpm: urlParam.integer({ min: 60, max: 240 }),
+        kick: urlParam.steps({ minLength: 2, maxLength: 16 }),
+        snare: urlParam.steps({ minLength: 2, maxLength: 16 }),
+    },
+});
 
 // --- usePolyrhythmSequencer Hook ---
 const usePolyrhythmSequencer = () => {
@@ -103,6 +70,24 @@ const usePolyrhythmSequencer = () => {
     const [rhythm2Steps, setRhythm2Steps] = useState(6); // Number of steps in the sequence
     const [activeStep2, setActiveStep2] = useState(-1); // For visual feedback
 
+    const toolParams = { bpm, kick: rhythm1Pattern, snare: rhythm2Pattern };
+    const toolParamSetters = {
+        bpm: setBpm,
+        kick: (pattern) => {
+            setRhythm1Pattern(pattern);
+            setRhythm1Steps(pattern.length);
+        },
+        snare: (pattern) => {
+            setRhythm2Pattern(pattern);
+            setRhythm2Steps(pattern.length);
+        },
+    };
+    useUrlState(URL_SCHEMA, toolParams, toolParamSetters);
+    useParamHistory(toolParams, toolParamSetters);
+    const userPresets = useUserPresets({
+        tool: 'polyrhythm-sequencer', schema: URL_SCHEMA, params: toolParams, applyParams: toolParamSetters,
+    });
+
     // Function to initialize Tone.js nodes (Samplers and Sequences)
     const initAudioNodes = useCallback(async () => {
         if (hasInitializedRef.current || isAudioLoadingRef.current) {
@@ -128,21 +113,21 @@ const usePolyrhythmSequencer = () => {
             Tone.Transport.cancel(); // Clear all scheduled events
 
             // Create Samplers for drum sounds
-            const kickSampler = new Tone.Sampler({
+            const kickSampler = registerNode(new Tone.Sampler({
                 urls: {
                     C3: KICK_MP3_PATH,
                 },
                 onload: () => console.log('Kick sample loading...'), // Log loading start
                 onerror: (e) => console.error('Error loading kick sample:', e),
-            }).toDestination();
+            })).toDestination();
 
-            const snareSampler = new Tone.Sampler({
+            const snareSampler = registerNode(new Tone.Sampler({
                 urls: {
                     C3: SNARE_MP3_PATH,
                 },
                 onload: () => console.log('Snare sample loading...'), // Log loading start
                 onerror: (e) => console.error('Error loading snare sample:', e),
-            }).toDestination();
+            })).toDestination();
 
             // Wait for both samplers to be loaded
             await Promise.all([kickSampler.loaded, snareSampler.loaded]); // Await the 'loaded' promise for each sampler
@@ -163,7 +148,7 @@ const usePolyrhythmSequencer = () => {
             // Create Sequences
             // The `events` array holds the indices that will trigger a note
             // The `subdivision` defines how often the callback is fired (e.g., '8n' means every 8th note)
-            const sequence1 = new Tone.Sequence((time, step) => {
+            const sequence1 = registerNode(new Tone.Sequence((time, step) => {
                 // Trigger kick if the current step in the pattern is active
                 if (rhythm1Pattern[step]) {
                     kickSampler.triggerAttackRelease("C3", "8n", time);
@@ -172,9 +157,9 @@ const usePolyrhythmSequencer = () => {
                 Tone.Draw.schedule(() => {
                     setActiveStep1(step);
                 }, time);
-            }, Array.from({ length: rhythm1Steps }, (_, i) => i), rhythm1Subdivision); // Sequence over indexed steps
+            }, Array.from({ length: rhythm1Steps }, (_, i) => i), rhythm1Subdivision)); // Sequence over indexed steps
 
-            const sequence2 = new Tone.Sequence((time, step) => {
+            const sequence2 = registerNode(new Tone.Sequence((time, step) => {
                 // Trigger snare if the current step in the pattern is active
                 if (rhythm2Pattern[step]) {
                     snareSampler.triggerAttackRelease("C3", "8n", time);
@@ -183,7 +168,7 @@ const usePolyrhythmSequencer = () => {
                 Tone.Draw.schedule(() => {
                     setActiveStep2(step);
                 }, time);
-            }, Array.from({ length: rhythm2Steps }, (_, i) => i), rhythm2Subdivision);
+            }, Array.from({ length: rhythm2Steps }, (_, i) => i), rhythm2Subdivision));
 
             // Start sequences immediately (they will only play when Transport starts)
             sequence1.start(0);
@@ -316,9 +301,38 @@ const usePolyrhythmSequencer = () => {
         }
     }, [isPlaying, isAudioGloballyReady, isAudioReady, startGlobalAudio, initAudioNodes]);
 
+    /**
+     * Downloads the polyrhythm as a MIDI file with a kick and a snare drum track,
+     * repeating both patterns until they line up again.
+     * @param {0|1} format Standard MIDI File format.
+     */
+    const exportMidi = useCallback((format) => {
+        const rhythms = [
+            { name: 'Kick', note: GM_DRUM_NOTES.kick, pattern: rhythm1Pattern, stepTicks: noteValueToTicks(rhythm1Subdivision) },
+            { name: 'Snare', note: GM_DRUM_NOTES.snare, pattern: rhythm2Pattern, stepTicks: noteValueToTicks(rhythm2Subdivision) },
+        ];
+        const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+        const [first, second] = rhythms.map(({ pattern, stepTicks }) => pattern.length * stepTicks);
+        const cycleTicks = (first * second) / gcd(first, second);
+        const bytes = encodeMidiFile({
+            title: 'Polyrhythm Sequencer',
+            bpm,
+            tracks: rhythms.map(({ name, note, pattern, stepTicks }) => ({
+                name,
+                isDrum: true,
+                notes: Array.from({ length: cycleTicks / stepTicks }, (_, step) => step)
+                    .filter(step => pattern[step % pattern.length])
+                    .map(step => ({ note, tick: step * stepTicks, duration: stepTicks / 2 })),
+            })),
+        }, { format });
+        downloadBlob(createMidiBlob(bytes), `polyrhythm-${rhythm1Pattern.length}-against-${rhythm2Pattern.length}.mid`);
+    }, [bpm, rhythm1Pattern, rhythm1Subdivision, rhythm2Pattern, rhythm2Subdivision]);
+
 
     // Return all necessary states and setters
     return {
+        userPresets,
+        exportMidi,
         isPlaying, togglePlay,
         isAudioReady, isAudioLoading: isAudioLoadingRef.current, // Expose loading status
         bpm, setBpm,
@@ -417,6 +431,8 @@ const PolyrhythmSequencerContent = () => {
         bpm, setBpm,
         rhythm1Pattern, setRhythm1Pattern, rhythm1Subdivision, setRhythm1Subdivision, rhythm1Steps, setRhythm1Steps, activeStep1,
         rhythm2Pattern, setRhythm2Pattern, rhythm2Subdivision, setRhythm2Subdivision, rhythm2Steps, setRhythm2Steps, activeStep2,
+        userPresets,
+        exportMidi,
     } = usePolyrhythmSequencer();
 
 
@@ -496,6 +512,16 @@ const PolyrhythmSequencerContent = () => {
                         </div>
                     </div>
 
+                    {/* User Presets */}
+                    <div className="w-full px-2">
+                        <PresetPanel presets={userPresets} />
+                    </div>
+
+                    {/* MIDI Export */}
+                    <div className="w-full px-2">
+                        <MidiExportControls onExport={exportMidi} disabled={!rhythm1Pattern.includes(true) && !rhythm2Pattern.includes(true)} />
+                    </div>
+
                     {/* Polyrhythm Grids */}
                     <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 sm:gap-6 lg:gap-8 w-full mt-4 sm:mt-6 lg:mt-8">
                         {/* Rhythm 1 (Kick) */}
@@ -561,14 +587,12 @@ class ErrorBoundary extends React.Component {
     }
 }
 
-// Default export wrapping the main content with AudioContextProvider and ErrorBoundary
+// Default export wrapping the main content with ErrorBoundary
 const PolyrhythmSequencer = () => {
     return (
-        <AudioContextProvider>
-            <ErrorBoundary>
-                <PolyrhythmSequencerContent />
-            </ErrorBoundary>
-        </AudioContextProvider>
+        <ErrorBoundary>
+            <PolyrhythmSequencerContent />
+        </ErrorBoundary>
     );
 }
 
@@ -1,7 +1,17 @@
-import React, { useState, useEffect, useRef, useCallback, createContext, useContext } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useContext } from 'react';
 import * as Tone from 'tone';
+import { AudioContext } from '../contexts/AudioContext';
+import { registerNode } from '../utils/audioEngine';
+import { createUrlSchema, urlParam } from '../utils/urlState';
+import useUrlState from '../hooks/useUrlState';
+import useParamHistory from '../hooks/useParamHistory';
+import useUserPresets from '../hooks/useUserPresets';
+import useMidiInput from '../hooks/useMidiInput';
+import { applyPitchBend, applyModWheel } from '../utils/midiInput';
 import { Play, Music, Volume2, VolumeX, TrendingUp, TrendingDown } from 'lucide-react'; // Added TrendingUp/Down for glide toggle
 import SEOHead from './SEOHead';
+import PresetPanel from './PresetPanel';
+import MidiInputControls from './MidiInputControls';
 
 
 // Define the tool object for SEO structured data
@@ -19,75 +29,33 @@ const portamentoGlideTool = {
     ]
 };
 
-// --- AUDIO CONTEXT ---
-// This context manages the global Tone.js audio state, ensuring only one audio context.
-export const AudioContext = createContext(null);
-
-const AudioContextProvider = ({ children }) => {
-    const [isAudioGloballyReady, setIsAudioGloballyReady] = useState(false);
-
-    // Function to start Tone.js audio context. This needs a user interaction.
-    const startGlobalAudio = useCallback(async () => {
-        if (Tone.context.state === 'running') {
-            setIsAudioGloballyReady(true);
-            console.log('AudioContext: Tone.js context already running.');
-            return;
-        }
-
-        try {
-            console.log('AudioContext: Attempting to start global Tone.js context...');
-            await Tone.start(); // This will resume the audio context
-
-            if (Tone.context.state === 'running') {
-                setIsAudioGloballyReady(true);
-                console.log('AudioContext: Tone.js context started successfully');
-            } else {
-                console.warn('AudioContext: Tone.js context did not start properly (state is ' + Tone.context.state + ')');
-                setIsAudioGloballyReady(false);
-            }
-        } catch (error) {
-            console.error("AudioContext: Error starting Tone.js context:", error);
-            setIsAudioGloballyReady(false);
-        }
-    }, []);
-
-    // Effect to observe Tone.js context state changes
-    useEffect(() => {
-        const handleToneContextChange = () => {
-            const newState = Tone.context.state === 'running';
-            if (newState !== isAudioGloballyReady) { // Prevent unnecessary state updates
-                console.log(`AudioContext: Tone.context state changed to '${Tone.context.state}'. isAudioGloballyReady set to ${newState}.`);
-                setIsAudioGloballyReady(newState);
-            }
-        };
-
-        // Add listener for state changes
-        Tone.context.on('statechange', handleToneContextChange);
-        handleToneContextChange(); // Initial check on mount
-
-        return () => {
-            // Clean up listener on unmount
-            console.log('AudioContext: Cleaning up Tone.context statechange listener.');
-            Tone.context.off('statechange', handleToneContextChange);
-        };
-    }, [isAudioGloballyReady]);
-
-    return (
-        <AudioContext.Provider value={{ isAudioGloballyReady, startGlobalAudio }}>
-            {children}
-        </AudioContext.Provider>
-    );
-};
-// --- END AUDIO CONTEXT ---
-
+// Glide settings kept in the URL, so a link reopens them
+const URL_SCHEMA = createUrlSchema({
+    params: {
+        glide: urlParam.boolean(),
+        time: urlParam.number({ min: 0, max: 3 }),
+    },
+});
 
 // --- usePortamentoSynth Hook ---
 const usePortamentoSynth = () => {
     const { isAudioGloballyReady, startGlobalAudio } = useContext(AudioContext);
     const synthRef = useRef(null); // The Tone.Synth instance
+    const vibratoRef = useRef(null); // Tone.Vibrato after the synth, for the mod wheel
+    const heldNotesRef = useRef([]); // Notes held on a MIDI keyboard, latest last
     const [portamentoTime, setPortamentoTime] = useState(0.05); // Default glide time in seconds
     const [isPortamentoEnabled, setIsPortamentoEnabled] = useState(true); // State for glide on/off
 
+    const toolParams = { glide: isPortamentoEnabled, time: portamentoTime };
+    const toolParamSetters = {
+        glide: setIsPortamentoEnabled, time: setPortamentoTime,
+    };
+    useUrlState(URL_SCHEMA, toolParams, toolParamSetters);
+    useParamHistory(toolParams, toolParamSetters);
+    const userPresets = useUserPresets({
+        tool: 'portamento-glide', schema: URL_SCHEMA, params: toolParams, applyParams: toolParamSetters,
+    });
+
     const [isAudioReady, setIsAudioReady] = useState(false); // Overall audio system readiness
     const [isLoading, setIsLoading] = useState(true); // Indicates if audio setup is in progress, initially true
 
@@ -106,11 +74,15 @@ const usePortamentoSynth = () => {
         setIsLoading(true); // Set loading true at the start of setup
 
         let localSynth = null;
+        let localVibrato = null;
         try {
             disposeSynth(); // Ensure any existing synth is disposed
 
+            localVibrato = registerNode(new Tone.Vibrato({ frequency: 5.5, depth: 0 })).toDestination();
+            vibratoRef.current = localVibrato;
+
             // Initialize synth with portamento set based on the current `isPortamentoEnabled` state.
-            localSynth = new Tone.Synth({
+            localSynth = registerNode(new Tone.Synth({
                 oscillator: { type: 'sine' }, // Simple sine wave
                 envelope: {
                     attack: 0.01,
@@ -119,7 +91,7 @@ const usePortamentoSynth = () => {
                     release: 0.8,
                 },
                 portamento: (isPortamentoEnabled && portamentoTime > 0) ? portamentoTime : 0, // APPLYING INITIAL LOGIC HERE
-            }).toDestination();
+            })).connect(localVibrato);
             synthRef.current = localSynth;
             console.log('usePortamentoSynth: Tone.js synth created with initial portamento:', localSynth.portamento);
 
@@ -137,7 +109,12 @@ const usePortamentoSynth = () => {
             if (localSynth) {
                 localSynth.dispose();
             }
+            if (localVibrato) {
+                localVibrato.dispose();
+            }
             synthRef.current = null; // Ensure ref is cleared
+            vibratoRef.current = null;
+            heldNotesRef.current = [];
             setIsAudioReady(false); // Mark as not ready
         };
     }, [disposeSynth, isAudioGloballyReady, isPortamentoEnabled]); // Keep isPortamentoEnabled here for initial synth creation logic
@@ -187,8 +164,37 @@ const usePortamentoSynth = () => {
         }
     }, [startGlobalAudio, isLoading]);
 
+    // MIDI keyboard: played legato, so a new key glides from the held one and
+    // releasing it glides back to the key still held
+    const midi = useMidiInput({
+        onNoteOn: (note, velocity) => {
+            if (Tone.context.state !== 'running') startGlobalAudio();
+            if (!synthRef.current || isLoading) return;
+            heldNotesRef.current = [...heldNotesRef.current.filter(held => held !== note), note];
+            if (heldNotesRef.current.length > 1) {
+                synthRef.current.setNote(note);
+            } else {
+                synthRef.current.triggerAttack(note, Tone.now(), velocity);
+            }
+        },
+        onNoteOff: (note) => {
+            heldNotesRef.current = heldNotesRef.current.filter(held => held !== note);
+            if (!synthRef.current) return;
+            const heldNote = heldNotesRef.current[heldNotesRef.current.length - 1];
+            if (heldNote) {
+                synthRef.current.setNote(heldNote);
+            } else {
+                synthRef.current.triggerRelease();
+            }
+        },
+        onPitchBend: (amount) => synthRef.current && applyPitchBend(synthRef.current, amount),
+        onModWheel: (amount) => vibratoRef.current && applyModWheel(vibratoRef.current, amount),
+    });
+
 
     return {
+        userPresets,
+        midi,
         playNote,
         portamentoTime,
         setPortamentoTime,
@@ -228,6 +234,8 @@ const PortamentoGlideContent = () => {
         portamentoTime, setPortamentoTime,
         isPortamentoEnabled, setIsPortamentoEnabled,
         isAudioReady, isLoading,
+        userPresets,
+        midi,
     } = usePortamentoSynth();
 
     const notesToPlay = ['C4', 'D4', 'E4', 'F4', 'G4', 'A4', 'B4', 'C5'];
@@ -335,6 +343,16 @@ const PortamentoGlideContent = () => {
                         />
                     </div>
 
+                    {/* User Presets */}
+                    <div className="w-full px-2">
+                        <PresetPanel presets={userPresets} />
+                    </div>
+
+                    {/* MIDI Input */}
+                    <div className="w-full px-2 flex justify-center">
+                        <MidiInputControls midi={midi} />
+                    </div>
+
                     {/* Note Play Buttons */}
                     <div className="w-full">
                         <div className="grid grid-cols-4 gap-3 sm:gap-4 md:gap-5">
@@ -421,14 +439,12 @@ class ErrorBoundary extends React.Component {
     }
 }
 
-// Default export wrapping the main content with AudioContextProvider and ErrorBoundary
+// Default export wrapping the main content with ErrorBoundary
 const PortamentoGlide = () => {
     return (
-        <AudioContextProvider>
-            <ErrorBoundary>
-                <PortamentoGlideContent />
-            </ErrorBoundary>
-        </AudioContextProvider>
+        <ErrorBoundary>
+            <PortamentoGlideContent />
+        </ErrorBoundary>
     );
 }
 
@@ -0,0 +1,268 @@
+import React, { useRef, useState } from 'react';
+import { Save, Pencil, Trash2, Check, X, Download, Upload, Folder } from 'lucide-react';
+
+const THEMES = {
+    light: {
+        text: 'text-gray-700',
+        muted: 'text-gray-500',
+        row: 'bg-white border border-gray-200',
+        current: 'bg-indigo-50 border border-indigo-300',
+        input: 'bg-white border border-gray-300 text-gray-800',
+        button: 'bg-white text-gray-700 border border-gray-300 hover:bg-gray-100',
+        active: 'bg-gray-800 text-white border border-gray-800',
+        notice: 'text-emerald-600',
+        error: 'text-red-600',
+    },
+    dark: {
+        text: 'text-cyan-200',
+        muted: 'text-cyan-300/70',
+        row: 'bg-black/20 border border-cyan-500/20',
+        current: 'bg-cyan-500/10 border border-cyan-400/50',
+        input: 'bg-indigo-950/60 border border-cyan-500/30 text-cyan-100',
+        button: 'bg-indigo-900/60 text-cyan-100 border border-cyan-500/30 hover:bg-indigo-800/60',
+        active: 'bg-cyan-500 text-white border border-cyan-500',
+        notice: 'text-emerald-300',
+        error: 'text-red-300',
+    },
+};
+
+// Folder filter values besides folder names
+const ALL_FOLDERS = '\u0000all';
+const NO_FOLDER = '';
+
+const EMPTY_DRAFT = { name: '', folder: '', tags: '' };
+
+/**
+ * Saved user presets of a tool, grouped by folder and filterable by tag, with
+ * save, apply, edit and delete, and import/export as JSON files. Pairs with
+ * the useUserPresets hook (src/hooks/useUserPresets.js).
+ * @param {object} props
+ * @param {object} props.presets The useUserPresets() result.
+ * @param {boolean} [props.disabled] Disables applying presets.
+ * @param {'light'|'dark'} [props.theme] Colors for light (explorer) or dark (studio) pages.
+ */
+const PresetPanel = ({ presets: userPresets, disabled = false, theme = 'light' }) => {
+    const {
+        isAvailable, presets, folders, tags, currentPresetId,
+        savePreset, applyPreset, updatePreset, deletePreset,
+        exportPresets, importPresetFile, presetError, presetNotice,
+    } = userPresets;
+    const colors = THEMES[theme];
+    const [draft, setDraft] = useState(EMPTY_DRAFT);
+    const [editing, setEditing] = useState(null); // { id, name, folder, tags } while a preset is edited
+    const [confirmingDeleteId, setConfirmingDeleteId] = useState(null);
+    const [folderFilter, setFolderFilter] = useState(ALL_FOLDERS);
+    const [tagFilter, setTagFilter] = useState(null);
+    const fileInputRef = useRef(null);
+
+    if (!isAvailable) {
+        return <p className={`text-sm ${colors.muted}`}>Presets can't be saved in this browser (storage is unavailable).</p>;
+    }
+
+    const iconButton = `p-1.5 rounded-full transition-colors duration-200 ${colors.button} disabled:opacity-50 disabled:cursor-not-allowed`;
+    const button = `px-3 py-1 rounded-full text-sm transition-colors duration-200 ${colors.button} disabled:opacity-50 disabled:cursor-not-allowed`;
+    const input = `min-w-0 px-2 py-0.5 rounded ${colors.input}`;
+    const datalistId = `preset-folders-${theme}`;
+
+    const shown = presets.filter(preset => (
+        (folderFilter === ALL_FOLDERS || preset.folder === folderFilter)
+        && (!tagFilter || preset.tags.includes(tagFilter))
+    ));
+    const groups = [...new Set(shown.map(preset => preset.folder))];
+
+    const submitSave = (e) => {
+        e.preventDefault();
+        if (savePreset(draft)) setDraft(current => ({ ...EMPTY_DRAFT, folder: current.folder }));
+    };
+
+    const submitEdit = (e) => {
+        e.preventDefault();
+        updatePreset(editing.id, { name: editing.name, folder: editing.folder, tags: editing.tags });
+        setEditing(null);
+    };
+
+    const handleImport = (e) => {
+        importPresetFile(e.target.files[0]);
+        e.target.value = '';
+    };
+
+    return (
+        <div className={`space-y-2 text-sm ${colors.text}`}>
+            <div className="flex flex-wrap items-center gap-2">
+                <span className="font-semibold">My presets</span>
+                <span className={colors.muted}>
+                    {presets.length === 0 ? 'Save the current settings to use them again later' : `${presets.length} saved`}
+                </span>
+            </div>
+
+            <form onSubmit={submitSave} className="flex flex-wrap items-center gap-2">
+                <input
+                    type="text"
+                    value={draft.name}
+                    onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                    placeholder="Preset name"
+                    className={`${input} flex-1`}
+                    aria-label="Preset name"
+                    required
+                />
+                <input
+                    type="text"
+                    value={draft.folder}
+                    onChange={(e) => setDraft({ ...draft, folder: e.target.value })}
+                    placeholder="Folder"
+                    list={datalistId}
+                    className={`${input} w-28`}
+                    aria-label="Preset folder"
+                />
+                <input
+                    type="text"
+                    value={draft.tags}
+                    onChange={(e) => setDraft({ ...draft, tags: e.target.value })}
+                    placeholder="Tags, comma-separated"
+                    className={`${input} w-44`}
+                    aria-label="Preset tags"
+                />
+                <button type="submit" disabled={!draft.name.trim()} className={`${button} flex items-center gap-1`}>
+                    <Save size={14} /> Save
+                </button>
+                <datalist id={datalistId}>
+                    {folders.map(folder => <option key={folder} value={folder} />)}
+                </datalist>
+            </form>
+
+            {presets.length > 0 && (
+                <div className="flex flex-wrap items-center gap-2">
+                    <select
+                        value={folderFilter}
+                        onChange={(e) => setFolderFilter(e.target.value)}
+                        className={`px-2 py-0.5 rounded ${colors.input}`}
+                        aria-label="Show folder"
+                    >
+                        <option value={ALL_FOLDERS}>All folders</option>
+                        <option value={NO_FOLDER}>No folder</option>
+                        {folders.map(folder => <option key={folder} value={folder}>{folder}</option>)}
+                    </select>
+                    {tags.map(tag => (
+                        <button
+                            key={tag}
+                            type="button"
+                            onClick={() => setTagFilter(tagFilter === tag ? null : tag)}
+                            className={`px-2 py-0.5 rounded-full text-xs transition-colors duration-200 ${tagFilter === tag ? colors.active : colors.button}`}
+                            aria-pressed={tagFilter === tag}
+                        >
+                            #{tag}
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            {groups.length > 0 && (
+                <div className="space-y-2 max-h-72 overflow-y-auto">
+                    {groups.map(folder => (
+                        <div key={folder || NO_FOLDER} className="space-y-1">
+                            {folder && (
+                                <div className={`flex items-center gap-1 text-xs font-semibold ${colors.muted}`}>
+                                    <Folder size={12} /> {folder}
+                                </div>
+                            )}
+                            <ul className="space-y-1">
+                                {shown.filter(preset => preset.folder === folder).map(preset => {
+                                    const isCurrent = preset.id === currentPresetId;
+                                    return (
+                                        <li key={preset.id} className={`flex flex-wrap items-center gap-2 rounded-lg px-2 py-1 ${isCurrent ? colors.current : colors.row}`}>
+                                            {editing && editing.id === preset.id ? (
+                                                <form onSubmit={submitEdit} className="flex flex-wrap items-center gap-1 flex-1 min-w-0">
+                                                    <input
+                                                        type="text"
+                                                        value={editing.name}
+                                                        onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                                                        className={`${input} flex-1`}
+                                                        aria-label="Preset name"
+                                                        autoFocus
+                                                        required
+                                                    />
+                                                    <input
+                                                        type="text"
+                                                        value={editing.folder}
+                                                        onChange={(e) => setEditing({ ...editing, folder: e.target.value })}
+                                                        placeholder="Folder"
+                                                        list={datalistId}
+                                                        className={`${input} w-24`}
+                                                        aria-label="Preset folder"
+                                                    />
+                                                    <input
+                                                        type="text"
+                                                        value={editing.tags}
+                                                        onChange={(e) => setEditing({ ...editing, tags: e.target.value })}
+                                                        placeholder="Tags"
+                                                        className={`${input} w-32`}
+                                                        aria-label="Preset tags"
+                                                    />
+                                                    <button type="submit" className={iconButton} title="Save changes"><Check size={14} /></button>
+                                                    <button type="button" onClick={() => setEditing(null)} className={iconButton} title="Cancel"><X size={14} /></button>
+                                                </form>
+                                            ) : (
+                                                <button
+                                                    type="button"
+                                                    onClick={() => applyPreset(preset.id)}
+                                                    disabled={disabled}
+                                                    className="flex-1 min-w-0 text-left disabled:cursor-not-allowed"
+                                                    title="Apply preset"
+                                                >
+                                                    <span className="block truncate font-medium">{preset.name}</span>
+                                                    {preset.tags.length > 0 && (
+                                                        <span className={`block truncate text-xs ${colors.muted}`}>
+                                                            {preset.tags.map(tag => `#${tag}`).join(' ')}
+                                                        </span>
+                                                    )}
+                                                </button>
+                                            )}
+                                            <div className="flex items-center gap-1">
+                                                <button
+                                                    type="button"
+                                                    onClick={() => setEditing({ id: preset.id, name: preset.name, folder: preset.folder, tags: preset.tags.join(', ') })}
+                                                    className={iconButton}
+                                                    title="Edit preset"
+                                                >
+                                                    <Pencil size={14} />
+                                                </button>
+                                                {confirmingDeleteId === preset.id ? (
+                                                    <button
+                                                        type="button"
+                                                        onClick={() => { deletePreset(preset.id); setConfirmingDeleteId(null); }}
+                                                        className={`${button} text-red-500`}
+                                                    >
+                                                        Delete?
+                                                    </button>
+                                                ) : (
+                                                    <button type="button" onClick={() => setConfirmingDeleteId(preset.id)} className={iconButton} title="Delete preset">
+                                                        <Trash2 size={14} />
+                                                    </button>
+                                                )}
+                                            </div>
+                                        </li>
+                                    );
+                                })}
+                            </ul>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            <div className="flex flex-wrap items-center gap-2">
+                <button type="button" onClick={() => exportPresets(shown)} disabled={shown.length === 0} className={`${button} flex items-center gap-1`}>
+                    <Download size={14} /> Export{shown.length < presets.length ? ' shown' : ''}
+                </button>
+                <button type="button" onClick={() => fileInputRef.current?.click()} className={`${button} flex items-center gap-1`}>
+                    <Upload size={14} /> Import
+                </button>
+                <input ref={fileInputRef} type="file" accept=".json,application/json" onChange={handleImport} className="hidden" />
+            </div>
+
+            {presetNotice && <p className={colors.notice}>{presetNotice}</p>}
+            {presetError && <p className={colors.error}>{presetError}</p>}
+        </div>
+    );
+};
+
+export default PresetPanel;
@@ -0,0 +1,164 @@
+import React, { useState } from 'react';
+import { FolderOpen, Pencil, Trash2, Check, X, RotateCcw } from 'lucide-react';
+import { PROJECT_QUOTA_OPTIONS, formatBytes } from '../utils/projectStore';
+
+const THEMES = {
+    light: {
+        text: 'text-gray-700',
+        muted: 'text-gray-500',
+        row: 'bg-white border border-gray-200',
+        current: 'bg-indigo-50 border border-indigo-300',
+        input: 'bg-white border border-gray-300 text-gray-800',
+        button: 'bg-white text-gray-700 border border-gray-300 hover:bg-gray-100',
+        bar: 'bg-gray-200',
+        barFill: 'bg-indigo-500',
+        notice: 'text-amber-600',
+        error: 'text-red-600',
+    },
+    dark: {
+        text: 'text-cyan-200',
+        muted: 'text-cyan-300/70',
+        row: 'bg-black/20 border border-cyan-500/20',
+        current: 'bg-cyan-500/10 border border-cyan-400/50',
+        input: 'bg-indigo-950/60 border border-cyan-500/30 text-cyan-100',
+        button: 'bg-indigo-900/60 text-cyan-100 border border-cyan-500/30 hover:bg-indigo-800/60',
+        bar: 'bg-black/30',
+        barFill: 'bg-cyan-400',
+        notice: 'text-amber-300',
+        error: 'text-red-300',
+    },
+};
+
+const formatDate = (timestamp) => new Date(timestamp).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+
+/**
+ * Recent projects of a studio with open, rename and delete, the storage used
+ * against the quota, and the "restore last project" prompt. Pairs with the
+ * useStudioProject hook (src/hooks/useStudioProject.js).
+ * @param {object} props
+ * @param {object} props.project The useStudioProject() result.
+ * @param {boolean} [props.disabled] Disables opening and deleting projects.
+ * @param {'light'|'dark'} [props.theme] Colors for light (explorer) or dark (studio) pages.
+ */
+const ProjectPanel = ({ project, disabled = false, theme = 'light' }) => {
+    const {
+        isAvailable, projects, currentProject, pendingRestore, isRestoring,
+        openProject, discardRestore, renameProject, deleteProject,
+        usage, quota, setQuota, projectError, projectNotice,
+    } = project;
+    const colors = THEMES[theme];
+    const [renaming, setRenaming] = useState(null); // { id, name } while a name is edited
+    const [confirmingDeleteId, setConfirmingDeleteId] = useState(null);
+
+    if (!isAvailable) {
+        return <p className={`text-sm ${colors.muted}`}>Projects can't be saved in this browser (storage is unavailable).</p>;
+    }
+
+    const iconButton = `p-1.5 rounded-full transition-colors duration-200 ${colors.button} disabled:opacity-50 disabled:cursor-not-allowed`;
+    const button = `px-3 py-1 rounded-full text-sm transition-colors duration-200 ${colors.button} disabled:opacity-50 disabled:cursor-not-allowed`;
+
+    const submitRename = (e) => {
+        e.preventDefault();
+        renameProject(renaming.id, renaming.name);
+        setRenaming(null);
+    };
+
+    return (
+        <div className={`space-y-2 text-sm ${colors.text}`}>
+            <div className="flex flex-wrap items-center gap-2">
+                <span className="font-semibold">Projects</span>
+                <span className={colors.muted}>
+                    {isRestoring ? 'Restoring…' : currentProject ? `Changes are saved to "${currentProject.name}"` : 'Upload a file to start a project'}
+                </span>
+            </div>
+
+            {pendingRestore && (
+                <div className={`flex flex-wrap items-center gap-2 rounded-lg px-2 py-1.5 ${colors.current}`}>
+                    <span>Click anywhere to restore <span className="font-semibold">{pendingRestore.name}</span>.</span>
+                    <button type="button" onClick={discardRestore} className={`${button} flex items-center gap-1`}>
+                        <RotateCcw size={14} /> Start fresh
+                    </button>
+                </div>
+            )}
+
+            {projects.length > 0 && (
+                <ul className="space-y-1 max-h-60 overflow-y-auto">
+                    {projects.map(item => {
+                        const isCurrent = currentProject && currentProject.id === item.id;
+                        return (
+                            <li key={item.id} className={`flex flex-wrap items-center gap-2 rounded-lg px-2 py-1 ${isCurrent ? colors.current : colors.row}`}>
+                                {renaming && renaming.id === item.id ? (
+                                    <form onSubmit={submitRename} className="flex items-center gap-1 flex-1 min-w-0">
+                                        <input
+                                            type="text"
+                                            value={renaming.name}
+                                            onChange={(e) => setRenaming({ id: item.id, name: e.target.value })}
+                                            className={`flex-1 min-w-0 px-2 py-0.5 rounded ${colors.input}`}
+                                            aria-label="Project name"
+                                            autoFocus
+                                        />
+                                        <button type="submit" className={iconButton} title="Save name"><Check size={14} /></button>
+                                        <button type="button" onClick={() => setRenaming(null)} className={iconButton} title="Cancel"><X size={14} /></button>
+                                    </form>
+                                ) : (
+                                    <div className="flex-1 min-w-0">
+                                        <div className="truncate font-medium">{item.name}</div>
+                                        <div className={`truncate text-xs ${colors.muted}`}>
+                                            {item.fileName} · {formatBytes(item.audioSize)} · {formatDate(item.updatedAt)}
+                                        </div>
+                                    </div>
+                                )}
+                                <div className="flex items-center gap-1">
+                                    <button type="button" onClick={() => openProject(item.id)} disabled={disabled || isRestoring || isCurrent} className={iconButton} title="Open project">
+                                        <FolderOpen size={14} />
+                                    </button>
+                                    <button type="button" onClick={() => setRenaming({ id: item.id, name: item.name })} className={iconButton} title="Rename project">
+                                        <Pencil size={14} />
+                                    </button>
+                                    {confirmingDeleteId === item.id ? (
+                                        <button
+                                            type="button"
+                                            onClick={() => { deleteProject(item.id); setConfirmingDeleteId(null); }}
+                                            disabled={disabled}
+                                            className={`${button} text-red-500`}
+                                        >
+                                            Delete?
+                                        </button>
+                                    ) : (
+                                        <button type="button" onClick={() => setConfirmingDeleteId(item.id)} disabled={disabled} className={iconButton} title="Delete project">
+                                            <Trash2 size={14} />
+                                        </button>
+                                    )}
+                                </div>
+                            </li>
+                        );
+                    })}
+                </ul>
+            )}
+
+            <div className="flex flex-wrap items-center gap-2">
+                <span className={colors.muted}>Storage</span>
+                <div className={`h-1.5 w-32 rounded-full overflow-hidden ${colors.bar}`}>
+                    <div className={`h-full ${colors.barFill}`} style={{ width: `${Math.min(100, (usage / quota) * 100)}%` }} />
+                </div>
+                <span className="font-mono">{formatBytes(usage)} / </span>
+                <select
+                    value={quota}
+                    onChange={(e) => setQuota(Number(e.target.value))}
+                    className={`px-2 py-0.5 rounded ${colors.input}`}
+                    aria-label="Project storage quota"
+                >
+                    {[...new Set([...PROJECT_QUOTA_OPTIONS, quota])].sort((a, b) => a - b).map(option => (
+                        <option key={option} value={option}>{formatBytes(option)}</option>
+                    ))}
+                </select>
+                <span className={colors.muted}>Oldest projects are removed when a new one doesn't fit.</span>
+            </div>
+
+            {projectNotice && <p className={colors.notice}>{projectNotice}</p>}
+            {projectError && <p className={colors.error}>{projectError}</p>}
+        </div>
+    );
+};
+
+export default ProjectPanel;
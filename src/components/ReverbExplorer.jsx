@@ -1,7 +1,20 @@
-import React, { useState, useEffect, useRef, useCallback, createContext, useContext } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useContext } from 'react';
 import * as Tone from 'tone';
+import { AudioContext } from '../contexts/AudioContext';
+import { registerNode } from '../utils/audioEngine';
+import { ExplorerSource } from '../utils/explorerSources';
+import useExplorerSource from '../hooks/useExplorerSource';
+import { ABComparator } from '../utils/abCompare';
+import useABCompare from '../hooks/useABCompare';
+import { createUrlSchema, urlParam } from '../utils/urlState';
+import useUrlState from '../hooks/useUrlState';
+import useParamHistory from '../hooks/useParamHistory';
+import useUserPresets from '../hooks/useUserPresets';
 import { Play, Pause, Waves } from 'lucide-react';
 import SEOHead from './SEOHead';
+import SourceSelector from './SourceSelector';
+import ABCompareControls from './ABCompareControls';
+import PresetPanel from './PresetPanel';
 
 // Define the tool object for SEO structured data
 const reverbExplorerTool = {
@@ -18,78 +31,54 @@ const reverbExplorerTool = {
     ]
 };
 
-// Define the path to your C3 piano sample
-const SAMPLE_C3_MP3_PATH = '/piano_samples/C3.mp3'; // Ensure this file exists in your public/piano_samples folder
+// Source the explorer starts with; the user can switch it with the source selector.
+const DEFAULT_SOURCE = { type: 'demo', id: 'piano-low' };
 
-// --- INLINED AUDIO CONTEXT ---
-// This context will manage the global Tone.js audio state.
-export const AudioContext = createContext(null);
-
-const AudioContextProvider = ({ children }) => {
-    const [isAudioGloballyReady, setIsAudioGloballyReady] = useState(false);
-
-    // Function to start Tone.js audio context
-    const startGlobalAudio = useCallback(async () => {
-        if (Tone.context.state !== 'running') {
-            try {
-                console.log('AudioContext: Attempting to start global Tone.js context...');
-                await Tone.start();
-                setIsAudioGloballyReady(true);
-                console.log('AudioContext: Tone.js context started and is running.');
-            } catch (error) {
-                console.error("AudioContext: Error starting Tone.js context:", error);
-                setIsAudioGloballyReady(false);
-            }
-        } else {
-            setIsAudioGloballyReady(true);
-            console.log('AudioContext: Tone.js context already running.');
-        }
-    }, []);
-
-    // Effect to observe Tone.js context state changes
-    useEffect(() => {
-        const handleToneContextChange = () => {
-            if (Tone.context.state === 'running') {
-                setIsAudioGloballyReady(true);
-            } else {
-                setIsAudioGloballyReady(false);
-            }
-        };
-
-        Tone.context.on('statechange', handleToneContextChange);
-        handleToneContextChange(); // Initial check on mount
-
-        return () => {
-            Tone.context.off('statechange', handleToneContextChange);
-        };
-    }, []);
-
-    return (
-        <AudioContext.Provider value={{ isAudioGloballyReady, startGlobalAudio }}>
-            {children}
-        </AudioContext.Provider>
-    );
-};
-// --- END INLINED AUDIO CONTEXT ---
 
+// Reverb settings kept in the URL, so a link reopens them
+const URL_SCHEMA = createUrlSchema({
+    params: {
+        decay: urlParam.number({ min: 0.1, max: 20 }),
+        preDelay: urlParam.number({ min: 0, max: 0.2 }),
+        wet: urlParam.number({ min: 0, max: 1 }),
+    },
+});
 
 // --- useReverbSynth Hook ---
 const useReverbSynth = () => {
     // This hook now relies on AudioContext being provided by a parent component.
     const { isAudioGloballyReady, startGlobalAudio } = useContext(AudioContext);
-    const playerRef = useRef(null); // This will now hold the Tone.Player for C3.mp3
+    const sourceRef = useRef(null); // Holds the ExplorerSource node
+    const { selectedSource, selectSource, selectFile, isLoadingSource, sourceError, loadSelectedSource, liveInput } = useExplorerSource(sourceRef, DEFAULT_SOURCE);
+    const comparatorRef = useRef(null); // A/B switch between the bypass and processed signals
+    const getComparator = useCallback(() => comparatorRef.current, []);
+    const abCompare = useABCompare(getComparator);
+    const { syncComparator } = abCompare;
     const reverbRef = useRef(null);
     const hasInitializedRef = useRef(false);
 
-    const [isPlaying, setIsPlaying] = useState(false); // Tracks if the C3 note is currently sounding
+    const [isPlaying, setIsPlaying] = useState(false); // Tracks if the source is currently playing
     const [decay, setDecay] = useState(3.0); // Reverb decay time in seconds (Increased default)
     const [preDelay, setPreDelay] = useState(0.01); // Time before reverb kicks in
     const [wet, setWet] = useState(0.5); // Wet/dry mix (0-1, 0 is dry, 1 is wet)
 
+    const toolParams = { decay, preDelay, wet };
+    const toolParamSetters = { decay: setDecay, preDelay: setPreDelay, wet: setWet };
+    useUrlState(URL_SCHEMA, toolParams, toolParamSetters);
+    useParamHistory(toolParams, toolParamSetters);
+    const userPresets = useUserPresets({
+        tool: 'reverb-explorer', schema: URL_SCHEMA, params: toolParams, applyParams: toolParamSetters,
+    });
+
     const [isAudioReady, setIsAudioReady] = useState(false);
 
+    // Latest parameters, so the nodes start with them without initAudioNodes depending on them
+    const paramsRef = useRef(null);
+    paramsRef.current = { decay, preDelay, wet };
+
     // Function to create and connect Tone.js nodes for Reverb Explorer
     const initAudioNodes = useCallback(async () => {
+        const { decay, preDelay, wet } = paramsRef.current;
         if (hasInitializedRef.current) {
             console.log('useReverbSynth: initAudioNodes: already initialized, skipping init.');
             return;
@@ -97,30 +86,32 @@ const useReverbSynth = () => {
 
         console.log(`useReverbSynth: initAudioNodes called. isAudioGloballyReady: ${isAudioGloballyReady}`);
 
-        if (isAudioGloballyReady && !playerRef.current) {
-            console.log('useReverbSynth: Proceeding with initialization of audio nodes and loading MP3...');
+        if (isAudioGloballyReady && !sourceRef.current) {
+            console.log('useReverbSynth: Proceeding with initialization of audio nodes and loading the audio source...');
             try {
-                // Create Tone.Player for the C3 sample
-                const player = new Tone.Player({
-                    url: SAMPLE_C3_MP3_PATH,
-                    loop: true, // Loop the sample for continuous reverb effect
-                    autostart: false,
-                });
-                await player.load(SAMPLE_C3_MP3_PATH);
-                console.log('useReverbSynth: C3 sample loaded successfully.');
+                // Create the switchable source (demo loop, user file or generator)
+                const source = registerNode(new ExplorerSource());
+                await loadSelectedSource(source);
+                console.log('useReverbSynth: Audio source loaded successfully.');
+
+                // A/B comparison: the bypass path taps the source ahead of the effect
+                const comparator = registerNode(new ABComparator()).toDestination();
+                source.connect(comparator.dry);
 
                 // Create Tone.Reverb with initial values
-                const reverb = new Tone.Reverb({
+                const reverb = registerNode(new Tone.Reverb({
                     decay: decay,
                     preDelay: preDelay,
                     wet: wet,
-                }).toDestination(); // Connect reverb directly to destination
+                })).connect(comparator); // Connect reverb to the output through the A/B switch
 
                 // Connect player to reverb
-                player.connect(reverb);
+                source.connect(reverb);
 
                 // Store references
-                playerRef.current = player;
+                sourceRef.current = source;
+                comparatorRef.current = comparator;
+                syncComparator();
                 reverbRef.current = reverb;
 
                 setIsAudioReady(true);
@@ -128,26 +119,30 @@ const useReverbSynth = () => {
                 console.log('useReverbSynth: Audio nodes initialized and connected.');
 
             } catch (error) {
-                console.error("useReverbSynth: Error initializing audio nodes or loading MP3:", error);
+                console.error("useReverbSynth: Error initializing audio nodes or loading the audio source:", error);
                 setIsAudioReady(false);
                 hasInitializedRef.current = false;
             }
         } else {
             console.log("useReverbSynth: initAudioNodes skipped. Not globally ready or player already exists.");
         }
-    }, [isAudioGloballyReady]); // IMPORTANT: Removed decay, preDelay, wet from dependencies.
+    }, [isAudioGloballyReady, loadSelectedSource, syncComparator]); // IMPORTANT: Removed decay, preDelay, wet from dependencies.
                                 // These are now handled by the separate useEffect below for real-time updates.
 
     // Function to dispose Tone.js nodes
     const disposeAudioNodes = useCallback(() => {
-        console.log(`useReverbSynth: disposeAudioNodes called. playerRef.current: ${playerRef.current}`);
-        if (playerRef.current) {
+        console.log(`useReverbSynth: disposeAudioNodes called. sourceRef.current: ${sourceRef.current}`);
+        if (sourceRef.current) {
             console.log('useReverbSynth: Disposing audio nodes...');
-            playerRef.current.stop(); // Stop playback
-            playerRef.current.dispose(); // Dispose the player
+            sourceRef.current.stop(); // Stop playback
+            sourceRef.current.dispose(); // Dispose the player
             if (reverbRef.current) reverbRef.current.dispose(); // Dispose the reverb
 
-            playerRef.current = null;
+            sourceRef.current = null;
+            if (comparatorRef.current) {
+                comparatorRef.current.dispose();
+                comparatorRef.current = null;
+            }
             reverbRef.current = null;
 
             setIsPlaying(false);
@@ -182,7 +177,7 @@ const useReverbSynth = () => {
         }
     }, [decay, preDelay, wet, isAudioReady]); // These dependencies are correct for updating parameters
 
-    // Toggles playback of the C3 note
+    // Toggles playback of the source
     const togglePlay = useCallback(async () => {
         console.log('togglePlay called. isPlaying:', isPlaying, 'isAudioGloballyReady:', isAudioGloballyReady, 'isAudioReady:', isAudioReady);
 
@@ -200,16 +195,16 @@ const useReverbSynth = () => {
         }
 
         // Now, proceed with playback toggle if everything is ready
-        // Added hasInitializedRef.current to ensure playerRef.current is reliably set
-        if (playerRef.current && hasInitializedRef.current && isAudioReady) {
+        // Added hasInitializedRef.current to ensure sourceRef.current is reliably set
+        if (sourceRef.current && hasInitializedRef.current && isAudioReady) {
             if (isPlaying) {
-                playerRef.current.stop();
+                sourceRef.current.stop();
                 setIsPlaying(false);
-                console.log('togglePlay: C3 note stopped.');
+                console.log('togglePlay: Source stopped.');
             } else {
-                playerRef.current.start();
+                sourceRef.current.start();
                 setIsPlaying(true);
-                console.log('togglePlay: C3 note started.');
+                console.log('togglePlay: Source started.');
             }
         } else {
             console.warn('togglePlay: Cannot toggle playback. Audio system not fully ready.');
@@ -217,6 +212,8 @@ const useReverbSynth = () => {
     }, [isPlaying, isAudioGloballyReady, isAudioReady, startGlobalAudio, initAudioNodes]);
 
     return {
+        userPresets,
+        selectedSource, selectSource, selectFile, isLoadingSource, sourceError, liveInput, abCompare,
         isPlaying,
         togglePlay,
         decay,
@@ -234,11 +231,13 @@ const useReverbSynth = () => {
 // --- ReverbExplorer Component (Main Component) ---
 const ReverbExplorerContent = () => { // Renamed to ReverbExplorerContent
     const {
+        selectedSource, selectSource, selectFile, isLoadingSource, sourceError, liveInput, abCompare,
         isPlaying, togglePlay,
         decay, setDecay,
         preDelay, setPreDelay,
         wet, setWet,
         isAudioReady,
+        userPresets,
     } = useReverbSynth();
 
     const getExplanation = (param) => {
@@ -285,7 +284,7 @@ const ReverbExplorerContent = () => { // Renamed to ReverbExplorerContent
                     </div>
                     {!isAudioReady && (
                         <p className="text-blue-700 text-sm mt-4 animate-pulse">
-                            Click "Play C3 Note" to activate audio and begin.
+                            Click "Play Audio Loop" to activate audio and begin.
                         </p>
                     )}
                 </div>
@@ -304,9 +303,21 @@ const ReverbExplorerContent = () => { // Renamed to ReverbExplorerContent
                         `}
                     >
                         {isPlaying ? <Pause size={24} /> : <Play size={24} />}
-                        {isPlaying ? "Stop C3 Note" : "Play C3 Note"} {/* Updated button text */}
+                        {isPlaying ? "Stop Audio Loop" : "Play Audio Loop"} {/* Updated button text */}
                     </button>
 
+                    {/* Audio Source */}
+                    <SourceSelector
+                        selectedSource={selectedSource}
+                        onSelect={selectSource}
+                        onFile={selectFile}
+                        isLoading={isLoadingSource}
+                        error={sourceError}
+                        liveInput={liveInput}
+                    />
+                    <ABCompareControls abCompare={abCompare} disabled={!isAudioReady} />
+                    <PresetPanel presets={userPresets} />
+
                     {/* Reverb Parameter Sliders */}
                     <div className="grid grid-cols-1 md:grid-cols-3 gap-6 w-full mt-8">
                         {/* Decay Slider */}
@@ -363,12 +374,10 @@ const ReverbExplorerContent = () => { // Renamed to ReverbExplorerContent
     );
 };
 
-// This is the default export, it no longer wraps with AudioContextProvider
+// This is the default export; audio comes from the global AudioProvider
 const ReverbExplorer = () => {
     return (
-        <AudioContextProvider> {/* Re-added AudioContextProvider here */}
-            <ReverbExplorerContent />
-        </AudioContextProvider>
+        <ReverbExplorerContent />
     );
 }
 
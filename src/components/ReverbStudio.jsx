@@ -1,7 +1,37 @@
-import React, { useState, useEffect, useRef, useCallback, createContext, useContext, useMemo } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useContext, useMemo } from 'react';
 import * as Tone from 'tone';
-import { Play, Pause, Upload, Download, Waves, RotateCcw, ChevronDown, Volume2 } from 'lucide-react';
+import { AudioContext } from '../contexts/AudioContext';
+import { registerNode } from '../utils/audioEngine';
+import { exportAudioBuffer, DEFAULT_EXPORT_SETTINGS } from '../utils/audioExport';
+import { downloadBlob, getBaseFileName } from '../utils/downloadUtils';
+import useExportJob from '../hooks/useExportJob';
+import useABCompare from '../hooks/useABCompare';
+import useRegionPlayback from '../hooks/useRegionPlayback';
+import useAudioEdits from '../hooks/useAudioEdits';
+import useStudioProject from '../hooks/useStudioProject';
+import useUrlState from '../hooks/useUrlState';
+import useParamHistory from '../hooks/useParamHistory';
+import useUserPresets from '../hooks/useUserPresets';
+import { createUrlSchema, urlParam } from '../utils/urlState';
+import { startLoopingPlayer } from '../utils/audioRegion';
+import { applyEdits } from '../utils/audioEdits';
+import { ABComparator } from '../utils/abCompare';
+import { LoudnessMeter } from '../utils/loudnessMeter';
+import useLiveInput from '../hooks/useLiveInput';
+import { LiveInput } from '../utils/liveInput';
+import { ImpulseReverb, generateReverbImpulse, DEFAULT_IMPULSE_PRE_DELAY } from '../utils/impulseReverb';
+import { renderOffline, getRenderDuration } from '../utils/offlineRenderer';
+import { Play, Pause, Upload, Download, Waves, RotateCcw, ChevronDown, Volume2, X, Mic, MicOff } from 'lucide-react';
 import SEOHead from './SEOHead';
+import ExportOptions from './ExportOptions';
+import ABCompareControls from './ABCompareControls';
+import WaveformOverview from './WaveformOverview';
+import AudioEditPanel from './AudioEditPanel';
+import ProjectPanel from './ProjectPanel';
+import PresetPanel from './PresetPanel';
+import LoudnessMeterPanel from './LoudnessMeterPanel';
+import LoudnessReport from './LoudnessReport';
+import LiveInputControls from './LiveInputControls';
 
 
 // Define the tool object for SEO structured data
@@ -20,52 +50,6 @@ const reverbStudioTool = {
 };
 
 
-// Audio Context Provider
-export const AudioContext = createContext(null);
-
-const AudioContextProvider = ({ children }) => {
-    const [isAudioGloballyReady, setIsAudioGloballyReady] = useState(false);
-
-    const startGlobalAudio = useCallback(async () => {
-        if (Tone.context.state !== 'running') {
-            try {
-                console.log('Starting Tone.js context...');
-                await Tone.start();
-                setIsAudioGloballyReady(true);
-                console.log('Tone.js context started successfully.');
-            } catch (error) {
-                console.error("Error starting Tone.js context:", error);
-                setIsAudioGloballyReady(false);
-            }
-        } else {
-            setIsAudioGloballyReady(true);
-        }
-    }, []);
-
-    useEffect(() => {
-        const handleToneContextChange = () => {
-            setIsAudioGloballyReady(Tone.context.state === 'running');
-        };
-
-        if (Tone.context.on) {
-            Tone.context.on('statechange', handleToneContextChange);
-        }
-        handleToneContextChange();
-
-        return () => {
-            if (Tone.context.off) {
-                Tone.context.off('statechange', handleToneContextChange);
-            }
-        };
-    }, []);
-
-    return (
-        <AudioContext.Provider value={{ isAudioGloballyReady, startGlobalAudio }}>
-            {children}
-        </AudioContext.Provider>
-    );
-};
-
 // Reverb presets with different characteristics
 const REVERB_PRESETS = {
     'Hall': { decay: 3.5, wet: 0.7, roomSize: 0.8, preDelay: 0.05 },
@@ -80,54 +64,30 @@ const REVERB_PRESETS = {
     'Custom': { decay: 2.0, wet: 0.5, roomSize: 0.5, preDelay: 0.03 }
 };
 
-// Helper function to convert AudioBuffer to WAV Blob
-const audioBufferToWav = (buffer) => {
-    const numOfChan = buffer.numberOfChannels;
-    const length = buffer.length * numOfChan * 2 + 44;
-    const bufferArray = new ArrayBuffer(length);
-    const view = new DataView(bufferArray);
-    
-    let pos = 0;
-    const setUint16 = (data) => {
-        view.setUint16(pos, data, true);
-        pos += 2;
-    };
-    
-    const setUint32 = (data) => {
-        view.setUint32(pos, data, true);
-        pos += 4;
-    };
-    
-    const writeString = (str) => {
-        for (let i = 0; i < str.length; i++) {
-            view.setUint8(pos++, str.charCodeAt(i));
-        }
-    };
-    
-    writeString('RIFF');
-    setUint32(length - 8);
-    writeString('WAVE');
-    writeString('fmt ');
-    setUint32(16);
-    setUint16(1);
-    setUint16(numOfChan);
-    setUint32(buffer.sampleRate);
-    setUint32(buffer.sampleRate * 2 * numOfChan);
-    setUint16(numOfChan * 2);
-    setUint16(16);
-    writeString('data');
-    setUint32(buffer.length * numOfChan * 2);
-    
-    for (let i = 0; i < buffer.length; i++) {
-        for (let chan = 0; chan < numOfChan; chan++) {
-            const sample = Math.max(-1, Math.min(1, buffer.getChannelData(chan)[i]));
-            const int16 = sample < 0 ? sample * 32768 : sample * 32767;
-            view.setInt16(pos, int16, true);
-            pos += 2;
-        }
-    }
-    
-    return new Blob([view], { type: 'audio/wav' });
+// Parameters kept in the URL (the keys of the project parameters), so a link reopens them
+const URL_SCHEMA = createUrlSchema({
+    params: {
+        reverbDecay: urlParam.number({ min: 0.1, max: 10 }),
+        wetLevel: urlParam.number({ min: 0, max: 1 }),
+        roomSize: urlParam.number({ min: 0, max: 1 }),
+        preDelay: urlParam.number({ min: 0, max: 0.5 }),
+        damping: urlParam.number({ min: 0, max: 1 }),
+        isReverbActive: urlParam.boolean(),
+        selectedPreset: urlParam.oneOf(Object.keys(REVERB_PRESETS)),
+    },
+});
+
+/**
+ * Builds the effect chain: pre-delay -> convolution reverb. Playback and the
+ * offline export both use it, so the download sounds exactly like playback.
+ * @param {object} params { impulse, wet, preDelay }
+ * @returns {{ input: Tone.Delay, output: ImpulseReverb, delay: Tone.Delay, reverb: ImpulseReverb }}
+ */
+const buildReverbChain = ({ impulse, wet, preDelay }) => {
+    const delay = new Tone.Delay(preDelay);
+    const reverb = new ImpulseReverb({ impulse, wet });
+    delay.connect(reverb);
+    return { input: delay, output: reverb, delay, reverb };
 };
 
 // Custom hook for Reverb functionality
@@ -137,24 +97,55 @@ const useReverbProcessor = () => {
     const reverbRef = useRef(null);
     const delayRef = useRef(null);
     const analyserRef = useRef(null);
+    const impulseRef = useRef(null); // Current impulse response, shared by playback and export
     const currentAudioBufferRef = useRef(null);
+    const liveInputRef = useRef(null); // Live microphone/line input, created on first use
+    const comparatorRef = useRef(null); // A/B switch between the dry and reverberated signals
+    const loudnessMeterRef = useRef(null); // BS.1770 meter on what is heard
 
     const [isPlaying, setIsPlaying] = useState(false);
     const [isAudioReady, setIsAudioReady] = useState(false);
     const [isLoadingAudio, setIsLoadingAudio] = useState(false);
     const [audioLoadError, setAudioLoadError] = useState(null);
-    const [isDownloading, setIsDownloading] = useState(false);
+    const { isExporting: isDownloading, exportProgress: downloadProgress, runExport, cancelExport: cancelDownload } = useExportJob();
     const [audioFileName, setAudioFileName] = useState('');
     const [hasAudioFile, setHasAudioFile] = useState(false);
     const [selectedPreset, setSelectedPreset] = useState('Hall');
+    const [exportSettings, setExportSettings] = useState(DEFAULT_EXPORT_SETTINGS); // Download format, quality and sample rate
+    const [exportReport, setExportReport] = useState(null); // Loudness of the last exported file
 
     // Reverb parameters
     const [reverbDecay, setReverbDecay] = useState(3.5);
     const [wetLevel, setWetLevel] = useState(0.7);
     const [roomSize, setRoomSize] = useState(0.8);
     const [preDelay, setPreDelay] = useState(0.05);
-    const [damping, setDamping] = useState(0.5); // Damping is not directly exposed by Tone.Reverb, but can be simulated or ignored for simplicity
+    const [damping, setDamping] = useState(0.5); // Damping is not directly exposed by the reverb, but can be simulated or ignored for simplicity
     const [isReverbActive, setIsReverbActive] = useState(true);
+    const [isLiveInputOn, setIsLiveInputOn] = useState(false);
+
+    const getLiveInput = useCallback(() => liveInputRef.current, []);
+    const liveInput = useLiveInput(getLiveInput);
+    const { openInput, closeInput } = liveInput;
+
+    const getComparator = useCallback(() => comparatorRef.current, []);
+
+    // Play position, seeking and the looped/exported region of the file
+    const playback = useRegionPlayback({
+        startSource: (offset, bounds, buffer) => startLoopingPlayer(playerRef.current, offset, bounds, buffer),
+        stopSource: () => playerRef.current?.stop(),
+    });
+    const { play: startPlayback, stop: stopPlayback, loadBuffer, replaceBuffer, getExportBuffer } = playback;
+
+    // Non-destructive edits of the file; playback and the waveform follow the edited audio
+    const audioEdits = useAudioEdits();
+    const { setSourceBuffer, edits, editedBuffer } = audioEdits;
+    useEffect(() => {
+        if (editedBuffer) replaceBuffer(editedBuffer);
+    }, [editedBuffer, replaceBuffer]);
+
+    const getLoudnessMeter = useCallback(() => loudnessMeterRef.current, []);
+    const abCompare = useABCompare(getComparator);
+    const { syncComparator } = abCompare;
 
     const initAudioNodes = useCallback(async (audioBuffer) => {
         try {
@@ -180,11 +171,19 @@ const useReverbProcessor = () => {
                 analyserRef.current.dispose();
                 analyserRef.current = null;
             }
+            if (comparatorRef.current) {
+                comparatorRef.current.dispose();
+                comparatorRef.current = null;
+            }
+            if (loudnessMeterRef.current) {
+                loudnessMeterRef.current.dispose();
+                loudnessMeterRef.current = null;
+            }
 
             console.log('Initializing reverb processor...');
 
             // Create new player
-            const player = new Tone.Player({
+            const player = registerNode(new Tone.Player({
                 url: audioBuffer,
                 loop: true,
                 autostart: false,
@@ -193,34 +192,42 @@ const useReverbProcessor = () => {
                     setIsAudioReady(true);
                     setIsLoadingAudio(false);
                 }
-            });
+            }));
 
-            // Create reverb with initial settings
-            const reverb = new Tone.Reverb({
-                decay: reverbDecay,
+            // Create the pre-delay -> reverb chain. The reverb has no direct 'roomSize'
+            // parameter; its character comes from the decay and wet settings.
+            const { delay, reverb } = buildReverbChain({
+                impulse: impulseRef.current,
                 wet: isReverbActive ? wetLevel : 0,
-                // Tone.Reverb does not have a direct 'roomSize' parameter.
-                // It's typically controlled by 'decay' and internal algorithms.
-                // For demonstration, we'll map roomSize to decay or simply omit it.
-                // For now, we'll just use decay and wet.
+                preDelay,
             });
-
-            // Create pre-delay
-            const delay = new Tone.Delay(preDelay);
+            registerNode(delay);
+            registerNode(reverb);
 
             // Create analyser for visualization
-            const analyser = new Tone.Analyser("fft", 512);
-
-            // Connect audio chain: Player -> Delay -> Reverb -> Analyser -> Destination
-            player.connect(delay);
-            delay.connect(reverb);
-            reverb.connect(analyser);
+            const analyser = registerNode(new Tone.Analyser("fft", 512));
+
+            // A/B switch between the dry player (bypass) and the reverb output
+            const comparator = registerNode(new ABComparator());
+            const loudnessMeter = registerNode(new LoudnessMeter());
+
+            // Connect audio chain: Player -> Delay -> Reverb -> A/B switch -> Analyser -> Destination
+            player.fan(delay, comparator.dry);
+            reverb.connect(comparator);
+            comparator.fan(analyser, loudnessMeter);
+            // Keep the live input feeding the new chain
+            if (liveInputRef.current) {
+                liveInputRef.current.disconnect().fan(delay, comparator.dry);
+            }
             analyser.connect(Tone.Destination);
 
             playerRef.current = player;
             reverbRef.current = reverb;
             delayRef.current = delay;
             analyserRef.current = analyser;
+            comparatorRef.current = comparator;
+            loudnessMeterRef.current = loudnessMeter;
+            syncComparator();
 
             console.log('Reverb processor initialized successfully.');
 
@@ -230,7 +237,7 @@ const useReverbProcessor = () => {
             setIsAudioReady(false);
             setIsLoadingAudio(false);
         }
-    }, [reverbDecay, wetLevel, preDelay, isReverbActive]); // Removed roomSize from dependencies as Tone.Reverb doesn't directly use it
+    }, [wetLevel, preDelay, isReverbActive, syncComparator]); // roomSize is UI-only, the reverb doesn't use it
 
     const disposeAudioNodes = useCallback(() => {
         if (playerRef.current) {
@@ -250,7 +257,20 @@ const useReverbProcessor = () => {
             analyserRef.current.dispose();
             analyserRef.current = null;
         }
+        if (liveInputRef.current) {
+            liveInputRef.current.dispose();
+            liveInputRef.current = null;
+        }
+        if (comparatorRef.current) {
+            comparatorRef.current.dispose();
+            comparatorRef.current = null;
+        }
+        if (loudnessMeterRef.current) {
+            loudnessMeterRef.current.dispose();
+            loudnessMeterRef.current = null;
+        }
         setIsPlaying(false);
+        setIsLiveInputOn(false);
         setIsAudioReady(false);
         setIsLoadingAudio(false);
         setAudioLoadError(null);
@@ -266,15 +286,27 @@ const useReverbProcessor = () => {
         };
     }, [disposeAudioNodes]);
 
+    // Regenerate the impulse response when the decay changes
+    useEffect(() => {
+        let isCurrent = true;
+        generateReverbImpulse({ decay: reverbDecay }).then(impulse => {
+            if (!isCurrent) return;
+            impulseRef.current = impulse;
+            if (reverbRef.current) {
+                reverbRef.current.impulse = impulse;
+            }
+        });
+        return () => {
+            isCurrent = false;
+        };
+    }, [reverbDecay]);
+
     // Update reverb parameters in real-time
     useEffect(() => {
         if (reverbRef.current) {
-            reverbRef.current.set({
-                decay: reverbDecay,
-                wet: isReverbActive ? wetLevel : 0,
-            });
+            reverbRef.current.wet.value = isReverbActive ? wetLevel : 0;
         }
-    }, [reverbDecay, wetLevel, isReverbActive]);
+    }, [wetLevel, isReverbActive]);
 
     useEffect(() => {
         if (delayRef.current) {
@@ -290,17 +322,47 @@ const useReverbProcessor = () => {
 
         if (playerRef.current && isAudioReady && !isLoadingAudio) {
             if (isPlaying) {
-                playerRef.current.stop();
+                stopPlayback();
                 setIsPlaying(false);
             } else {
-                playerRef.current.start();
+                startPlayback();
                 setIsPlaying(true);
             }
         }
-    }, [isPlaying, isAudioGloballyReady, isAudioReady, isLoadingAudio, startGlobalAudio]);
+    }, [isPlaying, isAudioGloballyReady, isAudioReady, isLoadingAudio, startGlobalAudio, startPlayback, stopPlayback]);
+
+    // Runs the live microphone/line input through the reverb instead of the file, or stops it
+    const toggleLiveInput = useCallback(async () => {
+        if (!isAudioGloballyReady) {
+            await startGlobalAudio();
+        }
+
+        if (isLiveInputOn) {
+            liveInputRef.current.stop();
+            closeInput();
+            setIsLiveInputOn(false);
+            return;
+        }
+
+        if (!delayRef.current) return;
+        if (!liveInputRef.current) {
+            liveInputRef.current = registerNode(new LiveInput()).fan(delayRef.current, comparatorRef.current.dry);
+        }
+        if (await openInput()) {
+            if (playerRef.current && isPlaying) {
+                stopPlayback();
+                setIsPlaying(false);
+            }
+            liveInputRef.current.start();
+            setIsLiveInputOn(true);
+        }
+    }, [isLiveInputOn, isPlaying, isAudioGloballyReady, startGlobalAudio, openInput, closeInput, stopPlayback]);
+
+    // Switches the live input to another device
+    const selectInputDevice = useCallback((deviceId) => openInput({ deviceId }), [openInput]);
 
     const handleFileUpload = useCallback(async (file) => {
-        if (!file) return;
+        if (!file) return false;
 
         console.log('File selected:', file.name);
         setAudioFileName(file.name);
@@ -316,6 +378,8 @@ const useReverbProcessor = () => {
             const arrayBuffer = await file.arrayBuffer();
             const audioBuffer = await Tone.context.decodeAudioData(arrayBuffer);
             currentAudioBufferRef.current = audioBuffer;
+            loadBuffer(audioBuffer);
+            setSourceBuffer(audioBuffer);
 
             const audioBlobUrl = URL.createObjectURL(file);
             await initAudioNodes(audioBlobUrl);
@@ -324,6 +388,7 @@ const useReverbProcessor = () => {
             setTimeout(() => {
                 URL.revokeObjectURL(audioBlobUrl);
             }, 1000);
+            return true;
 
         } catch (error) {
             console.error('Error handling file upload:', error);
@@ -331,15 +396,16 @@ const useReverbProcessor = () => {
             setIsAudioReady(false);
             setIsLoadingAudio(false);
             setAudioFileName('');
+            return false;
         }
-    }, [isAudioGloballyReady, startGlobalAudio, initAudioNodes]);
+    }, [isAudioGloballyReady, startGlobalAudio, initAudioNodes, loadBuffer, setSourceBuffer]);
 
     const applyPreset = useCallback((presetName) => {
         const preset = REVERB_PRESETS[presetName];
         if (preset) {
             setReverbDecay(preset.decay);
             setWetLevel(preset.wet);
-            setRoomSize(preset.roomSize); // Keep for UI, even if not directly used by Tone.Reverb
+            setRoomSize(preset.roomSize); // Keep for UI, even if not directly used by the reverb
             setPreDelay(preset.preDelay);
             setSelectedPreset(presetName);
             console.log(`Preset "${presetName}" applied.`);
@@ -353,159 +419,89 @@ const useReverbProcessor = () => {
         console.log('Reverb settings reset to Hall preset.');
     }, [applyPreset]);
 
+    // Parameter values saved in the project (see useStudioProject)
+    const projectParams = useMemo(() => ({
+        reverbDecay,
+        wetLevel,
+        roomSize,
+        preDelay,
+        damping,
+        isReverbActive,
+        selectedPreset,
+    }), [reverbDecay, wetLevel, roomSize, preDelay, damping, isReverbActive, selectedPreset]);
+
+    const applyProjectParams = useCallback((params) => {
+        if (params.reverbDecay >= 0) setReverbDecay(params.reverbDecay);
+        if (params.wetLevel >= 0) setWetLevel(params.wetLevel);
+        if (params.roomSize >= 0) setRoomSize(params.roomSize);
+        if (params.preDelay >= 0) setPreDelay(params.preDelay);
+        if (params.damping >= 0) setDamping(params.damping);
+        if (typeof params.isReverbActive === 'boolean') setIsReverbActive(params.isReverbActive);
+        if (params.selectedPreset) setSelectedPreset(params.selectedPreset);
+    }, []);
+
+    // Keeps the reverb settings in the URL; a link's settings win over the last project's
+    const { hasUrlState } = useUrlState(URL_SCHEMA, projectParams, applyProjectParams);
+    useParamHistory(projectParams, applyProjectParams);
+    const userPresets = useUserPresets({
+        tool: 'reverb-studio', schema: URL_SCHEMA, params: projectParams, applyParams: applyProjectParams,
+    });
+
+    // Saves the file, parameters and edits as a project and restores it on the next visit
+    const project = useStudioProject({
+        studio: 'reverb-studio',
+        params: projectParams,
+        applyParams: applyProjectParams,
+        audioEdits,
+        loadFile: handleFileUpload,
+        restoreParams: !hasUrlState,
+    });
+
     const downloadProcessedAudio = useCallback(async () => {
         if (!currentAudioBufferRef.current || isDownloading) return;
 
-        setIsDownloading(true);
         setAudioLoadError(null);
 
         try {
-            console.log('Starting offline reverb processing...');
-            
-            const originalBuffer = currentAudioBufferRef.current;
-            const channels = originalBuffer.numberOfChannels;
-            const sampleRate = originalBuffer.sampleRate;
-            
-            // Add extra length for reverb tail
-            const reverbTailLength = Math.floor(sampleRate * reverbDecay);
-            const totalLength = originalBuffer.length + reverbTailLength;
-            
-            // Create offline context with extended length for reverb tail
-            const offlineContext = new OfflineAudioContext(channels, totalLength, sampleRate);
-
-            // Create source node
-            const source = offlineContext.createBufferSource();
-            source.buffer = originalBuffer;
-
-            // Create delay node for pre-delay
-            const delay = offlineContext.createDelay(1.0);
-            delay.delayTime.value = preDelay;
-
-            // Create a better impulse response for reverb
-            const impulseLength = Math.floor(sampleRate * reverbDecay);
-            const impulse = offlineContext.createBuffer(2, impulseLength, sampleRate);
-            
-            // Generate more realistic impulse response
-            for (let channel = 0; channel < 2; channel++) {
-                const channelData = impulse.getChannelData(channel);
-                
-                // Early reflections (first 80ms)
-                const earlyReflectionTime = Math.floor(sampleRate * 0.08);
-                for (let i = 0; i < earlyReflectionTime; i++) {
-                    const t = i / sampleRate;
-                    const amplitude = Math.exp(-t * 3) * (Math.random() * 0.5 - 0.25);
-                    channelData[i] = amplitude;
-                }
-                
-                // Late reverberation (exponential decay)
-                for (let i = earlyReflectionTime; i < impulseLength; i++) {
-                    const t = i / sampleRate;
-                    const decayFactor = 6.91 / reverbDecay; // -60dB decay time
-                    const amplitude = Math.exp(-t * decayFactor);
-                    
-                    // Add some randomness and density
-                    const noise = (Math.random() * 2 - 1) * amplitude;
-                    const diffusion = Math.sin(t * 1000 + channel * Math.PI) * amplitude * 0.1;
-                    
-                    channelData[i] = noise + diffusion;
-                }
-                
-                // Apply room size effect by filtering
-                if (roomSize < 0.5) {
-                    // Smaller rooms have more high-frequency absorption
-                    const cutoff = 0.3 + (roomSize * 0.4);
-                    for (let i = 1; i < impulseLength; i++) {
-                        channelData[i] = channelData[i] * cutoff + channelData[i-1] * (1 - cutoff);
-                    }
-                }
-            }
-
-            // Create convolution reverb
-            const reverb = offlineContext.createConvolver();
-            reverb.buffer = impulse;
-
-            // Create gain nodes for wet/dry mix
-            const wetGain = offlineContext.createGain();
-            const dryGain = offlineContext.createGain();
-            const outputGain = offlineContext.createGain();
-            
-            // Set gain values
-            const wetAmount = isReverbActive ? wetLevel : 0;
-            const dryAmount = 1 - wetAmount * 0.5; // Compensate for wet signal
-            
-            wetGain.gain.value = wetAmount;
-            dryGain.gain.value = dryAmount;
-            outputGain.gain.value = 0.8; // Prevent clipping
-
-            // Connect the audio chain properly
-            source.connect(delay);
-            
-            // Dry path
-            delay.connect(dryGain);
-            dryGain.connect(outputGain);
-            
-            // Wet path
-            delay.connect(reverb);
-            reverb.connect(wetGain);
-            wetGain.connect(outputGain);
-            
-            // Connect to destination
-            outputGain.connect(offlineContext.destination);
-
-            // Start playback
-            source.start(0);
-
-            // Render the audio
-            console.log('Rendering audio...');
-            const renderedBuffer = await offlineContext.startRendering();
-            console.log('Offline reverb processing complete');
-
-            // Normalize the output to prevent clipping
-            for (let channel = 0; channel < renderedBuffer.numberOfChannels; channel++) {
-                const channelData = renderedBuffer.getChannelData(channel);
-                let maxValue = 0;
-                
-                // Find peak value
-                for (let i = 0; i < channelData.length; i++) {
-                    maxValue = Math.max(maxValue, Math.abs(channelData[i]));
-                }
-                
-                // Apply normalization if needed
-                if (maxValue > 0.95) {
-                    const normalizationFactor = 0.95 / maxValue;
-                    for (let i = 0; i < channelData.length; i++) {
-                        channelData[i] *= normalizationFactor;
-                    }
-                }
-            }
-
-            // Convert to WAV and download
-            const wavBlob = audioBufferToWav(renderedBuffer);
-            const url = URL.createObjectURL(wavBlob);
-            const a = document.createElement('a');
-            a.style.display = 'none';
-            a.href = url;
-
-            // Get the base name of the uploaded file without its extension
-            const baseFileName = audioFileName.split('.').slice(0, -1).join('.') || 'audio';
-            a.download = `${baseFileName}-reverb.wav`;
-
-            document.body.appendChild(a);
-            a.click();
-            
-            // Clean up
-            setTimeout(() => {
-                URL.revokeObjectURL(url);
-                document.body.removeChild(a);
-            }, 100);
-
+            await runExport(async ({ signal, onRenderProgress, onEncodeProgress }) => {
+                console.log('Starting offline reverb processing...');
+
+                const originalBuffer = getExportBuffer(applyEdits(currentAudioBufferRef.current, edits));
+                const chainParams = { impulse: impulseRef.current, wet: isReverbActive ? wetLevel : 0, preDelay };
+
+                // Render through the same chain as playback, with room for the reverb tail
+                const renderedBuffer = await renderOffline(() => {
+                    const player = new Tone.Player(originalBuffer);
+                    const { input, output } = buildReverbChain(chainParams);
+                    player.connect(input);
+                    output.toDestination();
+                    player.start(0);
+                }, {
+                    duration: getRenderDuration(originalBuffer, {
+                        tail: preDelay + DEFAULT_IMPULSE_PRE_DELAY + reverbDecay,
+                    }),
+                    onProgress: onRenderProgress,
+                    signal,
+                });
+                console.log('Offline reverb processing complete');
+
+                // Encode in the chosen format and download
+                const baseFileName = getBaseFileName(audioFileName);
+                const { blob, extension, loudness, notice } = await exportAudioBuffer(renderedBuffer, {
+                    ...exportSettings,
+                    onProgress: onEncodeProgress,
+                    signal,
+                    metadata: { title: baseFileName, software: 'LyriLab Reverb Studio', preset: selectedPreset },
+                });
+                const fileName = `${baseFileName}-reverb.${extension}`;
+                downloadBlob(blob, fileName);
+                setExportReport({ loudness, fileName, notice });
+            });
         } catch (error) {
             console.error('Error during reverb processing:', error);
             setAudioLoadError(`Failed to process reverb: ${error.message || error}`);
-        } finally {
-            setIsDownloading(false);
         }
-    }, [currentAudioBufferRef, reverbDecay, wetLevel, preDelay, roomSize, isReverbActive, audioFileName, isDownloading]);
+    }, [currentAudioBufferRef, reverbDecay, wetLevel, preDelay, isReverbActive, audioFileName, isDownloading, runExport, exportSettings, selectedPreset, getExportBuffer, edits]);
 
     const getFrequencyData = useCallback(() => {
         if (analyserRef.current) {
@@ -515,10 +511,18 @@ const useReverbProcessor = () => {
     }, []);
 
     return {
+        userPresets,
         isPlaying, togglePlay,
         isAudioReady, isLoadingAudio, audioLoadError,
-        isDownloading, downloadProcessedAudio,
+        isDownloading, downloadProgress, downloadProcessedAudio, cancelDownload, exportSettings, setExportSettings,
         handleFileUpload, audioFileName, hasAudioFile,
+        isLiveInputOn, toggleLiveInput, liveInput, selectInputDevice,
+        abCompare,
+        getLoudnessMeter,
+        exportReport,
+        playback,
+        audioEdits,
+        project,
         getFrequencyData,
         reverbDecay, setReverbDecay,
         wetLevel, setWetLevel,
@@ -531,7 +535,7 @@ const useReverbProcessor = () => {
 };
 
 // Upload Section Component
-const UploadSection = ({ onFileUpload, isLoading }) => {
+const UploadSection = ({ onFileUpload, isLoading, children }) => {
     const [dragActive, setDragActive] = useState(false);
     const fileInputRef = useRef(null);
 
@@ -621,6 +625,8 @@ const UploadSection = ({ onFileUpload, isLoading }) => {
                         disabled={isLoading}
                     />
                 </div>
+
+                {children && <div className="mt-8">{children}</div>}
             </div>
         </div>
     );
@@ -813,15 +819,23 @@ const ReverbContent = () => {
     const {
         isPlaying, togglePlay,
         isAudioReady, isLoadingAudio, audioLoadError,
-        isDownloading, downloadProcessedAudio,
-        handleFileUpload, audioFileName, hasAudioFile,
+        isDownloading, downloadProgress, downloadProcessedAudio, cancelDownload, exportSettings, setExportSettings,
+        audioFileName, hasAudioFile,
+        isLiveInputOn, toggleLiveInput, liveInput, selectInputDevice,
+        abCompare,
+        getLoudnessMeter,
+        exportReport,
+        playback,
+        audioEdits,
+        project,
         getFrequencyData,
         reverbDecay, setReverbDecay,
         wetLevel, setWetLevel,
         roomSize, setRoomSize,
         preDelay, setPreDelay,
         isReverbActive, setIsReverbActive,
-        selectedPreset, applyPreset, resetReverb
+        selectedPreset, applyPreset, resetReverb,
+        userPresets,
     } = useReverbProcessor();
 
     const analyserNode = useMemo(() => 
@@ -843,7 +857,11 @@ const ReverbContent = () => {
     }, [isReverbActive, selectedPreset, applyPreset]);
 
     if (!hasAudioFile) {
-        return <UploadSection onFileUpload={handleFileUpload} isLoading={isLoadingAudio} />;
+        return (
+            <UploadSection onFileUpload={project.openFile} isLoading={isLoadingAudio}>
+                <ProjectPanel project={project} disabled={isLoadingAudio} />
+            </UploadSection>
+        );
     }
 
     return (
@@ -906,9 +924,21 @@ const ReverbContent = () => {
                         <label className={`px-4 py-2 md:px-6 md:py-3 rounded-full font-semibold bg-blue-500 hover:bg-blue-600 text-white cursor-pointer flex items-center gap-1 md:gap-2 transition-all duration-200 text-sm md:text-base ${isLoadingAudio ? 'opacity-50 cursor-not-allowed' : ''}`}>
                             <Upload size={16} />
                             <span className="hidden sm:inline ml-1">Upload</span>
-                            <input type="file" accept="audio/*" onChange={(e) => handleFileUpload(e.target.files[0])} className="hidden" disabled={isLoadingAudio} />
+                            <input type="file" accept="audio/*" onChange={(e) => project.openFile(e.target.files[0])} className="hidden" disabled={isLoadingAudio} />
                         </label>
 
+                        <button
+                            onClick={toggleLiveInput}
+                            disabled={!isAudioReady || isLoadingAudio}
+                            className={`px-4 py-2 md:px-6 md:py-3 rounded-full font-semibold flex items-center gap-1 md:gap-2 transition-all duration-200 text-sm md:text-base ${
+                                isLiveInputOn ? 'bg-pink-500 hover:bg-pink-600 text-white'
+                                : 'bg-teal-500 hover:bg-teal-600 text-white'
+                            } ${(!isAudioReady || isLoadingAudio) ? 'opacity-50 cursor-not-allowed' : ''}`}
+                        >
+                            {isLiveInputOn ? <MicOff size={16} /> : <Mic size={16} />}
+                            <span className="hidden sm:inline ml-1">{isLiveInputOn ? 'Stop Input' : 'Live Input'}</span>
+                        </button>
+
                         <button
                             onClick={downloadProcessedAudio}
                             disabled={!isAudioReady || isLoadingAudio || isDownloading}
@@ -919,9 +949,27 @@ const ReverbContent = () => {
                             ) : (
                                 <Download size={16} />
                             )}
-                            <span className="hidden sm:inline ml-1">Download</span>
+                            <span className="hidden sm:inline ml-1">
+                                {isDownloading ? `${downloadProgress}%` : 'Download'}
+                            </span>
                         </button>
 
+                        {isDownloading && (
+                            <button
+                                onClick={cancelDownload}
+                                className="px-4 py-2 md:px-6 md:py-3 rounded-full font-semibold bg-red-500 hover:bg-red-600 text-white flex items-center gap-1 md:gap-2 transition-all duration-200 text-sm md:text-base"
+                            >
+                                <X size={16} />
+                                <span className="hidden sm:inline ml-1">Cancel</span>
+                            </button>
+                        )}
+
+                        <ExportOptions
+                            settings={exportSettings}
+                            onChange={setExportSettings}
+                            disabled={!isAudioReady || isLoadingAudio || isDownloading}
+                        />
+
                         <button
                             onClick={resetReverb}
                             disabled={!isAudioReady || isLoadingAudio || isDownloading}
@@ -964,6 +1012,44 @@ const ReverbContent = () => {
                         </div>
                     </div>
 
+                    {/* Projects */}
+                    <div className="mb-4 md:mb-8 bg-black/20 rounded-xl p-3 md:p-4 border border-cyan-500/20">
+                        <ProjectPanel project={project} disabled={isLoadingAudio || isDownloading} theme="dark" />
+                    </div>
+
+                    {/* User Presets */}
+                    <div className="mb-4 md:mb-8 bg-black/20 rounded-xl p-3 md:p-4 border border-cyan-500/20">
+                        <PresetPanel presets={userPresets} disabled={isLoadingAudio || isDownloading} theme="dark" />
+                    </div>
+
+                    {/* Waveform */}
+                    <div className="mb-4 md:mb-8 bg-black/20 rounded-xl p-3 md:p-4 border border-cyan-500/20">
+                        <WaveformOverview playback={playback} disabled={!isAudioReady || isLoadingAudio} theme="dark" />
+                    </div>
+
+                    {/* Edits */}
+                    <div className="mb-4 md:mb-8 bg-black/20 rounded-xl p-3 md:p-4 border border-cyan-500/20">
+                        <AudioEditPanel audioEdits={audioEdits} playback={playback} disabled={!isAudioReady || isLoadingAudio} theme="dark" />
+                    </div>
+
+                    {/* A/B Comparison */}
+                    <div className="mb-4 md:mb-8 bg-black/20 rounded-xl p-3 md:p-4 border border-cyan-500/20">
+                        <ABCompareControls abCompare={abCompare} disabled={!isAudioReady || isLoadingAudio} theme="dark" />
+                    </div>
+
+                    {/* Loudness */}
+                    <div className="mb-4 md:mb-8 bg-black/20 rounded-xl p-3 md:p-4 border border-cyan-500/20 space-y-3">
+                        <LoudnessMeterPanel getMeter={getLoudnessMeter} disabled={!isAudioReady} theme="dark" />
+                        <LoudnessReport loudness={exportReport?.loudness} fileName={exportReport?.fileName} notice={exportReport?.notice} theme="dark" />
+                    </div>
+
+                    {/* Live Input */}
+                    {(isLiveInputOn || liveInput.inputError) && (
+                        <div className="mb-4 md:mb-8 bg-black/20 rounded-xl p-3 md:p-4 border border-cyan-500/20">
+                            <LiveInputControls liveInput={liveInput} onDeviceChange={selectInputDevice} theme="dark" />
+                        </div>
+                    )}
+
                     {/* Compact Parameter Sliders */}
                     <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 md:gap-4 mb-4 md:mb-8">
                         <ParameterSlider
@@ -1031,9 +1117,7 @@ const ReverbContent = () => {
 // Main App component for the Reverb Studio
 const ReverbStudio = () => {
     return (
-        <AudioContextProvider>
-            <ReverbContent />
-        </AudioContextProvider>
+        <ReverbContent />
     );
 };
 
@@ -1,7 +1,20 @@
-import React, { useState, useEffect, useRef, useCallback, createContext, useContext } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useContext } from 'react';
 import * as Tone from 'tone';
+import { AudioContext } from '../contexts/AudioContext';
+import { registerNode } from '../utils/audioEngine';
+import { ExplorerSource } from '../utils/explorerSources';
+import useExplorerSource from '../hooks/useExplorerSource';
+import { ABComparator } from '../utils/abCompare';
+import useABCompare from '../hooks/useABCompare';
+import { createUrlSchema, urlParam } from '../utils/urlState';
+import useUrlState from '../hooks/useUrlState';
+import useParamHistory from '../hooks/useParamHistory';
+import useUserPresets from '../hooks/useUserPresets';
 import { Play, Pause, SquareDot } from 'lucide-react'; // Only SquareDot needed for Saturation icon
 import SEOHead from './SEOHead';
+import SourceSelector from './SourceSelector';
+import ABCompareControls from './ABCompareControls';
+import PresetPanel from './PresetPanel';
 
 
 // Define the tool object for SEO structured data
@@ -19,65 +32,28 @@ const saturationExplorerTool = {
     ]
 };
 
-// Define the path to your C4 piano sample.
-const C4_PIANO_MP3_PATH = '/piano_samples/C4.mp3';
+// Source the explorer starts with; the user can switch it with the source selector.
+const DEFAULT_SOURCE = { type: 'demo', id: 'piano' };
 
-// --- AUDIO CONTEXT ---
-// This context manages the global Tone.js audio state.
-export const AudioContext = createContext(null);
-
-const AudioContextProvider = ({ children }) => {
-    const [isAudioGloballyReady, setIsAudioGloballyReady] = useState(false);
-
-    // Function to start Tone.js audio context
-    const startGlobalAudio = useCallback(async () => {
-        if (Tone.context.state !== 'running') {
-            try {
-                console.log('AudioContext: Attempting to start global Tone.js context...');
-                await Tone.start();
-                setIsAudioGloballyReady(true);
-                console.log('AudioContext: Tone.js context started and is running.');
-            } catch (error) {
-                console.error("AudioContext: Error starting Tone.js context:", error);
-                setIsAudioGloballyReady(false);
-            }
-        } else {
-            setIsAudioGloballyReady(true);
-            console.log('AudioContext: Tone.js context already running.');
-        }
-    }, []);
-
-    // Effect to observe Tone.js context state changes
-    useEffect(() => {
-        const handleToneContextChange = () => {
-            if (Tone.context.state === 'running') {
-                setIsAudioGloballyReady(true);
-            } else {
-                setIsAudioGloballyReady(false);
-            }
-        };
-
-        Tone.context.on('statechange', handleToneContextChange);
-        handleToneContextChange(); // Initial check on mount
-
-        return () => {
-            Tone.context.off('statechange', handleToneContextChange);
-        };
-    }, []);
-
-    return (
-        <AudioContext.Provider value={{ isAudioGloballyReady, startGlobalAudio }}>
-            {children}
-        </AudioContext.Provider>
-    );
-};
-// --- END AUDIO CONTEXT ---
 
+// Saturation settings kept in the URL, so a link reopens them
+const URL_SCHEMA = createUrlSchema({
+    params: {
+        amount: urlParam.number({ min: 0, max: 0.5 }),
+        oversample: urlParam.oneOf(['none', '2x', '4x']),
+        wet: urlParam.number({ min: 0, max: 1 }),
+    },
+});
 
 // --- useSaturationSynth Hook ---
 const useSaturationSynth = () => {
     const { isAudioGloballyReady, startGlobalAudio } = useContext(AudioContext);
-    const playerRef = useRef(null);
+    const sourceRef = useRef(null);
+    const { selectedSource, selectSource, selectFile, isLoadingSource, sourceError, loadSelectedSource, liveInput } = useExplorerSource(sourceRef, DEFAULT_SOURCE);
+    const comparatorRef = useRef(null); // A/B switch between the bypass and processed signals
+    const getComparator = useCallback(() => comparatorRef.current, []);
+    const abCompare = useABCompare(getComparator);
+    const { syncComparator } = abCompare;
     const saturationRef = useRef(null);
     const waveformAnalyserRef = useRef(null);
     const hasInitializedRef = useRef(false);
@@ -91,6 +67,14 @@ const useSaturationSynth = () => {
     const [saturationOversample, setSaturationOversample] = useState('2x'); // 'none', '2x', '4x' for smoother saturation
     const [saturationWet, setSaturationWet] = useState(1.0); // Wet/Dry mix for saturation
 
+    const toolParams = { amount: saturationAmount, oversample: saturationOversample, wet: saturationWet };
+    const toolParamSetters = { amount: setSaturationAmount, oversample: setSaturationOversample, wet: setSaturationWet };
+    useUrlState(URL_SCHEMA, toolParams, toolParamSetters);
+    useParamHistory(toolParams, toolParamSetters);
+    const userPresets = useUserPresets({
+        tool: 'saturation-explorer', schema: URL_SCHEMA, params: toolParams, applyParams: toolParamSetters,
+    });
+
     // Function to create and connect Tone.js nodes for effects processing
     const initAudioNodes = useCallback(async () => {
         if (hasInitializedRef.current) {
@@ -100,37 +84,39 @@ const useSaturationSynth = () => {
 
         console.log(`useSaturationSynth: initAudioNodes called. isAudioGloballyReady: ${isAudioGloballyReady}`);
 
-        if (isAudioGloballyReady && !playerRef.current) {
-            console.log('useSaturationSynth: Proceeding with initialization of audio nodes and loading MP3...');
+        if (isAudioGloballyReady && !sourceRef.current) {
+            console.log('useSaturationSynth: Proceeding with initialization of audio nodes and loading the audio source...');
             try {
-                const player = new Tone.Player({
-                    url: C4_PIANO_MP3_PATH,
-                    loop: true,
-                    autostart: false,
-                    volume: -10 // Adjust volume for piano sample
-                });
-                await player.load(C4_PIANO_MP3_PATH);
-                console.log('useSaturationSynth: Piano sample loaded successfully.');
+                // Create the switchable source (demo loop, user file or generator)
+                const source = registerNode(new ExplorerSource({ volume: -10 })); // Adjust volume for the source
+                await loadSelectedSource(source);
+                console.log('useSaturationSynth: Audio source loaded successfully.');
+
+                // A/B comparison: the bypass path taps the source ahead of the effect
+                const comparator = registerNode(new ABComparator()).toDestination();
+                source.connect(comparator.dry);
 
                 // Initialize Saturation effect (using Tone.Distortion)
-                const saturation = new Tone.Distortion({
+                const saturation = registerNode(new Tone.Distortion({
                     distortion: saturationAmount,
                     oversample: saturationOversample,
                     wet: saturationWet,
-                });
+                }));
 
                 // Create Analyser for waveform visualization
-                const waveformAnalyser = new Tone.Analyser("waveform", 1024); // 1024 samples for waveform data
+                const waveformAnalyser = registerNode(new Tone.Analyser("waveform", 1024)); // 1024 samples for waveform data
 
                 // Saturation is always enabled, so no bypass setting needed based on a state
                 saturation.bypass = false;
 
                 // Chain the effects and connect to destination
                 // Player -> Saturation -> WaveformAnalyser -> Destination
-                player.chain(saturation, waveformAnalyser, Tone.Destination);
+                source.chain(saturation, waveformAnalyser, comparator);
 
                 // Store references
-                playerRef.current = player;
+                sourceRef.current = source;
+                comparatorRef.current = comparator;
+                syncComparator();
                 saturationRef.current = saturation;
                 waveformAnalyserRef.current = waveformAnalyser;
 
@@ -139,7 +125,7 @@ const useSaturationSynth = () => {
                 console.log('useSaturationSynth: Audio nodes initialized and connected.');
 
             } catch (error) {
-                console.error("useSaturationSynth: Error initializing audio nodes or loading MP3:", error);
+                console.error("useSaturationSynth: Error initializing audio nodes or loading the audio source:", error);
                 setIsAudioReady(false);
                 hasInitializedRef.current = false;
             }
@@ -148,22 +134,27 @@ const useSaturationSynth = () => {
         }
     }, [
         isAudioGloballyReady, // Removed isSaturationEnabled from dependencies
-        saturationAmount, saturationOversample, saturationWet
+        saturationAmount, saturationOversample, saturationWet,
+        loadSelectedSource, syncComparator
     ]);
 
     // Function to dispose Tone.js nodes
     const disposeAudioNodes = useCallback(() => {
-        console.log(`useSaturationSynth: disposeAudioNodes called. playerRef.current: ${playerRef.current}`);
-        if (playerRef.current) {
+        console.log(`useSaturationSynth: disposeAudioNodes called. sourceRef.current: ${sourceRef.current}`);
+        if (sourceRef.current) {
             console.log('useSaturationSynth: Disposing audio nodes...');
-            if (playerRef.current.state === 'started') {
-                playerRef.current.stop();
+            if (sourceRef.current.state === 'started') {
+                sourceRef.current.stop();
             }
-            playerRef.current.dispose();
+            sourceRef.current.dispose();
             if (saturationRef.current) saturationRef.current.dispose();
             if (waveformAnalyserRef.current) waveformAnalyserRef.current.dispose();
 
-            playerRef.current = null;
+            sourceRef.current = null;
+            if (comparatorRef.current) {
+                comparatorRef.current.dispose();
+                comparatorRef.current = null;
+            }
             saturationRef.current = null;
             waveformAnalyserRef.current = null;
 
@@ -213,14 +204,14 @@ const useSaturationSynth = () => {
             await initAudioNodes();
         }
 
-        if (playerRef.current && isAudioReady) {
+        if (sourceRef.current && isAudioReady) {
             try {
                 if (isPlaying) {
-                    playerRef.current.stop();
+                    sourceRef.current.stop();
                     setIsPlaying(false);
                     console.log('togglePlay: Audio stopped.');
                 } else {
-                    playerRef.current.start();
+                    sourceRef.current.start();
                     setIsPlaying(true);
                     console.log('togglePlay: Audio started.');
                 }
@@ -241,6 +232,8 @@ const useSaturationSynth = () => {
     }, []);
 
     return {
+        userPresets,
+        selectedSource, selectSource, selectFile, isLoadingSource, sourceError, liveInput, abCompare,
         isPlaying,
         togglePlay,
         isAudioReady,
@@ -381,6 +374,7 @@ const ParameterSlider = ({ label, value, setter, min, max, step, explanation, un
 // --- SaturationExplorerContent Component (Main UI Logic) ---
 const SaturationExplorerContent = () => {
     const {
+        selectedSource, selectSource, selectFile, isLoadingSource, sourceError, liveInput, abCompare,
         isPlaying, togglePlay,
         isAudioReady,
         // Removed isSaturationEnabled
@@ -388,6 +382,7 @@ const SaturationExplorerContent = () => {
         saturationOversample, setSaturationOversample,
         saturationWet, setSaturationWet,
         getWaveformData, // Get waveform data function
+        userPresets,
     } = useSaturationSynth();
 
     const visualizerWidth = 700;
@@ -433,7 +428,7 @@ const SaturationExplorerContent = () => {
                     </div>
                     {!isAudioReady && (
                         <p className="text-purple-700 text-sm mt-4 animate-pulse">
-                            Click "Play Piano Loop" to activate audio and begin.
+                            Click "Play Audio Loop" to activate audio and begin.
                         </p>
                     )}
                 </div>
@@ -452,9 +447,21 @@ const SaturationExplorerContent = () => {
                         `}
                     >
                         {isPlaying ? <Pause size={24} /> : <Play size={24} />}
-                        {isPlaying ? "Stop Piano Loop" : "Play Piano Loop"}
+                        {isPlaying ? "Stop Audio Loop" : "Play Audio Loop"}
                     </button>
 
+                    {/* Audio Source */}
+                    <SourceSelector
+                        selectedSource={selectedSource}
+                        onSelect={selectSource}
+                        onFile={selectFile}
+                        isLoading={isLoadingSource}
+                        error={sourceError}
+                        liveInput={liveInput}
+                    />
+                    <ABCompareControls abCompare={abCompare} disabled={!isAudioReady} />
+                    <PresetPanel presets={userPresets} />
+
                     {/* Waveform Visualizer */}
                     <div className="w-full flex justify-center mt-8">
                         {isAudioReady && getWaveformData ? (
@@ -541,11 +548,9 @@ class ErrorBoundary extends React.Component {
 
 const SaturationExplorer = () => {
     return (
-        <AudioContextProvider>
-            <ErrorBoundary>
-                <SaturationExplorerContent />
-            </ErrorBoundary>
-        </AudioContextProvider>
+        <ErrorBoundary>
+            <SaturationExplorerContent />
+        </ErrorBoundary>
     );
 }
 
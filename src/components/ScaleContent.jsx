@@ -1,6 +1,9 @@
 import React, { useState, useEffect } from 'react';
 import { Music3, Layers, Sparkles, ChevronDown } from 'lucide-react';
 import SEOHead from './SEOHead';
+import { createUrlSchema, urlParam } from '../utils/urlState';
+import useUrlState from '../hooks/useUrlState';
+import useParamHistory from '../hooks/useParamHistory';
 
 // Define the tool object for SEO structured data
 const scaleExplorerTool = {
@@ -17,6 +20,13 @@ const scaleExplorerTool = {
     ]
 };
 
+// Selected scale (by name) kept in the URL, so a link reopens it
+const URL_SCHEMA = createUrlSchema({
+    params: {
+        scale: urlParam.string({ maxLength: 60 }),
+    },
+});
+
 const ScaleContent = () => {
     const [selectedScale, setSelectedScale] = useState(null);
     const [isMobile, setIsMobile] = useState(false);
@@ -102,6 +112,16 @@ const ScaleContent = () => {
         },
     ];
 
+    const toolParams = { scale: selectedScale ? selectedScale.name : undefined };
+    const toolParamSetters = {
+        scale: (name) => {
+            const scale = scalesData.find(item => item.name === name);
+            if (scale) setSelectedScale(scale);
+        },
+    };
+    useUrlState(URL_SCHEMA, toolParams, toolParamSetters);
+    useParamHistory(toolParams, toolParamSetters);
+
     return (
         <>
 
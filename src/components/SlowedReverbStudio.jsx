@@ -1,7 +1,34 @@
-import React, { useState, useEffect, useRef, useCallback, createContext, useContext } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useContext, useMemo } from 'react';
 import * as Tone from 'tone';
-import { Play, Pause, Upload, Download, RotateCcw, ChevronDown, Waves, Clock, AlertCircle } from 'lucide-react';
+import { AudioContext } from '../contexts/AudioContext';
+import { registerNode } from '../utils/audioEngine';
+import { ImpulseReverb, generateReverbImpulse, DEFAULT_IMPULSE_PRE_DELAY } from '../utils/impulseReverb';
+import { renderOffline, getRenderDuration } from '../utils/offlineRenderer';
+import { exportAudioBuffer, DEFAULT_EXPORT_SETTINGS } from '../utils/audioExport';
+import { downloadBlob, getBaseFileName } from '../utils/downloadUtils';
+import useExportJob from '../hooks/useExportJob';
+import useABCompare from '../hooks/useABCompare';
+import useRegionPlayback from '../hooks/useRegionPlayback';
+import useAudioEdits from '../hooks/useAudioEdits';
+import useStudioProject from '../hooks/useStudioProject';
+import useUrlState from '../hooks/useUrlState';
+import useParamHistory from '../hooks/useParamHistory';
+import useUserPresets from '../hooks/useUserPresets';
+import { createUrlSchema, urlParam } from '../utils/urlState';
+import { startLoopingPlayer } from '../utils/audioRegion';
+import { applyEdits } from '../utils/audioEdits';
+import { ABComparator } from '../utils/abCompare';
+import { LoudnessMeter } from '../utils/loudnessMeter';
+import { Play, Pause, Upload, Download, RotateCcw, ChevronDown, Waves, Clock, AlertCircle, X } from 'lucide-react';
 import SEOHead from './SEOHead';
+import ExportOptions from './ExportOptions';
+import ABCompareControls from './ABCompareControls';
+import WaveformOverview from './WaveformOverview';
+import AudioEditPanel from './AudioEditPanel';
+import ProjectPanel from './ProjectPanel';
+import PresetPanel from './PresetPanel';
+import LoudnessMeterPanel from './LoudnessMeterPanel';
+import LoudnessReport from './LoudnessReport';
 
 
 // Define the tool object for SEO structured data
@@ -21,52 +48,6 @@ const slowedReverbStudioTool = {
 
 
 
-// Audio Context Provider
-export const AudioContext = createContext(null);
-
-const AudioContextProvider = ({ children }) => {
-    const [isAudioGloballyReady, setIsAudioGloballyReady] = useState(false);
-
-    const startGlobalAudio = useCallback(async () => {
-        if (Tone.context.state !== 'running') {
-            try {
-                console.log('Starting Tone.js context...');
-                await Tone.start();
-                setIsAudioGloballyReady(true);
-                console.log('Tone.js context started successfully.');
-            } catch (error) {
-                console.error("Error starting Tone.js context:", error);
-                setIsAudioGloballyReady(false);
-            }
-        } else {
-            setIsAudioGloballyReady(true);
-        }
-    }, []);
-
-    useEffect(() => {
-        const handleToneContextChange = () => {
-            setIsAudioGloballyReady(Tone.context.state === 'running');
-        };
-
-        if (Tone.context.on) {
-            Tone.context.on('statechange', handleToneContextChange);
-        }
-        handleToneContextChange();
-
-        return () => {
-            if (Tone.context.off) {
-                Tone.context.off('statechange', handleToneContextChange);
-            }
-        };
-    }, []);
-
-    return (
-        <AudioContext.Provider value={{ isAudioGloballyReady, startGlobalAudio }}>
-            {children}
-        </AudioContext.Provider>
-    );
-};
-
 // Slowed Reverb presets optimized for the slowed reverb aesthetic
 const SLOWED_REVERB_PRESETS = {
     'Dreamy': { decay: 6.0, wet: 0.85, slowRate: 0.75, preDelay: 0.08 },
@@ -80,87 +61,28 @@ const SLOWED_REVERB_PRESETS = {
     'Custom': { decay: 6.0, wet: 0.85, slowRate: 0.75, preDelay: 0.08 }
 };
 
+// Parameters kept in the URL (the keys of the project parameters), so a link reopens them
+const URL_SCHEMA = createUrlSchema({
+    params: {
+        reverbDecay: urlParam.number({ min: 0.5, max: 20 }),
+        wetLevel: urlParam.number({ min: 0, max: 1 }),
+        slowRate: urlParam.number({ min: 0.1, max: 1 }),
+        preDelay: urlParam.number({ min: 0, max: 0.5 }),
+        isEffectActive: urlParam.boolean(),
+        selectedPreset: urlParam.oneOf(Object.keys(SLOWED_REVERB_PRESETS)),
+    },
+});
+
 // File size limit (50MB for client-side processing)
 const MAX_FILE_SIZE = 50 * 1024 * 1024;
 
-// Helper function to convert AudioBuffer to WAV Blob
-const audioBufferToWav = (buffer) => {
-    const numChannels = buffer.numberOfChannels;
-    const sampleRate = buffer.sampleRate;
-    const length = buffer.length * numChannels * 2 + 44;
-    const arrayBuffer = new ArrayBuffer(length);
-    const view = new DataView(arrayBuffer);
-
-    // Helper functions
-    let pos = 0;
-    const writeString = (str) => {
-        for (let i = 0; i < str.length; i++) {
-            view.setUint8(pos++, str.charCodeAt(i));
-        }
-    };
-    const setUint16 = (val) => { 
-        view.setUint16(pos, val, true); 
-        pos += 2; 
-    };
-    const setUint32 = (val) => { 
-        view.setUint32(pos, val, true); 
-        pos += 4; 
-    };
-
-    // WAV header
-    writeString("RIFF");
-    setUint32(length - 8);
-    writeString("WAVE");
-    writeString("fmt ");
-    setUint32(16); // PCM chunk size
-    setUint16(1);  // PCM format
-    setUint16(numChannels);
-    setUint32(sampleRate);
-    setUint32(sampleRate * numChannels * 2); // Byte rate
-    setUint16(numChannels * 2); // Block align
-    setUint16(16); // Bits per sample
-    writeString("data");
-    setUint32(buffer.length * numChannels * 2);
-
-    // Convert float samples to 16-bit PCM
-    for (let i = 0; i < buffer.length; i++) {
-        for (let ch = 0; ch < numChannels; ch++) {
-            const sample = Math.max(-1, Math.min(1, buffer.getChannelData(ch)[i]));
-            const intSample = sample < 0 ? sample * 32768 : sample * 32767;
-            view.setInt16(pos, intSample, true);
-            pos += 2;
-        }
-    }
-
-    return new Blob([arrayBuffer], { type: "audio/wav" });
-};
-
-// Improved linear interpolation function for smooth resampling
-const linearInterpolate = (data, position) => {
-    const index = Math.floor(position);
-    const fraction = position - index;
-    
-    if (index >= data.length - 1) {
-        return data[data.length - 1] || 0;
-    }
-    
-    const sample1 = data[index] || 0;
-    const sample2 = data[index + 1] || 0;
-    
-    return sample1 + (sample2 - sample1) * fraction;
-};
-
-// Apply anti-aliasing filter (simple low-pass filter)
-const applyAntiAliasing = (data, cutoffFreq = 0.4) => {
-    const filteredData = new Float32Array(data.length);
-    const alpha = Math.exp(-2 * Math.PI * cutoffFreq);
-    
-    filteredData[0] = data[0];
-    for (let i = 1; i < data.length; i++) {
-        filteredData[i] = alpha * filteredData[i - 1] + (1 - alpha) * data[i];
-    }
-    
-    return filteredData;
+// Pre-delay -> reverb chain, built the same way for playback and for the offline download render.
+// Slowing is the player's playback rate, set by whoever creates the player.
+const buildSlowedReverbChain = ({ impulse, wet, preDelay }) => {
+    const delay = new Tone.Delay(preDelay);
+    const reverb = new ImpulseReverb({ impulse, wet });
+    delay.connect(reverb);
+    return { input: delay, output: reverb, delay, reverb };
 };
 
 // Custom hook for Slowed Reverb functionality
@@ -169,17 +91,21 @@ const useSlowedReverbProcessor = () => {
     const playerRef = useRef(null);
     const reverbRef = useRef(null);
     const delayRef = useRef(null);
+    const impulseRef = useRef(null); // Current impulse response, shared by playback and export
     const currentAudioBufferRef = useRef(null);
+    const comparatorRef = useRef(null); // A/B switch between the slowed dry and reverberated signals
+    const loudnessMeterRef = useRef(null); // BS.1770 meter on what is heard
 
     const [isPlaying, setIsPlaying] = useState(false);
     const [isAudioReady, setIsAudioReady] = useState(false);
     const [isLoadingAudio, setIsLoadingAudio] = useState(false);
     const [audioLoadError, setAudioLoadError] = useState(null);
-    const [isDownloading, setIsDownloading] = useState(false);
-    const [downloadProgress, setDownloadProgress] = useState(0);
+    const { isExporting: isDownloading, exportProgress: downloadProgress, runExport, cancelExport: cancelDownload } = useExportJob();
     const [audioFileName, setAudioFileName] = useState('');
     const [hasAudioFile, setHasAudioFile] = useState(false);
     const [selectedPreset, setSelectedPreset] = useState('Dreamy');
+    const [exportSettings, setExportSettings] = useState(DEFAULT_EXPORT_SETTINGS); // Download format, quality and sample rate
+    const [exportReport, setExportReport] = useState(null); // Loudness of the last exported file
     const [fileSizeWarning, setFileSizeWarning] = useState('');
 
     // Slowed Reverb parameters
@@ -189,6 +115,27 @@ const useSlowedReverbProcessor = () => {
     const [preDelay, setPreDelay] = useState(0.08);
     const [isEffectActive, setIsEffectActive] = useState(true);
 
+    const getComparator = useCallback(() => comparatorRef.current, []);
+
+    // Play position, seeking and the looped/exported region of the file
+    const playback = useRegionPlayback({
+        startSource: (offset, bounds, buffer) => startLoopingPlayer(playerRef.current, offset, bounds, buffer),
+        stopSource: () => playerRef.current?.stop(),
+        rate: isEffectActive ? slowRate : 1.0,
+    });
+    const { play: startPlayback, stop: stopPlayback, loadBuffer, replaceBuffer, getExportBuffer } = playback;
+
+    // Non-destructive edits of the file; playback and the waveform follow the edited audio
+    const audioEdits = useAudioEdits();
+    const { setSourceBuffer, edits, editedBuffer } = audioEdits;
+    useEffect(() => {
+        if (editedBuffer) replaceBuffer(editedBuffer);
+    }, [editedBuffer, replaceBuffer]);
+
+    const getLoudnessMeter = useCallback(() => loudnessMeterRef.current, []);
+    const abCompare = useABCompare(getComparator);
+    const { syncComparator } = abCompare;
+
     const initAudioNodes = useCallback(async (audioBuffer) => {
         try {
             setIsLoadingAudio(true);
@@ -209,6 +156,14 @@ const useSlowedReverbProcessor = () => {
                 delayRef.current.dispose();
                 delayRef.current = null;
             }
+            if (comparatorRef.current) {
+                comparatorRef.current.dispose();
+                comparatorRef.current = null;
+            }
+            if (loudnessMeterRef.current) {
+                loudnessMeterRef.current.dispose();
+                loudnessMeterRef.current = null;
+            }
 
             console.log('Initializing slowed reverb processor...');
 
@@ -216,7 +171,7 @@ const useSlowedReverbProcessor = () => {
             const playbackRate = isEffectActive ? slowRate : 1.0;
 
             // Create new player with conditional playback rate
-            const player = new Tone.Player({
+            const player = registerNode(new Tone.Player({
                 url: audioBuffer,
                 loop: true,
                 autostart: false,
@@ -226,25 +181,32 @@ const useSlowedReverbProcessor = () => {
                     setIsAudioReady(true);
                     setIsLoadingAudio(false);
                 }
-            });
+            }));
 
-            // Create reverb with slowed reverb settings
-            const reverb = new Tone.Reverb({
-                decay: reverbDecay,
+            // Create the pre-delay -> reverb chain with slowed reverb settings
+            const { delay, reverb } = buildSlowedReverbChain({
+                impulse: impulseRef.current,
                 wet: isEffectActive ? wetLevel : 0,
+                preDelay,
             });
+            registerNode(delay);
+            registerNode(reverb);
 
-            // Create pre-delay
-            const delay = new Tone.Delay(preDelay);
+            // A/B switch between the (slowed) dry player and the reverb output
+            const comparator = registerNode(new ABComparator());
+            const loudnessMeter = registerNode(new LoudnessMeter());
 
-            // Connect audio chain: Player -> Delay -> Reverb -> Destination
-            player.connect(delay);
-            delay.connect(reverb);
-            reverb.connect(Tone.Destination);
+            // Connect audio chain: Player -> Delay -> Reverb -> A/B switch -> Destination (and loudness meter)
+            player.fan(delay, comparator.dry);
+            reverb.connect(comparator);
+            comparator.fan(Tone.Destination, loudnessMeter);
 
             playerRef.current = player;
             reverbRef.current = reverb;
             delayRef.current = delay;
+            comparatorRef.current = comparator;
+            loudnessMeterRef.current = loudnessMeter;
+            syncComparator();
 
             console.log('Slowed reverb processor initialized successfully.');
 
@@ -254,7 +216,7 @@ const useSlowedReverbProcessor = () => {
             setIsAudioReady(false);
             setIsLoadingAudio(false);
         }
-    }, [reverbDecay, wetLevel, slowRate, preDelay, isEffectActive]);
+    }, [wetLevel, slowRate, preDelay, isEffectActive, syncComparator]);
 
     const disposeAudioNodes = useCallback(() => {
         if (playerRef.current) {
@@ -270,6 +232,14 @@ const useSlowedReverbProcessor = () => {
             delayRef.current.dispose();
             delayRef.current = null;
         }
+        if (comparatorRef.current) {
+            comparatorRef.current.dispose();
+            comparatorRef.current = null;
+        }
+        if (loudnessMeterRef.current) {
+            loudnessMeterRef.current.dispose();
+            loudnessMeterRef.current = null;
+        }
         setIsPlaying(false);
         setIsAudioReady(false);
         setIsLoadingAudio(false);
@@ -286,15 +256,27 @@ const useSlowedReverbProcessor = () => {
         };
     }, [disposeAudioNodes]);
 
+    // Regenerate the impulse response when the decay changes
+    useEffect(() => {
+        let isCurrent = true;
+        generateReverbImpulse({ decay: reverbDecay }).then(impulse => {
+            if (!isCurrent) return;
+            impulseRef.current = impulse;
+            if (reverbRef.current) {
+                reverbRef.current.impulse = impulse;
+            }
+        });
+        return () => {
+            isCurrent = false;
+        };
+    }, [reverbDecay]);
+
     // Update reverb parameters in real-time
     useEffect(() => {
         if (reverbRef.current) {
-            reverbRef.current.set({
-                decay: reverbDecay,
-                wet: isEffectActive ? wetLevel : 0,
-            });
+            reverbRef.current.wet.value = isEffectActive ? wetLevel : 0;
         }
-    }, [reverbDecay, wetLevel, isEffectActive]);
+    }, [wetLevel, isEffectActive]);
 
     useEffect(() => {
         if (delayRef.current) {
@@ -317,22 +299,22 @@ const useSlowedReverbProcessor = () => {
 
         if (playerRef.current && isAudioReady && !isLoadingAudio) {
             if (isPlaying) {
-                playerRef.current.stop();
+                stopPlayback();
                 setIsPlaying(false);
             } else {
-                playerRef.current.start();
+                startPlayback();
                 setIsPlaying(true);
             }
         }
-    }, [isPlaying, isAudioGloballyReady, isAudioReady, isLoadingAudio, startGlobalAudio]);
+    }, [isPlaying, isAudioGloballyReady, isAudioReady, isLoadingAudio, startGlobalAudio, startPlayback, stopPlayback]);
 
     const handleFileUpload = useCallback(async (file) => {
-        if (!file) return;
+        if (!file) return false;
 
         // Check file size
         if (file.size > MAX_FILE_SIZE) {
             setFileSizeWarning(`File size (${(file.size / 1024 / 1024).toFixed(1)}MB) exceeds limit of ${MAX_FILE_SIZE / 1024 / 1024}MB`);
-            return;
+            return false;
         }
 
         console.log('File selected:', file.name);
@@ -350,6 +332,8 @@ const useSlowedReverbProcessor = () => {
             const arrayBuffer = await file.arrayBuffer();
             const audioBuffer = await Tone.context.decodeAudioData(arrayBuffer);
             currentAudioBufferRef.current = audioBuffer; // Store the decoded AudioBuffer
+            loadBuffer(audioBuffer);
+            setSourceBuffer(audioBuffer);
 
             const audioBlobUrl = URL.createObjectURL(file);
             await initAudioNodes(audioBlobUrl); // Use Blob URL for playback player
@@ -358,6 +342,7 @@ const useSlowedReverbProcessor = () => {
             setTimeout(() => {
                 URL.revokeObjectURL(audioBlobUrl);
             }, 1000);
+            return true;
 
         } catch (error) {
             console.error('Error handling file upload:', error);
@@ -365,8 +350,9 @@ const useSlowedReverbProcessor = () => {
             setIsAudioReady(false);
             setIsLoadingAudio(false);
             setAudioFileName('');
+            return false;
         }
-    }, [isAudioGloballyReady, startGlobalAudio, initAudioNodes]);
+    }, [isAudioGloballyReady, startGlobalAudio, initAudioNodes, loadBuffer, setSourceBuffer]);
 
     const applyPreset = useCallback((presetName) => {
         const preset = SLOWED_REVERB_PRESETS[presetName];
@@ -386,136 +372,104 @@ const useSlowedReverbProcessor = () => {
         console.log('Settings reset to Dreamy preset.');
     }, [applyPreset]);
 
+    // Parameter values saved in the project (see useStudioProject)
+    const projectParams = useMemo(() => ({
+        reverbDecay,
+        wetLevel,
+        slowRate,
+        preDelay,
+        isEffectActive,
+        selectedPreset,
+    }), [reverbDecay, wetLevel, slowRate, preDelay, isEffectActive, selectedPreset]);
+
+    const applyProjectParams = useCallback((params) => {
+        if (params.reverbDecay >= 0) setReverbDecay(params.reverbDecay);
+        if (params.wetLevel >= 0) setWetLevel(params.wetLevel);
+        if (params.slowRate >= 0) setSlowRate(params.slowRate);
+        if (params.preDelay >= 0) setPreDelay(params.preDelay);
+        if (typeof params.isEffectActive === 'boolean') setIsEffectActive(params.isEffectActive);
+        if (params.selectedPreset) setSelectedPreset(params.selectedPreset);
+    }, []);
+
+    // Keeps the effect settings in the URL; a link's settings win over the last project's
+    const { hasUrlState } = useUrlState(URL_SCHEMA, projectParams, applyProjectParams);
+    useParamHistory(projectParams, applyProjectParams);
+    const userPresets = useUserPresets({
+        tool: 'slowed-reverb-studio', schema: URL_SCHEMA, params: projectParams, applyParams: applyProjectParams,
+    });
+
+    // Saves the file, parameters and edits as a project and restores it on the next visit
+    const project = useStudioProject({
+        studio: 'slowed-reverb-studio',
+        params: projectParams,
+        applyParams: applyProjectParams,
+        audioEdits,
+        loadFile: handleFileUpload,
+        restoreParams: !hasUrlState,
+    });
+
     const downloadProcessedAudio = useCallback(async () => {
         // Ensure currentAudioBufferRef.current is available for offline rendering
         if (!currentAudioBufferRef.current || isDownloading) return;
 
-        setIsDownloading(true);
-        setDownloadProgress(0);
         setAudioLoadError(null);
 
         try {
-            console.log("Starting high-quality audio processing for download...");
-            
-            const originalBuffer = currentAudioBufferRef.current;
-            const originalSampleRate = originalBuffer.sampleRate;
-            const originalChannels = originalBuffer.numberOfChannels;
-            
-            // Calculate new length based on slow rate
-            const effectiveSlowRate = isEffectActive ? slowRate : 1.0;
-            const newLength = Math.floor(originalBuffer.length / effectiveSlowRate); // Corrected: removed duplicate 'effective'
-            
-            // Create new buffer with adjusted length
-            const processedBuffer = new AudioBuffer({
-                numberOfChannels: originalChannels,
-                length: newLength,
-                sampleRate: originalSampleRate
+            await runExport(async ({ signal, onRenderProgress, onEncodeProgress }) => {
+                console.log("Starting high-quality audio processing for download...");
+
+                const originalBuffer = getExportBuffer(applyEdits(currentAudioBufferRef.current, edits));
+                const playbackRate = isEffectActive ? slowRate : 1.0;
+                const chainParams = { impulse: impulseRef.current, wet: isEffectActive ? wetLevel : 0, preDelay };
+
+                // Render through the same chain as playback, slowed by the player, with room for the reverb tail
+                const renderedBuffer = await renderOffline(() => {
+                    const player = new Tone.Player({ url: originalBuffer, playbackRate });
+                    const { input, output } = buildSlowedReverbChain(chainParams);
+                    player.connect(input);
+                    output.toDestination();
+                    player.start(0);
+                }, {
+                    duration: getRenderDuration(originalBuffer, {
+                        playbackRate,
+                        tail: preDelay + DEFAULT_IMPULSE_PRE_DELAY + reverbDecay,
+                    }),
+                    onProgress: onRenderProgress,
+                    signal,
+                });
+
+                // Encode in the chosen format and download
+                const baseFileName = getBaseFileName(audioFileName);
+                const { blob, extension, loudness, notice } = await exportAudioBuffer(renderedBuffer, {
+                    ...exportSettings,
+                    onProgress: onEncodeProgress,
+                    signal,
+                    metadata: { title: baseFileName, software: 'LyriLab Slowed Reverb Studio', preset: selectedPreset },
+                });
+                const fileName = `${baseFileName}-slowed-reverb.${extension}`;
+                downloadBlob(blob, fileName);
+                setExportReport({ loudness, fileName, notice });
+
+                console.log("High-quality download completed successfully!");
             });
-
-            // Progress tracking
-            const totalSteps = originalChannels * 2; // Slowing + reverb for each channel
-            let currentStep = 0;
-
-            // Apply HIGH-QUALITY slowing effect with linear interpolation and anti-aliasing
-            for (let channel = 0; channel < originalChannels; channel++) {
-                const originalData = originalBuffer.getChannelData(channel);
-                const newData = processedBuffer.getChannelData(channel);
-                
-                // Apply anti-aliasing filter first to prevent high-frequency artifacts
-                const filteredData = applyAntiAliasing(originalData, 0.4);
-                
-                // Use linear interpolation for smooth resampling
-                for (let i = 0; i < newLength; i++) {
-                    const originalPosition = i * effectiveSlowRate;
-                    newData[i] = linearInterpolate(filteredData, originalPosition);
-                }
-                
-                currentStep++;
-                setDownloadProgress(Math.floor((currentStep / totalSteps) * 50));
-            }
-
-            // Apply reverb effect if active
-            if (isEffectActive && wetLevel > 0) {
-                for (let channel = 0; channel < originalChannels; channel++) {
-                    const channelData = processedBuffer.getChannelData(channel);
-                    const reverbData = new Float32Array(channelData.length);
-                    
-                    // Apply pre-delay
-                    const delaySamples = Math.floor(preDelay * originalSampleRate);
-                    for (let i = 0; i < channelData.length; i++) {
-                        reverbData[i] = i >= delaySamples ? channelData[i - delaySamples] : 0;
-                    }
-                    
-                    // Improved reverb simulation with decay envelope
-                    const reverbSamples = Math.floor(reverbDecay * originalSampleRate);
-                    const numEchoes = Math.min(12, Math.floor(reverbDecay * 3));
-                    
-                    for (let echo = 1; echo <= numEchoes; echo++) {
-                        const echoDelay = Math.floor((echo / numEchoes) * reverbSamples);
-                        const echoGain = Math.pow(0.65, echo) * wetLevel;
-                        
-                        // Apply exponential decay for more realistic reverb
-                        const decayFactor = Math.exp(-echo * 0.3);
-                        const finalGain = echoGain * decayFactor;
-                        
-                        for (let i = echoDelay; i < channelData.length; i++) {
-                            reverbData[i] += channelData[i - echoDelay] * finalGain;
-                        }
-                    }
-                    
-                    // Mix dry and wet signals with proper gain compensation
-                    const dryGain = 1 - (wetLevel * 0.3); // Prevent overload
-                    for (let i = 0; i < channelData.length; i++) {
-                        channelData[i] = channelData[i] * dryGain + reverbData[i] * 0.7;
-                        
-                        // Apply soft clipping to prevent distortion
-                        if (channelData[i] > 1) {
-                            channelData[i] = 1 - Math.exp(-(channelData[i] - 1));
-                        } else if (channelData[i] < -1) {
-                            channelData[i] = -1 + Math.exp(channelData[i] + 1);
-                        }
-                    }
-                    
-                    currentStep++;
-                    setDownloadProgress(Math.floor(50 + (currentStep - originalChannels) / originalChannels * 50));
-                }
-            }
-
-            setDownloadProgress(100);
-
-            // Convert to WAV and download
-            const wavBlob = audioBufferToWav(processedBuffer);
-            const url = URL.createObjectURL(wavBlob);
-
-            const a = document.createElement("a");
-            a.href = url;
-            a.download = `${audioFileName.replace(/\.[^/.]+$/, "")}-slowed-reverb.wav`;
-            document.body.appendChild(a);
-            a.click();
-            
-            // Clean up
-            setTimeout(() => {
-                URL.revokeObjectURL(url);
-                document.body.removeChild(a);
-                setIsDownloading(false);
-                setDownloadProgress(0);
-            }, 100);
-
-            console.log("High-quality download completed successfully!");
-
         } catch (error) {
             console.error("Download failed:", error);
             setAudioLoadError(`Download failed: ${error.message || error}`);
-            setIsDownloading(false);
-            setDownloadProgress(0);
         }
-    }, [isAudioReady, slowRate, reverbDecay, audioFileName, isDownloading, wetLevel, preDelay, isEffectActive]);
+    }, [runExport, slowRate, reverbDecay, audioFileName, isDownloading, wetLevel, preDelay, isEffectActive, exportSettings, selectedPreset, getExportBuffer, edits]);
 
     return {
+        userPresets,
         isPlaying, togglePlay,
         isAudioReady, isLoadingAudio, audioLoadError,
-        isDownloading, downloadProgress, downloadProcessedAudio,
+        isDownloading, downloadProgress, downloadProcessedAudio, cancelDownload, exportSettings, setExportSettings,
         handleFileUpload, audioFileName, hasAudioFile, fileSizeWarning,
+        abCompare,
+        getLoudnessMeter,
+        exportReport,
+        playback,
+        audioEdits,
+        project,
         reverbDecay, setReverbDecay,
         wetLevel, setWetLevel,
         slowRate, setSlowRate,
@@ -526,7 +480,7 @@ const useSlowedReverbProcessor = () => {
 };
 
 // Upload Section Component
-const UploadSection = ({ onFileUpload, isLoading, fileSizeWarning }) => {
+const UploadSection = ({ onFileUpload, isLoading, fileSizeWarning, children }) => {
     const [dragActive, setDragActive] = useState(false);
     const fileInputRef = useRef(null);
 
@@ -623,6 +577,8 @@ const UploadSection = ({ onFileUpload, isLoading, fileSizeWarning }) => {
                         <span className="text-red-700">{fileSizeWarning}</span>
                     </div>
                 )}
+
+                {children && <div className="mt-8">{children}</div>}
             </div>
         </div>
     );
@@ -682,14 +638,21 @@ const SlowedReverbContent = () => {
     const {
         isPlaying, togglePlay,
         isAudioReady, isLoadingAudio, audioLoadError,
-        isDownloading, downloadProgress, downloadProcessedAudio,
-        handleFileUpload, audioFileName, hasAudioFile, fileSizeWarning,
+        isDownloading, downloadProgress, downloadProcessedAudio, cancelDownload, exportSettings, setExportSettings,
+        audioFileName, hasAudioFile, fileSizeWarning,
+        abCompare,
+        getLoudnessMeter,
+        exportReport,
+        playback,
+        audioEdits,
+        project,
         reverbDecay, setReverbDecay,
         wetLevel, setWetLevel,
         slowRate, setSlowRate,
         preDelay, setPreDelay,
         isEffectActive, setIsEffectActive,
-        selectedPreset, applyPreset, resetSettings
+        selectedPreset, applyPreset, resetSettings,
+        userPresets,
     } = useSlowedReverbProcessor();
 
     const toggleEffectActive = useCallback(() => {
@@ -697,7 +660,11 @@ const SlowedReverbContent = () => {
     }, [setIsEffectActive]);
     
     if (!hasAudioFile) {
-        return <UploadSection onFileUpload={handleFileUpload} isLoading={isLoadingAudio} fileSizeWarning={fileSizeWarning} />;
+        return (
+            <UploadSection onFileUpload={project.openFile} isLoading={isLoadingAudio} fileSizeWarning={fileSizeWarning}>
+                <ProjectPanel project={project} disabled={isLoadingAudio} />
+            </UploadSection>
+        );
     }
 
     return (
@@ -764,7 +731,7 @@ const SlowedReverbContent = () => {
                             <input
                                 type="file"
                                 accept="audio/*"
-                                onChange={(e) => e.target.files && handleFileUpload(e.target.files[0])}
+                                onChange={(e) => e.target.files && project.openFile(e.target.files[0])}
                                 className="hidden"
                             />
                         </label>
@@ -786,6 +753,22 @@ const SlowedReverbContent = () => {
                             </span>
                         </button>
 
+                        {isDownloading && (
+                            <button
+                                onClick={cancelDownload}
+                                className="px-4 py-2 md:px-6 md:py-3 rounded-full font-semibold bg-red-500 hover:bg-red-600 text-white flex items-center gap-1 md:gap-2 transition-all duration-200 text-sm md:text-base"
+                            >
+                                <X size={16} />
+                                <span className="hidden sm:inline ml-1">Cancel</span>
+                            </button>
+                        )}
+
+                        <ExportOptions
+                            settings={exportSettings}
+                            onChange={setExportSettings}
+                            disabled={!isAudioReady || isDownloading}
+                        />
+
                         <button
                             onClick={resetSettings}
                             className="px-4 py-2 md:px-6 md:py-3 rounded-full font-semibold bg-gray-500 hover:bg-gray-600 text-white flex items-center gap-1 md:gap-2 transition-all duration-200 text-sm md:text-base"
@@ -795,6 +778,37 @@ const SlowedReverbContent = () => {
                         </button>
                     </div>
 
+                    {/* Projects */}
+                    <div className="mb-4 md:mb-8 bg-black/20 rounded-xl p-3 md:p-4 border border-purple-500/20">
+                        <ProjectPanel project={project} disabled={isLoadingAudio || isDownloading} theme="dark" />
+                    </div>
+
+                    {/* User Presets */}
+                    <div className="mb-4 md:mb-8 bg-black/20 rounded-xl p-3 md:p-4 border border-purple-500/20">
+                        <PresetPanel presets={userPresets} disabled={isLoadingAudio || isDownloading} theme="dark" />
+                    </div>
+
+                    {/* Waveform */}
+                    <div className="mb-4 md:mb-8 bg-black/20 rounded-xl p-3 md:p-4 border border-purple-500/20">
+                        <WaveformOverview playback={playback} disabled={!isAudioReady || isLoadingAudio} theme="dark" />
+                    </div>
+
+                    {/* Edits */}
+                    <div className="mb-4 md:mb-8 bg-black/20 rounded-xl p-3 md:p-4 border border-purple-500/20">
+                        <AudioEditPanel audioEdits={audioEdits} playback={playback} disabled={!isAudioReady || isLoadingAudio} theme="dark" />
+                    </div>
+
+                    {/* A/B Comparison */}
+                    <div className="mb-4 md:mb-8 bg-black/20 rounded-xl p-3 md:p-4 border border-purple-500/20">
+                        <ABCompareControls abCompare={abCompare} disabled={!isAudioReady || isLoadingAudio} theme="dark" />
+                    </div>
+
+                    {/* Loudness */}
+                    <div className="mb-4 md:mb-8 bg-black/20 rounded-xl p-3 md:p-4 border border-purple-500/20 space-y-3">
+                        <LoudnessMeterPanel getMeter={getLoudnessMeter} disabled={!isAudioReady} theme="dark" />
+                        <LoudnessReport loudness={exportReport?.loudness} fileName={exportReport?.fileName} notice={exportReport?.notice} theme="dark" />
+                    </div>
+
                     {/* Preset Selection */}
                     <div className="mb-4 md:mb-8">
                         <h3 className="text-white text-base md:text-lg lg:text-xl font-semibold mb-2 md:mb-4 text-center">
@@ -888,9 +902,7 @@ const SlowedReverbContent = () => {
 // Main App Component
 const SlowedReverbStudio = () => {
     return (
-        <AudioContextProvider>
-            <SlowedReverbContent />
-        </AudioContextProvider>
+        <SlowedReverbContent />
     );
 };
 
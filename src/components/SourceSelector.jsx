@@ -0,0 +1,236 @@
+import React, { useState, useRef } from 'react';
+import { Music, Upload, Radio, Mic } from 'lucide-react';
+import {
+    DEMO_LOOPS,
+    OSCILLATOR_WAVEFORMS,
+    NOISE_COLORS,
+    DEFAULT_OSCILLATOR_SOURCE,
+    DEFAULT_NOISE_SOURCE,
+    DEFAULT_INPUT_SOURCE,
+    describeSource,
+} from '../utils/explorerSources';
+import { isLiveInputSupported } from '../utils/liveInput';
+import LiveInputControls from './LiveInputControls';
+
+const TABS = [
+    { id: 'demo', label: 'Demo loops', Icon: Music },
+    { id: 'file', label: 'Your file', Icon: Upload },
+    { id: 'generator', label: 'Generator', Icon: Radio },
+    { id: 'input', label: 'Live input', Icon: Mic },
+];
+
+const tabForSource = (source) => (source.type === 'oscillator' || source.type === 'noise' ? 'generator' : source.type);
+
+const pillClass = (isActive, disabled) => `px-3 py-1.5 rounded-full text-sm font-medium transition-colors duration-200 ${
+    isActive ? 'bg-gray-800 text-white' : 'bg-white text-gray-700 border border-gray-300 hover:bg-gray-100'
+} ${disabled ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'}`;
+
+const selectClass = 'px-3 py-1.5 rounded-full bg-white border border-gray-300 text-gray-700 text-sm cursor-pointer focus:outline-none focus:ring-2 focus:ring-gray-400';
+
+/**
+ * Source picker shown in every effect explorer: a bundled demo loop, a file
+ * dropped in by the user, the oscillator/noise generator, or the live
+ * microphone/line input. Pairs with the useExplorerSource hook
+ * (src/hooks/useExplorerSource.js).
+ * @param {object} props
+ * @param {object} props.selectedSource The current source descriptor.
+ * @param {(source: object) => void} props.onSelect Switches to another source descriptor.
+ * @param {(file: File) => void} props.onFile Switches to a user's audio file.
+ * @param {boolean} [props.isLoading] Shows that a source is loading.
+ * @param {string|null} [props.error] Error from the last switch, if any.
+ * @param {object} [props.liveInput] The hook's live input controls; shown while the live input plays.
+ * @param {boolean} [props.disabled] Disables the controls.
+ */
+const SourceSelector = ({ selectedSource, onSelect, onFile, isLoading = false, error = null, liveInput = null, disabled = false }) => {
+    const [activeTab, setActiveTab] = useState(() => tabForSource(selectedSource));
+    const [dragActive, setDragActive] = useState(false);
+    const fileInputRef = useRef(null);
+
+    const isGenerator = selectedSource.type === 'oscillator' || selectedSource.type === 'noise';
+
+    const handleDrag = (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        if (disabled) return;
+        setDragActive(e.type === 'dragenter' || e.type === 'dragover');
+    };
+
+    const handleDrop = (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        setDragActive(false);
+        if (!disabled && e.dataTransfer.files?.[0]) onFile(e.dataTransfer.files[0]);
+    };
+
+    return (
+        <div
+            className={`w-full rounded-xl border p-4 space-y-3 transition-colors duration-200 ${dragActive ? 'border-gray-800 bg-gray-100' : 'border-gray-200 bg-white/60'}`}
+            onDragEnter={handleDrag}
+            onDragOver={handleDrag}
+            onDragLeave={handleDrag}
+            onDrop={handleDrop}
+        >
+            <div className="flex flex-wrap items-center justify-between gap-2">
+                <div className="flex flex-wrap gap-2" role="tablist" aria-label="Audio source">
+                    {TABS.map(tab => (
+                        <button
+                            key={tab.id}
+                            type="button"
+                            role="tab"
+                            aria-selected={activeTab === tab.id}
+                            onClick={() => setActiveTab(tab.id)}
+                            className={`flex items-center gap-1.5 ${pillClass(activeTab === tab.id, false)}`}
+                        >
+                            <tab.Icon size={14} />
+                            {tab.label}
+                        </button>
+                    ))}
+                </div>
+                <span className="text-sm text-gray-600">
+                    {isLoading ? 'Loading…' : `Playing: ${describeSource(selectedSource)}`}
+                </span>
+            </div>
+
+            {activeTab === 'demo' && (
+                <div className="flex flex-wrap gap-2">
+                    {Object.entries(DEMO_LOOPS).map(([id, { label }]) => (
+                        <button
+                            key={id}
+                            type="button"
+                            onClick={() => onSelect({ type: 'demo', id })}
+                            disabled={disabled}
+                            className={pillClass(selectedSource.type === 'demo' && selectedSource.id === id, disabled)}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            {activeTab === 'file' && (
+                <>
+                    <button
+                        type="button"
+                        onClick={() => fileInputRef.current?.click()}
+                        disabled={disabled}
+                        className={`w-full border-2 border-dashed border-gray-300 rounded-lg py-4 text-sm text-gray-600 hover:bg-gray-50 ${disabled ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'}`}
+                    >
+                        {selectedSource.type === 'file'
+                            ? `${selectedSource.name}: drop another file or click to browse`
+                            : 'Drop an audio file here or click to browse'}
+                    </button>
+                    <input
+                        ref={fileInputRef}
+                        type="file"
+                        accept="audio/*"
+                        className="hidden"
+                        onChange={(e) => {
+                            if (e.target.files?.[0]) onFile(e.target.files[0]);
+                            e.target.value = '';
+                        }}
+                    />
+                </>
+            )}
+
+            {activeTab === 'generator' && (
+                <div className="flex flex-wrap items-center gap-2">
+                    <button
+                        type="button"
+                        onClick={() => onSelect(DEFAULT_OSCILLATOR_SOURCE)}
+                        disabled={disabled}
+                        className={pillClass(selectedSource.type === 'oscillator', disabled)}
+                    >
+                        Oscillator
+                    </button>
+                    <button
+                        type="button"
+                        onClick={() => onSelect(DEFAULT_NOISE_SOURCE)}
+                        disabled={disabled}
+                        className={pillClass(selectedSource.type === 'noise', disabled)}
+                    >
+                        Noise
+                    </button>
+
+                    {selectedSource.type === 'oscillator' && (
+                        <>
+                            <select
+                                value={selectedSource.waveform}
+                                onChange={(e) => onSelect({ ...selectedSource, waveform: e.target.value })}
+                                disabled={disabled}
+                                className={selectClass}
+                                aria-label="Oscillator waveform"
+                            >
+                                {OSCILLATOR_WAVEFORMS.map(waveform => (
+                                    <option key={waveform} value={waveform}>{waveform}</option>
+                                ))}
+                            </select>
+                            <label className="flex items-center gap-2 text-sm text-gray-700">
+                                {Math.round(selectedSource.frequency)} Hz
+                                <input
+                                    type="range"
+                                    min="20"
+                                    max="2000"
+                                    step="1"
+                                    value={selectedSource.frequency}
+                                    onChange={(e) => onSelect({ ...selectedSource, frequency: parseFloat(e.target.value) })}
+                                    disabled={disabled}
+                                    className="w-32 accent-gray-700"
+                                    aria-label="Oscillator frequency"
+                                />
+                            </label>
+                        </>
+                    )}
+
+                    {selectedSource.type === 'noise' && (
+                        <select
+                            value={selectedSource.color}
+                            onChange={(e) => onSelect({ ...selectedSource, color: e.target.value })}
+                            disabled={disabled}
+                            className={selectClass}
+                            aria-label="Noise color"
+                        >
+                            {NOISE_COLORS.map(color => (
+                                <option key={color} value={color}>{color} noise</option>
+                            ))}
+                        </select>
+                    )}
+
+                    {!isGenerator && (
+                        <span className="text-sm text-gray-500">Pick a generator to replace the current source.</span>
+                    )}
+                </div>
+            )}
+
+            {activeTab === 'input' && (
+                isLiveInputSupported() ? (
+                    <>
+                        {selectedSource.type !== 'input' && (
+                            <button
+                                type="button"
+                                onClick={() => onSelect(DEFAULT_INPUT_SOURCE)}
+                                disabled={disabled || isLoading}
+                                className={`flex items-center gap-1.5 ${pillClass(false, disabled || isLoading)}`}
+                            >
+                                <Mic size={14} />
+                                Use microphone / line input
+                            </button>
+                        )}
+                        {liveInput && (
+                            <LiveInputControls
+                                liveInput={liveInput}
+                                onDeviceChange={(deviceId) => onSelect({ type: 'input', deviceId })}
+                                disabled={disabled}
+                            />
+                        )}
+                    </>
+                ) : (
+                    <p className="text-sm text-gray-500">This browser does not support audio input.</p>
+                )
+            )}
+
+            {error && <p className="text-sm text-red-600">{error}</p>}
+        </div>
+    );
+};
+
+export default SourceSelector;
@@ -1,7 +1,20 @@
-import React, { useState, useEffect, useRef, useCallback, createContext, useContext } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useContext } from 'react';
 import * as Tone from 'tone';
+import { AudioContext } from '../contexts/AudioContext';
+import { registerNode } from '../utils/audioEngine';
+import { ExplorerSource } from '../utils/explorerSources';
+import useExplorerSource from '../hooks/useExplorerSource';
+import { ABComparator } from '../utils/abCompare';
+import useABCompare from '../hooks/useABCompare';
+import { createUrlSchema, urlParam } from '../utils/urlState';
+import useUrlState from '../hooks/useUrlState';
+import useParamHistory from '../hooks/useParamHistory';
+import useUserPresets from '../hooks/useUserPresets';
 import { Play, Pause, Maximize } from 'lucide-react'; // Using Maximize icon for Stereo Imager
 import SEOHead from './SEOHead';
+import SourceSelector from './SourceSelector';
+import ABCompareControls from './ABCompareControls';
+import PresetPanel from './PresetPanel';
 
 
 // Define the tool object for SEO structured data
@@ -21,79 +34,53 @@ const stereoImagerExplorerTool = {
 
 
 
-// Define the path to your C4 piano sample.
+// Source the explorer starts with; the user can switch it with the source selector.
 // IMPORTANT NOTE: For best results with Stereo Imager, a true stereo audio source
 // (like a music track, or a stereo synth patch) is highly recommended.
-// A single piano note like C4_PIANO_MP3_PATH is often recorded in mono,
+// The piano loops are recorded in mono,
 // which will limit the noticeable effect of stereo widening.
-const C4_PIANO_MP3_PATH = '/piano_samples/C4.mp3';
+const DEFAULT_SOURCE = { type: 'demo', id: 'piano' };
 
-// --- INLINED AUDIO CONTEXT ---
-// This context manages the global Tone.js audio state.
-export const AudioContext = createContext(null);
-
-const AudioContextProvider = ({ children }) => {
-    const [isAudioGloballyReady, setIsAudioGloballyReady] = useState(false);
-
-    // Function to start Tone.js audio context
-    const startGlobalAudio = useCallback(async () => {
-        if (Tone.context.state !== 'running') {
-            try {
-                console.log('AudioContext: Attempting to start global Tone.js context...');
-                await Tone.start();
-                setIsAudioGloballyReady(true);
-                console.log('AudioContext: Tone.js context started and is running.');
-            } catch (error) {
-                console.error("AudioContext: Error starting Tone.js context:", error);
-                setIsAudioGloballyReady(false);
-            }
-        } else {
-            setIsAudioGloballyReady(true);
-            console.log('AudioContext: Tone.js context already running.');
-        }
-    }, []);
-
-    // Effect to observe Tone.js context state changes
-    useEffect(() => {
-        const handleToneContextChange = () => {
-            if (Tone.context.state === 'running') {
-                setIsAudioGloballyReady(true);
-            } else {
-                setIsAudioGloballyReady(false);
-            }
-        };
-
-        Tone.context.on('statechange', handleToneContextChange);
-        handleToneContextChange(); // Initial check on mount
-
-        return () => {
-            Tone.context.off('statechange', handleToneContextChange);
-        };
-    }, []);
-
-    return (
-        <AudioContext.Provider value={{ isAudioGloballyReady, startGlobalAudio }}>
-            {children}
-        </AudioContext.Provider>
-    );
-};
-// --- END INLINED AUDIO CONTEXT ---
 
+// Stereo width kept in the URL, so a link reopens it
+const URL_SCHEMA = createUrlSchema({
+    params: {
+        width: urlParam.number({ min: 0, max: 1 }),
+    },
+});
 
 // --- useStereoImagerSynth Hook ---
 const useStereoImagerSynth = () => {
     const { isAudioGloballyReady, startGlobalAudio } = useContext(AudioContext);
-    const playerRef = useRef(null);
+    const sourceRef = useRef(null);
+    const { selectedSource, selectSource, selectFile, isLoadingSource, sourceError, loadSelectedSource, liveInput } = useExplorerSource(sourceRef, DEFAULT_SOURCE);
+    const comparatorRef = useRef(null); // A/B switch between the bypass and processed signals
+    const getComparator = useCallback(() => comparatorRef.current, []);
+    const abCompare = useABCompare(getComparator);
+    const { syncComparator } = abCompare;
     const stereoWidenerRef = useRef(null); // Reference to Tone.StereoWidener
     const hasInitializedRef = useRef(false);
 
     const [isPlaying, setIsPlaying] = useState(false);
     const [width, setWidth] = useState(0.5); // 0 (mono) to 1 (max stereo width)
 
+    const toolParams = { width };
+    const toolParamSetters = { width: setWidth };
+    useUrlState(URL_SCHEMA, toolParams, toolParamSetters);
+    useParamHistory(toolParams, toolParamSetters);
+    const userPresets = useUserPresets({
+        tool: 'stereo-imager-explorer', schema: URL_SCHEMA, params: toolParams, applyParams: toolParamSetters,
+    });
+
     const [isAudioReady, setIsAudioReady] = useState(false);
 
+    // Latest parameters, so the nodes start with them without initAudioNodes depending on them
+    const paramsRef = useRef(null);
+    paramsRef.current = { width };
+
     // Function to create and connect Tone.js nodes for Stereo Imager processing
     const initAudioNodes = useCallback(async () => {
+        const { width } = paramsRef.current;
         // Prevent re-initialization if already done
         if (hasInitializedRef.current) {
             console.log('useStereoImagerSynth: initAudioNodes: already initialized, skipping init.');
@@ -103,30 +90,31 @@ const useStereoImagerSynth = () => {
         console.log(`useStereoImagerSynth: initAudioNodes called. isAudioGloballyReady: ${isAudioGloballyReady}`);
 
         // Only proceed if global audio context is ready and player hasn't been created yet
-        if (isAudioGloballyReady && !playerRef.current) {
-            console.log('useStereoImagerSynth: Proceeding with initialization of audio nodes and loading MP3...');
+        if (isAudioGloballyReady && !sourceRef.current) {
+            console.log('useStereoImagerSynth: Proceeding with initialization of audio nodes and loading the audio source...');
             try {
-                // Create Tone.Player for the audio source (C4 piano)
-                const player = new Tone.Player({
-                    url: C4_PIANO_MP3_PATH, // Piano sample for stereo imaging
-                    loop: true, // Loop the sample for continuous effect
-                    autostart: false,
-                    volume: -8 // Slightly reduced volume
-                });
-                await player.load(C4_PIANO_MP3_PATH); // Ensure the new path is used for loading
-                console.log('useStereoImagerSynth: C4 piano sample loaded successfully.');
+                // Create the switchable source (demo loop, user file or generator)
+                const source = registerNode(new ExplorerSource({ volume: -8 })); // Slightly reduced volume
+                await loadSelectedSource(source);
+                console.log('useStereoImagerSynth: Audio source loaded successfully.');
+
+                // A/B comparison: the bypass path taps the source ahead of the effect
+                const comparator = registerNode(new ABComparator()).toDestination();
+                source.connect(comparator.dry);
 
                 // Create Tone.StereoWidener effect
-                const stereoWidener = new Tone.StereoWidener({
+                const stereoWidener = registerNode(new Tone.StereoWidener({
                     width: width,
                     // The 'wet' parameter is inherited from Effect, default is 1
-                }).toDestination(); // Connect directly to output
+                })).connect(comparator); // Connect to the output through the A/B switch
 
                 // Connect the player to the stereo widener effect
-                player.connect(stereoWidener);
+                source.connect(stereoWidener);
 
                 // Store references
-                playerRef.current = player;
+                sourceRef.current = source;
+                comparatorRef.current = comparator;
+                syncComparator();
                 stereoWidenerRef.current = stereoWidener;
 
                 setIsAudioReady(true);
@@ -134,29 +122,33 @@ const useStereoImagerSynth = () => {
                 console.log('useStereoImagerSynth: Audio nodes initialized and connected.');
 
             } catch (error) {
-                console.error("useStereoImagerSynth: Error initializing audio nodes or loading MP3:", error);
+                console.error("useStereoImagerSynth: Error initializing audio nodes or loading the audio source:", error);
                 setIsAudioReady(false);
                 hasInitializedRef.current = false;
             }
         } else {
             console.log("useStereoImagerSynth: initAudioNodes skipped. Not globally ready or player already exists.");
         }
-    }, [isAudioGloballyReady]); // Only global readiness as dependency for initial setup
+    }, [isAudioGloballyReady, loadSelectedSource, syncComparator]); // Only global readiness (and the stable source loader) for initial setup
 
     // Function to dispose Tone.js nodes
     const disposeAudioNodes = useCallback(() => {
-        console.log(`useStereoImagerSynth: disposeAudioNodes called. playerRef.current: ${playerRef.current}`);
-        if (playerRef.current) {
+        console.log(`useStereoImagerSynth: disposeAudioNodes called. sourceRef.current: ${sourceRef.current}`);
+        if (sourceRef.current) {
             console.log('useStereoImagerSynth: Disposing audio nodes...');
             // Only stop the player if it's currently started to avoid errors
-            if (playerRef.current.state === 'started') {
-                playerRef.current.stop();
+            if (sourceRef.current.state === 'started') {
+                sourceRef.current.stop();
             }
-            playerRef.current.dispose(); // Dispose the player
+            sourceRef.current.dispose(); // Dispose the player
             if (stereoWidenerRef.current) stereoWidenerRef.current.dispose(); // Dispose the stereo widener node
 
             // Nullify references
-            playerRef.current = null;
+            sourceRef.current = null;
+            if (comparatorRef.current) {
+                comparatorRef.current.dispose();
+                comparatorRef.current = null;
+            }
             stereoWidenerRef.current = null;
 
             setIsPlaying(false);
@@ -211,14 +203,14 @@ const useStereoImagerSynth = () => {
         }
 
         // Step 3: Now, with confidence that the audio system is ready, toggle playback.
-        if (playerRef.current && hasInitializedRef.current && isAudioReady) {
+        if (sourceRef.current && hasInitializedRef.current && isAudioReady) {
             try {
                 if (isPlaying) {
-                    playerRef.current.stop(); // Stop playback
+                    sourceRef.current.stop(); // Stop playback
                     setIsPlaying(false);
                     console.log('togglePlay: Audio stopped.');
                 } else {
-                    playerRef.current.start(); // Start playback
+                    sourceRef.current.start(); // Start playback
                     setIsPlaying(true);
                     console.log('togglePlay: Audio started.');
                 }
@@ -231,6 +223,8 @@ const useStereoImagerSynth = () => {
     }, [isPlaying, isAudioGloballyReady, isAudioReady, startGlobalAudio, initAudioNodes]);
 
     return {
+        userPresets,
+        selectedSource, selectSource, selectFile, isLoadingSource, sourceError, liveInput, abCompare,
         isPlaying,
         togglePlay,
         width,
@@ -244,9 +238,11 @@ const useStereoImagerSynth = () => {
 // --- StereoImagerExplorerContent Component (Main App Component) ---
 const StereoImagerExplorerContent = () => {
     const {
+        selectedSource, selectSource, selectFile, isLoadingSource, sourceError, liveInput, abCompare,
         isPlaying, togglePlay,
         width, setWidth,
         isAudioReady,
+        userPresets,
     } = useStereoImagerSynth();
 
     const getExplanation = (param) => {
@@ -293,7 +289,7 @@ const StereoImagerExplorerContent = () => {
                         </p>
                     )}
                     <p className="text-blue-800 text-sm mt-2">
-                        Note: For the most noticeable effect, use a *true stereo* audio source. This example uses a mono piano sample.
+                        Note: For the most noticeable effect, use a *true stereo* audio source. The piano demo loops are mono; try your own stereo file.
                     </p>
                 </div>
 
@@ -314,6 +310,18 @@ const StereoImagerExplorerContent = () => {
                         {isPlaying ? "Stop Audio Loop" : "Play Audio Loop"}
                     </button>
 
+                    {/* Audio Source */}
+                    <SourceSelector
+                        selectedSource={selectedSource}
+                        onSelect={selectSource}
+                        onFile={selectFile}
+                        isLoading={isLoadingSource}
+                        error={sourceError}
+                        liveInput={liveInput}
+                    />
+                    <ABCompareControls abCompare={abCompare} disabled={!isAudioReady} />
+                    <PresetPanel presets={userPresets} />
+
                     {/* Width Slider */}
                     <div className="grid grid-cols-1 gap-6 w-full mt-8">
                         <div className="flex flex-col items-center">
@@ -371,11 +379,9 @@ class ErrorBoundary extends React.Component {
 
 const StereoImagerExplorer = () => {
     return (
-        <AudioContextProvider>
-            <ErrorBoundary>
-                <StereoImagerExplorerContent />
-            </ErrorBoundary>
-        </AudioContextProvider>
+        <ErrorBoundary>
+            <StereoImagerExplorerContent />
+        </ErrorBoundary>
     );
 }
 
@@ -1,5 +1,7 @@
-import React, { useState, useEffect, useRef, useCallback, createContext, useContext } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useContext } from 'react';
 import * as Tone from 'tone';
+import { AudioContext } from '../contexts/AudioContext';
+import { registerNode } from '../utils/audioEngine';
 import { Play, Pause, Music, Volume2, Shuffle, Zap } from 'lucide-react'; // Icons for play/pause, music, volume, shuffle, and Zap
 import SEOHead from './SEOHead';
 
@@ -24,58 +26,6 @@ const swingGrooveVisualizerTool = {
 // at this path for sound playback.
 const CLICK_SOUND_MP3_PATH = '/click_samples/click.wav';
 
-// --- AUDIO CONTEXT ---
-// This context manages the global Tone.js audio state.
-export const AudioContext = createContext(null);
-
-const AudioContextProvider = ({ children }) => {
-    const [isAudioGloballyReady, setIsAudioGloballyReady] = useState(false);
-
-    // Function to start Tone.js audio context
-    const startGlobalAudio = useCallback(async () => {
-        if (Tone.context.state !== 'running') {
-            try {
-                console.log('AudioContext: Attempting to start global Tone.js context...');
-                await Tone.start();
-                setIsAudioGloballyReady(true);
-                console.log('AudioContext: Tone.js context started and is running.');
-            } catch (error) {
-                console.error("AudioContext: Error starting Tone.js context:", error);
-                setIsAudioGloballyReady(false);
-            }
-        } else {
-            setIsAudioGloballyReady(true);
-            console.log('AudioContext: Tone.js context already running.');
-        }
-    }, []);
-
-    // Effect to observe Tone.js context state changes
-    useEffect(() => {
-        const handleToneContextChange = () => {
-            if (Tone.context.state === 'running') {
-                setIsAudioGloballyReady(true);
-            } else {
-                setIsAudioGloballyReady(false);
-            }
-        };
-
-        Tone.context.on('statechange', handleToneContextChange);
-        handleToneContextChange(); // Initial check on mount
-
-        return () => {
-            Tone.context.off('statechange', handleToneContextChange);
-        };
-    }, []);
-
-    return (
-        <AudioContext.Provider value={{ isAudioGloballyReady, startGlobalAudio }}>
-            {children}
-        </AudioContext.Provider>
-    );
-};
-// --- END AUDIO CONTEXT ---
-
-
 // --- useSwingGrooveSynth Hook ---
 const useSwingGrooveSynth = () => {
     const { isAudioGloballyReady, startGlobalAudio } = useContext(AudioContext);
@@ -125,11 +75,11 @@ const useSwingGrooveSynth = () => {
             Tone.Transport.cancel(); // Clear all scheduled events
 
             // Create Tone.Player for the click sound
-            const player = new Tone.Player({
+            const player = registerNode(new Tone.Player({
                 url: CLICK_SOUND_MP3_PATH,
                 autostart: false,
                 volume: -10 // Adjust volume for the click
-            }).toDestination(); // Direct to output
+            })).toDestination(); // Direct to output
 
             await player.loaded; // Await the 'loaded' promise for the player
             console.log('useSwingGrooveSynth: Click sound loaded successfully.');
@@ -139,7 +89,7 @@ const useSwingGrooveSynth = () => {
 
             // Initialize Tone.Loop for the metronome clicks
             // Initial interval is set, but will be updated by the useEffect for parameters.
-            const loop = new Tone.Loop((time) => {
+            const loop = registerNode(new Tone.Loop((time) => {
                 if (clickPlayerRef.current && clickPlayerRef.current.loaded) {
                     clickPlayerRef.current.start(time);
                 }
@@ -148,7 +98,7 @@ const useSwingGrooveSynth = () => {
                     // loop.iterator gives the current iteration count (0, 1, 2, ...)
                     setActiveStep(loop.iterator % patternSteps); // Ensure activeStep loops within patternSteps
                 }, time);
-            }, swingSubdivision); // Initial subdivision, will be updated by useEffect
+            }, swingSubdivision)); // Initial subdivision, will be updated by useEffect
 
             loop.start(0); // Start the loop at the beginning of the transport (won't play until Transport starts)
             metronomeLoopRef.current = loop;
@@ -574,14 +524,12 @@ class ErrorBoundary extends React.Component {
     }
 }
 
-// Default export wrapping the main content with AudioContextProvider and ErrorBoundary
+// Default export wrapping the main content with ErrorBoundary
 const SwingGrooveVisualizer = () => {
     return (
-        <AudioContextProvider>
-            <ErrorBoundary>
-                <SwingGrooveVisualizerContent />
-            </ErrorBoundary>
-        </AudioContextProvider>
+        <ErrorBoundary>
+            <SwingGrooveVisualizerContent />
+        </ErrorBoundary>
     );
 }
 
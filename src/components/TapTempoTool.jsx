@@ -1,7 +1,16 @@
 import React, { useState, useRef, useCallback } from 'react';
 import { RefreshCcw, Hand } from 'lucide-react';
 import SEOHead from './SEOHead';
+import { createUrlSchema, urlParam } from '../utils/urlState';
+import useUrlState from '../hooks/useUrlState';
+import useParamHistory from '../hooks/useParamHistory';
 
+// Time signature kept in the URL, so a link reopens it
+const URL_SCHEMA = createUrlSchema({
+  params: {
+    timeSignature: urlParam.oneOf(['4/4', '3/4', '6/8', '5/4', '7/8']),
+  },
+});
 
 const useTapTempo = () => {
   const tapTimesRef = useRef([]);
@@ -10,6 +19,11 @@ const useTapTempo = () => {
   const [timeSignature, setTimeSignature] = useState('4/4');
   const [beatCount, setBeatCount] = useState(0);
 
+  const toolParams = { timeSignature };
+  const toolParamSetters = { timeSignature: setTimeSignature };
+  useUrlState(URL_SCHEMA, toolParams, toolParamSetters);
+  useParamHistory(toolParams, toolParamSetters);
+
   const MIN_TAPS_FOR_BPM = 3;
 
   const handleTap = useCallback(() => {
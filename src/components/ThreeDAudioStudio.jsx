@@ -1,9 +1,32 @@
-import React, { useState, useEffect, useRef, useCallback, createContext, useContext } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useContext, useMemo } from 'react';
 import * as Tone from 'tone';
-import { Play, Pause, Upload, Download, RotateCcw, Headphones, AlertCircle, Loader2 } from 'lucide-react';
+import { AudioContext } from '../contexts/AudioContext';
+import { registerNode, unregisterNode } from '../utils/audioEngine';
+import { exportAudioBuffer, DEFAULT_EXPORT_SETTINGS } from '../utils/audioExport';
+import { downloadBlob, getBaseFileName } from '../utils/downloadUtils';
+import useExportJob from '../hooks/useExportJob';
+import useRegionPlayback from '../hooks/useRegionPlayback';
+import useAudioEdits from '../hooks/useAudioEdits';
+import useStudioProject from '../hooks/useStudioProject';
+import useUrlState from '../hooks/useUrlState';
+import useParamHistory from '../hooks/useParamHistory';
+import useUserPresets from '../hooks/useUserPresets';
+import { createUrlSchema, urlParam } from '../utils/urlState';
+import { startLoopingBufferSource } from '../utils/audioRegion';
+import { applyEdits } from '../utils/audioEdits';
+import { renderOffline, getRenderDuration } from '../utils/offlineRenderer';
+import { LoudnessMeter } from '../utils/loudnessMeter';
+import { Play, Pause, Upload, Download, RotateCcw, Headphones, AlertCircle, Loader2, X } from 'lucide-react';
 import * as THREE from 'three';
 import { OrbitControls as ThreeOrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
 import SEOHead from './SEOHead';
+import ExportOptions from './ExportOptions';
+import LoudnessMeterPanel from './LoudnessMeterPanel';
+import LoudnessReport from './LoudnessReport';
+import WaveformOverview from './WaveformOverview';
+import AudioEditPanel from './AudioEditPanel';
+import ProjectPanel from './ProjectPanel';
+import PresetPanel from './PresetPanel';
 
 
 
@@ -22,38 +45,6 @@ const threeDAudioStudioTool = {
     ]
 };
 
-// --- Context for managing global audio state ---
-const AudioContext = createContext(null);
-const AudioContextProvider = ({ children }) => {
-    const [isAudioGloballyReady, setIsAudioGloballyReady] = useState(false);
-    const startGlobalAudio = useCallback(async () => {
-        if (Tone.context.state === 'running') {
-            setIsAudioGloballyReady(true);
-            return;
-        }
-        try {
-            await Tone.start();
-            setIsAudioGloballyReady(true);
-            console.log('Tone.js context started.');
-        } catch (error) {
-            console.error("Error starting Tone.js context:", error);
-        }
-    }, []);
-
-    useEffect(() => {
-        const handleStateChange = () => setIsAudioGloballyReady(Tone.context.state === 'running');
-        Tone.context.on('statechange', handleStateChange);
-        handleStateChange();
-        return () => Tone.context.off('statechange', handleStateChange);
-    }, []);
-
-    return (
-        <AudioContext.Provider value={{ isAudioGloballyReady, startGlobalAudio }}>
-            {children}
-        </AudioContext.Provider>
-    );
-};
-
 // --- Constants and Presets ---
 const AUDIO_3D_PRESETS = {
     'Default': { distance: 5, position: { x: 0, y: 0, z: 0 }, rolloffFactor: 1.0, cone: { innerAngle: 360, outerAngle: 360 }, movementSpeed: 0.5, movementPattern: 'static' },
@@ -65,36 +56,85 @@ const AUDIO_3D_PRESETS = {
     'Infinity': { distance: 5, position: { x: 0, y: 0, z: 0 }, rolloffFactor: 1.0, cone: { innerAngle: 360, outerAngle: 360 }, movementSpeed: 0.8, movementPattern: 'infinity' },
 };
 
-// --- Utility to convert AudioBuffer to a WAV Blob ---
-function audioBufferToWav(buffer) {
-    const numOfChan = buffer.numberOfChannels;
-    const length = buffer.length * numOfChan * 2 + 44;
-    const bufferArray = new ArrayBuffer(length);
-    const view = new DataView(bufferArray);
-    let pos = 0;
-    const setUint16 = (data) => { view.setUint16(pos, data, true); pos += 2; };
-    const setUint32 = (data) => { view.setUint32(pos, data, true); pos += 4; };
-    const writeString = (s) => { for (let i = 0; i < s.length; i++) { view.setUint8(pos++, s.charCodeAt(i)); } };
-    writeString('RIFF'); setUint32(length - 8); writeString('WAVE');
-    writeString('fmt '); setUint32(16); setUint16(1); setUint16(numOfChan);
-    setUint32(buffer.sampleRate); setUint32(buffer.sampleRate * 2 * numOfChan);
-    setUint16(numOfChan * 2); setUint16(16);
-    writeString('data'); setUint32(buffer.length * numOfChan * 2);
-    for (let i = 0; i < buffer.length; i++) {
-        for (let chan = 0; chan < numOfChan; chan++) {
-            const sample = Math.max(-1, Math.min(1, buffer.getChannelData(chan)[i]));
-            view.setInt16(pos, sample < 0 ? sample * 32768 : sample * 32767, true);
-            pos += 2;
+// Parameters kept in the URL (the keys of the project parameters), so a link reopens them
+const URL_SCHEMA = createUrlSchema({
+    params: {
+        position: urlParam.object({
+            x: urlParam.number({ min: -10, max: 10 }),
+            y: urlParam.number({ min: -10, max: 10 }),
+            z: urlParam.number({ min: -10, max: 10 }),
+        }),
+        distance: urlParam.number({ min: 0, max: 10 }),
+        rolloffFactor: urlParam.number({ min: 0, max: 4 }),
+        cone: urlParam.object({
+            innerAngle: urlParam.number({ min: 0, max: 360 }),
+            outerAngle: urlParam.number({ min: 0, max: 360 }),
+        }),
+        movementSpeed: urlParam.number({ min: 0, max: 5 }),
+        movementPattern: urlParam.oneOf(['static', 'circle', 'spiral', 'leftright', 'infinity']),
+        is3DActive: urlParam.boolean(),
+        volume: urlParam.number({ min: 0, max: 1 }),
+        selectedPreset: urlParam.oneOf(Object.keys(AUDIO_3D_PRESETS)),
+    },
+});
+
+// Rate at which a moving source's position is updated, matching the animation frame rate used during playback
+const MOVEMENT_UPDATE_RATE = 60;
+// Time constant for gliding between movement updates
+const MOVEMENT_SMOOTHING = 0.01;
+// File size limit (50MB for client-side processing)
+const MAX_FILE_SIZE = 50 * 1024 * 1024;
+
+// --- Shared Audio Graph ---
+
+// Source position `time` seconds into a movement pattern; 'static' keeps the base position.
+const getMovementPosition = (movementPattern, time, { speed, distance, position }) => {
+    const newPos = { ...position };
+    switch (movementPattern) {
+        case 'circle':
+            newPos.x = Math.cos(time * speed) * distance;
+            newPos.z = Math.sin(time * speed) * distance;
+            break;
+        case 'spiral': {
+            const radius = 2 + Math.sin(time * speed * 0.5) * 3;
+            newPos.x = Math.cos(time * speed) * radius;
+            newPos.y = Math.sin(time * speed * 0.7) * 2;
+            newPos.z = Math.sin(time * speed) * radius;
+            break;
         }
+        case 'leftright':
+            newPos.x = Math.sin(time * speed) * distance;
+            break;
+        case 'infinity':
+            newPos.x = Math.sin(time * speed) * distance;
+            newPos.z = Math.sin(time * speed * 2) * distance / 2;
+            break;
     }
-    return new Blob([view], { type: 'audio/wav' });
-}
+    return newPos;
+};
 
+// Panner -> output gain chain on a native context, built the same way for playback and for the offline download render
+const build3DChain = (context, { position, rolloffFactor, cone, volume }) => {
+    const panner = context.createPanner();
+    panner.panningModel = 'HRTF';
+    panner.distanceModel = 'inverse';
+    panner.rolloffFactor = rolloffFactor;
+    panner.coneInnerAngle = cone.innerAngle;
+    panner.coneOuterAngle = cone.outerAngle;
+    panner.positionX.value = position.x;
+    panner.positionY.value = position.y;
+    panner.positionZ.value = position.z;
+    const gain = context.createGain();
+    gain.gain.value = volume;
+    panner.connect(gain);
+    return { panner, gain };
+};
 
 // --- Main Custom Hook for 3D Audio Processing ---
 const use3DAudioProcessor = () => {
     const { isAudioGloballyReady, startGlobalAudio } = useContext(AudioContext);
     const audioNodesRef = useRef({});
+    const loudnessMeterRef = useRef(null); // BS.1770 meter on the output
     const animationFrameRef = useRef(null);
     const startTimeRef = useRef(0);
     const currentAudioBufferRef = useRef(null);
@@ -103,10 +143,12 @@ const use3DAudioProcessor = () => {
     const [isAudioReady, setIsAudioReady] = useState(false);
     const [isLoadingAudio, setIsLoadingAudio] = useState(false);
     const [audioLoadError, setAudioLoadError] = useState(null);
-    const [isDownloading, setIsDownloading] = useState(false);
+    const { isExporting: isDownloading, exportProgress: downloadProgress, runExport, cancelExport: cancelDownload } = useExportJob();
     const [audioFileName, setAudioFileName] = useState('');
     const [hasAudioFile, setHasAudioFile] = useState(false);
     const [selectedPreset, setSelectedPreset] = useState('Default');
+    const [exportSettings, setExportSettings] = useState(DEFAULT_EXPORT_SETTINGS); // Download format, quality and sample rate
+    const [exportReport, setExportReport] = useState(null); // Loudness of the last exported file
     const [is3DActive, setIs3DActive] = useState(true);
 
     const [position, setPosition] = useState(AUDIO_3D_PRESETS.Default.position);
@@ -118,15 +160,20 @@ const use3DAudioProcessor = () => {
     const [volume, setVolume] = useState(0.7);
     const [currentPosition, setCurrentPosition] = useState({ x: 0, y: 0, z: 0 });
 
-    const MAX_FILE_SIZE = 50 * 1024 * 1024;
-
     const disposeAudioNodes = useCallback(() => {
         if (animationFrameRef.current) cancelAnimationFrame(animationFrameRef.current);
-        Object.values(audioNodesRef.current).forEach(node => node?.disconnect());
+        Object.values(audioNodesRef.current).forEach(node => {
+            node?.disconnect();
+            unregisterNode(node);
+        });
         if (audioNodesRef.current.source) {
             try { audioNodesRef.current.source.stop(); } catch (e) {/* ignore */}
         }
         audioNodesRef.current = {};
+        if (loudnessMeterRef.current) {
+            loudnessMeterRef.current.dispose();
+            loudnessMeterRef.current = null;
+        }
         animationFrameRef.current = null;
         setIsPlaying(false);
         setIsAudioReady(false);
@@ -144,15 +191,18 @@ const use3DAudioProcessor = () => {
             const source = context.createBufferSource();
             source.buffer = audioBuffer;
             source.loop = true;
-            const panner = context.createPanner();
-            panner.panningModel = 'HRTF';
-            panner.distanceModel = 'inverse';
-            const gain = context.createGain();
+            const { panner, gain } = build3DChain(context, { position, rolloffFactor, cone, volume });
             const analyser = context.createAnalyser();
             analyser.fftSize = 512;
 
             audioNodesRef.current = { source, panner, gain, analyser };
-            source.connect(panner).connect(gain).connect(analyser).connect(context.destination);
+            [source, panner, gain, analyser].forEach(node => registerNode(node));
+            source.connect(panner);
+            gain.connect(analyser);
+            // Route into the shared master bus instead of the raw speakers
+            Tone.connect(analyser, Tone.getDestination());
+            loudnessMeterRef.current = registerNode(new LoudnessMeter());
+            Tone.connect(analyser, loudnessMeterRef.current);
             setIsAudioReady(true);
         } catch (error) {
             setAudioLoadError(`Failed to initialize audio: ${error.message}`);
@@ -160,7 +210,7 @@ const use3DAudioProcessor = () => {
         } finally {
             setIsLoadingAudio(false);
         }
-    }, [disposeAudioNodes]);
+    }, [disposeAudioNodes, position, rolloffFactor, cone, volume]);
 
     useEffect(() => () => disposeAudioNodes(), [disposeAudioNodes]);
 
@@ -205,55 +255,55 @@ const use3DAudioProcessor = () => {
         }
 
         const time = (Date.now() - startTimeRef.current) / 1000;
-        const speed = movementSpeed;
-        let newPos = { ...position };
-
-        switch (movementPattern) {
-            case 'circle':
-                newPos.x = Math.cos(time * speed) * distance;
-                newPos.z = Math.sin(time * speed) * distance;
-                break;
-            case 'spiral':
-                const radius = 2 + Math.sin(time * speed * 0.5) * 3;
-                newPos.x = Math.cos(time * speed) * radius;
-                newPos.y = Math.sin(time * speed * 0.7) * 2;
-                newPos.z = Math.sin(time * speed) * radius;
-                break;
-            case 'leftright':
-                newPos.x = Math.sin(time * speed) * distance;
-                break;
-            case 'infinity':
-                newPos.x = Math.sin(time * speed) * distance;
-                newPos.z = Math.sin(time * speed * 2) * distance / 2;
-                break;
-        }
+        const newPos = getMovementPosition(movementPattern, time, { speed: movementSpeed, distance, position });
         const now = Tone.context.currentTime;
-        panner.positionX.setTargetAtTime(newPos.x, now, 0.01);
-        panner.positionY.setTargetAtTime(newPos.y, now, 0.01);
-        panner.positionZ.setTargetAtTime(newPos.z, now, 0.01);
+        panner.positionX.setTargetAtTime(newPos.x, now, MOVEMENT_SMOOTHING);
+        panner.positionY.setTargetAtTime(newPos.y, now, MOVEMENT_SMOOTHING);
+        panner.positionZ.setTargetAtTime(newPos.z, now, MOVEMENT_SMOOTHING);
         setCurrentPosition(newPos);
         animationFrameRef.current = requestAnimationFrame(animate3DMovement);
     }, [isPlaying, movementPattern, movementSpeed, distance, position, is3DActive]);
 
+    // Play position, seeking and the looped/exported region of the file. Buffer sources
+    // play only once, so every start makes a new one.
+    const playback = useRegionPlayback({
+        startSource: (offset, bounds, buffer) => {
+            const previous = audioNodesRef.current.source;
+            if (previous) {
+                try { previous.stop(); } catch {/* never started */}
+                previous.disconnect();
+            }
+            const source = Tone.context.rawContext.createBufferSource();
+            source.buffer = buffer;
+            const destination = is3DActive ? audioNodesRef.current.panner : audioNodesRef.current.gain;
+            source.connect(destination);
+            audioNodesRef.current.source = source;
+            return startLoopingBufferSource(source, offset, bounds);
+        },
+        stopSource: () => audioNodesRef.current.source?.stop(),
+    });
+    const { play: startPlayback, stop: stopPlayback, loadBuffer, replaceBuffer, getExportBuffer } = playback;
+
+    // Non-destructive edits of the file; playback and the waveform follow the edited audio
+    const audioEdits = useAudioEdits();
+    const { setSourceBuffer, edits, editedBuffer } = audioEdits;
+    useEffect(() => {
+        if (editedBuffer) replaceBuffer(editedBuffer);
+    }, [editedBuffer, replaceBuffer]);
+
     const togglePlay = useCallback(async () => {
         if (!isAudioGloballyReady) await startGlobalAudio();
         if (!isAudioReady || isLoadingAudio) return;
 
         if (isPlaying) {
-            audioNodesRef.current.source?.stop();
+            stopPlayback();
             setIsPlaying(false);
         } else {
-            const source = Tone.context.rawContext.createBufferSource();
-            source.buffer = currentAudioBufferRef.current;
-            source.loop = true;
-            const destination = is3DActive ? audioNodesRef.current.panner : audioNodesRef.current.gain;
-            source.connect(destination);
-            source.start();
-            audioNodesRef.current.source = source;
+            startPlayback();
             startTimeRef.current = Date.now();
             setIsPlaying(true);
         }
-    }, [isPlaying, isAudioReady, isLoadingAudio, isAudioGloballyReady, startGlobalAudio, is3DActive]);
+    }, [isPlaying, isAudioReady, isLoadingAudio, isAudioGloballyReady, startGlobalAudio, startPlayback, stopPlayback]);
 
     useEffect(() => {
         if (isPlaying) {
@@ -269,7 +319,7 @@ const use3DAudioProcessor = () => {
     const handleFileUpload = useCallback(async (file) => {
         if (!file || file.size > MAX_FILE_SIZE) {
             setAudioLoadError(file ? `File too large (Max 50MB)` : 'No file selected');
-            return;
+            return false;
         }
         setAudioFileName(file.name);
         setHasAudioFile(false);
@@ -279,15 +329,19 @@ const use3DAudioProcessor = () => {
         try {
             const arrayBuffer = await file.arrayBuffer();
             const audioBuffer = await Tone.context.rawContext.decodeAudioData(arrayBuffer);
+            loadBuffer(audioBuffer);
+            setSourceBuffer(audioBuffer);
             await initAudioNodes(audioBuffer);
             setHasAudioFile(true);
+            return true;
         } catch (error) {
             setAudioLoadError(`Failed to load audio: ${error.message}`);
             disposeAudioNodes();
+            return false;
         } finally {
             setIsLoadingAudio(false);
         }
-    }, [isAudioGloballyReady, startGlobalAudio, initAudioNodes, disposeAudioNodes, isPlaying]);
+    }, [isAudioGloballyReady, startGlobalAudio, initAudioNodes, disposeAudioNodes, isPlaying, loadBuffer, setSourceBuffer]);
 
     const applyPreset = useCallback((presetName) => {
         const preset = AUDIO_3D_PRESETS[presetName];
@@ -323,66 +377,97 @@ const use3DAudioProcessor = () => {
             if (!is3DActive) setAudioLoadError("Cannot download with 3D bypassed.");
             return;
         }
-        setIsDownloading(true);
         setAudioLoadError(null);
         try {
-            const originalBuffer = currentAudioBufferRef.current;
-            // CRITICAL FIX: Force stereo output to capture spatialization from mono sources
-            const offlineContext = new OfflineAudioContext(2, originalBuffer.length, originalBuffer.sampleRate);
-            const source = offlineContext.createBufferSource();
-            source.buffer = originalBuffer;
-            const panner = offlineContext.createPanner();
-            panner.panningModel = 'HRTF';
-            panner.distanceModel = 'inverse';
-            panner.rolloffFactor = rolloffFactor;
-            panner.coneInnerAngle = cone.innerAngle;
-            panner.coneOuterAngle = cone.outerAngle;
-            const gain = offlineContext.createGain();
-            gain.gain.value = volume;
-            source.connect(panner).connect(gain).connect(offlineContext.destination);
-
-            if (movementPattern !== 'static') {
-                const duration = originalBuffer.duration;
-                const steps = Math.floor(duration * 60);
-                for (let i = 0; i <= steps; i++) {
-                    const time = (i / steps) * duration;
-                    const speed = movementSpeed;
-                    let newPos = { ...position };
-                    switch (movementPattern) {
-                        case 'circle': newPos.x = Math.cos(time * speed) * distance; newPos.z = Math.sin(time * speed) * distance; break;
-                        case 'spiral': const r = 2 + Math.sin(time * speed * 0.5) * 3; newPos.x = Math.cos(time * speed) * r; newPos.y = Math.sin(time * speed * 0.7) * 2; newPos.z = Math.sin(time * speed) * r; break;
-                        case 'leftright': newPos.x = Math.sin(time * speed) * distance; break;
-                        case 'infinity': newPos.x = Math.sin(time * speed) * distance; newPos.z = Math.sin(time * speed * 2) * distance / 2; break;
+            await runExport(async ({ signal, onRenderProgress, onEncodeProgress }) => {
+                const originalBuffer = getExportBuffer(applyEdits(currentAudioBufferRef.current, edits));
+                const movement = { speed: movementSpeed, distance, position };
+
+                // Render through the same panner chain as playback; stereo output captures the spatialization of mono sources
+                const renderedBuffer = await renderOffline((context) => {
+                    const rawContext = context.rawContext;
+                    const source = rawContext.createBufferSource();
+                    source.buffer = originalBuffer;
+                    const { panner, gain } = build3DChain(rawContext, { position, rolloffFactor, cone, volume });
+                    source.connect(panner);
+                    gain.connect(rawContext.destination);
+
+                    // Schedule the movement at the rate the playback animation updates it
+                    if (movementPattern !== 'static') {
+                        const steps = Math.floor(originalBuffer.duration * MOVEMENT_UPDATE_RATE);
+                        for (let i = 0; i <= steps; i++) {
+                            const time = i / MOVEMENT_UPDATE_RATE;
+                            const newPos = getMovementPosition(movementPattern, time, movement);
+                            panner.positionX.setTargetAtTime(newPos.x, time, MOVEMENT_SMOOTHING);
+                            panner.positionY.setTargetAtTime(newPos.y, time, MOVEMENT_SMOOTHING);
+                            panner.positionZ.setTargetAtTime(newPos.z, time, MOVEMENT_SMOOTHING);
+                        }
                     }
-                    panner.positionX.setValueAtTime(newPos.x, time);
-                    panner.positionY.setValueAtTime(newPos.y, time);
-                    panner.positionZ.setValueAtTime(newPos.z, time);
-                }
-            } else {
-                panner.positionX.value = position.x; panner.positionY.value = position.y; panner.positionZ.value = position.z;
-            }
-            source.start(0);
-            const renderedBuffer = await offlineContext.startRendering();
-            const wavBlob = audioBufferToWav(renderedBuffer);
-            const url = URL.createObjectURL(wavBlob);
-            const a = document.createElement('a');
-            a.style.display = 'none';
-            a.href = url;
-            a.download = `${audioFileName.split('.').slice(0, -1).join('.') || 'audio'}-3d.wav`;
-            document.body.appendChild(a);
-            a.click();
-            URL.revokeObjectURL(url);
-            a.remove();
+                    source.start(0);
+                }, {
+                    duration: getRenderDuration(originalBuffer),
+                    sampleRate: originalBuffer.sampleRate,
+                    onProgress: onRenderProgress,
+                    signal,
+                });
+                const baseFileName = getBaseFileName(audioFileName);
+                const { blob, extension, loudness, notice } = await exportAudioBuffer(renderedBuffer, {
+                    ...exportSettings,
+                    onProgress: onEncodeProgress,
+                    signal,
+                    metadata: { title: baseFileName, software: 'LyriLab 3D Audio Studio', preset: selectedPreset },
+                });
+                const fileName = `${baseFileName}-3d.${extension}`;
+                downloadBlob(blob, fileName);
+                setExportReport({ loudness, fileName, notice });
+            });
         } catch (e) {
+            console.error("Error rendering 3D audio:", e);
             setAudioLoadError("Failed to render audio. See console.");
-        } finally {
-            setIsDownloading(false);
         }
-    }, [currentAudioBufferRef, position, rolloffFactor, cone, volume, audioFileName, isDownloading, movementPattern, movementSpeed, distance, is3DActive]);
+    }, [currentAudioBufferRef, position, rolloffFactor, cone, volume, audioFileName, isDownloading, runExport, movementPattern, movementSpeed, distance, is3DActive, exportSettings, selectedPreset, getExportBuffer, edits]);
+
+    const getLoudnessMeter = useCallback(() => loudnessMeterRef.current, []);
+
+    // Parameter values saved in the project (see useStudioProject)
+    const projectParams = useMemo(() => ({
+        position, distance, rolloffFactor, cone, movementSpeed, movementPattern, is3DActive, volume, selectedPreset,
+    }), [position, distance, rolloffFactor, cone, movementSpeed, movementPattern, is3DActive, volume, selectedPreset]);
+
+    const applyProjectParams = useCallback((params) => {
+        if (params.position) setPosition(params.position);
+        if (params.distance > 0) setDistance(params.distance);
+        if (params.rolloffFactor >= 0) setRolloffFactor(params.rolloffFactor);
+        if (params.cone) setCone(params.cone);
+        if (params.movementSpeed >= 0) setMovementSpeed(params.movementSpeed);
+        if (params.movementPattern) setMovementPattern(params.movementPattern);
+        if (typeof params.is3DActive === 'boolean') setIs3DActive(params.is3DActive);
+        if (params.volume >= 0) setVolume(params.volume);
+        if (params.selectedPreset) setSelectedPreset(params.selectedPreset);
+    }, []);
+
+    // Keeps the 3D settings in the URL; a link's settings win over the last project's
+    const { hasUrlState } = useUrlState(URL_SCHEMA, projectParams, applyProjectParams);
+    useParamHistory(projectParams, applyProjectParams);
+    const userPresets = useUserPresets({
+        tool: '3D-audio-studio', schema: URL_SCHEMA, params: projectParams, applyParams: applyProjectParams,
+    });
+
+    // Saves the file, parameters and edits as a project and restores it on the next visit
+    const project = useStudioProject({
+        studio: '3d-audio-studio',
+        params: projectParams,
+        applyParams: applyProjectParams,
+        audioEdits,
+        loadFile: handleFileUpload,
+        restoreParams: !hasUrlState,
+    });
 
     return {
+        userPresets,
         isPlaying, togglePlay, isAudioReady, isLoadingAudio, audioLoadError,
-        isDownloading, downloadProcessed3DAudio, handleFileUpload, audioFileName, hasAudioFile,
+        isDownloading, downloadProgress, downloadProcessed3DAudio, cancelDownload, exportSettings, setExportSettings, handleFileUpload, audioFileName, hasAudioFile,
+        getLoudnessMeter, exportReport, playback, audioEdits, project,
         getFrequencyData, position, setPosition, distance, setDistance,
         rolloffFactor, setRolloffFactor, cone, setCone, movementSpeed, setMovementSpeed,
         movementPattern, setMovementPattern, is3DActive, setIs3DActive, volume, setVolume,
@@ -517,7 +602,7 @@ const ThreeDVisualizer = ({ position, onPositionChange, isActive, isMovementActi
 };
 
 
-const UploadSection = ({ onFileUpload, isLoading }) => {
+const UploadSection = ({ onFileUpload, isLoading, children }) => {
     const [dragActive, setDragActive] = useState(false);
     const fileInputRef = useRef(null);
     const handleDrag = useCallback((e) => { e.preventDefault(); e.stopPropagation(); if (e.type === "dragenter" || e.type === "dragover") setDragActive(true); else if (e.type === "dragleave") setDragActive(false); }, []);
@@ -534,13 +619,14 @@ const UploadSection = ({ onFileUpload, isLoading }) => {
                 {isLoading ? (<><Loader2 size={48} className="mx-auto mb-4 text-cyan-400 animate-spin" /><p className="text-white text-lg">Processing Audio...</p></>) : (<><Upload size={48} className="mx-auto mb-4 text-cyan-400" /><p className="text-white text-lg">Click or Drag File Here</p><p className="text-cyan-300 text-sm">Max 50MB</p></>)}
             </div>
             <input ref={fileInputRef} type="file" accept="audio/*" onChange={handleFileSelect} className="hidden" />
+            {children && <div className="w-full max-w-lg mt-8">{children}</div>}
         </div>
     );
 };
 
 const ThreeDAudioContent = () => {
     const processor = use3DAudioProcessor();
-    const { isPlaying, isAudioReady, isLoadingAudio, audioLoadError, hasAudioFile, handleFileUpload, audioFileName, getFrequencyData, movementPattern, currentPosition, is3DActive, setPosition } = processor;
+    const { isPlaying, isAudioReady, isLoadingAudio, audioLoadError, hasAudioFile, project, audioFileName, getFrequencyData, movementPattern, currentPosition, is3DActive, setPosition } = processor;
     const canvasRef = useRef(null);
     const visAnimationRef = useRef(null);
 
@@ -566,7 +652,11 @@ const ThreeDAudioContent = () => {
     }, [isPlaying, getFrequencyData]);
 
     if (!hasAudioFile) {
-        return <UploadSection onFileUpload={handleFileUpload} isLoading={isLoadingAudio} />;
+        return (
+            <UploadSection onFileUpload={project.openFile} isLoading={isLoadingAudio}>
+                <ProjectPanel project={project} disabled={isLoadingAudio} theme="dark" />
+            </UploadSection>
+        );
     }
 
     const isMovementActive = movementPattern !== 'static';
@@ -589,11 +679,34 @@ const ThreeDAudioContent = () => {
 
                     <div className="flex flex-wrap justify-center items-center gap-3 mb-6 p-3 bg-black/20 rounded-xl ring-1 ring-white/10 shadow-lg">
                         <button onClick={processor.togglePlay} disabled={!isAudioReady || isLoadingAudio} className="px-4 py-2 rounded-full bg-green-600 hover:bg-green-700 text-white flex items-center gap-2 transition disabled:opacity-50 disabled:cursor-not-allowed"><_components.PlayPauseIcon isPlaying={isPlaying} /><span>{isPlaying ? 'Stop' : 'Play'}</span></button>
-                        <label className="px-4 py-2 rounded-full bg-blue-600 hover:bg-blue-700 text-white cursor-pointer flex items-center gap-2 transition"><Upload size={16} /><span>New File</span><input type="file" accept="audio/*" onChange={(e) => handleFileUpload(e.target.files[0])} className="hidden" /></label>
-                        <button onClick={processor.downloadProcessed3DAudio} disabled={!isAudioReady || processor.isDownloading || !is3DActive} className="px-4 py-2 rounded-full bg-cyan-600 hover:bg-cyan-700 text-white flex items-center gap-2 transition disabled:opacity-50 disabled:cursor-not-allowed">{processor.isDownloading ? <Loader2 size={16} className="animate-spin" /> : <Download size={16} />}<span>{processor.isDownloading ? 'Processing...' : 'Download'}</span></button>
+                        <label className="px-4 py-2 rounded-full bg-blue-600 hover:bg-blue-700 text-white cursor-pointer flex items-center gap-2 transition"><Upload size={16} /><span>New File</span><input type="file" accept="audio/*" onChange={(e) => project.openFile(e.target.files[0])} className="hidden" /></label>
+                        <button onClick={processor.downloadProcessed3DAudio} disabled={!isAudioReady || processor.isDownloading || !is3DActive} className="px-4 py-2 rounded-full bg-cyan-600 hover:bg-cyan-700 text-white flex items-center gap-2 transition disabled:opacity-50 disabled:cursor-not-allowed">{processor.isDownloading ? <Loader2 size={16} className="animate-spin" /> : <Download size={16} />}<span>{processor.isDownloading ? `Processing ${processor.downloadProgress}%` : 'Download'}</span></button>
+                        {processor.isDownloading && <button onClick={processor.cancelDownload} className="px-4 py-2 rounded-full bg-red-600 hover:bg-red-700 text-white flex items-center gap-2 transition"><X size={16} /><span>Cancel</span></button>}
+                        <ExportOptions settings={processor.exportSettings} onChange={processor.setExportSettings} disabled={!isAudioReady || processor.isDownloading || !is3DActive} />
                         <button onClick={processor.reset3DAudio} className="px-4 py-2 rounded-full bg-gray-600 hover:bg-gray-700 text-white flex items-center gap-2 transition"><RotateCcw size={16} /><span>Reset</span></button>
                     </div>
 
+                    <div className="mb-6 p-4 bg-black/20 rounded-xl ring-1 ring-white/10 shadow-lg backdrop-blur-sm">
+                        <ProjectPanel project={project} disabled={isLoadingAudio || processor.isDownloading} theme="dark" />
+                    </div>
+
+                    <div className="mb-6 p-4 bg-black/20 rounded-xl ring-1 ring-white/10 shadow-lg backdrop-blur-sm">
+                        <PresetPanel presets={processor.userPresets} disabled={isLoadingAudio || processor.isDownloading} theme="dark" />
+                    </div>
+
+                    <div className="mb-6 p-4 bg-black/20 rounded-xl ring-1 ring-white/10 shadow-lg backdrop-blur-sm">
+                        <WaveformOverview playback={processor.playback} disabled={!isAudioReady || isLoadingAudio} theme="dark" />
+                    </div>
+
+                    <div className="mb-6 p-4 bg-black/20 rounded-xl ring-1 ring-white/10 shadow-lg backdrop-blur-sm">
+                        <AudioEditPanel audioEdits={processor.audioEdits} playback={processor.playback} disabled={!isAudioReady || isLoadingAudio} theme="dark" />
+                    </div>
+
+                    <div className="mb-6 p-4 bg-black/20 rounded-xl ring-1 ring-white/10 shadow-lg backdrop-blur-sm space-y-3">
+                        <LoudnessMeterPanel getMeter={processor.getLoudnessMeter} disabled={!isAudioReady} theme="dark" />
+                        <LoudnessReport loudness={processor.exportReport?.loudness} fileName={processor.exportReport?.fileName} notice={processor.exportReport?.notice} theme="dark" />
+                    </div>
+
                     <div className="mb-6 p-4 bg-black/20 rounded-xl ring-1 ring-white/10 shadow-lg backdrop-blur-sm">
                         <h3 className="text-white text-lg font-semibold mb-3 text-center">Spatial Presets</h3>
                         <div className="grid grid-cols-2 sm:grid-cols-4 md:grid-cols-7 gap-2">
@@ -639,9 +752,7 @@ const _components = {
 
 export default function App() {
     return (
-        <AudioContextProvider>
-            <ThreeDAudioContent />
-        </AudioContextProvider>
+        <ThreeDAudioContent />
     );
 }
 
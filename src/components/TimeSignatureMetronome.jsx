@@ -1,59 +1,14 @@
-import React, { useState, useEffect, useCallback, useRef, createContext, useContext } from 'react';
+import React, { useState, useEffect, useCallback, useRef, useContext } from 'react';
 import * as Tone from 'tone';
+import { AudioContext } from '../contexts/AudioContext';
+import { registerNode } from '../utils/audioEngine';
+import { createUrlSchema, urlParam } from '../utils/urlState';
+import useUrlState from '../hooks/useUrlState';
+import useParamHistory from '../hooks/useParamHistory';
 import { Play, Pause, Music, Volume2, VolumeX, Clock } from 'lucide-react';
 import SEOHead from './SEOHead';
 
 
-// --- AUDIO CONTEXT ---
-export const AudioContext = createContext(null);
-
-const AudioContextProvider = ({ children }) => {
-    const [isAudioGloballyReady, setIsAudioGloballyReady] = useState(false);
-    const [error, setError] = useState(null);
-
-    const startGlobalAudio = useCallback(async () => {
-        if (Tone.context.state === 'running') {
-            setIsAudioGloballyReady(true);
-            setError(null);
-            return;
-        }
-
-        try {
-            await Tone.start();
-            setIsAudioGloballyReady(true);
-            setError(null);
-        } catch (error) {
-            setError(`Failed to initialize audio: ${error.message}`);
-            setIsAudioGloballyReady(false);
-        }
-    }, []);
-
-    useEffect(() => {
-        const handleToneContextChange = () => {
-            if (Tone.context.state === 'running') {
-                setIsAudioGloballyReady(true);
-                setError(null);
-            } else {
-                setIsAudioGloballyReady(false);
-                if (!error) setError("Audio context suspended. Click to activate.");
-            }
-        };
-
-        Tone.context.on('statechange', handleToneContextChange);
-        handleToneContextChange();
-
-        return () => {
-            Tone.context.off('statechange', handleToneContextChange);
-        };
-    }, [error]);
-
-    return (
-        <AudioContext.Provider value={{ isAudioGloballyReady, startGlobalAudio, error }}>
-            {children}
-        </AudioContext.Provider>
-    );
-};
-
 // Define the tool object for SEO structured data
 const metronomeTool = {
     id: 'time-signature-metronome',
@@ -69,6 +24,16 @@ const metronomeTool = {
     ]
 };
 
+// Tempo and meter kept in the URL, so a link reopens them
+const URL_SCHEMA = createUrlSchema({
+    params: {
+        bpm: urlParam.integer({ min: 40, max: 240 }),
+        beats: urlParam.integer({ min: 1, max: 12 }),
+        noteValue: urlParam.oneOf([2, 4, 8, 16]),
+        volume: urlParam.number({ min: -40, max: 0 }),
+    },
+});
+
 // --- useMetronome Hook ---
 const useMetronome = () => {
     const { isAudioGloballyReady, startGlobalAudio } = useContext(AudioContext);
@@ -83,6 +48,13 @@ const useMetronome = () => {
     const [metronomeVolume, setMetronomeVolume] = useState(-10);
     const [isMetronomeInitialized, setIsMetronomeInitialized] = useState(false);
 
+    const toolParams = { bpm, beats: numerator, noteValue: denominator, volume: metronomeVolume };
+    const toolParamSetters = {
+        bpm: setBpm, beats: setNumerator, noteValue: setDenominator, volume: setMetronomeVolume,
+    };
+    useUrlState(URL_SCHEMA, toolParams, toolParamSetters);
+    useParamHistory(toolParams, toolParamSetters);
+
     const disposeMetronome = useCallback(() => {
         if (sequenceRef.current) {
             sequenceRef.current.stop();
@@ -105,7 +77,7 @@ const useMetronome = () => {
 
             try {
                 // Create a simple synth for metronome clicks
-                const synth = new Tone.Synth({
+                const synth = registerNode(new Tone.Synth({
                     oscillator: {
                         type: 'sine'
                     },
@@ -115,7 +87,7 @@ const useMetronome = () => {
                         sustain: 0,
                         release: 0.1
                     }
-                }).toDestination();
+                })).toDestination();
                 
                 synthRef.current = synth;
                 setIsMetronomeInitialized(true);
@@ -163,7 +135,7 @@ const useMetronome = () => {
         }
 
         // Create new sequence
-        const sequence = new Tone.Sequence((time, event) => {
+        const sequence = registerNode(new Tone.Sequence((time, event) => {
             if (!isMuted && synthRef.current) {
                 synthRef.current.triggerAttackRelease(event.note, '8n', time);
             }
@@ -172,7 +144,7 @@ const useMetronome = () => {
             Tone.Draw.schedule(() => {
                 setCurrentBeat(event.beatNumber);
             }, time);
-        }, events, subdivision);
+        }, events, subdivision));
 
         sequenceRef.current = sequence;
 
@@ -456,11 +428,9 @@ class ErrorBoundary extends React.Component {
 // Main Export
 const TimeSignatureMetronome = () => {
     return (
-        <AudioContextProvider>
-            <ErrorBoundary>
-                <TimeSignatureMetronomeContent />
-            </ErrorBoundary>
-        </AudioContextProvider>
+        <ErrorBoundary>
+            <TimeSignatureMetronomeContent />
+        </ErrorBoundary>
     );
 };
 
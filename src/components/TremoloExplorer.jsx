@@ -1,7 +1,20 @@
-import React, { useState, useEffect, useRef, useCallback, createContext, useContext } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useContext } from 'react';
 import * as Tone from 'tone';
+import { AudioContext } from '../contexts/AudioContext';
+import { registerNode } from '../utils/audioEngine';
+import { ExplorerSource } from '../utils/explorerSources';
+import useExplorerSource from '../hooks/useExplorerSource';
+import { ABComparator } from '../utils/abCompare';
+import useABCompare from '../hooks/useABCompare';
+import { createUrlSchema, urlParam } from '../utils/urlState';
+import useUrlState from '../hooks/useUrlState';
+import useParamHistory from '../hooks/useParamHistory';
+import useUserPresets from '../hooks/useUserPresets';
 import { Play, Pause, Waves, Volume2 } from 'lucide-react';
 import SEOHead from './SEOHead';
+import SourceSelector from './SourceSelector';
+import ABCompareControls from './ABCompareControls';
+import PresetPanel from './PresetPanel';
 
 // Define the tool object for SEO structured data
 const tremoloExplorerTool = {
@@ -19,63 +32,28 @@ const tremoloExplorerTool = {
 };
 
 
-// Define the path to your C4 piano sample.
-const C4_PIANO_MP3_PATH = '/piano_samples/C4.mp3';
+// Source the explorer starts with; the user can switch it with the source selector.
+const DEFAULT_SOURCE = { type: 'demo', id: 'piano' };
 
-// --- AUDIO CONTEXT ---
-// This context manages the global Tone.js audio state.
-export const AudioContext = createContext(null);
 
-const AudioContextProvider = ({ children }) => {
-    const [isAudioGloballyReady, setIsAudioGloballyReady] = useState(false);
-
-    // Function to start Tone.js audio context
-    const startGlobalAudio = useCallback(async () => {
-        if (Tone.context.state !== 'running') {
-            try {
-                console.log('AudioContext: Attempting to start global Tone.js context...');
-                await Tone.start();
-                setIsAudioGloballyReady(true);
-                console.log('AudioContext: Tone.js context started and is running.');
-            } catch (error) {
-                console.error("AudioContext: Error starting Tone.js context:", error);
-                setIsAudioGloballyReady(false);
-            }
-        } else {
-            setIsAudioGloballyReady(true);
-            console.log('AudioContext: Tone.js context already running.');
-        }
-    }, []);
-
-    // Effect to observe Tone.js context state changes
-    useEffect(() => {
-        const handleToneContextChange = () => {
-            if (Tone.context.state === 'running') {
-                setIsAudioGloballyReady(true);
-            } else {
-                setIsAudioGloballyReady(false);
-            }
-        };
-
-        Tone.context.on('statechange', handleToneContextChange);
-        handleToneContextChange(); // Initial check on mount
-
-        return () => {
-            Tone.context.off('statechange', handleToneContextChange);
-        };
-    }, []);
-
-    return (
-        <AudioContext.Provider value={{ isAudioGloballyReady, startGlobalAudio }}>
-            {children}
-        </AudioContext.Provider>
-    );
-};
+// Tremolo settings kept in the URL, so a link reopens them
+const URL_SCHEMA = createUrlSchema({
+    params: {
+        frequency: urlParam.number({ min: 0.1, max: 20 }),
+        depth: urlParam.number({ min: 0, max: 1 }),
+        wet: urlParam.number({ min: 0, max: 1 }),
+    },
+});
 
 // --- useTremoloSynth Hook ---
 const useTremoloSynth = () => {
     const { isAudioGloballyReady, startGlobalAudio } = useContext(AudioContext);
-    const playerRef = useRef(null);
+    const sourceRef = useRef(null);
+    const { selectedSource, selectSource, selectFile, isLoadingSource, sourceError, loadSelectedSource, liveInput } = useExplorerSource(sourceRef, DEFAULT_SOURCE);
+    const comparatorRef = useRef(null); // A/B switch between the bypass and processed signals
+    const getComparator = useCallback(() => comparatorRef.current, []);
+    const abCompare = useABCompare(getComparator);
+    const { syncComparator } = abCompare;
     const tremoloRef = useRef(null);
     const waveformAnalyserRef = useRef(null);
     const hasInitializedRef = useRef(false);
@@ -88,9 +66,22 @@ const useTremoloSynth = () => {
     const [tremoloDepth, setTremoloDepth] = useState(0.75); // 0-1
     const [tremoloWet, setTremoloWet] = useState(1.0); // 0-1 (usually 1.0 for tremolo)
 
+    const toolParams = { frequency: tremoloFreq, depth: tremoloDepth, wet: tremoloWet };
+    const toolParamSetters = { frequency: setTremoloFreq, depth: setTremoloDepth, wet: setTremoloWet };
+    useUrlState(URL_SCHEMA, toolParams, toolParamSetters);
+    useParamHistory(toolParams, toolParamSetters);
+    const userPresets = useUserPresets({
+        tool: 'tremolo-explorer', schema: URL_SCHEMA, params: toolParams, applyParams: toolParamSetters,
+    });
+
+    // Latest parameters, so the nodes start with them without initAudioNodes depending on them
+    const paramsRef = useRef(null);
+    paramsRef.current = { tremoloDepth, tremoloFreq, tremoloWet };
+
     // Function to create and connect Tone.js nodes for effects processing
     // FIXED: Removed tremolo parameters from dependency array
     const initAudioNodes = useCallback(async () => {
+        const { tremoloDepth, tremoloFreq, tremoloWet } = paramsRef.current;
         if (hasInitializedRef.current) {
             console.log('useTremoloSynth: initAudioNodes: already initialized, skipping init.');
             return;
@@ -98,41 +89,43 @@ const useTremoloSynth = () => {
 
         console.log(`useTremoloSynth: initAudioNodes called. isAudioGloballyReady: ${isAudioGloballyReady}`);
 
-        if (isAudioGloballyReady && !playerRef.current) {
-            console.log('useTremoloSynth: Proceeding with initialization of audio nodes and loading MP3...');
+        if (isAudioGloballyReady && !sourceRef.current) {
+            console.log('useTremoloSynth: Proceeding with initialization of audio nodes and loading the audio source...');
             try {
-                const player = new Tone.Player({
-                    url: C4_PIANO_MP3_PATH,
-                    loop: true,
-                    autostart: false,
-                    volume: -10 // Adjust volume for piano sample
-                });
-                await player.load(C4_PIANO_MP3_PATH);
-                console.log('useTremoloSynth: Piano sample loaded successfully.');
+                // Create the switchable source (demo loop, user file or generator)
+                const source = registerNode(new ExplorerSource({ volume: -10 })); // Adjust volume for the source
+                await loadSelectedSource(source);
+                console.log('useTremoloSynth: Audio source loaded successfully.');
+
+                // A/B comparison: the bypass path taps the source ahead of the effect
+                const comparator = registerNode(new ABComparator()).toDestination();
+                source.connect(comparator.dry);
 
                 // Initialize Tremolo effect with current parameter values
-                const tremolo = new Tone.Tremolo({
+                const tremolo = registerNode(new Tone.Tremolo({
                     frequency: tremoloFreq,
                     depth: tremoloDepth,
                     type: "sine",
                     spread: 180,
                     wet: tremoloWet,
-                });
+                }));
                 // Start tremolo LFO
                 tremolo.start();
 
                 // Create Analyser for waveform visualization
-                const waveformAnalyser = new Tone.Analyser("waveform", 1024);
+                const waveformAnalyser = registerNode(new Tone.Analyser("waveform", 1024));
 
                 // Tremolo is always enabled for this explorer
                 tremolo.bypass = false;
 
                 // Chain the effects and connect to destination
                 // Player -> Tremolo -> WaveformAnalyser -> Destination
-                player.chain(tremolo, waveformAnalyser, Tone.Destination);
+                source.chain(tremolo, waveformAnalyser, comparator);
 
                 // Store references
-                playerRef.current = player;
+                sourceRef.current = source;
+                comparatorRef.current = comparator;
+                syncComparator();
                 tremoloRef.current = tremolo;
                 waveformAnalyserRef.current = waveformAnalyser;
 
@@ -141,28 +134,32 @@ const useTremoloSynth = () => {
                 console.log('useTremoloSynth: Audio nodes initialized and connected.');
 
             } catch (error) {
-                console.error("useTremoloSynth: Error initializing audio nodes or loading MP3:", error);
+                console.error("useTremoloSynth: Error initializing audio nodes or loading the audio source:", error);
                 setIsAudioReady(false);
                 hasInitializedRef.current = false;
             }
         } else {
             console.log("useTremoloSynth: initAudioNodes skipped. Not globally ready or player already exists.");
         }
-    }, [isAudioGloballyReady]); // FIXED: Only depends on isAudioGloballyReady
+    }, [isAudioGloballyReady, loadSelectedSource, syncComparator]); // FIXED: Only depends on isAudioGloballyReady and the stable source loader
 
     // Function to dispose Tone.js nodes
     const disposeAudioNodes = useCallback(() => {
-        console.log(`useTremoloSynth: disposeAudioNodes called. playerRef.current: ${playerRef.current}`);
-        if (playerRef.current) {
+        console.log(`useTremoloSynth: disposeAudioNodes called. sourceRef.current: ${sourceRef.current}`);
+        if (sourceRef.current) {
             console.log('useTremoloSynth: Disposing audio nodes...');
-            if (playerRef.current.state === 'started') {
-                playerRef.current.stop();
+            if (sourceRef.current.state === 'started') {
+                sourceRef.current.stop();
             }
-            playerRef.current.dispose();
+            sourceRef.current.dispose();
             if (tremoloRef.current) tremoloRef.current.dispose();
             if (waveformAnalyserRef.current) waveformAnalyserRef.current.dispose();
 
-            playerRef.current = null;
+            sourceRef.current = null;
+            if (comparatorRef.current) {
+                comparatorRef.current.dispose();
+                comparatorRef.current = null;
+            }
             tremoloRef.current = null;
             waveformAnalyserRef.current = null;
 
@@ -216,14 +213,14 @@ const useTremoloSynth = () => {
             await initAudioNodes();
         }
 
-        if (playerRef.current && isAudioReady) {
+        if (sourceRef.current && isAudioReady) {
             try {
                 if (isPlaying) {
-                    playerRef.current.stop();
+                    sourceRef.current.stop();
                     setIsPlaying(false);
                     console.log('togglePlay: Audio stopped.');
                 } else {
-                    playerRef.current.start();
+                    sourceRef.current.start();
                     setIsPlaying(true);
                     console.log('togglePlay: Audio started.');
                 }
@@ -244,6 +241,8 @@ const useTremoloSynth = () => {
     }, []);
 
     return {
+        userPresets,
+        selectedSource, selectSource, selectFile, isLoadingSource, sourceError, liveInput, abCompare,
         isPlaying,
         togglePlay,
         isAudioReady,
@@ -372,12 +371,14 @@ const ParameterSlider = ({ label, value, setter, min, max, step, explanation, un
 // --- TremoloExplorerContent Component ---
 const TremoloExplorerContent = () => {
     const {
+        selectedSource, selectSource, selectFile, isLoadingSource, sourceError, liveInput, abCompare,
         isPlaying, togglePlay,
         isAudioReady,
         tremoloFreq, setTremoloFreq,
         tremoloDepth, setTremoloDepth,
         tremoloWet, setTremoloWet,
         getWaveformData,
+        userPresets,
     } = useTremoloSynth();
 
     const visualizerWidth = 700;
@@ -423,7 +424,7 @@ const TremoloExplorerContent = () => {
                     </div>
                     {!isAudioReady && (
                         <p className="text-green-700 text-sm mt-4 animate-pulse">
-                            Click "Play Piano Loop" to activate audio and begin.
+                            Click "Play Audio Loop" to activate audio and begin.
                         </p>
                     )}
                 </div>
@@ -442,9 +443,21 @@ const TremoloExplorerContent = () => {
                         `}
                     >
                         {isPlaying ? <Pause size={24} /> : <Play size={24} />}
-                        {isPlaying ? "Stop Piano Loop" : "Play Piano Loop"}
+                        {isPlaying ? "Stop Audio Loop" : "Play Audio Loop"}
                     </button>
 
+                    {/* Audio Source */}
+                    <SourceSelector
+                        selectedSource={selectedSource}
+                        onSelect={selectSource}
+                        onFile={selectFile}
+                        isLoading={isLoadingSource}
+                        error={sourceError}
+                        liveInput={liveInput}
+                    />
+                    <ABCompareControls abCompare={abCompare} disabled={!isAudioReady} />
+                    <PresetPanel presets={userPresets} />
+
                     {/* Waveform Visualizer */}
                     <div className="w-full flex justify-center mt-8">
                         {isAudioReady && getWaveformData ? (
@@ -523,11 +536,9 @@ class ErrorBoundary extends React.Component {
 
 const TremoloExplorer = () => {
     return (
-        <AudioContextProvider>
-            <ErrorBoundary>
-                <TremoloExplorerContent />
-            </ErrorBoundary>
-        </AudioContextProvider>
+        <ErrorBoundary>
+            <TremoloExplorerContent />
+        </ErrorBoundary>
     );
 }
 
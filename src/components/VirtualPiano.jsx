@@ -1,19 +1,70 @@
 // src/components/VirtualPiano.jsx
 
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
-import { Volume2, VolumeX, Music, RotateCw } from 'lucide-react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { Volume2, VolumeX, Music, RotateCw, ZoomIn, ZoomOut, ChevronLeft, ChevronRight } from 'lucide-react';
 import usePianoSynth from '../hooks/usePianoSynth';
+import { createUrlSchema, urlParam } from '../utils/urlState';
+import useUrlState from '../hooks/useUrlState';
+import useParamHistory from '../hooks/useParamHistory';
+import useMidiInput from '../hooks/useMidiInput';
+import usePerformanceRecorder from '../hooks/usePerformanceRecorder';
+import { QUANTIZE_GRIDS } from '../utils/performanceTake';
+import { PIANO_VOICES } from '../utils/pianoVoices';
+import { createPianoKeys, getVisibleKeyRange } from '../utils/pianoKeys';
+import {
+    KEYBOARD_LAYOUTS,
+    getKeyboardMapping,
+    getKeyDownVelocity,
+    getKeyboardLayoutSetting,
+    setKeyboardLayoutSetting,
+} from '../utils/computerKeyboard';
 import PianoUI from './PianoUI';
+import MidiInputControls from './MidiInputControls';
+import PerformanceRecorder from './PerformanceRecorder';
+import PianoVoiceSelect from './PianoVoiceSelect';
 import SEOHead from './SEOHead';
 
+// Octaves the computer keyboard can start at
+const MIN_BASE_OCTAVE = 0;
+const MAX_BASE_OCTAVE = 6;
+// Octaves shown at each zoom step; 8 is the whole 88-key piano
+const ZOOM_LEVELS = [1, 2, 3, 4, 5, 8];
+
+// Piano sound, volume, keyboard and recorder settings kept in the URL, so a link reopens them
+const URL_SCHEMA = createUrlSchema({
+    params: {
+        voice: urlParam.oneOf(Object.keys(PIANO_VOICES)),
+        volume: urlParam.number({ min: 0, max: 1, precision: 2 }),
+        octave: urlParam.integer({ min: MIN_BASE_OCTAVE, max: MAX_BASE_OCTAVE }),
+        zoom: urlParam.oneOf(ZOOM_LEVELS),
+        velocity: urlParam.boolean(),
+        bpm: urlParam.integer({ min: 40, max: 240 }),
+        countIn: urlParam.integer({ min: 0, max: 2 }),
+        metronome: urlParam.boolean(),
+        quantize: urlParam.oneOf(['off', ...QUANTIZE_GRIDS]),
+        strength: urlParam.number({ min: 0, max: 1, precision: 2 }),
+    },
+});
+
 const VirtualPiano = () => {
     const [pressedKeys, setPressedKeys] = useState(new Set());
     const [isLandscape, setIsLandscape] = useState(false);
     const [isMobile, setIsMobile] = useState(false);
+    const [baseOctave, setBaseOctave] = useState(3); // Octave of the computer keyboard's bottom row
+    const [visibleOctaves, setVisibleOctaves] = useState(() => (window.innerWidth < 768 ? 1 : 3));
+    const [keyboardLayout, setKeyboardLayout] = useState(getKeyboardLayoutSetting);
+    const [isVelocitySensitive, setIsVelocitySensitive] = useState(true);
+    const [isSustainOn, setIsSustainOn] = useState(false); // On-screen pedal or space bar
 
     const {
         playNote,
         stopNote,
+        setPitchBend,
+        setModWheel,
+        setSustain,
+        voice,
+        setVoice,
+        isLoadingSamples,
         isAudioReady,
         isSynthMuted,
         toggleMute,
@@ -21,6 +72,37 @@ const VirtualPiano = () => {
         setSynthVolume
     } = usePianoSynth(0.7, false);
 
+    // Records what's played, for playback and MIDI/WAV export
+    const recorder = usePerformanceRecorder({ playNote, stopNote, volume: synthVolume, voice });
+    const { noteOn: recordNoteOn, noteOff: recordNoteOff, activeNotes: playbackNotes } = recorder;
+
+    const toolParams = {
+        voice,
+        volume: synthVolume,
+        octave: baseOctave,
+        zoom: visibleOctaves,
+        velocity: isVelocitySensitive,
+        bpm: recorder.bpm,
+        countIn: recorder.countInBars,
+        metronome: recorder.isMetronomeOn,
+        quantize: recorder.quantizeGrid,
+        strength: recorder.quantizeStrength,
+    };
+    const toolParamSetters = {
+        voice: setVoice,
+        volume: setSynthVolume,
+        octave: setBaseOctave,
+        zoom: setVisibleOctaves,
+        velocity: setIsVelocitySensitive,
+        bpm: recorder.setBpm,
+        countIn: recorder.setCountInBars,
+        metronome: recorder.setIsMetronomeOn,
+        quantize: recorder.setQuantizeGrid,
+        strength: recorder.setQuantizeStrength,
+    };
+    useUrlState(URL_SCHEMA, toolParams, toolParamSetters);
+    useParamHistory(toolParams, toolParamSetters);
+
     // Define the tool object for SEO structured data
     const virtualPianoTool = {
         id: 'virtual-piano',
@@ -41,84 +123,93 @@ const VirtualPiano = () => {
     console.log('🎹 pageId:', 'virtual-piano');
     console.log('🎹 tool object:', virtualPianoTool);
 
-    // Rest of your component logic...
-    const fullPianoKeys = useMemo(() => ([
-        { note: 'C3', type: 'white', key: 'z' },
-        { note: 'C#3', type: 'black', key: 's' },
-        { note: 'D3', type: 'white', key: 'x' },
-        { note: 'D#3', type: 'black', key: 'd' },
-        { note: 'E3', type: 'white', key: 'c' },
-        { note: 'F3', type: 'white', key: 'v' },
-        { note: 'F#3', type: 'black', key: 'g' },
-        { note: 'G3', type: 'white', key: 'b' },
-        { note: 'G#3', type: 'black', key: 'h' },
-        { note: 'A3', type: 'white', key: 'n' },
-        { note: 'A#3', type: 'black', key: 'j' },
-        { note: 'B3', type: 'white', key: 'm' },
-        { note: 'C4', type: 'white', key: 'q' },
-        { note: 'C#4', type: 'black', key: '2' },
-        { note: 'D4', type: 'white', key: 'w' },
-        { note: 'D#4', type: 'black', key: '3' },
-        { note: 'E4', type: 'white', key: 'e' },
-        { note: 'F4', type: 'white', key: 'r' },
-        { note: 'F#4', type: 'black', key: '5' },
-        { note: 'G4', type: 'white', key: 't' },
-        { note: 'G#4', type: 'black', key: '6' },
-        { note: 'A4', type: 'white', key: 'y' },
-        { note: 'A#4', type: 'black', key: '7' },
-        { note: 'B4', type: 'white', key: 'u' },
-        { note: 'C5', type: 'white', key: 'i' },
-        { note: 'C#5', type: 'black', key: '9' },
-        { note: 'D5', type: 'white', key: 'o' },
-        { note: 'D#5', type: 'black', key: '0' },
-        { note: 'E5', type: 'white', key: 'p' },
-        { note: 'F5', type: 'white', key: '[' },
-        { note: 'F#5', type: 'black', key: '=' },
-        { note: 'G5', type: 'white', key: ']' },
-        { note: 'G#5', type: 'black', key: '\\' },
-        { note: 'A5', type: 'white', key: ';' },
-        { note: 'A#5', type: 'black', key: '\'' },
-        { note: 'B5', type: 'white', key: 'l' }
-    ]), []);
-
-    const oneOctaveKeys = useMemo(() => ([
-        { note: 'C4', type: 'white', key: 'q' },
-        { note: 'C#4', type: 'black', key: '2' },
-        { note: 'D4', type: 'white', key: 'w' },
-        { note: 'D#4', type: 'black', key: '3' },
-        { note: 'E4', type: 'white', key: 'e' },
-        { note: 'F4', type: 'white', key: 'r' },
-        { note: 'F#4', type: 'black', key: '5' },
-        { note: 'G4', type: 'white', key: 't' },
-        { note: 'G#4', type: 'black', key: '6' },
-        { note: 'A4', type: 'white', key: 'y' },
-        { note: 'A#4', type: 'black', key: '7' },
-        { note: 'B4', type: 'white', key: 'u' }
-    ]), []);
-
-    const pianoKeys = isMobile ? oneOctaveKeys : fullPianoKeys;
-
-    const handleKeyPress = useCallback((note) => {
-        setPressedKeys(prev => {
-            const newSet = new Set(prev);
-            if (!newSet.has(note)) {
-                newSet.add(note);
-                playNote(note);
-            }
-            return newSet;
-        });
-    }, [playNote]);
+    // Part of the 88 keys shown, and the computer keys that play them
+    const pianoKeys = useMemo(() => {
+        const { lowest, highest } = getVisibleKeyRange(baseOctave, visibleOctaves);
+        return createPianoKeys(lowest, highest);
+    }, [baseOctave, visibleOctaves]);
+    const keyboardMapping = useMemo(() => getKeyboardMapping(keyboardLayout, baseOctave), [keyboardLayout, baseOctave]);
+
+    const pressedRef = useRef(new Set()); // Keys held down
+    const sustainedRef = useRef(new Set()); // Keys released while the sustain pedal holds them
+    const isSustainOnRef = useRef(isSustainOn);
+
+    const handleKeyPress = useCallback((note, velocity = 1) => {
+        if (pressedRef.current.has(note)) return;
+        pressedRef.current.add(note);
+        setPressedKeys(new Set(pressedRef.current));
+        // A key struck again under the pedal starts over
+        if (sustainedRef.current.delete(note)) {
+            stopNote(note);
+            recordNoteOff(note);
+        }
+        playNote(note, velocity);
+        recordNoteOn(note, velocity);
+    }, [playNote, stopNote, recordNoteOn, recordNoteOff]);
 
     const handleKeyRelease = useCallback((note) => {
-        setPressedKeys(prev => {
-            const newSet = new Set(prev);
-            if (newSet.has(note)) {
-                newSet.delete(note);
-                stopNote(note);
-            }
-            return newSet;
+        if (!pressedRef.current.delete(note)) return;
+        setPressedKeys(new Set(pressedRef.current));
+        if (isSustainOnRef.current) {
+            sustainedRef.current.add(note);
+            return;
+        }
+        stopNote(note);
+        recordNoteOff(note);
+    }, [stopNote, recordNoteOff]);
+
+    // Mouse and touch presses are velocity sensitive unless fixed velocity is chosen
+    const handlePointerPress = useCallback((note, velocity) => {
+        handleKeyPress(note, isVelocitySensitive ? velocity : 1);
+    }, [handleKeyPress, isVelocitySensitive]);
+
+    const toggleSustain = useCallback(() => setIsSustainOn(prev => !prev), []);
+
+    // Effect hook to let go of the notes the pedal held when it's lifted
+    useEffect(() => {
+        isSustainOnRef.current = isSustainOn;
+        if (isSustainOn) return;
+        sustainedRef.current.forEach(note => {
+            stopNote(note);
+            recordNoteOff(note);
         });
-    }, [stopNote]);
+        sustainedRef.current.clear();
+    }, [isSustainOn, stopNote, recordNoteOff]);
+
+    const shiftOctave = useCallback((amount) => {
+        setBaseOctave(prev => Math.min(MAX_BASE_OCTAVE, Math.max(MIN_BASE_OCTAVE, prev + amount)));
+    }, []);
+
+    const zoom = useCallback((steps) => {
+        setVisibleOctaves(prev => {
+            const index = ZOOM_LEVELS.indexOf(prev);
+            return ZOOM_LEVELS[Math.min(ZOOM_LEVELS.length - 1, Math.max(0, (index === -1 ? 2 : index) + steps))];
+        });
+    }, []);
+
+    const changeKeyboardLayout = useCallback((layoutId) => {
+        setKeyboardLayout(layoutId);
+        setKeyboardLayoutSetting(layoutId);
+    }, []);
+
+    // Keys lit by the player's hands and by the take playing back
+    const shownKeys = useMemo(() => (playbackNotes.size > 0
+        ? new Set([...pressedKeys, ...playbackNotes])
+        : pressedKeys), [pressedKeys, playbackNotes]);
+
+    // Play from a MIDI keyboard too; its keys light up like typed or clicked ones
+    const midi = useMidiInput({
+        onNoteOn: handleKeyPress,
+        onNoteOff: handleKeyRelease,
+        onPitchBend: setPitchBend,
+        onModWheel: setModWheel,
+    });
+    const { isSustainDown } = midi;
+
+    // Effect hook to let the sampled piano's strings ring while a pedal is down
+    useEffect(() => {
+        setSustain(isSustainDown || isSustainOn);
+    }, [isSustainDown, isSustainOn, setSustain, voice]);
 
     useEffect(() => {
         const checkDeviceState = () => {
@@ -135,21 +226,45 @@ const VirtualPiano = () => {
         };
     }, []);
 
+    // Computer keys held down and the notes they started, so a key plays the same
+    // note until it comes up even if the octave changes meanwhile
+    const heldComputerKeysRef = useRef(new Map());
+    const lastKeyDownRef = useRef(0);
+
     useEffect(() => {
         const handleKeyDown = (e) => {
-            if (e.repeat) return;
-            const key = pianoKeys.find(k => k.key === e.key.toLowerCase());
-            if (key) {
+            if (e.repeat || e.ctrlKey || e.metaKey) return; // Leave shortcuts such as undo alone
+            if (e.target.matches?.('input[type="number"], input[type="text"], textarea')) return; // Typing a value, e.g. the BPM
+            const isOnControl = Boolean(e.target.closest?.('input, select'));
+            if (e.key === ' ' && !isOnControl) {
+                e.preventDefault();
+                toggleSustain();
+                return;
+            }
+            if ((e.key === 'ArrowLeft' || e.key === 'ArrowRight') && !isOnControl) {
                 e.preventDefault();
-                handleKeyPress(key.note);
+                shiftOctave(e.key === 'ArrowLeft' ? -1 : 1);
+                return;
+            }
+            const key = e.key.toLowerCase();
+            const note = keyboardMapping.get(key);
+            if (note) {
+                e.preventDefault();
+                const now = performance.now();
+                const velocity = isVelocitySensitive ? getKeyDownVelocity(now - lastKeyDownRef.current) : 1;
+                lastKeyDownRef.current = now;
+                heldComputerKeysRef.current.set(key, note);
+                handleKeyPress(note, velocity);
             }
         };
 
         const handleKeyUp = (e) => {
-            const key = pianoKeys.find(k => k.key === e.key.toLowerCase());
-            if (key) {
+            const key = e.key.toLowerCase();
+            const note = heldComputerKeysRef.current.get(key);
+            if (note) {
                 e.preventDefault();
-                handleKeyRelease(key.note);
+                heldComputerKeysRef.current.delete(key);
+                handleKeyRelease(note);
             }
         };
 
@@ -160,7 +275,7 @@ const VirtualPiano = () => {
             window.removeEventListener('keydown', handleKeyDown);
             window.removeEventListener('keyup', handleKeyUp);
         };
-    }, [pianoKeys, handleKeyPress, handleKeyRelease]);
+    }, [keyboardMapping, isVelocitySensitive, handleKeyPress, handleKeyRelease, toggleSustain, shiftOctave]);
 
     return (
         <>
@@ -198,7 +313,7 @@ const VirtualPiano = () => {
                                     <Music className="text-indigo-600" size={24} />
                                     <h1 className="text-2xl md:text-4xl font-bold text-indigo-800">Virtual Piano</h1>
                                 </div>
-                                <p className="text-indigo-700 text-sm md:text-base">Play with your keyboard or touch the keys</p>
+                                <p className="text-indigo-700 text-sm md:text-base">Play with your computer keyboard, a MIDI keyboard or touch the keys</p>
 
                                 {!isAudioReady && (
                                     <p className="text-purple-700 text-sm mt-2 font-medium animate-pulse">
@@ -213,7 +328,7 @@ const VirtualPiano = () => {
                             </div>
 
                             {/* Volume Controls */}
-                            <div className="flex justify-center gap-4 md:gap-6 mb-4 md:mb-8 px-4 shrink-0">
+                            <div className="flex flex-wrap justify-center gap-4 md:gap-6 mb-4 md:mb-8 px-4 shrink-0">
                                 <div className="flex items-center gap-3 bg-white/80 backdrop-blur-sm rounded-xl px-4 py-3 shadow-lg border border-indigo-200">
                                     <button
                                         onClick={toggleMute}
@@ -234,22 +349,105 @@ const VirtualPiano = () => {
                                     />
                                     <span className="text-sm text-indigo-700 w-8 font-medium">{Math.round(synthVolume * 100)}</span>
                                 </div>
+                                <div className="flex items-center bg-white/80 backdrop-blur-sm rounded-xl px-4 py-3 shadow-lg border border-indigo-200">
+                                    <PianoVoiceSelect voice={voice} onChange={setVoice} isLoading={isLoadingSamples} />
+                                </div>
+                                <div className="flex items-center bg-white/80 backdrop-blur-sm rounded-xl px-4 py-3 shadow-lg border border-indigo-200">
+                                    <MidiInputControls midi={midi} />
+                                </div>
+                                <div className="flex flex-wrap items-center justify-center gap-3 bg-white/80 backdrop-blur-sm rounded-xl px-4 py-3 shadow-lg border border-indigo-200 text-sm text-indigo-800">
+                                    <div className="flex items-center gap-1">
+                                        <button
+                                            type="button"
+                                            onClick={() => shiftOctave(-1)}
+                                            disabled={baseOctave <= MIN_BASE_OCTAVE}
+                                            className="p-1 rounded-full hover:bg-indigo-100 disabled:opacity-40"
+                                            title="Octave down (←)"
+                                        >
+                                            <ChevronLeft size={18} />
+                                        </button>
+                                        <span className="font-medium w-16 text-center">Octave {baseOctave}</span>
+                                        <button
+                                            type="button"
+                                            onClick={() => shiftOctave(1)}
+                                            disabled={baseOctave >= MAX_BASE_OCTAVE}
+                                            className="p-1 rounded-full hover:bg-indigo-100 disabled:opacity-40"
+                                            title="Octave up (→)"
+                                        >
+                                            <ChevronRight size={18} />
+                                        </button>
+                                    </div>
+                                    <div className="flex items-center gap-1">
+                                        <button
+                                            type="button"
+                                            onClick={() => zoom(1)}
+                                            disabled={visibleOctaves === ZOOM_LEVELS[ZOOM_LEVELS.length - 1]}
+                                            className="p-1 rounded-full hover:bg-indigo-100 disabled:opacity-40"
+                                            title="Show more keys"
+                                        >
+                                            <ZoomOut size={18} />
+                                        </button>
+                                        <span className="font-medium w-20 text-center">
+                                            {visibleOctaves >= 8 ? '88 keys' : `${visibleOctaves} octave${visibleOctaves > 1 ? 's' : ''}`}
+                                        </span>
+                                        <button
+                                            type="button"
+                                            onClick={() => zoom(-1)}
+                                            disabled={visibleOctaves === ZOOM_LEVELS[0]}
+                                            className="p-1 rounded-full hover:bg-indigo-100 disabled:opacity-40"
+                                            title="Show fewer, wider keys"
+                                        >
+                                            <ZoomIn size={18} />
+                                        </button>
+                                    </div>
+                                    <label className="flex items-center gap-2">
+                                        Keyboard
+                                        <select
+                                            value={keyboardLayout}
+                                            onChange={(e) => changeKeyboardLayout(e.target.value)}
+                                            className="px-2 py-1 rounded border border-indigo-200 bg-white"
+                                        >
+                                            {Object.entries(KEYBOARD_LAYOUTS).map(([id, { label }]) => (
+                                                <option key={id} value={id}>{label}</option>
+                                            ))}
+                                        </select>
+                                    </label>
+                                    <label className="flex items-center gap-2 cursor-pointer" title="Louder when keys are pressed near their front or played faster">
+                                        <input
+                                            type="checkbox"
+                                            checked={isVelocitySensitive}
+                                            onChange={(e) => setIsVelocitySensitive(e.target.checked)}
+                                            className="accent-indigo-600"
+                                        />
+                                        Dynamic velocity
+                                    </label>
+                                </div>
                             </div>
 
                             {/* Piano Keyboard */}
                             <PianoUI
                                 pianoKeys={pianoKeys}
-                                pressedKeys={pressedKeys}
-                                handleKeyPress={handleKeyPress}
+                                pressedKeys={shownKeys}
+                                handleKeyPress={handlePointerPress}
                                 handleKeyRelease={handleKeyRelease}
                                 isAudioReady={isAudioReady}
                                 isLandscape={false}
+                                keyboardLayout={keyboardLayout}
+                                baseOctave={baseOctave}
+                                isSustainOn={isSustainOn}
+                                onSustainToggle={toggleSustain}
                             />
 
+                            {/* Performance Recorder */}
+                            <div className="w-full max-w-4xl mx-auto px-4 mt-4 md:mt-6 shrink-0">
+                                <PerformanceRecorder recorder={recorder} />
+                            </div>
+
                             {/* Instructions */}
                             <div className="text-center py-4 md:py-8 px-4 shrink-0">
                                 <p className="text-xs text-indigo-600 mt-2">
                                     Each keyboard key is mapped to a piano note. Try different combinations!
+                                    {' '}← and → shift the octave, Space toggles the sustain pedal.
                                 </p>
                             </div>
                         </div>
@@ -288,6 +486,25 @@ const VirtualPiano = () => {
                                         />
                                         <span className="text-[0.6rem] text-indigo-700 mt-2 font-medium">{Math.round(synthVolume * 100)}%</span>
                                     </div>
+
+                                    <div className="flex items-center gap-0.5 text-indigo-700">
+                                        <button type="button" onClick={() => shiftOctave(-1)} className="p-0.5 rounded-full hover:bg-indigo-100" aria-label="Octave down">
+                                            <ChevronLeft size={14} />
+                                        </button>
+                                        <span className="text-[0.6rem] font-medium">Oct {baseOctave}</span>
+                                        <button type="button" onClick={() => shiftOctave(1)} className="p-0.5 rounded-full hover:bg-indigo-100" aria-label="Octave up">
+                                            <ChevronRight size={14} />
+                                        </button>
+                                    </div>
+
+                                    <button
+                                        type="button"
+                                        onClick={toggleSustain}
+                                        aria-pressed={isSustainOn}
+                                        className={`px-2 py-1 rounded-md text-[0.6rem] font-bold uppercase border border-yellow-700 ${isSustainOn ? 'bg-yellow-700 text-yellow-100' : 'bg-yellow-400 text-yellow-900'}`}
+                                    >
+                                        Sustain
+                                    </button>
                                 </div>
 
                                 <div className="text-center mb-1">
@@ -300,11 +517,13 @@ const VirtualPiano = () => {
                             <div className="flex-1 flex items-center justify-center overflow-hidden">
                                 <PianoUI
                                     pianoKeys={pianoKeys}
-                                    pressedKeys={pressedKeys}
-                                    handleKeyPress={handleKeyPress}
+                                    pressedKeys={shownKeys}
+                                    handleKeyPress={handlePointerPress}
                                     handleKeyRelease={handleKeyRelease}
                                     isAudioReady={isAudioReady}
                                     isLandscape={true}
+                                    keyboardLayout={keyboardLayout}
+                                    baseOctave={baseOctave}
                                 />
                             </div>
                         </div>
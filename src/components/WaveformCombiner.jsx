@@ -1,7 +1,14 @@
-import React, { useState, useEffect, useRef, useCallback, createContext, useContext } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useContext } from 'react';
 import * as Tone from 'tone';
+import { AudioContext } from '../contexts/AudioContext';
+import { registerNode } from '../utils/audioEngine';
+import { createUrlSchema, urlParam } from '../utils/urlState';
+import useUrlState from '../hooks/useUrlState';
+import useParamHistory from '../hooks/useParamHistory';
+import useUserPresets from '../hooks/useUserPresets';
 import { Play, Pause, Circle, Square, Triangle, Activity, Volume2, Waves } from 'lucide-react'; // Icons for play/pause, waveform types, volume, and general waves
 import SEOHead from './SEOHead';
+import PresetPanel from './PresetPanel';
 
 
 // Define the tool object for SEO structured data
@@ -20,67 +27,21 @@ const waveformCombinerTool = {
 };
 
 
-// --- AUDIO CONTEXT ---
-// This context manages the global Tone.js audio state, ensuring only one audio context.
-export const AudioContext = createContext(null);
-
-const AudioContextProvider = ({ children }) => {
-    const [isAudioGloballyReady, setIsAudioGloballyReady] = useState(false);
-
-    // Function to start Tone.js audio context. This needs a user interaction.
-    const startGlobalAudio = useCallback(async () => {
-        if (Tone.context.state === 'running') {
-            setIsAudioGloballyReady(true);
-            console.log('AudioContext: Tone.js context already running.');
-            return;
-        }
-
-        try {
-            console.log('AudioContext: Attempting to start global Tone.js context...');
-            await Tone.start(); // This will resume the audio context
-
-            if (Tone.context.state === 'running') {
-                setIsAudioGloballyReady(true);
-                console.log('AudioContext: Tone.js context started successfully');
-            } else {
-                console.warn('AudioContext: Tone.js context did not start properly (state is ' + Tone.context.state + ')');
-                setIsAudioGloballyReady(false);
-            }
-        } catch (error) {
-            console.error("AudioContext: Error starting Tone.js context:", error);
-            setIsAudioGloballyReady(false);
-        }
-    }, []);
-
-    // Effect to observe Tone.js context state changes
-    useEffect(() => {
-        const handleToneContextChange = () => {
-            const newState = Tone.context.state === 'running';
-            if (newState !== isAudioGloballyReady) {
-                console.log(`AudioContext: Tone.context state changed to '${Tone.context.state}'. isAudioGloballyReady set to ${newState}.`);
-                setIsAudioGloballyReady(newState);
-            }
-        };
-
-        // Add listener for state changes
-        Tone.context.on('statechange', handleToneContextChange);
-        handleToneContextChange(); // Initial check on mount
-
-        return () => {
-            // Clean up listener on unmount
-            console.log('AudioContext: Cleaning up Tone.context statechange listener.');
-            Tone.context.off('statechange', handleToneContextChange);
-        };
-    }, [isAudioGloballyReady]); // Added isAudioGloballyReady to dependencies to prevent stale closure issues with handleToneContextChange
-
-    return (
-        <AudioContext.Provider value={{ isAudioGloballyReady, startGlobalAudio }}>
-            {children}
-        </AudioContext.Provider>
-    );
-};
-// --- END AUDIO CONTEXT ---
+// Oscillator waveforms offered by the tool
+const WAVEFORM_TYPES = ['sine', 'square', 'sawtooth', 'triangle'];
 
+// Oscillator and mix settings kept in the URL, so a link reopens them
+const URL_SCHEMA = createUrlSchema({
+    params: {
+        waveform1: urlParam.oneOf(WAVEFORM_TYPES),
+        frequency1: urlParam.number({ min: 20, max: 1000 }),
+        volume1: urlParam.number({ min: -60, max: 0 }),
+        waveform2: urlParam.oneOf(WAVEFORM_TYPES),
+        frequency2: urlParam.number({ min: 20, max: 1000 }),
+        volume2: urlParam.number({ min: -60, max: 0 }),
+        master: urlParam.number({ min: -40, max: 0 }),
+    },
+});
 
 // --- useWaveformCombinerSynth Hook ---
 // This custom hook encapsulates the Tone.js oscillators, their mixing, and controls.
@@ -109,6 +70,22 @@ const useWaveformCombinerSynth = () => {
     // Master Volume
     const [masterVolume, setMasterVolume] = useState(-5); // Master volume in dB
 
+    const toolParams = {
+        waveform1: waveformType1, frequency1, volume1,
+        waveform2: waveformType2, frequency2, volume2,
+        master: masterVolume,
+    };
+    const toolParamSetters = {
+        waveform1: setWaveformType1, frequency1: setFrequency1, volume1: setVolume1,
+        waveform2: setWaveformType2, frequency2: setFrequency2, volume2: setVolume2,
+        master: setMasterVolume,
+    };
+    useUrlState(URL_SCHEMA, toolParams, toolParamSetters);
+    useParamHistory(toolParams, toolParamSetters);
+    const userPresets = useUserPresets({
+        tool: 'waveform-combiner', schema: URL_SCHEMA, params: toolParams, applyParams: toolParamSetters,
+    });
+
     const [isAudioReady, setIsAudioReady] = useState(false); // True when context is running AND synth initialized
     const [isLoading, setIsLoading] = useState(true); // Initially loading until synth is set up
 
@@ -152,18 +129,18 @@ const useWaveformCombinerSynth = () => {
 
                 // Create individual oscillators
                 // Set initial start to false, they will be controlled by playNote/stopNote
-                const osc1 = new Tone.Oscillator({ type: waveformType1, frequency: frequency1 });
-                const osc2 = new Tone.Oscillator({ type: waveformType2, frequency: frequency2 });
+                const osc1 = registerNode(new Tone.Oscillator({ type: waveformType1, frequency: frequency1 }));
+                const osc2 = registerNode(new Tone.Oscillator({ type: waveformType2, frequency: frequency2 }));
 
                 // Create gain nodes for individual volume control
-                const gain1 = new Tone.Gain(Tone.dbToGain(volume1));
-                const gain2 = new Tone.Gain(Tone.dbToGain(volume2));
+                const gain1 = registerNode(new Tone.Gain(Tone.dbToGain(volume1)));
+                const gain2 = registerNode(new Tone.Gain(Tone.dbToGain(volume2)));
 
                 // Create a master gain node for overall volume
-                const masterGain = new Tone.Gain(Tone.dbToGain(masterVolume));
+                const masterGain = registerNode(new Tone.Gain(Tone.dbToGain(masterVolume)));
 
                 // Create a Waveform analyzer for the combined output
-                const waveform = new Tone.Waveform(4096);
+                const waveform = registerNode(new Tone.Waveform(4096));
 
                 // Connect the signal flow: Osc -> Individual Gain -> Master Gain -> Analyzer -> Destination
                 osc1.connect(gain1);
@@ -301,6 +278,7 @@ const useWaveformCombinerSynth = () => {
     }, [isPlaying]);
 
     return {
+        userPresets,
         isPlaying,
         playNote,
         stopNote,
@@ -474,6 +452,7 @@ const WaveformCombinerContent = () => {
         waveformType2, setWaveformType2, frequency2, setFrequency2, volume2, setVolume2,
         masterVolume, setMasterVolume,
         waveformAnalyzer,
+        userPresets,
     } = useWaveformCombinerSynth();
 
     const getExplanation = (param) => {
@@ -573,6 +552,11 @@ const WaveformCombinerContent = () => {
                         </button>
                     </div>
 
+                    {/* User Presets */}
+                    <div className="w-full px-2">
+                        <PresetPanel presets={userPresets} />
+                    </div>
+
                     {/* Waveform Visualizer */}
                     <div className="w-full px-2">
                         <WaveformVisualizer
@@ -706,14 +690,12 @@ class ErrorBoundary extends React.Component {
     }
 }
 
-// Default export wrapping the main content with AudioContextProvider and ErrorBoundary
+// Default export wrapping the main content with ErrorBoundary
 const WaveformCombiner = () => {
     return (
-        <AudioContextProvider>
-            <ErrorBoundary>
-                <WaveformCombinerContent />
-            </ErrorBoundary>
-        </AudioContextProvider>
+        <ErrorBoundary>
+            <WaveformCombinerContent />
+        </ErrorBoundary>
     );
 }
 
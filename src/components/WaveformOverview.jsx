@@ -0,0 +1,306 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { ZoomIn, ZoomOut, Maximize2, Scan, X } from 'lucide-react';
+import { WaveformPeaks } from '../utils/waveformPeaks';
+
+// Narrowest visible time span when zoomed in, in seconds
+const MIN_VIEW_LENGTH = 0.1;
+const ZOOM_STEP = 2;
+// Pointer travel (px) before a press becomes a selection drag instead of a seek
+const DRAG_THRESHOLD_PX = 4;
+
+const THEMES = {
+    light: {
+        text: 'text-gray-700',
+        muted: 'text-gray-500',
+        canvas: 'bg-white border border-gray-200',
+        wave: '#6366f1',
+        axis: 'rgba(0, 0, 0, 0.15)',
+        region: 'bg-indigo-400/20 border-x-2 border-indigo-500',
+        playhead: 'bg-red-500',
+        button: 'bg-white text-gray-700 border border-gray-300 hover:bg-gray-100',
+        accent: 'accent-indigo-500',
+    },
+    dark: {
+        text: 'text-cyan-200',
+        muted: 'text-cyan-300/70',
+        canvas: 'bg-black/30 border border-cyan-500/20',
+        wave: '#22d3ee',
+        axis: 'rgba(255, 255, 255, 0.15)',
+        region: 'bg-cyan-300/20 border-x-2 border-cyan-300',
+        playhead: 'bg-pink-400',
+        button: 'bg-indigo-900/60 text-cyan-100 border border-cyan-500/30 hover:bg-indigo-800/60',
+        accent: 'accent-cyan-400',
+    },
+};
+
+const formatTime = (seconds) => {
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${(seconds - minutes * 60).toFixed(1).padStart(4, '0')}`;
+};
+
+/**
+ * Zoomable waveform of the loaded file with a playhead. Click to seek, drag
+ * to select a region; the region can be looped and exported on its own.
+ * Pairs with the useRegionPlayback hook (src/hooks/useRegionPlayback.js).
+ *
+ * Ctrl/Cmd + wheel (or pinch) zooms around the pointer, and horizontal or
+ * Shift + wheel scrolls a zoomed view.
+ * @param {object} props
+ * @param {object} props.playback The useRegionPlayback() result.
+ * @param {boolean} [props.disabled] Disables seeking, selection and the options.
+ * @param {'light'|'dark'} [props.theme] Colors for light (explorer) or dark (studio) pages.
+ */
+const WaveformOverview = ({ playback, disabled = false, theme = 'light' }) => {
+    const {
+        buffer, duration, seek, getPosition,
+        region, setRegion,
+        isLoopingRegion, setIsLoopingRegion,
+        isExportingSelection, setIsExportingSelection,
+    } = playback;
+    const colors = THEMES[theme];
+
+    const containerRef = useRef(null);
+    const canvasRef = useRef(null);
+    const playheadRef = useRef(null);
+    const timeRef = useRef(null);
+    const dragRef = useRef(null); // { anchorTime, startX, isDragging } while the pointer is down
+
+    const [view, setView] = useState({ start: 0, end: 0 });
+    const [dragRegion, setDragRegion] = useState(null);
+
+    const peaks = useMemo(() => (buffer ? new WaveformPeaks(buffer) : null), [buffer]);
+    const viewLength = view.end - view.start;
+    const isZoomed = duration > 0 && viewLength < duration;
+
+    // Effect hook to show the whole file when a new one is loaded
+    useEffect(() => {
+        setView({ start: 0, end: duration });
+        setDragRegion(null);
+    }, [duration]);
+
+    // Effect hook to draw the waveform, again whenever the view or the size changes
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        if (!canvas || !peaks || viewLength <= 0) return undefined;
+
+        const draw = () => {
+            const dpr = window.devicePixelRatio || 1;
+            canvas.width = canvas.offsetWidth * dpr;
+            canvas.height = canvas.offsetHeight * dpr;
+            const { width, height } = canvas;
+            const ctx = canvas.getContext('2d');
+            ctx.clearRect(0, 0, width, height);
+
+            const middle = height / 2;
+            ctx.fillStyle = colors.axis;
+            ctx.fillRect(0, middle, width, Math.max(1, dpr));
+
+            const { min, max } = peaks.getPeaks(view.start, view.end, width);
+            ctx.fillStyle = colors.wave;
+            for (let x = 0; x < width; x++) {
+                const top = middle - Math.min(1, max[x]) * middle;
+                const bottom = middle - Math.max(-1, min[x]) * middle;
+                ctx.fillRect(x, top, 1, Math.max(1, bottom - top));
+            }
+        };
+
+        const observer = new ResizeObserver(draw);
+        observer.observe(canvas);
+        draw();
+        return () => observer.disconnect();
+    }, [peaks, view, viewLength, colors]);
+
+    // Effect hook to move the playhead every frame, straight in the DOM
+    useEffect(() => {
+        if (viewLength <= 0) return undefined;
+
+        let animationFrameId = null;
+        const update = () => {
+            const position = getPosition();
+            const fraction = (position - view.start) / viewLength;
+            if (playheadRef.current) {
+                playheadRef.current.style.left = `${fraction * 100}%`;
+                playheadRef.current.style.display = fraction >= 0 && fraction <= 1 ? 'block' : 'none';
+            }
+            if (timeRef.current) {
+                timeRef.current.textContent = formatTime(position);
+            }
+            animationFrameId = requestAnimationFrame(update);
+        };
+        animationFrameId = requestAnimationFrame(update);
+
+        return () => cancelAnimationFrame(animationFrameId);
+    }, [getPosition, view, viewLength]);
+
+    const clampView = (start, length) => {
+        const clampedLength = Math.max(Math.min(MIN_VIEW_LENGTH, duration), Math.min(length, duration));
+        const clampedStart = Math.max(0, Math.min(start, duration - clampedLength));
+        return { start: clampedStart, end: clampedStart + clampedLength };
+    };
+
+    // Zooms by `factor` (below 1 zooms in) keeping `anchorTime` where it is on screen.
+    const zoomAround = (factor, anchorTime) => {
+        const fraction = viewLength > 0 ? (anchorTime - view.start) / viewLength : 0;
+        const length = viewLength * factor;
+        setView(clampView(anchorTime - fraction * length, length));
+    };
+
+    // The zoom buttons keep the playhead in place if it is visible, otherwise the middle of the view
+    const zoomAnchor = () => {
+        const position = getPosition();
+        return position >= view.start && position <= view.end ? position : view.start + viewLength / 2;
+    };
+
+    // Effect hook for wheel zoom and scroll; registered by hand so it can prevent page scrolling
+    const wheelRef = useRef(null);
+    wheelRef.current = (event) => {
+        if (!peaks || viewLength <= 0) return;
+        const rect = containerRef.current.getBoundingClientRect();
+        const pointerTime = view.start + ((event.clientX - rect.left) / rect.width) * viewLength;
+        if (event.ctrlKey || event.metaKey) {
+            event.preventDefault();
+            zoomAround(event.deltaY > 0 ? ZOOM_STEP : 1 / ZOOM_STEP, pointerTime);
+        } else if (isZoomed && (event.shiftKey || Math.abs(event.deltaX) > Math.abs(event.deltaY))) {
+            event.preventDefault();
+            const delta = event.shiftKey ? event.deltaY : event.deltaX;
+            setView(clampView(view.start + (delta / rect.width) * viewLength, viewLength));
+        }
+    };
+    useEffect(() => {
+        const container = containerRef.current;
+        if (!container) return undefined;
+        const onWheel = (event) => wheelRef.current(event);
+        container.addEventListener('wheel', onWheel, { passive: false });
+        return () => container.removeEventListener('wheel', onWheel);
+    }, []);
+
+    const timeAtPointer = (event) => {
+        const rect = containerRef.current.getBoundingClientRect();
+        const fraction = Math.max(0, Math.min(1, (event.clientX - rect.left) / rect.width));
+        return view.start + fraction * viewLength;
+    };
+
+    const handlePointerDown = (event) => {
+        if (disabled || !peaks || event.button !== 0) return;
+        event.currentTarget.setPointerCapture(event.pointerId);
+        dragRef.current = { anchorTime: timeAtPointer(event), startX: event.clientX, isDragging: false };
+    };
+
+    const handlePointerMove = (event) => {
+        const drag = dragRef.current;
+        if (!drag) return;
+        if (!drag.isDragging && Math.abs(event.clientX - drag.startX) < DRAG_THRESHOLD_PX) return;
+        drag.isDragging = true;
+        setDragRegion({ start: drag.anchorTime, end: timeAtPointer(event) });
+    };
+
+    const handlePointerUp = (event) => {
+        const drag = dragRef.current;
+        if (!drag) return;
+        dragRef.current = null;
+        if (drag.isDragging) {
+            setRegion({ start: drag.anchorTime, end: timeAtPointer(event) });
+            setDragRegion(null);
+        } else {
+            seek(drag.anchorTime);
+        }
+    };
+
+    const shownRegion = dragRegion
+        ? { start: Math.min(dragRegion.start, dragRegion.end), end: Math.max(dragRegion.start, dragRegion.end) }
+        : region;
+    const regionStyle = shownRegion && viewLength > 0 ? {
+        left: `${((shownRegion.start - view.start) / viewLength) * 100}%`,
+        width: `${((shownRegion.end - shownRegion.start) / viewLength) * 100}%`,
+    } : null;
+
+    const iconButton = `p-1.5 rounded-full transition-colors duration-200 ${colors.button} disabled:opacity-50 disabled:cursor-not-allowed`;
+
+    if (!buffer) return null;
+
+    return (
+        <div className="space-y-2">
+            <div
+                ref={containerRef}
+                className={`relative h-24 md:h-28 rounded-lg overflow-hidden select-none touch-none ${colors.canvas} ${disabled ? 'opacity-60' : 'cursor-text'}`}
+                onPointerDown={handlePointerDown}
+                onPointerMove={handlePointerMove}
+                onPointerUp={handlePointerUp}
+                onPointerCancel={() => { dragRef.current = null; setDragRegion(null); }}
+                title="Click to seek, drag to select a region"
+            >
+                <canvas ref={canvasRef} className="absolute inset-0 w-full h-full" />
+                {regionStyle && <div className={`absolute inset-y-0 pointer-events-none ${colors.region}`} style={regionStyle} />}
+                <div ref={playheadRef} className={`absolute inset-y-0 w-0.5 pointer-events-none ${colors.playhead}`} style={{ left: '0%' }} />
+            </div>
+
+            {isZoomed && (
+                <input
+                    type="range"
+                    min={0}
+                    max={duration - viewLength}
+                    step={viewLength / 100}
+                    value={view.start}
+                    onChange={(e) => setView(clampView(parseFloat(e.target.value), viewLength))}
+                    className={`w-full ${colors.accent}`}
+                    aria-label="Scroll waveform"
+                />
+            )}
+
+            <div className={`flex flex-wrap items-center gap-2 text-sm ${colors.text}`}>
+                <span className="font-mono" ref={timeRef}>0:00.0</span>
+                <span className={colors.muted}>/ {formatTime(duration)}</span>
+
+                <div className="flex items-center gap-1">
+                    <button type="button" onClick={() => zoomAround(1 / ZOOM_STEP, zoomAnchor())} disabled={viewLength <= MIN_VIEW_LENGTH} className={iconButton} title="Zoom in">
+                        <ZoomIn size={14} />
+                    </button>
+                    <button type="button" onClick={() => zoomAround(ZOOM_STEP, zoomAnchor())} disabled={!isZoomed} className={iconButton} title="Zoom out">
+                        <ZoomOut size={14} />
+                    </button>
+                    <button type="button" onClick={() => setView({ start: 0, end: duration })} disabled={!isZoomed} className={iconButton} title="Show the whole file">
+                        <Maximize2 size={14} />
+                    </button>
+                    <button type="button" onClick={() => region && setView(clampView(region.start, region.end - region.start))} disabled={!region} className={iconButton} title="Zoom to the selection">
+                        <Scan size={14} />
+                    </button>
+                </div>
+
+                {region ? (
+                    <>
+                        <span className={colors.muted}>
+                            Selection {formatTime(region.start)} – {formatTime(region.end)} ({(region.end - region.start).toFixed(1)} s)
+                        </span>
+                        <button type="button" onClick={() => setRegion(null)} disabled={disabled} className={iconButton} title="Clear the selection">
+                            <X size={14} />
+                        </button>
+                        <label className="flex items-center gap-1.5">
+                            <input
+                                type="checkbox"
+                                checked={isLoopingRegion}
+                                onChange={(e) => setIsLoopingRegion(e.target.checked)}
+                                disabled={disabled}
+                                className={colors.accent}
+                            />
+                            Loop selection
+                        </label>
+                        <label className="flex items-center gap-1.5">
+                            <input
+                                type="checkbox"
+                                checked={isExportingSelection}
+                                onChange={(e) => setIsExportingSelection(e.target.checked)}
+                                disabled={disabled}
+                                className={colors.accent}
+                            />
+                            Export selection only
+                        </label>
+                    </>
+                ) : (
+                    <span className={colors.muted}>Drag across the waveform to select a region.</span>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default WaveformOverview;
@@ -1,7 +1,14 @@
-import React, { useState, useEffect, useRef, useCallback, createContext, useContext } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useContext } from 'react';
 import * as Tone from 'tone';
+import { AudioContext } from '../contexts/AudioContext';
+import { registerNode } from '../utils/audioEngine';
+import { createUrlSchema, urlParam } from '../utils/urlState';
+import useUrlState from '../hooks/useUrlState';
+import useParamHistory from '../hooks/useParamHistory';
+import useUserPresets from '../hooks/useUserPresets';
 import { Play, Pause, Circle, Square, Triangle, Activity, Volume2, Waves } from 'lucide-react'; // Corrected icon imports
 import SEOHead from './SEOHead';
+import PresetPanel from './PresetPanel';
 
 // Define the tool object for SEO structured data
 const wavetableEditorTool = {
@@ -19,67 +26,17 @@ const wavetableEditorTool = {
 };
 
 
-// --- AUDIO CONTEXT ---
-// This context manages the global Tone.js audio state, ensuring only one audio context.
-export const AudioContext = createContext(null);
-
-const AudioContextProvider = ({ children }) => {
-    const [isAudioGloballyReady, setIsAudioGloballyReady] = useState(false);
-
-    // Function to start Tone.js audio context. This needs a user interaction.
-    const startGlobalAudio = useCallback(async () => {
-        if (Tone.context.state === 'running') {
-            setIsAudioGloballyReady(true);
-            console.log('AudioContext: Tone.js context already running.');
-            return;
-        }
-
-        try {
-            console.log('AudioContext: Attempting to start global Tone.js context...');
-            await Tone.start(); // This will resume the audio context
-
-            if (Tone.context.state === 'running') {
-                setIsAudioGloballyReady(true);
-                console.log('AudioContext: Tone.js context started successfully');
-            } else {
-                console.warn('AudioContext: Tone.js context did not start properly (state is ' + Tone.context.state + ')');
-                setIsAudioGloballyReady(false);
-            }
-        } catch (error) {
-            console.error("AudioContext: Error starting Tone.js context:", error);
-            setIsAudioGloballyReady(false);
-        }
-    }, []);
-
-    // Effect to observe Tone.js context state changes
-    useEffect(() => {
-        const handleToneContextChange = () => {
-            const newState = Tone.context.state === 'running';
-            if (newState !== isAudioGloballyReady) {
-                console.log(`AudioContext: Tone.context state changed to '${Tone.context.state}'. isAudioGloballyReady set to ${newState}.`);
-                setIsAudioGloballyReady(newState);
-            }
-        };
-
-        // Add listener for state changes
-        Tone.context.on('statechange', handleToneContextChange);
-        handleToneContextChange(); // Initial check on mount
-
-        return () => {
-            // Clean up listener on unmount
-            console.log('AudioContext: Cleaning up Tone.context statechange listener.');
-            Tone.context.off('statechange', handleToneContextChange);
-        };
-    }, [isAudioGloballyReady]);
-
-    return (
-        <AudioContext.Provider value={{ isAudioGloballyReady, startGlobalAudio }}>
-            {children}
-        </AudioContext.Provider>
-    );
-};
-// --- END AUDIO CONTEXT ---
+// Oscillator waveforms offered by the tool
+const WAVEFORM_TYPES = ['sine', 'square', 'sawtooth', 'triangle'];
 
+// Oscillator settings kept in the URL, so a link reopens them
+const URL_SCHEMA = createUrlSchema({
+    params: {
+        waveform: urlParam.oneOf(WAVEFORM_TYPES),
+        frequency: urlParam.number({ min: 50, max: 2000 }),
+        volume: urlParam.number({ min: -60, max: 0 }),
+    },
+});
 
 // --- useWavetableSynth Hook ---
 // This custom hook encapsulates the Tone.js oscillator and its controls.
@@ -94,6 +51,16 @@ const useWavetableSynth = () => {
     const [volume, setVolume] = useState(-10); // Volume in dB
     const [waveformType, setWaveformType] = useState('sine'); // Initial waveform type
 
+    const toolParams = { waveform: waveformType, frequency, volume };
+    const toolParamSetters = {
+        waveform: setWaveformType, frequency: setFrequency, volume: setVolume,
+    };
+    useUrlState(URL_SCHEMA, toolParams, toolParamSetters);
+    useParamHistory(toolParams, toolParamSetters);
+    const userPresets = useUserPresets({
+        tool: 'wavetable-editor', schema: URL_SCHEMA, params: toolParams, applyParams: toolParamSetters,
+    });
+
     const [isAudioReady, setIsAudioReady] = useState(false); // True when context is running AND synth initialized
     const [isLoading, setIsLoading] = useState(true); // Initially loading until synth is set up
 
@@ -131,14 +98,14 @@ const useWavetableSynth = () => {
                 disposeAudioNodes(); // Ensure a clean slate before new setup
 
                 // Create Tone.Oscillator
-                const osc = new Tone.Oscillator({
+                const osc = registerNode(new Tone.Oscillator({
                     type: waveformType,
                     frequency: frequency,
                     volume: volume,
-                });
+                }));
 
                 // Create a Waveform analyzer to visualize the output
-                const waveform = new Tone.Waveform(1024); // 1024 samples for the waveform
+                const waveform = registerNode(new Tone.Waveform(1024)); // 1024 samples for the waveform
 
                 // Connect oscillator to the waveform analyzer and then to the destination
                 osc.connect(waveform);
@@ -240,6 +207,7 @@ const useWavetableSynth = () => {
     }, [isPlaying]);
 
     return {
+        userPresets,
         isPlaying,
         playNote,
         stopNote,
@@ -415,6 +383,7 @@ const WavetableEditorContent = () => {
         volume, setVolume,
         waveformType, setWaveformType,
         waveformAnalyzer,
+        userPresets,
     } = useWavetableSynth();
 
     const getExplanation = (param) => {
@@ -516,6 +485,11 @@ const WavetableEditorContent = () => {
                         </button>
                     </div>
 
+                    {/* User Presets */}
+                    <div className="w-full px-2">
+                        <PresetPanel presets={userPresets} />
+                    </div>
+
                     {/* Waveform Visualizer */}
                     <div className="w-full px-2">
                         <WaveformVisualizer
@@ -613,14 +587,12 @@ class ErrorBoundary extends React.Component {
     }
 }
 
-// Default export wrapping the main content with AudioContextProvider and ErrorBoundary
+// Default export wrapping the main content with ErrorBoundary
 const WavetableEditor = () => {
     return (
-        <AudioContextProvider>
-            <ErrorBoundary>
-                <WavetableEditorContent />
-            </ErrorBoundary>
-        </AudioContextProvider>
+        <ErrorBoundary>
+            <WavetableEditorContent />
+        </ErrorBoundary>
     );
 }
 
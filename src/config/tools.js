@@ -78,6 +78,16 @@ export const TOOLS = [
     icon: '',
     categories: ['Instruments', 'Fun']
   },
+  {
+    id: 'piano-roll-basics',
+    name: 'Piano Roll',
+    path: '/piano-roll-basics',
+    component: 'PianoRoll',
+    importPath: './components/PianoRoll.jsx',
+    description: 'Load a MIDI file and watch it play on a scrolling piano roll, with tempo control, looping and track muting.',
+    icon: '',
+    categories: ['Instruments', 'Theory']
+  },
   {
     id: 'drum-machine',
     name: 'Drum Machine',
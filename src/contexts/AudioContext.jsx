@@ -1,72 +1,147 @@
 // src/contexts/AudioContext.jsx
 import React, { createContext, useState, useEffect, useCallback } from 'react';
-import * as Tone from 'tone';
+import { useLocation } from 'react-router-dom';
+import {
+    AUDIO_STATUS,
+    getAudioStatus,
+    subscribeToAudioStatus,
+    startAudio,
+    releaseInactiveScopes,
+    ensureMasterBus,
+    setMasterVolume as setEngineMasterVolume,
+    setMasterMuted as setEngineMasterMuted,
+    getOutputLevels,
+} from '../utils/audioEngine';
+
+// localStorage key for the persisted master output settings.
+const MASTER_OUTPUT_STORAGE_KEY = 'lyrilab.masterOutput';
+const DEFAULT_MASTER_OUTPUT = { volumeDb: 0, muted: false };
+
+const loadMasterOutput = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(MASTER_OUTPUT_STORAGE_KEY));
+        return { ...DEFAULT_MASTER_OUTPUT, ...stored };
+    } catch {
+        return DEFAULT_MASTER_OUTPUT;
+    }
+};
 
 // Create the AudioContext. This will be consumed by hooks/components.
 export const AudioContext = createContext(null);
 
 /**
- * AudioProvider component manages the global Tone.js AudioContext.
- * It ensures the AudioContext is started/resumed on the first user interaction
- * and provides its status to all consuming components.
+ * AudioProvider component exposes the shared audio engine (src/utils/audioEngine.js)
+ * to every tool. It starts/resumes the Tone.js context on the first user gesture,
+ * publishes its status, disposes the nodes of the previous tool on route change,
+ * and controls the master bus (safety limiter, output volume/mute, meters).
+ * Tools must not create their own providers; they consume this one.
  */
 export const AudioProvider = ({ children }) => {
-    // State to track if the global Tone.js AudioContext is running.
-    const [isAudioGloballyReady, setIsAudioGloballyReady] = useState(false);
+    // Normalized engine status: 'running' | 'suspended' | 'interrupted'.
+    const [audioStatus, setAudioStatus] = useState(getAudioStatus);
+    // Last user-facing error from starting the context, if any.
+    const [error, setError] = useState(null);
+    // Global output volume (dB) and mute, applied on the master bus.
+    const [masterOutput, setMasterOutput] = useState(loadMasterOutput);
+    const location = useLocation();
+
+    // Build the master bus once; every tool's output is routed through it.
+    useEffect(() => {
+        ensureMasterBus();
+    }, []);
+
+    // Apply and persist the master output settings.
+    useEffect(() => {
+        setEngineMasterVolume(masterOutput.volumeDb);
+        setEngineMasterMuted(masterOutput.muted);
+        try {
+            localStorage.setItem(MASTER_OUTPUT_STORAGE_KEY, JSON.stringify(masterOutput));
+        } catch (storageError) {
+            console.warn("AudioContext: Could not persist master output settings:", storageError);
+        }
+    }, [masterOutput]);
+
+    const setMasterVolume = useCallback((volumeDb) => {
+        setMasterOutput(prev => ({ ...prev, volumeDb }));
+    }, []);
+
+    const toggleMasterMute = useCallback(() => {
+        setMasterOutput(prev => ({ ...prev, muted: !prev.muted }));
+    }, []);
 
     // Function to attempt to start/resume the Tone.js AudioContext.
     // This should be called on a user gesture (click, keydown, touch).
     const startGlobalAudio = useCallback(async () => {
-        console.log("AudioContext: startGlobalAudio called. Current Tone.context.state:", Tone.context.state);
-        if (Tone.context.state !== 'running') {
-            try {
-                await Tone.start();
-                setIsAudioGloballyReady(true);
-                console.log("AudioContext: Tone.js global audio context started/resumed successfully.");
-            } catch (error) {
-                console.error("AudioContext: Failed to start Tone.js audio context:", error);
-                setIsAudioGloballyReady(false);
+        try {
+            const status = await startAudio();
+            setAudioStatus(status);
+            if (status === AUDIO_STATUS.RUNNING) {
+                setError(null);
+            } else {
+                console.warn(`AudioContext: Tone.js context did not start properly (status is ${status}).`);
+                setError("Failed to start audio. Browser context might be suspended.");
             }
-        } else {
-            console.log("AudioContext: Tone.js global audio context already running.");
-            setIsAudioGloballyReady(true); // Already running
+        } catch (startError) {
+            console.error("AudioContext: Failed to start Tone.js audio context:", startError);
+            setAudioStatus(getAudioStatus());
+            setError("Failed to initialize audio. Please check your browser permissions.");
         }
     }, []);
 
-    // Effect to monitor the Tone.js context state.
-    // This catches external changes to the context state (e.g., browser suspending it).
+    // Keep the status in sync with external changes (e.g. the browser suspending the context).
     useEffect(() => {
-        const checkContextState = () => {
-            const currentState = Tone.context.state;
-            const newReadyState = currentState === 'running';
-            console.log(`AudioContext: Tone.context state changed to '${currentState}'. isAudioGloballyReady set to ${newReadyState}.`);
-            setIsAudioGloballyReady(newReadyState);
-        };
+        setAudioStatus(getAudioStatus());
+        return subscribeToAudioStatus((status) => {
+            console.log(`AudioContext: Tone.context status changed to '${status}'.`);
+            setAudioStatus(status);
+            if (status === AUDIO_STATUS.RUNNING) setError(null);
+        });
+    }, []);
 
-        // Initial check
-        checkContextState();
+    // While audio is not running, the next click/key/touch anywhere resumes it,
+    // so every tool gets the same "click to enable audio" behavior.
+    useEffect(() => {
+        if (audioStatus === AUDIO_STATUS.RUNNING) return undefined;
 
-        // Listen for context state changes
-        Tone.context.on("statechange", checkContextState);
+        const handleGesture = () => {
+            startGlobalAudio();
+        };
+        document.addEventListener('pointerdown', handleGesture, { once: true });
+        document.addEventListener('keydown', handleGesture, { once: true });
 
-        // Cleanup: remove event listener
         return () => {
-            console.log("AudioContext: Cleaning up Tone.context statechange listener.");
-            Tone.context.off("statechange", checkContextState);
+            document.removeEventListener('pointerdown', handleGesture);
+            document.removeEventListener('keydown', handleGesture);
         };
-    }, []);
+    }, [audioStatus, startGlobalAudio]);
+
+    // Dispose everything the previous tool registered when the route changes.
+    // The pathname is read from window.location so it includes the router basename,
+    // matching the scope the engine assigned when the nodes were registered.
+    useEffect(() => {
+        const disposedCount = releaseInactiveScopes(window.location.pathname);
+        if (disposedCount > 0) {
+            console.log(`AudioContext: Disposed ${disposedCount} audio nodes from the previous tool.`);
+        }
+    }, [location.pathname]);
 
     // The value provided to components that consume this context.
     const contextValue = {
-        isAudioGloballyReady,
+        audioStatus,
+        isAudioGloballyReady: audioStatus === AUDIO_STATUS.RUNNING,
         startGlobalAudio,
+        error,
+        masterVolume: masterOutput.volumeDb,
+        setMasterVolume,
+        isMasterMuted: masterOutput.muted,
+        toggleMasterMute,
+        // Polled by meters (e.g. the Navbar output meter) from requestAnimationFrame.
+        getOutputLevels,
     };
 
-    console.log("AudioContext: Rendering AudioProvider. isAudioGloballyReady:", isAudioGloballyReady);
-
     return (
         <AudioContext.Provider value={contextValue}>
             {children}
         </AudioContext.Provider>
     );
-};
\ No newline at end of file
+};
@@ -1,5 +1,7 @@
-import React, { useState, useEffect, useRef, useCallback, createContext, useContext } from 'react';
+import React, { useState, useRef, useCallback, useContext } from 'react';
 import * as Tone from 'tone';
+import { AudioContext } from '../contexts/AudioContext';
+import usePianoSynth from '../hooks/usePianoSynth';
 import { Play, RotateCcw, Volume2, Music, CheckCircle2, XCircle } from 'lucide-react';
 import SEOHead from '../components/SEOHead';
 
@@ -20,95 +22,16 @@ const chordTrainingQuizTool = {
 };
 
 
-// --- AUDIO CONTEXT ---
-// This context manages the global Tone.js audio state, ensuring only one audio context.
-export const AudioContext = createContext(null);
-
-const AudioContextProvider = ({ children }) => {
-    const [isAudioGloballyReady, setIsAudioGloballyReady] = useState(false);
-    const [error, setError] = useState(null);
-
-    // Function to start Tone.js audio context. This needs a user interaction.
-    const startGlobalAudio = useCallback(async () => {
-        if (Tone.context.state === 'running') {
-            setIsAudioGloballyReady(true);
-            setError(null);
-            console.log('AudioContext: Tone.js context already running.');
-            return;
-        }
-
-        try {
-            console.log('AudioContext: Attempting to start global Tone.js context...');
-            await Tone.start(); // This will resume the audio context
-
-            if (Tone.context.state === 'running') {
-                setIsAudioGloballyReady(true);
-                setError(null); // Clear error if successful
-                console.log('AudioContext: Tone.js context started successfully');
-            } else {
-                console.warn('AudioContext: Tone.js context did not start properly (state is ' + Tone.context.state + ')');
-                setIsAudioGloballyReady(false);
-                setError("Failed to start audio. Browser context might be suspended.");
-            }
-        } catch (error) {
-            console.error("AudioContext: Error starting Tone.js context:", error);
-            setError("Failed to initialize audio. Please check your browser permissions.");
-            setIsAudioGloballyReady(false);
-        }
-    }, []);
-
-    // Effect to observe Tone.js context state changes and add/remove click listener
-    useEffect(() => {
-        const handleToneContextChange = () => {
-            if (Tone.context.state === 'running') {
-                setIsAudioGloballyReady(true);
-                setError(null);
-            } else {
-                setIsAudioGloballyReady(false);
-                if (!error) setError("Audio context suspended. Click to activate.");
-            }
-        };
-
-        Tone.context.on('statechange', handleToneContextChange);
-        handleToneContextChange(); // Initial check on mount
-
-        // Add a document-wide click listener to try and start audio if suspended
-        const clickToActivateHandler = () => {
-            if (Tone.context.state !== 'running') {
-                startGlobalAudio();
-            }
-        };
-
-        if (Tone.context.state !== 'running') {
-            document.addEventListener('click', clickToActivateHandler, { once: true });
-        }
-        
-        return () => {
-            Tone.context.off('statechange', handleToneContextChange);
-            document.removeEventListener('click', clickToActivateHandler);
-        };
-    }, [error, startGlobalAudio]);
-
-    return (
-        <AudioContext.Provider value={{ isAudioGloballyReady, startGlobalAudio, error }}>
-            {children}
-        </AudioContext.Provider>
-    );
-};
-// --- END AUDIO CONTEXT ---
-
-
 // --- useChordTraining Hook ---
 const useChordTraining = () => {
     const { isAudioGloballyReady, startGlobalAudio, error: audioContextError } = useContext(AudioContext);
-    const polySynthRef = useRef(null); // The Tone.PolySynth instance
+    const { playSequence, releaseAllNotes, isAudioReady, initializeAudio } = usePianoSynth();
     const [score, setScore] = useState(0);
     const [questionCount, setQuestionCount] = useState(0);
     const [currentChordProgression, setCurrentChordProgression] = useState(null);
     const [feedbackMessage, setFeedbackMessage] = useState('');
     const [hasGuessed, setHasGuessed] = useState(false);
     const [quizStarted, setQuizStarted] = useState(false);
-    const [isSynthReady, setIsSynthReady] = useState(false);
     const [revealedAnswer, setRevealedAnswer] = useState(null);
     const [chordsPlayedForCurrentQuestion, setChordsPlayedForCurrentQuestion] = useState(false);
 
@@ -120,46 +43,6 @@ const useChordTraining = () => {
         { name: 'Augmented Triad', intervals: [0, 4, 8] }, // Root, M3, A5
     ]);
 
-    // Cleanup function for the synth
-    const disposeSynth = useCallback(() => {
-        if (polySynthRef.current) {
-            polySynthRef.current.dispose();
-            polySynthRef.current = null;
-            setIsSynthReady(false);
-            console.log('useChordTraining: PolySynth disposed.');
-        }
-    }, []);
-
-    // Initialize Tone.PolySynth
-    useEffect(() => {
-        console.log('useChordTraining: Setting up Tone.PolySynth...');
-        disposeSynth(); // Ensure any existing synth is disposed
-
-        if (isAudioGloballyReady) {
-            try {
-                // Using a PolySynth to play multiple notes simultaneously for chords
-                // Adjusted envelope for smoother sound to reduce perceived noise.
-                const polySynth = new Tone.PolySynth(Tone.Synth, {
-                    oscillator: { type: "sine" },
-                    envelope: {
-                        attack: 0.08, // Slightly increased attack to prevent clicks
-                        decay: 0.3,  // Slightly increased decay for smoother transition
-                        sustain: 0.05, // Lower sustain for a more percussive, fading sound
-                        release: 1.0, // Increased release for a longer, smoother fade-out
-                    },
-                }).toDestination();
-                polySynthRef.current = polySynth;
-                setIsSynthReady(true);
-                console.log('useChordTraining: Tone.PolySynth instance created and ready.');
-            } catch (error) {
-                console.error("useChordTraining: Error during Tone.PolySynth setup:", error);
-                setIsSynthReady(false);
-            }
-        }
-
-        return disposeSynth;
-    }, [isAudioGloballyReady, disposeSynth]);
-
     // Helper to get notes for a chord from a root MIDI note
     const getChordNotes = useCallback((rootMidi, chordType) => {
         return chordType.intervals.map(interval =>
@@ -200,32 +83,27 @@ const useChordTraining = () => {
 
     // Function to play the current chord progression
     const playChordProgression = useCallback(async () => {
-        if (!currentChordProgression || !polySynthRef.current || !isSynthReady) {
-            console.warn("Cannot play chord progression: Synth not ready or no current progression.");
+        if (!currentChordProgression) {
+            console.warn("Cannot play chord progression: no current progression.");
             return;
         }
 
-        if (Tone.context.state !== 'running') {
-            await startGlobalAudio(); 
-            if (Tone.context.state !== 'running') {
-                console.warn('Audio context could not be started after interaction. Cannot play progression.');
-                return;
-            }
+        releaseAllNotes(); // Stop a progression that is still playing
+        if (!await initializeAudio()) {
+            console.warn('Audio context could not be started after interaction. Cannot play progression.');
+            return;
         }
 
-        const polySynth = polySynthRef.current;
-        const now = Tone.now();
         const chordDuration = 1; // seconds for each chord
         const delayBetweenChords = 0.5; // seconds
 
-        // Play first chord
-        polySynth.triggerAttackRelease(currentChordProgression.firstChordNotes, chordDuration, now);
-        // Play second chord after a delay
-        polySynth.triggerAttackRelease(currentChordProgression.secondChordNotes, chordDuration, now + chordDuration + delayBetweenChords);
-        
         setChordsPlayedForCurrentQuestion(true); // Mark that chords have been played for this question
         console.log(`Playing chord progression. First chord: ${currentChordProgression.firstChordNotes}, Second chord: ${currentChordProgression.secondChordNotes}`);
-    }, [currentChordProgression, isSynthReady, startGlobalAudio]);
+        await playSequence([
+            { notes: currentChordProgression.firstChordNotes, duration: chordDuration },
+            { notes: currentChordProgression.secondChordNotes, time: chordDuration + delayBetweenChords, duration: chordDuration },
+        ]);
+    }, [currentChordProgression, playSequence, releaseAllNotes, initializeAudio]);
 
     // Function to handle user's guess
     const handleGuess = useCallback((guessedChordName) => {
@@ -262,6 +140,7 @@ const useChordTraining = () => {
 
     // Reset the quiz
     const resetQuiz = useCallback(() => {
+        releaseAllNotes();
         setQuizStarted(false);
         setScore(0);
         setQuestionCount(0);
@@ -271,7 +150,7 @@ const useChordTraining = () => {
         setChordsPlayedForCurrentQuestion(false);
         setCurrentChordProgression(null);
         console.log('Chord Quiz reset.');
-    }, []);
+    }, [releaseAllNotes]);
 
     // Combine errors for display
     const combinedError = audioContextError;
@@ -283,7 +162,7 @@ const useChordTraining = () => {
         feedbackMessage,
         hasGuessed,
         quizStarted,
-        isSynthReady,
+        isAudioReady,
         chordTypes: chordTypes.current, // Expose all chord type options for the UI
         playChordProgression,
         handleGuess,
@@ -308,7 +187,7 @@ const ChordTrainingQuizContent = () => {
         feedbackMessage,
         hasGuessed,
         quizStarted,
-        isSynthReady,
+        isAudioReady,
         chordTypes,
         playChordProgression,
         handleGuess,
@@ -361,12 +240,12 @@ const ChordTrainingQuizContent = () => {
                             Audio context suspended. Click "Start Quiz" or the button below to activate audio.
                         </p>
                     )}
-                    {!isSynthReady && !error && (
+                    {!isAudioReady && !error && (
                         <p className="text-blue-700 text-sm sm:text-base mt-2 sm:mt-4 animate-pulse">
                             Setting up audio synthesizer...
                         </p>
                     )}
-                    {quizStarted && isSynthReady && (
+                    {quizStarted && isAudioReady && (
                         <p className="text-blue-600 text-sm sm:text-base mt-2 sm:mt-4">
                             Question: {questionCount} | Score: {score}
                         </p>
@@ -383,12 +262,12 @@ const ChordTrainingQuizContent = () => {
                             <button
                                 onClick={startQuiz}
                                 className="px-6 py-3 sm:px-8 sm:py-4 bg-blue-600 text-white rounded-lg font-bold text-lg sm:text-xl shadow-md hover:bg-blue-700 transition-all duration-200 flex items-center gap-2 w-full sm:w-auto justify-center"
-                                disabled={!isSynthReady && !error}
+                                disabled={!isAudioReady && !error}
                             >
                                 <Play size={20} sm:size={24} /> Start Quiz
                             </button>
                             {/* Fallback for audio activation */}
-                            {!isAudioGloballyReady && !isSynthReady && error && error.includes("suspended") && (
+                            {!isAudioGloballyReady && !isAudioReady && error && error.includes("suspended") && (
                                 <button
                                     onClick={startGlobalAudio}
                                     className="mt-4 px-6 py-3 bg-blue-500 text-white rounded-lg font-bold shadow hover:bg-blue-600 transition-all duration-200 w-full sm:w-auto justify-center"
@@ -402,7 +281,7 @@ const ChordTrainingQuizContent = () => {
                             <button
                                 onClick={playChordProgression}
                                 className="px-6 py-3 sm:px-8 sm:py-4 bg-purple-600 text-white rounded-full font-bold text-xl sm:text-2xl shadow-lg hover:bg-purple-700 transition-all duration-200 flex items-center gap-3 active:scale-95 disabled:opacity-50 disabled:cursor-not-allowed w-full sm:w-auto justify-center"
-                                disabled={!isSynthReady || hasGuessed}
+                                disabled={!isAudioReady || hasGuessed}
                             >
                                 <Volume2 size={28} sm:size={32} /> Play Chords
                             </button>
@@ -428,7 +307,7 @@ const ChordTrainingQuizContent = () => {
                                             py-3 px-2 sm:py-4 sm:px-4 rounded-lg text-base sm:text-lg font-semibold shadow-md transition-all duration-100 ease-out transform
                                             ${hasGuessed ? 'bg-gray-300 text-gray-600 cursor-not-allowed' : 'bg-blue-500 hover:bg-blue-600 text-white active:scale-98'}
                                         `}
-                                        disabled={hasGuessed || !isSynthReady || !chordsPlayedForCurrentQuestion}
+                                        disabled={hasGuessed || !isAudioReady || !chordsPlayedForCurrentQuestion}
                                     >
                                         {chord.name}
                                     </button>
@@ -505,14 +384,12 @@ class ErrorBoundary extends React.Component {
     }
 }
 
-// Default export wrapping the main content with AudioContextProvider and ErrorBoundary
+// Default export wrapping the main content with ErrorBoundary
 const ChordTrainingQuiz = () => {
     return (
-        <AudioContextProvider>
-            <ErrorBoundary>
-                <ChordTrainingQuizContent />
-            </ErrorBoundary>
-        </AudioContextProvider>
+        <ErrorBoundary>
+            <ChordTrainingQuizContent />
+        </ErrorBoundary>
     );
 }
 
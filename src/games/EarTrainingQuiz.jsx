@@ -1,5 +1,7 @@
-import React, { useState, useEffect, useRef, useCallback, createContext, useContext } from 'react';
+import React, { useState, useRef, useCallback, useContext } from 'react';
 import * as Tone from 'tone';
+import { AudioContext } from '../contexts/AudioContext';
+import usePianoSynth from '../hooks/usePianoSynth';
 import { Play, RotateCcw, Volume2, Music } from 'lucide-react';
 import SEOHead from '../components/SEOHead';
 
@@ -19,86 +21,16 @@ const earTrainingQuizTool = {
 };
 
 
-// --- AUDIO CONTEXT ---
-export const AudioContext = createContext(null);
-
-const AudioContextProvider = ({ children }) => {
-    const [isAudioGloballyReady, setIsAudioGloballyReady] = useState(false);
-    const [error, setError] = useState(null);
-
-    const startGlobalAudio = useCallback(async () => {
-        if (Tone.context.state === 'running') {
-            setIsAudioGloballyReady(true);
-            setError(null);
-            return;
-        }
-
-        try {
-            await Tone.start();
-            if (Tone.context.state === 'running') {
-                setIsAudioGloballyReady(true);
-                setError(null);
-            } else {
-                setIsAudioGloballyReady(false);
-                setError("Failed to start audio. Browser context might be suspended.");
-            }
-        } catch (error) {
-            setError("Failed to initialize audio. Please check your browser permissions.");
-            setIsAudioGloballyReady(false);
-        }
-    }, []);
-
-    useEffect(() => {
-        const handleToneContextChange = () => {
-            if (Tone.context.state === 'running') {
-                setIsAudioGloballyReady(true);
-                setError(null);
-            } else {
-                setIsAudioGloballyReady(false);
-                if (!error) setError("Audio context suspended. Click to activate.");
-            }
-        };
-
-        Tone.context.on('statechange', handleToneContextChange);
-        handleToneContextChange();
-
-        const clickToActivateHandler = () => {
-            if (Tone.context.state !== 'running') {
-                startGlobalAudio();
-            }
-        };
-
-        if (Tone.context.state !== 'running') {
-            document.addEventListener('click', clickToActivateHandler, { once: true });
-        }
-        
-        return () => {
-            Tone.context.off('statechange', handleToneContextChange);
-            document.removeEventListener('click', clickToActivateHandler);
-        };
-    }, [error, startGlobalAudio]);
-
-    return (
-        <AudioContext.Provider value={{ isAudioGloballyReady, startGlobalAudio, error }}>
-            {children}
-        </AudioContext.Provider>
-    );
-};
-// --- END AUDIO CONTEXT ---
-
-
 // --- useEarTraining Hook ---
 const useEarTraining = () => {
     const { isAudioGloballyReady, startGlobalAudio, error: audioContextError } = useContext(AudioContext);
-    const synthRef = useRef(null);
-    const reverbRef = useRef(null);
+    const { playSequence, releaseAllNotes, isAudioReady, initializeAudio } = usePianoSynth();
     const [score, setScore] = useState(0);
     const [questionCount, setQuestionCount] = useState(0);
     const [currentInterval, setCurrentInterval] = useState(null);
     const [feedbackMessage, setFeedbackMessage] = useState('');
     const [hasGuessed, setHasGuessed] = useState(false);
     const [quizStarted, setQuizStarted] = useState(false);
-    const [isSynthReady, setIsSynthReady] = useState(false);
     const [revealedAnswer, setRevealedAnswer] = useState(null);
     const [intervalPlayedForCurrentQuestion, setIntervalPlayedForCurrentQuestion] = useState(false);
 
@@ -118,72 +50,6 @@ const useEarTraining = () => {
         { name: 'Octave', semitones: 12 },
     ]);
 
-    const disposeSynth = useCallback(() => {
-        if (synthRef.current) {
-            synthRef.current.dispose();
-            synthRef.current = null;
-        }
-        if (reverbRef.current) {
-            reverbRef.current.dispose();
-            reverbRef.current = null;
-        }
-        setIsSynthReady(false);
-    }, []);
-
-    useEffect(() => {
-        disposeSynth();
-
-        if (isAudioGloballyReady) {
-            try {
-                // Create a more musical reverb effect
-                const reverb = new Tone.Reverb({
-                    decay: 2.5,
-                    wet: 0.3
-                }).toDestination();
-                reverbRef.current = reverb;
-
-                // Create a more musical synthesizer with richer harmonics
-                const synth = new Tone.PolySynth(Tone.Synth, {
-                    oscillator: { 
-                        type: "fatsawtooth",
-                        partials: [1, 0.5, 0.3, 0.25, 0.2, 0.15, 0.1, 0.05]
-                    },
-                    envelope: {
-                        attack: 0.05,
-                        decay: 0.3,
-                        sustain: 0.4,
-                        release: 1.2,
-                    },
-                    filter: {
-                        frequency: 3000,
-                        type: "lowpass",
-                        rolloff: -12
-                    },
-                    filterEnvelope: {
-                        attack: 0.02,
-                        decay: 0.1,
-                        sustain: 0.8,
-                        release: 0.8,
-                        baseFrequency: 800,
-                        octaves: 2
-                    }
-                }).connect(reverb);
-
-                // Add a subtle gain control for dynamics
-                const gain = new Tone.Gain(0.7).connect(reverb);
-                synth.disconnect();
-                synth.connect(gain);
-
-                synthRef.current = synth;
-                setIsSynthReady(true);
-            } catch (error) {
-                setIsSynthReady(false);
-            }
-        }
-
-        return disposeSynth;
-    }, [isAudioGloballyReady, disposeSynth]);
-
     const generateNewQuestion = useCallback(() => {
         const rootMidi = Math.floor(Math.random() * 13) + 60;
         const rootNote = Tone.Midi(rootMidi).toNote();
@@ -204,31 +70,28 @@ const useEarTraining = () => {
     }, []);
 
     const playInterval = useCallback(async () => {
-        if (!currentInterval || !synthRef.current || !isSynthReady) return;
+        if (!currentInterval) return;
 
-        if (Tone.context.state !== 'running') {
-            await startGlobalAudio(); 
-            if (Tone.context.state !== 'running') return;
-        }
+        releaseAllNotes();
+        if (!await initializeAudio()) return;
 
-        const synth = synthRef.current;
-        const now = Tone.now();
         const noteDuration = 1.0;
         const gap = 0.2;
 
-        // Play notes with more musical timing and dynamics
-        synth.triggerAttackRelease(currentInterval.root, noteDuration, now, 0.8);
-        synth.triggerAttackRelease(currentInterval.second, noteDuration, now + noteDuration + gap, 0.8);
-        
-        // Also play them together harmonically after the melodic interval
-        setTimeout(() => {
-            if (synthRef.current) {
-                synth.triggerAttackRelease([currentInterval.root, currentInterval.second], noteDuration * 1.5, Tone.now(), 0.6);
-            }
-        }, (noteDuration + gap + noteDuration + 0.3) * 1000);
-        
         setIntervalPlayedForCurrentQuestion(true);
-    }, [currentInterval, isSynthReady, startGlobalAudio]);
+
+        // Play the notes one after the other, then together harmonically
+        await playSequence([
+            { notes: currentInterval.root, duration: noteDuration, velocity: 0.8 },
+            { notes: currentInterval.second, time: noteDuration + gap, duration: noteDuration, velocity: 0.8 },
+            {
+                notes: [currentInterval.root, currentInterval.second],
+                time: noteDuration + gap + noteDuration + 0.3,
+                duration: noteDuration * 1.5,
+                velocity: 0.6
+            },
+        ]);
+    }, [currentInterval, playSequence, releaseAllNotes, initializeAudio]);
 
     const handleGuess = useCallback((guessedIntervalName) => {
         if (!intervalPlayedForCurrentQuestion) {
@@ -261,6 +124,7 @@ const useEarTraining = () => {
     }, [generateNewQuestion]);
 
     const resetQuiz = useCallback(() => {
+        releaseAllNotes();
         setQuizStarted(false);
         setScore(0);
         setQuestionCount(0);
@@ -269,7 +133,7 @@ const useEarTraining = () => {
         setRevealedAnswer(null);
         setIntervalPlayedForCurrentQuestion(false);
         setCurrentInterval(null);
-    }, []);
+    }, [releaseAllNotes]);
 
     const combinedError = audioContextError;
 
@@ -280,7 +144,7 @@ const useEarTraining = () => {
         feedbackMessage,
         hasGuessed,
         quizStarted,
-        isSynthReady,
+        isAudioReady,
         intervals: intervals.current,
         playInterval,
         handleGuess,
@@ -304,7 +168,7 @@ const EarTrainingQuizContent = () => {
         feedbackMessage,
         hasGuessed,
         quizStarted,
-        isSynthReady,
+        isAudioReady,
         intervals,
         playInterval,
         handleGuess,
@@ -358,12 +222,12 @@ const EarTrainingQuizContent = () => {
                             Audio context suspended. Click "Start Quiz" or the button below to activate audio.
                         </p>
                     )}
-                    {!isSynthReady && !error && (
+                    {!isAudioReady && !error && (
                         <p className="text-blue-700 text-xs md:text-sm mt-2 md:mt-4 animate-pulse">
                             Setting up audio synthesizer...
                         </p>
                     )}
-                    {quizStarted && isSynthReady && (
+                    {quizStarted && isAudioReady && (
                         <p className="text-blue-600 text-sm md:text-base mt-2 md:mt-4">
                             Question: {questionCount} | Score: {score}
                         </p>
@@ -379,11 +243,11 @@ const EarTrainingQuizContent = () => {
                             <button
                                 onClick={startQuiz}
                                 className="px-6 py-3 md:px-8 md:py-4 bg-blue-600 text-white rounded-lg font-bold text-lg md:text-xl shadow-md hover:bg-blue-700 transition-all duration-200 flex items-center gap-2"
-                                disabled={!isSynthReady && !error}
+                                disabled={!isAudioReady && !error}
                             >
                                 <Play size={20} /> Start Quiz
                             </button>
-                            {!isAudioGloballyReady && !isSynthReady && error && error.includes("suspended") && (
+                            {!isAudioGloballyReady && !isAudioReady && error && error.includes("suspended") && (
                                 <button
                                     onClick={startGlobalAudio}
                                     className="mt-2 md:mt-4 px-4 py-2 md:px-6 md:py-3 bg-blue-500 text-white rounded-lg font-bold shadow hover:bg-blue-600 transition-all duration-200 text-sm md:text-base"
@@ -397,7 +261,7 @@ const EarTrainingQuizContent = () => {
                             <button
                                 onClick={playInterval}
                                 className="px-6 py-3 md:px-8 md:py-4 bg-purple-600 text-white rounded-full font-bold text-xl md:text-2xl shadow-lg hover:bg-purple-700 transition-all duration-200 flex items-center gap-2 md:gap-3 active:scale-95 disabled:opacity-50 disabled:cursor-not-allowed"
-                                disabled={!isSynthReady || hasGuessed}
+                                disabled={!isAudioReady || hasGuessed}
                             >
                                 <Volume2 size={24} className="md:h-8 md:w-8" /> Play Interval
                             </button>
@@ -423,7 +287,7 @@ const EarTrainingQuizContent = () => {
                                             py-2 px-1 md:py-3 md:px-2 rounded-lg text-sm md:text-base lg:text-lg font-semibold shadow-md transition-all duration-100 ease-out transform
                                             ${hasGuessed ? 'bg-gray-300 text-gray-600 cursor-not-allowed' : 'bg-blue-500 hover:bg-blue-600 text-white active:scale-98'}
                                         `}
-                                        disabled={hasGuessed || !isSynthReady || !intervalPlayedForCurrentQuestion}
+                                        disabled={hasGuessed || !isAudioReady || !intervalPlayedForCurrentQuestion}
                                     >
                                         {interval.name}
                                     </button>
@@ -501,11 +365,9 @@ class ErrorBoundary extends React.Component {
 
 const EarTrainingQuiz = () => {
     return (
-        <AudioContextProvider>
-            <ErrorBoundary>
-                <EarTrainingQuizContent />
-            </ErrorBoundary>
-        </AudioContextProvider>
+        <ErrorBoundary>
+            <EarTrainingQuizContent />
+        </ErrorBoundary>
     );
 }
 
@@ -1,5 +1,10 @@
-import React, { useState, useEffect, useRef, useCallback, createContext, useContext } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useContext } from 'react';
 import * as Tone from 'tone';
+import { AudioContext } from '../contexts/AudioContext';
+import { registerNode } from '../utils/audioEngine';
+import { createUrlSchema, urlParam } from '../utils/urlState';
+import useUrlState from '../hooks/useUrlState';
+import useParamHistory from '../hooks/useParamHistory';
 import { Play, Pause, Circle, Square, Triangle, Activity, Volume2, Waves, RefreshCcw } from 'lucide-react';
 import SEOHead from '../components/SEOHead';
 
@@ -20,57 +25,22 @@ const synthesisChallengeTool = {
 };
 
 
-// --- AUDIO CONTEXT ---
-export const AudioContext = createContext(null);
-
-const AudioContextProvider = ({ children }) => {
-    const [isAudioGloballyReady, setIsAudioGloballyReady] = useState(false);
-
-    const startGlobalAudio = useCallback(async () => {
-        if (Tone.context.state === 'running') {
-            setIsAudioGloballyReady(true);
-            console.log('AudioContext: Tone.js context already running.');
-            return;
-        }
-        try {
-            console.log('AudioContext: Attempting to start global Tone.js context...');
-            await Tone.start();
-            if (Tone.context.state === 'running') {
-                setIsAudioGloballyReady(true);
-                console.log('AudioContext: Tone.js context started successfully');
-            } else {
-                console.warn('AudioContext: Tone.js context did not start properly (state is ' + Tone.context.state + ')');
-                setIsAudioGloballyReady(false);
-            }
-        } catch (error) {
-            console.error("AudioContext: Error starting Tone.js context:", error);
-            setIsAudioGloballyReady(false);
-        }
-    }, []);
-
-    useEffect(() => {
-        const handleToneContextChange = () => {
-            if (Tone.context.state === 'running') {
-                setIsAudioGloballyReady(true);
-            } else {
-                setIsAudioGloballyReady(false);
-            }
-        };
-        Tone.context.on('statechange', handleToneContextChange);
-        handleToneContextChange();
-        return () => {
-            Tone.context.off('statechange', handleToneContextChange);
-        };
-    }, []); // No need for isAudioGloballyReady in deps for this useEffect
-
-    return (
-        <AudioContext.Provider value={{ isAudioGloballyReady, startGlobalAudio }}>
-            {children}
-        </AudioContext.Provider>
-    );
-};
-// --- END AUDIO CONTEXT ---
-
+// Your patch (not the hidden target) kept in the URL, so a link reopens it
+const URL_SCHEMA = createUrlSchema({
+    params: {
+        waveform1: urlParam.oneOf(['sine', 'square', 'sawtooth', 'triangle']),
+        frequency1: urlParam.number({ min: 20, max: 1000 }),
+        volume1: urlParam.number({ min: -60, max: 0 }),
+        waveform2: urlParam.oneOf(['sine', 'square', 'sawtooth', 'triangle']),
+        frequency2: urlParam.number({ min: 20, max: 1000 }),
+        volume2: urlParam.number({ min: -60, max: 0 }),
+        master: urlParam.number({ min: -40, max: 0 }),
+        attack: urlParam.number({ min: 0.01, max: 1 }),
+        decay: urlParam.number({ min: 0.05, max: 2 }),
+        sustain: urlParam.number({ min: 0.1, max: 1 }),
+        release: urlParam.number({ min: 0.1, max: 3 }),
+    },
+});
 
 // --- useSynthesisChallengeSynth Hook ---
 const useSynthesisChallengeSynth = () => {
@@ -115,6 +85,21 @@ const useSynthesisChallengeSynth = () => {
     const [userSustain, setUserSustain] = useState(0.5);
     const [userRelease, setUserRelease] = useState(0.5);
 
+    const toolParams = {
+        waveform1: userWaveformType1, frequency1: userFrequency1, volume1: userVolume1,
+        waveform2: userWaveformType2, frequency2: userFrequency2, volume2: userVolume2,
+        master: userMasterVolume,
+        attack: userAttack, decay: userDecay, sustain: userSustain, release: userRelease,
+    };
+    const toolParamSetters = {
+        waveform1: setUserWaveformType1, frequency1: setUserFrequency1, volume1: setUserVolume1,
+        waveform2: setUserWaveformType2, frequency2: setUserFrequency2, volume2: setUserVolume2,
+        master: setUserMasterVolume,
+        attack: setUserAttack, decay: setUserDecay, sustain: setUserSustain, release: setUserRelease,
+    };
+    useUrlState(URL_SCHEMA, toolParams, toolParamSetters);
+    useParamHistory(toolParams, toolParamSetters);
+
     // Target parameters (randomly generated)
     const [targetSettings, setTargetSettings] = useState(null);
 
@@ -235,15 +220,15 @@ const useSynthesisChallengeSynth = () => {
                 disposeAudioNodes();
 
                 // User Synth Setup
-                const userOsc1 = new Tone.Oscillator({ type: userWaveformType1, frequency: userFrequency1 });
-                const userOsc2 = new Tone.Oscillator({ type: userWaveformType2, frequency: userFrequency2 });
-                const userGain1 = new Tone.Gain(Tone.dbToGain(userVolume1));
-                const userGain2 = new Tone.Gain(Tone.dbToGain(userVolume2));
-                const userMasterGain = new Tone.Gain(Tone.dbToGain(userMasterVolume));
-                const userEnvelope = new Tone.AmplitudeEnvelope({
+                const userOsc1 = registerNode(new Tone.Oscillator({ type: userWaveformType1, frequency: userFrequency1 }));
+                const userOsc2 = registerNode(new Tone.Oscillator({ type: userWaveformType2, frequency: userFrequency2 }));
+                const userGain1 = registerNode(new Tone.Gain(Tone.dbToGain(userVolume1)));
+                const userGain2 = registerNode(new Tone.Gain(Tone.dbToGain(userVolume2)));
+                const userMasterGain = registerNode(new Tone.Gain(Tone.dbToGain(userMasterVolume)));
+                const userEnvelope = registerNode(new Tone.AmplitudeEnvelope({
                     attack: userAttack, decay: userDecay, sustain: userSustain, release: userRelease,
-                });
-                const userWaveform = new Tone.Waveform(4096);
+                }));
+                const userWaveform = registerNode(new Tone.Waveform(4096));
 
                 userOsc1.connect(userGain1);
                 userOsc2.connect(userGain2);
@@ -262,15 +247,15 @@ const useSynthesisChallengeSynth = () => {
                 userWaveformAnalyzerRef.current = userWaveform;
 
                 // Target Synth Setup
-                const targetOsc1 = new Tone.Oscillator({ type: 'sine', frequency: 1 });
-                const targetOsc2 = new Tone.Oscillator({ type: 'sine', frequency: 1 });
-                const targetGain1 = new Tone.Gain(Tone.dbToGain(MAX_VOL)); // Fixed to MAX_VOL
-                const targetGain2 = new Tone.Gain(Tone.dbToGain(MAX_VOL)); // Fixed to MAX_VOL
-                const targetMasterGain = new Tone.Gain(Tone.dbToGain(MAX_VOL)); // Fixed to MAX_VOL
-                const targetEnvelope = new Tone.AmplitudeEnvelope({
+                const targetOsc1 = registerNode(new Tone.Oscillator({ type: 'sine', frequency: 1 }));
+                const targetOsc2 = registerNode(new Tone.Oscillator({ type: 'sine', frequency: 1 }));
+                const targetGain1 = registerNode(new Tone.Gain(Tone.dbToGain(MAX_VOL))); // Fixed to MAX_VOL
+                const targetGain2 = registerNode(new Tone.Gain(Tone.dbToGain(MAX_VOL))); // Fixed to MAX_VOL
+                const targetMasterGain = registerNode(new Tone.Gain(Tone.dbToGain(MAX_VOL))); // Fixed to MAX_VOL
+                const targetEnvelope = registerNode(new Tone.AmplitudeEnvelope({
                     attack: MIN_ATTACK, decay: MIN_DECAY, sustain: MIN_SUSTAIN, release: MIN_RELEASE,
-                });
-                const targetWaveform = new Tone.Waveform(4096); // Re-added target waveform analyzer
+                }));
+                const targetWaveform = registerNode(new Tone.Waveform(4096)); // Re-added target waveform analyzer
                 
                 targetOsc1.connect(targetGain1);
                 targetOsc2.connect(targetGain2);
@@ -1070,14 +1055,12 @@ class ErrorBoundary extends React.Component {
     }
 }
 
-// Default export wrapping the main content with AudioContextProvider and ErrorBoundary
+// Default export wrapping the main content with ErrorBoundary
 const SynthesisChallenge = () => {
     return (
-        <AudioContext.Provider value={{ isAudioGloballyReady: true, startGlobalAudio: async () => {} }}>
-            <ErrorBoundary>
-                <SynthesisChallengeContent />
-            </ErrorBoundary>
-        </AudioContext.Provider>
+        <ErrorBoundary>
+            <SynthesisChallengeContent />
+        </ErrorBoundary>
     );
 }
 
@@ -0,0 +1,134 @@
+// src/hooks/useABCompare.js
+import { useState, useEffect, useRef, useCallback } from 'react';
+
+// How often the comparator measures loudness (ms)
+const MEASURE_INTERVAL_MS = 100;
+// Measurements between loudness readout updates, to keep re-renders down
+const READOUT_EVERY = 5;
+
+const randomSide = () => (Math.random() < 0.5 ? 'A' : 'B');
+
+/**
+ * A custom React hook for the controls of an ABComparator node
+ * (src/utils/abCompare.js): which side is heard, loudness matching, the
+ * measured loudness, and a blind ABX test.
+ *
+ * In blind mode a third choice, X, plays A or B at random; the listener
+ * guesses which, and the score is kept over a run of trials. The loudness
+ * readout is hidden meanwhile, since it would give X away.
+ *
+ * The node's owner creates it and calls `syncComparator()` afterwards, so a
+ * node created later (e.g. after the audio context restarts) picks up the
+ * current choices.
+ *
+ * @param {() => (ABComparator|null)} getComparator - Stable function returning the node, if any.
+ * @returns {object} State and controls for the <ABCompareControls> component.
+ */
+const useABCompare = (getComparator) => {
+    // 'A', 'B' or, in blind mode, 'X'
+    const [selectedSide, setSelectedSide] = useState('B');
+    const [isMatching, setIsMatchingState] = useState(true);
+    const [loudness, setLoudness] = useState({ dryLufs: null, wetLufs: null, matchGainDb: 0 });
+    const [isBlind, setIsBlind] = useState(false);
+    // The hidden side behind X, and the listener's guess for this trial
+    const [trial, setTrial] = useState(() => ({ xSide: randomSide(), guess: null }));
+    const [score, setScore] = useState({ correct: 0, total: 0 });
+
+    // Latest choices, readable when syncing a new node
+    const stateRef = useRef({ selectedSide, isMatching, xSide: trial.xSide });
+    stateRef.current = { selectedSide, isMatching, xSide: trial.xSide };
+
+    /** Applies the current choices to the node. */
+    const syncComparator = useCallback(() => {
+        const comparator = getComparator();
+        if (!comparator) return;
+        const { selectedSide: side, isMatching: matching, xSide } = stateRef.current;
+        comparator.side = side === 'X' ? xSide : side;
+        comparator.isMatching = matching;
+    }, [getComparator]);
+
+    // Effect hook to apply side and matching changes
+    useEffect(() => {
+        syncComparator();
+    }, [selectedSide, isMatching, trial.xSide, syncComparator]);
+
+    // Effect hook to keep measuring loudness while the page is open
+    useEffect(() => {
+        let tick = 0;
+        const intervalId = setInterval(() => {
+            const comparator = getComparator();
+            if (!comparator) return;
+            const measured = comparator.measure();
+            tick += 1;
+            if (tick % READOUT_EVERY === 0) {
+                setLoudness(measured);
+            }
+        }, MEASURE_INTERVAL_MS);
+
+        return () => clearInterval(intervalId);
+    }, [getComparator]);
+
+    const selectSide = useCallback((side) => {
+        setSelectedSide(side);
+    }, []);
+
+    const setIsMatching = useCallback((matching) => {
+        setIsMatchingState(matching);
+    }, []);
+
+    // Starts or ends a blind run; starting resets the score and plays X.
+    const toggleBlind = useCallback(() => {
+        if (isBlind) {
+            setIsBlind(false);
+            setSelectedSide(side => (side === 'X' ? 'B' : side));
+        } else {
+            setIsBlind(true);
+            setScore({ correct: 0, total: 0 });
+            setTrial({ xSide: randomSide(), guess: null });
+            setSelectedSide('X');
+        }
+    }, [isBlind]);
+
+    // Records the listener's guess for X ('A' or 'B'); one guess per trial.
+    const guessX = useCallback((guess) => {
+        if (trial.guess) return;
+        setTrial(prev => ({ ...prev, guess }));
+        setScore(prev => ({
+            correct: prev.correct + (guess === trial.xSide ? 1 : 0),
+            total: prev.total + 1,
+        }));
+    }, [trial]);
+
+    // Draws a new hidden side for X and plays it.
+    const nextTrial = useCallback(() => {
+        setTrial({ xSide: randomSide(), guess: null });
+        setSelectedSide('X');
+    }, []);
+
+    // Forgets the measured loudness, e.g. after a big parameter change.
+    const remeasure = useCallback(() => {
+        const comparator = getComparator();
+        if (comparator) comparator.resetMeasurement();
+        setLoudness({ dryLufs: null, wetLufs: null, matchGainDb: 0 });
+    }, [getComparator]);
+
+    return {
+        selectedSide,
+        selectSide,
+        isMatching,
+        setIsMatching,
+        loudness,
+        remeasure,
+        isBlind,
+        toggleBlind,
+        // Only revealed once the listener has guessed
+        revealedXSide: trial.guess ? trial.xSide : null,
+        xGuess: trial.guess,
+        guessX,
+        nextTrial,
+        score,
+        syncComparator,
+    };
+};
+
+export default useABCompare;
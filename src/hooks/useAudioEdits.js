@@ -0,0 +1,109 @@
+// src/hooks/useAudioEdits.js
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { applyEdits, getEditDefaults } from '../utils/audioEdits';
+
+// Delay before re-rendering the edited audio, so dragging a slider doesn't re-render on every step
+const APPLY_DELAY_MS = 150;
+
+/**
+ * A custom React hook for the non-destructive edit list of a studio.
+ * The original file is never changed: `editedBuffer` is rendered from it
+ * whenever the list changes, and the studio renders exports from the original
+ * with `applyEdits(original, edits)`. Pairs with the <AudioEditPanel> component.
+ *
+ * @returns {object} The edit list, functions to change it, and the edited audio.
+ */
+const useAudioEdits = () => {
+    const [sourceBuffer, setSourceBufferState] = useState(null);
+    const [edits, setEdits] = useState([]);
+    const [editedBuffer, setEditedBuffer] = useState(null);
+    const [editError, setEditError] = useState(null);
+    const nextIdRef = useRef(1);
+
+    /** Sets the original audio of a newly loaded file and clears the edit list. */
+    const setSourceBuffer = useCallback((buffer) => {
+        setSourceBufferState(buffer);
+        setEdits([]);
+        setEditedBuffer(buffer);
+        setEditError(null);
+    }, []);
+
+    /**
+     * Adds an edit at the end of the list.
+     * @param {string} type One of EDIT_TYPES.
+     * @param {object} [params] Parameters overriding the defaults of the type.
+     */
+    const addEdit = useCallback((type, params = {}) => {
+        const id = nextIdRef.current++;
+        setEdits(current => [...current, { ...getEditDefaults(type), ...params, id }]);
+    }, []);
+
+    /** Changes parameters of the edit with the given id. */
+    const updateEdit = useCallback((id, params) => {
+        setEdits(current => current.map(edit => (edit.id === id ? { ...edit, ...params } : edit)));
+    }, []);
+
+    /** Removes the edit with the given id. */
+    const removeEdit = useCallback((id) => {
+        setEdits(current => current.filter(edit => edit.id !== id));
+    }, []);
+
+    /** Moves the edit with the given id one place up (-1) or down (+1) the list. */
+    const moveEdit = useCallback((id, direction) => {
+        setEdits(current => {
+            const index = current.findIndex(edit => edit.id === id);
+            const target = index + direction;
+            if (index === -1 || target < 0 || target >= current.length) return current;
+            const reordered = [...current];
+            [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+            return reordered;
+        });
+    }, []);
+
+    /** Removes all edits. */
+    const clearEdits = useCallback(() => {
+        setEdits([]);
+    }, []);
+
+    /** Replaces the edit list with a saved one (e.g. from a project). */
+    const restoreEdits = useCallback((savedEdits) => {
+        nextIdRef.current = savedEdits.reduce((maxId, edit) => Math.max(maxId, edit.id), 0) + 1;
+        setEdits(savedEdits);
+    }, []);
+
+    // Effect hook to re-render the edited audio when the original or the edit list changes
+    useEffect(() => {
+        if (!sourceBuffer) return undefined;
+        if (edits.length === 0) {
+            setEditedBuffer(sourceBuffer);
+            setEditError(null);
+            return undefined;
+        }
+        const timer = setTimeout(() => {
+            try {
+                setEditedBuffer(applyEdits(sourceBuffer, edits));
+                setEditError(null);
+            } catch (error) {
+                console.error('Error applying edits:', error);
+                setEditError(`Could not apply edits: ${error.message}`);
+            }
+        }, APPLY_DELAY_MS);
+        return () => clearTimeout(timer);
+    }, [sourceBuffer, edits]);
+
+    return {
+        sourceBuffer,
+        setSourceBuffer,
+        edits,
+        addEdit,
+        updateEdit,
+        removeEdit,
+        moveEdit,
+        clearEdits,
+        restoreEdits,
+        editedBuffer,
+        editError,
+    };
+};
+
+export default useAudioEdits;
@@ -0,0 +1,219 @@
+// src/hooks/useDrumKit.js
+import { useState, useEffect, useRef, useCallback } from 'react';
+import {
+    createDefaultKit,
+    normalizePadSettings,
+    resetPadSample,
+    isKitStorageAvailable,
+    listDrumKits,
+    loadDrumKit,
+    saveDrumKit,
+    deleteDrumKit,
+    getActiveDrumKitId,
+    setActiveDrumKitId,
+    createKitBundle,
+    readKitBundle,
+} from '../utils/drumKits';
+import { downloadBlob } from '../utils/downloadUtils';
+
+// Extensions of sample files taken when the browser doesn't give a file type
+const AUDIO_FILE_PATTERN = /\.(wav|mp3|ogg|flac|m4a|aac|aif|aiff)$/i;
+
+/**
+ * A custom React hook for the drum machine's sample kit (see
+ * src/utils/drumKits.js): the user's samples on the pads and how each pad
+ * plays them, kits saved in the browser, and kit bundles (zip) to share them.
+ * Pairs with the <DrumKitPanel> component; the drum machine loads `kit`'s
+ * samples into its player.
+ *
+ * The kit that was open is reopened on the next visit. Changes aren't saved
+ * until saveKit is called.
+ *
+ * @param {string[]} drumKeys The pads.
+ * @returns {object} The kit, saved kits, and functions to edit, save, open, delete, import and export kits.
+ */
+const useDrumKit = (drumKeys) => {
+    const isAvailable = isKitStorageAvailable();
+    const [kit, setKit] = useState(() => createDefaultKit(drumKeys));
+    const [savedKits, setSavedKits] = useState([]);
+    const [isKitBusy, setIsKitBusy] = useState(false); // Saving, opening, importing or exporting
+    const [kitError, setKitError] = useState(null);
+
+    // Latest kit, for exports started while it changes
+    const kitRef = useRef(kit);
+    useEffect(() => {
+        kitRef.current = kit;
+    }, [kit]);
+
+    /** Reloads the list of saved kits. */
+    const refreshKits = useCallback(async () => {
+        if (!isAvailable) return;
+        try {
+            setSavedKits(await listDrumKits());
+        } catch (error) {
+            console.error('Error listing drum kits:', error);
+            setKitError(`Could not read saved kits: ${error.message}`);
+        }
+    }, [isAvailable]);
+
+    // Runs a kit operation, showing its error instead of throwing
+    const runKitTask = useCallback(async (task, errorMessage) => {
+        setIsKitBusy(true);
+        setKitError(null);
+        try {
+            await task();
+        } catch (error) {
+            console.error(`${errorMessage}:`, error);
+            setKitError(`${errorMessage}: ${error.message}`);
+        } finally {
+            setIsKitBusy(false);
+        }
+    }, []);
+
+    const updatePad = useCallback((drumKey, update) => {
+        setKit(current => ({ ...current, pads: { ...current.pads, [drumKey]: update(current.pads[drumKey]) } }));
+    }, []);
+
+    /**
+     * Puts a sample file on a pad, e.g. one dropped onto it.
+     * @param {string} drumKey
+     * @param {File} file
+     */
+    const setPadSample = useCallback((drumKey, file) => {
+        if (!file) return;
+        if (!file.type.startsWith('audio/') && !AUDIO_FILE_PATTERN.test(file.name)) {
+            setKitError(`"${file.name}" is not an audio file.`);
+            return;
+        }
+        setKitError(null);
+        updatePad(drumKey, pad => ({ ...pad, sample: file, sampleName: file.name }));
+    }, [updatePad]);
+
+    /**
+     * Changes how a pad plays.
+     * @param {string} drumKey
+     * @param {object} changes Some of tune, decay, start, reverse, pan, chokeGroup.
+     */
+    const setPadSettings = useCallback((drumKey, changes) => {
+        updatePad(drumKey, pad => ({ ...pad, settings: normalizePadSettings({ ...pad.settings, ...changes }) }));
+    }, [updatePad]);
+
+    /** Puts a pad back on its built-in sample. */
+    const resetPad = useCallback((drumKey) => {
+        updatePad(drumKey, resetPadSample);
+    }, [updatePad]);
+
+    /**
+     * Reports a pad sample the player couldn't decode; the pad goes back to its
+     * built-in sample unless it was changed meanwhile.
+     * @param {string} drumKey
+     * @param {Blob} sample The sample that failed.
+     * @param {Error} error
+     */
+    const rejectPadSample = useCallback((drumKey, sample, error) => {
+        setKitError(`Could not play "${sample.name ?? drumKey}": ${error.message}`);
+        updatePad(drumKey, pad => (pad.sample === sample ? resetPadSample(pad) : pad));
+    }, [updatePad]);
+
+    const renameKit = useCallback((name) => {
+        setKit(current => ({ ...current, name }));
+    }, []);
+
+    /** Saves the kit, as a new kit if it wasn't saved before. */
+    const saveKit = useCallback(() => runKitTask(async () => {
+        const record = await saveDrumKit(kitRef.current);
+        setKit(current => ({ ...current, id: record.id, name: record.name }));
+        setActiveDrumKitId(record.id);
+        await refreshKits();
+    }, 'Could not save the kit'), [runKitTask, refreshKits]);
+
+    /**
+     * Opens a saved kit, or the built-in one.
+     * @param {string|null} id Kit id; null for the built-in kit.
+     */
+    const openKit = useCallback((id) => runKitTask(async () => {
+        if (!id) {
+            setKit(createDefaultKit(drumKeys));
+            setActiveDrumKitId(null);
+            return;
+        }
+        const stored = await loadDrumKit(id, drumKeys);
+        if (!stored) {
+            await refreshKits();
+            throw new Error('it no longer exists');
+        }
+        setKit(stored);
+        setActiveDrumKitId(id);
+    }, 'Could not open the kit'), [runKitTask, drumKeys, refreshKits]);
+
+    /** Deletes the open kit from the browser and goes back to the built-in one. */
+    const deleteKit = useCallback(() => runKitTask(async () => {
+        const { id } = kitRef.current;
+        if (!id) return;
+        await deleteDrumKit(id);
+        setKit(createDefaultKit(drumKeys));
+        setActiveDrumKitId(null);
+        await refreshKits();
+    }, 'Could not delete the kit'), [runKitTask, drumKeys, refreshKits]);
+
+    /** Downloads the kit as a zip bundle with its samples. */
+    const exportKit = useCallback(() => runKitTask(async () => {
+        const current = kitRef.current;
+        const blob = await createKitBundle(current);
+        downloadBlob(blob, `${current.name.replace(/[\\/:*?"<>|]+/g, '-')}.zip`);
+    }, 'Could not export the kit'), [runKitTask]);
+
+    /**
+     * Opens a kit bundle; it is kept in the browser once saved.
+     * @param {File} file The zip.
+     */
+    const importKit = useCallback((file) => runKitTask(async () => {
+        if (!file) return;
+        setKit(await readKitBundle(file, drumKeys));
+        setActiveDrumKitId(null);
+    }, 'Could not import the kit'), [runKitTask, drumKeys]);
+
+    // Effect hook to list the saved kits and reopen the one that was open
+    useEffect(() => {
+        if (!isAvailable) return undefined;
+        let isCancelled = false;
+        refreshKits();
+
+        const activeId = getActiveDrumKitId();
+        if (activeId) {
+            loadDrumKit(activeId, drumKeys).then(stored => {
+                if (isCancelled) return;
+                if (!stored) {
+                    setActiveDrumKitId(null);
+                    return;
+                }
+                setKit(stored);
+            }).catch(error => {
+                console.error('Error reading the last drum kit:', error);
+            });
+        }
+        return () => {
+            isCancelled = true;
+        };
+    }, [isAvailable, drumKeys, refreshKits]);
+
+    return {
+        isAvailable,
+        kit,
+        savedKits,
+        isKitBusy,
+        kitError,
+        setPadSample,
+        setPadSettings,
+        resetPad,
+        rejectPadSample,
+        renameKit,
+        saveKit,
+        openKit,
+        deleteKit,
+        exportKit,
+        importKit,
+    };
+};
+
+export default useDrumKit;
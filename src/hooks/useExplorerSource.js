@@ -0,0 +1,89 @@
+// src/hooks/useExplorerSource.js
+import { useState, useRef, useCallback } from 'react';
+import * as Tone from 'tone';
+import useLiveInput from './useLiveInput';
+import { describeInputError } from '../utils/liveInput';
+
+/**
+ * A custom React hook that tracks which audio source an effect explorer plays
+ * (see ExplorerSource in src/utils/explorerSources.js) and applies the user's
+ * choice to the explorer's source node.
+ *
+ * The explorer creates the node itself, stores it in `sourceRef` and calls
+ * `loadSelectedSource(node)` once while initializing, so a node created later
+ * (e.g. after the audio context restarts) picks up the current choice.
+ *
+ * When the live input is picked, `liveInput` holds its controls (trim, meter,
+ * feedback protection; see useLiveInput).
+ *
+ * @param {React.MutableRefObject} sourceRef - Ref holding the explorer's ExplorerSource node.
+ * @param {object} defaultSource - Source descriptor to start with.
+ * @returns {object} Source state and functions for the <SourceSelector> component.
+ */
+const useExplorerSource = (sourceRef, defaultSource) => {
+    const [selectedSource, setSelectedSource] = useState(defaultSource);
+    const [isLoadingSource, setIsLoadingSource] = useState(false);
+    const [sourceError, setSourceError] = useState(null);
+    // Latest selection, readable from the explorer's memoized init callback.
+    const selectedSourceRef = useRef(defaultSource);
+
+    const getLiveInput = useCallback(() => sourceRef.current?.liveInput ?? null, [sourceRef]);
+    const liveInput = useLiveInput(getLiveInput);
+    const { syncInput } = liveInput;
+
+    /**
+     * Loads a source into a node, tracking loading and error state.
+     * Rethrows so an explorer's init can fail the same way a failed sample load did.
+     */
+    const applySource = useCallback(async (node, source) => {
+        setIsLoadingSource(true);
+        setSourceError(null);
+        try {
+            await node.setSource(source);
+        } catch (error) {
+            console.error('useExplorerSource: Failed to load source:', error);
+            setSourceError(source.type === 'input'
+                ? describeInputError(error)
+                : `Could not load this source: ${error.message || error}`);
+            throw error;
+        } finally {
+            setIsLoadingSource(false);
+            // Picks up the live input opening or closing
+            await syncInput();
+        }
+    }, [syncInput]);
+
+    // Loads the current selection into a newly created node.
+    const loadSelectedSource = useCallback((node) => applySource(node, selectedSourceRef.current), [applySource]);
+
+    // Switches to another source; playback carries on if it was running.
+    const selectSource = useCallback(async (source) => {
+        selectedSourceRef.current = source;
+        setSelectedSource(source);
+        if (sourceRef.current) {
+            try {
+                await applySource(sourceRef.current, source);
+            } catch {
+                // Already reported through sourceError
+            }
+        }
+    }, [sourceRef, applySource]);
+
+    // Decodes a dropped or browsed audio file and switches to it.
+    const selectFile = useCallback(async (file) => {
+        if (!file) return;
+        setSourceError(null);
+        try {
+            const arrayBuffer = await file.arrayBuffer();
+            const buffer = await Tone.getContext().decodeAudioData(arrayBuffer);
+            await selectSource({ type: 'file', name: file.name, buffer });
+        } catch (error) {
+            console.error('useExplorerSource: Failed to decode file:', error);
+            setSourceError(`Could not read "${file.name}". Try a WAV, MP3 or OGG file.`);
+        }
+    }, [selectSource]);
+
+    return { selectedSource, selectSource, selectFile, isLoadingSource, sourceError, loadSelectedSource, liveInput };
+};
+
+export default useExplorerSource;
@@ -0,0 +1,70 @@
+// src/hooks/useExportJob.js
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { isAbortError } from '../utils/audioExport';
+
+/**
+ * A custom React hook that runs a studio download (offline render, then
+ * encode) with combined progress and a cancel button. The render counts for
+ * the first half of the progress bar and the encode for the second.
+ * Navigating away from the studio cancels a running export.
+ *
+ * @returns {object} `isExporting`, `exportProgress` (0-100), `runExport(job)`
+ *          and `cancelExport()`.
+ */
+const useExportJob = () => {
+    const [isExporting, setIsExporting] = useState(false);
+    const [exportProgress, setExportProgress] = useState(0);
+    // AbortController of the running export, if any.
+    const controllerRef = useRef(null);
+
+    /**
+     * Runs an export job. The job receives `{ signal, onRenderProgress,
+     * onEncodeProgress }` to pass to renderOffline() and exportAudioBuffer().
+     * Resolves with the job's result, or undefined if it was cancelled; any
+     * other error is rethrown for the studio to report.
+     */
+    const runExport = useCallback(async (job) => {
+        if (controllerRef.current) return undefined;
+
+        const controller = new AbortController();
+        controllerRef.current = controller;
+        setIsExporting(true);
+        setExportProgress(0);
+
+        try {
+            return await job({
+                signal: controller.signal,
+                onRenderProgress: (fraction) => setExportProgress(Math.floor(fraction * 50)),
+                onEncodeProgress: (fraction) => setExportProgress(Math.floor(50 + fraction * 50)),
+            });
+        } catch (error) {
+            if (isAbortError(error)) {
+                console.log('Export cancelled.');
+                return undefined;
+            }
+            throw error;
+        } finally {
+            controllerRef.current = null;
+            setIsExporting(false);
+            setExportProgress(0);
+        }
+    }, []);
+
+    // Cancels the running export, if any.
+    const cancelExport = useCallback(() => {
+        if (controllerRef.current) {
+            controllerRef.current.abort();
+        }
+    }, []);
+
+    // Effect hook to cancel a running export when the studio unmounts.
+    useEffect(() => () => {
+        if (controllerRef.current) {
+            controllerRef.current.abort();
+        }
+    }, []);
+
+    return { isExporting, exportProgress, runExport, cancelExport };
+};
+
+export default useExportJob;
@@ -0,0 +1,156 @@
+// src/hooks/useLiveInput.js
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { METER_FLOOR_DB } from '../utils/audioEngine';
+import {
+    watchFeedback,
+    isHeadphoneOutput,
+    listInputDevices,
+    describeInputError,
+} from '../utils/liveInput';
+
+/**
+ * A custom React hook for the controls of a LiveInput node
+ * (src/utils/liveInput.js): input trim, input level for the meter, the list
+ * of input devices and feedback protection.
+ *
+ * Feedback protection: each time the input opens (and whenever the output
+ * device changes) the monitor is muted unless the output looks like
+ * headphones; `monitorMute` then says why, and `unmuteMonitor()` is the
+ * user's "I'm on headphones" override. While monitoring, a monitored level
+ * that stays loud mutes it again (see watchFeedback).
+ *
+ * The node's owner opens it, either through `openInput()` or on its own (an
+ * ExplorerSource opens it when the live input is picked) followed by
+ * `syncInput()`.
+ *
+ * @param {() => (LiveInput|null)} getInput - Stable function returning the LiveInput node, if any.
+ * @returns {object} Input state and controls for the <LiveInputControls> component.
+ */
+const useLiveInput = (getInput) => {
+    const [isInputOpen, setIsInputOpen] = useState(false);
+    const [inputError, setInputError] = useState(null);
+    const [inputTrim, setInputTrimState] = useState(0);
+    const [inputDevices, setInputDevices] = useState([]);
+    const [inputDeviceId, setInputDeviceId] = useState(null);
+    // null while monitoring, otherwise 'speakers' or 'feedback'
+    const [monitorMute, setMonitorMute] = useState('speakers');
+    const inputTrimRef = useRef(0);
+
+    /** Mutes the monitor unless the output looks like headphones. */
+    const protectMonitor = useCallback(async () => {
+        const input = getInput();
+        if (!input) return;
+        const onHeadphones = await isHeadphoneOutput();
+        if (onHeadphones) {
+            input.muted = false;
+            setMonitorMute(null);
+        } else {
+            input.muted = true;
+            setMonitorMute('speakers');
+        }
+    }, [getInput]);
+
+    /**
+     * Reads the node's state after its owner opened or closed it, and applies
+     * the trim and feedback protection to a newly opened input.
+     */
+    const syncInput = useCallback(async () => {
+        const input = getInput();
+        const isOpen = Boolean(input?.isOpen);
+        setIsInputOpen(isOpen);
+        if (!isOpen) return;
+
+        input.trim.value = inputTrimRef.current;
+        setInputDeviceId(input.deviceId ?? null);
+        await protectMonitor();
+        try {
+            // Device names are only available once access has been granted
+            setInputDevices(await listInputDevices());
+        } catch (error) {
+            console.warn('useLiveInput: Could not list input devices:', error);
+        }
+    }, [getInput, protectMonitor]);
+
+    /**
+     * Opens the input (asks for microphone access the first time).
+     * @param {object} [options] Passed to LiveInput#open (deviceId or a test stream).
+     * @returns {Promise<boolean>} Whether the input opened.
+     */
+    const openInput = useCallback(async (options) => {
+        const input = getInput();
+        if (!input) return false;
+        setInputError(null);
+        try {
+            await input.open(options);
+        } catch (error) {
+            console.error('useLiveInput: Failed to open input:', error);
+            setInputError(describeInputError(error));
+            setIsInputOpen(false);
+            return false;
+        }
+        await syncInput();
+        return true;
+    }, [getInput, syncInput]);
+
+    // Releases the input device.
+    const closeInput = useCallback(() => {
+        const input = getInput();
+        if (input) input.close();
+        setIsInputOpen(false);
+    }, [getInput]);
+
+    const setInputTrim = useCallback((trimDb) => {
+        inputTrimRef.current = trimDb;
+        setInputTrimState(trimDb);
+        const input = getInput();
+        if (input) input.trim.value = trimDb;
+    }, [getInput]);
+
+    // The user's override: they are on headphones, so monitoring is safe.
+    const unmuteMonitor = useCallback(() => {
+        const input = getInput();
+        if (input) input.muted = false;
+        setMonitorMute(null);
+    }, [getInput]);
+
+    // Current input level in dBFS, for a meter polled with requestAnimationFrame.
+    const getInputLevel = useCallback(() => {
+        const input = getInput();
+        return input?.isOpen ? input.getLevel() : METER_FLOOR_DB;
+    }, [getInput]);
+
+    // Effect hook to mute the monitor when the monitored signal stays loud
+    useEffect(() => {
+        if (!isInputOpen) return undefined;
+        return watchFeedback(getInput, () => setMonitorMute('feedback'));
+    }, [isInputOpen, getInput]);
+
+    // Effect hook to re-check the output when devices change (e.g. headphones unplugged)
+    useEffect(() => {
+        if (!isInputOpen || !navigator.mediaDevices) return undefined;
+
+        const handleDeviceChange = () => {
+            protectMonitor();
+            listInputDevices().then(setInputDevices).catch(() => {});
+        };
+        navigator.mediaDevices.addEventListener('devicechange', handleDeviceChange);
+        return () => navigator.mediaDevices.removeEventListener('devicechange', handleDeviceChange);
+    }, [isInputOpen, protectMonitor]);
+
+    return {
+        isInputOpen,
+        inputError,
+        inputTrim,
+        setInputTrim,
+        inputDevices,
+        inputDeviceId,
+        monitorMute,
+        unmuteMonitor,
+        getInputLevel,
+        openInput,
+        closeInput,
+        syncInput,
+    };
+};
+
+export default useLiveInput;
@@ -0,0 +1,186 @@
+// src/hooks/useMidiFilePlayer.js
+import { useState, useEffect, useRef, useCallback, useMemo, useContext } from 'react';
+import * as Tone from 'tone';
+import { AudioContext } from '../contexts/AudioContext';
+
+// How often (ms) the player checks for notes to start and stop
+const TICK_INTERVAL_MS = 20;
+
+/**
+ * A custom React hook that plays a song read by parseMidiFile (see
+ * src/utils/midiFile.js) on an instrument, e.g. usePianoSynth's playNote and
+ * stopNote, with tempo scaling, looping and track muting.
+ *
+ * Notes are started and stopped by a clock following the audio context's
+ * time, so the keys lit by activeNotes match what sounds. Views that move
+ * with the music (like a scrolling piano roll) read getPosition() on every
+ * animation frame instead of re-rendering.
+ *
+ * @param {object} options
+ * @param {object|null} options.song The parsed song, or null before a file is loaded.
+ * @param {Set<number>} [options.mutedTracks] Indices of the song's tracks not to play.
+ * @param {number} [options.tempoScale=1] Playback speed, e.g. 0.5 for half tempo.
+ * @param {boolean} [options.isLooping=false] Start over at the end instead of stopping.
+ * @param {(note: string, velocity: number) => void} options.onNoteOn Velocity 0-1.
+ * @param {(note: string) => void} options.onNoteOff
+ * @returns {object} Playback state, the notes sounding and functions to play, pause, stop and seek.
+ */
+const useMidiFilePlayer = ({ song, mutedTracks = new Set(), tempoScale = 1, isLooping = false, onNoteOn, onNoteOff }) => {
+    const { startGlobalAudio } = useContext(AudioContext);
+    const [isPlaying, setIsPlaying] = useState(false);
+    const [activeNotes, setActiveNotes] = useState(() => new Set()); // Names of the notes sounding
+
+    // Song position (seconds) at the audio time the clock last (re)started
+    const clockRef = useRef({ songTime: 0, startedAt: 0, scale: tempoScale, isRunning: false });
+    const nextIndexRef = useRef(0); // Next note to start
+    const soundingRef = useRef(new Set()); // Notes started and not stopped yet
+    const noteCountsRef = useRef(new Map()); // Name → notes sounding with it, as tracks can share a pitch
+
+    // Latest options for the clock, which runs outside of renders
+    const optionsRef = useRef({ mutedTracks, isLooping, onNoteOn, onNoteOff });
+    optionsRef.current = { mutedTracks, isLooping, onNoteOn, onNoteOff };
+
+    // Every note of every track, in the order they start
+    const notes = useMemo(() => (song
+        ? song.tracks.flatMap((track, trackIndex) => track.notes.map(note => ({ ...note, trackIndex })))
+            .sort((a, b) => a.time - b.time)
+        : []), [song]);
+    const duration = song?.duration ?? 0;
+
+    /** Current song position in seconds. */
+    const getPosition = useCallback(() => {
+        const { songTime, startedAt, scale, isRunning } = clockRef.current;
+        return isRunning ? songTime + (Tone.now() - startedAt) * scale : songTime;
+    }, []);
+
+    const syncActiveNotes = useCallback(() => {
+        setActiveNotes(new Set(noteCountsRef.current.keys()));
+    }, []);
+
+    const startNote = useCallback((note) => {
+        soundingRef.current.add(note);
+        const count = noteCountsRef.current.get(note.name) ?? 0;
+        noteCountsRef.current.set(note.name, count + 1);
+        if (count === 0) optionsRef.current.onNoteOn?.(note.name, note.velocity);
+    }, []);
+
+    const stopNote = useCallback((note) => {
+        soundingRef.current.delete(note);
+        const count = noteCountsRef.current.get(note.name) ?? 0;
+        if (count <= 1) {
+            noteCountsRef.current.delete(note.name);
+            optionsRef.current.onNoteOff?.(note.name);
+        } else {
+            noteCountsRef.current.set(note.name, count - 1);
+        }
+    }, []);
+
+    const stopAllNotes = useCallback(() => {
+        soundingRef.current.forEach(stopNote);
+        syncActiveNotes();
+    }, [stopNote, syncActiveNotes]);
+
+    /**
+     * Moves playback to a position, stopping the notes sounding.
+     * @param {number} time Seconds from the start of the song.
+     */
+    const seek = useCallback((time) => {
+        stopAllNotes();
+        const songTime = Math.max(0, Math.min(duration, time));
+        clockRef.current = { ...clockRef.current, songTime, startedAt: Tone.now() };
+        const index = notes.findIndex(note => note.time >= songTime);
+        nextIndexRef.current = index === -1 ? notes.length : index;
+    }, [stopAllNotes, duration, notes]);
+
+    /** Starts or resumes playback. */
+    const play = useCallback(async () => {
+        if (notes.length === 0) return;
+        await startGlobalAudio();
+        if (clockRef.current.songTime >= duration) seek(0);
+        clockRef.current = { ...clockRef.current, startedAt: Tone.now(), isRunning: true };
+        setIsPlaying(true);
+    }, [notes, startGlobalAudio, duration, seek]);
+
+    /** Pauses playback where it is. */
+    const pause = useCallback(() => {
+        clockRef.current = { ...clockRef.current, songTime: getPosition(), isRunning: false };
+        setIsPlaying(false);
+        stopAllNotes();
+    }, [getPosition, stopAllNotes]);
+
+    /** Stops playback and returns to the start. */
+    const stop = useCallback(() => {
+        pause();
+        seek(0);
+    }, [pause, seek]);
+
+    // Effect hook to keep the position when the tempo changes mid-song
+    useEffect(() => {
+        const clock = clockRef.current;
+        if (clock.isRunning) {
+            const now = Tone.now();
+            clock.songTime += (now - clock.startedAt) * clock.scale;
+            clock.startedAt = now;
+        }
+        clock.scale = tempoScale;
+    }, [tempoScale]);
+
+    // Effect hook to start over when another song is loaded
+    useEffect(() => {
+        clockRef.current = { ...clockRef.current, songTime: 0, isRunning: false };
+        nextIndexRef.current = 0;
+        setIsPlaying(false);
+        return () => stopAllNotes();
+    }, [notes, stopAllNotes]);
+
+    // Effect hook for the playback clock
+    useEffect(() => {
+        if (!isPlaying) return undefined;
+        const tick = () => {
+            const position = getPosition();
+            const { mutedTracks: muted, isLooping: loop } = optionsRef.current;
+            let hasChanged = false;
+
+            // Stop notes that are over or whose track was muted
+            soundingRef.current.forEach(note => {
+                if (note.time + note.duration <= position || muted.has(note.trackIndex)) {
+                    stopNote(note);
+                    hasChanged = true;
+                }
+            });
+            // Start the notes reached
+            while (nextIndexRef.current < notes.length && notes[nextIndexRef.current].time <= position) {
+                const note = notes[nextIndexRef.current++];
+                if (!muted.has(note.trackIndex)) {
+                    startNote(note);
+                    hasChanged = true;
+                }
+            }
+            if (hasChanged) syncActiveNotes();
+
+            if (position >= duration) {
+                if (loop) {
+                    seek(0);
+                } else {
+                    pause();
+                    seek(duration);
+                }
+            }
+        };
+        const intervalId = setInterval(tick, TICK_INTERVAL_MS);
+        return () => clearInterval(intervalId);
+    }, [isPlaying, notes, duration, getPosition, startNote, stopNote, syncActiveNotes, seek, pause]);
+
+    return {
+        isPlaying,
+        activeNotes,
+        duration,
+        getPosition,
+        play,
+        pause,
+        stop,
+        seek,
+    };
+};
+
+export default useMidiFilePlayer;
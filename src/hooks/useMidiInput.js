@@ -0,0 +1,142 @@
+// src/hooks/useMidiInput.js
+import { useState, useEffect, useRef, useCallback } from 'react';
+import {
+    createMidiRouter,
+    listMidiInputs,
+    connectMidiInputs,
+    isMidiSupported,
+    requestMidiAccess,
+    getMidiSettings,
+    setMidiSettings,
+} from '../utils/midiInput';
+
+/**
+ * A custom React hook that plays an instrument from a MIDI keyboard (see
+ * src/utils/midiInput.js): notes with velocity, the sustain pedal (CC64),
+ * pitch bend and the mod wheel, from all connected inputs or a chosen one.
+ * Pairs with the <MidiInputControls> component.
+ *
+ * MIDI starts when the user connects it and reconnects on later visits.
+ * Held notes are released when the device changes or the tool closes.
+ *
+ * @param {object} options Handlers, called with note names (e.g. 'C4'); all optional.
+ * @param {(note: string, velocity: number) => void} [options.onNoteOn] Velocity 0-1.
+ * @param {(note: string) => void} [options.onNoteOff]
+ * @param {(amount: number) => void} [options.onPitchBend] -1 to 1.
+ * @param {(amount: number) => void} [options.onModWheel] 0 to 1.
+ * @param {() => Promise<object>} [options.requestAccess] Resolves a MIDIAccess; replace it
+ *        with one resolving a mock to drive the hook without MIDI hardware.
+ * @returns {object} Connection status, devices, the selected device and functions to connect and select.
+ */
+const useMidiInput = ({ onNoteOn, onNoteOff, onPitchBend, onModWheel, requestAccess } = {}) => {
+    const isSupported = Boolean(requestAccess) || isMidiSupported();
+    const [access, setAccess] = useState(null);
+    const [status, setStatus] = useState('idle'); // 'idle' | 'connecting' | 'connected' | 'error'
+    const [midiError, setMidiError] = useState(null);
+    const [devices, setDevices] = useState([]);
+    const [deviceId, setDeviceId] = useState(() => getMidiSettings().deviceId); // null for all devices
+    const [isSustainDown, setIsSustainDown] = useState(false);
+
+    // Latest handlers, so a device stays connected while they change
+    const handlersRef = useRef({ onNoteOn, onNoteOff, onPitchBend, onModWheel, requestAccess });
+    handlersRef.current = { onNoteOn, onNoteOff, onPitchBend, onModWheel, requestAccess };
+
+    /** Asks for MIDI access and starts listening. */
+    const connect = useCallback(async () => {
+        if (!isSupported) return;
+        setStatus('connecting');
+        setMidiError(null);
+        try {
+            const request = handlersRef.current.requestAccess ?? requestMidiAccess;
+            const midiAccess = await request();
+            setAccess(midiAccess);
+            setStatus('connected');
+            setMidiSettings({ ...getMidiSettings(), enabled: true });
+        } catch (error) {
+            console.error('Error connecting MIDI:', error);
+            setStatus('error');
+            setMidiError(error?.name === 'SecurityError' || error?.name === 'NotAllowedError'
+                ? 'MIDI access was blocked. Allow it in the browser\'s site settings.'
+                : `Could not connect MIDI: ${error?.message ?? error}`);
+            setMidiSettings({ ...getMidiSettings(), enabled: false });
+        }
+    }, [isSupported]);
+
+    /** Stops listening; MIDI stays off on later visits. */
+    const disconnect = useCallback(() => {
+        setAccess(null);
+        setStatus('idle');
+        setDevices([]);
+        setMidiSettings({ ...getMidiSettings(), enabled: false });
+    }, []);
+
+    /**
+     * Listens to one device only, or to all with null.
+     * @param {string|null} id Input id.
+     */
+    const selectDevice = useCallback((id) => {
+        setDeviceId(id);
+        setMidiSettings({ ...getMidiSettings(), deviceId: id });
+    }, []);
+
+    // Effect hook to reconnect when MIDI was on during the last visit
+    useEffect(() => {
+        if (isSupported && getMidiSettings().enabled) connect();
+    }, [isSupported, connect]);
+
+    // Effect hook to follow devices being plugged in and out
+    useEffect(() => {
+        if (!access) return undefined;
+        const updateDevices = () => setDevices(listMidiInputs(access));
+        updateDevices();
+        access.addEventListener('statechange', updateDevices);
+        return () => access.removeEventListener('statechange', updateDevices);
+    }, [access]);
+
+    // Listens to all devices while the chosen one isn't connected
+    const activeDeviceId = devices.some(device => device.id === deviceId) ? deviceId : null;
+    // The connected inputs, unchanged by statechange events that don't add or remove one
+    const deviceIdsKey = devices.map(device => device.id).join('\n');
+    // Router of the selected inputs, kept while devices come and go so held notes keep sounding
+    const routerRef = useRef(null);
+
+    // Effect hook to route MIDI messages to the instrument; held notes are
+    // released when the access or the selected device changes
+    useEffect(() => {
+        if (!access) return undefined;
+        const router = createMidiRouter({
+            onNoteOn: (note, velocity) => handlersRef.current.onNoteOn?.(note, velocity),
+            onNoteOff: (note) => handlersRef.current.onNoteOff?.(note),
+            onPitchBend: (amount) => handlersRef.current.onPitchBend?.(amount),
+            onModWheel: (amount) => handlersRef.current.onModWheel?.(amount),
+            onSustain: setIsSustainDown,
+        });
+        routerRef.current = router;
+        return () => {
+            routerRef.current = null;
+            router.releaseAll();
+            setIsSustainDown(false);
+        };
+    }, [access, activeDeviceId]);
+
+    // Effect hook to listen to the selected inputs, again whenever devices are
+    // plugged in or out so new ones are heard too
+    useEffect(() => {
+        if (!access) return undefined;
+        return connectMidiInputs(access, activeDeviceId, (data) => routerRef.current?.handleMessage(data));
+    }, [access, activeDeviceId, deviceIdsKey]);
+
+    return {
+        isSupported,
+        status,
+        midiError,
+        devices,
+        deviceId: activeDeviceId,
+        isSustainDown,
+        connect,
+        disconnect,
+        selectDevice,
+    };
+};
+
+export default useMidiInput;
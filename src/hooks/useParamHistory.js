@@ -0,0 +1,140 @@
+// src/hooks/useParamHistory.js
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { createParamHistory, setActiveParamHistory, getActiveParamHistory } from '../utils/paramHistory';
+import { applyUrlParams } from '../utils/urlState';
+
+// Changes closer together than this (ms) are one undo step, e.g. nudging a slider with the arrow keys
+const COALESCE_MS = 500;
+// Changes this soon (ms) after an undo, a redo or opening the tool are the tool catching up, not user edits
+const SETTLE_MS = 250;
+
+// Inputs where Ctrl+Z should undo typing instead of a parameter change
+const isTextEntry = (target) => {
+    if (!target) return false;
+    if (target.isContentEditable || target.tagName === 'TEXTAREA') return true;
+    return target.tagName === 'INPUT' && !['range', 'checkbox', 'radio', 'button', 'color', 'file'].includes(target.type);
+};
+
+/**
+ * A custom React hook that keeps an undo/redo history of a tool's parameters
+ * (see src/utils/paramHistory.js), with Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS,
+ * Ctrl+Y also redoes) and the Navbar's undo and redo buttons.
+ *
+ * Every change to the values is recorded, whatever caused it, so preset
+ * loads and resets can be undone like slider moves. Changes made while the
+ * pointer stays down (dragging a slider) or in quick succession are
+ * coalesced into a single step.
+ *
+ * @param {object} values Current parameter values (plain JSON values). A new
+ *        object on every render is fine.
+ * @param {object|((values: object) => void)} setters Setter per parameter, keyed like
+ *        the values, or a function that applies all values at once.
+ * @returns {{ undo: () => void, redo: () => void, canUndo: boolean, canRedo: boolean }}
+ */
+const useParamHistory = (values, setters) => {
+    const serialized = JSON.stringify(values);
+    const historyRef = useRef(null);
+    if (!historyRef.current) historyRef.current = createParamHistory();
+    const settersRef = useRef(setters);
+    settersRef.current = setters;
+
+    const lastStateRef = useRef(serialized); // State the next change is measured from
+    const lastChangeAtRef = useRef(0);
+    const isStepOpenRef = useRef(false); // True while changes still belong to the last recorded step
+    const isPointerDownRef = useRef(false);
+    const settleUntilRef = useRef(0);
+    const [availability, setAvailability] = useState({ canUndo: false, canRedo: false });
+
+    const syncAvailability = useCallback(() => {
+        const { canUndo, canRedo } = historyRef.current;
+        setAvailability(current => (
+            current.canUndo === canUndo && current.canRedo === canRedo ? current : { canUndo, canRedo }
+        ));
+    }, []);
+
+    // Effect hook to ignore the settings a tool applies when it opens (e.g. from a link)
+    useEffect(() => {
+        settleUntilRef.current = Date.now() + SETTLE_MS;
+    }, []);
+
+    // Effect hook to record changed values as undo steps
+    useEffect(() => {
+        const previous = lastStateRef.current;
+        if (serialized === previous) return;
+        lastStateRef.current = serialized;
+        const now = Date.now();
+        const isSameStep = isStepOpenRef.current && (isPointerDownRef.current || now - lastChangeAtRef.current < COALESCE_MS);
+        lastChangeAtRef.current = now;
+        if (now < settleUntilRef.current || isSameStep) return;
+        historyRef.current.push(previous);
+        isStepOpenRef.current = true;
+        syncAvailability();
+    }, [serialized, syncAvailability]);
+
+    const restore = useCallback((snapshot) => {
+        lastStateRef.current = snapshot;
+        isStepOpenRef.current = false;
+        settleUntilRef.current = Date.now() + SETTLE_MS;
+        applyUrlParams(settersRef.current, JSON.parse(snapshot));
+        syncAvailability();
+    }, [syncAvailability]);
+
+    /** Reverts the last change. */
+    const undo = useCallback(() => {
+        const snapshot = historyRef.current.undo(lastStateRef.current);
+        if (snapshot !== null) restore(snapshot);
+    }, [restore]);
+
+    /** Repeats the last undone change. */
+    const redo = useCallback(() => {
+        const snapshot = historyRef.current.redo(lastStateRef.current);
+        if (snapshot !== null) restore(snapshot);
+    }, [restore]);
+
+    // Effect hook to end a step when the pointer is released, and for the keyboard shortcuts
+    useEffect(() => {
+        const handlePointerDown = () => {
+            isPointerDownRef.current = true;
+        };
+        const handlePointerUp = () => {
+            isPointerDownRef.current = false;
+            isStepOpenRef.current = false;
+        };
+        const handleKeyDown = (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey || isTextEntry(e.target)) return;
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                redo();
+            }
+        };
+        window.addEventListener('pointerdown', handlePointerDown, true);
+        window.addEventListener('pointerup', handlePointerUp, true);
+        window.addEventListener('pointercancel', handlePointerUp, true);
+        window.addEventListener('keydown', handleKeyDown);
+        return () => {
+            window.removeEventListener('pointerdown', handlePointerDown, true);
+            window.removeEventListener('pointerup', handlePointerUp, true);
+            window.removeEventListener('pointercancel', handlePointerUp, true);
+            window.removeEventListener('keydown', handleKeyDown);
+        };
+    }, [undo, redo]);
+
+    const { canUndo, canRedo } = availability;
+
+    // Effect hook to offer this history to the Navbar's undo and redo buttons
+    useEffect(() => {
+        const history = { undo, redo, canUndo, canRedo };
+        setActiveParamHistory(history);
+        return () => {
+            if (getActiveParamHistory() === history) setActiveParamHistory(null);
+        };
+    }, [undo, redo, canUndo, canRedo]);
+
+    return { undo, redo, canUndo, canRedo };
+};
+
+export default useParamHistory;
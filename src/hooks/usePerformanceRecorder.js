@@ -0,0 +1,302 @@
+// src/hooks/usePerformanceRecorder.js
+import { useState, useEffect, useRef, useCallback, useMemo, useContext } from 'react';
+import * as Tone from 'tone';
+import { AudioContext } from '../contexts/AudioContext';
+import { registerNode } from '../utils/audioEngine';
+import useMidiFilePlayer from './useMidiFilePlayer';
+import useExportJob from './useExportJob';
+import { renderOffline } from '../utils/offlineRenderer';
+import { exportAudioBuffer, DEFAULT_EXPORT_SETTINGS } from '../utils/audioExport';
+import { encodeMidiFile, createMidiBlob } from '../utils/midiFile';
+import { downloadBlob } from '../utils/downloadUtils';
+import { createPianoVoice, DEFAULT_PIANO_VOICE } from '../utils/pianoVoices';
+import {
+    QUANTIZE_GRIDS,
+    MIN_NOTE_DURATION,
+    quantizeNotes,
+    getTakeDuration,
+    takeToPlaybackSong,
+    takeToMidiSong,
+} from '../utils/performanceTake';
+
+// Beats in a bar of the metronome (4/4)
+const BEATS_PER_BAR = 4;
+// How often (ms) the metronome schedules clicks, and how far (s) ahead
+const METRONOME_INTERVAL_MS = 25;
+const METRONOME_LOOKAHEAD = 0.1;
+// Room left after the last note of a WAV export for the piano's release
+const RELEASE_TAIL = 1.5;
+
+/**
+ * A custom React hook that records what is played on an instrument into a
+ * take, plays it back and exports it as a MIDI file or a rendered WAV.
+ *
+ * The instrument reports its notes with noteOn and noteOff; times are taken
+ * from the audio context's clock. Recording starts after a count-in on the
+ * metronome. Overdubbing plays the take while recording and adds the new
+ * notes to it. Quantizing never changes the recorded notes, so the grid and
+ * strength can be changed (or turned off) afterwards: `notes` is the take as
+ * it sounds, playback and exports use it.
+ *
+ * @param {object} options
+ * @param {(note: string, velocity: number) => void} options.playNote Plays the take back, velocity 0-1.
+ * @param {(note: string) => void} options.stopNote
+ * @param {number} [options.volume=0.7] Volume of the WAV export (0-1), like the instrument's.
+ * @param {string} [options.voice] Piano voice the WAV export is rendered with (see src/utils/pianoVoices.js).
+ * @returns {object} Recorder settings and state, the take, and functions to record, play and export.
+ */
+const usePerformanceRecorder = ({ playNote, stopNote, volume = 0.7, voice = DEFAULT_PIANO_VOICE }) => {
+    const { startGlobalAudio } = useContext(AudioContext);
+
+    const [takeNotes, setTakeNotes] = useState([]); // As recorded, before quantizing
+    const [recordingNotes, setRecordingNotes] = useState([]); // Notes of the pass being recorded
+    const [status, setStatus] = useState('idle'); // 'idle' | 'countIn' | 'recording'
+    const [bpm, setBpm] = useState(100);
+    const [countInBars, setCountInBars] = useState(1);
+    const [isMetronomeOn, setIsMetronomeOn] = useState(true);
+    const [quantizeGrid, setQuantizeGrid] = useState('off'); // 'off' or one of QUANTIZE_GRIDS
+    const [quantizeStrength, setQuantizeStrength] = useState(1);
+    const [exportError, setExportError] = useState(null);
+    const { isExporting, exportProgress, runExport, cancelExport } = useExportJob();
+
+    const clickRef = useRef(null); // Metronome synth
+    const metronomeTimerRef = useRef(null);
+    const countInTimerRef = useRef(null);
+    // Audio time the take starts at (after the count-in) for the pass being recorded
+    const recordStartRef = useRef(0);
+    const isOverdubRef = useRef(false);
+    const openNotesRef = useRef(new Map()); // Held note name → { time, velocity }
+    const recordedRef = useRef([]); // Same as recordingNotes, for stopping outside of renders
+
+    const notes = useMemo(() => (QUANTIZE_GRIDS.includes(quantizeGrid)
+        ? quantizeNotes(takeNotes, { bpm, grid: quantizeGrid, strength: quantizeStrength })
+        : takeNotes), [takeNotes, bpm, quantizeGrid, quantizeStrength]);
+    const song = useMemo(() => takeToPlaybackSong(notes), [notes]);
+    const {
+        isPlaying,
+        activeNotes,
+        getPosition: getTakePosition,
+        play: playTake,
+        stop: stopPlayer,
+    } = useMidiFilePlayer({ song, onNoteOn: playNote, onNoteOff: stopNote });
+
+    const stopMetronome = useCallback(() => {
+        clearInterval(metronomeTimerRef.current);
+        metronomeTimerRef.current = null;
+    }, []);
+
+    /**
+     * Schedules metronome clicks from an audio time on, the first beat of
+     * every bar accented.
+     * @param {number} startTime Audio time of the first beat.
+     * @param {number} clickedBeats Beats always clicked (the count-in), even with the metronome off.
+     */
+    const startMetronome = useCallback((startTime, clickedBeats) => {
+        stopMetronome();
+        const beatLength = 60 / bpm;
+        let beat = 0;
+        const schedule = () => {
+            while (startTime + beat * beatLength < Tone.now() + METRONOME_LOOKAHEAD) {
+                if (beat < clickedBeats || isMetronomeOn) {
+                    const note = beat % BEATS_PER_BAR === 0 ? 'C6' : 'G5';
+                    clickRef.current.triggerAttackRelease(note, '32n', startTime + beat * beatLength, 0.6);
+                }
+                beat++;
+            }
+        };
+        schedule();
+        metronomeTimerRef.current = setInterval(schedule, METRONOME_INTERVAL_MS);
+    }, [bpm, isMetronomeOn, stopMetronome]);
+
+    /**
+     * Starts recording after the count-in.
+     * @param {boolean} [overdub=false] Keep the take, play it along and add to it.
+     */
+    const record = useCallback(async (overdub = false) => {
+        if (status !== 'idle') return;
+        await startGlobalAudio();
+        stopPlayer();
+        if (!clickRef.current) {
+            clickRef.current = registerNode(new Tone.Synth({
+                oscillator: { type: 'sine' },
+                envelope: { attack: 0.001, decay: 0.1, sustain: 0, release: 0.05 },
+            })).toDestination();
+        }
+
+        const countInBeats = countInBars * BEATS_PER_BAR;
+        const countInLength = countInBeats * (60 / bpm);
+        const now = Tone.now() + 0.05; // Room to schedule the first click
+        recordStartRef.current = now + countInLength;
+        isOverdubRef.current = overdub;
+        openNotesRef.current = new Map();
+        recordedRef.current = [];
+        setRecordingNotes([]);
+        setExportError(null);
+        startMetronome(now, countInBeats);
+
+        const beginTake = () => {
+            setStatus('recording');
+            if (overdub) playTake();
+        };
+        if (countInBeats > 0) {
+            setStatus('countIn');
+            countInTimerRef.current = setTimeout(beginTake, (recordStartRef.current - Tone.now()) * 1000);
+        } else {
+            beginTake();
+        }
+    }, [status, startGlobalAudio, stopPlayer, countInBars, bpm, startMetronome, playTake]);
+
+    /** Stops recording or playback. A recorded pass becomes (or joins) the take. */
+    const stop = useCallback(() => {
+        clearTimeout(countInTimerRef.current);
+        stopMetronome();
+        stopPlayer();
+        if (status === 'idle') return;
+
+        // Notes still held end now
+        const endTime = Tone.now() - recordStartRef.current;
+        openNotesRef.current.forEach(({ time, velocity }, name) => {
+            recordedRef.current.push({ name, time, duration: Math.max(MIN_NOTE_DURATION, endTime - time), velocity });
+        });
+        openNotesRef.current = new Map();
+
+        const recorded = recordedRef.current;
+        if (status === 'recording') {
+            setTakeNotes(prev => (isOverdubRef.current ? [...prev, ...recorded] : recorded)
+                .slice().sort((a, b) => a.time - b.time));
+        }
+        recordedRef.current = [];
+        setRecordingNotes([]);
+        setStatus('idle');
+    }, [status, stopMetronome, stopPlayer]);
+
+    /**
+     * Records a key going down (from the instrument's key press handler).
+     * @param {string} name Note name, e.g. 'C4'.
+     * @param {number} [velocity=1] 0-1.
+     */
+    const noteOn = useCallback((name, velocity = 1) => {
+        if (status !== 'recording' && status !== 'countIn') return;
+        // Notes played just before the take starts (a pickup) are moved to its start
+        const time = Math.max(0, Tone.now() - recordStartRef.current);
+        openNotesRef.current.set(name, { time, velocity });
+    }, [status]);
+
+    /**
+     * Records a key coming up (from the instrument's key release handler).
+     * @param {string} name Note name.
+     */
+    const noteOff = useCallback((name) => {
+        const open = openNotesRef.current.get(name);
+        if (!open) return;
+        openNotesRef.current.delete(name);
+        const duration = Math.max(MIN_NOTE_DURATION, Tone.now() - recordStartRef.current - open.time);
+        recordedRef.current = [...recordedRef.current, { name, ...open, duration }];
+        setRecordingNotes(recordedRef.current);
+    }, []);
+
+    /** Plays the take from the start. */
+    const play = useCallback(() => {
+        if (status !== 'idle' || notes.length === 0) return;
+        stopPlayer();
+        playTake();
+    }, [status, notes, stopPlayer, playTake]);
+
+    /** Throws the take away. */
+    const clear = useCallback(() => {
+        stopPlayer();
+        setTakeNotes([]);
+    }, [stopPlayer]);
+
+    /**
+     * Current position in seconds: in the pass being recorded (negative during
+     * the count-in), or in the take while it plays.
+     */
+    const getPosition = useCallback(() => (status === 'idle'
+        ? getTakePosition()
+        : Tone.now() - recordStartRef.current), [status, getTakePosition]);
+
+    /**
+     * Downloads the take as a Standard MIDI File.
+     * @param {0|1} format SMF type.
+     */
+    const exportMidi = useCallback((format) => {
+        const bytes = encodeMidiFile(takeToMidiSong(notes, { bpm, title: 'Piano Take' }), { format });
+        downloadBlob(createMidiBlob(bytes), `piano-take-${bpm}bpm.mid`);
+    }, [notes, bpm]);
+
+    /** Renders the take on the piano voice and downloads it as a WAV file. */
+    const exportWav = useCallback(async () => {
+        if (notes.length === 0 || isExporting) return;
+        setExportError(null);
+        try {
+            await runExport(async ({ signal, onRenderProgress, onEncodeProgress }) => {
+                const renderedBuffer = await renderOffline(async () => {
+                    const synth = createPianoVoice(voice).toDestination();
+                    synth.volume.value = Tone.gainToDb(volume);
+                    await synth.load?.(notes.map(note => note.name)); // The sampled piano's samples
+                    notes.forEach(({ name, time, duration, velocity }) => {
+                        synth.triggerAttackRelease(name, duration, time, velocity);
+                    });
+                }, {
+                    duration: getTakeDuration(notes) + RELEASE_TAIL,
+                    onProgress: onRenderProgress,
+                    signal,
+                });
+                const { blob, extension } = await exportAudioBuffer(renderedBuffer, {
+                    ...DEFAULT_EXPORT_SETTINGS,
+                    onProgress: onEncodeProgress,
+                    signal,
+                    metadata: { title: 'Piano Take', software: 'LyriLab Virtual Piano' },
+                });
+                downloadBlob(blob, `piano-take-${bpm}bpm.${extension}`);
+            });
+        } catch (error) {
+            console.error('Error exporting the take:', error);
+            setExportError(`Could not export the take: ${error.message || error}`);
+        }
+    }, [notes, isExporting, runExport, volume, voice, bpm]);
+
+    // Cleanup effect: stop the timers and dispose of the metronome on unmount
+    useEffect(() => () => {
+        clearTimeout(countInTimerRef.current);
+        clearInterval(metronomeTimerRef.current);
+        if (clickRef.current) {
+            clickRef.current.dispose();
+            clickRef.current = null;
+        }
+    }, []);
+
+    return {
+        notes,
+        recordingNotes,
+        status,
+        isPlaying: isPlaying && status === 'idle',
+        activeNotes,
+        getPosition,
+        record,
+        stop,
+        play,
+        clear,
+        noteOn,
+        noteOff,
+        bpm,
+        setBpm,
+        countInBars,
+        setCountInBars,
+        isMetronomeOn,
+        setIsMetronomeOn,
+        quantizeGrid,
+        setQuantizeGrid,
+        quantizeStrength,
+        setQuantizeStrength,
+        exportMidi,
+        exportWav,
+        isExporting,
+        exportProgress,
+        cancelExport,
+        exportError,
+    };
+};
+
+export default usePerformanceRecorder;
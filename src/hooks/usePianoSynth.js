@@ -2,11 +2,25 @@
 import { useState, useEffect, useRef, useCallback, useContext } from 'react';
 import * as Tone from 'tone';
 import { AudioContext } from '../contexts/AudioContext'; // Import the global AudioContext
+import { registerNode, getAudioStatus, AUDIO_STATUS } from '../utils/audioEngine';
+import { applyPitchBend, applyModWheel } from '../utils/midiInput';
+import { createPianoVoice, DEFAULT_PIANO_VOICE } from '../utils/pianoVoices';
+
+// How far ahead (s) the notes of a sequence are put on the audio clock
+const SEQUENCE_LOOKAHEAD = 0.1;
 
 /**
  * A custom React hook to manage a Tone.js PolySynth instance for piano sounds.
  * This hook encapsulates the audio initialization, note playing/stopping,
  * and global volume/mute state for the synthesizer, making it reusable.
+ * It is the instrument of every piano and theory tool, so they sound and
+ * behave the same. The sound can be switched between the voices of
+ * src/utils/pianoVoices.js (synth, sampled and electric piano, organ, pad).
+ *
+ * isAudioReady is true once the shared audio context runs and the current
+ * voice's instrument is built; it is false again while a new voice is built.
+ * Notes played before then are dropped, except those of playChord and
+ * playSequence, which start audio and wait for the instrument.
  *
  * @param {number} initialVolume - The initial volume for the synth (0.0 to 1.0).
  * @param {boolean} initialMuteState - The initial mute state for the synth.
@@ -16,83 +30,119 @@ const usePianoSynth = (initialVolume = 0.7, initialMuteState = false) => {
     // Get global audio readiness and start function from context
     const { isAudioGloballyReady, startGlobalAudio } = useContext(AudioContext);
 
-    // useRef to hold the Tone.js PolySynth instance.
+    // useRef to hold the Tone.js PolySynth instance (or the sampled piano).
     const synthRef = useRef(null);
+    // Voice the instrument in synthRef was built with.
+    const synthVoiceRef = useRef(null);
+    // Vibrato after the synth, driven by a MIDI mod wheel (no effect at depth 0).
+    const vibratoRef = useRef(null);
+    // Volume and mute, after the voice so each voice keeps its own base level.
+    const outputRef = useRef(null);
+    // Level (dB) of outputRef, following volume and mute.
+    const levelRef = useRef(initialMuteState ? -Infinity : Tone.gainToDb(initialVolume));
+    // Timers and completion of the sequences being played.
+    const sequencesRef = useRef(new Set());
 
     // State for the synth's mute status.
     const [isSynthMuted, setIsSynthMuted] = useState(initialMuteState);
     // State for the synth's volume, mapping to the UI slider.
     const [synthVolume, setSynthVolume] = useState(initialVolume);
+    // State for the voice (a key of PIANO_VOICES) and its sample loading.
+    const [voice, setVoice] = useState(DEFAULT_PIANO_VOICE);
+    const [isLoadingSamples, setIsLoadingSamples] = useState(false);
+    // Voice of the instrument once it's built, for isAudioReady.
+    const [readyVoice, setReadyVoice] = useState(null);
 
     /**
-     * Creates the Tone.PolySynth instance. This function specifically handles
-     * the creation of the synthesizer object.
+     * Creates the instrument for the current voice. This function specifically
+     * handles the creation of the synthesizer object, replacing one built
+     * with another voice.
      */
     const createSynth = useCallback(() => {
         // Prevent re-creation if the synth object already exists.
-        if (synthRef.current) return;
+        if (synthRef.current && synthVoiceRef.current === voice) return;
 
         try {
-            // Create the PolySynth with specified oscillator and envelope.
-            synthRef.current = new Tone.PolySynth(Tone.Synth, {
-                oscillator: {
-                    partials: [1, 0, 2, 0, 3] // Custom harmonics for a piano-like sound
-                },
-                envelope: {
-                    attack: 0.006,       // Fast attack for percussive sound
-                    decay: 4,            // Longer decay
-                    sustain: 0.04,       // Low sustain
-                    release: 1.2,        // Moderate release
-                    attackCurve: "exponential" // Natural attack curve
-                }
-            }).toDestination(); // Connect the synth directly to the audio output
-
-            // Set the initial volume and mute state for the newly created synth.
-            synthRef.current.volume.value = isSynthMuted ? -Infinity : Tone.gainToDb(synthVolume);
-            console.log("Tone.js PolySynth object created.");
+            if (synthRef.current) {
+                synthRef.current.dispose();
+                synthRef.current = null;
+            }
+            if (!vibratoRef.current) {
+                vibratoRef.current = registerNode(new Tone.Vibrato({ frequency: 5.5, depth: 0 })).toDestination();
+                outputRef.current = registerNode(new Tone.Volume(levelRef.current)).connect(vibratoRef.current);
+                console.log("Tone.js synth created.");
+            }
+            setIsLoadingSamples(false);
+            // Create the voice's instrument, through the volume and vibrato to the audio output.
+            synthRef.current = registerNode(createPianoVoice(voice, { onLoadingChange: setIsLoadingSamples }))
+                .connect(outputRef.current);
+            synthVoiceRef.current = voice;
+
+            setReadyVoice(voice);
         } catch (error) {
             console.error('Failed to create Tone.js synth object:', error);
         }
-    }, [isSynthMuted, synthVolume]); // Dependencies for useCallback.
+    }, [voice]); // Dependencies for useCallback.
 
-    // Effect hook to create the synth object when global audio is ready.
+    // Effect hook to create the synth object when global audio is ready, and
+    // again when the voice changes.
     useEffect(() => {
-        if (isAudioGloballyReady && !synthRef.current) {
+        if (isAudioGloballyReady && (!synthRef.current || synthVoiceRef.current !== voice)) {
             createSynth();
         }
-    }, [isAudioGloballyReady, createSynth]);
+    }, [isAudioGloballyReady, createSynth, voice]);
 
     // Effect hook to update the synthesizer's volume and mute state
     useEffect(() => {
-        if (synthRef.current) {
-            synthRef.current.volume.value = isSynthMuted ? -Infinity : Tone.gainToDb(synthVolume);
+        levelRef.current = isSynthMuted ? -Infinity : Tone.gainToDb(synthVolume);
+        if (outputRef.current) {
+            outputRef.current.volume.value = levelRef.current;
         }
     }, [synthVolume, isSynthMuted]);
 
     // Cleanup effect: Dispose of the Tone.js synthesizer instance when component unmounts.
     useEffect(() => {
+        const sequences = sequencesRef.current;
         return () => {
+            sequences.forEach(sequence => sequence.cancel());
             if (synthRef.current) {
                 synthRef.current.dispose();
                 synthRef.current = null; // Clear the ref
+                outputRef.current.dispose();
+                outputRef.current = null;
+                vibratoRef.current.dispose();
+                vibratoRef.current = null;
                 console.log("Tone.js synth disposed.");
             }
         };
     }, []);
 
+    /**
+     * Starts the shared audio context (call it from a user gesture) and builds
+     * the instrument if it isn't yet.
+     * @returns {Promise<boolean>} Whether the instrument can play.
+     */
+    const initializeAudio = useCallback(async () => {
+        await startGlobalAudio();
+        if (getAudioStatus() !== AUDIO_STATUS.RUNNING) return false;
+        createSynth();
+        return !!synthRef.current;
+    }, [startGlobalAudio, createSynth]);
+
     /**
      * Plays a specific musical note on the synthesizer.
      * It will trigger the global audio context to start if not already running.
      * @param {string} note - The musical note to play (e.g., 'C4', 'G#3').
+     * @param {number} [velocity=1] - How hard the note is played (0 to 1), e.g. from a MIDI keyboard.
      */
-    const playNote = useCallback((note) => {
+    const playNote = useCallback((note, velocity = 1) => {
         // Always try to start the global audio context on a user gesture.
         // The startGlobalAudio function handles the Tone.start() call.
         startGlobalAudio();
 
         // Play the note only if the synth object exists and is not muted.
         if (synthRef.current && !isSynthMuted) {
-            synthRef.current.triggerAttack(note);
+            synthRef.current.triggerAttack(note, undefined, velocity);
         } else {
             // Log a warning if audio isn't fully ready but a play action occurred.
             // This might happen if the synth object hasn't been created yet despite context being active.
@@ -113,14 +163,116 @@ const usePianoSynth = (initialVolume = 0.7, initialMuteState = false) => {
     }, []);
 
     /**
-     * Releases all currently held notes on the synthesizer.
+     * Fetches the sampled piano's samples for notes about to be played (other
+     * voices have nothing to load).
+     * @param {string[]} notes
+     * @returns {Promise<void>}
+     */
+    const loadNotes = useCallback(async (notes) => {
+        await synthRef.current?.load?.(notes);
+    }, []);
+
+    /**
+     * Plays notes at times from now, e.g. an interval or an arpeggio. Audio is
+     * started and the notes' samples loaded first; timing then follows the
+     * audio clock.
+     * @param {{ notes: string|string[], time?: number, duration: number, velocity?: number }[]} events
+     *        Notes starting `time` seconds after the first event (default 0) and held `duration` seconds.
+     * @returns {Promise<boolean>} Resolves when the last note ends: true, or false if
+     *          audio couldn't start or releaseAllNotes stopped the sequence.
+     */
+    const playSequence = useCallback(async (events) => {
+        const isInitialized = await initializeAudio();
+        if (!isInitialized) {
+            console.warn("Cannot play the sequence - audio not ready.");
+            return false;
+        }
+        const steps = events.map(({ notes, time = 0, duration, velocity = 1 }) => ({
+            notes: [notes].flat(),
+            time,
+            duration,
+            velocity,
+        }));
+        await loadNotes(steps.flatMap(({ notes }) => notes));
+
+        return new Promise((resolve) => {
+            const start = Tone.now() + SEQUENCE_LOOKAHEAD;
+            const timers = [];
+            const sequence = {
+                cancel: () => {
+                    timers.forEach(timer => clearTimeout(timer));
+                    sequencesRef.current.delete(sequence);
+                    resolve(false);
+                },
+            };
+            sequencesRef.current.add(sequence);
+
+            steps.forEach(({ notes, time, duration, velocity }) => {
+                // Schedule each step shortly before it sounds, so it can still be cancelled
+                timers.push(setTimeout(() => {
+                    notes.forEach(note => synthRef.current?.triggerAttackRelease(note, duration, start + time, velocity));
+                }, time * 1000));
+            });
+            const end = Math.max(...steps.map(({ time, duration }) => time + duration));
+            timers.push(setTimeout(() => {
+                sequencesRef.current.delete(sequence);
+                resolve(true);
+            }, (end + SEQUENCE_LOOKAHEAD) * 1000));
+        });
+    }, [initializeAudio, loadNotes]);
+
+    /**
+     * Plays notes together for a while.
+     * @param {string[]} notes
+     * @param {object} [options]
+     * @param {number} [options.duration=1.5] Seconds the chord is held.
+     * @param {number} [options.velocity=1] 0 to 1.
+     * @returns {Promise<boolean>} As playSequence.
+     */
+    const playChord = useCallback((notes, { duration = 1.5, velocity = 1 } = {}) => (
+        playSequence([{ notes, duration, velocity }])
+    ), [playSequence]);
+
+    /**
+     * Releases all currently held notes on the synthesizer and stops the
+     * sequences and chords being played.
      */
     const releaseAllNotes = useCallback(() => {
+        sequencesRef.current.forEach(sequence => sequence.cancel());
         if (synthRef.current) {
             synthRef.current.releaseAll();
         }
     }, []);
 
+    /**
+     * Bends the pitch of all notes, e.g. from a MIDI pitch bend wheel.
+     * @param {number} amount - -1 to 1 (the full bend range down or up).
+     */
+    const setPitchBend = useCallback((amount) => {
+        if (synthRef.current) {
+            applyPitchBend(synthRef.current, amount);
+        }
+    }, []);
+
+    /**
+     * Tells the instrument whether the sustain pedal is down, for the sampled
+     * piano's string resonance (the pedal's note holding is up to the caller).
+     * @param {boolean} isDown
+     */
+    const setSustain = useCallback((isDown) => {
+        synthRef.current?.setSustain?.(isDown);
+    }, []);
+
+    /**
+     * Sets the vibrato depth from a MIDI mod wheel.
+     * @param {number} amount - 0 to 1.
+     */
+    const setModWheel = useCallback((amount) => {
+        if (vibratoRef.current) {
+            applyModWheel(vibratoRef.current, amount);
+        }
+    }, []);
+
     /**
      * Toggles the mute state of the synthesizer.
      */
@@ -128,13 +280,23 @@ const usePianoSynth = (initialVolume = 0.7, initialMuteState = false) => {
         setIsSynthMuted(prev => !prev);
     }, []);
 
-    // isAudioReady now truly reflects if both Tone.js context is running and the synth object is created
-    const isAudioReady = isAudioGloballyReady && !!synthRef.current;
+    // isAudioReady reflects if both Tone.js context is running and the current voice's synth is created
+    const isAudioReady = isAudioGloballyReady && readyVoice === voice;
 
     return {
         playNote,
         stopNote,
+        playChord,
+        playSequence,
+        loadNotes,
+        initializeAudio,
         releaseAllNotes,
+        setPitchBend,
+        setModWheel,
+        setSustain,
+        voice,
+        setVoice,
+        isLoadingSamples,
         isAudioReady, // Exposed for UI to know when it's fully ready for interaction.
         isSynthMuted,
         toggleMute,
@@ -0,0 +1,149 @@
+// src/hooks/useRegionPlayback.js
+import { useState, useEffect, useRef, useCallback } from 'react';
+import * as Tone from 'tone';
+import { PlaybackClock, normalizeRegion, sliceAudioBuffer } from '../utils/audioRegion';
+
+/**
+ * A custom React hook for playing part of a loaded file in the studios:
+ * play position, seeking, a selected region that can be looped, and
+ * "export selection only". Pairs with the <WaveformOverview> component.
+ *
+ * The studio keeps its own source (Tone.Player or AudioBufferSourceNode) and
+ * hands the hook two functions to drive it:
+ * - `startSource(offset, { loopStart, loopEnd }, buffer)` starts the source
+ *   playing `buffer`, looping between the bounds from `offset` (restarting it
+ *   if it plays), and returns the context time it starts at;
+ * - `stopSource()` stops it.
+ * The studio calls `play()`, `stop()` and `loadBuffer()` instead of starting
+ * and stopping the source itself, so the play position stays in step, and
+ * `replaceBuffer()` when the audio changes without a new file (e.g. edits).
+ *
+ * @param {object} options
+ * @param {(offset: number, bounds: { loopStart: number, loopEnd: number }, buffer: AudioBuffer) => number} options.startSource
+ * @param {() => void} options.stopSource
+ * @param {number} [options.rate=1] Playback rate of the source.
+ * @returns {object} State and controls for the <WaveformOverview> component and the studio.
+ */
+const useRegionPlayback = ({ startSource, stopSource, rate = 1 }) => {
+    const [buffer, setBuffer] = useState(null);
+    const [region, setRegionState] = useState(null); // { start, end } in seconds, or null
+    const [isLoopingRegion, setIsLoopingRegion] = useState(true);
+    const [isExportingSelection, setIsExportingSelection] = useState(false);
+    const clockRef = useRef(new PlaybackClock());
+
+    // Latest source functions and rate, so the callbacks below can stay stable
+    const sourceRef = useRef({ startSource, stopSource, rate });
+    sourceRef.current = { startSource, stopSource, rate };
+
+    const duration = buffer ? buffer.duration : 0;
+
+    const getLoopBounds = useCallback(() => (
+        region && isLoopingRegion
+            ? { loopStart: region.start, loopEnd: region.end }
+            : { loopStart: 0, loopEnd: duration }
+    ), [region, isLoopingRegion, duration]);
+
+    // Starts (or restarts) the source at `offset`, or at the loop start if `offset` is outside the loop.
+    const startAt = useCallback((offset) => {
+        const bounds = getLoopBounds();
+        const startOffset = offset >= bounds.loopStart && offset < bounds.loopEnd ? offset : bounds.loopStart;
+        const time = sourceRef.current.startSource(startOffset, bounds, buffer);
+        clockRef.current.start(time, startOffset, { ...bounds, rate: sourceRef.current.rate });
+    }, [getLoopBounds, buffer]);
+
+    /** Starts playback from the cursor. */
+    const play = useCallback(() => {
+        startAt(clockRef.current.cursor);
+    }, [startAt]);
+
+    /** Stops playback; the next play() resumes where it stopped. */
+    const stop = useCallback(() => {
+        if (!clockRef.current.isRunning) return;
+        sourceRef.current.stopSource();
+        clockRef.current.stop(Tone.getContext().currentTime);
+    }, []);
+
+    /** Moves the play position; playback continues from there if it is running. */
+    const seek = useCallback((time) => {
+        const position = Math.max(0, Math.min(time, duration));
+        if (clockRef.current.isRunning) {
+            startAt(position);
+        } else {
+            clockRef.current.cursor = position;
+        }
+    }, [duration, startAt]);
+
+    /** The current play position in seconds (for drawing, so no React state). */
+    const getPosition = useCallback(() => (
+        clockRef.current.getPosition(Tone.getContext().currentTime)
+    ), []);
+
+    /** Sets the selected region (start and end in any order), or clears it with null. */
+    const setRegion = useCallback((newRegion) => {
+        setRegionState(newRegion ? normalizeRegion(newRegion, duration) : null);
+    }, [duration]);
+
+    /** Switches to a newly loaded file: stops playback and clears the selection. */
+    const loadBuffer = useCallback((newBuffer) => {
+        clockRef.current.stop(Tone.getContext().currentTime);
+        clockRef.current.cursor = 0;
+        setBuffer(newBuffer);
+        setRegionState(null);
+    }, []);
+
+    /**
+     * Swaps in a new version of the loaded file (e.g. with edits applied),
+     * keeping the selection and play position where they still fit. Playback
+     * continues with the new audio.
+     */
+    const replaceBuffer = useCallback((newBuffer) => {
+        const clock = clockRef.current;
+        if (!clock.isRunning) clock.cursor = Math.min(clock.cursor, newBuffer.duration);
+        setBuffer(newBuffer);
+        setRegionState(current => (current ? normalizeRegion(current, newBuffer.duration) : null));
+    }, []);
+
+    /**
+     * The audio to export: the selected region when exporting the selection only,
+     * otherwise the whole file.
+     * @param {AudioBuffer} fullBuffer The loaded file.
+     * @returns {AudioBuffer} The buffer to render.
+     */
+    const getExportBuffer = useCallback((fullBuffer) => (
+        isExportingSelection && region ? sliceAudioBuffer(fullBuffer, region.start, region.end) : fullBuffer
+    ), [isExportingSelection, region]);
+
+    // Effect hook to move playback into a new loop region as soon as it is selected,
+    // or onto a replaced buffer (startAt changes with both)
+    useEffect(() => {
+        const clock = clockRef.current;
+        if (clock.isRunning) {
+            startAt(Math.min(clock.getPosition(Tone.getContext().currentTime), duration));
+        }
+    }, [startAt, duration]);
+
+    // Effect hook to keep the position in step with playback rate changes
+    useEffect(() => {
+        clockRef.current.setRate(Tone.getContext().currentTime, rate);
+    }, [rate]);
+
+    return {
+        buffer,
+        duration,
+        loadBuffer,
+        replaceBuffer,
+        play,
+        stop,
+        seek,
+        getPosition,
+        region,
+        setRegion,
+        isLoopingRegion,
+        setIsLoopingRegion,
+        isExportingSelection,
+        setIsExportingSelection,
+        getExportBuffer,
+    };
+};
+
+export default useRegionPlayback;
@@ -0,0 +1,260 @@
+// src/hooks/useStudioProject.js
+import { useState, useEffect, useRef, useCallback, useContext } from 'react';
+import { AudioContext } from '../contexts/AudioContext';
+import {
+    isProjectStorageAvailable,
+    listProjects,
+    loadProject,
+    createProject,
+    updateProject,
+    renameProject as renameStoredProject,
+    deleteProject as deleteStoredProject,
+    getProjectQuota,
+    setProjectQuota,
+    getActiveProjectId,
+    setActiveProjectId,
+} from '../utils/projectStore';
+
+// Delay before saving changed parameters, so dragging a slider doesn't write on every step
+const AUTOSAVE_DELAY_MS = 1000;
+
+/**
+ * A custom React hook that keeps a studio's work in a project (see
+ * src/utils/projectStore.js): every uploaded file becomes a project holding the
+ * file, the parameter values and the edit list, changes are saved as they
+ * happen, and the project that was open is restored on the next visit.
+ * Pairs with the <ProjectPanel> component.
+ *
+ * Restoring needs a running audio context to decode the file, so on a revisit
+ * the parameters are restored at once and the audio on the first click or key
+ * press (when the shared context starts).
+ *
+ * @param {object} options
+ * @param {string} options.studio Studio id, e.g. 'eq-studio'.
+ * @param {object} options.params Current parameter values (plain JSON values).
+ * @param {(params: object) => void} options.applyParams Sets the parameters from a saved project.
+ * @param {object} options.audioEdits The studio's useAudioEdits() result.
+ * @param {(file: File) => Promise<boolean>} options.loadFile Loads a file into the studio; resolves true on success.
+ * @param {boolean} [options.restoreParams=true] Whether restoring the last project on a revisit also
+ *        restores its parameters. Off when the studio was opened from a link with parameters
+ *        (see useUrlState), so the link's settings are kept; opening a project always restores them.
+ * @returns {object} Projects, the open project, and functions to open, rename and delete projects.
+ */
+const useStudioProject = ({ studio, params, applyParams, audioEdits, loadFile, restoreParams = true }) => {
+    const { isAudioGloballyReady } = useContext(AudioContext);
+    const { edits, restoreEdits } = audioEdits;
+
+    const [projects, setProjects] = useState([]);
+    const [currentProject, setCurrentProject] = useState(null);
+    const [pendingRestore, setPendingRestore] = useState(null); // { project, audio } waiting for the audio context
+    const [isRestoring, setIsRestoring] = useState(false);
+    const [usage, setUsage] = useState(0);
+    const [quota, setQuotaState] = useState(getProjectQuota);
+    const [projectError, setProjectError] = useState(null);
+    const [projectNotice, setProjectNotice] = useState(null);
+    const isAvailable = isProjectStorageAvailable();
+
+    // Latest options, so the callbacks below can stay stable
+    const optionsRef = useRef({ params, applyParams, loadFile, edits, restoreEdits, restoreParams });
+    optionsRef.current = { params, applyParams, loadFile, edits, restoreEdits, restoreParams };
+    // True while a project is being loaded, so its intermediate state isn't saved
+    const isRestoringRef = useRef(false);
+
+    /** Reloads the project list and the storage usage. */
+    const refreshProjects = useCallback(async () => {
+        if (!isAvailable) return;
+        try {
+            const allProjects = await listProjects();
+            setProjects(allProjects.filter(project => project.studio === studio));
+            setUsage(allProjects.reduce((total, project) => total + project.audioSize, 0));
+        } catch (error) {
+            console.error('Error listing projects:', error);
+            setProjectError(`Could not read saved projects: ${error.message}`);
+        }
+    }, [isAvailable, studio]);
+
+    const selectProject = useCallback((project) => {
+        setCurrentProject(project);
+        setActiveProjectId(studio, project ? project.id : null);
+    }, [studio]);
+
+    // Loads the audio, parameters and edits of a stored project into the studio.
+    const restore = useCallback(async ({ project, audio }, withParams = true) => {
+        isRestoringRef.current = true;
+        setIsRestoring(true);
+        setProjectError(null);
+        try {
+            const file = new File([audio], project.fileName, { type: project.fileType });
+            const loaded = await optionsRef.current.loadFile(file);
+            if (!loaded) {
+                setProjectError(`Could not load the audio of "${project.name}".`);
+                return;
+            }
+            // After loading, so nothing set up for the new file overrides them
+            if (withParams) optionsRef.current.applyParams(project.params);
+            optionsRef.current.restoreEdits(project.edits ?? []);
+            selectProject(project);
+        } finally {
+            isRestoringRef.current = false;
+            setIsRestoring(false);
+        }
+    }, [selectProject]);
+
+    /**
+     * Opens a saved project of this studio.
+     * @param {string} id Project id.
+     */
+    const openProject = useCallback(async (id) => {
+        try {
+            const stored = await loadProject(id);
+            if (!stored) {
+                setProjectError('This project no longer exists.');
+                await refreshProjects();
+                return;
+            }
+            setPendingRestore(null);
+            await restore(stored);
+        } catch (error) {
+            console.error('Error opening project:', error);
+            setProjectError(`Could not open the project: ${error.message}`);
+        }
+    }, [restore, refreshProjects]);
+
+    /**
+     * Loads a new file into the studio and saves it as a new project.
+     * Use it in place of the studio's own upload handler.
+     * @param {File} file The uploaded file.
+     */
+    const openFile = useCallback(async (file) => {
+        if (!file) return;
+        setPendingRestore(null);
+        setProjectError(null);
+        setProjectNotice(null);
+        // Detach the open project first, so the new file's state isn't saved into it
+        selectProject(null);
+        const loaded = await optionsRef.current.loadFile(file);
+        if (!loaded || !isAvailable) return;
+
+        try {
+            const { project, removed } = await createProject({ studio, file, params: optionsRef.current.params });
+            selectProject(project);
+            if (removed.length > 0) {
+                setProjectNotice(`Removed ${removed.length} older project${removed.length === 1 ? '' : 's'} to stay within the storage quota.`);
+            }
+        } catch (error) {
+            console.error('Error saving project:', error);
+            selectProject(null);
+            setProjectError(`This file was not saved as a project: ${error.message}`);
+        }
+        await refreshProjects();
+    }, [isAvailable, studio, selectProject, refreshProjects]);
+
+    /** Renames a project. */
+    const renameProject = useCallback(async (id, name) => {
+        const trimmed = name.trim();
+        if (!trimmed) return;
+        try {
+            const updated = await renameStoredProject(id, trimmed);
+            if (updated) setCurrentProject(current => (current && current.id === id ? updated : current));
+        } catch (error) {
+            setProjectError(`Could not rename the project: ${error.message}`);
+        }
+        await refreshProjects();
+    }, [refreshProjects]);
+
+    /** Deletes a project; the studio keeps the audio but stops saving it if it was open. */
+    const deleteProject = useCallback(async (id) => {
+        try {
+            await deleteStoredProject(id);
+            if (currentProject && currentProject.id === id) selectProject(null);
+        } catch (error) {
+            setProjectError(`Could not delete the project: ${error.message}`);
+        }
+        await refreshProjects();
+    }, [currentProject, selectProject, refreshProjects]);
+
+    /** Skips restoring the last project; it stays in the list. */
+    const discardRestore = useCallback(() => {
+        setPendingRestore(null);
+        selectProject(null);
+    }, [selectProject]);
+
+    /** Sets the storage quota for the audio of all projects, in bytes. */
+    const setQuota = useCallback((bytes) => {
+        setProjectQuota(bytes);
+        setQuotaState(bytes);
+    }, []);
+
+    // Effect hook to list the projects and find the one to restore when the studio opens
+    useEffect(() => {
+        if (!isAvailable) return undefined;
+        let isCancelled = false;
+        refreshProjects();
+
+        const activeId = getActiveProjectId(studio);
+        if (activeId) {
+            loadProject(activeId).then(stored => {
+                if (isCancelled) return;
+                if (!stored) {
+                    setActiveProjectId(studio, null);
+                    return;
+                }
+                // Parameters don't need audio, so show them right away
+                if (optionsRef.current.restoreParams) optionsRef.current.applyParams(stored.project.params);
+                setPendingRestore(stored);
+            }).catch(error => {
+                console.error('Error reading the last project:', error);
+            });
+        }
+        return () => {
+            isCancelled = true;
+        };
+    }, [isAvailable, studio, refreshProjects]);
+
+    // Effect hook to restore the last project's audio once the audio context runs
+    useEffect(() => {
+        if (!pendingRestore || !isAudioGloballyReady) return;
+        setPendingRestore(null);
+        restore(pendingRestore, optionsRef.current.restoreParams).catch(error => {
+            console.error('Error restoring project:', error);
+            setProjectError(`Could not restore "${pendingRestore.project.name}": ${error.message}`);
+        });
+    }, [pendingRestore, isAudioGloballyReady, restore]);
+
+    // Effect hook to save parameter and edit changes to the open project
+    const currentProjectId = currentProject ? currentProject.id : null;
+    useEffect(() => {
+        if (!currentProjectId || isRestoringRef.current) return undefined;
+        const timer = setTimeout(() => {
+            updateProject(currentProjectId, { params, edits })
+                .then(updated => {
+                    if (updated) setCurrentProject(current => (current && current.id === updated.id ? updated : current));
+                })
+                .catch(error => {
+                    console.error('Error saving project:', error);
+                    setProjectError(`Could not save changes: ${error.message}`);
+                });
+        }, AUTOSAVE_DELAY_MS);
+        return () => clearTimeout(timer);
+    }, [currentProjectId, params, edits]);
+
+    return {
+        isAvailable,
+        projects,
+        currentProject,
+        pendingRestore: pendingRestore ? pendingRestore.project : null,
+        isRestoring,
+        openFile,
+        openProject,
+        discardRestore,
+        renameProject,
+        deleteProject,
+        usage,
+        quota,
+        setQuota,
+        projectError,
+        projectNotice,
+    };
+};
+
+export default useStudioProject;
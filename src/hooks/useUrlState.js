@@ -0,0 +1,57 @@
+// src/hooks/useUrlState.js
+import { useEffect, useRef, useState } from 'react';
+import { readUrlState, writeUrlState, applyUrlParams } from '../utils/urlState';
+
+// Delay before updating the address bar, so dragging a slider doesn't rewrite it on every step
+const WRITE_DELAY_MS = 300;
+
+/**
+ * A custom React hook that mirrors a tool's parameters into the page URL
+ * (see src/utils/urlState.js), so the address bar always holds a link to
+ * the current state. Parameters in the URL when the tool opens are applied
+ * once; afterwards every change replaces the URL without adding history
+ * entries. The values of the first render count as the defaults and are
+ * left out of the URL.
+ *
+ * @param {object} schema The tool's createUrlSchema() result, defined at module level.
+ * @param {object} values Current parameter values, keyed like the schema. A new
+ *        object on every render is fine.
+ * @param {object|((values: object) => void)} setters Setter per parameter, keyed like
+ *        the schema, or a function that applies all values found in the URL at once.
+ *        Only valid values are passed on.
+ * @returns {{ hasUrlState: boolean }} Whether the tool was opened with parameters in the URL.
+ */
+const useUrlState = (schema, values, setters) => {
+    const defaultsRef = useRef(values);
+    const valuesRef = useRef(values);
+    valuesRef.current = values;
+    const settersRef = useRef(setters);
+    settersRef.current = setters;
+    // Read once, so the link's state is known on the first render
+    const [initialValues] = useState(() => readUrlState(schema, window.location.search));
+    const hasUrlState = Object.keys(initialValues).length > 0;
+
+    // Effect hook to apply the parameters of the link the tool was opened with
+    useEffect(() => {
+        if (!hasUrlState) return;
+        applyUrlParams(settersRef.current, initialValues);
+    }, [hasUrlState, initialValues]);
+
+    // Compared as a string, so the effect below only runs when a parameter really changes
+    const serialized = writeUrlState(schema, values, defaultsRef.current, '');
+
+    // Effect hook to write changed parameters into the URL
+    useEffect(() => {
+        const timer = setTimeout(() => {
+            const search = writeUrlState(schema, valuesRef.current, defaultsRef.current, window.location.search);
+            if (search === window.location.search) return;
+            const url = `${window.location.pathname}${search}${window.location.hash}`;
+            window.history.replaceState(window.history.state, '', url);
+        }, WRITE_DELAY_MS);
+        return () => clearTimeout(timer);
+    }, [schema, serialized]);
+
+    return { hasUrlState };
+};
+
+export default useUrlState;
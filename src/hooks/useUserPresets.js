@@ -0,0 +1,198 @@
+// src/hooks/useUserPresets.js
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import {
+    PRESET_STORAGE_KEY,
+    isPresetStorageAvailable,
+    listPresets,
+    savePreset as saveStoredPreset,
+    updatePreset as updateStoredPreset,
+    deletePreset as deleteStoredPreset,
+    createPresetFile,
+    readPresetFile,
+    importPresets as importStoredPresets,
+} from '../utils/presetStore';
+import { parseUrlParams, formatUrlParams, applyUrlParams } from '../utils/urlState';
+import { downloadBlob } from '../utils/downloadUtils';
+
+/**
+ * A custom React hook for a tool's user presets (see src/utils/presetStore.js):
+ * saving the current parameters under a name, folder and tags, applying,
+ * editing and deleting saved presets, and sharing them as JSON files.
+ * Pairs with the <PresetPanel> component.
+ *
+ * The tool's URL schema (see useUrlState) describes its parameters, so a
+ * preset goes through the same migrations and validation as a link when it
+ * is applied, whichever version or file it came from.
+ *
+ * @param {object} options
+ * @param {string} options.tool Tool id from src/config/tools.js, e.g. 'compression-explorer'.
+ * @param {object} options.schema The tool's createUrlSchema() result.
+ * @param {object} options.params Current parameter values, keyed like the schema.
+ * @param {object|((params: object) => void)} options.applyParams Setter per parameter,
+ *        or a function that applies all values of a preset at once.
+ * @returns {object} The tool's presets, and functions to save, apply, edit, delete, import and export them.
+ */
+const useUserPresets = ({ tool, schema, params, applyParams }) => {
+    const isAvailable = isPresetStorageAvailable();
+    const [presets, setPresets] = useState(() => (isAvailable ? listPresets(tool) : []));
+    const [currentPresetId, setCurrentPresetId] = useState(null);
+    const [presetError, setPresetError] = useState(null);
+    const [presetNotice, setPresetNotice] = useState(null);
+
+    // Latest options, so the callbacks below can stay stable
+    const optionsRef = useRef({ schema, params, applyParams });
+    optionsRef.current = { schema, params, applyParams };
+
+    const refreshPresets = useCallback(() => {
+        if (isAvailable) setPresets(listPresets(tool));
+    }, [isAvailable, tool]);
+
+    // Runs a store change, showing its error instead of throwing
+    const runStoreChange = useCallback((change) => {
+        setPresetError(null);
+        setPresetNotice(null);
+        try {
+            const result = change();
+            refreshPresets();
+            return result;
+        } catch (error) {
+            console.error('Error saving presets:', error);
+            setPresetError(error.message);
+            return null;
+        }
+    }, [refreshPresets]);
+
+    /**
+     * Saves the current parameters as a preset; one with the same name and folder is overwritten.
+     * @param {{ name: string, folder?: string, tags?: string[]|string }} details
+     * @returns {boolean} Whether the preset was saved.
+     */
+    const savePreset = useCallback(({ name, folder = '', tags = [] }) => {
+        const { schema: currentSchema, params: currentParams } = optionsRef.current;
+        const result = runStoreChange(() => saveStoredPreset({
+            tool,
+            version: currentSchema.version,
+            name,
+            folder,
+            tags,
+            params: JSON.parse(JSON.stringify(currentParams)),
+        }));
+        if (!result) return false;
+        setCurrentPresetId(result.preset.id);
+        setPresetNotice(result.replaced ? `Updated "${result.preset.name}".` : `Saved "${result.preset.name}".`);
+        return true;
+    }, [tool, runStoreChange]);
+
+    /**
+     * Applies a saved preset to the tool. Values that are no longer valid are skipped.
+     * @param {string} id Preset id.
+     */
+    const applyPreset = useCallback((id) => {
+        const preset = listPresets(tool).find(stored => stored.id === id);
+        setPresetError(null);
+        setPresetNotice(null);
+        if (!preset) {
+            setPresetError('This preset no longer exists.');
+            refreshPresets();
+            return;
+        }
+        const { schema: currentSchema, applyParams: apply } = optionsRef.current;
+        if (preset.version > currentSchema.version) {
+            setPresetError(`"${preset.name}" was saved by a newer version of this tool; update the page to use it.`);
+            return;
+        }
+        const values = parseUrlParams(currentSchema, formatUrlParams(currentSchema, preset.params), preset.version);
+        if (Object.keys(values).length === 0) {
+            setPresetError(`"${preset.name}" has no settings this tool can use.`);
+            return;
+        }
+        applyUrlParams(apply, values);
+        setCurrentPresetId(id);
+    }, [tool, refreshPresets]);
+
+    /**
+     * Renames a preset or changes its folder or tags.
+     * @param {string} id Preset id.
+     * @param {{ name?: string, folder?: string, tags?: string[]|string }} changes
+     */
+    const updatePreset = useCallback((id, changes) => {
+        runStoreChange(() => updateStoredPreset(id, changes));
+    }, [runStoreChange]);
+
+    /** Deletes a preset. */
+    const deletePreset = useCallback((id) => {
+        runStoreChange(() => deleteStoredPreset(id));
+        setCurrentPresetId(current => (current === id ? null : current));
+    }, [runStoreChange]);
+
+    /**
+     * Downloads presets as a JSON preset file.
+     * @param {object[]} selected The presets to export.
+     */
+    const exportPresets = useCallback((selected) => {
+        if (selected.length === 0) return;
+        const blob = new Blob([createPresetFile(selected)], { type: 'application/json' });
+        downloadBlob(blob, `${tool}-presets.json`);
+    }, [tool]);
+
+    /**
+     * Adds the presets of a preset file, including ones for other tools.
+     * @param {File} file The chosen file.
+     */
+    const importPresetFile = useCallback(async (file) => {
+        if (!file) return;
+        setPresetError(null);
+        setPresetNotice(null);
+        let text;
+        try {
+            text = await file.text();
+        } catch (error) {
+            setPresetError(`Could not read "${file.name}": ${error.message}`);
+            return;
+        }
+        const result = runStoreChange(() => {
+            const { presets: incoming, skipped } = readPresetFile(text);
+            return { ...importStoredPresets(incoming), skipped };
+        });
+        if (!result) return;
+
+        const { added, duplicates, skipped } = result;
+        const forTool = added.filter(preset => preset.tool === tool).length;
+        const parts = [`Imported ${forTool} preset${forTool === 1 ? '' : 's'} for this tool`];
+        if (added.length > forTool) parts.push(`${added.length - forTool} for other tools`);
+        if (duplicates > 0) parts.push(`${duplicates} already saved`);
+        if (skipped > 0) parts.push(`${skipped} invalid`);
+        setPresetNotice(`${parts.join(', ')}.`);
+    }, [tool, runStoreChange]);
+
+    // Effect hook to follow preset changes made in other tabs
+    useEffect(() => {
+        if (!isAvailable) return undefined;
+        const handleStorage = (event) => {
+            if (event.key === PRESET_STORAGE_KEY || event.key === null) refreshPresets();
+        };
+        window.addEventListener('storage', handleStorage);
+        return () => window.removeEventListener('storage', handleStorage);
+    }, [isAvailable, refreshPresets]);
+
+    const folders = useMemo(() => [...new Set(presets.map(preset => preset.folder).filter(Boolean))], [presets]);
+    const tags = useMemo(() => [...new Set(presets.flatMap(preset => preset.tags))].sort(), [presets]);
+
+    return {
+        isAvailable,
+        presets,
+        folders,
+        tags,
+        currentPresetId,
+        savePreset,
+        applyPreset,
+        updatePreset,
+        deletePreset,
+        exportPresets,
+        importPresetFile,
+        presetError,
+        presetNotice,
+    };
+};
+
+export default useUserPresets;
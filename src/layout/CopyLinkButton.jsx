@@ -0,0 +1,67 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link2, Check } from 'lucide-react';
+
+// How long the "copied" confirmation stays visible (ms).
+const COPIED_FEEDBACK_MS = 2000;
+
+// Fallback for browsers without the async clipboard API (or outside a secure context).
+const copyWithSelection = (text) => {
+  const textarea = document.createElement('textarea');
+  textarea.value = text;
+  textarea.setAttribute('readonly', '');
+  textarea.style.position = 'fixed';
+  textarea.style.opacity = '0';
+  document.body.appendChild(textarea);
+  textarea.select();
+  const copied = document.execCommand('copy');
+  document.body.removeChild(textarea);
+  return copied;
+};
+
+/**
+ * Copies a link to the current tool shown in the Navbar. Tools keep their
+ * parameters in the query string (see src/hooks/useUrlState.js), so the
+ * copied link reopens the tool in its current state.
+ */
+const CopyLinkButton = () => {
+  const [status, setStatus] = useState(null); // 'copied' | 'failed' | null
+  const resetTimeoutRef = useRef(null);
+
+  useEffect(() => () => clearTimeout(resetTimeoutRef.current), []);
+
+  const showStatus = (nextStatus) => {
+    setStatus(nextStatus);
+    clearTimeout(resetTimeoutRef.current);
+    resetTimeoutRef.current = setTimeout(() => setStatus(null), COPIED_FEEDBACK_MS);
+  };
+
+  const handleCopy = async () => {
+    const url = window.location.href;
+    try {
+      await navigator.clipboard.writeText(url);
+      showStatus('copied');
+    } catch {
+      showStatus(copyWithSelection(url) ? 'copied' : 'failed');
+    }
+  };
+
+  const label = status === 'copied' ? 'Link copied' : status === 'failed' ? 'Could not copy the link' : 'Copy link to this tool';
+
+  return (
+    <button
+      onClick={handleCopy}
+      className={`flex items-center space-x-1 p-2 rounded-full text-sm transition-all duration-200 drop-shadow-lg backdrop-blur-sm ${
+        status === 'failed' ? 'text-red-600 hover:bg-red-100/30' : 'text-gray-700 hover:bg-gray-100/10'
+      }`}
+      aria-label={label}
+      title={label}
+    >
+      {status === 'copied' ? <Check size={20} /> : <Link2 size={20} />}
+      <span className="hidden md:inline" aria-live="polite">
+        {status === 'copied' ? 'Copied' : status === 'failed' ? 'Copy failed' : 'Copy link'}
+      </span>
+    </button>
+  );
+};
+
+export default CopyLinkButton;
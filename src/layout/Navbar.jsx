@@ -1,6 +1,9 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { NavLink, Link, useLocation } from 'react-router-dom';
 import { Menu, X, ChevronDown, ChevronRight } from 'lucide-react';
+import OutputMeter from './OutputMeter';
+import CopyLinkButton from './CopyLinkButton';
+import UndoRedoButtons from './UndoRedoButtons';
 
 const Navbar = ({ allTools, categorizedTools }) => {
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
@@ -104,6 +107,9 @@ const Navbar = ({ allTools, categorizedTools }) => {
 
   const categories = Object.keys(categorizedTools).sort();
 
+  // Tool pages keep their state in the URL, so offer a link to it
+  const isToolPage = location.pathname !== '/' && allTools.some(tool => tool.path === location.pathname);
+
   // Reusable style for NavLinks and category buttons
   const baseNavLinkClass = "flex items-center space-x-2 px-4 py-2 rounded-full text-sm font-medium transition-all duration-300 relative overflow-hidden group";
   const activeNavLinkClass = "bg-gradient-to-r from-purple-500 to-pink-500 text-white shadow-lg";
@@ -194,14 +200,25 @@ const Navbar = ({ allTools, categorizedTools }) => {
               ))}
             </div>
 
-            {/* Mobile Menu Button (remains on the far right) */}
-            <button
-              onClick={() => setIsMobileMenuOpen(!isMobileMenuOpen)}
-              className="lg:hidden p-2 rounded-full text-gray-700 hover:bg-gray-100/10 transition-all duration-200 hover:scale-105 flex-shrink-0 drop-shadow-lg backdrop-blur-sm"
-              aria-label="Toggle mobile menu"
-            >
-              {isMobileMenuOpen ? <X size={24} /> : <Menu size={24} />}
-            </button>
+            <div className="flex items-center space-x-2 flex-shrink-0">
+              {/* Master output meter and mute (always visible) */}
+              <OutputMeter />
+
+              {/* Undo and redo for the current tool's parameters */}
+              <UndoRedoButtons />
+
+              {/* Link to the current tool with its parameters */}
+              {isToolPage && <CopyLinkButton />}
+
+              {/* Mobile Menu Button (remains on the far right) */}
+              <button
+                onClick={() => setIsMobileMenuOpen(!isMobileMenuOpen)}
+                className="lg:hidden p-2 rounded-full text-gray-700 hover:bg-gray-100/10 transition-all duration-200 hover:scale-105 flex-shrink-0 drop-shadow-lg backdrop-blur-sm"
+                aria-label="Toggle mobile menu"
+              >
+                {isMobileMenuOpen ? <X size={24} /> : <Menu size={24} />}
+              </button>
+            </div>
           </div>
         </div>
 
@@ -0,0 +1,123 @@
+import React, { useContext, useEffect, useRef } from 'react';
+import { Volume2, VolumeX } from 'lucide-react';
+import { AudioContext } from '../contexts/AudioContext';
+import { METER_FLOOR_DB } from '../utils/audioEngine';
+
+// Bottom of the meter scale; anything quieter shows as an empty bar.
+const METER_RANGE_DB = 60;
+// How long a peak marker is held before it starts falling (ms).
+const PEAK_HOLD_MS = 1000;
+
+// Maps a dBFS value onto 0..100% of the meter width.
+const levelToPercent = (db) => {
+  if (db <= METER_FLOOR_DB) return 0;
+  return Math.max(0, Math.min(100, ((db + METER_RANGE_DB) / METER_RANGE_DB) * 100));
+};
+
+/**
+ * Persistent master output meter and mute/volume control shown in the Navbar.
+ * Bars show RMS per channel, the thin marker shows the held peak, and the
+ * dot turns red while the safety limiter is reducing gain.
+ */
+const OutputMeter = () => {
+  const {
+    isAudioGloballyReady,
+    getOutputLevels,
+    masterVolume,
+    setMasterVolume,
+    isMasterMuted,
+    toggleMasterMute,
+  } = useContext(AudioContext);
+
+  const rmsBarRefs = useRef([]);
+  const peakMarkerRefs = useRef([]);
+  const limiterDotRef = useRef(null);
+  const peakHoldRef = useRef([{ db: METER_FLOOR_DB, time: 0 }, { db: METER_FLOOR_DB, time: 0 }]);
+
+  // Poll the master bus and write straight to the DOM, so metering never re-renders React.
+  useEffect(() => {
+    if (!isAudioGloballyReady) return undefined;
+
+    let animationFrameId = null;
+    const draw = () => {
+      const { peakDb, rmsDb, reductionDb } = getOutputLevels();
+      const now = performance.now();
+
+      rmsDb.forEach((db, channel) => {
+        const hold = peakHoldRef.current[channel];
+        if (peakDb[channel] >= hold.db || now - hold.time > PEAK_HOLD_MS) {
+          hold.db = peakDb[channel];
+          hold.time = now;
+        }
+        if (rmsBarRefs.current[channel]) {
+          rmsBarRefs.current[channel].style.width = `${levelToPercent(db)}%`;
+        }
+        if (peakMarkerRefs.current[channel]) {
+          peakMarkerRefs.current[channel].style.left = `${levelToPercent(hold.db)}%`;
+        }
+      });
+
+      if (limiterDotRef.current) {
+        limiterDotRef.current.style.opacity = reductionDb < -0.5 ? '1' : '0.2';
+      }
+      animationFrameId = requestAnimationFrame(draw);
+    };
+    animationFrameId = requestAnimationFrame(draw);
+
+    return () => cancelAnimationFrame(animationFrameId);
+  }, [isAudioGloballyReady, getOutputLevels]);
+
+  return (
+    <div className="flex items-center space-x-2 flex-shrink-0" aria-label="Master output">
+      <button
+        onClick={toggleMasterMute}
+        className={`p-2 rounded-full transition-all duration-200 drop-shadow-lg backdrop-blur-sm ${
+          isMasterMuted ? 'text-red-600 hover:bg-red-100/30' : 'text-gray-700 hover:bg-gray-100/10'
+        }`}
+        aria-label={isMasterMuted ? 'Unmute output' : 'Mute output'}
+        aria-pressed={isMasterMuted}
+        title={isMasterMuted ? 'Unmute output' : 'Mute output'}
+      >
+        {isMasterMuted ? <VolumeX size={20} /> : <Volume2 size={20} />}
+      </button>
+
+      <input
+        type="range"
+        min={-40}
+        max={0}
+        step={1}
+        value={masterVolume}
+        onChange={(e) => setMasterVolume(parseFloat(e.target.value))}
+        className="hidden md:block w-20 accent-purple-500 cursor-pointer"
+        aria-label="Output volume"
+        title={`Output volume: ${masterVolume} dB`}
+      />
+
+      <div className="hidden sm:flex flex-col space-y-0.5 w-24" title="Output level (RMS with peak hold)">
+        {[0, 1].map(channel => (
+          <div key={channel} className="relative h-1.5 bg-gray-300/50 rounded-full overflow-hidden">
+            <div
+              ref={el => rmsBarRefs.current[channel] = el}
+              className="absolute inset-y-0 left-0 bg-gradient-to-r from-green-500 via-yellow-400 to-red-500"
+              style={{ width: '0%' }}
+            />
+            <div
+              ref={el => peakMarkerRefs.current[channel] = el}
+              className="absolute inset-y-0 w-0.5 bg-gray-800"
+              style={{ left: '0%' }}
+            />
+          </div>
+        ))}
+      </div>
+
+      <span
+        ref={limiterDotRef}
+        className="hidden sm:block w-2 h-2 rounded-full bg-red-500"
+        style={{ opacity: 0.2 }}
+        title="Safety limiter active"
+      />
+    </div>
+  );
+};
+
+export default OutputMeter;
@@ -0,0 +1,45 @@
+import React, { useSyncExternalStore } from 'react';
+import { Undo2, Redo2 } from 'lucide-react';
+import { getActiveParamHistory, subscribeActiveParamHistory } from '../utils/paramHistory';
+
+// Shortcut names for the button titles
+const isMac = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform);
+const UNDO_SHORTCUT = isMac ? '⌘Z' : 'Ctrl+Z';
+const REDO_SHORTCUT = isMac ? '⇧⌘Z' : 'Ctrl+Shift+Z';
+
+/**
+ * Undo and redo buttons in the Navbar for the parameters of the tool on the
+ * current page (see src/hooks/useParamHistory.js). Hidden on pages without
+ * a parameter history.
+ */
+const UndoRedoButtons = () => {
+  const history = useSyncExternalStore(subscribeActiveParamHistory, getActiveParamHistory, () => null);
+  if (!history) return null;
+
+  const buttonClass = 'p-2 rounded-full text-gray-700 hover:bg-gray-100/10 transition-all duration-200 drop-shadow-lg backdrop-blur-sm disabled:opacity-40 disabled:cursor-not-allowed';
+
+  return (
+    <div className="flex items-center">
+      <button
+        onClick={history.undo}
+        disabled={!history.canUndo}
+        className={buttonClass}
+        aria-label="Undo"
+        title={`Undo (${UNDO_SHORTCUT})`}
+      >
+        <Undo2 size={20} />
+      </button>
+      <button
+        onClick={history.redo}
+        disabled={!history.canRedo}
+        className={buttonClass}
+        aria-label="Redo"
+        title={`Redo (${REDO_SHORTCUT})`}
+      >
+        <Redo2 size={20} />
+      </button>
+    </div>
+  );
+};
+
+export default UndoRedoButtons;
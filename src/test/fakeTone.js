@@ -0,0 +1,195 @@
+// src/test/fakeTone.js
+
+/**
+ * A stand-in for the parts of Tone.js the live input uses, for tests run
+ * without Web Audio: `vi.mock('tone', () => import('../test/fakeTone'))`.
+ *
+ * Nodes don't process audio; each passes on the peak amplitude of its
+ * inputs (scaled by its gain), so meters read what a steady signal through
+ * the same graph would measure. Ramps apply at once.
+ */
+
+const gainToDb = (gain) => 20 * Math.log10(gain);
+const dbToGain = (db) => 10 ** (db / 20);
+
+// A node of the fake graph: its amplitude is the sum of its inputs', times its gain
+class FakeNode {
+    constructor() {
+        this.inputs = new Set();
+    }
+
+    getGain() {
+        return 1;
+    }
+
+    getAmplitude() {
+        let amplitude = 0;
+        this.inputs.forEach((input) => {
+            amplitude += input.getAmplitude();
+        });
+        return amplitude * this.getGain();
+    }
+
+    connect(destination) {
+        (destination.input ?? destination).inputs.add(this.output ?? this);
+        return destination;
+    }
+
+    disconnect() {
+        return this;
+    }
+}
+
+class FakeParam {
+    constructor(value) {
+        this.value = value;
+    }
+
+    rampTo(value) {
+        this.value = value;
+        return this;
+    }
+}
+
+// --- Native nodes, for createTestInputStream ---
+
+class FakeOscillator extends FakeNode {
+    constructor() {
+        super();
+        this.frequency = new FakeParam(440);
+        this.isStarted = false;
+    }
+
+    getAmplitude() {
+        return this.isStarted ? 1 : 0;
+    }
+
+    start() {
+        this.isStarted = true;
+    }
+
+    stop() {
+        this.isStarted = false;
+    }
+}
+
+class FakeNativeGain extends FakeNode {
+    constructor() {
+        super();
+        this.gain = new FakeParam(1);
+    }
+
+    getGain() {
+        return this.gain.value;
+    }
+}
+
+class FakeStreamDestination extends FakeNode {
+    constructor() {
+        super();
+        const track = { readyState: 'live', stop: () => { track.readyState = 'ended'; } };
+        this.stream = {
+            node: this,
+            getTracks: () => [track],
+            get active() {
+                return track.readyState === 'live';
+            },
+        };
+    }
+}
+
+class FakeStreamSource extends FakeNode {
+    constructor(stream) {
+        super();
+        this.stream = stream;
+    }
+
+    getAmplitude() {
+        return this.stream.active ? this.stream.node.getAmplitude() : 0;
+    }
+
+    disconnect() {
+        this.stream = { active: false };
+        return this;
+    }
+}
+
+const rawContext = {
+    createOscillator: () => new FakeOscillator(),
+    createGain: () => new FakeNativeGain(),
+    createMediaStreamDestination: () => new FakeStreamDestination(),
+};
+
+const context = {
+    rawContext,
+    createMediaStreamSource: (stream) => new FakeStreamSource(stream),
+};
+
+export const getContext = () => context;
+
+// --- Tone nodes ---
+
+export class ToneAudioNode extends FakeNode {
+    constructor() {
+        super();
+        this.context = context;
+        this.disposed = false;
+    }
+
+    chain(...nodes) {
+        nodes.reduce((source, node) => source.connect(node), this);
+        return this;
+    }
+
+    dispose() {
+        this.disposed = true;
+        return this;
+    }
+}
+
+export class Gain extends ToneAudioNode {
+    constructor({ gain = 1, units = 'gain' } = {}) {
+        super();
+        this.units = units;
+        this.gain = new FakeParam(gain);
+    }
+
+    getGain() {
+        return this.units === 'decibels' ? dbToGain(this.gain.value) : this.gain.value;
+    }
+}
+
+export class Meter extends ToneAudioNode {
+    getValue() {
+        return gainToDb(this.getAmplitude());
+    }
+}
+
+export class UserMedia extends ToneAudioNode {
+    static supported = true;
+
+    static enumerateDevices() {
+        return Promise.resolve([]);
+    }
+
+    constructor() {
+        super();
+        this.state = 'stopped';
+        this.deviceId = undefined;
+    }
+
+    async open(deviceId) {
+        this.state = 'started';
+        this.deviceId = deviceId;
+        return this;
+    }
+
+    close() {
+        this.state = 'stopped';
+        return this;
+    }
+}
+
+export const connect = (source, destination) => {
+    source.connect(destination);
+};
@@ -0,0 +1,185 @@
+// src/utils/abCompare.js
+import * as Tone from 'tone';
+
+/**
+ * Loudness-matched A/B comparison of an effect.
+ *
+ * An effect that makes the signal louder almost always sounds "better", so
+ * a plain bypass switch is a poor judge. ABComparator takes the unprocessed
+ * signal (`dry`, side A) and the processed one (`wet`, side B), measures the
+ * loudness of both while they play and turns the bypass path up or down to
+ * match the processed one, so switching sides compares the effect rather
+ * than the level.
+ *
+ * Loudness is integrated over a sliding window so it follows parameter
+ * changes: both paths go through a K-weighting approximation (the BS.1770
+ * high-shelf and high-pass stages as biquads), blocks below the absolute
+ * gate are skipped, and the gated mean square is reported in LUFS.
+ */
+
+// 'A' is the loudness-matched bypass, 'B' the processed signal
+export const AB_SIDES = ['A', 'B'];
+
+// Largest correction applied to the bypass path, in dB
+export const MAX_MATCH_GAIN_DB = 24;
+
+// Blocks quieter than this (LUFS) are left out of the measurement
+const ABSOLUTE_GATE_LUFS = -70;
+// How much of the recent signal the loudness is integrated over (ms)
+const MEASUREMENT_WINDOW_MS = 10000;
+// Measured blocks needed before the bypass path is corrected
+const MIN_MATCH_BLOCKS = 10;
+
+const ANALYSER_SIZE = 2048;
+// Crossfade when switching sides, in seconds, to avoid clicks
+const SWITCH_TIME = 0.03;
+// Glide for match-gain updates, in seconds
+const MATCH_RAMP_TIME = 0.25;
+
+const meanSquareToLufs = (meanSquare) => -0.691 + 10 * Math.log10(meanSquare);
+
+/** K-weighted analyser for one path. */
+class LoudnessProbe {
+    constructor(context) {
+        this.shelf = new Tone.Filter({ context, type: 'highshelf', frequency: 1681, gain: 4 });
+        this.highpass = new Tone.Filter({ context, type: 'highpass', frequency: 38, Q: 0.5 });
+        this.analyser = new Tone.Analyser({ context, type: 'waveform', size: ANALYSER_SIZE });
+        this.input = this.shelf;
+        this.shelf.chain(this.highpass, this.analyser);
+    }
+
+    /** Mean square of the latest block of samples. */
+    read() {
+        const samples = this.analyser.getValue();
+        let sumOfSquares = 0;
+        for (let i = 0; i < samples.length; i++) {
+            sumOfSquares += samples[i] * samples[i];
+        }
+        return sumOfSquares / samples.length;
+    }
+
+    dispose() {
+        this.shelf.dispose();
+        this.highpass.dispose();
+        this.analyser.dispose();
+    }
+}
+
+/**
+ * A/B switch between an effect's bypass and processed signals, with
+ * automatic loudness matching of the bypass path. Connect the unprocessed
+ * signal to `dry` and the effect output to `wet` (the default input), and
+ * the comparator to the output.
+ */
+export class ABComparator extends Tone.ToneAudioNode {
+    constructor() {
+        super();
+        this.name = 'ABComparator';
+
+        /** Input for the unprocessed (bypass) signal. */
+        this.dry = new Tone.Gain({ context: this.context });
+        /** Input for the processed signal. */
+        this.wet = new Tone.Gain({ context: this.context });
+        this.input = this.wet;
+        this.output = new Tone.Gain({ context: this.context });
+
+        this._matchGain = new Tone.Gain({ context: this.context });
+        this._drySwitch = new Tone.Gain({ context: this.context, gain: 0 });
+        this._wetSwitch = new Tone.Gain({ context: this.context, gain: 1 });
+        this.dry.chain(this._matchGain, this._drySwitch, this.output);
+        this.wet.chain(this._wetSwitch, this.output);
+
+        // Measured before the side switch, so both paths are measured all the time
+        this._dryProbe = new LoudnessProbe(this.context);
+        this._wetProbe = new LoudnessProbe(this.context);
+        this.dry.connect(this._dryProbe.input);
+        this.wet.connect(this._wetProbe.input);
+
+        this._side = 'B';
+        this._isMatching = true;
+        this._blocks = []; // { time, dry, wet } mean squares of gated blocks
+        this._loudness = { dryLufs: null, wetLufs: null, matchGainDb: 0 };
+    }
+
+    /** The side being heard: 'A' (bypass) or 'B' (processed). */
+    get side() {
+        return this._side;
+    }
+
+    set side(side) {
+        this._side = side;
+        this._drySwitch.gain.rampTo(side === 'A' ? 1 : 0, SWITCH_TIME);
+        this._wetSwitch.gain.rampTo(side === 'B' ? 1 : 0, SWITCH_TIME);
+    }
+
+    /** Whether the bypass path is loudness-matched to the processed one. */
+    get isMatching() {
+        return this._isMatching;
+    }
+
+    set isMatching(isMatching) {
+        this._isMatching = isMatching;
+        this._applyMatchGain();
+    }
+
+    /**
+     * Takes one measurement block from both paths and updates the match gain.
+     * Call it regularly while audio plays (the useABCompare hook does).
+     * @returns {{ dryLufs: number|null, wetLufs: number|null, matchGainDb: number }}
+     *          Integrated loudness of both paths (null until measured) and the correction
+     *          applied to the bypass path.
+     */
+    measure() {
+        const now = performance.now();
+        const dry = this._dryProbe.read();
+        const wet = this._wetProbe.read();
+        if (meanSquareToLufs(Math.max(dry, wet)) > ABSOLUTE_GATE_LUFS) {
+            this._blocks.push({ time: now, dry, wet });
+        }
+        while (this._blocks.length > 0 && now - this._blocks[0].time > MEASUREMENT_WINDOW_MS) {
+            this._blocks.shift();
+        }
+
+        if (this._blocks.length >= MIN_MATCH_BLOCKS) {
+            let drySum = 0;
+            let wetSum = 0;
+            this._blocks.forEach(block => {
+                drySum += block.dry;
+                wetSum += block.wet;
+            });
+            const dryLufs = drySum > 0 ? meanSquareToLufs(drySum / this._blocks.length) : null;
+            const wetLufs = wetSum > 0 ? meanSquareToLufs(wetSum / this._blocks.length) : null;
+            const matchGainDb = dryLufs !== null && wetLufs !== null
+                ? Math.max(-MAX_MATCH_GAIN_DB, Math.min(MAX_MATCH_GAIN_DB, wetLufs - dryLufs))
+                : 0;
+            this._loudness = { dryLufs, wetLufs, matchGainDb };
+            this._applyMatchGain();
+        }
+        return this._loudness;
+    }
+
+    /** Forgets the measured loudness, e.g. after switching sources. */
+    resetMeasurement() {
+        this._blocks = [];
+        this._loudness = { dryLufs: null, wetLufs: null, matchGainDb: 0 };
+        this._applyMatchGain();
+    }
+
+    _applyMatchGain() {
+        const gainDb = this._isMatching ? this._loudness.matchGainDb : 0;
+        this._matchGain.gain.rampTo(Tone.dbToGain(gainDb), MATCH_RAMP_TIME);
+    }
+
+    dispose() {
+        super.dispose();
+        this.dry.dispose();
+        this.wet.dispose();
+        this._matchGain.dispose();
+        this._drySwitch.dispose();
+        this._wetSwitch.dispose();
+        this._dryProbe.dispose();
+        this._wetProbe.dispose();
+        this.output.dispose();
+        return this;
+    }
+}
@@ -0,0 +1,176 @@
+// src/utils/audioEdits.js
+import { measureIntegratedLoudness } from './loudness';
+
+/**
+ * Non-destructive edits for files loaded into the studios.
+ *
+ * An edit list is an ordered array of plain objects ({ id, type, ...params });
+ * applyEdits() runs it over the untouched original and returns a new buffer,
+ * so edits can be changed, reordered or removed at any time. Each edit works
+ * on the output of the ones before it, so trim times refer to the audio as it
+ * is at that point of the list.
+ *
+ * - trim: { start, end } keeps that span (seconds).
+ * - fadeIn / fadeOut: { duration, curve } with a FADE_CURVES shape.
+ * - normalize: { mode: 'peak' | 'loudness', target } scales to a sample peak
+ *   (dBFS) or an integrated loudness (LUFS).
+ * - reverse: {}
+ * - gain: { db }
+ */
+
+export const EDIT_TYPES = {
+    TRIM: 'trim',
+    FADE_IN: 'fadeIn',
+    FADE_OUT: 'fadeOut',
+    NORMALIZE: 'normalize',
+    REVERSE: 'reverse',
+    GAIN: 'gain',
+};
+
+export const EDIT_LABELS = {
+    [EDIT_TYPES.TRIM]: 'Trim',
+    [EDIT_TYPES.FADE_IN]: 'Fade in',
+    [EDIT_TYPES.FADE_OUT]: 'Fade out',
+    [EDIT_TYPES.NORMALIZE]: 'Normalize',
+    [EDIT_TYPES.REVERSE]: 'Reverse',
+    [EDIT_TYPES.GAIN]: 'Gain',
+};
+
+// Fade shapes: gain for a fade-in at position 0..1 (fade-outs run them backwards)
+export const FADE_CURVES = {
+    linear: { label: 'Linear', shape: (x) => x },
+    equalPower: { label: 'Equal power', shape: (x) => Math.sin(x * Math.PI / 2) },
+    sCurve: { label: 'S-curve', shape: (x) => (1 - Math.cos(x * Math.PI)) / 2 },
+    exponential: { label: 'Exponential', shape: (x) => x * x * x },
+    logarithmic: { label: 'Logarithmic', shape: (x) => 1 - (1 - x) ** 3 },
+};
+
+export const NORMALIZE_DEFAULT_TARGETS = { peak: -1, loudness: -14 };
+
+// Parameters of a newly added edit
+const EDIT_DEFAULTS = {
+    [EDIT_TYPES.TRIM]: { start: 0, end: 0 },
+    [EDIT_TYPES.FADE_IN]: { duration: 1, curve: 'linear' },
+    [EDIT_TYPES.FADE_OUT]: { duration: 2, curve: 'linear' },
+    [EDIT_TYPES.NORMALIZE]: { mode: 'peak', target: NORMALIZE_DEFAULT_TARGETS.peak },
+    [EDIT_TYPES.REVERSE]: {},
+    [EDIT_TYPES.GAIN]: { db: 0 },
+};
+
+/**
+ * Default parameters for a new edit of a type.
+ * @param {string} type One of EDIT_TYPES.
+ * @returns {object} The parameters (without id).
+ */
+export const getEditDefaults = (type) => ({ type, ...EDIT_DEFAULTS[type] });
+
+/**
+ * Short description of an edit for the edit list.
+ * @param {object} edit The edit.
+ * @returns {string} E.g. "Fade in 1.0 s (Linear)".
+ */
+export const describeEdit = (edit) => {
+    switch (edit.type) {
+        case EDIT_TYPES.TRIM:
+            return `Trim ${edit.start.toFixed(2)}–${edit.end.toFixed(2)} s`;
+        case EDIT_TYPES.FADE_IN:
+        case EDIT_TYPES.FADE_OUT:
+            return `${EDIT_LABELS[edit.type]} ${edit.duration.toFixed(1)} s (${FADE_CURVES[edit.curve].label})`;
+        case EDIT_TYPES.NORMALIZE:
+            return edit.mode === 'peak'
+                ? `Normalize peak to ${edit.target.toFixed(1)} dBFS`
+                : `Normalize loudness to ${edit.target.toFixed(1)} LUFS`;
+        case EDIT_TYPES.GAIN:
+            return `Gain ${edit.db > 0 ? '+' : ''}${edit.db.toFixed(1)} dB`;
+        default:
+            return EDIT_LABELS[edit.type] ?? edit.type;
+    }
+};
+
+const scale = (channels, factor) => {
+    channels.forEach(samples => {
+        for (let i = 0; i < samples.length; i++) samples[i] *= factor;
+    });
+};
+
+const samplePeak = (channels) => {
+    let peak = 0;
+    channels.forEach(samples => {
+        for (let i = 0; i < samples.length; i++) {
+            const magnitude = Math.abs(samples[i]);
+            if (magnitude > peak) peak = magnitude;
+        }
+    });
+    return peak;
+};
+
+const fade = (channels, sampleRate, { duration, curve }, isFadeIn) => {
+    const shape = (FADE_CURVES[curve] ?? FADE_CURVES.linear).shape;
+    const length = channels[0].length;
+    const fadeLength = Math.min(length, Math.round(duration * sampleRate));
+    if (fadeLength <= 0) return;
+    channels.forEach(samples => {
+        for (let i = 0; i < fadeLength; i++) {
+            const gain = shape(i / fadeLength);
+            if (isFadeIn) {
+                samples[i] *= gain;
+            } else {
+                samples[length - 1 - i] *= gain;
+            }
+        }
+    });
+};
+
+// Runs one edit over the channel arrays, returning the (possibly new) arrays.
+const applyEdit = (channels, sampleRate, edit) => {
+    switch (edit.type) {
+        case EDIT_TYPES.TRIM: {
+            const length = channels[0].length;
+            const start = Math.max(0, Math.min(length, Math.round(edit.start * sampleRate)));
+            const end = Math.max(0, Math.min(length, Math.round(edit.end * sampleRate)));
+            return end > start ? channels.map(samples => samples.slice(start, end)) : channels;
+        }
+        case EDIT_TYPES.FADE_IN:
+        case EDIT_TYPES.FADE_OUT:
+            fade(channels, sampleRate, edit, edit.type === EDIT_TYPES.FADE_IN);
+            return channels;
+        case EDIT_TYPES.NORMALIZE: {
+            if (edit.mode === 'loudness') {
+                const loudness = measureIntegratedLoudness(channels, sampleRate);
+                if (Number.isFinite(loudness)) scale(channels, 10 ** ((edit.target - loudness) / 20));
+            } else {
+                const peak = samplePeak(channels);
+                if (peak > 0) scale(channels, 10 ** (edit.target / 20) / peak);
+            }
+            return channels;
+        }
+        case EDIT_TYPES.REVERSE:
+            channels.forEach(samples => samples.reverse());
+            return channels;
+        case EDIT_TYPES.GAIN:
+            scale(channels, 10 ** (edit.db / 20));
+            return channels;
+        default:
+            return channels;
+    }
+};
+
+/**
+ * Applies an edit list to a buffer, leaving the buffer itself untouched.
+ * @param {AudioBuffer} buffer The original audio.
+ * @param {object[]} edits The edit list, in order.
+ * @returns {AudioBuffer} A new buffer with the edits applied, or `buffer` itself if there are none.
+ */
+export const applyEdits = (buffer, edits) => {
+    if (edits.length === 0) return buffer;
+
+    const { sampleRate, numberOfChannels } = buffer;
+    let channels = Array.from({ length: numberOfChannels }, (_, channel) => buffer.getChannelData(channel).slice());
+    edits.forEach(edit => {
+        channels = applyEdit(channels, sampleRate, edit);
+    });
+
+    const edited = new AudioBuffer({ length: Math.max(1, channels[0].length), numberOfChannels, sampleRate });
+    channels.forEach((samples, channel) => edited.copyToChannel(samples, channel));
+    return edited;
+};
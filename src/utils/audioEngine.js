@@ -0,0 +1,285 @@
+// src/utils/audioEngine.js
+import * as Tone from 'tone';
+
+/**
+ * The single audio engine shared by every tool.
+ *
+ * It owns the Tone.js context lifecycle (start/resume on a user gesture),
+ * reports a normalized status, keeps a registry of the nodes each tool
+ * creates so they can be disposed when the user navigates away from that
+ * tool's route, and runs the master bus every tool's output passes through.
+ * The global AudioProvider (src/contexts/AudioContext.jsx) is the
+ * React-facing wrapper around this module.
+ */
+
+// Normalized context states exposed to the UI.
+export const AUDIO_STATUS = {
+    RUNNING: 'running',
+    SUSPENDED: 'suspended',
+    INTERRUPTED: 'interrupted', // iOS/Safari interruptions (calls, other apps) or a closed context
+};
+
+// Master bus safety settings. The limiter catches loud material; the clipper
+// after it is the brickwall that guarantees nothing exceeds the ceiling.
+export const SAFETY_LIMITER_THRESHOLD_DB = -1;
+export const OUTPUT_CEILING_DB = -0.3;
+// Floor reported by the output meters for silence.
+export const METER_FLOOR_DB = -96;
+
+// Scope used when nodes are created outside of a routed page (e.g. during tests or SSR).
+const GLOBAL_SCOPE = '__global__';
+
+const statusListeners = new Set();
+const nodeScopes = new Map(); // scope (route pathname) -> Set of nodes
+let isContextListenerAttached = false;
+let pendingStart = null;
+let masterBus = null;
+
+/**
+ * Maps a raw BaseAudioContext state onto one of the AUDIO_STATUS values.
+ * @param {string} state The raw context state ('running', 'suspended', 'interrupted', 'closed').
+ * @returns {string} The normalized status.
+ */
+const normalizeState = (state) => {
+    if (state === 'running') return AUDIO_STATUS.RUNNING;
+    if (state === 'interrupted' || state === 'closed') return AUDIO_STATUS.INTERRUPTED;
+    return AUDIO_STATUS.SUSPENDED;
+};
+
+/**
+ * Returns the current normalized status of the shared Tone.js context.
+ * @returns {string} One of AUDIO_STATUS.
+ */
+export const getAudioStatus = () => normalizeState(Tone.getContext().state);
+
+const notifyStatusListeners = () => {
+    const status = getAudioStatus();
+    statusListeners.forEach(listener => listener(status));
+};
+
+/**
+ * Subscribes to status changes of the shared context.
+ * @param {(status: string) => void} listener Called with the new normalized status.
+ * @returns {() => void} Unsubscribe function.
+ */
+export const subscribeToAudioStatus = (listener) => {
+    if (!isContextListenerAttached) {
+        Tone.getContext().on('statechange', notifyStatusListeners);
+        isContextListenerAttached = true;
+    }
+    statusListeners.add(listener);
+    return () => {
+        statusListeners.delete(listener);
+    };
+};
+
+/**
+ * Starts or resumes the shared context. Must be called from a user gesture.
+ * Concurrent calls share the same pending start.
+ * @returns {Promise<string>} The status after the attempt.
+ * @throws {Error} When the browser refuses to start the context.
+ */
+export const startAudio = async () => {
+    if (getAudioStatus() === AUDIO_STATUS.RUNNING) {
+        return AUDIO_STATUS.RUNNING;
+    }
+    if (!pendingStart) {
+        pendingStart = Tone.start().finally(() => {
+            pendingStart = null;
+        });
+    }
+    await pendingStart;
+    const status = getAudioStatus();
+    notifyStatusListeners();
+    return status;
+};
+
+/**
+ * Returns the registry scope for nodes created right now: the pathname of the
+ * page being displayed. The URL is updated before the new route renders, so
+ * nodes created while mounting a tool always land in that tool's scope.
+ * @returns {string} The scope key.
+ */
+export const getCurrentScope = () => (
+    typeof window !== 'undefined' ? window.location.pathname : GLOBAL_SCOPE
+);
+
+/**
+ * Registers a node with the engine so it is disposed when its route is left.
+ * Returns the node so creation can be wrapped inline:
+ * `const player = registerNode(new Tone.Player(url));`
+ * @param {object} node A Tone.js node (or anything with dispose()/disconnect()).
+ * @param {string} [scope] Registry scope; defaults to the current route.
+ * @returns {object} The same node.
+ */
+export const registerNode = (node, scope = getCurrentScope()) => {
+    if (!node) return node;
+    if (!nodeScopes.has(scope)) {
+        nodeScopes.set(scope, new Set());
+    }
+    nodeScopes.get(scope).add(node);
+    return node;
+};
+
+/**
+ * Removes a node from the registry without disposing it.
+ * @param {object} node The node to forget.
+ */
+export const unregisterNode = (node) => {
+    nodeScopes.forEach(nodes => nodes.delete(node));
+};
+
+/**
+ * Stops and disposes a single node, tolerating nodes the tool already disposed.
+ * @param {object} node The node to dispose.
+ */
+const disposeNode = (node) => {
+    if (node.disposed) return;
+    try {
+        if (typeof node.dispose === 'function') {
+            if (typeof node.stop === 'function' && node.state === 'started') {
+                node.stop();
+            }
+            node.dispose();
+        } else {
+            // Native Web Audio node: stop it if it is a source, then detach it from the graph.
+            if (typeof node.stop === 'function') {
+                try {
+                    node.stop();
+                } catch {
+                    // Source was never started or has already stopped
+                }
+            }
+            node.disconnect();
+        }
+    } catch (error) {
+        console.warn('audioEngine: Failed to dispose node:', error);
+    }
+};
+
+/**
+ * Disposes every node registered under the given scope.
+ * @param {string} scope The scope to clear.
+ * @returns {number} How many nodes were disposed.
+ */
+export const disposeScope = (scope) => {
+    const nodes = nodeScopes.get(scope);
+    if (!nodes) return 0;
+    nodes.forEach(disposeNode);
+    nodeScopes.delete(scope);
+    return nodes.size;
+};
+
+/**
+ * Called on every route change: disposes the nodes of all other routes and
+ * stops anything the previous tool left scheduled on the shared Transport.
+ * @param {string} activeScope The scope (pathname) of the page now displayed.
+ * @returns {number} How many nodes were disposed.
+ */
+export const releaseInactiveScopes = (activeScope) => {
+    let disposedCount = 0;
+    Array.from(nodeScopes.keys())
+        .filter(scope => scope !== activeScope && scope !== GLOBAL_SCOPE)
+        .forEach(scope => {
+            disposedCount += disposeScope(scope);
+        });
+
+    if (disposedCount > 0) {
+        const transport = Tone.getTransport();
+        transport.stop();
+        transport.cancel();
+    }
+    return disposedCount;
+};
+
+/**
+ * Returns how many live nodes are currently registered (all scopes).
+ * @returns {number} The node count.
+ */
+export const getRegisteredNodeCount = () => {
+    let count = 0;
+    nodeScopes.forEach(nodes => {
+        nodes.forEach(node => {
+            if (!node.disposed) count++;
+        });
+    });
+    return count;
+};
+
+/**
+ * Builds the master bus on first use. Every tool output ends at Tone's
+ * Destination (`.toDestination()`, or `Tone.connect(node, Tone.getDestination())`
+ * for native Web Audio nodes), so the bus is inserted as the Destination's
+ * effects chain: Destination volume -> mute gain -> safety limiter -> brickwall clipper -> speakers.
+ * A stereo analyser taps the post-limiter signal for the output meters.
+ * These nodes are global and are never registered with a route scope.
+ * @returns {{ muteGain: Tone.Gain, limiter: Tone.Limiter, clipper: Tone.WaveShaper, analyser: Tone.Analyser }} The bus nodes.
+ */
+export const ensureMasterBus = () => {
+    if (masterBus) return masterBus;
+
+    const ceiling = Tone.dbToGain(OUTPUT_CEILING_DB);
+    const muteGain = new Tone.Gain(1);
+    const limiter = new Tone.Limiter(SAFETY_LIMITER_THRESHOLD_DB);
+    const clipper = new Tone.WaveShaper(value => Math.max(-ceiling, Math.min(ceiling, value)), 4096);
+    const analyser = new Tone.Analyser({ type: 'waveform', size: 1024, channels: 2 });
+
+    Tone.getDestination().chain(muteGain, limiter, clipper);
+    clipper.connect(analyser);
+
+    masterBus = { muteGain, limiter, clipper, analyser };
+    return masterBus;
+};
+
+/**
+ * Sets the global output volume.
+ * @param {number} volumeDb Output volume in dB (0 is unity).
+ */
+export const setMasterVolume = (volumeDb) => {
+    Tone.getDestination().volume.rampTo(volumeDb, 0.05);
+};
+
+/**
+ * Mutes or unmutes the global output.
+ * @param {boolean} muted Whether the output is muted.
+ */
+export const setMasterMuted = (muted) => {
+    // A dedicated gain (rather than Destination.mute) keeps mute independent of the volume setting.
+    ensureMasterBus().muteGain.gain.rampTo(muted ? 0 : 1, 0.02);
+};
+
+/**
+ * Converts a linear amplitude to dBFS, clamped to the meter floor.
+ * @param {number} amplitude Linear amplitude.
+ * @returns {number} Level in dBFS.
+ */
+const toMeterDb = (amplitude) => (
+    amplitude > 0 ? Math.max(METER_FLOOR_DB, Tone.gainToDb(amplitude)) : METER_FLOOR_DB
+);
+
+/**
+ * Reads the current output levels of the master bus. Cheap enough to call
+ * from requestAnimationFrame; callers poll instead of receiving React state.
+ * @returns {{ peakDb: number[], rmsDb: number[], reductionDb: number }}
+ *          Per-channel (L, R) peak and RMS in dBFS and the limiter's gain reduction in dB.
+ */
+export const getOutputLevels = () => {
+    if (!masterBus) {
+        return { peakDb: [METER_FLOOR_DB, METER_FLOOR_DB], rmsDb: [METER_FLOOR_DB, METER_FLOOR_DB], reductionDb: 0 };
+    }
+    const channels = masterBus.analyser.getValue();
+    const peakDb = [];
+    const rmsDb = [];
+    channels.forEach(samples => {
+        let peak = 0;
+        let sumOfSquares = 0;
+        for (let i = 0; i < samples.length; i++) {
+            const magnitude = Math.abs(samples[i]);
+            if (magnitude > peak) peak = magnitude;
+            sumOfSquares += samples[i] * samples[i];
+        }
+        peakDb.push(toMeterDb(peak));
+        rmsDb.push(toMeterDb(Math.sqrt(sumOfSquares / samples.length)));
+    });
+    return { peakDb, rmsDb, reductionDb: masterBus.limiter.reduction };
+};
@@ -0,0 +1,193 @@
+// src/utils/audioExport.js
+import { WAV_BIT_DEPTHS, resampleAudioBuffer } from './wavEncoder';
+
+/**
+ * Entry point for every studio download: takes a rendered AudioBuffer and the
+ * user's export settings and returns the encoded file. Resampling happens
+ * here (it needs an OfflineAudioContext); encoding runs in a Web Worker
+ * (src/workers/audioEncoder.worker.js) so long files don't freeze the UI.
+ * Every export gets its own worker, so cancelling one can stop its encoder
+ * mid-file by terminating the worker.
+ */
+
+export const EXPORT_FORMATS = {
+    WAV: 'wav',
+    MP3: 'mp3',
+    FLAC: 'flac',
+};
+
+// Display label, file extension and MIME type per format.
+export const EXPORT_FORMAT_INFO = {
+    [EXPORT_FORMATS.WAV]: { label: 'WAV', extension: 'wav', mimeType: 'audio/wav' },
+    [EXPORT_FORMATS.MP3]: { label: 'MP3', extension: 'mp3', mimeType: 'audio/mpeg' },
+    [EXPORT_FORMATS.FLAC]: { label: 'FLAC (lossless)', extension: 'flac', mimeType: 'audio/flac' },
+};
+
+// Bit depths each PCM format can store.
+export const FORMAT_BIT_DEPTHS = {
+    [EXPORT_FORMATS.WAV]: [WAV_BIT_DEPTHS.PCM_16, WAV_BIT_DEPTHS.PCM_24, WAV_BIT_DEPTHS.FLOAT_32],
+    [EXPORT_FORMATS.FLAC]: [WAV_BIT_DEPTHS.PCM_16, WAV_BIT_DEPTHS.PCM_24],
+};
+
+// Constant bitrates offered for MP3, in kbps.
+export const MP3_BITRATES = [128, 192, 256, 320];
+
+// Bitrates an MPEG-2/2.5 MP3 (below 32 kHz) can store, in kbps; 160 is the most.
+const MP3_LOW_RATE_BITRATES = [64, 96, 128, 160];
+
+// Lowest sample rate of an MPEG-1 MP3, which stores all of MP3_BITRATES.
+const MP3_MPEG1_MIN_SAMPLE_RATE = 32000;
+
+// Sample rates an MP3 can store (MPEG-1/2/2.5); other rates are resampled to 44.1 or 48 kHz.
+export const MP3_SAMPLE_RATES = [8000, 11025, 12000, 16000, 22050, 24000, 32000, 44100, 48000];
+
+// Highest sample rate an MP3 can store; higher choices are not offered for MP3.
+export const MP3_MAX_SAMPLE_RATE = 48000;
+
+// Default export settings used by the studios' download buttons.
+export const DEFAULT_EXPORT_SETTINGS = {
+    format: EXPORT_FORMATS.WAV,
+    bitDepth: WAV_BIT_DEPTHS.PCM_16,
+    sampleRate: 'original',
+    dither: true,
+    mp3Bitrate: 320,
+};
+
+/**
+ * The MP3 bitrate used for a sample rate: the chosen one when the rate can store
+ * it, otherwise the highest one it can (MPEG-2/2.5 rates top out at 160 kbps).
+ * @param {number} bitrate Chosen bitrate in kbps.
+ * @param {number} sampleRate Sample rate of the MP3 in Hz.
+ * @returns {number} Bitrate in kbps.
+ */
+export const getMp3Bitrate = (bitrate, sampleRate) => {
+    if (sampleRate >= MP3_MPEG1_MIN_SAMPLE_RATE) return bitrate;
+    const allowed = MP3_LOW_RATE_BITRATES.filter(rate => rate <= bitrate);
+    return allowed.length > 0 ? allowed[allowed.length - 1] : MP3_LOW_RATE_BITRATES[0];
+};
+
+/**
+ * Error used when an export is cancelled through its AbortSignal. Same name as
+ * the one fetch() throws, so callers can tell it apart with isAbortError().
+ * @returns {DOMException} The error.
+ */
+export const createAbortError = () => new DOMException('The export was cancelled.', 'AbortError');
+
+/**
+ * Whether an error means the export was cancelled rather than failed.
+ * @param {unknown} error The caught error.
+ * @returns {boolean} True for an AbortError.
+ */
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+/**
+ * Encodes raw channel data in a dedicated encoder worker, which also measures
+ * its loudness. The channel arrays are transferred to the worker and are
+ * unusable afterwards.
+ * @param {string} format One of EXPORT_FORMATS.
+ * @param {Float32Array[]} channels One Float32Array per channel.
+ * @param {number} sampleRate Sample rate in Hz.
+ * @param {object} options Encoder options for the format.
+ * @param {(fraction: number) => void} [onProgress] Called with 0..1 while encoding.
+ * @param {AbortSignal} [signal] Stops the encoder.
+ * @returns {Promise<{ bytes: Uint8Array, loudness: object }>} The encoded file, and the
+ *          analyzeLoudness() result for the audio (src/utils/loudness.js).
+ * @throws {DOMException} An AbortError if `signal` aborts first.
+ */
+export const encodeInWorker = (format, channels, sampleRate, options, onProgress, signal) => (
+    new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(createAbortError());
+            return;
+        }
+
+        const worker = new Worker(new URL('../workers/audioEncoder.worker.js', import.meta.url), { type: 'module' });
+        const finish = () => {
+            worker.terminate();
+            signal?.removeEventListener('abort', onAbort);
+        };
+        const onAbort = () => {
+            finish();
+            reject(createAbortError());
+        };
+        signal?.addEventListener('abort', onAbort);
+
+        worker.onmessage = ({ data }) => {
+            if (data.type === 'progress') {
+                if (onProgress) onProgress(data.progress);
+                return;
+            }
+            finish();
+            if (data.type === 'done') {
+                resolve({ bytes: data.bytes, loudness: data.loudness });
+            } else {
+                reject(new Error(data.message));
+            }
+        };
+        worker.onerror = (event) => {
+            // The worker itself failed (e.g. could not load)
+            finish();
+            reject(new Error(event.message || 'Audio encoder worker failed.'));
+        };
+        worker.postMessage(
+            { format, channels, sampleRate, options },
+            channels.map(channel => channel.buffer)
+        );
+    })
+);
+
+/**
+ * Encodes a rendered AudioBuffer with the given export settings.
+ * @param {AudioBuffer} audioBuffer The rendered audio.
+ * @param {object} [settings] Export settings (see DEFAULT_EXPORT_SETTINGS) plus:
+ * @param {object} [settings.metadata] Tags: { title, artist, software, comment, date, genre, preset }.
+ * @param {(fraction: number) => void} [settings.onProgress] Encoding progress, 0..1.
+ * @param {AbortSignal} [settings.signal] Cancels the export.
+ * @returns {Promise<{ blob: Blob, extension: string, loudness: object, notice: string|null }>} The
+ *          file, its extension, its loudness as measured by analyzeLoudness() (src/utils/loudness.js),
+ *          and a note for the user when a setting could not be used as chosen.
+ * @throws {Error} If the format is unknown or encoding fails; an AbortError (see isAbortError) if cancelled.
+ */
+export const exportAudioBuffer = async (audioBuffer, settings = DEFAULT_EXPORT_SETTINGS) => {
+    const { format, bitDepth, sampleRate, dither, mp3Bitrate, metadata, onProgress, signal } = {
+        ...DEFAULT_EXPORT_SETTINGS,
+        ...settings,
+    };
+    const formatInfo = EXPORT_FORMAT_INFO[format];
+    if (!formatInfo) {
+        throw new Error(`Unsupported export format: ${format}`);
+    }
+
+    let targetRate = sampleRate === 'original' ? audioBuffer.sampleRate : Number(sampleRate);
+    if (format === EXPORT_FORMATS.MP3 && !MP3_SAMPLE_RATES.includes(targetRate)) {
+        targetRate = targetRate % 11025 === 0 ? 44100 : 48000;
+    }
+    const targetBuffer = await resampleAudioBuffer(audioBuffer, targetRate);
+    if (signal?.aborted) throw createAbortError();
+
+    // Copy the channels: the AudioBuffer's own arrays cannot be transferred.
+    const channels = [];
+    for (let channel = 0; channel < targetBuffer.numberOfChannels; channel++) {
+        channels.push(targetBuffer.getChannelData(channel).slice());
+    }
+
+    let notice = null;
+    const bitrate = getMp3Bitrate(mp3Bitrate, targetRate);
+    if (format === EXPORT_FORMATS.MP3 && bitrate !== mp3Bitrate) {
+        notice = `Saved at ${bitrate} kbps, the most a ${targetRate / 1000} kHz MP3 can store.`;
+    }
+
+    const options = {
+        [EXPORT_FORMATS.WAV]: { bitDepth, dither, metadata },
+        [EXPORT_FORMATS.FLAC]: { bitDepth: Math.min(bitDepth, WAV_BIT_DEPTHS.PCM_24), dither, metadata },
+        [EXPORT_FORMATS.MP3]: { bitrate, dither, metadata },
+    }[format];
+
+    const { bytes, loudness } = await encodeInWorker(format, channels, targetBuffer.sampleRate, options, onProgress, signal);
+    return {
+        blob: new Blob([bytes], { type: formatInfo.mimeType }),
+        extension: formatInfo.extension,
+        loudness,
+        notice,
+    };
+};
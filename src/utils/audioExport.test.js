@@ -0,0 +1,18 @@
+import { describe, it, expect } from 'vitest';
+import { getMp3Bitrate, MP3_BITRATES } from './audioExport';
+
+describe('getMp3Bitrate', () => {
+    it('keeps every offered bitrate at MPEG-1 sample rates', () => {
+        [32000, 44100, 48000].forEach(sampleRate => {
+            MP3_BITRATES.forEach(bitrate => expect(getMp3Bitrate(bitrate, sampleRate)).toBe(bitrate));
+        });
+    });
+
+    it('caps MPEG-2/2.5 sample rates at 160 kbps', () => {
+        [8000, 11025, 16000, 22050, 24000].forEach(sampleRate => {
+            expect(getMp3Bitrate(320, sampleRate)).toBe(160);
+            expect(getMp3Bitrate(192, sampleRate)).toBe(160);
+            expect(getMp3Bitrate(128, sampleRate)).toBe(128);
+        });
+    });
+});
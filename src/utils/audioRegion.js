@@ -0,0 +1,163 @@
+// src/utils/audioRegion.js
+import * as Tone from 'tone';
+
+/**
+ * Helpers for playing and exporting part of a loaded file: region math, a
+ * clock that follows the play position of a looping source, and slicing a
+ * buffer to a region for "export selection only".
+ *
+ * Times are in seconds of the source file (buffer time), so they stay valid
+ * when the playback rate changes.
+ */
+
+// Shortest region that can be selected, in seconds
+export const MIN_REGION_LENGTH = 0.05;
+
+/**
+ * Orders and clamps a region to the file.
+ * @param {{ start: number, end: number }} region Start and end in any order.
+ * @param {number} duration File length in seconds.
+ * @returns {{ start: number, end: number }|null} The region, or null if it is too short.
+ */
+export const normalizeRegion = ({ start, end }, duration) => {
+    const clampedStart = Math.max(0, Math.min(start, end));
+    const clampedEnd = Math.min(duration, Math.max(start, end));
+    return clampedEnd - clampedStart >= MIN_REGION_LENGTH ? { start: clampedStart, end: clampedEnd } : null;
+};
+
+/**
+ * Copies part of an AudioBuffer into a new one.
+ * @param {AudioBuffer} buffer The source audio.
+ * @param {number} start Start in seconds.
+ * @param {number} end End in seconds.
+ * @returns {AudioBuffer} The slice, at the same sample rate and channel count.
+ */
+export const sliceAudioBuffer = (buffer, start, end) => {
+    const { sampleRate, numberOfChannels } = buffer;
+    const startFrame = Math.max(0, Math.floor(start * sampleRate));
+    const endFrame = Math.min(buffer.length, Math.ceil(end * sampleRate));
+    const slice = new AudioBuffer({
+        length: Math.max(1, endFrame - startFrame),
+        numberOfChannels,
+        sampleRate,
+    });
+    for (let channel = 0; channel < numberOfChannels; channel++) {
+        slice.copyToChannel(buffer.getChannelData(channel).subarray(startFrame, endFrame), channel);
+    }
+    return slice;
+};
+
+/**
+ * Starts a Tone.Player looping between the bounds from `offset`, restarting it
+ * if it plays. Fits the `startSource` option of useRegionPlayback.
+ * @param {Tone.Player} player The player.
+ * @param {number} offset Buffer position to start from, in seconds.
+ * @param {{ loopStart: number, loopEnd: number }} bounds Loop bounds in seconds.
+ * @param {AudioBuffer} [buffer] Audio to play, if it differs from the player's.
+ * @returns {number} The context time playback starts at.
+ */
+export const startLoopingPlayer = (player, offset, { loopStart, loopEnd }, buffer) => {
+    const time = Tone.now();
+    if (buffer && player.buffer.get() !== buffer) {
+        if (player.state === 'started') player.stop(time);
+        player.buffer = buffer;
+    }
+    player.loop = true;
+    player.setLoopPoints(loopStart, loopEnd);
+    if (player.state === 'started') {
+        player.restart(time, offset);
+    } else {
+        player.start(time, offset);
+    }
+    return time;
+};
+
+/**
+ * Starts a new AudioBufferSourceNode looping between the bounds from `offset`.
+ * Buffer sources play only once, so restarting means creating a new one.
+ * @param {AudioBufferSourceNode} source A source that has not been started.
+ * @param {number} offset Buffer position to start from, in seconds.
+ * @param {{ loopStart: number, loopEnd: number }} bounds Loop bounds in seconds.
+ * @returns {number} The context time playback starts at.
+ */
+export const startLoopingBufferSource = (source, offset, { loopStart, loopEnd }) => {
+    source.loop = true;
+    source.loopStart = loopStart;
+    source.loopEnd = loopEnd;
+    source.start(0, offset);
+    return source.context.currentTime;
+};
+
+/**
+ * Follows the position of a looping source from the context time, since
+ * neither Tone.Player nor AudioBufferSourceNode reports where it is. Start it
+ * with the same time and offset the source was started with.
+ */
+export class PlaybackClock {
+    constructor() {
+        /** Position while stopped: where playback resumes. */
+        this.cursor = 0;
+        this._startTime = null;
+        this._offset = 0;
+        this._rate = 1;
+        this._loopStart = 0;
+        this._loopEnd = Infinity;
+    }
+
+    /** Whether the source is playing. */
+    get isRunning() {
+        return this._startTime !== null;
+    }
+
+    /**
+     * Marks the source as started.
+     * @param {number} time Context time the source starts at.
+     * @param {number} offset Buffer position it starts from.
+     * @param {object} options
+     * @param {number} options.loopStart Loop start in seconds.
+     * @param {number} options.loopEnd Loop end in seconds.
+     * @param {number} [options.rate=1] Playback rate.
+     */
+    start(time, offset, { loopStart, loopEnd, rate = 1 }) {
+        this._startTime = time;
+        this._offset = offset;
+        this._loopStart = loopStart;
+        this._loopEnd = loopEnd;
+        this._rate = rate;
+    }
+
+    /**
+     * Follows a playback rate change from `time` on.
+     * @param {number} time Context time of the change.
+     * @param {number} rate The new rate.
+     */
+    setRate(time, rate) {
+        if (this.isRunning) {
+            this._offset = this.getPosition(time);
+            this._startTime = time;
+        }
+        this._rate = rate;
+    }
+
+    /**
+     * Marks the source as stopped, keeping its position as the cursor.
+     * @param {number} time Context time it stopped at.
+     */
+    stop(time) {
+        if (this.isRunning) this.cursor = this.getPosition(time);
+        this._startTime = null;
+    }
+
+    /**
+     * The play position at a context time.
+     * @param {number} time Context time.
+     * @returns {number} Position in the buffer, in seconds.
+     */
+    getPosition(time) {
+        if (!this.isRunning) return this.cursor;
+        const position = this._offset + Math.max(0, time - this._startTime) * this._rate;
+        if (position < this._loopEnd) return position;
+        const loopLength = this._loopEnd - this._loopStart;
+        return this._loopStart + ((position - this._loopStart) % loopLength);
+    }
+}
@@ -0,0 +1,134 @@
+// src/utils/computerKeyboard.js
+import { PIANO_LOWEST_NOTE, PIANO_HIGHEST_NOTE } from './pianoKeys';
+
+/**
+ * Playing a piano from the computer keyboard: key layouts, the notes the
+ * keys play at an octave, and velocity from how fast keys are struck.
+ *
+ * Each layout has two rows laid out like a tracker: the bottom letter row
+ * (with the home row for sharps) plays from C of the base octave, the top
+ * letter row (with the number row for sharps) from C an octave up. Row
+ * entries are `KeyboardEvent.key` values in lower case, one per semitone;
+ * null skips a semitone (e.g. a dead key on that layout).
+ */
+
+export const KEYBOARD_LAYOUTS = {
+    qwerty: {
+        label: 'QWERTY',
+        rows: [
+            ['z', 's', 'x', 'd', 'c', 'v', 'g', 'b', 'h', 'n', 'j', 'm', ',', 'l', '.', ';', '/'],
+            ['q', '2', 'w', '3', 'e', 'r', '5', 't', '6', 'y', '7', 'u', 'i', '9', 'o', '0', 'p', '[', '=', ']'],
+        ],
+    },
+    azerty: {
+        label: 'AZERTY',
+        rows: [
+            ['w', 's', 'x', 'd', 'c', 'v', 'g', 'b', 'h', 'n', 'j', ',', ';', 'l', ':', 'm', '!'],
+            ['a', 'é', 'z', '"', 'e', 'r', '(', 't', '-', 'y', 'è', 'u', 'i', 'ç', 'o', 'à', 'p', null, '=', '$'],
+        ],
+    },
+    qwertz: {
+        label: 'QWERTZ',
+        rows: [
+            ['y', 's', 'x', 'd', 'c', 'v', 'g', 'b', 'h', 'n', 'j', 'm', ',', 'l', '.', 'ö', '-'],
+            ['q', '2', 'w', '3', 'e', 'r', '5', 't', '6', 'z', '7', 'u', 'i', '9', 'o', '0', 'p', 'ü', null, '+'],
+        ],
+    },
+};
+
+export const DEFAULT_KEYBOARD_LAYOUT = 'qwerty';
+
+// localStorage key for the layout of the user's keyboard
+const LAYOUT_STORAGE_KEY = 'lyrilab.keyboardLayout';
+
+/**
+ * The saved keyboard layout; it belongs to the user's computer, so it is
+ * kept across tools and visits rather than in links.
+ * @returns {string} A key of KEYBOARD_LAYOUTS.
+ */
+export const getKeyboardLayoutSetting = () => {
+    try {
+        const stored = localStorage.getItem(LAYOUT_STORAGE_KEY);
+        return KEYBOARD_LAYOUTS[stored] ? stored : DEFAULT_KEYBOARD_LAYOUT;
+    } catch {
+        return DEFAULT_KEYBOARD_LAYOUT;
+    }
+};
+
+/**
+ * Saves the keyboard layout.
+ * @param {string} layoutId A key of KEYBOARD_LAYOUTS.
+ */
+export const setKeyboardLayoutSetting = (layoutId) => {
+    try {
+        localStorage.setItem(LAYOUT_STORAGE_KEY, layoutId);
+    } catch (storageError) {
+        console.warn('computerKeyboard: Could not persist the keyboard layout:', storageError);
+    }
+};
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+/**
+ * The note each key plays. Keys that would fall off the 88-key piano (below
+ * A0 or above C8) play nothing.
+ * @param {string} layoutId A key of KEYBOARD_LAYOUTS.
+ * @param {number} baseOctave Octave of the bottom row's first C.
+ * @returns {Map<string, string>} Key → note name, e.g. 'z' → 'C3'. The notes of
+ *          the bottom row's last keys are also on the top row; both play them.
+ */
+export const getKeyboardMapping = (layoutId, baseOctave) => {
+    const layout = KEYBOARD_LAYOUTS[layoutId] ?? KEYBOARD_LAYOUTS[DEFAULT_KEYBOARD_LAYOUT];
+    const mapping = new Map();
+    layout.rows.forEach((row, rowIndex) => {
+        row.forEach((key, semitone) => {
+            if (key === null) return;
+            const octave = baseOctave + rowIndex + Math.floor(semitone / 12);
+            const midiNote = (octave + 1) * 12 + (semitone % 12);
+            if (midiNote < PIANO_LOWEST_NOTE || midiNote > PIANO_HIGHEST_NOTE) return;
+            mapping.set(key, `${NOTE_NAMES[semitone % 12]}${octave}`);
+        });
+    });
+    return mapping;
+};
+
+/**
+ * Adds the computer key that plays each piano key, as `key`, for labels.
+ * Notes on both rows are labeled with the top row's key.
+ * @param {{ note: string }[]} pianoKeys
+ * @param {Map<string, string>} mapping From getKeyboardMapping.
+ * @returns {object[]} New keys.
+ */
+export const labelPianoKeys = (pianoKeys, mapping) => {
+    const labels = new Map();
+    mapping.forEach((note, key) => labels.set(note, key));
+    return pianoKeys.map(key => ({ ...key, key: labels.get(key.note) }));
+};
+
+// Velocity of keys struck this long (ms) or more after the previous one, and
+// of keys struck this soon or sooner
+const SLOW_STRIKE_MS = 600;
+const FAST_STRIKE_MS = 60;
+const SLOW_STRIKE_VELOCITY = 0.45;
+
+/**
+ * Velocity of a computer key from how soon it follows the key struck before
+ * it: a keyboard can't tell how hard a key is hit, but fast playing tends to
+ * be louder and slow playing softer.
+ * @param {number} interval Milliseconds since the previous key down.
+ * @returns {number} Velocity 0-1.
+ */
+export const getKeyDownVelocity = (interval) => {
+    const speed = 1 - (Math.min(SLOW_STRIKE_MS, Math.max(FAST_STRIKE_MS, interval)) - FAST_STRIKE_MS)
+        / (SLOW_STRIKE_MS - FAST_STRIKE_MS);
+    return SLOW_STRIKE_VELOCITY + (1 - SLOW_STRIKE_VELOCITY) * speed;
+};
+
+/**
+ * Velocity of a piano key pressed with the mouse or a finger, from where it
+ * was pressed: toward the front of the key is louder, as the key travels
+ * further there.
+ * @param {number} fraction Position from the back (0) to the front (1) of the key.
+ * @returns {number} Velocity 0-1.
+ */
+export const getPressPositionVelocity = (fraction) => 0.3 + 0.7 * Math.min(1, Math.max(0, fraction));
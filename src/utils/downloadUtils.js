@@ -0,0 +1,33 @@
+// src/utils/downloadUtils.js
+
+/**
+ * Triggers a browser download for a Blob.
+ * @param {Blob} blob The file contents.
+ * @param {string} fileName The suggested file name.
+ */
+export const downloadBlob = (blob, fileName) => {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.style.display = 'none';
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+
+    // Give the browser a moment to start the download before cleaning up
+    setTimeout(() => {
+        URL.revokeObjectURL(url);
+        a.remove();
+    }, 100);
+};
+
+/**
+ * Strips the extension from an uploaded file name.
+ * @param {string} fileName The original file name (e.g. "song.mp3").
+ * @param {string} [fallback='audio'] Used when the name is empty.
+ * @returns {string} The base name (e.g. "song").
+ */
+export const getBaseFileName = (fileName, fallback = 'audio') => {
+    if (!fileName) return fallback;
+    return fileName.replace(/\.[^/.]+$/, '') || fallback;
+};
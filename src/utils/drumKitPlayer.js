@@ -0,0 +1,149 @@
+// src/utils/drumKitPlayer.js
+import * as Tone from 'tone';
+import { BUILT_IN_SAMPLES, DEFAULT_PAD_SETTINGS, MAX_PAD_DECAY } from './drumKits';
+
+/**
+ * Plays the pads of a drum kit (see src/utils/drumKits.js). Each pad is a
+ * Tone.Player through its own gain (the hit's velocity) and panner into a
+ * shared volume.
+ *
+ * Pads are monophonic: hitting a pad again restarts it, and a pad cuts off
+ * the other pads of its choke group, like an open hi-hat closed by the
+ * closed one. A decay shorter than MAX_PAD_DECAY ends the sample early with
+ * a fade-out.
+ */
+
+// Share of a shortened decay spent fading out
+const DECAY_FADE_SHARE = 0.3;
+
+/**
+ * Decodes the sample of a pad, for setPadSample. Each call returns a new
+ * buffer, so pads never share one.
+ * @param {string} drumKey
+ * @param {Blob|null} sample The user's sample, or null for the pad's built-in one.
+ * @returns {Promise<Tone.ToneAudioBuffer>}
+ * @throws {Error} If the sample can't be fetched or decoded.
+ */
+export const loadPadSample = async (drumKey, sample) => {
+    if (!sample) return Tone.ToneAudioBuffer.fromUrl(BUILT_IN_SAMPLES[drumKey]);
+    const audioBuffer = await Tone.getContext().decodeAudioData(await sample.arrayBuffer());
+    return new Tone.ToneAudioBuffer(audioBuffer);
+};
+
+/**
+ * Creates a drum kit player. Pads are silent until they are given a sample.
+ * @returns {object} The player, not connected: setPadSample, setPadSettings,
+ *          trigger, stopAll, volume, connect, toDestination, dispose.
+ */
+export const createDrumKitPlayer = () => {
+    const output = new Tone.Volume();
+    const pads = new Map(); // Drum key → { player, gain, panner, settings }
+    let isDisposed = false;
+
+    const applySettings = (pad, settings) => {
+        pad.settings = settings;
+        pad.panner.pan.value = settings.pan;
+        if (!pad.player) return;
+        pad.player.playbackRate = 2 ** (settings.tune / 12);
+        pad.player.reverse = settings.reverse;
+        pad.player.fadeOut = settings.decay < MAX_PAD_DECAY ? settings.decay * DECAY_FADE_SHARE : 0;
+    };
+
+    const getPad = (drumKey) => {
+        if (!pads.has(drumKey)) {
+            const panner = new Tone.Panner().connect(output);
+            const gain = new Tone.Gain().connect(panner);
+            pads.set(drumKey, { player: null, gain, panner, settings: DEFAULT_PAD_SETTINGS });
+        }
+        return pads.get(drumKey);
+    };
+
+    const kit = {
+        volume: output.volume,
+        disposed: false,
+
+        /**
+         * Gives a pad its sample.
+         * @param {string} drumKey
+         * @param {Tone.ToneAudioBuffer} buffer A loaded buffer, used by this pad only (reversing changes it).
+         * @param {object} [settings] Pad settings; the pad's current ones if omitted.
+         */
+        setPadSample(drumKey, buffer, settings) {
+            const pad = getPad(drumKey);
+            pad.player?.dispose();
+            pad.player = new Tone.Player({ url: buffer }).connect(pad.gain);
+            applySettings(pad, settings ?? pad.settings);
+            return kit;
+        },
+
+        /**
+         * Changes how a pad plays; sounding hits keep their tune and decay.
+         * @param {string} drumKey
+         * @param {object} settings Pad settings.
+         */
+        setPadSettings(drumKey, settings) {
+            applySettings(getPad(drumKey), settings);
+            return kit;
+        },
+
+        /**
+         * Plays a pad.
+         * @param {string} drumKey
+         * @param {number} [time] Audio context time; now if omitted.
+         * @param {number} [velocity=1] 0 to 1.
+         * @returns {boolean} Whether the pad has a sample to play.
+         */
+        trigger(drumKey, time, velocity = 1) {
+            const pad = pads.get(drumKey);
+            if (!pad?.player?.loaded) return false;
+            const startTime = time ?? Tone.now();
+            const { player, gain, settings } = pad;
+
+            if (settings.chokeGroup) {
+                pads.forEach((other, otherKey) => {
+                    if (otherKey !== drumKey && other.settings.chokeGroup === settings.chokeGroup) {
+                        other.player?.stop(startTime);
+                    }
+                });
+            }
+
+            gain.gain.setValueAtTime(velocity, startTime);
+            const offset = settings.start * player.buffer.duration;
+            // Durations are in sample time, so they shrink and grow with the tune
+            const duration = settings.decay < MAX_PAD_DECAY ? settings.decay * player.playbackRate : undefined;
+            player.start(startTime, offset, duration);
+            return true;
+        },
+
+        stopAll(time) {
+            pads.forEach(({ player }) => player?.stop(time));
+            return kit;
+        },
+
+        connect(destination) {
+            output.connect(destination);
+            return kit;
+        },
+
+        toDestination() {
+            output.toDestination();
+            return kit;
+        },
+
+        dispose() {
+            if (isDisposed) return kit;
+            isDisposed = true;
+            kit.disposed = true;
+            pads.forEach(({ player, gain, panner }) => {
+                player?.dispose();
+                gain.dispose();
+                panner.dispose();
+            });
+            pads.clear();
+            output.dispose();
+            return kit;
+        },
+    };
+
+    return kit;
+};
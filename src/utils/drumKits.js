@@ -0,0 +1,409 @@
+// src/utils/drumKits.js
+import { createZip, readZip } from './zipFile';
+
+/**
+ * Sample kits of the drum machine: which sample each pad plays and how
+ * (tune, decay, start offset, reverse, pan, choke group), the IndexedDB store
+ * for the kits users build, and the zip bundle format to share them.
+ *
+ * A kit in memory is { id (null until saved), name, pads }, where pads maps
+ * each drum key to { sample, sampleName, settings }. `sample` is the Blob of
+ * a user's sample, or null for the built-in sample of that pad.
+ *
+ * Kit record (IndexedDB; the samples are stored separately):
+ * { id, name, pads: { [drumKey]: { sampleName, settings } }, createdAt, updatedAt }
+ *
+ * Kit bundle: a zip with the samples and a kit.json manifest:
+ * { format: 'lyrilab-drum-kit', version: 1, name, pads: { [drumKey]: { file, sampleName, settings } } }
+ */
+
+export const KIT_FILE_FORMAT = 'lyrilab-drum-kit';
+export const KIT_FILE_VERSION = 1;
+const MANIFEST_FILE_NAME = 'kit.json';
+
+export const DEFAULT_KIT_NAME = 'Default Kit';
+
+// Built-in samples under public/, by drum key
+export const BUILT_IN_SAMPLES = {
+    kick: '/drum_samples/kick.mp3',
+    snare: '/drum_samples/snare.mp3',
+    hihat: '/drum_samples/hihat.mp3',
+    clap: '/drum_samples/clap.mp3',
+    rimshot: '/drum_samples/rimshot.mp3',
+    open_hihat: '/drum_samples/open_hihat.wav',
+    ride: '/drum_samples/ride.mp3',
+    crash: '/drum_samples/crash.mp3',
+};
+
+// Choke groups: a pad stops the others of its group when it plays (0 is none)
+export const CHOKE_GROUPS = [0, 1, 2, 3];
+
+// Longest decay (s); a pad set to it plays its whole sample
+export const MAX_PAD_DECAY = 4;
+
+/**
+ * Ranges of the numeric pad settings:
+ * tune in semitones, decay in seconds, start as a fraction of the sample, pan from left (-1) to right (1).
+ */
+export const PAD_SETTING_RANGES = {
+    tune: { min: -12, max: 12 },
+    decay: { min: 0.05, max: MAX_PAD_DECAY },
+    start: { min: 0, max: 0.9 },
+    pan: { min: -1, max: 1 },
+};
+
+export const DEFAULT_PAD_SETTINGS = {
+    tune: 0,
+    decay: MAX_PAD_DECAY,
+    start: 0,
+    reverse: false,
+    pan: 0,
+    chokeGroup: 0,
+};
+
+// Pads choking each other in a new kit: the open hi-hat stops when the closed one plays
+const DEFAULT_CHOKE_GROUPS = { hihat: 1, open_hihat: 1 };
+
+const DB_NAME = 'lyrilab-drum-kits';
+const DB_VERSION = 1;
+const KITS_STORE = 'kits';
+const SAMPLES_STORE = 'samples';
+
+// localStorage key for the kit the drum machine had open
+const ACTIVE_KIT_STORAGE_KEY = 'lyrilab.drumKit';
+
+const MAX_NAME_LENGTH = 80;
+
+// Types of the sample files, by extension, for samples read from bundles
+const AUDIO_TYPES = {
+    wav: 'audio/wav',
+    mp3: 'audio/mpeg',
+    ogg: 'audio/ogg',
+    flac: 'audio/flac',
+    m4a: 'audio/mp4',
+    aac: 'audio/aac',
+    aif: 'audio/aiff',
+    aiff: 'audio/aiff',
+};
+
+/**
+ * Clamps pad settings to their ranges, filling in missing ones.
+ * @param {object} [settings]
+ * @returns {object} Complete settings.
+ */
+export const normalizePadSettings = (settings = {}) => {
+    const normalized = { ...DEFAULT_PAD_SETTINGS };
+    Object.entries(PAD_SETTING_RANGES).forEach(([key, { min, max }]) => {
+        const value = Number(settings[key]);
+        if (Number.isFinite(value)) normalized[key] = Math.min(max, Math.max(min, value));
+    });
+    normalized.reverse = settings.reverse === true;
+    normalized.chokeGroup = CHOKE_GROUPS.includes(settings.chokeGroup) ? settings.chokeGroup : DEFAULT_PAD_SETTINGS.chokeGroup;
+    return normalized;
+};
+
+// A pad with its built-in sample
+const createBuiltInPad = (drumKey) => ({
+    sample: null,
+    sampleName: null,
+    settings: normalizePadSettings({ chokeGroup: DEFAULT_CHOKE_GROUPS[drumKey] ?? 0 }),
+});
+
+/**
+ * The kit of the built-in samples.
+ * @param {string[]} drumKeys
+ * @returns {object} Kit, not saved.
+ */
+export const createDefaultKit = (drumKeys) => ({
+    id: null,
+    name: DEFAULT_KIT_NAME,
+    pads: Object.fromEntries(drumKeys.map(drumKey => [drumKey, createBuiltInPad(drumKey)])),
+});
+
+/**
+ * A pad back on its built-in sample, keeping its settings.
+ * @param {object} pad
+ * @returns {object} New pad.
+ */
+export const resetPadSample = (pad) => ({ ...pad, sample: null, sampleName: null });
+
+const cleanName = (name, fallback) => String(name ?? '').trim().slice(0, MAX_NAME_LENGTH) || fallback;
+
+const getExtension = (fileName) => fileName?.match(/\.([a-z0-9]+)$/i)?.[1].toLowerCase() ?? '';
+
+// --- Storage ---
+
+let dbPromise = null;
+
+// Resolves an IDBRequest
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+// Resolves when a transaction has committed
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error ?? new Error('Drum kit storage transaction was aborted.'));
+});
+
+const openDatabase = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('Drum kit storage is not available in this browser.'));
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                db.createObjectStore(KITS_STORE, { keyPath: 'id' });
+                const samples = db.createObjectStore(SAMPLES_STORE, { keyPath: 'id' });
+                samples.createIndex('kitId', 'kitId');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Drum kit storage is blocked by another open tab.'));
+        }).catch(error => {
+            dbPromise = null;
+            throw error;
+        });
+    }
+    return dbPromise;
+};
+
+// Gives storage errors from the browser a message the drum machine can show
+const toStorageError = (error) => (
+    error?.name === 'QuotaExceededError'
+        ? new Error('The browser has no storage space left for drum kits. Delete some kits and try again.')
+        : error
+);
+
+const createKitId = () => (
+    typeof crypto !== 'undefined' && crypto.randomUUID
+        ? crypto.randomUUID()
+        : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`
+);
+
+/**
+ * Whether IndexedDB can be used (it is missing in some private browsing modes).
+ * @returns {boolean}
+ */
+export const isKitStorageAvailable = () => typeof indexedDB !== 'undefined';
+
+/**
+ * The id of the kit the drum machine had open, restored on the next visit.
+ * @returns {string|null}
+ */
+export const getActiveDrumKitId = () => {
+    try {
+        return localStorage.getItem(ACTIVE_KIT_STORAGE_KEY);
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Remembers the open kit, or forgets it with null.
+ * @param {string|null} id Kit id.
+ */
+export const setActiveDrumKitId = (id) => {
+    try {
+        if (id) {
+            localStorage.setItem(ACTIVE_KIT_STORAGE_KEY, id);
+        } else {
+            localStorage.removeItem(ACTIVE_KIT_STORAGE_KEY);
+        }
+    } catch (storageError) {
+        console.warn('drumKits: Could not persist the open kit:', storageError);
+    }
+};
+
+/**
+ * Lists the saved kits by name.
+ * @returns {Promise<object[]>} Kit records (without samples).
+ */
+export const listDrumKits = async () => {
+    const db = await openDatabase();
+    const kits = await promisifyRequest(db.transaction(KITS_STORE).objectStore(KITS_STORE).getAll());
+    return kits.sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Reads a saved kit with its samples.
+ * @param {string} id Kit id.
+ * @param {string[]} drumKeys The pads; those missing from the kit get their built-in sample.
+ * @returns {Promise<object|null>} The kit, or null if it doesn't exist.
+ */
+export const loadDrumKit = async (id, drumKeys) => {
+    const db = await openDatabase();
+    const transaction = db.transaction([KITS_STORE, SAMPLES_STORE]);
+    const [record, samples] = await Promise.all([
+        promisifyRequest(transaction.objectStore(KITS_STORE).get(id)),
+        promisifyRequest(transaction.objectStore(SAMPLES_STORE).index('kitId').getAll(id)),
+    ]);
+    if (!record) return null;
+
+    const blobs = new Map(samples.map(({ drumKey, blob }) => [drumKey, blob]));
+    return {
+        id: record.id,
+        name: record.name,
+        pads: Object.fromEntries(drumKeys.map(drumKey => {
+            const pad = record.pads[drumKey];
+            const sample = blobs.get(drumKey) ?? null;
+            return [drumKey, pad ? {
+                sample,
+                sampleName: sample ? pad.sampleName : null,
+                settings: normalizePadSettings(pad.settings),
+            } : createBuiltInPad(drumKey)];
+        })),
+    };
+};
+
+/**
+ * Saves a kit with its samples, as a new kit if it has no id yet.
+ * @param {object} kit
+ * @returns {Promise<object>} The saved record.
+ * @throws {Error} When the browser is out of space.
+ */
+export const saveDrumKit = async (kit) => {
+    const db = await openDatabase();
+    const id = kit.id ?? createKitId();
+    const now = Date.now();
+    const existing = kit.id
+        ? await promisifyRequest(db.transaction(KITS_STORE).objectStore(KITS_STORE).get(id))
+        : null;
+    const record = {
+        id,
+        name: cleanName(kit.name, DEFAULT_KIT_NAME),
+        pads: Object.fromEntries(Object.entries(kit.pads).map(([drumKey, { sampleName, settings }]) => (
+            [drumKey, { sampleName, settings }]
+        ))),
+        createdAt: existing?.createdAt ?? now,
+        updatedAt: now,
+    };
+
+    const transaction = db.transaction([KITS_STORE, SAMPLES_STORE], 'readwrite');
+    const samplesStore = transaction.objectStore(SAMPLES_STORE);
+    transaction.objectStore(KITS_STORE).put(record);
+    Object.entries(kit.pads).forEach(([drumKey, { sample }]) => {
+        const sampleId = `${id}:${drumKey}`;
+        if (sample) {
+            samplesStore.put({ id: sampleId, kitId: id, drumKey, blob: sample });
+        } else {
+            samplesStore.delete(sampleId);
+        }
+    });
+    try {
+        await transactionDone(transaction);
+    } catch (error) {
+        throw toStorageError(error);
+    }
+    return record;
+};
+
+/**
+ * Deletes a saved kit and its samples.
+ * @param {string} id Kit id.
+ */
+export const deleteDrumKit = async (id) => {
+    const db = await openDatabase();
+    const transaction = db.transaction([KITS_STORE, SAMPLES_STORE], 'readwrite');
+    transaction.objectStore(KITS_STORE).delete(id);
+    const samplesStore = transaction.objectStore(SAMPLES_STORE);
+    const sampleIds = await promisifyRequest(samplesStore.index('kitId').getAllKeys(id));
+    sampleIds.forEach(sampleId => samplesStore.delete(sampleId));
+    await transactionDone(transaction);
+};
+
+// --- Bundles ---
+
+/**
+ * Packs a kit and its samples (built-in ones included, so the bundle plays
+ * the same anywhere) into a zip.
+ * @param {object} kit
+ * @returns {Promise<Blob>} The bundle.
+ * @throws {Error} If a built-in sample can't be fetched.
+ */
+export const createKitBundle = async (kit) => {
+    const files = [];
+    const manifestPads = {};
+    for (const [drumKey, pad] of Object.entries(kit.pads)) {
+        let blob = pad.sample;
+        let sampleName = pad.sampleName;
+        if (!blob) {
+            const url = BUILT_IN_SAMPLES[drumKey];
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`Could not fetch the built-in ${drumKey} sample (${response.status}).`);
+            }
+            blob = await response.blob();
+            sampleName = url.split('/').pop();
+        }
+        const extension = getExtension(sampleName);
+        const file = `samples/${drumKey}${extension ? `.${extension}` : ''}`;
+        files.push({ name: file, data: new Uint8Array(await blob.arrayBuffer()) });
+        manifestPads[drumKey] = { file, sampleName, settings: pad.settings };
+    }
+
+    const manifest = {
+        format: KIT_FILE_FORMAT,
+        version: KIT_FILE_VERSION,
+        name: kit.name,
+        pads: manifestPads,
+    };
+    files.unshift({ name: MANIFEST_FILE_NAME, data: new TextEncoder().encode(JSON.stringify(manifest, null, 2)) });
+    return createZip(files);
+};
+
+/**
+ * Reads a kit bundle. The kit isn't saved; pads the bundle doesn't have get
+ * their built-in sample, and pads the drum machine doesn't have are ignored.
+ * @param {Blob} file The zip.
+ * @param {string[]} drumKeys
+ * @returns {Promise<object>} The kit.
+ * @throws {Error} If the file isn't a kit bundle, is from a newer version, or misses a sample.
+ */
+export const readKitBundle = async (file, drumKeys) => {
+    const entries = await readZip(await file.arrayBuffer());
+    const manifestEntry = entries.find(({ name }) => name === MANIFEST_FILE_NAME);
+    if (!manifestEntry) {
+        throw new Error(`This zip file is not a drum kit (it has no ${MANIFEST_FILE_NAME}).`);
+    }
+    let manifest;
+    try {
+        manifest = JSON.parse(new TextDecoder().decode(manifestEntry.data));
+    } catch {
+        throw new Error(`The drum kit's ${MANIFEST_FILE_NAME} is not valid JSON.`);
+    }
+    if (manifest?.format !== KIT_FILE_FORMAT) {
+        throw new Error('This zip file is not a drum kit.');
+    }
+    if (!(manifest.version <= KIT_FILE_VERSION)) {
+        throw new Error('This drum kit was made with a newer version of the drum machine.');
+    }
+
+    const files = new Map(entries.map(({ name, data }) => [name, data]));
+    const fallbackName = file.name ? file.name.replace(/\.zip$/i, '') : DEFAULT_KIT_NAME;
+    return {
+        id: null,
+        name: cleanName(manifest.name, fallbackName),
+        pads: Object.fromEntries(drumKeys.map(drumKey => {
+            const pad = manifest.pads?.[drumKey];
+            if (!pad) return [drumKey, createBuiltInPad(drumKey)];
+            // The manifest may come from anywhere: a pad without a file name is a missing sample too
+            const fileName = typeof pad.file === 'string' ? pad.file : null;
+            const data = fileName && files.get(fileName);
+            if (!data) {
+                throw new Error(`The drum kit is missing the sample "${fileName ?? drumKey}".`);
+            }
+            const sampleName = cleanName(pad.sampleName, fileName.split('/').pop());
+            return [drumKey, {
+                sample: new Blob([data], { type: AUDIO_TYPES[getExtension(fileName)] ?? '' }),
+                sampleName,
+                settings: normalizePadSettings(pad.settings),
+            }];
+        })),
+    };
+};
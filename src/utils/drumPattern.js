@@ -0,0 +1,146 @@
+// src/utils/drumPattern.js
+
+/**
+ * Step patterns of the drum machine. A pattern has a track per drum sound;
+ * a track has a length (16 or 32 sixteenth-note steps) and room for the
+ * longest length, so shortening a track and lengthening it again keeps its
+ * steps. Tracks of different lengths loop independently (a 16-step hi-hat
+ * plays twice over a 32-step kick).
+ *
+ * Steps are { isOn, velocity (0-1), probability (0-1 chance of playing) }.
+ * Patterns are kept in eight banks, A to H.
+ */
+
+export const DRUM_BANKS = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H'];
+
+export const TRACK_LENGTHS = [16, 32];
+
+const MAX_TRACK_LENGTH = TRACK_LENGTHS[TRACK_LENGTHS.length - 1];
+
+export const DEFAULT_STEP_VELOCITY = 0.8;
+
+// localStorage key for the banks, so beats survive a reload
+const BANKS_STORAGE_KEY = 'lyrilab.drumBanks';
+
+// The beat bank A starts with: steps of each drum in a 16-step bar
+const STARTER_BEAT = {
+    kick: [0, 8, 10],
+    snare: [4, 12],
+    hihat: [0, 2, 4, 6, 8, 10, 12, 14],
+};
+
+const createStep = () => ({ isOn: false, velocity: DEFAULT_STEP_VELOCITY, probability: 1 });
+
+const createTrack = (onSteps = []) => ({
+    length: TRACK_LENGTHS[0],
+    steps: Array.from({ length: MAX_TRACK_LENGTH }, (_, index) => ({
+        ...createStep(),
+        isOn: onSteps.includes(index),
+    })),
+});
+
+/**
+ * An empty pattern.
+ * @param {string[]} drumKeys The drum sounds, one track each.
+ * @returns {object} Drum key → track.
+ */
+export const createEmptyPattern = (drumKeys) => (
+    Object.fromEntries(drumKeys.map(drumKey => [drumKey, createTrack()]))
+);
+
+/**
+ * The banks of a new drum machine: a simple beat in A, the others empty.
+ * @param {string[]} drumKeys
+ * @returns {object} Bank letter → pattern.
+ */
+export const createDefaultBanks = (drumKeys) => Object.fromEntries(DRUM_BANKS.map(bank => [
+    bank,
+    bank === DRUM_BANKS[0]
+        ? Object.fromEntries(drumKeys.map(drumKey => [drumKey, createTrack(STARTER_BEAT[drumKey])]))
+        : createEmptyPattern(drumKeys),
+]));
+
+const clamp01 = (value, fallback) => (Number.isFinite(value) ? Math.min(1, Math.max(0, value)) : fallback);
+
+// A track read from storage, with anything missing or invalid reset
+const normalizeTrack = (track) => ({
+    length: TRACK_LENGTHS.includes(track?.length) ? track.length : TRACK_LENGTHS[0],
+    steps: Array.from({ length: MAX_TRACK_LENGTH }, (_, index) => {
+        const step = track?.steps?.[index];
+        return {
+            isOn: step?.isOn === true,
+            velocity: clamp01(step?.velocity, DEFAULT_STEP_VELOCITY),
+            probability: clamp01(step?.probability, 1),
+        };
+    }),
+});
+
+/**
+ * The saved banks, or the default ones.
+ * @param {string[]} drumKeys
+ * @returns {object} Bank letter → pattern.
+ */
+export const loadDrumBanks = (drumKeys) => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(BANKS_STORAGE_KEY));
+        if (!stored) return createDefaultBanks(drumKeys);
+        return Object.fromEntries(DRUM_BANKS.map(bank => [
+            bank,
+            Object.fromEntries(drumKeys.map(drumKey => [drumKey, normalizeTrack(stored[bank]?.[drumKey])])),
+        ]));
+    } catch {
+        return createDefaultBanks(drumKeys);
+    }
+};
+
+/**
+ * Saves the banks.
+ * @param {object} banks Bank letter → pattern.
+ */
+export const saveDrumBanks = (banks) => {
+    try {
+        localStorage.setItem(BANKS_STORAGE_KEY, JSON.stringify(banks));
+    } catch (storageError) {
+        console.warn('drumPattern: Could not persist the drum banks:', storageError);
+    }
+};
+
+/**
+ * Changes a step.
+ * @param {object} pattern
+ * @param {string} drumKey
+ * @param {number} index Step index.
+ * @param {object} changes Some of isOn, velocity, probability.
+ * @returns {object} New pattern.
+ */
+export const updateDrumStep = (pattern, drumKey, index, changes) => {
+    const track = pattern[drumKey];
+    const steps = track.steps.map((step, stepIndex) => (stepIndex === index ? { ...step, ...changes } : step));
+    return { ...pattern, [drumKey]: { ...track, steps } };
+};
+
+/**
+ * Changes the length of a track.
+ * @param {object} pattern
+ * @param {string} drumKey
+ * @param {number} length One of TRACK_LENGTHS.
+ * @returns {object} New pattern.
+ */
+export const setDrumTrackLength = (pattern, drumKey, length) => (
+    { ...pattern, [drumKey]: { ...pattern[drumKey], length } }
+);
+
+/**
+ * The drums a pattern plays at a step of the transport, rolling each step's
+ * probability.
+ * @param {object} pattern
+ * @param {number} tick Sixteenth notes since playback started; each track wraps at its length.
+ * @param {() => number} [random=Math.random] Returns 0 (inclusive) to 1 (exclusive).
+ * @returns {{ drumKey: string, velocity: number }[]}
+ */
+export const getStepHits = (pattern, tick, random = Math.random) => (
+    Object.entries(pattern).flatMap(([drumKey, track]) => {
+        const step = track.steps[tick % track.length];
+        return step.isOn && random() < step.probability ? [{ drumKey, velocity: step.velocity }] : [];
+    })
+);
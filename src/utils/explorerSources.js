@@ -0,0 +1,253 @@
+// src/utils/explorerSources.js
+import * as Tone from 'tone';
+import { renderOffline } from './offlineRenderer';
+import { LiveInput } from './liveInput';
+
+/**
+ * Audio sources for the effect explorers: bundled demo loops, a file the user
+ * dropped in, a built-in oscillator/noise generator, or the live input. Each explorer plays an
+ * ExplorerSource into its effect and lets the user switch what it plays with
+ * the shared <SourceSelector> (src/components/SourceSelector.jsx).
+ *
+ * The drums, noise and piano loops are files from /public. The vocal, bass and
+ * pad loops are short synth phrases rendered once on first use, so they need
+ * no extra downloads.
+ */
+
+// Tempo of the rendered demo loops (two bars of 4/4)
+const LOOP_BPM = 96;
+const BEAT = 60 / LOOP_BPM;
+const LOOP_DURATION = BEAT * 8;
+
+// Formants of an open "ah" vowel: [frequency in Hz, Q, gain]
+const AH_FORMANTS = [[800, 8, 1], [1150, 10, 0.5], [2900, 12, 0.25]];
+
+/** Renders a two-bar formant-synth vocal phrase. */
+const renderVocalLoop = () => renderOffline(() => {
+    const voice = new Tone.MonoSynth({
+        oscillator: { type: 'sawtooth' },
+        envelope: { attack: 0.08, decay: 0.2, sustain: 0.8, release: 0.3 },
+        filterEnvelope: { baseFrequency: 4000, octaves: 0 },
+        portamento: 0.05,
+    });
+    const vibrato = new Tone.Vibrato(5.5, 0.08);
+    const output = new Tone.Gain(2).toDestination();
+    voice.connect(vibrato);
+    AH_FORMANTS.forEach(([frequency, Q, gain]) => {
+        const formant = new Tone.Filter({ type: 'bandpass', frequency, Q });
+        vibrato.chain(formant, new Tone.Gain(gain), output);
+    });
+
+    // [note, start beat, length in beats]
+    [['A3', 0, 1.5], ['C4', 1.5, 0.5], ['E4', 2, 2], ['D4', 4, 1], ['C4', 5, 1], ['A3', 6, 1.75]]
+        .forEach(([note, start, length]) => voice.triggerAttackRelease(note, length * BEAT, start * BEAT));
+}, { duration: LOOP_DURATION });
+
+/** Renders a two-bar synth bass line. */
+const renderBassLoop = () => renderOffline(() => {
+    const bass = new Tone.MonoSynth({
+        oscillator: { type: 'sawtooth' },
+        envelope: { attack: 0.005, decay: 0.2, sustain: 0.5, release: 0.1 },
+        filter: { Q: 2, rolloff: -24 },
+        filterEnvelope: { attack: 0.005, decay: 0.15, sustain: 0.2, baseFrequency: 90, octaves: 3 },
+    }).toDestination();
+
+    const notes = ['A1', 'A1', 'A2', 'A1', 'C2', 'C2', 'E2', 'G1', 'F1', 'F1', 'F2', 'F1', 'G1', 'G1', 'B1', 'D2'];
+    notes.forEach((note, index) => bass.triggerAttackRelease(note, BEAT * 0.4, index * BEAT / 2));
+}, { duration: LOOP_DURATION });
+
+/** Renders a two-bar chord pad. */
+const renderPadLoop = () => renderOffline(() => {
+    const pad = new Tone.PolySynth(Tone.Synth, {
+        oscillator: { type: 'fatsawtooth', count: 3, spread: 30 },
+        envelope: { attack: 0.6, decay: 0.5, sustain: 0.8, release: 0.8 },
+        volume: -12,
+    });
+    const filter = new Tone.Filter(1800, 'lowpass').toDestination();
+    pad.connect(filter);
+
+    pad.triggerAttackRelease(['A3', 'C4', 'E4', 'G4'], BEAT * 3.5, 0);
+    pad.triggerAttackRelease(['F3', 'A3', 'C4', 'E4'], BEAT * 3.5, BEAT * 4);
+}, { duration: LOOP_DURATION });
+
+// Demo loops offered by the source selector, in display order
+export const DEMO_LOOPS = {
+    drums: { label: 'Drums', url: '/drum_samples/drum-loop.mp3' },
+    vocal: { label: 'Vocal', render: renderVocalLoop },
+    bass: { label: 'Bass', render: renderBassLoop },
+    pad: { label: 'Pad', render: renderPadLoop },
+    noise: { label: 'Noise', url: '/white-noise/white-noise.mp3' },
+    piano: { label: 'Piano C4', url: '/piano_samples/C4.mp3' },
+    'piano-low': { label: 'Piano C3', url: '/piano_samples/C3.mp3' },
+};
+
+export const OSCILLATOR_WAVEFORMS = ['sine', 'triangle', 'square', 'sawtooth'];
+export const NOISE_COLORS = ['white', 'pink', 'brown'];
+
+// Starting settings when the user switches to a generator
+export const DEFAULT_OSCILLATOR_SOURCE = { type: 'oscillator', waveform: 'sawtooth', frequency: 220 };
+export const DEFAULT_NOISE_SOURCE = { type: 'noise', color: 'pink' };
+export const DEFAULT_INPUT_SOURCE = { type: 'input' };
+
+// Generators are full-scale and steady, so they sit lower than the loops.
+const GENERATOR_VOLUME = -12;
+
+// Demo loop id -> Promise<ToneAudioBuffer>, so each loop is fetched or rendered once
+const demoLoopCache = new Map();
+
+/**
+ * Loads (or renders) a demo loop, once per page load.
+ * @param {string} id A key of DEMO_LOOPS.
+ * @returns {Promise<Tone.ToneAudioBuffer>} The loop.
+ * @throws {Error} If the id is unknown or the file fails to load.
+ */
+export const loadDemoLoop = (id) => {
+    const loop = DEMO_LOOPS[id];
+    if (!loop) {
+        return Promise.reject(new Error(`Unknown demo loop: ${id}`));
+    }
+    if (!demoLoopCache.has(id)) {
+        const loading = loop.url ? new Tone.ToneAudioBuffer().load(loop.url) : loop.render().then(buffer => new Tone.ToneAudioBuffer(buffer));
+        // Let a failed load be retried
+        loading.catch(() => demoLoopCache.delete(id));
+        demoLoopCache.set(id, loading);
+    }
+    return demoLoopCache.get(id);
+};
+
+/**
+ * Human-readable name of a source descriptor.
+ * @param {object} source A source descriptor (see ExplorerSource#setSource).
+ * @returns {string} The name.
+ */
+export const describeSource = (source) => {
+    switch (source.type) {
+        case 'demo':
+            return DEMO_LOOPS[source.id]?.label ?? source.id;
+        case 'file':
+            return source.name;
+        case 'oscillator':
+            return `${source.waveform} ${Math.round(source.frequency)} Hz`;
+        case 'noise':
+            return `${source.color} noise`;
+        case 'input':
+            return 'Live input';
+        default:
+            return 'Unknown source';
+    }
+};
+
+/**
+ * A looping source node that can switch between a demo loop, a user file, the
+ * oscillator/noise generators and the live input while keeping its
+ * connections and play state. Explorers use it where they would use a looping Tone.Player: it
+ * has start(), stop(), state and a volume parameter.
+ */
+export class ExplorerSource extends Tone.ToneAudioNode {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.volume=0] Output volume in dB.
+     */
+    constructor({ volume = 0 } = {}) {
+        super();
+        this.name = 'ExplorerSource';
+        this.input = undefined;
+        this.output = new Tone.Volume({ context: this.context, volume });
+        /** The output volume in dB. */
+        this.volume = this.output.volume;
+
+        this._player = new Tone.Player({ context: this.context, loop: true }).connect(this.output);
+        this._oscillator = new Tone.Oscillator({ context: this.context, volume: GENERATOR_VOLUME }).connect(this.output);
+        this._noise = new Tone.Noise({ context: this.context, volume: GENERATOR_VOLUME }).connect(this.output);
+        // Created on first use, so the microphone is only requested when picked
+        this._liveInput = null;
+        this._active = this._player;
+    }
+
+    /** The LiveInput node once the live input has been picked, otherwise null. */
+    get liveInput() {
+        return this._liveInput;
+    }
+
+    /** 'started' or 'stopped'. */
+    get state() {
+        return this._active.state;
+    }
+
+    start(time) {
+        this._active.start(time);
+        return this;
+    }
+
+    stop(time) {
+        if (this._active.state === 'started') {
+            this._active.stop(time);
+        }
+        return this;
+    }
+
+    /**
+     * Switches what the node plays. Keeps playing if it was playing.
+     * @param {object} source One of:
+     *        `{ type: 'demo', id }` (a key of DEMO_LOOPS),
+     *        `{ type: 'file', name, buffer }` (a decoded AudioBuffer),
+     *        `{ type: 'oscillator', waveform, frequency }`,
+     *        `{ type: 'noise', color }`,
+     *        `{ type: 'input', deviceId, stream }` (both optional; see LiveInput#open).
+     * @returns {Promise<void>} Resolves once the new source is in place.
+     * @throws {Error} If the source type is unknown, its audio fails to load or input access is denied.
+     */
+    async setSource(source) {
+        let next;
+        let buffer = null;
+        switch (source.type) {
+            case 'demo':
+            case 'file':
+                buffer = source.type === 'demo' ? await loadDemoLoop(source.id) : source.buffer;
+                if (this.disposed) return;
+                next = this._player;
+                break;
+            case 'oscillator':
+                next = this._oscillator;
+                next.type = source.waveform;
+                next.frequency.value = source.frequency;
+                break;
+            case 'noise':
+                next = this._noise;
+                next.type = source.color;
+                break;
+            case 'input':
+                if (!this._liveInput) {
+                    this._liveInput = new LiveInput().connect(this.output);
+                }
+                next = this._liveInput;
+                if (!next.isOpen || source.stream || (source.deviceId && source.deviceId !== next.deviceId)) {
+                    await next.open({ deviceId: source.deviceId, stream: source.stream });
+                }
+                if (this.disposed) return;
+                break;
+            default:
+                throw new Error(`Unknown source type: ${source.type}`);
+        }
+
+        // Generators retune in place; a new buffer or a different generator restarts playback
+        if (next === this._active && !buffer) return;
+        const wasPlaying = this.state === 'started';
+        this.stop();
+        if (buffer) next.buffer = buffer;
+        this._active = next;
+        if (wasPlaying) next.start();
+        // Release the microphone when switching away from it
+        if (this._liveInput && next !== this._liveInput) this._liveInput.close();
+    }
+
+    dispose() {
+        super.dispose();
+        this._player.dispose();
+        this._oscillator.dispose();
+        this._noise.dispose();
+        if (this._liveInput) this._liveInput.dispose();
+        this.output.dispose();
+        return this;
+    }
+}
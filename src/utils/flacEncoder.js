@@ -0,0 +1,470 @@
+// src/utils/flacEncoder.js
+import { floatToIntegerPcm, resolveMetadataTags } from './wavEncoder';
+
+/**
+ * Lossless FLAC encoder in plain JavaScript, used by the export worker.
+ *
+ * Each block is coded with the best of the FLAC fixed predictors (orders 0-4),
+ * a constant or a verbatim subframe, with partitioned Rice coding of the
+ * residual. Stereo blocks also try left/side, right/side and mid/side
+ * decorrelation. That is the same toolset as `flac -1`; LPC subframes are not
+ * used. The STREAMINFO MD5 is left empty, which the format allows.
+ */
+
+// Supported output bit depths.
+export const FLAC_BIT_DEPTHS = [16, 24];
+
+const BLOCK_SIZE = 4096;
+const MAX_FIXED_ORDER = 4;
+const MAX_PARTITION_ORDER = 6;
+const MAX_RICE_PARAMETER = 30; // 5-bit parameters (RICE2), 31 is the escape code
+
+// Frame header codes.
+const BLOCK_SIZE_CODE_16BIT = 7; // block size - 1 follows the header as 16 bits
+const SAMPLE_RATE_FROM_STREAMINFO = 0;
+const SAMPLE_RATE_CODES = {
+    88200: 1, 176400: 2, 192000: 3, 8000: 4, 16000: 5, 22050: 6,
+    24000: 7, 32000: 8, 44100: 9, 48000: 10, 96000: 11,
+};
+const SAMPLE_RATE_KHZ_8BIT = 12; // the rate follows the header: in kHz as 8 bits,
+const SAMPLE_RATE_HZ_16BIT = 13; // in Hz as 16 bits,
+const SAMPLE_RATE_DAHZ_16BIT = 14; // or in tens of Hz as 16 bits
+const SAMPLE_SIZE_CODES = { 16: 4, 24: 6 };
+const CHANNEL_ASSIGNMENT = { LEFT_SIDE: 8, RIGHT_SIDE: 9, MID_SIDE: 10 };
+
+// Metadata block types.
+const BLOCK_TYPE_STREAMINFO = 0;
+const BLOCK_TYPE_VORBIS_COMMENT = 4;
+
+// Maps metadata keys onto Vorbis comment field names.
+const VORBIS_COMMENT_FIELDS = {
+    title: 'TITLE',
+    artist: 'ARTIST',
+    software: 'ENCODER',
+    comment: 'COMMENT',
+    date: 'DATE',
+    genre: 'GENRE',
+};
+
+const CRC8_TABLE = new Uint8Array(256);
+const CRC16_TABLE = new Uint16Array(256);
+for (let i = 0; i < 256; i++) {
+    let crc8 = i;
+    let crc16 = i << 8;
+    for (let bit = 0; bit < 8; bit++) {
+        crc8 = crc8 & 0x80 ? ((crc8 << 1) ^ 0x07) & 0xff : (crc8 << 1) & 0xff;
+        crc16 = crc16 & 0x8000 ? ((crc16 << 1) ^ 0x8005) & 0xffff : (crc16 << 1) & 0xffff;
+    }
+    CRC8_TABLE[i] = crc8;
+    CRC16_TABLE[i] = crc16;
+}
+
+const crc8 = (bytes, start, end) => {
+    let crc = 0;
+    for (let i = start; i < end; i++) crc = CRC8_TABLE[crc ^ bytes[i]];
+    return crc;
+};
+
+const crc16 = (bytes, start, end) => {
+    let crc = 0;
+    for (let i = start; i < end; i++) crc = ((crc << 8) & 0xffff) ^ CRC16_TABLE[(crc >> 8) ^ bytes[i]];
+    return crc;
+};
+
+/**
+ * Creates a big-endian bit writer backed by a growable byte array.
+ * @param {number} initialSize Initial capacity in bytes.
+ */
+const createBitWriter = (initialSize) => {
+    let bytes = new Uint8Array(Math.max(1024, initialSize));
+    let bytePos = 0;
+    let pending = 0; // bits not yet flushed to `bytes`
+    let pendingCount = 0;
+
+    const ensureCapacity = (extraBytes) => {
+        if (bytePos + extraBytes <= bytes.length) return;
+        const grown = new Uint8Array(Math.max(bytes.length * 2, bytePos + extraBytes));
+        grown.set(bytes.subarray(0, bytePos));
+        bytes = grown;
+    };
+
+    // Writes the low `count` bits (at most 32) of an unsigned value.
+    const writeBits = (value, count) => {
+        ensureCapacity(5);
+        let remaining = count;
+        while (remaining > 0) {
+            const take = Math.min(8 - pendingCount, remaining);
+            const chunk = (value >>> (remaining - take)) & ((1 << take) - 1);
+            pending = (pending << take) | chunk;
+            pendingCount += take;
+            remaining -= take;
+            if (pendingCount === 8) {
+                bytes[bytePos++] = pending;
+                pending = 0;
+                pendingCount = 0;
+            }
+        }
+    };
+
+    const writeZeros = (count) => {
+        let remaining = count;
+        if (pendingCount > 0) {
+            const take = Math.min(8 - pendingCount, remaining);
+            writeBits(0, take);
+            remaining -= take;
+        }
+        if (remaining >= 8) {
+            const zeroBytes = remaining >> 3;
+            ensureCapacity(zeroBytes);
+            bytes.fill(0, bytePos, bytePos + zeroBytes);
+            bytePos += zeroBytes;
+            remaining &= 7;
+        }
+        if (remaining > 0) writeBits(0, remaining);
+    };
+
+    return {
+        writeBits,
+        writeZeros,
+        // Writes a two's complement value in `count` bits (count < 32).
+        writeSigned: (value, count) => writeBits(value & ((1 << count) - 1), count),
+        writeBytes: (data) => {
+            ensureCapacity(data.length);
+            bytes.set(data, bytePos);
+            bytePos += data.length;
+        },
+        alignToByte: () => {
+            if (pendingCount > 0) writeBits(0, 8 - pendingCount);
+        },
+        // Only valid when byte aligned.
+        get bytePosition() {
+            return bytePos;
+        },
+        get bytes() {
+            return bytes;
+        },
+        finish: () => bytes.slice(0, bytePos),
+    };
+};
+
+/**
+ * Computes the residual of a fixed predictor. The first `order` entries are
+ * the warm-up samples and are left as 0.
+ * @param {Int32Array} samples The block samples.
+ * @param {number} order Predictor order (0-4).
+ * @returns {Int32Array} The residual.
+ */
+const fixedResidual = (samples, order) => {
+    const residual = new Int32Array(samples.length);
+    const s = samples;
+    for (let i = order; i < s.length; i++) {
+        switch (order) {
+            case 0: residual[i] = s[i]; break;
+            case 1: residual[i] = s[i] - s[i - 1]; break;
+            case 2: residual[i] = s[i] - 2 * s[i - 1] + s[i - 2]; break;
+            case 3: residual[i] = s[i] - 3 * s[i - 1] + 3 * s[i - 2] - s[i - 3]; break;
+            default: residual[i] = s[i] - 4 * s[i - 1] + 6 * s[i - 2] - 4 * s[i - 3] + s[i - 4]; break;
+        }
+    }
+    return residual;
+};
+
+// Zigzag mapping used by Rice coding: 0, -1, 1, -2, ... -> 0, 1, 2, 3, ...
+const toUnsigned = (value) => (value >= 0 ? value * 2 : -value * 2 - 1);
+
+/**
+ * Picks the Rice parameter with the lowest estimated cost for a partition.
+ * @param {number} sum Sum of the partition's unsigned residuals.
+ * @param {number} count Number of residuals in the partition.
+ * @returns {{ parameter: number, bits: number }} Parameter and estimated size in bits.
+ */
+const bestRiceParameter = (sum, count) => {
+    // The optimum sits next to log2 of the mean, so only its neighbours are tried.
+    const mean = count > 0 ? sum / count : 0;
+    const estimate = mean > 1 ? Math.floor(Math.log2(mean)) : 0;
+    let best = { parameter: 0, bits: Infinity };
+    for (let parameter = Math.max(0, estimate - 1); parameter <= Math.min(MAX_RICE_PARAMETER, estimate + 1); parameter++) {
+        const bits = count * (parameter + 1) + Math.floor(sum / 2 ** parameter);
+        if (bits < best.bits) best = { parameter, bits };
+    }
+    return best;
+};
+
+/**
+ * Chooses the partition order and Rice parameters for a residual.
+ * @param {Int32Array} residual Residual including the warm-up slots.
+ * @param {number} predictorOrder Number of warm-up samples at the start.
+ * @returns {{ partitionOrder: number, parameters: number[], bits: number }} The coding plan.
+ */
+const planResidualCoding = (residual, predictorOrder) => {
+    const blockSize = residual.length;
+    let maxOrder = 0;
+    while (
+        maxOrder < MAX_PARTITION_ORDER &&
+        blockSize % (1 << (maxOrder + 1)) === 0 &&
+        (blockSize >> (maxOrder + 1)) > predictorOrder
+    ) {
+        maxOrder++;
+    }
+
+    // Partition sums at the finest order; coarser orders merge neighbours.
+    let sums = new Float64Array(1 << maxOrder);
+    const partitionSize = blockSize >> maxOrder;
+    for (let i = predictorOrder; i < blockSize; i++) {
+        sums[(i / partitionSize) | 0] += toUnsigned(residual[i]);
+    }
+
+    let best = null;
+    for (let order = maxOrder; order >= 0; order--) {
+        const size = blockSize >> order;
+        const parameters = [];
+        let bits = 2 + 4; // coding method + partition order
+        for (let partition = 0; partition < sums.length; partition++) {
+            const count = partition === 0 ? size - predictorOrder : size;
+            const rice = bestRiceParameter(sums[partition], count);
+            parameters.push(rice.parameter);
+            bits += 5 + rice.bits;
+        }
+        if (!best || bits < best.bits) best = { partitionOrder: order, parameters, bits };
+
+        if (order > 0) {
+            const merged = new Float64Array(sums.length / 2);
+            for (let i = 0; i < merged.length; i++) merged[i] = sums[2 * i] + sums[2 * i + 1];
+            sums = merged;
+        }
+    }
+    return best;
+};
+
+/**
+ * Finds the smallest subframe encoding for one channel of a block.
+ * @param {Int32Array} samples The channel's samples for this block.
+ * @param {number} bitsPerSample Bits per sample of this subframe (side channels use one extra bit).
+ * @returns {object} The subframe plan, including its estimated size in `bits`.
+ */
+const planSubframe = (samples, bitsPerSample) => {
+    if (samples.every(sample => sample === samples[0])) {
+        return { type: 'constant', bitsPerSample, samples, bits: 8 + bitsPerSample };
+    }
+
+    let best = { type: 'verbatim', bitsPerSample, samples, bits: 8 + samples.length * bitsPerSample };
+    const maxOrder = Math.min(MAX_FIXED_ORDER, samples.length - 1);
+    for (let order = 0; order <= maxOrder; order++) {
+        const residual = fixedResidual(samples, order);
+        const coding = planResidualCoding(residual, order);
+        const bits = 8 + order * bitsPerSample + coding.bits;
+        if (bits < best.bits) {
+            best = { type: 'fixed', bitsPerSample, samples, order, residual, coding, bits };
+        }
+    }
+    return best;
+};
+
+const writeSubframe = (writer, plan) => {
+    const { type, bitsPerSample, samples } = plan;
+    writer.writeBits(0, 1); // zero padding bit
+    if (type === 'constant') {
+        writer.writeBits(0b000000, 6);
+        writer.writeBits(0, 1); // no wasted bits
+        writer.writeSigned(samples[0], bitsPerSample);
+        return;
+    }
+    if (type === 'verbatim') {
+        writer.writeBits(0b000001, 6);
+        writer.writeBits(0, 1);
+        samples.forEach(sample => writer.writeSigned(sample, bitsPerSample));
+        return;
+    }
+
+    const { order, residual, coding } = plan;
+    writer.writeBits(0b001000 | order, 6);
+    writer.writeBits(0, 1);
+    for (let i = 0; i < order; i++) {
+        writer.writeSigned(samples[i], bitsPerSample);
+    }
+
+    writer.writeBits(1, 2); // RICE2: 5-bit parameters
+    writer.writeBits(coding.partitionOrder, 4);
+    const partitionSize = samples.length >> coding.partitionOrder;
+    coding.parameters.forEach((parameter, partition) => {
+        writer.writeBits(parameter, 5);
+        const start = partition === 0 ? order : partition * partitionSize;
+        const end = (partition + 1) * partitionSize;
+        const lowMask = (1 << parameter) - 1;
+        for (let i = start; i < end; i++) {
+            const value = toUnsigned(residual[i]);
+            writer.writeZeros(Math.floor(value / 2 ** parameter));
+            writer.writeBits(1, 1);
+            if (parameter > 0) writer.writeBits(value & lowMask, parameter);
+        }
+    });
+};
+
+// FLAC's extended UTF-8 coding of the frame number.
+const encodeFrameNumber = (value) => {
+    if (value < 0x80) return [value];
+    const bytes = [];
+    let remaining = value;
+    let leadingBits = 6;
+    while (remaining >= 2 ** leadingBits) {
+        bytes.unshift(0x80 | (remaining & 0x3f));
+        remaining = Math.floor(remaining / 64);
+        leadingBits--;
+    }
+    const lengthMarker = (0xff << (7 - bytes.length)) & 0xff;
+    bytes.unshift(lengthMarker | remaining);
+    return bytes;
+};
+
+/**
+ * Picks the channel layout (independent or one of the stereo decorrelations)
+ * with the smallest total size for a block.
+ * @param {Int32Array[]} block One Int32Array per channel.
+ * @param {number} bitDepth Sample bit depth.
+ * @returns {{ assignment: number, subframes: object[] }} Channel assignment code and subframe plans.
+ */
+const planFrame = (block, bitDepth) => {
+    const independent = block.map(samples => planSubframe(samples, bitDepth));
+    if (block.length !== 2) {
+        return { assignment: block.length - 1, subframes: independent };
+    }
+
+    const [left, right] = block;
+    const mid = new Int32Array(left.length);
+    const side = new Int32Array(left.length);
+    for (let i = 0; i < left.length; i++) {
+        mid[i] = (left[i] + right[i]) >> 1;
+        side[i] = left[i] - right[i];
+    }
+    const [leftPlan, rightPlan] = independent;
+    const sidePlan = planSubframe(side, bitDepth + 1);
+    const midPlan = planSubframe(mid, bitDepth);
+
+    const candidates = [
+        { assignment: 1, subframes: [leftPlan, rightPlan] },
+        { assignment: CHANNEL_ASSIGNMENT.LEFT_SIDE, subframes: [leftPlan, sidePlan] },
+        { assignment: CHANNEL_ASSIGNMENT.RIGHT_SIDE, subframes: [sidePlan, rightPlan] },
+        { assignment: CHANNEL_ASSIGNMENT.MID_SIDE, subframes: [midPlan, sidePlan] },
+    ];
+    const size = (candidate) => candidate.subframes.reduce((total, plan) => total + plan.bits, 0);
+    return candidates.reduce((best, candidate) => (size(candidate) < size(best) ? candidate : best));
+};
+
+// Frame header code of a sample rate, with the bits that follow the header
+// for uncommon rates. Like libFLAC, every frame carries its rate, as decoders
+// that scan for frames (e.g. when seeking) reject "from STREAMINFO".
+const sampleRateHeader = (sampleRate) => {
+    if (sampleRate in SAMPLE_RATE_CODES) return { code: SAMPLE_RATE_CODES[sampleRate] };
+    if (sampleRate % 1000 === 0 && sampleRate <= 255000) {
+        return { code: SAMPLE_RATE_KHZ_8BIT, value: sampleRate / 1000, bits: 8 };
+    }
+    if (sampleRate <= 65535) return { code: SAMPLE_RATE_HZ_16BIT, value: sampleRate, bits: 16 };
+    if (sampleRate % 10 === 0 && sampleRate <= 655350) {
+        return { code: SAMPLE_RATE_DAHZ_16BIT, value: sampleRate / 10, bits: 16 };
+    }
+    return { code: SAMPLE_RATE_FROM_STREAMINFO };
+};
+
+const writeFrame = (writer, frameNumber, block, sampleRate, bitDepth) => {
+    const { assignment, subframes } = planFrame(block, bitDepth);
+    const blockSize = block[0].length;
+    const frameStart = writer.bytePosition;
+
+    writer.writeBits(0xfff8, 16); // sync code, fixed block size strategy
+    const rate = sampleRateHeader(sampleRate);
+    writer.writeBits((BLOCK_SIZE_CODE_16BIT << 4) | rate.code, 8);
+    writer.writeBits((assignment << 4) | (SAMPLE_SIZE_CODES[bitDepth] << 1), 8);
+    writer.writeBytes(encodeFrameNumber(frameNumber));
+    writer.writeBits(blockSize - 1, 16);
+    if (rate.bits) writer.writeBits(rate.value, rate.bits);
+    writer.writeBits(crc8(writer.bytes, frameStart, writer.bytePosition), 8);
+
+    subframes.forEach(plan => writeSubframe(writer, plan));
+    writer.alignToByte();
+    writer.writeBits(crc16(writer.bytes, frameStart, writer.bytePosition), 16);
+};
+
+const writeMetadataBlockHeader = (writer, type, length, isLast) => {
+    writer.writeBits(isLast ? 1 : 0, 1);
+    writer.writeBits(type, 7);
+    writer.writeBits(length, 24);
+};
+
+const buildVorbisComment = (metadata) => {
+    const encoder = new TextEncoder();
+    const values = resolveMetadataTags(metadata);
+    const vendor = encoder.encode(values.software);
+    const comments = Object.entries(VORBIS_COMMENT_FIELDS)
+        .filter(([key]) => key in values)
+        .map(([key, field]) => encoder.encode(`${field}=${values[key]}`));
+
+    const size = 4 + vendor.length + 4 + comments.reduce((total, comment) => total + 4 + comment.length, 0);
+    const bytes = new Uint8Array(size);
+    const view = new DataView(bytes.buffer);
+    let pos = 0;
+    const writeField = (field) => {
+        view.setUint32(pos, field.length, true); // Vorbis comment lengths are little endian
+        bytes.set(field, pos + 4);
+        pos += 4 + field.length;
+    };
+    writeField(vendor);
+    view.setUint32(pos, comments.length, true);
+    pos += 4;
+    comments.forEach(writeField);
+    return bytes;
+};
+
+/**
+ * Encodes raw channel data as a FLAC file.
+ * @param {Float32Array[]} channels One Float32Array per channel (1-8), all the same length.
+ * @param {number} sampleRate Sample rate in Hz.
+ * @param {object} [options]
+ * @param {number} [options.bitDepth=16] 16 or 24.
+ * @param {boolean} [options.dither=true] Apply TPDF dither when writing 16-bit samples.
+ * @param {object} [options.metadata] Tags written as Vorbis comments, see resolveMetadataTags.
+ * @param {(fraction: number) => void} [options.onProgress] Called with 0..1 as frames are encoded.
+ * @returns {Uint8Array} The complete FLAC file.
+ * @throws {Error} If the bit depth or channel count is not supported.
+ */
+export const encodeFlacFromChannels = (channels, sampleRate, options = {}) => {
+    const { bitDepth = 16, dither = true, metadata, onProgress } = options;
+    if (!FLAC_BIT_DEPTHS.includes(bitDepth)) {
+        throw new Error(`Unsupported FLAC bit depth: ${bitDepth}`);
+    }
+    if (!channels || channels.length === 0 || channels.length > 8) {
+        throw new Error(`Cannot encode FLAC with ${channels ? channels.length : 0} channels.`);
+    }
+
+    const pcm = channels.map(channel => floatToIntegerPcm(channel, bitDepth, dither && bitDepth === 16));
+    const totalSamples = pcm[0].length;
+    const writer = createBitWriter(Math.ceil((totalSamples * channels.length * bitDepth) / 16));
+
+    writer.writeBytes(new TextEncoder().encode('fLaC'));
+
+    // STREAMINFO (frame sizes and MD5 left as "unknown")
+    writeMetadataBlockHeader(writer, BLOCK_TYPE_STREAMINFO, 34, false);
+    writer.writeBits(BLOCK_SIZE, 16);
+    writer.writeBits(BLOCK_SIZE, 16);
+    writer.writeBits(0, 24);
+    writer.writeBits(0, 24);
+    writer.writeBits(sampleRate, 20);
+    writer.writeBits(channels.length - 1, 3);
+    writer.writeBits(bitDepth - 1, 5);
+    writer.writeBits(Math.floor(totalSamples / 2 ** 32), 4);
+    writer.writeBits(totalSamples >>> 0, 32);
+    writer.writeBytes(new Uint8Array(16));
+
+    const comment = buildVorbisComment(metadata);
+    writeMetadataBlockHeader(writer, BLOCK_TYPE_VORBIS_COMMENT, comment.length, true);
+    writer.writeBytes(comment);
+
+    const frameCount = Math.ceil(totalSamples / BLOCK_SIZE);
+    for (let frame = 0; frame < frameCount; frame++) {
+        const start = frame * BLOCK_SIZE;
+        const end = Math.min(start + BLOCK_SIZE, totalSamples);
+        writeFrame(writer, frame, pcm.map(channel => channel.subarray(start, end)), sampleRate, bitDepth);
+        if (onProgress && frame % 32 === 0) onProgress(frame / frameCount);
+    }
+
+    return writer.finish();
+};
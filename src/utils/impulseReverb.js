@@ -0,0 +1,93 @@
+// src/utils/impulseReverb.js
+import * as Tone from 'tone';
+
+/**
+ * Convolution reverb whose impulse response is generated separately from the
+ * node, so the exact same response can be used for realtime playback and for
+ * the offline export render (src/utils/offlineRenderer.js).
+ *
+ * Tone.Reverb generates a fresh random impulse every time it is created or its
+ * decay changes, which makes an offline copy of it sound subtly different from
+ * what the user heard. ImpulseReverb has the same signal path (dry/wet
+ * crossfade around a normalized ConvolverNode) and generateReverbImpulse()
+ * builds the response the same way Tone.Reverb does.
+ */
+
+// Tone.Reverb's default pre-delay, baked into the start of its impulse response.
+export const DEFAULT_IMPULSE_PRE_DELAY = 0.01;
+
+/**
+ * Renders a stereo decaying-noise impulse response, identical in shape to the
+ * one Tone.Reverb generates.
+ * @param {object} options
+ * @param {number} options.decay Reverb time in seconds.
+ * @param {number} [options.preDelay=0.01] Silence before the noise burst, in seconds.
+ * @param {number} [options.sampleRate] Defaults to the live context's rate.
+ * @returns {Promise<Tone.ToneAudioBuffer>} The impulse response.
+ */
+export const generateReverbImpulse = async ({
+    decay,
+    preDelay = DEFAULT_IMPULSE_PRE_DELAY,
+    sampleRate = Tone.getContext().sampleRate,
+}) => {
+    // A standalone OfflineContext (not Tone.Offline) so the live context stays the global one.
+    const context = new Tone.OfflineContext(2, decay + preDelay, sampleRate);
+    const noiseL = new Tone.Noise({ context });
+    const noiseR = new Tone.Noise({ context });
+    const merge = new Tone.Merge({ context });
+    const envelope = new Tone.Gain({ context }).toDestination();
+    noiseL.connect(merge, 0, 0);
+    noiseR.connect(merge, 0, 1);
+    merge.connect(envelope);
+    noiseL.start(0);
+    noiseR.start(0);
+
+    envelope.gain.setValueAtTime(0, 0);
+    envelope.gain.setValueAtTime(1, preDelay);
+    envelope.gain.exponentialApproachValueAtTime(0, preDelay, decay);
+
+    return context.render();
+};
+
+/**
+ * Wet/dry convolution reverb driven by a pre-generated impulse response.
+ * Until an impulse is assigned, the wet path is silent (like Tone.Reverb
+ * before its `ready` promise resolves).
+ */
+export class ImpulseReverb extends Tone.ToneAudioNode {
+    /**
+     * @param {object} [options]
+     * @param {Tone.ToneAudioBuffer|AudioBuffer} [options.impulse] The impulse response.
+     * @param {number} [options.wet=1] Wet/dry mix, 0 (dry) to 1 (wet).
+     */
+    constructor({ impulse, wet = 1 } = {}) {
+        super();
+        this.name = 'ImpulseReverb';
+        this.input = new Tone.Gain({ context: this.context });
+        this._convolver = new Tone.Convolver({ context: this.context, url: impulse });
+        this._dryWet = new Tone.CrossFade({ context: this.context, fade: wet });
+        this.output = this._dryWet;
+        /** The wet/dry mix, 0 (dry) to 1 (wet). */
+        this.wet = this._dryWet.fade;
+
+        this.input.connect(this._dryWet.a);
+        this.input.chain(this._convolver, this._dryWet.b);
+    }
+
+    /** The impulse response currently in use (null until one is assigned). */
+    get impulse() {
+        return this._convolver.buffer;
+    }
+
+    set impulse(buffer) {
+        this._convolver.buffer = buffer;
+    }
+
+    dispose() {
+        super.dispose();
+        this.input.dispose();
+        this._convolver.dispose();
+        this._dryWet.dispose();
+        return this;
+    }
+}
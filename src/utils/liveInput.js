@@ -0,0 +1,276 @@
+// src/utils/liveInput.js
+import * as Tone from 'tone';
+import { METER_FLOOR_DB } from './audioEngine';
+
+/**
+ * Live microphone / line input for the explorers and studios.
+ *
+ * LiveInput wraps Tone.UserMedia with an input trim, an input meter and a
+ * monitor mute used for feedback protection: with speakers as the output,
+ * the microphone hears its own processed signal and howls. The node starts
+ * muted; the useLiveInput hook (src/hooks/useLiveInput.js) unmutes it only
+ * when the output looks like headphones or the user confirms it, and mutes
+ * it again when the monitored level stays loud.
+ *
+ * For tests (or trying the input without a microphone), open() also accepts
+ * any MediaStream, e.g. one made with createTestInputStream().
+ */
+
+// Input trim range in dB
+export const INPUT_TRIM_MIN_DB = -24;
+export const INPUT_TRIM_MAX_DB = 24;
+
+// The monitored signal staying above this level is treated as feedback...
+export const FEEDBACK_LEVEL_DB = -12;
+// ...once it has stayed there this long (ms). Howling builds up well below
+// full scale, so the level is low enough to catch it early; a steady loud
+// line input can trip it too, and the user can then lower the trim and unmute.
+export const FEEDBACK_HOLD_MS = 750;
+// How often the monitored level is checked for feedback (ms)
+const FEEDBACK_CHECK_INTERVAL_MS = 50;
+
+// Output device names that suggest headphones
+const HEADPHONE_LABEL_PATTERN = /head(phone|set)|earphone|earbud|airpods|in-ear/i;
+
+// Short ramp for mute and start/stop, to avoid clicks
+const FADE_TIME = 0.02;
+
+// A Tone.Meter reading in dBFS, clamped to the meter floor
+const toMeterLevel = (level) => (
+    Number.isFinite(level) ? Math.max(METER_FLOOR_DB, level) : METER_FLOOR_DB
+);
+
+/**
+ * Whether the browser can capture audio input.
+ * @returns {boolean}
+ */
+export const isLiveInputSupported = () => Tone.UserMedia.supported;
+
+/**
+ * Lists the audio input devices. Labels stay empty until the user has granted
+ * microphone access once.
+ * @returns {Promise<MediaDeviceInfo[]>}
+ */
+export const listInputDevices = () => Tone.UserMedia.enumerateDevices();
+
+/**
+ * Guesses whether the audio output is headphones from the output device's
+ * name. Browsers do not report the output type, so anything not clearly
+ * named like headphones counts as speakers.
+ * @returns {Promise<boolean>} true only when the default output is named like headphones.
+ */
+export const isHeadphoneOutput = async () => {
+    try {
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        const outputs = devices.filter(device => device.kind === 'audiooutput');
+        const output = outputs.find(device => device.deviceId === 'default') ?? outputs[0];
+        return Boolean(output && HEADPHONE_LABEL_PATTERN.test(output.label));
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * User-facing message for a failure to open the input.
+ * @param {Error} error The error from LiveInput#open.
+ * @returns {string} The message.
+ */
+export const describeInputError = (error) => (
+    error.name === 'NotAllowedError'
+        ? 'Microphone access was blocked. Allow it in your browser to use the live input.'
+        : `Could not open the input: ${error.message || error}`
+);
+
+/**
+ * Creates a MediaStream carrying a steady test tone, to stand in for a
+ * microphone: `liveInput.open({ stream })`.
+ * @param {object} [options]
+ * @param {number} [options.frequency=440] Tone frequency in Hz.
+ * @param {number} [options.level=0.25] Linear amplitude.
+ * @param {Tone.BaseContext} [options.context] Context to create it in; defaults to the global one.
+ * @returns {{ stream: MediaStream, stop: () => void }} The stream and a function that ends it.
+ */
+export const createTestInputStream = ({ frequency = 440, level = 0.25, context = Tone.getContext() } = {}) => {
+    const { rawContext } = context;
+    const oscillator = rawContext.createOscillator();
+    oscillator.frequency.value = frequency;
+    const gain = rawContext.createGain();
+    gain.gain.value = level;
+    const destination = rawContext.createMediaStreamDestination();
+    oscillator.connect(gain).connect(destination);
+    oscillator.start();
+
+    return {
+        stream: destination.stream,
+        stop: () => {
+            oscillator.stop();
+            oscillator.disconnect();
+            gain.disconnect();
+            destination.stream.getTracks().forEach(track => track.stop());
+        },
+    };
+};
+
+/**
+ * Watches a live input for feedback: mutes its monitor once the monitored
+ * level has stayed at FEEDBACK_LEVEL_DB or above for FEEDBACK_HOLD_MS.
+ * @param {() => (LiveInput|null)} getInput Returns the node to watch, if any.
+ * @param {() => void} onFeedback Called after the monitor was muted.
+ * @returns {() => void} Stops watching.
+ */
+export const watchFeedback = (getInput, onFeedback) => {
+    let loudSince = null;
+    const intervalId = setInterval(() => {
+        const input = getInput();
+        if (!input || input.muted || input.getMonitorLevel() < FEEDBACK_LEVEL_DB) {
+            loudSince = null;
+            return;
+        }
+        const now = performance.now();
+        if (loudSince === null) {
+            loudSince = now;
+        } else if (now - loudSince >= FEEDBACK_HOLD_MS) {
+            console.warn('liveInput: Monitored signal stayed loud; muting the monitor.');
+            input.muted = true;
+            loudSince = null;
+            onFeedback();
+        }
+    }, FEEDBACK_CHECK_INTERVAL_MS);
+
+    return () => clearInterval(intervalId);
+};
+
+/**
+ * Live input source node: input → trim → (meter) → start/stop gate → monitor mute → output (→ monitor meter).
+ * Like a player it has start(), stop() and state; start() lets the input
+ * through, it does not open the device.
+ */
+export class LiveInput extends Tone.ToneAudioNode {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.trim=0] Input trim in dB.
+     */
+    constructor({ trim = 0 } = {}) {
+        super();
+        this.name = 'LiveInput';
+        this.input = undefined;
+
+        this._userMedia = new Tone.UserMedia({ context: this.context });
+        this._trim = new Tone.Gain({ context: this.context, gain: trim, units: 'decibels' });
+        /** The input trim in dB. */
+        this.trim = this._trim.gain;
+        this._meter = new Tone.Meter({ context: this.context, smoothing: 0.6 });
+        this._monitorMeter = new Tone.Meter({ context: this.context, smoothing: 0.6 });
+        this._gate = new Tone.Gain({ context: this.context, gain: 0 });
+        this.output = new Tone.Gain({ context: this.context, gain: 0 });
+
+        this._userMedia.connect(this._trim);
+        this._trim.connect(this._meter);
+        this._trim.chain(this._gate, this.output);
+        this.output.connect(this._monitorMeter);
+
+        this._stream = null;
+        this._streamSource = null;
+        this._isStarted = false;
+        this._isMuted = true;
+    }
+
+    /**
+     * Opens an input device, or wraps a given stream. Replaces any open input.
+     * @param {object} [options]
+     * @param {string} [options.deviceId] Device to open; defaults to the first input.
+     * @param {MediaStream} [options.stream] Stream to use instead of a device. The caller keeps
+     *        ownership of it: close() disconnects it but does not stop its tracks.
+     * @returns {Promise<LiveInput>} This node, once the input is connected.
+     * @throws {Error} If access is denied or no input device exists.
+     */
+    async open({ deviceId, stream } = {}) {
+        this.close();
+        if (stream) {
+            this._stream = stream;
+            this._streamSource = this.context.createMediaStreamSource(stream);
+            Tone.connect(this._streamSource, this._trim);
+        } else {
+            await this._userMedia.open(deviceId);
+            if (this.disposed) this._userMedia.close();
+        }
+        return this;
+    }
+
+    /** Releases the input device (or disconnects the given stream). */
+    close() {
+        this._userMedia.close();
+        if (this._streamSource) {
+            this._streamSource.disconnect();
+            this._streamSource = null;
+            this._stream = null;
+        }
+        return this;
+    }
+
+    /** Whether an input is connected. */
+    get isOpen() {
+        return this._stream ? this._stream.active : this._userMedia.state === 'started';
+    }
+
+    /** Id of the open device, if a device is open. */
+    get deviceId() {
+        return this._userMedia.deviceId;
+    }
+
+    /** 'started' or 'stopped'. */
+    get state() {
+        return this._isStarted ? 'started' : 'stopped';
+    }
+
+    start(time) {
+        this._isStarted = true;
+        this._gate.gain.rampTo(1, FADE_TIME, time);
+        return this;
+    }
+
+    stop(time) {
+        this._isStarted = false;
+        this._gate.gain.rampTo(0, FADE_TIME, time);
+        return this;
+    }
+
+    /** Whether the monitor output is muted for feedback protection. */
+    get muted() {
+        return this._isMuted;
+    }
+
+    set muted(muted) {
+        this._isMuted = muted;
+        this.output.gain.rampTo(muted ? 0 : 1, FADE_TIME);
+    }
+
+    /**
+     * Current input level after the trim, whether or not it is monitored.
+     * @returns {number} Level in dBFS, METER_FLOOR_DB for silence.
+     */
+    getLevel() {
+        return toMeterLevel(this._meter.getValue());
+    }
+
+    /**
+     * Current level of the monitored signal: after the trim, and silent while
+     * stopped or muted. Feedback protection watches this one.
+     * @returns {number} Level in dBFS, METER_FLOOR_DB for silence.
+     */
+    getMonitorLevel() {
+        return toMeterLevel(this._monitorMeter.getValue());
+    }
+
+    dispose() {
+        super.dispose();
+        this.close();
+        this._userMedia.dispose();
+        this._trim.dispose();
+        this._meter.dispose();
+        this._monitorMeter.dispose();
+        this._gate.dispose();
+        this.output.dispose();
+        return this;
+    }
+}
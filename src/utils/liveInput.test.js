@@ -0,0 +1,104 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+    LiveInput,
+    createTestInputStream,
+    watchFeedback,
+    FEEDBACK_LEVEL_DB,
+    FEEDBACK_HOLD_MS,
+} from './liveInput';
+
+vi.mock('tone', () => import('../test/fakeTone'));
+
+describe('LiveInput', () => {
+    let testInput;
+    let input;
+
+    beforeEach(async () => {
+        // A full-scale test tone, turned down to -12 dBFS
+        testInput = createTestInputStream({ level: 0.25 });
+        input = new LiveInput();
+        await input.open({ stream: testInput.stream });
+    });
+
+    afterEach(() => {
+        input.dispose();
+        testInput.stop();
+    });
+
+    it('opens with a fake stream', () => {
+        expect(input.isOpen).toBe(true);
+        expect(input.getLevel()).toBeCloseTo(-12, 0);
+    });
+
+    it('applies the trim before the input meter', () => {
+        input.trim.value = 6;
+        expect(input.getLevel()).toBeCloseTo(-6, 0);
+        input.trim.value = -12;
+        expect(input.getLevel()).toBeCloseTo(-24, 0);
+    });
+
+    it('starts with the monitor muted', () => {
+        input.start();
+        expect(input.muted).toBe(true);
+        expect(input.getMonitorLevel()).toBeLessThan(FEEDBACK_LEVEL_DB);
+
+        input.muted = false;
+        expect(input.getMonitorLevel()).toBeCloseTo(-12, 0);
+    });
+});
+
+describe('watchFeedback', () => {
+    let testInput;
+    let input;
+
+    beforeEach(async () => {
+        vi.useFakeTimers({ toFake: ['setInterval', 'clearInterval', 'performance'] });
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        testInput = createTestInputStream({ level: 1 });
+        input = new LiveInput();
+        await input.open({ stream: testInput.stream });
+        input.start();
+        input.muted = false;
+    });
+
+    afterEach(() => {
+        input.dispose();
+        testInput.stop();
+        vi.useRealTimers();
+        vi.restoreAllMocks();
+    });
+
+    it('mutes the monitor after a sustained loud monitor level', () => {
+        const onFeedback = vi.fn();
+        const stop = watchFeedback(() => input, onFeedback);
+
+        vi.advanceTimersByTime(FEEDBACK_HOLD_MS / 2);
+        expect(input.muted).toBe(false);
+
+        vi.advanceTimersByTime(FEEDBACK_HOLD_MS);
+        expect(input.muted).toBe(true);
+        expect(onFeedback).toHaveBeenCalledTimes(1);
+        stop();
+    });
+
+    it('watches the monitored level, so turning the trim down below the threshold stops it', () => {
+        const onFeedback = vi.fn();
+        const stop = watchFeedback(() => input, onFeedback);
+
+        input.trim.value = FEEDBACK_LEVEL_DB - 6;
+        vi.advanceTimersByTime(FEEDBACK_HOLD_MS * 2);
+        expect(input.muted).toBe(false);
+        expect(onFeedback).not.toHaveBeenCalled();
+        stop();
+    });
+
+    it('ignores loud input that is not monitored', () => {
+        const onFeedback = vi.fn();
+        const stop = watchFeedback(() => input, onFeedback);
+
+        input.stop();
+        vi.advanceTimersByTime(FEEDBACK_HOLD_MS * 2);
+        expect(onFeedback).not.toHaveBeenCalled();
+        stop();
+    });
+});
@@ -0,0 +1,85 @@
+// src/utils/lossyEncoders.js
+import { Mp3Encoder } from '@breezystack/lamejs';
+import { floatToIntegerPcm, resolveMetadataTags } from './wavEncoder';
+
+/**
+ * MP3 encoding for the export worker, with lamejs (a plain JavaScript port of
+ * LAME). Only import this module from the worker: the encoder is large and
+ * slow enough to freeze the page.
+ */
+
+// Frames per encodeBuffer() call, a whole number of MP3 frames; progress is reported after each chunk.
+const CHUNK_SIZE = 1152 * 64;
+
+// Maps metadata keys onto ID3v2.4 text frames.
+const ID3_TEXT_FRAMES = {
+    title: 'TIT2',
+    artist: 'TPE1',
+    software: 'TSSE',
+    date: 'TDRC',
+    genre: 'TCON',
+};
+const ID3_ENCODING_UTF8 = 0x03;
+
+// ID3v2 sizes are "syncsafe": 7 bits per byte.
+const syncsafe = (size) => [(size >> 21) & 0x7f, (size >> 14) & 0x7f, (size >> 7) & 0x7f, size & 0x7f];
+
+/**
+ * Builds an ID3v2.4 tag to prepend to the MP3 stream.
+ * @param {object} [metadata] { title, artist, software, comment, date, genre, preset }.
+ * @returns {Uint8Array} The tag.
+ */
+const buildId3Tag = (metadata) => {
+    const encoder = new TextEncoder();
+    const values = resolveMetadataTags(metadata);
+    const frames = [];
+    const addFrame = (id, payload) => {
+        frames.push(...encoder.encode(id), ...syncsafe(payload.length), 0, 0, ...payload);
+    };
+
+    Object.entries(ID3_TEXT_FRAMES)
+        .filter(([key]) => key in values)
+        .forEach(([key, id]) => addFrame(id, [ID3_ENCODING_UTF8, ...encoder.encode(`${values[key]}`)]));
+    if (values.comment) {
+        // Encoding, language, empty short description, text
+        addFrame('COMM', [ID3_ENCODING_UTF8, ...encoder.encode('eng'), 0, ...encoder.encode(values.comment)]);
+    }
+
+    return new Uint8Array([...encoder.encode('ID3'), 4, 0, 0, ...syncsafe(frames.length), ...frames]);
+};
+
+/**
+ * Encodes raw channel data as a constant-bitrate MP3 with an ID3v2 tag.
+ * Sources with more than two channels are reduced to the first two.
+ * @param {Float32Array[]} channels One Float32Array per channel.
+ * @param {number} sampleRate Sample rate of the data in Hz, one MP3 can store
+ *        (MP3_SAMPLE_RATES in src/utils/audioExport.js, which resamples to one).
+ * @param {object} [options]
+ * @param {number} [options.bitrate=320] Bitrate in kbps.
+ * @param {boolean} [options.dither=true] Apply TPDF dither when converting to the encoder's 16-bit input.
+ * @param {object} [options.metadata] Tags, see resolveMetadataTags.
+ * @param {(fraction: number) => void} [options.onProgress] Called with 0..1.
+ * @returns {Promise<Uint8Array>} The MP3 file.
+ */
+export const encodeMp3FromChannels = async (channels, sampleRate, options = {}) => {
+    const { bitrate = 320, dither = true, metadata, onProgress } = options;
+    const pcm = channels.slice(0, 2).map(channel => Int16Array.from(floatToIntegerPcm(channel, 16, dither)));
+    const encoder = new Mp3Encoder(pcm.length, sampleRate, bitrate);
+
+    const chunks = [buildId3Tag(metadata)];
+    const length = pcm[0].length;
+    for (let start = 0; start < length; start += CHUNK_SIZE) {
+        const end = Math.min(start + CHUNK_SIZE, length);
+        chunks.push(encoder.encodeBuffer(...pcm.map(channel => channel.subarray(start, end))));
+        if (onProgress) onProgress(end / length);
+    }
+    chunks.push(encoder.flush());
+
+    const output = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+    let offset = 0;
+    chunks.forEach(chunk => {
+        output.set(chunk, offset);
+        offset += chunk.length;
+    });
+    return output;
+};
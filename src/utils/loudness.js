@@ -0,0 +1,420 @@
+// src/utils/loudness.js
+
+/**
+ * ITU-R BS.1770-4 loudness measurement (with EBU R 128 loudness range),
+ * shared by the realtime meter (src/utils/loudnessMeter.js) and the offline
+ * analysis of exported files. Plain math with no Tone.js or DOM access, so it
+ * also runs inside the encoder worker.
+ *
+ * - Momentary loudness: 400 ms blocks, short-term: 3 s windows, both
+ *   updated every 100 ms.
+ * - Integrated loudness: 400 ms blocks with 75% overlap, absolute gate at
+ *   -70 LUFS, relative gate 10 LU below the absolutely gated level.
+ * - Loudness range: spread between the 10th and 95th percentiles of the
+ *   short-term values, after a -70 LUFS absolute and -20 LU relative gate.
+ * - True peak: 4x oversampled with a 48-tap interpolation filter.
+ *
+ * Values are in LUFS (loudness), LU (range) and dBTP (true peak); silence
+ * measures as -Infinity.
+ */
+
+export const ABSOLUTE_GATE_LUFS = -70;
+const RELATIVE_GATE_LU = -10;
+const RANGE_RELATIVE_GATE_LU = -20;
+const RANGE_LOW_PERCENTILE = 0.1;
+const RANGE_HIGH_PERCENTILE = 0.95;
+// Resolution and top of the realtime meter's gating histograms
+const HISTOGRAM_STEP_LU = 0.1;
+const HISTOGRAM_MAX_LUFS = 30;
+const HISTOGRAM_BINS = Math.round((HISTOGRAM_MAX_LUFS - ABSOLUTE_GATE_LUFS) / HISTOGRAM_STEP_LU);
+
+// Window lengths in seconds, and the hop between measurements
+export const MOMENTARY_WINDOW = 0.4;
+export const SHORT_TERM_WINDOW = 3;
+export const BLOCK_HOP = 0.1;
+const HOPS_PER_MOMENTARY = Math.round(MOMENTARY_WINDOW / BLOCK_HOP);
+const HOPS_PER_SHORT_TERM = Math.round(SHORT_TERM_WINDOW / BLOCK_HOP);
+
+export const TRUE_PEAK_OVERSAMPLING = 4;
+const TRUE_PEAK_TAPS_PER_PHASE = 12;
+
+// Channel weights for 5.1 order (L, R, C, LFE, Ls, Rs); the LFE is not measured
+const SURROUND_CHANNEL_WEIGHTS = [1, 1, 1, 0, 1.41, 1.41];
+
+/**
+ * Weight of a channel in the loudness sum.
+ * @param {number} index Channel index.
+ * @param {number} channelCount Number of channels.
+ * @returns {number} The weight.
+ */
+export const getChannelWeight = (index, channelCount) => (
+    channelCount <= 2 ? 1 : (SURROUND_CHANNEL_WEIGHTS[index] ?? 1)
+);
+
+/**
+ * Converts a channel-weighted mean square to LUFS.
+ * @param {number} power The mean square.
+ * @returns {number} Loudness in LUFS, -Infinity for silence.
+ */
+export const powerToLufs = (power) => (power > 0 ? -0.691 + 10 * Math.log10(power) : -Infinity);
+
+const lufsToPower = (lufs) => 10 ** ((lufs + 0.691) / 10);
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+/**
+ * Coefficients of the two K-weighting stages (high shelf, then high-pass) for
+ * a sample rate, as biquads. Same formulas as libebur128, so rates other than
+ * 48 kHz match the reference response.
+ * @param {number} sampleRate Sample rate in Hz.
+ * @returns {{ feedforward: number[], feedback: number[] }[]} The stages, in order.
+ */
+export const getKWeightingCoefficients = (sampleRate) => {
+    // Stage 1: high shelf, about +4 dB above 1.5 kHz (head diffraction)
+    let f0 = 1681.974450955533;
+    const gain = 3.999843853973347;
+    let q = 0.7071752369554196;
+    let k = Math.tan(Math.PI * f0 / sampleRate);
+    const vh = 10 ** (gain / 20);
+    const vb = vh ** 0.4996667741545416;
+    let a0 = 1 + k / q + k * k;
+    const shelf = {
+        feedforward: [(vh + vb * k / q + k * k) / a0, 2 * (k * k - vh) / a0, (vh - vb * k / q + k * k) / a0],
+        feedback: [1, 2 * (k * k - 1) / a0, (1 - k / q + k * k) / a0],
+    };
+
+    // Stage 2: high-pass around 38 Hz (RLB weighting)
+    f0 = 38.13547087602444;
+    q = 0.5003270373238773;
+    k = Math.tan(Math.PI * f0 / sampleRate);
+    a0 = 1 + k / q + k * k;
+    const highpass = {
+        feedforward: [1, -2, 1],
+        feedback: [1, 2 * (k * k - 1) / a0, (1 - k / q + k * k) / a0],
+    };
+
+    return [shelf, highpass];
+};
+
+/**
+ * Integrated loudness of 400 ms block powers, with the absolute and relative gates.
+ * @param {number[]} blockPowers Channel-weighted mean squares of the blocks.
+ * @returns {number} Integrated loudness in LUFS, -Infinity if every block is gated out.
+ */
+export const gatedLoudness = (blockPowers) => {
+    const absoluteGate = lufsToPower(ABSOLUTE_GATE_LUFS);
+    const aboveAbsolute = blockPowers.filter(power => power > absoluteGate);
+    if (aboveAbsolute.length === 0) return -Infinity;
+
+    const relativeGate = mean(aboveAbsolute) * 10 ** (RELATIVE_GATE_LU / 10);
+    const gated = aboveAbsolute.filter(power => power > relativeGate);
+    return powerToLufs(mean(gated));
+};
+
+/**
+ * Loudness range (EBU Tech 3342) of short-term powers.
+ * @param {number[]} shortTermPowers Channel-weighted mean squares of the 3 s windows.
+ * @returns {number} Loudness range in LU, 0 when there is too little signal.
+ */
+export const loudnessRange = (shortTermPowers) => {
+    const absoluteGate = lufsToPower(ABSOLUTE_GATE_LUFS);
+    const aboveAbsolute = shortTermPowers.filter(power => power > absoluteGate);
+    if (aboveAbsolute.length < 2) return 0;
+
+    const relativeGate = mean(aboveAbsolute) * 10 ** (RANGE_RELATIVE_GATE_LU / 10);
+    const gated = aboveAbsolute
+        .filter(power => power > relativeGate)
+        .map(powerToLufs)
+        .sort((a, b) => a - b);
+    if (gated.length < 2) return 0;
+
+    const percentile = (fraction) => gated[Math.round(fraction * (gated.length - 1))];
+    return percentile(RANGE_HIGH_PERCENTILE) - percentile(RANGE_LOW_PERCENTILE);
+};
+
+/**
+ * Running version of gatedLoudness and loudnessRange for a measurement with no
+ * end, like the realtime meter. Powers above the absolute gate are counted in
+ * 0.1 LU bins, each keeping its power sum, so adding a block and reading the
+ * gated values take the same time however long the measurement has run. The
+ * readings match the array versions to within one bin.
+ */
+export class LoudnessHistogram {
+    constructor() {
+        this._counts = new Uint32Array(HISTOGRAM_BINS);
+        this._sums = new Float64Array(HISTOGRAM_BINS);
+        this._count = 0;
+        this._sum = 0;
+    }
+
+    /**
+     * Adds one block or short-term window.
+     * @param {number} power Its channel-weighted mean square.
+     */
+    add(power) {
+        const lufs = powerToLufs(power);
+        if (!(lufs > ABSOLUTE_GATE_LUFS)) return;
+        const bin = Math.min(Math.floor((lufs - ABSOLUTE_GATE_LUFS) / HISTOGRAM_STEP_LU), HISTOGRAM_BINS - 1);
+        this._counts[bin]++;
+        this._sums[bin] += power;
+        this._count++;
+        this._sum += power;
+    }
+
+    // First bin at or above a gate relative to the absolutely gated mean
+    _relativeGateBin(relativeGateLu) {
+        const gate = powerToLufs(this._sum / this._count) + relativeGateLu;
+        return Math.max(0, Math.floor((gate - ABSOLUTE_GATE_LUFS) / HISTOGRAM_STEP_LU));
+    }
+
+    /**
+     * Integrated loudness of the added blocks, as gatedLoudness().
+     * @returns {number} Integrated loudness in LUFS, -Infinity if every block is gated out.
+     */
+    gatedLoudness() {
+        if (this._count === 0) return -Infinity;
+
+        let count = 0;
+        let sum = 0;
+        for (let bin = this._relativeGateBin(RELATIVE_GATE_LU); bin < HISTOGRAM_BINS; bin++) {
+            count += this._counts[bin];
+            sum += this._sums[bin];
+        }
+        return count > 0 ? powerToLufs(sum / count) : -Infinity;
+    }
+
+    /**
+     * Loudness range of the added short-term windows, as loudnessRange().
+     * @returns {number} Loudness range in LU, 0 when there is too little signal.
+     */
+    loudnessRange() {
+        if (this._count < 2) return 0;
+
+        const firstBin = this._relativeGateBin(RANGE_RELATIVE_GATE_LU);
+        let total = 0;
+        for (let bin = firstBin; bin < HISTOGRAM_BINS; bin++) {
+            total += this._counts[bin];
+        }
+        if (total < 2) return 0;
+
+        // Loudness at the middle of the bin holding the nth gated window, in order
+        const percentile = (fraction) => {
+            const index = Math.round(fraction * (total - 1));
+            let seen = 0;
+            let bin = firstBin;
+            for (; bin < HISTOGRAM_BINS - 1; bin++) {
+                seen += this._counts[bin];
+                if (seen > index) break;
+            }
+            return ABSOLUTE_GATE_LUFS + (bin + 0.5) * HISTOGRAM_STEP_LU;
+        };
+        return percentile(RANGE_HIGH_PERCENTILE) - percentile(RANGE_LOW_PERCENTILE);
+    }
+}
+
+// Polyphase interpolation filter for the true-peak detector: a windowed-sinc
+// low-pass at the original Nyquist, split into one 12-tap filter per phase,
+// each normalized to unity gain.
+const TRUE_PEAK_PHASES = (() => {
+    const length = TRUE_PEAK_OVERSAMPLING * TRUE_PEAK_TAPS_PER_PHASE;
+    const center = (length - 1) / 2;
+    const phases = [];
+    for (let phase = 0; phase < TRUE_PEAK_OVERSAMPLING; phase++) {
+        const taps = new Float64Array(TRUE_PEAK_TAPS_PER_PHASE);
+        let sum = 0;
+        for (let tap = 0; tap < TRUE_PEAK_TAPS_PER_PHASE; tap++) {
+            const n = tap * TRUE_PEAK_OVERSAMPLING + phase;
+            const x = (n - center) / TRUE_PEAK_OVERSAMPLING;
+            const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+            const window = 0.42 - 0.5 * Math.cos(2 * Math.PI * n / (length - 1)) + 0.08 * Math.cos(4 * Math.PI * n / (length - 1));
+            taps[tap] = sinc * window;
+            sum += taps[tap];
+        }
+        phases.push(taps.map(value => value / sum));
+    }
+    return phases;
+})();
+
+/**
+ * Highest absolute value of a signal oversampled 4x, including the original
+ * samples. Keeps the last samples of each channel so a stream can be fed in
+ * pieces.
+ */
+export class TruePeakDetector {
+    /**
+     * @param {number} channelCount Number of channels.
+     */
+    constructor(channelCount) {
+        this._history = Array.from({ length: channelCount }, () => new Float32Array(TRUE_PEAK_TAPS_PER_PHASE - 1));
+        this.peak = 0;
+    }
+
+    /**
+     * Feeds samples of one channel.
+     * @param {number} channel Channel index.
+     * @param {Float32Array} samples The samples.
+     * @param {number} [start=0] First sample to use.
+     * @param {number} [end=samples.length] One past the last sample to use.
+     * @returns {number} The true peak of these samples (linear).
+     */
+    process(channel, samples, start = 0, end = samples.length) {
+        const history = this._history[channel];
+        const historyLength = history.length;
+        // The previous piece's tail followed by this piece
+        const buffer = new Float32Array(historyLength + end - start);
+        buffer.set(history);
+        buffer.set(samples.subarray(start, end), historyLength);
+
+        let peak = 0;
+        for (let i = historyLength; i < buffer.length; i++) {
+            const magnitude = Math.abs(buffer[i]);
+            if (magnitude > peak) peak = magnitude;
+            for (let phase = 0; phase < TRUE_PEAK_OVERSAMPLING; phase++) {
+                const taps = TRUE_PEAK_PHASES[phase];
+                let value = 0;
+                for (let tap = 0; tap < TRUE_PEAK_TAPS_PER_PHASE; tap++) {
+                    value += taps[tap] * buffer[i - tap];
+                }
+                const interpolated = Math.abs(value);
+                if (interpolated > peak) peak = interpolated;
+            }
+        }
+
+        // Keep the tail for the next piece
+        history.set(buffer.subarray(buffer.length - historyLength));
+        if (peak > this.peak) this.peak = peak;
+        return peak;
+    }
+}
+
+/** One biquad stage with its own state (direct form I). */
+const createBiquad = ({ feedforward: [b0, b1, b2], feedback: [, a1, a2] }) => {
+    let x1 = 0;
+    let x2 = 0;
+    let y1 = 0;
+    let y2 = 0;
+    return (x) => {
+        const y = b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+        x2 = x1;
+        x1 = x;
+        y2 = y1;
+        y1 = y;
+        return y;
+    };
+};
+
+/**
+ * Streaming BS.1770 analyzer: feed it the samples of a signal in order and
+ * read the momentary, short-term and integrated loudness, loudness range and
+ * true peak at any point.
+ */
+export class LoudnessAnalyzer {
+    /**
+     * @param {number} sampleRate Sample rate in Hz.
+     * @param {number} channelCount Number of channels.
+     * @param {object} [options]
+     * @param {boolean} [options.truePeak=true] Measures the true peak too (the slowest part).
+     */
+    constructor(sampleRate, channelCount, { truePeak = true } = {}) {
+        const stages = getKWeightingCoefficients(sampleRate);
+        this._filters = Array.from({ length: channelCount }, () => stages.map(createBiquad));
+        this._weights = Array.from({ length: channelCount }, (_, index) => getChannelWeight(index, channelCount));
+        this._hopSize = Math.round(BLOCK_HOP * sampleRate);
+        this._hopFill = 0;
+        this._hopSums = new Float64Array(channelCount);
+        this._recentHops = []; // Powers of the last HOPS_PER_SHORT_TERM hops
+        this.momentaryPowers = [];
+        this.shortTermPowers = [];
+        this._truePeak = truePeak ? new TruePeakDetector(channelCount) : null;
+    }
+
+    /**
+     * Feeds the next samples.
+     * @param {Float32Array[]} channels One array per channel, all the same length.
+     * @param {number} [start=0] First sample to use.
+     * @param {number} [end] One past the last sample to use; defaults to the array length.
+     */
+    process(channels, start = 0, end = channels[0].length) {
+        let position = start;
+        while (position < end) {
+            const count = Math.min(this._hopSize - this._hopFill, end - position);
+            channels.forEach((samples, channel) => {
+                const [shelf, highpass] = this._filters[channel];
+                let sum = 0;
+                for (let i = position; i < position + count; i++) {
+                    const weighted = highpass(shelf(samples[i]));
+                    sum += weighted * weighted;
+                }
+                this._hopSums[channel] += sum;
+                if (this._truePeak) this._truePeak.process(channel, samples, position, position + count);
+            });
+            this._hopFill += count;
+            position += count;
+            if (this._hopFill === this._hopSize) this._completeHop();
+        }
+    }
+
+    _completeHop() {
+        let power = 0;
+        this._hopSums.forEach((sum, channel) => {
+            power += this._weights[channel] * sum / this._hopSize;
+        });
+        this._hopSums.fill(0);
+        this._hopFill = 0;
+
+        this._recentHops.push(power);
+        if (this._recentHops.length > HOPS_PER_SHORT_TERM) this._recentHops.shift();
+        if (this._recentHops.length >= HOPS_PER_MOMENTARY) {
+            this.momentaryPowers.push(mean(this._recentHops.slice(-HOPS_PER_MOMENTARY)));
+        }
+        if (this._recentHops.length === HOPS_PER_SHORT_TERM) {
+            this.shortTermPowers.push(mean(this._recentHops));
+        }
+    }
+
+    /**
+     * The measurements so far.
+     * @returns {{ momentary: number, shortTerm: number, integrated: number, range: number,
+     *             truePeak: number, momentaryMax: number, shortTermMax: number }}
+     *          Loudness in LUFS, range in LU and true peak in dBTP.
+     */
+    getResult() {
+        const last = (values) => (values.length > 0 ? powerToLufs(values[values.length - 1]) : -Infinity);
+        const max = (values) => powerToLufs(values.reduce((highest, value) => Math.max(highest, value), 0));
+        return {
+            momentary: last(this.momentaryPowers),
+            shortTerm: last(this.shortTermPowers),
+            integrated: gatedLoudness(this.momentaryPowers),
+            range: loudnessRange(this.shortTermPowers),
+            truePeak: this._truePeak?.peak > 0 ? 20 * Math.log10(this._truePeak.peak) : -Infinity,
+            momentaryMax: max(this.momentaryPowers),
+            shortTermMax: max(this.shortTermPowers),
+        };
+    }
+}
+
+/**
+ * Measures a whole signal.
+ * @param {Float32Array[]} channels One array per channel.
+ * @param {number} sampleRate Sample rate in Hz.
+ * @returns {{ integrated: number, range: number, truePeak: number, momentaryMax: number,
+ *             shortTermMax: number }} Loudness in LUFS, range in LU and true peak in dBTP.
+ */
+export const analyzeLoudness = (channels, sampleRate) => {
+    const analyzer = new LoudnessAnalyzer(sampleRate, channels.length);
+    analyzer.process(channels);
+    const { integrated, range, truePeak, momentaryMax, shortTermMax } = analyzer.getResult();
+    return { integrated, range, truePeak, momentaryMax, shortTermMax };
+};
+
+/**
+ * Integrated loudness of a whole signal, without the true-peak pass.
+ * @param {Float32Array[]} channels One array per channel.
+ * @param {number} sampleRate Sample rate in Hz.
+ * @returns {number} Integrated loudness in LUFS, -Infinity for silence.
+ */
+export const measureIntegratedLoudness = (channels, sampleRate) => {
+    const analyzer = new LoudnessAnalyzer(sampleRate, channels.length, { truePeak: false });
+    analyzer.process(channels);
+    return gatedLoudness(analyzer.momentaryPowers);
+};
@@ -0,0 +1,173 @@
+// src/utils/loudnessMeter.js
+import * as Tone from 'tone';
+import {
+    MOMENTARY_WINDOW,
+    SHORT_TERM_WINDOW,
+    BLOCK_HOP,
+    LoudnessHistogram,
+    TruePeakDetector,
+    getChannelWeight,
+    getKWeightingCoefficients,
+    powerToLufs,
+} from './loudness';
+
+/**
+ * Realtime BS.1770 loudness meter for a playing signal.
+ *
+ * The signal is K-weighted with native IIR filters and read back through
+ * analysers, polled every 100 ms like the output meter polls its own. Each
+ * poll gives one momentary block (the last 400 ms); short-term loudness is
+ * the mean of the last 3 s of momentary blocks, and integrated loudness and
+ * loudness range are gated over everything measured since the last reset,
+ * using running histograms (LoudnessHistogram) rather than every block.
+ * True peak runs on the unweighted samples that arrived since the previous
+ * poll.
+ *
+ * Polling means a block is lost whenever the page stalls for longer than the
+ * analyser buffer, so the readings can differ slightly from the offline
+ * analysis of an export (analyzeLoudness in src/utils/loudness.js).
+ */
+
+const CHANNEL_COUNT = 2;
+// Largest analyser size the Web Audio API allows
+const WEIGHTED_ANALYSER_SIZE = 32768;
+const PEAK_ANALYSER_SIZE = 8192;
+// Extra samples re-read for true peak, to cover timer jitter (seconds)
+const PEAK_OVERLAP = 0.02;
+const BLOCKS_PER_SHORT_TERM = Math.round(SHORT_TERM_WINDOW / BLOCK_HOP);
+
+const EMPTY_RESULT = {
+    momentary: -Infinity,
+    shortTerm: -Infinity,
+    integrated: -Infinity,
+    range: 0,
+    truePeak: -Infinity,
+    momentaryMax: -Infinity,
+    shortTermMax: -Infinity,
+};
+
+/**
+ * Loudness meter node: connect the signal to it (it has no output) and call
+ * `update()` every 100 ms while it plays, as LoudnessMeterPanel
+ * (src/components/LoudnessMeterPanel.jsx) does.
+ */
+export class LoudnessMeter extends Tone.ToneAudioNode {
+    constructor() {
+        super();
+        this.name = 'LoudnessMeter';
+
+        this.input = new Tone.Gain({ context: this.context });
+        this.output = undefined;
+
+        const rawContext = this.context.rawContext;
+        this._filters = getKWeightingCoefficients(rawContext.sampleRate)
+            .map(({ feedforward, feedback }) => rawContext.createIIRFilter(feedforward, feedback));
+        this._weightedAnalyser = new Tone.Analyser({
+            context: this.context,
+            type: 'waveform',
+            size: WEIGHTED_ANALYSER_SIZE,
+            channels: CHANNEL_COUNT,
+        });
+        this._peakAnalyser = new Tone.Analyser({
+            context: this.context,
+            type: 'waveform',
+            size: PEAK_ANALYSER_SIZE,
+            channels: CHANNEL_COUNT,
+        });
+
+        const [shelf, highpass] = this._filters;
+        Tone.connect(this.input, shelf);
+        shelf.connect(highpass);
+        Tone.connect(highpass, this._weightedAnalyser);
+        this.input.connect(this._peakAnalyser);
+
+        this.reset();
+    }
+
+    /** Forgets everything measured so far. */
+    reset() {
+        this._recentPowers = [];
+        this._momentaryHistogram = new LoudnessHistogram();
+        this._shortTermHistogram = new LoudnessHistogram();
+        this._momentaryMax = 0;
+        this._shortTermMax = 0;
+        this._truePeak = 0;
+        this._lastUpdateTime = null;
+        this._result = EMPTY_RESULT;
+    }
+
+    /**
+     * Takes one 100 ms measurement step.
+     * @returns {object} The current readings, as from getResult().
+     */
+    update() {
+        const sampleRate = this.context.sampleRate;
+
+        // Momentary: the latest 400 ms of the K-weighted signal
+        const weighted = this._weightedAnalyser.getValue();
+        const blockLength = Math.min(Math.round(MOMENTARY_WINDOW * sampleRate), WEIGHTED_ANALYSER_SIZE);
+        let power = 0;
+        weighted.forEach((samples, channel) => {
+            let sum = 0;
+            for (let i = samples.length - blockLength; i < samples.length; i++) {
+                sum += samples[i] * samples[i];
+            }
+            power += getChannelWeight(channel, CHANNEL_COUNT) * sum / blockLength;
+        });
+        this._momentaryHistogram.add(power);
+        this._momentaryMax = Math.max(this._momentaryMax, power);
+
+        // Short-term: the momentary blocks of the last 3 s
+        const recent = this._recentPowers;
+        recent.push(power);
+        if (recent.length > BLOCKS_PER_SHORT_TERM) {
+            recent.shift();
+        }
+        const shortTermPower = recent.reduce((sum, value) => sum + value, 0) / recent.length;
+        if (recent.length === BLOCKS_PER_SHORT_TERM) {
+            this._shortTermHistogram.add(shortTermPower);
+            this._shortTermMax = Math.max(this._shortTermMax, shortTermPower);
+        }
+
+        // True peak: the samples that arrived since the last update
+        const now = this.context.currentTime;
+        const elapsed = this._lastUpdateTime === null ? Infinity : now - this._lastUpdateTime;
+        this._lastUpdateTime = now;
+        const raw = this._peakAnalyser.getValue();
+        const peakLength = Math.min(Math.ceil((elapsed + PEAK_OVERLAP) * sampleRate), PEAK_ANALYSER_SIZE);
+        const detector = new TruePeakDetector(CHANNEL_COUNT);
+        raw.forEach((samples, channel) => {
+            detector.process(channel, samples, samples.length - peakLength);
+        });
+        this._truePeak = Math.max(this._truePeak, detector.peak);
+
+        this._result = {
+            momentary: powerToLufs(power),
+            shortTerm: powerToLufs(shortTermPower),
+            integrated: this._momentaryHistogram.gatedLoudness(),
+            range: this._shortTermHistogram.loudnessRange(),
+            truePeak: this._truePeak > 0 ? 20 * Math.log10(this._truePeak) : -Infinity,
+            momentaryMax: powerToLufs(this._momentaryMax),
+            shortTermMax: powerToLufs(this._shortTermMax),
+        };
+        return this._result;
+    }
+
+    /**
+     * The readings as of the last update.
+     * @returns {{ momentary: number, shortTerm: number, integrated: number, range: number,
+     *             truePeak: number, momentaryMax: number, shortTermMax: number }}
+     *          Loudness in LUFS, range in LU and true peak in dBTP (-Infinity for silence).
+     */
+    getResult() {
+        return this._result;
+    }
+
+    dispose() {
+        super.dispose();
+        this._filters.forEach(filter => filter.disconnect());
+        this._weightedAnalyser.dispose();
+        this._peakAnalyser.dispose();
+        return this;
+    }
+}
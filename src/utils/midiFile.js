@@ -0,0 +1,424 @@
+// src/utils/midiFile.js
+import { midiNoteToName } from './midiInput';
+
+/**
+ * Standard MIDI File (SMF) reader and writer. The writer exports the
+ * sequencers' patterns to a DAW as format 0 (everything in one track) or
+ * format 1 (a tempo track followed by one track per instrument), with tempo,
+ * time signature, track names, program changes and General MIDI drum notes on
+ * channel 10. The reader loads files of any format for the piano roll.
+ *
+ * Songs are plain objects, so neither needs Tone.js nor the DOM:
+ * { title, bpm, timeSignature: [4, 4], tracks: [{ name, channel, isDrum, program,
+ *   notes: [{ note: 'C4' | 60, tick, duration, velocity (0-1) }] }] }
+ * Times are in ticks at the file's resolution (MIDI_PPQ per quarter note).
+ */
+
+// Ticks per quarter note
+export const MIDI_PPQ = 480;
+
+// Channel 10 (zero-based 9) plays General MIDI drums
+export const GM_DRUM_CHANNEL = 9;
+
+// General MIDI drum notes for the drum sounds used by the tools
+export const GM_DRUM_NOTES = {
+    kick: 36,
+    rimshot: 37,
+    snare: 38,
+    clap: 39,
+    hihat: 42,
+    open_hihat: 46,
+    crash: 49,
+    ride: 51,
+};
+
+const NOTE_OFFSETS = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+// Tempo of files without a tempo event
+const DEFAULT_BPM = 120;
+
+/**
+ * MIDI note number of a note name, e.g. 'C4' → 60, 'Eb3' → 51.
+ * @param {string} name Note name with an optional # or b and an octave.
+ * @returns {number|null} The note number, or null if the name isn't a note from 0 to 127.
+ */
+export const noteNameToMidi = (name) => {
+    const match = /^([A-G])(#|b)?(-?\d+)$/.exec(name);
+    if (!match) return null;
+    const [, letter, accidental, octave] = match;
+    const number = (Number(octave) + 1) * 12 + NOTE_OFFSETS[letter] + (accidental === '#' ? 1 : accidental === 'b' ? -1 : 0);
+    return number >= 0 && number <= 127 ? number : null;
+};
+
+/**
+ * Length in ticks of a Tone.js note value ('4n', '8n', '16t', ...).
+ * @param {string} value Note value.
+ * @param {number} [ppq=MIDI_PPQ] Ticks per quarter note.
+ * @returns {number}
+ * @throws {Error} If the value isn't a note value.
+ */
+export const noteValueToTicks = (value, ppq = MIDI_PPQ) => {
+    const match = /^(\d+)(n|t)$/.exec(value);
+    if (!match || Number(match[1]) === 0) {
+        throw new Error(`Unsupported note value: ${value}`);
+    }
+    const ticks = (ppq * 4) / Number(match[1]);
+    return Math.round(match[2] === 't' ? (ticks * 2) / 3 : ticks);
+};
+
+/**
+ * Encodes a number as a MIDI variable-length quantity.
+ * @param {number} value Non-negative integer below 2^28.
+ * @returns {number[]} The bytes.
+ */
+const encodeVariableLength = (value) => {
+    const bytes = [value & 0x7f];
+    let rest = value >> 7;
+    while (rest > 0) {
+        bytes.unshift((rest & 0x7f) | 0x80);
+        rest >>= 7;
+    }
+    return bytes;
+};
+
+const textEncoder = new TextEncoder();
+
+// A meta event's bytes (without its delta time)
+const metaEvent = (type, data) => [0xff, type, ...encodeVariableLength(data.length), ...data];
+
+// Track name, or the song title in the tempo track
+const nameEvent = (name) => metaEvent(0x03, [...textEncoder.encode(name)]);
+
+// Tempo and time signature events, which belong in the first track
+const conductorEvents = (bpm, [numerator, denominator]) => {
+    const microsecondsPerQuarter = Math.round(60000000 / bpm);
+    return [
+        { tick: 0, order: 0, bytes: metaEvent(0x51, [(microsecondsPerQuarter >> 16) & 0xff, (microsecondsPerQuarter >> 8) & 0xff, microsecondsPerQuarter & 0xff]) },
+        // Clocks per metronome click and 32nd notes per quarter note are the usual 24 and 8
+        { tick: 0, order: 0, bytes: metaEvent(0x58, [numerator, Math.log2(denominator), 24, 8]) },
+    ];
+};
+
+/**
+ * The channel events of one track: its program change and its notes. Note
+ * offs sort before note ons at the same tick, so repeated notes retrigger.
+ * @param {object} track A song track.
+ * @param {number} channel Zero-based channel.
+ * @returns {{ tick: number, order: number, bytes: number[] }[]}
+ */
+const trackNoteEvents = (track, channel) => {
+    const events = [];
+    if (!track.isDrum && Number.isInteger(track.program)) {
+        events.push({ tick: 0, order: 1, bytes: [0xc0 | channel, track.program & 0x7f] });
+    }
+    track.notes.forEach(({ note, tick, duration, velocity = 1 }) => {
+        const number = typeof note === 'number' ? note : noteNameToMidi(note);
+        if (number === null || number < 0 || number > 127) {
+            console.warn(`midiFile: Skipping note "${note}" of track "${track.name}", it has no MIDI note number.`);
+            return;
+        }
+        const start = Math.max(0, Math.round(tick));
+        const end = start + Math.max(1, Math.round(duration));
+        const noteVelocity = Math.max(1, Math.min(127, Math.round(velocity * 127)));
+        events.push({ tick: start, order: 3, bytes: [0x90 | channel, number, noteVelocity] });
+        events.push({ tick: end, order: 2, bytes: [0x80 | channel, number, 0] });
+    });
+    return events;
+};
+
+/**
+ * Builds a track chunk ('MTrk') from timed events, ending it after the last one.
+ * @param {{ tick: number, order: number, bytes: number[] }[]} events
+ * @returns {number[]} The chunk bytes.
+ */
+const trackChunk = (events) => {
+    const sorted = [...events].sort((a, b) => a.tick - b.tick || a.order - b.order);
+    const data = [];
+    let lastTick = 0;
+    sorted.forEach(({ tick, bytes }) => {
+        data.push(...encodeVariableLength(tick - lastTick), ...bytes);
+        lastTick = tick;
+    });
+    data.push(0x00, ...metaEvent(0x2f, [])); // End of track
+    return [0x4d, 0x54, 0x72, 0x6b, (data.length >>> 24) & 0xff, (data.length >> 16) & 0xff, (data.length >> 8) & 0xff, data.length & 0xff, ...data];
+};
+
+/**
+ * Encodes a song as a Standard MIDI File.
+ * @param {object} song
+ * @param {string} [song.title] Written as the name of the first track.
+ * @param {number} song.bpm Tempo in beats per minute.
+ * @param {[number, number]} [song.timeSignature=[4, 4]] Numerator and (power of two) denominator.
+ * @param {object[]} song.tracks { name, notes, channel (0-15), isDrum (plays on GM_DRUM_CHANNEL), program (0-127) }.
+ *        Tracks without a channel get their own, skipping the drum channel.
+ * @param {object} [options]
+ * @param {0|1} [options.format=1] 0 writes a single track, 1 a tempo track and one track per song track.
+ * @param {number} [options.ppq=MIDI_PPQ] Ticks per quarter note the note times are in.
+ * @returns {Uint8Array} The file contents.
+ * @throws {Error} If the format, tempo, time signature or tracks are invalid.
+ */
+export const encodeMidiFile = (song, { format = 1, ppq = MIDI_PPQ } = {}) => {
+    const { title, bpm, timeSignature = [4, 4], tracks } = song;
+    if (format !== 0 && format !== 1) {
+        throw new Error(`Unsupported MIDI file format: ${format}`);
+    }
+    if (!(bpm > 0)) {
+        throw new Error(`Invalid tempo: ${bpm}`);
+    }
+    if (!Number.isInteger(timeSignature[0]) || timeSignature[0] < 1 || !Number.isInteger(Math.log2(timeSignature[1]))) {
+        throw new Error(`Invalid time signature: ${timeSignature.join('/')}`);
+    }
+    if (!tracks || tracks.length === 0) {
+        throw new Error('Cannot write a MIDI file without tracks.');
+    }
+
+    // Give melodic tracks without a channel the next free one
+    let nextChannel = 0;
+    const channels = tracks.map(track => {
+        if (track.isDrum) return GM_DRUM_CHANNEL;
+        if (Number.isInteger(track.channel)) return track.channel & 0x0f;
+        if (nextChannel === GM_DRUM_CHANNEL) nextChannel++;
+        return nextChannel++ & 0x0f;
+    });
+
+    const header = [0x4d, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, format, 0, 0, (ppq >> 8) & 0x7f, ppq & 0xff];
+    const chunks = [];
+    if (format === 0) {
+        const events = [
+            ...(title ? [{ tick: 0, order: 0, bytes: nameEvent(title) }] : []),
+            ...conductorEvents(bpm, timeSignature),
+            ...tracks.flatMap((track, index) => trackNoteEvents(track, channels[index])),
+        ];
+        chunks.push(trackChunk(events));
+    } else {
+        chunks.push(trackChunk([
+            ...(title ? [{ tick: 0, order: 0, bytes: nameEvent(title) }] : []),
+            ...conductorEvents(bpm, timeSignature),
+        ]));
+        tracks.forEach((track, index) => {
+            chunks.push(trackChunk([
+                ...(track.name ? [{ tick: 0, order: 0, bytes: nameEvent(track.name) }] : []),
+                ...trackNoteEvents(track, channels[index]),
+            ]));
+        });
+    }
+    header[10] = (chunks.length >> 8) & 0xff;
+    header[11] = chunks.length & 0xff;
+
+    return Uint8Array.from([...header, ...chunks.flat()]);
+};
+
+/**
+ * Wraps an encoded MIDI file for downloading.
+ * @param {Uint8Array} bytes The result of encodeMidiFile.
+ * @returns {Blob}
+ */
+export const createMidiBlob = (bytes) => new Blob([bytes], { type: 'audio/midi' });
+
+/**
+ * Time in seconds of a tick position, following the tempo changes.
+ * @param {{ tick: number, time: number, bpm: number }[]} tempos Tempo map from parseMidiFile, sorted by tick.
+ * @param {number} ppq Ticks per quarter note.
+ * @param {number} tick Position in ticks.
+ * @returns {number}
+ */
+export const ticksToSeconds = (tempos, ppq, tick) => {
+    let tempo = tempos[0];
+    for (let i = 1; i < tempos.length && tempos[i].tick <= tick; i++) {
+        tempo = tempos[i];
+    }
+    return tempo.time + ((tick - tempo.tick) / ppq) * (60 / tempo.bpm);
+};
+
+/**
+ * Reads the events of one track chunk.
+ * @param {DataView} view The file.
+ * @param {number} start Offset of the track data.
+ * @param {number} end Offset after the track data.
+ * @returns {{ name: string, events: object[] }} Channel and meta events with absolute ticks.
+ * @throws {Error} If the track data is cut off or malformed.
+ */
+const readTrack = (view, start, end) => {
+    const events = [];
+    let name = '';
+    let pos = start;
+    let tick = 0;
+    let runningStatus = null;
+
+    const readByte = () => {
+        if (pos >= end) throw new Error('Invalid MIDI file: a track ends in the middle of an event.');
+        return view.getUint8(pos++);
+    };
+    const readVariableLength = () => {
+        let value = 0;
+        for (let i = 0; i < 4; i++) {
+            const byte = readByte();
+            value = (value << 7) | (byte & 0x7f);
+            if (!(byte & 0x80)) return value;
+        }
+        throw new Error('Invalid MIDI file: a variable-length number is too long.');
+    };
+    const readBytes = (length) => {
+        if (pos + length > end) throw new Error('Invalid MIDI file: a track ends in the middle of an event.');
+        const bytes = new Uint8Array(view.buffer, view.byteOffset + pos, length);
+        pos += length;
+        return bytes;
+    };
+
+    while (pos < end) {
+        tick += readVariableLength();
+        let status = readByte();
+        if (status === 0xff) {
+            const type = readByte();
+            const data = readBytes(readVariableLength());
+            if (type === 0x2f) break; // End of track
+            if (type === 0x03 && !name) {
+                name = new TextDecoder().decode(data).trim();
+            } else if (type === 0x51 && data.length === 3) {
+                events.push({ tick, type: 'tempo', bpm: 60000000 / ((data[0] << 16) | (data[1] << 8) | data[2]) });
+            } else if (type === 0x58 && data.length >= 2) {
+                events.push({ tick, type: 'timeSignature', timeSignature: [data[0], 2 ** data[1]] });
+            }
+            continue;
+        }
+        if (status === 0xf0 || status === 0xf7) {
+            readBytes(readVariableLength()); // SysEx, not used
+            continue;
+        }
+        if (status < 0x80) {
+            // Running status: the byte is the first data byte of a repeated status
+            if (runningStatus === null) throw new Error('Invalid MIDI file: data byte without a status.');
+            status = runningStatus;
+            pos--;
+        }
+        runningStatus = status;
+        const kind = status & 0xf0;
+        const channel = status & 0x0f;
+        const first = readByte();
+        const second = kind === 0xc0 || kind === 0xd0 ? 0 : readByte();
+        if (kind === 0x90 && second > 0) {
+            events.push({ tick, type: 'noteOn', channel, note: first, velocity: second / 127 });
+        } else if (kind === 0x80 || kind === 0x90) {
+            events.push({ tick, type: 'noteOff', channel, note: first });
+        } else if (kind === 0xc0) {
+            events.push({ tick, type: 'program', channel, program: first });
+        }
+    }
+    return { name, events, endTick: tick };
+};
+
+/**
+ * Reads a Standard MIDI File (format 0, 1 or 2) into a song for playback.
+ * @param {ArrayBuffer} buffer The file contents.
+ * @returns {object} { format, ppq, bpm (initial tempo), timeSignature, tempos: [{ tick, time, bpm }],
+ *          duration (seconds), tracks: [{ name, channel, program, isDrum, notes }] } where notes are
+ *          { note (MIDI number), name ('C4'), channel, tick, durationTicks, time, duration (seconds), velocity (0-1) }
+ *          sorted by time. Tracks without notes are left out, tracks on several channels are split.
+ * @throws {Error} If the file isn't a MIDI file, is cut off or uses SMPTE timing.
+ */
+export const parseMidiFile = (buffer) => {
+    const view = new DataView(buffer);
+    const readId = (offset) => (offset + 4 <= view.byteLength
+        ? String.fromCharCode(...new Uint8Array(buffer, offset, 4))
+        : '');
+    if (readId(0) !== 'MThd' || view.byteLength < 14) {
+        throw new Error('Not a MIDI file.');
+    }
+    const headerLength = view.getUint32(4);
+    const format = view.getUint16(8);
+    const trackCount = view.getUint16(10);
+    const division = view.getUint16(12);
+    if (division & 0x8000) {
+        throw new Error('MIDI files timed in SMPTE frames are not supported.');
+    }
+    const ppq = division;
+    if (ppq === 0) {
+        throw new Error('Invalid MIDI file: zero ticks per quarter note.');
+    }
+
+    // Read the tracks; chunks of other types are skipped
+    const rawTracks = [];
+    let offset = 8 + headerLength;
+    while (rawTracks.length < trackCount && offset + 8 <= view.byteLength) {
+        const id = readId(offset);
+        const length = view.getUint32(offset + 4);
+        const end = offset + 8 + length;
+        if (end > view.byteLength) {
+            throw new Error('Invalid MIDI file: a track is cut off.');
+        }
+        if (id === 'MTrk') {
+            rawTracks.push(readTrack(view, offset + 8, end));
+        }
+        offset = end;
+    }
+    if (rawTracks.length === 0) {
+        throw new Error('The MIDI file has no tracks.');
+    }
+
+    // Tempo map from all tracks (type 1 files keep it in the first one)
+    const tempoEvents = rawTracks.flatMap(track => track.events.filter(event => event.type === 'tempo'))
+        .sort((a, b) => a.tick - b.tick);
+    const tempos = [{ tick: 0, time: 0, bpm: tempoEvents[0]?.tick === 0 ? tempoEvents[0].bpm : DEFAULT_BPM }];
+    tempoEvents.forEach(({ tick, bpm }) => {
+        const last = tempos[tempos.length - 1];
+        if (tick === last.tick) {
+            last.bpm = bpm;
+        } else {
+            tempos.push({ tick, time: ticksToSeconds(tempos, ppq, tick), bpm });
+        }
+    });
+    const timeSignatureEvent = rawTracks.flatMap(track => track.events).find(event => event.type === 'timeSignature');
+    const timeSignature = timeSignatureEvent ? timeSignatureEvent.timeSignature : [4, 4];
+
+    // Pair note ons with their note offs; notes still on when the track ends stop there.
+    // A track playing on several channels (as in format 0 files) is split per channel.
+    const tracks = rawTracks.flatMap(({ name, events, endTick }, index) => {
+        const notes = [];
+        const open = new Map(); // 'channel:note' → note ons waiting for their note off
+        const close = (started, tick) => {
+            const durationTicks = Math.max(1, tick - started.tick);
+            const time = ticksToSeconds(tempos, ppq, started.tick);
+            notes.push({
+                ...started,
+                durationTicks,
+                time,
+                duration: ticksToSeconds(tempos, ppq, started.tick + durationTicks) - time,
+            });
+        };
+        const programs = new Map(); // Channel → first program
+        events.forEach(event => {
+            const key = `${event.channel}:${event.note}`;
+            if (event.type === 'noteOn') {
+                const started = { note: event.note, name: midiNoteToName(event.note), channel: event.channel, tick: event.tick, velocity: event.velocity };
+                open.set(key, [...(open.get(key) ?? []), started]);
+            } else if (event.type === 'noteOff') {
+                const waiting = open.get(key);
+                if (waiting?.length) close(waiting.shift(), event.tick);
+            } else if (event.type === 'program' && !programs.has(event.channel)) {
+                programs.set(event.channel, event.program);
+            }
+        });
+        open.forEach(waiting => waiting.forEach(started => close(started, endTick)));
+        notes.sort((a, b) => a.time - b.time || a.note - b.note);
+
+        const trackName = name || `Track ${index + 1}`;
+        const channels = [...new Set(notes.map(note => note.channel))].sort((a, b) => a - b);
+        return channels.map(channel => ({
+            name: channels.length > 1 ? `${trackName} (channel ${channel + 1})` : trackName,
+            channel,
+            program: programs.get(channel) ?? null,
+            isDrum: channel === GM_DRUM_CHANNEL,
+            notes: notes.filter(note => note.channel === channel),
+        }));
+    });
+
+    return {
+        format,
+        ppq,
+        bpm: tempos[0].bpm,
+        timeSignature,
+        tempos,
+        duration: Math.max(0, ...tracks.flatMap(track => track.notes.map(note => note.time + note.duration))),
+        tracks,
+    };
+};
@@ -0,0 +1,223 @@
+// src/utils/midiInput.js
+
+/**
+ * Web MIDI input for the instruments: parsing MIDI messages, routing them to
+ * note and controller handlers (with the sustain pedal holding released
+ * notes), and connecting the inputs of a MIDIAccess.
+ *
+ * Nothing here touches the browser's MIDI API directly: everything works on a
+ * MIDIAccess-like object, so a mock can stand in for it:
+ * { inputs: Map<id, { id, name, manufacturer, state, addEventListener, removeEventListener }>,
+ *   addEventListener, removeEventListener }
+ * where inputs dispatch 'midimessage' events ({ data: Uint8Array }) and the
+ * access dispatches 'statechange' when devices come and go.
+ */
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Controller numbers
+const CC_MOD_WHEEL = 1;
+const CC_SUSTAIN = 64;
+const CC_ALL_SOUND_OFF = 120;
+const CC_ALL_NOTES_OFF = 123;
+
+// localStorage key for whether MIDI input is on and which device is used
+const MIDI_SETTINGS_STORAGE_KEY = 'lyrilab.midiInput';
+
+// Pitch bend range of the instruments, in semitones either way
+export const PITCH_BEND_RANGE = 2;
+// Vibrato depth (0-1) at full mod wheel
+export const MOD_WHEEL_VIBRATO_DEPTH = 0.3;
+
+/**
+ * Note name of a MIDI note number, e.g. 60 → 'C4'.
+ * @param {number} note MIDI note number (0-127).
+ * @returns {string}
+ */
+export const midiNoteToName = (note) => `${NOTE_NAMES[note % 12]}${Math.floor(note / 12) - 1}`;
+
+/**
+ * Decodes a MIDI channel message. Running status and system messages are not
+ * used by the instruments and come back as null.
+ * @param {Uint8Array|number[]} data The message bytes.
+ * @returns {object|null} { type: 'noteon'|'noteoff', channel, note, velocity (0-1) },
+ *          { type: 'controlchange', channel, controller, value (0-127) } or
+ *          { type: 'pitchbend', channel, amount (-1 to 1) }.
+ */
+export const parseMidiMessage = (data) => {
+    if (!data || data.length < 2) return null;
+    const status = data[0] & 0xf0;
+    const channel = data[0] & 0x0f;
+    switch (status) {
+        case 0x90:
+            if (data.length < 3) return null;
+            return data[2] > 0
+                ? { type: 'noteon', channel, note: data[1], velocity: data[2] / 127 }
+                : { type: 'noteoff', channel, note: data[1], velocity: 0 };
+        case 0x80:
+            return data.length < 3 ? null : { type: 'noteoff', channel, note: data[1], velocity: data[2] / 127 };
+        case 0xb0:
+            return data.length < 3 ? null : { type: 'controlchange', channel, controller: data[1], value: data[2] };
+        case 0xe0: {
+            if (data.length < 3) return null;
+            const value = (data[2] << 7) | data[1]; // 14 bits, 8192 is the center
+            return { type: 'pitchbend', channel, amount: Math.max(-1, (value - 8192) / 8191) };
+        }
+        default:
+            return null;
+    }
+};
+
+/**
+ * Routes MIDI messages from all channels to an instrument. While the sustain
+ * pedal is down, released notes keep sounding until the pedal is let go.
+ * @param {object} handlers Called with note names (e.g. 'C4'); all optional.
+ * @param {(note: string, velocity: number) => void} [handlers.onNoteOn] Velocity 0-1.
+ * @param {(note: string) => void} [handlers.onNoteOff]
+ * @param {(amount: number) => void} [handlers.onPitchBend] -1 to 1.
+ * @param {(amount: number) => void} [handlers.onModWheel] 0 to 1.
+ * @param {(isDown: boolean) => void} [handlers.onSustain]
+ * @returns {{ handleMessage: (data: Uint8Array|number[]) => void, releaseAll: () => void }}
+ */
+export const createMidiRouter = (handlers) => {
+    const pressed = new Set(); // Notes whose keys are down
+    const sustained = new Set(); // Released notes held by the pedal
+    let isSustainDown = false;
+
+    const noteOff = (name) => {
+        pressed.delete(name);
+        if (isSustainDown) {
+            sustained.add(name);
+        } else {
+            handlers.onNoteOff?.(name);
+        }
+    };
+
+    const releaseAll = () => {
+        [...pressed, ...sustained].forEach(name => handlers.onNoteOff?.(name));
+        pressed.clear();
+        sustained.clear();
+    };
+
+    const handleMessage = (data) => {
+        const message = parseMidiMessage(data);
+        if (!message) return;
+        if (message.type === 'noteon') {
+            const name = midiNoteToName(message.note);
+            sustained.delete(name);
+            pressed.add(name);
+            handlers.onNoteOn?.(name, message.velocity);
+        } else if (message.type === 'noteoff') {
+            noteOff(midiNoteToName(message.note));
+        } else if (message.type === 'pitchbend') {
+            handlers.onPitchBend?.(message.amount);
+        } else if (message.controller === CC_MOD_WHEEL) {
+            handlers.onModWheel?.(message.value / 127);
+        } else if (message.controller === CC_SUSTAIN) {
+            const isDown = message.value >= 64;
+            if (isDown === isSustainDown) return;
+            isSustainDown = isDown;
+            if (!isDown) {
+                sustained.forEach(name => handlers.onNoteOff?.(name));
+                sustained.clear();
+            }
+            handlers.onSustain?.(isDown);
+        } else if (message.controller === CC_ALL_NOTES_OFF || message.controller === CC_ALL_SOUND_OFF) {
+            releaseAll();
+        }
+    };
+
+    return { handleMessage, releaseAll };
+};
+
+/**
+ * The connected MIDI inputs of an access.
+ * @param {object} access A MIDIAccess (or mock).
+ * @returns {Array<{ id: string, name: string }>}
+ */
+export const listMidiInputs = (access) => {
+    const inputs = [];
+    access.inputs.forEach(input => {
+        if (input.state !== 'disconnected') {
+            inputs.push({ id: input.id, name: input.name || input.manufacturer || 'MIDI input' });
+        }
+    });
+    return inputs;
+};
+
+/**
+ * Listens to one input or all inputs of an access.
+ * @param {object} access A MIDIAccess (or mock).
+ * @param {string|null} deviceId Input id, or null for all inputs.
+ * @param {(data: Uint8Array) => void} onMessage Called with the bytes of each message.
+ * @returns {() => void} Stops listening.
+ */
+export const connectMidiInputs = (access, deviceId, onMessage) => {
+    const handleMessage = (event) => onMessage(event.data);
+    const connected = [];
+    access.inputs.forEach(input => {
+        if (deviceId === null || input.id === deviceId) {
+            input.addEventListener('midimessage', handleMessage);
+            connected.push(input);
+        }
+    });
+    return () => connected.forEach(input => input.removeEventListener('midimessage', handleMessage));
+};
+
+/**
+ * The saved MIDI input settings, so MIDI reconnects on the next visit.
+ * @returns {{ enabled: boolean, deviceId: string|null }}
+ */
+export const getMidiSettings = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(MIDI_SETTINGS_STORAGE_KEY));
+        return {
+            enabled: stored?.enabled === true,
+            deviceId: typeof stored?.deviceId === 'string' ? stored.deviceId : null,
+        };
+    } catch {
+        return { enabled: false, deviceId: null };
+    }
+};
+
+/**
+ * Saves the MIDI input settings.
+ * @param {{ enabled: boolean, deviceId: string|null }} settings
+ */
+export const setMidiSettings = (settings) => {
+    try {
+        localStorage.setItem(MIDI_SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+    } catch (storageError) {
+        console.warn('midiInput: Could not persist the MIDI settings:', storageError);
+    }
+};
+
+/**
+ * Whether the browser supports Web MIDI.
+ * @returns {boolean}
+ */
+export const isMidiSupported = () => typeof navigator !== 'undefined' && typeof navigator.requestMIDIAccess === 'function';
+
+/**
+ * Asks the browser for MIDI access (without SysEx).
+ * @returns {Promise<object>} The MIDIAccess.
+ */
+export const requestMidiAccess = () => navigator.requestMIDIAccess({ sysex: false });
+
+/**
+ * Sets the pitch bend of a Tone.js synth (Synth, MonoSynth or PolySynth).
+ * @param {object} synth The synth.
+ * @param {number} amount -1 to 1.
+ */
+export const applyPitchBend = (synth, amount) => {
+    synth.set({ detune: amount * PITCH_BEND_RANGE * 100 });
+};
+
+/**
+ * Sets the mod wheel of an instrument as the depth of its Tone.Vibrato.
+ * @param {object} vibrato The Tone.Vibrato after the instrument.
+ * @param {number} amount 0 to 1.
+ */
+export const applyModWheel = (vibrato, amount) => {
+    vibrato.depth.rampTo(amount * MOD_WHEEL_VIBRATO_DEPTH, 0.05);
+};
@@ -0,0 +1,154 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { parseMidiMessage, createMidiRouter, connectMidiInputs, listMidiInputs } from './midiInput';
+
+// A MIDIAccess-like object whose inputs can be sent messages
+const createMockAccess = (devices) => {
+    const inputs = new Map(devices.map(({ id, name, state = 'connected' }) => {
+        const listeners = new Set();
+        const input = {
+            id,
+            name,
+            manufacturer: '',
+            state,
+            addEventListener: (type, listener) => type === 'midimessage' && listeners.add(listener),
+            removeEventListener: (type, listener) => listeners.delete(listener),
+            send: (bytes) => listeners.forEach(listener => listener({ data: Uint8Array.from(bytes) })),
+        };
+        return [id, input];
+    }));
+    return { inputs, addEventListener: () => {}, removeEventListener: () => {} };
+};
+
+describe('parseMidiMessage', () => {
+    it('reads note on with its velocity and channel', () => {
+        expect(parseMidiMessage([0x92, 60, 127])).toEqual({ type: 'noteon', channel: 2, note: 60, velocity: 1 });
+        expect(parseMidiMessage([0x90, 64, 64]).velocity).toBeCloseTo(64 / 127);
+    });
+
+    it('reads note off, and note on with velocity 0 as note off', () => {
+        expect(parseMidiMessage([0x80, 60, 0])).toEqual({ type: 'noteoff', channel: 0, note: 60, velocity: 0 });
+        expect(parseMidiMessage([0x90, 60, 0])).toEqual({ type: 'noteoff', channel: 0, note: 60, velocity: 0 });
+    });
+
+    it('reads control changes', () => {
+        expect(parseMidiMessage([0xb0, 64, 127])).toEqual({ type: 'controlchange', channel: 0, controller: 64, value: 127 });
+    });
+
+    it('reads pitch bend from -1 to 1 around the center', () => {
+        expect(parseMidiMessage([0xe0, 0x00, 0x40]).amount).toBe(0);
+        expect(parseMidiMessage([0xe0, 0x7f, 0x7f]).amount).toBe(1);
+        expect(parseMidiMessage([0xe0, 0x00, 0x00]).amount).toBe(-1);
+    });
+
+    it('ignores short and system messages', () => {
+        expect(parseMidiMessage([0x90, 60])).toBeNull();
+        expect(parseMidiMessage([0xf8])).toBeNull();
+        expect(parseMidiMessage([0xc0, 5])).toBeNull();
+    });
+});
+
+describe('createMidiRouter', () => {
+    let access;
+    let keyboard;
+    let handlers;
+    let router;
+
+    beforeEach(() => {
+        access = createMockAccess([{ id: 'keys', name: 'Keys' }, { id: 'pads', name: 'Pads' }]);
+        keyboard = access.inputs.get('keys');
+        handlers = {
+            onNoteOn: vi.fn(),
+            onNoteOff: vi.fn(),
+            onPitchBend: vi.fn(),
+            onModWheel: vi.fn(),
+            onSustain: vi.fn(),
+        };
+        router = createMidiRouter(handlers);
+    });
+
+    it('plays notes by name with their velocity', () => {
+        connectMidiInputs(access, null, router.handleMessage);
+        keyboard.send([0x90, 60, 100]);
+        expect(handlers.onNoteOn).toHaveBeenCalledWith('C4', 100 / 127);
+
+        keyboard.send([0x80, 60, 0]);
+        expect(handlers.onNoteOff).toHaveBeenCalledWith('C4');
+    });
+
+    it('holds released notes while the sustain pedal is down', () => {
+        connectMidiInputs(access, null, router.handleMessage);
+        keyboard.send([0xb0, 64, 127]);
+        expect(handlers.onSustain).toHaveBeenLastCalledWith(true);
+
+        keyboard.send([0x90, 60, 100]);
+        keyboard.send([0x80, 60, 0]);
+        expect(handlers.onNoteOff).not.toHaveBeenCalled();
+
+        keyboard.send([0xb0, 64, 0]);
+        expect(handlers.onSustain).toHaveBeenLastCalledWith(false);
+        expect(handlers.onNoteOff).toHaveBeenCalledWith('C4');
+    });
+
+    it('keeps a note pressed again under the pedal sounding after the pedal is let go', () => {
+        connectMidiInputs(access, null, router.handleMessage);
+        keyboard.send([0xb0, 64, 127]);
+        keyboard.send([0x90, 60, 100]);
+        keyboard.send([0x80, 60, 0]);
+        keyboard.send([0x90, 60, 80]);
+        keyboard.send([0xb0, 64, 0]);
+        expect(handlers.onNoteOff).not.toHaveBeenCalled();
+    });
+
+    it('passes on pitch bend and the mod wheel', () => {
+        connectMidiInputs(access, null, router.handleMessage);
+        keyboard.send([0xe0, 0x7f, 0x7f]);
+        expect(handlers.onPitchBend).toHaveBeenCalledWith(1);
+
+        keyboard.send([0xb0, 1, 127]);
+        expect(handlers.onModWheel).toHaveBeenCalledWith(1);
+        keyboard.send([0xb0, 1, 0]);
+        expect(handlers.onModWheel).toHaveBeenLastCalledWith(0);
+    });
+
+    it('releases held and sustained notes on all notes off and releaseAll', () => {
+        connectMidiInputs(access, null, router.handleMessage);
+        keyboard.send([0x90, 60, 100]);
+        keyboard.send([0xb0, 123, 0]);
+        expect(handlers.onNoteOff).toHaveBeenCalledWith('C4');
+
+        keyboard.send([0xb0, 64, 127]);
+        keyboard.send([0x90, 62, 100]);
+        keyboard.send([0x80, 62, 0]);
+        keyboard.send([0x90, 64, 100]);
+        router.releaseAll();
+        expect(handlers.onNoteOff).toHaveBeenCalledWith('D4');
+        expect(handlers.onNoteOff).toHaveBeenCalledWith('E4');
+    });
+
+    it('listens only to the selected input, until stopped', () => {
+        const stopListening = connectMidiInputs(access, 'pads', router.handleMessage);
+        keyboard.send([0x90, 60, 100]);
+        expect(handlers.onNoteOn).not.toHaveBeenCalled();
+
+        access.inputs.get('pads').send([0x90, 36, 127]);
+        expect(handlers.onNoteOn).toHaveBeenCalledWith('C2', 1);
+
+        stopListening();
+        access.inputs.get('pads').send([0x90, 38, 127]);
+        expect(handlers.onNoteOn).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('listMidiInputs', () => {
+    it('lists the connected inputs', () => {
+        const access = createMockAccess([
+            { id: 'keys', name: 'Keys' },
+            { id: 'old', name: 'Old', state: 'disconnected' },
+            { id: 'nameless', name: '' },
+        ]);
+        expect(listMidiInputs(access)).toEqual([
+            { id: 'keys', name: 'Keys' },
+            { id: 'nameless', name: 'MIDI input' },
+        ]);
+    });
+});
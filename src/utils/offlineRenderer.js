@@ -0,0 +1,165 @@
+// src/utils/offlineRenderer.js
+import * as Tone from 'tone';
+import { createAbortError } from './audioExport';
+
+/**
+ * Shared offline renderer for studio downloads.
+ *
+ * Studios build their realtime effect chain with a module-level builder
+ * function (e.g. `buildReverbChain(params)`); the download path calls the same
+ * builder inside renderOffline() with the current parameters, so the exported
+ * file goes through exactly the nodes the user was listening to. Like
+ * Tone.Offline, renderOffline() makes the offline context the global one while
+ * `buildGraph` runs, so any `new Tone.X()` in the builder lands in the
+ * offline graph automatically.
+ *
+ * The master bus (safety limiter, output volume) is not part of the render:
+ * the offline context has its own plain Destination.
+ *
+ * A render alternates two steps a chunk (about a second of audio) at a
+ * time: Tone's scheduling clock is run through the chunk in JavaScript, then
+ * the browser renders the chunk's audio on its rendering thread, stopping at
+ * a `suspend()` checkpoint. Between chunks the page gets a turn, so it stays
+ * responsive on long files, and a cancelled render is never resumed: the
+ * promise rejects with an AbortError at once and the context is dropped.
+ * Browsers without `OfflineAudioContext#suspend` render in one go; cancelling
+ * still rejects at once, and the finished buffer is discarded.
+ */
+
+// How often the render position is polled for progress, in milliseconds
+const PROGRESS_INTERVAL_MS = 100;
+
+// Frames in a render quantum; suspend() checkpoints fall on quantum boundaries
+const RENDER_QUANTUM = 128;
+
+// Fraction of a render done: Tone's clock (context.currentTime) and the
+// browser's audio (rawContext.currentTime), half each
+const getRenderFraction = (context, duration) => {
+    const clock = Math.min(context.currentTime / duration, 1);
+    const audio = Math.min(context.rawContext.currentTime / duration, 1);
+    return (clock + audio) / 2;
+};
+
+// Tone.OfflineContext on a native OfflineAudioContext (which has suspend()),
+// rendered a chunk at a time instead of clock first, audio second
+class ChunkedOfflineContext extends Tone.OfflineContext {
+    constructor(channels, duration, sampleRate) {
+        const NativeOfflineAudioContext = window.OfflineAudioContext ?? window.webkitOfflineAudioContext;
+        super(new NativeOfflineAudioContext(channels, Math.ceil(duration * sampleRate), sampleRate));
+        this.name = 'ChunkedOfflineContext';
+    }
+
+    // Runs Tone's scheduling clock up to `time`, firing the callbacks due by then
+    _advanceClock(time) {
+        const end = Math.min(time, this._duration);
+        while (this._currentTime <= end) {
+            this.emit('tick');
+            this._currentTime += RENDER_QUANTUM / this.sampleRate;
+        }
+    }
+
+    /**
+     * Renders the context a chunk at a time.
+     * @param {AbortSignal} [signal] Stops the render at the next checkpoint and rejects at once.
+     * @returns {Promise<AudioBuffer>} The rendered audio.
+     */
+    renderInChunks(signal) {
+        return new Promise((resolve, reject) => {
+            const onAbort = () => reject(createAbortError());
+            signal?.addEventListener('abort', onAbort, { once: true });
+            const done = () => signal?.removeEventListener('abort', onAbort);
+
+            const raw = this.rawContext;
+            if (typeof raw.suspend !== 'function') {
+                this.render().then(buffer => resolve(buffer.get()), reject).finally(done);
+                return;
+            }
+
+            // About a second of audio, in whole render quanta
+            const chunk = Math.ceil(this.sampleRate / RENDER_QUANTUM) * RENDER_QUANTUM / this.sampleRate;
+            const renderChunk = (start) => {
+                const end = start + chunk;
+                this._advanceClock(end);
+                if (end >= this._duration) return;
+                raw.suspend(end).then(() => {
+                    // A cancelled render stays suspended and is dropped
+                    if (signal?.aborted) return;
+                    renderChunk(end);
+                    setTimeout(() => raw.resume(), 0);
+                }, reject);
+            };
+
+            this.workletsAreReady()
+                .then(() => {
+                    renderChunk(0);
+                    return raw.startRendering();
+                })
+                .then(resolve, reject)
+                .finally(done);
+        });
+    }
+}
+
+/**
+ * Renders a node graph offline.
+ * @param {(context: Tone.OfflineContext) => (void|Promise<void>)} buildGraph Builds the graph,
+ *        connects it to the (offline) destination and starts its sources at time 0. Nodes it
+ *        creates belong to the offline context and must not be registered with the audio engine.
+ *        Native Web Audio nodes can be created on `context.rawContext`.
+ * @param {object} options
+ * @param {number} options.duration Length to render in seconds (include any effect tail).
+ * @param {number} [options.channels=2] Output channel count.
+ * @param {number} [options.sampleRate] Defaults to the live context's rate, so buffers decoded
+ *        there render without resampling.
+ * @param {(fraction: number) => void} [options.onProgress] Called with 0..1 while rendering.
+ * @param {AbortSignal} [options.signal] Cancels the render.
+ * @returns {Promise<AudioBuffer>} The rendered audio.
+ * @throws {DOMException} An AbortError (see isAbortError in src/utils/audioExport.js) if `signal` aborts first.
+ */
+export const renderOffline = async (buildGraph, {
+    duration,
+    channels = 2,
+    sampleRate = Tone.getContext().sampleRate,
+    onProgress,
+    signal,
+}) => {
+    if (signal?.aborted) throw createAbortError();
+
+    // Same steps as Tone.Offline, with a context that renders in chunks
+    const liveContext = Tone.getContext();
+    const context = new ChunkedOfflineContext(channels, duration, sampleRate);
+    Tone.setContext(context);
+    try {
+        await buildGraph(context);
+    } finally {
+        Tone.setContext(liveContext);
+    }
+    if (signal?.aborted) throw createAbortError();
+
+    let progressTimer = null;
+    try {
+        if (onProgress) {
+            progressTimer = setInterval(() => {
+                onProgress(getRenderFraction(context, duration));
+            }, PROGRESS_INTERVAL_MS);
+        }
+        const rendered = await context.renderInChunks(signal);
+        if (onProgress) onProgress(1);
+        return rendered;
+    } finally {
+        clearInterval(progressTimer);
+    }
+};
+
+/**
+ * Render duration for one pass of a file at the given playback rate, plus an
+ * effect tail.
+ * @param {AudioBuffer} buffer The source audio.
+ * @param {object} [options]
+ * @param {number} [options.playbackRate=1] Player playback rate.
+ * @param {number} [options.tail=0] Extra seconds for reverb/delay tails.
+ * @returns {number} Render duration in seconds.
+ */
+export const getRenderDuration = (buffer, { playbackRate = 1, tail = 0 } = {}) => (
+    buffer.duration / playbackRate + tail
+);
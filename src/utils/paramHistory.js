@@ -0,0 +1,96 @@
+// src/utils/paramHistory.js
+
+/**
+ * Undo/redo stacks for a tool's parameters, and the history of the tool on
+ * the current page for controls outside the tool (the Navbar's undo and
+ * redo buttons).
+ *
+ * Snapshots are the parameter values serialized as JSON strings, so equal
+ * states compare equal and stored steps can't be changed afterwards.
+ */
+
+// Maximum number of undo steps kept per tool
+export const HISTORY_LIMIT = 100;
+
+/**
+ * Creates an empty undo/redo history.
+ * @param {object} [options]
+ * @param {number} [options.limit=HISTORY_LIMIT] Maximum number of undo steps; the oldest are dropped.
+ * @returns {object} The history.
+ */
+export const createParamHistory = ({ limit = HISTORY_LIMIT } = {}) => {
+    const undoStack = [];
+    const redoStack = [];
+
+    return {
+        /**
+         * Records the state before a change as an undo step; clears the redo steps.
+         * @param {string} snapshot The state before the change.
+         */
+        push(snapshot) {
+            undoStack.push(snapshot);
+            if (undoStack.length > limit) undoStack.shift();
+            redoStack.length = 0;
+        },
+
+        /**
+         * Steps back.
+         * @param {string} current The current state, kept for redo.
+         * @returns {string|null} The state to restore, or null if there's nothing to undo.
+         */
+        undo(current) {
+            if (undoStack.length === 0) return null;
+            redoStack.push(current);
+            return undoStack.pop();
+        },
+
+        /**
+         * Steps forward again after an undo.
+         * @param {string} current The current state, kept for undo.
+         * @returns {string|null} The state to restore, or null if there's nothing to redo.
+         */
+        redo(current) {
+            if (redoStack.length === 0) return null;
+            undoStack.push(current);
+            return redoStack.pop();
+        },
+
+        get canUndo() {
+            return undoStack.length > 0;
+        },
+
+        get canRedo() {
+            return redoStack.length > 0;
+        },
+    };
+};
+
+// The history of the tool on the current page: { undo, redo, canUndo, canRedo } or null
+let activeHistory = null;
+const activeHistoryListeners = new Set();
+
+/**
+ * Makes a tool's history the one controlled from outside the tool, or clears it with null.
+ * @param {{ undo: Function, redo: Function, canUndo: boolean, canRedo: boolean }|null} history
+ *        A new object whenever canUndo or canRedo change.
+ */
+export const setActiveParamHistory = (history) => {
+    activeHistory = history;
+    activeHistoryListeners.forEach(listener => listener());
+};
+
+/**
+ * The history of the tool on the current page.
+ * @returns {object|null}
+ */
+export const getActiveParamHistory = () => activeHistory;
+
+/**
+ * Calls the listener whenever the active history changes.
+ * @param {() => void} listener
+ * @returns {() => void} Unsubscribes the listener.
+ */
+export const subscribeActiveParamHistory = (listener) => {
+    activeHistoryListeners.add(listener);
+    return () => activeHistoryListeners.delete(listener);
+};
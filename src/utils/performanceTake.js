@@ -0,0 +1,88 @@
+// src/utils/performanceTake.js
+import { MIDI_PPQ, noteValueToTicks } from './midiFile';
+
+/**
+ * Recorded performances ("takes") for the instruments: quantizing them to a
+ * beat grid and turning them into songs for the MIDI file writer and player.
+ *
+ * A take is a list of notes { name: 'C4', time, duration (seconds from the
+ * start of the take), velocity (0-1) } at a tempo, so the grid and MIDI ticks
+ * can be worked out from the times.
+ */
+
+// Grids offered for quantizing, as Tone.js note values
+export const QUANTIZE_GRIDS = ['4n', '8n', '8t', '16n', '16t', '32n'];
+
+// Shortest note kept in a take, in seconds (a tap of a key)
+export const MIN_NOTE_DURATION = 0.03;
+
+/**
+ * Length of a grid step in seconds.
+ * @param {string} grid One of QUANTIZE_GRIDS.
+ * @param {number} bpm Tempo.
+ * @returns {number}
+ */
+export const getGridSeconds = (grid, bpm) => (noteValueToTicks(grid) / MIDI_PPQ) * (60 / bpm);
+
+/**
+ * Moves note starts toward the nearest grid step. Durations are kept, so
+ * notes still sound as long as they were held.
+ * @param {object[]} notes Take notes.
+ * @param {object} options
+ * @param {number} options.bpm Tempo of the take.
+ * @param {string} options.grid One of QUANTIZE_GRIDS.
+ * @param {number} [options.strength=1] 0 leaves notes where they were played, 1 puts them on the grid.
+ * @returns {object[]} New notes, sorted by time.
+ */
+export const quantizeNotes = (notes, { bpm, grid, strength = 1 }) => {
+    const step = getGridSeconds(grid, bpm);
+    return notes
+        .map(note => {
+            const target = Math.round(note.time / step) * step;
+            return { ...note, time: Math.max(0, note.time + (target - note.time) * strength) };
+        })
+        .sort((a, b) => a.time - b.time);
+};
+
+/**
+ * Length of a take in seconds, up to the end of its last note.
+ * @param {object[]} notes Take notes.
+ * @returns {number}
+ */
+export const getTakeDuration = (notes) => Math.max(0, ...notes.map(note => note.time + note.duration));
+
+/**
+ * A take as a song for useMidiFilePlayer (the shape parseMidiFile returns).
+ * @param {object[]} notes Take notes.
+ * @returns {object} { duration, tracks: [{ name, notes }] }
+ */
+export const takeToPlaybackSong = (notes) => ({
+    duration: getTakeDuration(notes),
+    tracks: [{ name: 'Take', notes: [...notes].sort((a, b) => a.time - b.time) }],
+});
+
+/**
+ * A take as a song for encodeMidiFile (src/utils/midiFile.js), on one piano track.
+ * @param {object[]} notes Take notes.
+ * @param {object} options
+ * @param {number} options.bpm Tempo the times are converted to beats with.
+ * @param {string} [options.title] Song title.
+ * @returns {object} The song.
+ */
+export const takeToMidiSong = (notes, { bpm, title }) => {
+    const ticksPerSecond = (bpm / 60) * MIDI_PPQ;
+    return {
+        title,
+        bpm,
+        tracks: [{
+            name: 'Piano',
+            program: 0, // Acoustic Grand Piano
+            notes: notes.map(({ name, time, duration, velocity }) => ({
+                note: name,
+                tick: Math.round(time * ticksPerSecond),
+                duration: Math.max(1, Math.round(duration * ticksPerSecond)),
+                velocity,
+            })),
+        }],
+    };
+};
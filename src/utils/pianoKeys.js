@@ -0,0 +1,94 @@
+// src/utils/pianoKeys.js
+import { midiNoteToName } from './midiInput';
+
+/**
+ * Piano keyboard geometry shared by the keyboard (PianoUI) and views drawn in
+ * line with its keys, such as the piano roll. Keys are { note, type } objects
+ * ('C4', 'white' | 'black') in order from low to high.
+ */
+
+// Black keys in an octave, by their position from C
+const BLACK_KEY_STEPS = new Set([1, 3, 6, 8, 10]);
+
+// Where a black key's center sits over the white key before it, as a fraction
+// of the white key's width (tuned by eye, so the keys look like a piano's)
+const BLACK_KEY_OFFSETS = {
+    'C#': 0.65,
+    'D#': 0.85,
+    'F#': 0.65,
+    'G#': 0.75,
+    'A#': 0.85,
+};
+
+// Width of a black key relative to a white key
+export const BLACK_KEY_WIDTH_RATIO = 0.6;
+
+/**
+ * The keys from one MIDI note to another, widened so the keyboard starts and
+ * ends on white keys.
+ * @param {number} lowest Lowest MIDI note number.
+ * @param {number} highest Highest MIDI note number.
+ * @returns {{ note: string, midi: number, type: 'white'|'black' }[]}
+ */
+export const createPianoKeys = (lowest, highest) => {
+    const first = Math.max(0, BLACK_KEY_STEPS.has(lowest % 12) ? lowest - 1 : lowest);
+    const last = Math.min(127, BLACK_KEY_STEPS.has(highest % 12) ? highest + 1 : highest);
+    const keys = [];
+    for (let midi = first; midi <= last; midi++) {
+        keys.push({ note: midiNoteToName(midi), midi, type: BLACK_KEY_STEPS.has(midi % 12) ? 'black' : 'white' });
+    }
+    return keys;
+};
+
+/**
+ * Horizontal position of every key, as percentages of the keyboard's width.
+ * @param {{ note: string, type: 'white'|'black' }[]} pianoKeys Keys from low to high.
+ * @returns {Object<string, { left: number, center: number, width: number }>} By note name.
+ */
+export const getPianoKeyLayout = (pianoKeys) => {
+    const whiteKeyWidth = 100 / pianoKeys.filter(key => key.type === 'white').length;
+    const layout = {};
+    let whiteIndex = -1; // Index of the last white key so far
+    pianoKeys.forEach(({ note, type }) => {
+        if (type === 'white') {
+            whiteIndex++;
+            const left = whiteIndex * whiteKeyWidth;
+            layout[note] = { left, center: left + whiteKeyWidth / 2, width: whiteKeyWidth };
+        } else {
+            const offset = BLACK_KEY_OFFSETS[note.replace(/-?\d+$/, '')] ?? 0.75;
+            const center = Math.max(0, whiteIndex * whiteKeyWidth + whiteKeyWidth * offset);
+            const width = whiteKeyWidth * BLACK_KEY_WIDTH_RATIO;
+            layout[note] = { left: center - width / 2, center, width };
+        }
+    });
+    return layout;
+};
+
+// MIDI notes of the lowest and highest keys of an 88-key piano (A0 to C8)
+export const PIANO_LOWEST_NOTE = 21;
+export const PIANO_HIGHEST_NOTE = 108;
+
+/**
+ * The part of an 88-key piano to show: whole octaves around the two octaves
+ * the computer keyboard plays (see src/utils/computerKeyboard.js), kept on
+ * the piano.
+ * @param {number} baseOctave Octave the computer keyboard starts at.
+ * @param {number} octaves Octaves to show; 8 or more shows the whole piano.
+ * @returns {{ lowest: number, highest: number }} MIDI notes for createPianoKeys.
+ */
+export const getVisibleKeyRange = (baseOctave, octaves) => {
+    if (octaves >= 8) return { lowest: PIANO_LOWEST_NOTE, highest: PIANO_HIGHEST_NOTE };
+    // MIDI note of C in an octave (C4 is 60)
+    const startOfOctave = octave => (octave + 1) * 12;
+    const firstOctave = baseOctave + 1 - Math.floor(octaves / 2);
+    let lowest = startOfOctave(firstOctave);
+    let highest = startOfOctave(firstOctave + octaves) - 1;
+    if (lowest < PIANO_LOWEST_NOTE) {
+        highest = Math.min(PIANO_HIGHEST_NOTE, highest + PIANO_LOWEST_NOTE - lowest);
+        lowest = PIANO_LOWEST_NOTE;
+    } else if (highest > PIANO_HIGHEST_NOTE) {
+        lowest = Math.max(PIANO_LOWEST_NOTE, lowest - (highest - PIANO_HIGHEST_NOTE));
+        highest = PIANO_HIGHEST_NOTE;
+    }
+    return { lowest, highest };
+};
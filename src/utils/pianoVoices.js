@@ -0,0 +1,84 @@
+// src/utils/pianoVoices.js
+import * as Tone from 'tone';
+import { createSampledPiano } from './sampledPiano';
+
+/**
+ * The sounds the piano tools can play with. Every voice takes the same
+ * calls (triggerAttack, triggerRelease, triggerAttackRelease, releaseAll,
+ * set({ detune }), volume, connect, dispose); the sampled one adds
+ * setSustain and load. A voice's `note` is shown next to it, e.g. the credit
+ * for its recordings.
+ */
+export const PIANO_VOICES = {
+    synth: { label: 'Synth Piano' },
+    sampled: {
+        label: 'Sampled Piano',
+        note: 'Salamander Grand Piano by Alexander Holm (CC BY 3.0).',
+    },
+    epiano: { label: 'Electric Piano' },
+    organ: { label: 'Organ' },
+    pad: { label: 'Pad' },
+};
+
+export const DEFAULT_PIANO_VOICE = 'synth';
+
+/**
+ * Builds the synth piano voice. Shared by the instruments and offline renders
+ * (e.g. a recorded take exported as WAV), so exports sound like what was played.
+ * @returns {Tone.PolySynth} The synth, not connected.
+ */
+export const buildPianoSynth = () => new Tone.PolySynth(Tone.Synth, {
+    oscillator: {
+        partials: [1, 0, 2, 0, 3] // Custom harmonics for a piano-like sound
+    },
+    envelope: {
+        attack: 0.006,       // Fast attack for percussive sound
+        decay: 4,            // Longer decay
+        sustain: 0.04,       // Low sustain
+        release: 1.2,        // Moderate release
+        attackCurve: "exponential" // Natural attack curve
+    }
+});
+
+// A bell-like FM tine with a soft bark at the start of the note
+const buildElectricPiano = () => new Tone.PolySynth(Tone.FMSynth, {
+    harmonicity: 3,
+    modulationIndex: 12,
+    oscillator: { type: 'sine' },
+    envelope: { attack: 0.002, decay: 2.5, sustain: 0.15, release: 1 },
+    modulation: { type: 'sine' },
+    modulationEnvelope: { attack: 0.002, decay: 0.4, sustain: 0.05, release: 0.5 },
+});
+
+// Drawbar-style organ: sine partials at full level while the key is held
+const buildOrgan = () => new Tone.PolySynth(Tone.Synth, {
+    oscillator: { partials: [1, 0.8, 0.6, 0, 0.4, 0, 0, 0.3] },
+    envelope: { attack: 0.01, decay: 0.05, sustain: 1, release: 0.08 },
+    volume: -6,
+});
+
+// Slow, detuned saws for sustained chords
+const buildPad = () => new Tone.PolySynth(Tone.Synth, {
+    oscillator: { type: 'fatsawtooth', count: 3, spread: 24 },
+    envelope: { attack: 0.5, decay: 0.8, sustain: 0.7, release: 2.5 },
+    volume: -14,
+});
+
+const VOICE_BUILDERS = {
+    synth: buildPianoSynth,
+    epiano: buildElectricPiano,
+    organ: buildOrgan,
+    pad: buildPad,
+};
+
+/**
+ * Builds a piano voice.
+ * @param {string} voice A key of PIANO_VOICES; unknown ones get the synth.
+ * @param {object} [options]
+ * @param {(isLoading: boolean) => void} [options.onLoadingChange] Sample loading, for the sampled voice.
+ * @returns {object} The instrument, not connected.
+ */
+export const createPianoVoice = (voice, { onLoadingChange } = {}) => {
+    if (voice === 'sampled') return createSampledPiano({ onLoadingChange });
+    return (VOICE_BUILDERS[voice] ?? buildPianoSynth)();
+};
@@ -0,0 +1,240 @@
+// src/utils/presetStore.js
+
+/**
+ * localStorage store for user presets: named snapshots of a tool's
+ * parameters, organized in folders and tags, plus the JSON file format used
+ * to share them.
+ *
+ * Preset record:
+ * { id, tool, version, name, folder, tags, params, createdAt, updatedAt }
+ *
+ * `tool` is the tool id from src/config/tools.js and `version` the version of
+ * the tool's parameter schema (see src/utils/urlState.js) when the preset was
+ * saved, so presets are migrated and validated like links when applied.
+ *
+ * Preset file:
+ * { format: 'lyrilab-presets', version: 1, exportedAt, presets: [{ tool, version, name, folder, tags, params }] }
+ */
+
+// localStorage key holding the presets of all tools; exported to follow changes made in other tabs
+export const PRESET_STORAGE_KEY = 'lyrilab.userPresets';
+
+export const PRESET_FILE_FORMAT = 'lyrilab-presets';
+export const PRESET_FILE_VERSION = 1;
+
+// Upgrades the presets of older file versions, keyed by the version they upgrade from
+const FILE_MIGRATIONS = {};
+
+const MAX_NAME_LENGTH = 80;
+const MAX_TAGS = 12;
+
+const createPresetId = () => (
+    typeof crypto !== 'undefined' && crypto.randomUUID
+        ? crypto.randomUUID()
+        : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`
+);
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const cleanText = (text) => (typeof text === 'string' ? text.trim().slice(0, MAX_NAME_LENGTH) : '');
+
+/**
+ * Normalizes a list of tags: trimmed, lower case, without duplicates or empty ones.
+ * @param {string[]|string} tags Tags, or a comma-separated string of them.
+ * @returns {string[]}
+ */
+export const normalizeTags = (tags) => {
+    const list = typeof tags === 'string' ? tags.split(',') : Array.isArray(tags) ? tags : [];
+    const cleaned = list.map(tag => cleanText(tag).toLowerCase()).filter(Boolean);
+    return [...new Set(cleaned)].slice(0, MAX_TAGS);
+};
+
+// Checks the shape of a preset from storage or a file; its params are validated when applied
+const toPreset = (entry) => {
+    if (!isPlainObject(entry) || !isPlainObject(entry.params)) return null;
+    const tool = cleanText(entry.tool);
+    const name = cleanText(entry.name);
+    if (!tool || !name) return null;
+    return {
+        id: typeof entry.id === 'string' ? entry.id : createPresetId(),
+        tool,
+        version: Number.isInteger(entry.version) && entry.version > 0 ? entry.version : 1,
+        name,
+        folder: cleanText(entry.folder),
+        tags: normalizeTags(entry.tags),
+        params: entry.params,
+        createdAt: Number.isFinite(entry.createdAt) ? entry.createdAt : Date.now(),
+        updatedAt: Number.isFinite(entry.updatedAt) ? entry.updatedAt : Date.now(),
+    };
+};
+
+const readAll = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(PRESET_STORAGE_KEY));
+        return Array.isArray(stored) ? stored.map(toPreset).filter(Boolean) : [];
+    } catch {
+        return [];
+    }
+};
+
+const writeAll = (presets) => {
+    try {
+        localStorage.setItem(PRESET_STORAGE_KEY, JSON.stringify(presets));
+    } catch (error) {
+        throw error?.name === 'QuotaExceededError'
+            ? new Error('The browser has no storage space left for presets. Delete some presets first.')
+            : error;
+    }
+};
+
+const byFolderAndName = (a, b) => a.folder.localeCompare(b.folder) || a.name.localeCompare(b.name);
+
+/**
+ * Whether presets can be saved in this browser.
+ * @returns {boolean}
+ */
+export const isPresetStorageAvailable = () => {
+    try {
+        return typeof localStorage !== 'undefined';
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * The presets of a tool, sorted by folder and name.
+ * @param {string} tool Tool id (e.g. 'compression-explorer').
+ * @returns {object[]}
+ */
+export const listPresets = (tool) => readAll().filter(preset => preset.tool === tool).sort(byFolderAndName);
+
+/**
+ * Saves parameters as a preset. A preset with the same name in the same
+ * folder of the tool is overwritten.
+ * @param {object} options
+ * @param {string} options.tool Tool id.
+ * @param {number} options.version Version of the tool's parameter schema.
+ * @param {string} options.name Preset name.
+ * @param {string} [options.folder] Folder name; empty for none.
+ * @param {string[]|string} [options.tags] Tags.
+ * @param {object} options.params Parameter values (plain JSON values).
+ * @returns {{ preset: object, replaced: boolean }}
+ */
+export const savePreset = ({ tool, version, name, folder = '', tags = [], params }) => {
+    const presets = readAll();
+    const now = Date.now();
+    const preset = toPreset({ tool, version, name, folder, tags, params, createdAt: now, updatedAt: now });
+    if (!preset) throw new Error('A preset needs a name.');
+
+    const index = presets.findIndex(existing => (
+        existing.tool === preset.tool && existing.folder === preset.folder && existing.name === preset.name
+    ));
+    if (index >= 0) {
+        preset.id = presets[index].id;
+        preset.createdAt = presets[index].createdAt;
+        presets[index] = preset;
+    } else {
+        presets.push(preset);
+    }
+    writeAll(presets);
+    return { preset, replaced: index >= 0 };
+};
+
+/**
+ * Renames a preset or changes its folder or tags.
+ * @param {string} id Preset id.
+ * @param {{ name?: string, folder?: string, tags?: string[]|string }} changes
+ * @returns {object|null} The updated preset, or null if it no longer exists.
+ */
+export const updatePreset = (id, changes) => {
+    const presets = readAll();
+    const index = presets.findIndex(preset => preset.id === id);
+    if (index < 0) return null;
+    const updated = toPreset({ ...presets[index], ...changes, updatedAt: Date.now() });
+    if (!updated) throw new Error('A preset needs a name.');
+    presets[index] = updated;
+    writeAll(presets);
+    return updated;
+};
+
+/**
+ * Deletes a preset.
+ * @param {string} id Preset id.
+ */
+export const deletePreset = (id) => {
+    writeAll(readAll().filter(preset => preset.id !== id));
+};
+
+/**
+ * Creates the contents of a preset file.
+ * @param {object[]} presets Presets to include.
+ * @returns {string} The file as JSON text.
+ */
+export const createPresetFile = (presets) => JSON.stringify({
+    format: PRESET_FILE_FORMAT,
+    version: PRESET_FILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    presets: presets.map(({ tool, version, name, folder, tags, params }) => ({ tool, version, name, folder, tags, params })),
+}, null, 2);
+
+/**
+ * Reads the presets of a preset file. Entries that aren't valid presets are skipped.
+ * @param {string} text The file contents.
+ * @returns {{ presets: object[], skipped: number }}
+ * @throws {Error} If the text isn't a preset file of a supported version.
+ */
+export const readPresetFile = (text) => {
+    let file;
+    try {
+        file = JSON.parse(text);
+    } catch {
+        throw new Error('This file is not valid JSON.');
+    }
+    if (!isPlainObject(file) || file.format !== PRESET_FILE_FORMAT || !Array.isArray(file.presets)) {
+        throw new Error('This file is not a preset file.');
+    }
+    if (!Number.isInteger(file.version) || file.version < 1 || file.version > PRESET_FILE_VERSION) {
+        throw new Error(`Preset files of version ${file.version} are not supported; update the page and try again.`);
+    }
+
+    let entries = file.presets;
+    for (let version = file.version; version < PRESET_FILE_VERSION; version++) {
+        if (FILE_MIGRATIONS[version]) entries = FILE_MIGRATIONS[version](entries);
+    }
+    const presets = entries.map(entry => toPreset({ ...entry, id: undefined })).filter(Boolean);
+    return { presets, skipped: entries.length - presets.length };
+};
+
+/**
+ * Adds presets read from a file. Presets identical to a stored one are
+ * skipped; a different preset with a taken name gets a numbered name.
+ * @param {object[]} incoming Presets from readPresetFile().
+ * @returns {{ added: object[], duplicates: number }}
+ */
+export const importPresets = (incoming) => {
+    const presets = readAll();
+    const added = [];
+    let duplicates = 0;
+    const now = Date.now();
+
+    incoming.forEach(preset => {
+        const sameSlot = (existing, name) => (
+            existing.tool === preset.tool && existing.folder === preset.folder && existing.name === name
+        );
+        const match = presets.find(existing => sameSlot(existing, preset.name));
+        if (match && JSON.stringify(match.params) === JSON.stringify(preset.params)) {
+            duplicates += 1;
+            return;
+        }
+        let name = preset.name;
+        for (let n = 2; presets.some(existing => sameSlot(existing, name)); n++) {
+            name = `${preset.name} (${n})`;
+        }
+        const stored = { ...preset, id: createPresetId(), name, createdAt: now, updatedAt: now };
+        presets.push(stored);
+        added.push(stored);
+    });
+
+    if (added.length > 0) writeAll(presets);
+    return { added, duplicates };
+};
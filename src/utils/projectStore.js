@@ -0,0 +1,304 @@
+// src/utils/projectStore.js
+
+/**
+ * IndexedDB store for studio projects: the uploaded audio file, the studio's
+ * parameter values and its edit list, so a studio can be restored after a
+ * refresh or a later visit.
+ *
+ * Project records (without audio) and audio blobs live in separate object
+ * stores, so listing projects never reads the audio. The audio of all
+ * projects together is kept within a quota set by the user; saving a new
+ * project removes the least recently used ones that no studio has open when
+ * it would go over.
+ *
+ * Project record:
+ * { id, studio, name, fileName, fileType, audioSize, params, edits, createdAt, updatedAt }
+ */
+
+const DB_NAME = 'lyrilab-projects';
+const DB_VERSION = 1;
+const PROJECTS_STORE = 'projects';
+const AUDIO_STORE = 'audio';
+
+// localStorage keys for the quota and for the open project of each studio
+const QUOTA_STORAGE_KEY = 'lyrilab.projectQuota';
+const ACTIVE_PROJECT_STORAGE_KEY = 'lyrilab.activeProject';
+
+const MB = 1024 * 1024;
+export const DEFAULT_PROJECT_QUOTA = 200 * MB;
+export const PROJECT_QUOTA_OPTIONS = [50 * MB, 100 * MB, 200 * MB, 500 * MB, 1024 * MB];
+
+let dbPromise = null;
+
+// Resolves an IDBRequest
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+// Resolves when a transaction has committed
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error ?? new Error('Project storage transaction was aborted.'));
+});
+
+const openDatabase = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('Project storage is not available in this browser.'));
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                const projects = db.createObjectStore(PROJECTS_STORE, { keyPath: 'id' });
+                projects.createIndex('studio', 'studio');
+                db.createObjectStore(AUDIO_STORE, { keyPath: 'id' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Project storage is blocked by another open tab.'));
+        }).catch(error => {
+            dbPromise = null;
+            throw error;
+        });
+    }
+    return dbPromise;
+};
+
+// Gives storage errors from the browser a message the studios can show
+const toStorageError = (error) => (
+    error?.name === 'QuotaExceededError'
+        ? new Error('The browser has no storage space left for projects. Delete some projects or lower the quota.')
+        : error
+);
+
+const createProjectId = () => (
+    typeof crypto !== 'undefined' && crypto.randomUUID
+        ? crypto.randomUUID()
+        : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`
+);
+
+/**
+ * Whether IndexedDB can be used (it is missing in some private browsing modes).
+ * @returns {boolean}
+ */
+export const isProjectStorageAvailable = () => typeof indexedDB !== 'undefined';
+
+/**
+ * The quota for the audio of all projects.
+ * @returns {number} Quota in bytes.
+ */
+export const getProjectQuota = () => {
+    try {
+        const stored = Number(localStorage.getItem(QUOTA_STORAGE_KEY));
+        return stored > 0 ? stored : DEFAULT_PROJECT_QUOTA;
+    } catch {
+        return DEFAULT_PROJECT_QUOTA;
+    }
+};
+
+/**
+ * Sets the quota for the audio of all projects. Existing projects are kept
+ * until the next save needs the space.
+ * @param {number} bytes Quota in bytes.
+ */
+export const setProjectQuota = (bytes) => {
+    try {
+        localStorage.setItem(QUOTA_STORAGE_KEY, String(bytes));
+    } catch (storageError) {
+        console.warn('projectStore: Could not persist the project quota:', storageError);
+    }
+};
+
+/**
+ * The id of the project a studio had open, restored on the next visit.
+ * @param {string} studio Studio id (e.g. 'eq-studio').
+ * @returns {string|null}
+ */
+export const getActiveProjectId = (studio) => {
+    try {
+        return localStorage.getItem(`${ACTIVE_PROJECT_STORAGE_KEY}.${studio}`);
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Remembers the project a studio has open, or forgets it with null.
+ * @param {string} studio Studio id.
+ * @param {string|null} id Project id.
+ */
+export const setActiveProjectId = (studio, id) => {
+    try {
+        const key = `${ACTIVE_PROJECT_STORAGE_KEY}.${studio}`;
+        if (id) {
+            localStorage.setItem(key, id);
+        } else {
+            localStorage.removeItem(key);
+        }
+    } catch (storageError) {
+        console.warn('projectStore: Could not persist the open project:', storageError);
+    }
+};
+
+/**
+ * Lists projects, most recently updated first.
+ * @param {string} [studio] Only the projects of this studio; all projects if omitted.
+ * @returns {Promise<object[]>} Project records (without audio).
+ */
+export const listProjects = async (studio) => {
+    const db = await openDatabase();
+    const store = db.transaction(PROJECTS_STORE).objectStore(PROJECTS_STORE);
+    const projects = await promisifyRequest(studio ? store.index('studio').getAll(studio) : store.getAll());
+    return projects.sort((a, b) => b.updatedAt - a.updatedAt);
+};
+
+/**
+ * Reads a project with its audio.
+ * @param {string} id Project id.
+ * @returns {Promise<{ project: object, audio: Blob }|null>} The project, or null if it doesn't exist.
+ */
+export const loadProject = async (id) => {
+    const db = await openDatabase();
+    const transaction = db.transaction([PROJECTS_STORE, AUDIO_STORE]);
+    const [project, audio] = await Promise.all([
+        promisifyRequest(transaction.objectStore(PROJECTS_STORE).get(id)),
+        promisifyRequest(transaction.objectStore(AUDIO_STORE).get(id)),
+    ]);
+    return project && audio ? { project, audio: audio.blob } : null;
+};
+
+/**
+ * Total size of the stored audio.
+ * @returns {Promise<number>} Bytes.
+ */
+export const getProjectStorageUsage = async () => {
+    const projects = await listProjects();
+    return projects.reduce((total, project) => total + project.audioSize, 0);
+};
+
+/**
+ * Saves a new project with its audio, removing the least recently updated
+ * projects if the audio would not fit in the quota. Projects open in a studio
+ * (see getActiveProjectId) are never removed. Removal and save happen in one
+ * transaction, so a failed save keeps the old projects.
+ * @param {object} options
+ * @param {string} options.studio Studio id.
+ * @param {File|Blob} options.file The audio file.
+ * @param {string} [options.name] Project name; defaults to the file name.
+ * @param {object} [options.params] Parameter values of the studio.
+ * @param {object[]} [options.edits] Edit list (see src/utils/audioEdits.js).
+ * @returns {Promise<{ project: object, removed: object[] }>} The new record and the projects removed to make room.
+ * @throws {Error} When the file alone is larger than the quota, the projects open in
+ *         other studios leave no room for it, or the browser is out of space.
+ */
+export const createProject = async ({ studio, file, name, params = {}, edits = [] }) => {
+    const quota = getProjectQuota();
+    if (file.size > quota) {
+        throw new Error(`This file (${formatBytes(file.size)}) is larger than the project storage quota (${formatBytes(quota)}).`);
+    }
+
+    // Least recently updated first, without the projects other studios have open
+    const existing = (await listProjects()).reverse();
+    const openIds = new Set(existing.map(project => getActiveProjectId(project.studio)));
+    const removable = existing.filter(project => !openIds.has(project.id));
+    let usage = existing.reduce((total, project) => total + project.audioSize, 0);
+    const removed = [];
+    while (usage + file.size > quota && removable.length > 0) {
+        const oldest = removable.shift();
+        usage -= oldest.audioSize;
+        removed.push(oldest);
+    }
+    if (usage + file.size > quota) {
+        throw new Error(`The projects open in other studios leave no room for this file (${formatBytes(file.size)}) in the project storage quota (${formatBytes(quota)}). Delete one of them or raise the quota.`);
+    }
+
+    const now = Date.now();
+    const fileName = file.name ?? 'audio';
+    const project = {
+        id: createProjectId(),
+        studio,
+        name: name ?? fileName,
+        fileName,
+        fileType: file.type,
+        audioSize: file.size,
+        params,
+        edits,
+        createdAt: now,
+        updatedAt: now,
+    };
+
+    const db = await openDatabase();
+    const transaction = db.transaction([PROJECTS_STORE, AUDIO_STORE], 'readwrite');
+    const projectsStore = transaction.objectStore(PROJECTS_STORE);
+    const audioStore = transaction.objectStore(AUDIO_STORE);
+    removed.forEach(({ id }) => {
+        projectsStore.delete(id);
+        audioStore.delete(id);
+    });
+    projectsStore.put(project);
+    audioStore.put({ id: project.id, blob: file });
+    try {
+        await transactionDone(transaction);
+    } catch (error) {
+        throw toStorageError(error);
+    }
+    return { project, removed };
+};
+
+/**
+ * Changes fields of a project record (name, params, edits); the audio stays.
+ * @param {string} id Project id.
+ * @param {object} changes Fields to change.
+ * @returns {Promise<object|null>} The updated record, or null if the project doesn't exist.
+ */
+export const updateProject = async (id, changes) => {
+    const db = await openDatabase();
+    const transaction = db.transaction(PROJECTS_STORE, 'readwrite');
+    const store = transaction.objectStore(PROJECTS_STORE);
+    const project = await promisifyRequest(store.get(id));
+    if (!project) return null;
+
+    const updated = { ...project, ...changes, id, updatedAt: Date.now() };
+    store.put(updated);
+    try {
+        await transactionDone(transaction);
+    } catch (error) {
+        throw toStorageError(error);
+    }
+    return updated;
+};
+
+/**
+ * Renames a project.
+ * @param {string} id Project id.
+ * @param {string} name The new name.
+ * @returns {Promise<object|null>} The updated record.
+ */
+export const renameProject = (id, name) => updateProject(id, { name });
+
+/**
+ * Deletes a project and its audio.
+ * @param {string} id Project id.
+ */
+export const deleteProject = async (id) => {
+    const db = await openDatabase();
+    const transaction = db.transaction([PROJECTS_STORE, AUDIO_STORE], 'readwrite');
+    transaction.objectStore(PROJECTS_STORE).delete(id);
+    transaction.objectStore(AUDIO_STORE).delete(id);
+    await transactionDone(transaction);
+};
+
+/**
+ * Formats a byte count for display.
+ * @param {number} bytes
+ * @returns {string} E.g. "12.5 MB".
+ */
+export const formatBytes = (bytes) => {
+    if (bytes >= 1024 * MB) return `${(bytes / (1024 * MB)).toFixed(1)} GB`;
+    if (bytes >= MB) return `${(bytes / MB).toFixed(1)} MB`;
+    return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+};
@@ -0,0 +1,223 @@
+// src/utils/sampledPiano.js
+import * as Tone from 'tone';
+
+/**
+ * A sampled piano: recorded notes played by Tone.Sampler, one sampler per
+ * velocity layer, with recorded key release (damper) sounds and the
+ * resonance of undamped strings while the sustain pedal is down.
+ *
+ * The recordings are the Salamander Grand Piano V3 by Alexander Holm
+ * (CC BY 3.0, see public/piano_samples/salamander/CREDITS.txt): a note every
+ * minor third from A0 to C8 at three of its sixteen velocities, and a
+ * release sound for each of the 88 keys.
+ *
+ * Samples load lazily: each recorded note covers the keys nearest to it
+ * (three keys, with a sample every minor third), fetched the first time one
+ * of those keys is played, along with the key's release sound. Until it
+ * arrives, keys sound from the nearest sample already loaded, repitched.
+ */
+
+// MIDI notes of the 88 keys, A0 to C8
+const LOWEST_KEY = 21;
+const HIGHEST_KEY = 108;
+const midiRange = (step) => Array.from(
+    { length: Math.floor((HIGHEST_KEY - LOWEST_KEY) / step) + 1 },
+    (_, index) => Tone.Frequency(LOWEST_KEY + index * step, 'midi').toNote(),
+);
+
+// Recorded notes of each velocity layer, a minor third apart
+const VELOCITY_NOTES = midiRange(3);
+
+/**
+ * The recorded samples, under public/. Files are named
+ * `${folder}/${note}.${extension}` with "s" for a sharp, e.g.
+ * /piano_samples/salamander/v10/Ds4.mp3.
+ */
+export const PIANO_SAMPLE_SET = {
+    baseUrl: '/piano_samples/salamander/',
+    extension: 'mp3',
+    // Velocity layers from soft to loud: a note plays on the first layer whose
+    // maxVelocity (0-1) it doesn't exceed
+    layers: [
+        { maxVelocity: 0.4, folder: 'v4', notes: VELOCITY_NOTES },
+        { maxVelocity: 0.75, folder: 'v10', notes: VELOCITY_NOTES },
+        { maxVelocity: 1, folder: 'v16', notes: VELOCITY_NOTES },
+    ],
+    // Key release sounds, one per key
+    release: { folder: 'release', notes: midiRange(1) },
+};
+
+// Level of the string resonance send while the sustain pedal is down
+const SUSTAIN_RESONANCE = 0.3;
+// Fade-out (s) of a sample when its key is released
+const SAMPLE_RELEASE = 0.6;
+// Level of release sounds relative to the note's velocity
+const RELEASE_LEVEL = 0.35;
+
+/**
+ * The sample of a set of notes nearest to a key.
+ * @param {{ note: string, midi: number }[]} samples
+ * @param {number} midi MIDI note number of the key.
+ * @returns {{ note: string, midi: number }}
+ */
+const getNearestSample = (samples, midi) => samples.reduce((nearest, sample) => (
+    Math.abs(sample.midi - midi) < Math.abs(nearest.midi - midi) ? sample : nearest
+));
+
+/**
+ * Creates a sampled piano. It takes the same calls as the synth voice
+ * (triggerAttack, triggerRelease, releaseAll, set({ detune }), volume,
+ * connect, toDestination, dispose) plus setSustain and load.
+ *
+ * Samples can't be bent while they play, so a detune (pitch bend) applies to
+ * notes started after it.
+ *
+ * @param {object} [options]
+ * @param {object} [options.sampleSet=PIANO_SAMPLE_SET] The samples to play.
+ * @param {string[]} [options.preload=['C4']] Notes whose samples load right away, so the first keys sound.
+ * @param {(isLoading: boolean) => void} [options.onLoadingChange] Called when samples start and finish loading.
+ * @returns {object} The piano, not connected.
+ */
+export const createSampledPiano = ({ sampleSet = PIANO_SAMPLE_SET, preload = ['C4'], onLoadingChange } = {}) => {
+    const output = new Tone.Volume();
+    const strings = new Tone.Gain(); // Bus of the sampled notes
+    const resonanceSend = new Tone.Gain(0);
+    const resonance = new Tone.Freeverb({ roomSize: 0.88, dampening: 2500, wet: 1 });
+    strings.connect(output);
+    strings.chain(resonanceSend, resonance, output);
+
+    const createLayer = ({ folder, notes, maxVelocity = 1 }, destination) => ({
+        folder,
+        maxVelocity,
+        samples: notes.map(note => ({ note, midi: Tone.Frequency(note).toMidi() })),
+        sampler: new Tone.Sampler({ release: SAMPLE_RELEASE }).connect(destination),
+        loaded: new Set(), // Notes whose samples have been added
+    });
+    const layers = sampleSet.layers.map(layer => createLayer(layer, strings));
+    const releaseLayer = createLayer(sampleSet.release, output);
+
+    const loads = new Map(); // File URL → promise of the sample being added
+    let pendingLoads = 0;
+    const sounding = new Map(); // Note name → { layer, frequency, velocity }
+    let detune = 0; // Cents
+    let isDisposed = false;
+
+    const loadSample = (layer, sample) => {
+        const url = `${sampleSet.baseUrl}${layer.folder}/${sample.note.replace('#', 's')}.${sampleSet.extension}`;
+        if (!loads.has(url)) {
+            pendingLoads++;
+            if (pendingLoads === 1) onLoadingChange?.(true);
+            loads.set(url, Tone.ToneAudioBuffer.fromUrl(url)
+                .then(buffer => {
+                    if (isDisposed) return;
+                    layer.sampler.add(sample.note, buffer);
+                    layer.loaded.add(sample.note);
+                })
+                .catch(error => console.error(`Failed to load piano sample ${url}:`, error))
+                .finally(() => {
+                    pendingLoads--;
+                    if (pendingLoads === 0 && !isDisposed) onLoadingChange?.(false);
+                }));
+        }
+        return loads.get(url);
+    };
+
+    const piano = {
+        volume: output.volume,
+        disposed: false,
+
+        /**
+         * Loads the samples the notes need, in every layer.
+         * @param {string[]} notes Note names.
+         * @returns {Promise<void>} Resolves once they are loaded (or failed to).
+         */
+        load(notes) {
+            const allLayers = [...layers, releaseLayer];
+            return Promise.all(notes.flatMap(note => {
+                const midi = Tone.Frequency(note).toMidi();
+                return allLayers.map(layer => loadSample(layer, getNearestSample(layer.samples, midi)));
+            })).then(() => undefined);
+        },
+
+        triggerAttack(note, time, velocity = 1) {
+            piano.load([note]);
+            const layer = layers.find(({ maxVelocity }) => velocity <= maxVelocity) ?? layers[layers.length - 1];
+            // Play on another layer while this one's samples are loading
+            const playable = layer.loaded.size > 0 ? layer : layers.find(({ loaded }) => loaded.size > 0);
+            if (!playable) return piano; // Nothing loaded yet
+
+            const frequency = Tone.Frequency(note).transpose(detune / 100).toFrequency();
+            piano.triggerRelease(note, time, { isSilent: true });
+            playable.sampler.triggerAttack(frequency, time, velocity);
+            sounding.set(note, { layer: playable, frequency, velocity });
+            return piano;
+        },
+
+        triggerRelease(note, time, { isSilent = false } = {}) {
+            const sound = sounding.get(note);
+            if (!sound) return piano;
+            sounding.delete(note);
+            sound.layer.sampler.triggerRelease(sound.frequency, time);
+            if (isSilent) return piano;
+
+            // Release sounds are per key: play this key's if it has loaded
+            if (releaseLayer.loaded.has(Tone.Frequency(note).toNote())) {
+                releaseLayer.sampler.triggerAttack(note, time, sound.velocity * RELEASE_LEVEL);
+            }
+            return piano;
+        },
+
+        triggerAttackRelease(note, duration, time, velocity = 1) {
+            const start = time === undefined ? Tone.now() : Tone.Time(time).toSeconds();
+            piano.triggerAttack(note, start, velocity);
+            piano.triggerRelease(note, start + Tone.Time(duration).toSeconds());
+            return piano;
+        },
+
+        releaseAll(time) {
+            [...layers, releaseLayer].forEach(({ sampler }) => sampler.releaseAll(time));
+            sounding.clear();
+            return piano;
+        },
+
+        /**
+         * Sets options shared with the synth voice; only detune (cents) applies.
+         * @param {{ detune?: number }} options
+         */
+        set(options) {
+            if (options.detune !== undefined) detune = options.detune;
+            return piano;
+        },
+
+        /**
+         * Lets the strings ring in sympathy while the sustain pedal is down.
+         * @param {boolean} isDown
+         */
+        setSustain(isDown) {
+            resonanceSend.gain.rampTo(isDown ? SUSTAIN_RESONANCE : 0, 0.15);
+        },
+
+        connect(destination) {
+            output.connect(destination);
+            return piano;
+        },
+
+        toDestination() {
+            output.toDestination();
+            return piano;
+        },
+
+        dispose() {
+            if (isDisposed) return piano;
+            isDisposed = true;
+            piano.disposed = true;
+            sounding.clear();
+            [...layers, releaseLayer].forEach(({ sampler }) => sampler.dispose());
+            [resonance, resonanceSend, strings, output].forEach(node => node.dispose());
+            return piano;
+        },
+    };
+
+    piano.load(preload);
+    return piano;
+};
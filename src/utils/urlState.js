@@ -0,0 +1,263 @@
+// src/utils/urlState.js
+
+/**
+ * Mirrors a tool's parameters into the query string so a link reopens the
+ * tool in the same state, e.g. /compression-explorer?v=1&ratio=8&threshold=-30.
+ *
+ * A tool describes its parameters once with createUrlSchema(): a version and
+ * one urlParam type per parameter. Reading validates every value against its
+ * type and drops the ones that don't fit, so a hand-edited or outdated link
+ * never puts a tool into an impossible state. When a tool's parameters
+ * change incompatibly, bump the version and add a migration from the old
+ * one; links from newer versions than the tool knows are ignored.
+ */
+
+// Query parameter holding the schema version
+export const VERSION_PARAM = 'v';
+
+const formatNumber = (value, precision) => String(Number(value.toFixed(precision)));
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Parameter types. Each has `parse(string)`, returning the value or
+ * undefined if the string isn't valid, and `format(value)`, returning the
+ * string for the URL.
+ */
+export const urlParam = {
+    /**
+     * A number, clamped to the range.
+     * @param {object} [options]
+     * @param {number} [options.min]
+     * @param {number} [options.max]
+     * @param {number} [options.precision=3] Decimals kept in the URL.
+     */
+    number: ({ min = -Infinity, max = Infinity, precision = 3 } = {}) => ({
+        parse: (text) => {
+            const value = Number(text);
+            return text !== '' && Number.isFinite(value) ? clamp(value, min, max) : undefined;
+        },
+        format: (value) => formatNumber(value, precision),
+    }),
+
+    /**
+     * A whole number, clamped to the range.
+     * @param {object} [options]
+     * @param {number} [options.min]
+     * @param {number} [options.max]
+     */
+    integer: ({ min = -Infinity, max = Infinity } = {}) => ({
+        parse: (text) => (/^-?\d+$/.test(text) ? clamp(parseInt(text, 10), min, max) : undefined),
+        format: (value) => String(Math.round(value)),
+    }),
+
+    /** true/false, written as 1/0. */
+    boolean: () => ({
+        parse: (text) => {
+            if (text === '1' || text === 'true') return true;
+            if (text === '0' || text === 'false') return false;
+            return undefined;
+        },
+        format: (value) => (value ? '1' : '0'),
+    }),
+
+    /**
+     * One of a fixed set of values (e.g. a preset name, a waveform type or a note value).
+     * @param {Array<string|number>} options The allowed values.
+     */
+    oneOf: (options) => ({
+        parse: (text) => options.find(option => String(option) === text),
+        format: (value) => String(value),
+    }),
+
+    /**
+     * Free text up to a maximum length.
+     * @param {object} [options]
+     * @param {number} [options.maxLength=100]
+     */
+    string: ({ maxLength = 100 } = {}) => ({
+        parse: (text) => (text.length <= maxLength ? text : undefined),
+        format: (value) => String(value),
+    }),
+
+    /**
+     * A row of on/off steps, written as a string of 0s and 1s.
+     * @param {object} [options]
+     * @param {number} [options.minLength=1]
+     * @param {number} [options.maxLength=64]
+     */
+    steps: ({ minLength = 1, maxLength = 64 } = {}) => ({
+        parse: (text) => (
+            /^[01]+$/.test(text) && text.length >= minLength && text.length <= maxLength
+                ? [...text].map(char => char === '1')
+                : undefined
+        ),
+        format: (value) => value.map(step => (step ? '1' : '0')).join(''),
+    }),
+
+    /**
+     * A list of values of another type; the whole list is rejected if any item is invalid.
+     * @param {object} item The urlParam type of the items.
+     * @param {object} [options]
+     * @param {number} [options.minLength=0]
+     * @param {number} [options.maxLength=64]
+     * @param {string} [options.separator=','] Must not occur in formatted items.
+     */
+    list: (item, { minLength = 0, maxLength = 64, separator = ',' } = {}) => ({
+        parse: (text) => {
+            const parts = text === '' ? [] : text.split(separator);
+            if (parts.length < minLength || parts.length > maxLength) return undefined;
+            const values = parts.map(part => item.parse(part));
+            return values.includes(undefined) ? undefined : values;
+        },
+        format: (value) => value.map(entry => item.format(entry)).join(separator),
+    }),
+
+    /**
+     * An object with fixed fields, written as the field values in order
+     * (e.g. a position { x, y, z } as "1,0,-2"); rejected if any field is invalid.
+     * @param {object} fields Map of field name to urlParam type, in URL order.
+     * @param {object} [options]
+     * @param {string} [options.separator=','] Must not occur in formatted fields.
+     */
+    object: (fields, { separator = ',' } = {}) => {
+        const names = Object.keys(fields);
+        return {
+            parse: (text) => {
+                const parts = text.split(separator);
+                if (parts.length !== names.length) return undefined;
+                const value = {};
+                for (let i = 0; i < names.length; i++) {
+                    value[names[i]] = fields[names[i]].parse(parts[i]);
+                    if (value[names[i]] === undefined) return undefined;
+                }
+                return value;
+            },
+            format: (value) => names.map(name => fields[name].format(value[name])).join(separator),
+        };
+    },
+};
+
+/**
+ * Describes the URL parameters of a tool.
+ * @param {object} options
+ * @param {number} [options.version=1] Current version of the parameter layout.
+ * @param {object} options.params Map of parameter name to urlParam type.
+ * @param {object} [options.migrations] Map of version n to a function turning the
+ *        raw string parameters (a plain object) of version n into those of n + 1.
+ * @returns {object} The schema.
+ */
+export const createUrlSchema = ({ version = 1, params, migrations = {} }) => ({ version, params, migrations });
+
+/**
+ * Reads and validates a tool's parameters from a query string.
+ * @param {object} schema The createUrlSchema() result.
+ * @param {string} search The query string (e.g. window.location.search).
+ * @returns {object} The valid parameters found; empty if there are none.
+ */
+export const readUrlState = (schema, search) => {
+    const query = new URLSearchParams(search);
+    const names = Object.keys(schema.params);
+    if (!query.has(VERSION_PARAM) && !names.some(name => query.has(name))) return {};
+
+    const linkVersion = query.has(VERSION_PARAM) ? parseInt(query.get(VERSION_PARAM), 10) : schema.version;
+    if (!Number.isInteger(linkVersion) || linkVersion < 1 || linkVersion > schema.version) {
+        console.warn(`urlState: Ignoring link parameters of unsupported version "${query.get(VERSION_PARAM)}".`);
+        return {};
+    }
+
+    return parseUrlParams(schema, Object.fromEntries(query.entries()), linkVersion);
+};
+
+/**
+ * Migrates raw string parameters from an older schema version and validates them.
+ * @param {object} schema The createUrlSchema() result.
+ * @param {object} raw Map of parameter name to string, as found in a link.
+ * @param {number} [fromVersion] Schema version the parameters were written with.
+ * @returns {object} The valid parameters.
+ */
+export const parseUrlParams = (schema, raw, fromVersion = schema.version) => {
+    let migrated = raw;
+    for (let version = fromVersion; version < schema.version; version++) {
+        if (schema.migrations[version]) migrated = schema.migrations[version](migrated);
+    }
+
+    const values = {};
+    Object.keys(schema.params).forEach(name => {
+        if (migrated[name] === undefined) return;
+        const value = schema.params[name].parse(migrated[name]);
+        if (value === undefined) {
+            console.warn(`urlState: Ignoring invalid value "${migrated[name]}" for "${name}".`);
+        } else {
+            values[name] = value;
+        }
+    });
+    return values;
+};
+
+/**
+ * Turns parameter values into the strings a link would hold, so values kept
+ * elsewhere (e.g. in presets) can go through parseUrlParams() too. Values of
+ * parameters the schema doesn't know are kept as String(value) for migrations;
+ * values that can't be formatted are dropped.
+ * @param {object} schema The createUrlSchema() result.
+ * @param {object} values Parameter values.
+ * @returns {object} Map of parameter name to string.
+ */
+export const formatUrlParams = (schema, values) => {
+    const raw = {};
+    Object.entries(values).forEach(([name, value]) => {
+        if (value === undefined || value === null) return;
+        try {
+            raw[name] = schema.params[name] ? schema.params[name].format(value) : String(value);
+        } catch {
+            console.warn(`urlState: Ignoring value of "${name}" that doesn't fit its type.`);
+        }
+    });
+    return raw;
+};
+
+/**
+ * Passes parameter values to a tool's setters.
+ * @param {object|((values: object) => void)} setters Setter per parameter, or a
+ *        function that applies all values at once.
+ * @param {object} values Valid parameter values.
+ */
+export const applyUrlParams = (setters, values) => {
+    if (typeof setters === 'function') {
+        setters(values);
+    } else {
+        Object.entries(values).forEach(([name, value]) => setters[name]?.(value));
+    }
+};
+
+/**
+ * Writes a tool's parameters into a query string, leaving out the ones that
+ * still have their default value so links stay short. Other query
+ * parameters are kept.
+ * @param {object} schema The createUrlSchema() result.
+ * @param {object} values Current parameter values.
+ * @param {object} defaults Default parameter values.
+ * @param {string} search The current query string.
+ * @returns {string} The new query string, with a leading "?" unless it is empty.
+ */
+export const writeUrlState = (schema, values, defaults, search) => {
+    const query = new URLSearchParams(search);
+    let hasParams = false;
+    Object.entries(schema.params).forEach(([name, type]) => {
+        const text = values[name] === undefined ? undefined : type.format(values[name]);
+        if (text === undefined || (defaults[name] !== undefined && text === type.format(defaults[name]))) {
+            query.delete(name);
+        } else {
+            query.set(name, text);
+            hasParams = true;
+        }
+    });
+    if (hasParams) {
+        query.set(VERSION_PARAM, String(schema.version));
+    } else {
+        query.delete(VERSION_PARAM);
+    }
+    const text = query.toString();
+    return text ? `?${text}` : '';
+};
@@ -0,0 +1,229 @@
+// src/utils/wavEncoder.js
+
+/**
+ * WAV encoder for the studio downloads (src/utils/audioExport.js picks the
+ * encoder for the chosen format).
+ *
+ * Supports 16-bit PCM (with optional TPDF dither), 24-bit PCM and 32-bit IEEE
+ * float, optional resampling to a target sample rate, and RIFF LIST/INFO
+ * metadata tags. The core encoder works on plain Float32Array channel data so
+ * it can also run inside a Web Worker.
+ */
+
+// Supported output bit depths.
+export const WAV_BIT_DEPTHS = {
+    PCM_16: 16,
+    PCM_24: 24,
+    FLOAT_32: 32,
+};
+
+// Sample rates offered for export. 'original' keeps the source rate.
+export const EXPORT_SAMPLE_RATES = ['original', 44100, 48000, 88200, 96000];
+
+// Name written into the ISFT (software) tag when none is given.
+export const DEFAULT_SOFTWARE_TAG = 'LyriLab';
+
+// WAVE format codes.
+const WAVE_FORMAT_PCM = 1;
+const WAVE_FORMAT_IEEE_FLOAT = 3;
+
+// Maps metadata keys onto RIFF INFO chunk IDs.
+const INFO_TAGS = {
+    title: 'INAM',
+    artist: 'IART',
+    software: 'ISFT',
+    comment: 'ICMT',
+    date: 'ICRD',
+    genre: 'IGNR',
+};
+
+/**
+ * Applies the defaults shared by every export format's tags: the software
+ * name falls back to DEFAULT_SOFTWARE_TAG, and the preset name (which no tag
+ * format has a standard field for) is folded into the comment.
+ * @param {object} [metadata] { title, artist, software, comment, date, genre, preset }.
+ * @returns {object} { title, artist, software, comment, date, genre } with empty values removed.
+ */
+export const resolveMetadataTags = (metadata = {}) => {
+    const { preset, ...values } = { software: DEFAULT_SOFTWARE_TAG, ...metadata };
+    if (preset) {
+        values.comment = values.comment ? `${values.comment} (Preset: ${preset})` : `Preset: ${preset}`;
+    }
+    return Object.fromEntries(
+        Object.entries(values).filter(([, value]) => value !== undefined && value !== null && `${value}` !== '')
+    );
+};
+
+/**
+ * Builds the list of INFO entries from a metadata object.
+ * @param {object} metadata { title, artist, software, comment, date, genre, preset }.
+ * @returns {{ id: string, bytes: Uint8Array }[]} Encoded INFO entries.
+ */
+const buildInfoEntries = (metadata) => {
+    const values = resolveMetadataTags(metadata);
+    const encoder = new TextEncoder();
+    return Object.entries(INFO_TAGS)
+        .filter(([key]) => key in values)
+        .map(([key, id]) => ({ id, bytes: encoder.encode(`${values[key]}\0`) }));
+};
+
+// Chunk payloads are padded to an even number of bytes.
+const paddedSize = (size) => size + (size % 2);
+
+/**
+ * Triangular-PDF dither noise in the range (-1, 1) LSB.
+ * @returns {number} Dither value in LSBs.
+ */
+const tpdfNoise = () => Math.random() - Math.random();
+
+/**
+ * Converts float samples to signed integer PCM, clamping to the full scale of
+ * the target bit depth. Shared with the FLAC encoder.
+ * @param {Float32Array} samples Float samples in the range -1..1.
+ * @param {number} bitDepth Integer bit depth (16 or 24).
+ * @param {boolean} [dither=false] Add TPDF dither before rounding (used for 16-bit).
+ * @returns {Int32Array} The integer samples.
+ */
+export const floatToIntegerPcm = (samples, bitDepth, dither = false) => {
+    const scale = 2 ** (bitDepth - 1);
+    const pcm = new Int32Array(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+        const scaled = Math.max(-1, Math.min(1, samples[i])) * scale + (dither ? tpdfNoise() : 0);
+        pcm[i] = Math.max(-scale, Math.min(scale - 1, Math.round(scaled)));
+    }
+    return pcm;
+};
+
+/**
+ * Encodes raw channel data into a WAV file.
+ * @param {Float32Array[]} channels One Float32Array per channel, all the same length.
+ * @param {number} sampleRate Sample rate of the data in Hz.
+ * @param {object} [options]
+ * @param {number} [options.bitDepth=16] One of WAV_BIT_DEPTHS.
+ * @param {boolean} [options.dither=true] Apply TPDF dither when writing 16-bit PCM.
+ * @param {object} [options.metadata] RIFF INFO tags: { title, artist, software, comment, date, genre, preset }.
+ * @returns {ArrayBuffer} The complete WAV file.
+ * @throws {Error} If the bit depth is not supported or no channels are given.
+ */
+export const encodeWavFromChannels = (channels, sampleRate, options = {}) => {
+    const { bitDepth = WAV_BIT_DEPTHS.PCM_16, dither = true, metadata } = options;
+    if (!Object.values(WAV_BIT_DEPTHS).includes(bitDepth)) {
+        throw new Error(`Unsupported WAV bit depth: ${bitDepth}`);
+    }
+    if (!channels || channels.length === 0) {
+        throw new Error('Cannot encode WAV: no channel data.');
+    }
+
+    const isFloat = bitDepth === WAV_BIT_DEPTHS.FLOAT_32;
+    const numChannels = channels.length;
+    const frameCount = channels[0].length;
+    const bytesPerSample = bitDepth / 8;
+    const blockAlign = numChannels * bytesPerSample;
+    const dataSize = frameCount * blockAlign;
+
+    // fmt chunk: 16 bytes for PCM, 18 (with cbSize) for float, which also needs a fact chunk.
+    const fmtSize = isFloat ? 18 : 16;
+    const factChunkSize = isFloat ? 8 + 4 : 0;
+    const infoEntries = buildInfoEntries(metadata);
+    const infoPayloadSize = infoEntries.reduce((total, entry) => total + 8 + paddedSize(entry.bytes.length), 0);
+    const listChunkSize = infoEntries.length > 0 ? 8 + 4 + infoPayloadSize : 0;
+
+    const riffSize = 4 + (8 + fmtSize) + factChunkSize + listChunkSize + 8 + paddedSize(dataSize);
+    const buffer = new ArrayBuffer(8 + riffSize);
+    const view = new DataView(buffer);
+    let pos = 0;
+
+    const writeString = (str) => {
+        for (let i = 0; i < str.length; i++) {
+            view.setUint8(pos++, str.charCodeAt(i));
+        }
+    };
+    const writeUint16 = (value) => {
+        view.setUint16(pos, value, true);
+        pos += 2;
+    };
+    const writeUint32 = (value) => {
+        view.setUint32(pos, value, true);
+        pos += 4;
+    };
+
+    // RIFF header
+    writeString('RIFF');
+    writeUint32(riffSize);
+    writeString('WAVE');
+
+    // fmt chunk
+    writeString('fmt ');
+    writeUint32(fmtSize);
+    writeUint16(isFloat ? WAVE_FORMAT_IEEE_FLOAT : WAVE_FORMAT_PCM);
+    writeUint16(numChannels);
+    writeUint32(sampleRate);
+    writeUint32(sampleRate * blockAlign); // ByteRate
+    writeUint16(blockAlign);
+    writeUint16(bitDepth);
+    if (isFloat) {
+        writeUint16(0); // cbSize
+        writeString('fact');
+        writeUint32(4);
+        writeUint32(frameCount);
+    }
+
+    // LIST/INFO metadata chunk
+    if (infoEntries.length > 0) {
+        writeString('LIST');
+        writeUint32(4 + infoPayloadSize);
+        writeString('INFO');
+        infoEntries.forEach(({ id, bytes }) => {
+            writeString(id);
+            writeUint32(bytes.length);
+            new Uint8Array(buffer, pos, bytes.length).set(bytes);
+            pos += paddedSize(bytes.length);
+        });
+    }
+
+    // data chunk, interleaved
+    writeString('data');
+    writeUint32(dataSize);
+    const samples = isFloat
+        ? channels
+        : channels.map(channel => floatToIntegerPcm(channel, bitDepth, dither && bitDepth === WAV_BIT_DEPTHS.PCM_16));
+    for (let i = 0; i < frameCount; i++) {
+        for (let channel = 0; channel < numChannels; channel++) {
+            const sample = samples[channel][i];
+            if (isFloat) {
+                view.setFloat32(pos, sample, true);
+                pos += 4;
+            } else if (bitDepth === WAV_BIT_DEPTHS.PCM_24) {
+                view.setUint8(pos, sample & 0xff);
+                view.setUint8(pos + 1, (sample >> 8) & 0xff);
+                view.setUint8(pos + 2, (sample >> 16) & 0xff);
+                pos += 3;
+            } else {
+                view.setInt16(pos, sample, true);
+                pos += 2;
+            }
+        }
+    }
+
+    return buffer;
+};
+
+/**
+ * Resamples an AudioBuffer with an OfflineAudioContext (the browser's
+ * band-limited resampler). Returns the buffer unchanged if the rate matches.
+ * @param {AudioBuffer} audioBuffer The source buffer.
+ * @param {number} sampleRate Target sample rate in Hz.
+ * @returns {Promise<AudioBuffer>} The resampled buffer.
+ */
+export const resampleAudioBuffer = async (audioBuffer, sampleRate) => {
+    if (!sampleRate || sampleRate === audioBuffer.sampleRate) {
+        return audioBuffer;
+    }
+    const length = Math.ceil(audioBuffer.duration * sampleRate);
+    const offlineContext = new OfflineAudioContext(audioBuffer.numberOfChannels, length, sampleRate);
+    const source = offlineContext.createBufferSource();
+    source.buffer = audioBuffer;
+    source.connect(offlineContext.destination);
+    source.start(0);
+    return offlineContext.startRendering();
+};
@@ -0,0 +1,81 @@
+// src/utils/waveformPeaks.js
+
+/**
+ * Min/max peaks of an AudioBuffer for drawing its waveform at any zoom.
+ *
+ * The whole file is summarized once in blocks of BLOCK_SIZE samples (all
+ * channels together), so zoomed-out views redraw from the summary; views
+ * zoomed in further than one block per pixel read the samples directly.
+ */
+
+const BLOCK_SIZE = 256;
+
+export class WaveformPeaks {
+    /**
+     * @param {AudioBuffer} buffer The audio to summarize.
+     */
+    constructor(buffer) {
+        this.duration = buffer.duration;
+        this._sampleRate = buffer.sampleRate;
+        this._length = buffer.length;
+        this._channels = Array.from({ length: buffer.numberOfChannels }, (_, channel) => buffer.getChannelData(channel));
+
+        const blockCount = Math.ceil(buffer.length / BLOCK_SIZE);
+        this._blockMin = new Float32Array(blockCount);
+        this._blockMax = new Float32Array(blockCount);
+        for (let block = 0; block < blockCount; block++) {
+            const [min, max] = this._scanSamples(block * BLOCK_SIZE, Math.min((block + 1) * BLOCK_SIZE, buffer.length));
+            this._blockMin[block] = min;
+            this._blockMax[block] = max;
+        }
+    }
+
+    _scanSamples(startFrame, endFrame) {
+        let min = 0;
+        let max = 0;
+        this._channels.forEach(samples => {
+            for (let i = startFrame; i < endFrame; i++) {
+                if (samples[i] < min) min = samples[i];
+                if (samples[i] > max) max = samples[i];
+            }
+        });
+        return [min, max];
+    }
+
+    _scanBlocks(startBlock, endBlock) {
+        let min = 0;
+        let max = 0;
+        for (let block = startBlock; block < endBlock; block++) {
+            if (this._blockMin[block] < min) min = this._blockMin[block];
+            if (this._blockMax[block] > max) max = this._blockMax[block];
+        }
+        return [min, max];
+    }
+
+    /**
+     * Peaks of a time range, one pair per bucket (usually per pixel column).
+     * @param {number} start Range start in seconds.
+     * @param {number} end Range end in seconds.
+     * @param {number} bucketCount Number of buckets.
+     * @returns {{ min: Float32Array, max: Float32Array }} Lowest and highest sample per bucket.
+     */
+    getPeaks(start, end, bucketCount) {
+        const min = new Float32Array(bucketCount);
+        const max = new Float32Array(bucketCount);
+        const startFrame = start * this._sampleRate;
+        const framesPerBucket = (end - start) * this._sampleRate / bucketCount;
+
+        for (let bucket = 0; bucket < bucketCount; bucket++) {
+            const from = Math.max(0, Math.floor(startFrame + bucket * framesPerBucket));
+            const to = Math.min(this._length, Math.max(from + 1, Math.floor(startFrame + (bucket + 1) * framesPerBucket)));
+            if (from >= this._length) break;
+
+            const [bucketMin, bucketMax] = framesPerBucket >= BLOCK_SIZE
+                ? this._scanBlocks(Math.floor(from / BLOCK_SIZE), Math.ceil(to / BLOCK_SIZE))
+                : this._scanSamples(from, to);
+            min[bucket] = bucketMin;
+            max[bucket] = bucketMax;
+        }
+        return { min, max };
+    }
+}
@@ -0,0 +1,182 @@
+// src/utils/zipFile.js
+
+/**
+ * Minimal zip archives for bundles of files (e.g. drum kits): writing
+ * uncompressed ("stored") archives, and reading stored or deflated ones, as
+ * written by the usual zip tools. Audio is already compressed, so writing
+ * without compression costs little.
+ *
+ * Not supported: encryption, zip64 (archives over 4 GB), archives split over
+ * several files.
+ */
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+const FLAG_UTF8_NAMES = 0x0800;
+const VERSION = 20; // 2.0: the features used here
+
+const CRC32_TABLE = new Uint32Array(256);
+for (let i = 0; i < 256; i++) {
+    let crc = i;
+    for (let bit = 0; bit < 8; bit++) {
+        crc = crc & 1 ? (crc >>> 1) ^ 0xedb88320 : crc >>> 1;
+    }
+    CRC32_TABLE[i] = crc >>> 0;
+}
+
+/**
+ * CRC-32 of bytes, as used in zip headers.
+ * @param {Uint8Array} bytes
+ * @returns {number} Unsigned 32-bit checksum.
+ */
+export const crc32 = (bytes) => {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+// Date and time in MS-DOS format, as zip headers keep them
+const toDosDateTime = (date) => ({
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+/**
+ * Writes a zip archive.
+ * @param {{ name: string, data: Uint8Array }[]} files Paths use '/' between folders.
+ * @param {object} [options]
+ * @param {Date} [options.date=new Date()] Modification time of the files.
+ * @returns {Blob} The archive (application/zip).
+ */
+export const createZip = (files, { date = new Date() } = {}) => {
+    const encoder = new TextEncoder();
+    const { time, date: dosDate } = toDosDateTime(date);
+    const parts = [];
+    const centralHeaders = [];
+    let offset = 0;
+
+    files.forEach(({ name, data }) => {
+        const nameBytes = encoder.encode(name);
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, LOCAL_HEADER_SIGNATURE, true);
+        local.setUint16(4, VERSION, true);
+        local.setUint16(6, FLAG_UTF8_NAMES, true);
+        local.setUint16(8, METHOD_STORED, true);
+        local.setUint16(10, time, true);
+        local.setUint16(12, dosDate, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true); // Compressed size
+        local.setUint32(22, data.length, true); // Uncompressed size
+        local.setUint16(26, nameBytes.length, true);
+        local.setUint16(28, 0, true); // Extra field length
+        parts.push(new Uint8Array(local.buffer), nameBytes, data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, CENTRAL_HEADER_SIGNATURE, true);
+        central.setUint16(4, VERSION, true); // Made by
+        central.setUint16(6, VERSION, true); // Needed to extract
+        central.setUint16(8, FLAG_UTF8_NAMES, true);
+        central.setUint16(10, METHOD_STORED, true);
+        central.setUint16(12, time, true);
+        central.setUint16(14, dosDate, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, nameBytes.length, true);
+        // Extra field and comment lengths, disk number and attributes stay 0
+        central.setUint32(42, offset, true);
+        centralHeaders.push(new Uint8Array(central.buffer), nameBytes);
+
+        offset += 30 + nameBytes.length + data.length;
+    });
+
+    const centralSize = centralHeaders.reduce((total, part) => total + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, END_OF_CENTRAL_DIRECTORY_SIGNATURE, true);
+    end.setUint16(8, files.length, true); // Entries on this disk
+    end.setUint16(10, files.length, true); // Entries in total
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...centralHeaders, new Uint8Array(end.buffer)], { type: 'application/zip' });
+};
+
+// Inflates raw deflate data with the browser's DecompressionStream
+const inflateRaw = async (bytes) => {
+    if (typeof DecompressionStream === 'undefined') {
+        throw new Error('This browser cannot read compressed zip files. Try a zip saved without compression.');
+    }
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+/**
+ * Reads the files of a zip archive. Folders are skipped.
+ * @param {ArrayBuffer} buffer The archive.
+ * @returns {Promise<{ name: string, data: Uint8Array }[]>}
+ * @throws {Error} If the archive is invalid, or uses encryption or an unsupported compression.
+ */
+export const readZip = async (buffer) => {
+    const view = new DataView(buffer);
+    const decoder = new TextDecoder();
+
+    // The end of central directory record is last, followed by a comment of up to 64 KB
+    let endOffset = -1;
+    for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 22 - 0xffff); i--) {
+        if (view.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+            endOffset = i;
+            break;
+        }
+    }
+    if (endOffset < 0) {
+        throw new Error('Not a zip file.');
+    }
+
+    const entryCount = view.getUint16(endOffset + 10, true);
+    let offset = view.getUint32(endOffset + 16, true);
+    const files = [];
+    for (let i = 0; i < entryCount; i++) {
+        if (offset + 46 > buffer.byteLength || view.getUint32(offset, true) !== CENTRAL_HEADER_SIGNATURE) {
+            throw new Error('The zip file is damaged.');
+        }
+        const flags = view.getUint16(offset + 8, true);
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/')) continue; // Folder
+        if (flags & 1) {
+            throw new Error(`"${name}" in the zip file is encrypted.`);
+        }
+        if (view.getUint32(localOffset, true) !== LOCAL_HEADER_SIGNATURE) {
+            throw new Error('The zip file is damaged.');
+        }
+        // The local header's name and extra field can differ in length from the central one's
+        const dataOffset = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        if (dataOffset + compressedSize > buffer.byteLength) {
+            throw new Error('The zip file is damaged.');
+        }
+        const compressed = new Uint8Array(buffer, dataOffset, compressedSize);
+
+        if (method === METHOD_STORED) {
+            files.push({ name, data: compressed.slice() });
+        } else if (method === METHOD_DEFLATED) {
+            files.push({ name, data: await inflateRaw(compressed) });
+        } else {
+            throw new Error(`"${name}" in the zip file uses an unsupported compression (method ${method}).`);
+        }
+    }
+    return files;
+};
@@ -0,0 +1,40 @@
+// src/workers/audioEncoder.worker.js
+import { encodeWavFromChannels } from '../utils/wavEncoder';
+import { encodeFlacFromChannels } from '../utils/flacEncoder';
+import { encodeMp3FromChannels } from '../utils/lossyEncoders';
+import { analyzeLoudness } from '../utils/loudness';
+
+/**
+ * Encodes studio exports off the main thread, and measures the loudness of
+ * the exported audio (src/utils/loudness.js) on the way. Started and driven
+ * by src/utils/audioExport.js, one worker per export (cancelling terminates it).
+ *
+ * Request:  { format: 'wav' | 'flac' | 'mp3', channels: Float32Array[], sampleRate, options }
+ * Replies:  { type: 'progress', progress } while encoding, then
+ *           { type: 'done', bytes: Uint8Array, loudness } or { type: 'error', message }.
+ *           `loudness` is the analyzeLoudness() result for the exported audio.
+ */
+
+const encoders = {
+    wav: (channels, sampleRate, options) => new Uint8Array(encodeWavFromChannels(channels, sampleRate, options)),
+    flac: encodeFlacFromChannels,
+    mp3: encodeMp3FromChannels,
+};
+
+self.onmessage = async ({ data }) => {
+    const { format, channels, sampleRate, options } = data;
+    const onProgress = (progress) => self.postMessage({ type: 'progress', progress });
+
+    try {
+        const encode = encoders[format];
+        if (!encode) {
+            throw new Error(`Unsupported export format: ${format}`);
+        }
+        // Measured before encoding, which may transfer or reuse the channel data
+        const loudness = analyzeLoudness(channels, sampleRate);
+        const bytes = await encode(channels, sampleRate, { ...options, onProgress });
+        self.postMessage({ type: 'done', bytes, loudness }, [bytes.buffer]);
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message || String(error) });
+    }
+};